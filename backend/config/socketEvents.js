@@ -0,0 +1,48 @@
+// Socket event contract shared by the API and the web client
+// (frontend/src/services/socketEvents.js mirrors it; a test keeps the two in step).
+// Bump SOCKET_CONTRACT_VERSION whenever an event is renamed, removed or changes shape.
+
+const SOCKET_CONTRACT_VERSION = 2;
+
+// Rooms a socket can be in. `lot` is open to any signed-in user watching a lot;
+// `lotOwner` only to the lot's owner and admins; `user` holds every socket of one user.
+const ROOMS = {
+  lot: (lotId) => `lot-${lotId}`,
+  lotOwner: (lotId) => `lot-owner-${lotId}`,
+  user: (userId) => `user-${userId}`
+};
+
+// Server → client events and the rooms each may be delivered to. Every payload also
+// carries `v` (the contract version) and `timestamp`.
+const SERVER_EVENTS = {
+  session: { audience: [], fields: ['userId', 'role'] },
+  'availability-update': { audience: ['lot'], fields: ['lotId', 'available', 'occupancyRate', 'status'] },
+  'slot-updated': { audience: ['lot'], fields: ['lotId', 'slotCode', 'status', 'reason', 'holdId', 'expiresAt'] },
+  'layout-updated': { audience: ['lot'], fields: ['lotId'] },
+  'booking-created': { audience: ['lotOwner'], fields: ['lotId', 'bookingIds', 'availableSpots'] },
+  'gate-event': { audience: ['lotOwner'], fields: ['lotId', 'bookingId', 'passId', 'direction', 'slotCode'] },
+  'status-update': { audience: ['user', 'lotOwner'], fields: ['bookingId', 'lotId', 'status'] },
+  'payment-update': { audience: ['user', 'lotOwner'], fields: ['bookingId', 'lotId', 'provider', 'status', 'previousStatus', 'bookingStatus', 'failureReason'] },
+  'payment-refunded': { audience: ['user', 'lotOwner'], fields: ['bookingId', 'lotId', 'refundAmount'] },
+  'pass-update': { audience: ['user', 'lotOwner'], fields: ['passId', 'lotId', 'status', 'currentPeriod'] },
+  notification: { audience: ['user'], fields: ['bookingId', 'waitlistEntryId', 'type', 'title', 'message'] },
+  'waitlist-update': { audience: ['user'], fields: ['entryId', 'lotId', 'status', 'expiresAt', 'bookingId'] },
+  'service-order-updated': { audience: ['user', 'lotOwner'], fields: ['orderId', 'bookingId', 'lotId', 'serviceName', 'status', 'scheduledStart', 'scheduledEnd', 'provider'] }
+};
+
+// Client → server events. Both acknowledge with { ok, owner?, message? }.
+const CLIENT_EVENTS = {
+  joinLot: 'join-lot',
+  leaveLot: 'leave-lot'
+};
+
+// Why a slot changed: hold lifecycle on the payment page, or a car passing the gate
+const SLOT_UPDATE_REASONS = ['held', 'released', 'expired', 'booked', 'check-in', 'check-out'];
+
+module.exports = {
+  SOCKET_CONTRACT_VERSION,
+  ROOMS,
+  SERVER_EVENTS,
+  CLIENT_EVENTS,
+  SLOT_UPDATE_REASONS
+};
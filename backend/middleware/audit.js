@@ -0,0 +1,19 @@
+const { record } = require('../services/auditService');
+
+// Gives every request `req.audit(action, { target, changes, metadata })`, which records the
+// event against the signed-in user with the request's IP and performanceMonitor request ID.
+// Call it once the change is committed; it resolves to the saved event (or null) and never throws.
+const auditTrail = (req, res, next) => {
+  req.audit = (action, details = {}) => record({
+    actor: req.user?._id,
+    actorRole: req.user?.role,
+    ip: req.ip,
+    userAgent: req.get('user-agent'),
+    requestId: req.requestId,
+    method: req.method,
+    path: req.originalUrl
+  }, action, details);
+  next();
+};
+
+module.exports = auditTrail;
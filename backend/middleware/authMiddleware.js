@@ -36,6 +36,13 @@ const protect = async (req, res, next) => {
           message: 'Not authorized, user not found'
         });
       }
+
+      if (user.isSuspended()) {
+        return res.status(403).json({
+          success: false,
+          message: 'Your account has been suspended'
+        });
+      }
       
       req.user = user;
       next();
@@ -90,7 +97,7 @@ const optionalAuth = async (req, res, next) => {
       try {
         const decoded = jwt.verify(token, process.env.JWT_SECRET);
         const user = await User.findById(decoded.id).select('-password');
-        if (user) {
+        if (user && !user.isSuspended()) {
           req.user = user;
         }
       } catch (error) {
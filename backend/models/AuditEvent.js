@@ -0,0 +1,46 @@
+const mongoose = require('mongoose');
+
+// Append-only record of a privileged or financial action: who did what to which document
+const auditEventSchema = new mongoose.Schema({
+  actor: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User'
+  },
+  actorRole: String,
+  // Dotted verb, e.g. lot.update, booking.refund, user.role
+  action: {
+    type: String,
+    required: true
+  },
+  target: {
+    type: {
+      type: String,
+      enum: ['ParkingLot', 'Booking', 'User'],
+      required: true
+    },
+    id: mongoose.Schema.ObjectId,
+    label: String
+  },
+  // One entry per changed field path
+  changes: [{
+    _id: false,
+    field: String,
+    from: mongoose.Schema.Types.Mixed,
+    to: mongoose.Schema.Types.Mixed
+  }],
+  metadata: mongoose.Schema.Types.Mixed,
+  ip: String,
+  userAgent: String,
+  requestId: String,
+  method: String,
+  path: String
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+auditEventSchema.index({ createdAt: -1 });
+auditEventSchema.index({ actor: 1, createdAt: -1 });
+auditEventSchema.index({ action: 1, createdAt: -1 });
+auditEventSchema.index({ 'target.type': 1, 'target.id': 1, createdAt: -1 });
+
+module.exports = mongoose.model('AuditEvent', auditEventSchema);
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { quoteRefund } = require('../services/refundPolicyService');
 
 const bookingSchema = new mongoose.Schema({
   user: {
@@ -65,7 +66,16 @@ const bookingSchema = new mongoose.Schema({
     currency: {
       type: String,
       default: 'INR'
-    }
+    },
+    // Itemised quote from the pricing engine at booking time (later charges live in the ledger)
+    breakdown: [{
+      _id: false,
+      type: { type: String },
+      label: String,
+      quantity: Number,
+      unitPrice: Number,
+      amount: Number
+    }]
   },
   services: [{
     serviceId: {
@@ -102,6 +112,9 @@ const bookingSchema = new mongoose.Schema({
       default: 'pending'
     },
     paidAt: Date,
+    // Derived from the ledger: captured so far, and charges (extensions, overtime, add-ons) still to collect
+    amountPaid: Number,
+    amountDue: Number,
     refundAmount: Number,
     refundedAt: Date
   },
@@ -148,6 +161,17 @@ const bookingSchema = new mongoose.Schema({
     channel: {
       type: String,
       enum: ['email', 'sms', 'push', 'in-app']
+    },
+    // Delivery outcome; skipped means the channel is not configured for this user/server
+    status: {
+      type: String,
+      enum: ['sent', 'failed', 'skipped'],
+      default: 'sent'
+    },
+    error: String,
+    job: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'NotificationJob'
     }
   }],
   // Cancellation
@@ -159,8 +183,17 @@ const bookingSchema = new mongoose.Schema({
       ref: 'User'
     },
     refundEligible: Boolean,
-    refundAmount: Number
-  }
+    refundAmount: Number,
+    cancellationFee: Number,
+    // Policy preset in force when the booking was cancelled
+    policy: String
+  },
+  // Recurring bookings: the series this occurrence was expanded from
+  series: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'BookingSeries'
+  },
+  seriesIndex: Number
 }, {
   timestamps: true
 });
@@ -171,6 +204,8 @@ bookingSchema.index({ parkingLot: 1 });
 bookingSchema.index({ status: 1 });
 bookingSchema.index({ 'bookingDetails.startTime': 1 });
 bookingSchema.index({ 'bookingDetails.endTime': 1 });
+bookingSchema.index({ parkingLot: 1, 'bookingDetails.startTime': 1, 'bookingDetails.endTime': 1 });
+bookingSchema.index({ series: 1, seriesIndex: 1 }, { sparse: true });
 
 // Calculate duration before saving
 bookingSchema.pre('save', function(next) {
@@ -191,36 +226,16 @@ bookingSchema.methods.generateReference = function() {
   return `PB${timestamp}${random}`.toUpperCase();
 };
 
-// Check if booking can be cancelled
-bookingSchema.methods.canBeCancelled = function() {
-  const now = new Date();
-  const startTime = new Date(this.bookingDetails.startTime);
-  const timeDiff = startTime - now;
-  
-  // Can cancel if more than 1 hour before start time
-  return timeDiff > (60 * 60 * 1000) && 
-         ['pending', 'confirmed'].includes(this.status);
+// Check if booking can be cancelled under the lot's policy (pass the lot when
+// parkingLot isn't populated; otherwise the default policy applies)
+bookingSchema.methods.canBeCancelled = function(lot) {
+  return quoteRefund(this, { lot: lot || this.parkingLot }).cancellable;
 };
 
-// Calculate refund amount
-bookingSchema.methods.calculateRefund = function() {
-  if (!this.canBeCancelled()) return 0;
-  
-  const now = new Date();
-  const startTime = new Date(this.bookingDetails.startTime);
-  const timeDiff = startTime - now;
-  const hoursUntilStart = timeDiff / (1000 * 60 * 60);
-  
-  // Full refund if cancelled more than 24 hours before
-  if (hoursUntilStart > 24) {
-    return this.pricing.totalAmount;
-  }
-  // 50% refund if cancelled 1-24 hours before
-  else if (hoursUntilStart > 1) {
-    return this.pricing.totalAmount * 0.5;
-  }
-  
-  return 0;
+// Calculate refund amount under the lot's cancellation policy
+bookingSchema.methods.calculateRefund = function(lot) {
+  const quote = quoteRefund(this, { lot: lot || this.parkingLot });
+  return quote.cancellable ? quote.refundAmount : 0;
 };
 
 module.exports = mongoose.model('Booking', bookingSchema);
@@ -0,0 +1,69 @@
+const mongoose = require('mongoose');
+
+// A recurring booking request (e.g. weekdays 9-6 until a date). The series is expanded
+// into individual Booking documents up front; this records the rule and what couldn't be booked.
+const bookingSeriesSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  parkingLot: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ParkingLot',
+    required: true
+  },
+  rule: {
+    frequency: {
+      type: String,
+      enum: ['daily', 'weekdays', 'weekly', 'custom'],
+      required: true
+    },
+    // Days of week for custom rules (0 = Sunday)
+    days: [{ type: Number, min: 0, max: 6 }],
+    until: {
+      type: Date,
+      required: true
+    }
+  },
+  // The first occurrence's window; later ones repeat its local start time and duration
+  firstStartTime: Date,
+  firstEndTime: Date,
+  vehicle: {
+    type: { type: String },
+    licensePlate: String
+  },
+  occurrenceCount: {
+    type: Number,
+    default: 0
+  },
+  // One payment covers every occurrence; gateway events for it apply to all of them
+  payment: {
+    method: String,
+    paymentId: String,
+    orderId: String,
+    transactionId: String
+  },
+  // Sum of the booked occurrences' totals, which that payment has to cover
+  totalAmount: {
+    type: Number,
+    default: 0
+  },
+  conflicts: [{
+    startTime: Date,
+    endTime: Date,
+    reason: String
+  }],
+  status: {
+    type: String,
+    enum: ['active', 'cancelled'],
+    default: 'active'
+  },
+  cancelledAt: Date
+}, {
+  timestamps: true
+});
+
+bookingSeriesSchema.index({ user: 1, createdAt: -1 });
+
+module.exports = mongoose.model('BookingSeries', bookingSeriesSchema);
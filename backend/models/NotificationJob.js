@@ -0,0 +1,71 @@
+const mongoose = require('mongoose');
+
+// Durable notification queue: one document per scheduled message. The worker claims due
+// jobs atomically, so several API processes can share the queue without a broker.
+const notificationJobSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: ['reminder', 'extension-offer', 'checkout-reminder', 'waitlist-offer', 'waitlist-booked'],
+    required: true
+  },
+  // Booking jobs are about a booking; waitlist jobs about a waitlist entry
+  booking: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Booking',
+    required: function() { return !this.waitlistEntry; }
+  },
+  waitlistEntry: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'WaitlistEntry'
+  },
+  user: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User'
+  },
+  // Idempotency key: booking (or waitlist entry), type and the time the job was scheduled against
+  key: {
+    type: String,
+    required: true
+  },
+  // The booking start/end (or waitlist offer expiry) the message is about; a mismatch at run
+  // time means the job is stale
+  targetTime: Date,
+  runAt: {
+    type: Date,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['queued', 'processing', 'sent', 'failed', 'skipped', 'cancelled'],
+    default: 'queued'
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  // A crashed worker's claim lapses after this, returning the job to the queue
+  lockedUntil: Date,
+  deliveries: [{
+    _id: false,
+    channel: {
+      type: String,
+      enum: ['email', 'sms', 'push', 'in-app']
+    },
+    status: {
+      type: String,
+      enum: ['sent', 'failed', 'skipped']
+    },
+    error: String,
+    at: Date
+  }],
+  lastError: String,
+  completedAt: Date
+}, {
+  timestamps: true
+});
+
+notificationJobSchema.index({ key: 1 }, { unique: true });
+notificationJobSchema.index({ status: 1, runAt: 1 });
+notificationJobSchema.index({ booking: 1, status: 1 });
+
+module.exports = mongoose.model('NotificationJob', notificationJobSchema);
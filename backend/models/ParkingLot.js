@@ -1,4 +1,8 @@
 const mongoose = require('mongoose');
+const { FIXTURE_KINDS, ROTATIONS, slotsFromPlan } = require('../services/layoutService');
+const hours = require('../services/hoursService');
+
+const HHMM = /^([01]\d|2[0-3]):[0-5]\d$/;
 
 const parkingLotSchema = new mongoose.Schema({
   name: {
@@ -57,19 +61,69 @@ const parkingLotSchema = new mongoose.Schema({
     enum: ['car', 'bike', 'truck', 'van', 'bicycle'],
     default: ['car']
   }],
+  // Rules evaluated by services/pricingService
   pricing: {
+    // Day rate
     hourly: {
       type: Number,
       required: [true, 'Hourly rate is required'],
       min: [0, 'Price cannot be negative']
     },
+    nightHourly: {
+      type: Number,
+      min: [0, 'Price cannot be negative']
+    },
+    // Night window in local time (HH:MM); may wrap midnight
+    nightStart: { type: String, match: [/^\d{2}:\d{2}$/, 'Use HH:MM'], default: '22:00' },
+    nightEnd: { type: String, match: [/^\d{2}:\d{2}$/, 'Use HH:MM'], default: '06:00' },
+    // Cap per 24 hours of parking
     daily: Number,
+    // Pass prices; weekly defaults to a pro-rata share of monthly
+    weekly: Number,
     monthly: Number,
+    weekendMultiplier: { type: Number, min: [0, 'Multiplier cannot be negative'], default: 1 },
+    holidayMultiplier: { type: Number, min: [0, 'Multiplier cannot be negative'], default: 1 },
+    // Lot-specific holidays (YYYY-MM-DD)
+    holidays: [String],
+    // Occupancy surge: highest band whose minOccupancy (%) is reached applies
+    surgeBands: [{
+      _id: false,
+      minOccupancy: { type: Number, min: 0, max: 100, required: true },
+      multiplier: { type: Number, min: 1, required: true }
+    }],
     currency: {
       type: String,
       default: 'INR'
     }
   },
+  // Cancellation/refund rules evaluated by services/refundPolicyService
+  cancellationPolicy: {
+    preset: {
+      type: String,
+      enum: ['flexible', 'moderate', 'strict', 'non-refundable', 'custom'],
+      default: 'moderate'
+    },
+    // No cancellations within this many hours of the start time
+    cutoffHours: {
+      type: Number,
+      min: [0, 'Cutoff cannot be negative']
+    },
+    // Only used by the 'custom' preset
+    tiers: [{
+      _id: false,
+      hoursBeforeStart: { type: Number, required: true, min: 0 },
+      refundPercent: { type: Number, required: true, min: 0, max: 100 }
+    }],
+    cancellationFee: {
+      type: { type: String, enum: ['none', 'flat', 'percent'], default: 'none' },
+      amount: { type: Number, default: 0, min: 0 }
+    },
+    // Bookings made at least minHoursAhead before start are non-refundable
+    earlyBird: {
+      enabled: { type: Boolean, default: false },
+      minHoursAhead: { type: Number, default: 0, min: 0 }
+    }
+  },
   amenities: [{
     type: String,
     enum: [
@@ -87,6 +141,20 @@ const parkingLotSchema = new mongoose.Schema({
     saturday: { open: String, close: String, is24Hours: Boolean },
     sunday: { open: String, close: String, is24Hours: Boolean }
   },
+  // Dated overrides of the weekly hours: a closure (holiday) or special hours for one local date
+  hoursExceptions: [{
+    date: { type: String, required: true, match: [/^\d{4}-\d{2}-\d{2}$/, 'Date must be YYYY-MM-DD'] },
+    closed: { type: Boolean, default: false },
+    open: { type: String, match: [HHMM, 'Open must be HH:MM'] },
+    close: { type: String, match: [HHMM, 'Close must be HH:MM'] },
+    is24Hours: { type: Boolean, default: false },
+    note: { type: String, trim: true, maxlength: 100 }
+  }],
+  // IANA timezone the hours and prices are in (PRICING_TIMEZONE when unset)
+  timezone: {
+    type: String,
+    validate: { validator: (value) => !value || hours.isTimeZone(value), message: 'Unknown timezone' }
+  },
   images: [{
     url: String,
     caption: String,
@@ -137,31 +205,87 @@ const parkingLotSchema = new mongoose.Schema({
     default: false
   },
   verificationDocuments: [{
-    type: String,
-    url: String
+    // Kind of document (ownership deed, lease, licence, ...)
+    type: { type: String },
+    name: String,
+    url: String,
+    publicId: String,
+    uploadedAt: { type: Date, default: Date.now }
   }],
+  // Verification workflow: owner submits documents, an admin approves or rejects
+  verification: {
+    status: {
+      type: String,
+      enum: ['unsubmitted', 'pending', 'approved', 'rejected'],
+      default: 'unsubmitted'
+    },
+    submittedAt: Date,
+    reviewedAt: Date,
+    reviewedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    rejectionReason: String
+  },
   // Physical slot layout (optional for 3D selection)
   slots: [{
     code: { type: String }, // e.g., L1-A-01
     type: { type: String, enum: ['car','bike','truck','van','bicycle'], default: 'car' },
     level: { type: Number, default: 1 },
     status: { type: String, enum: ['available','reserved','occupied','maintenance'], default: 'available' },
-    position: { // For 3D rendering (arbitrary units)
+    position: { // For 3D rendering (arbitrary units); x/z is the slot's centre on its level
       x: Number,
       y: Number, // height (level offset)
       z: Number
-    }
-  }]
+    },
+    rotation: { type: Number, enum: ROTATIONS, default: 0 },
+    // Short-lived reservation hold while the user completes payment
+    hold: {
+      id: String,
+      user: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+      startTime: Date,
+      endTime: Date,
+      expiresAt: Date
+    },
+    // Set while a reserved-spot pass owns this slot
+    passId: { type: mongoose.Schema.Types.ObjectId, ref: 'Pass' }
+  }],
+  // Held while a booking is written at a lot without a slot layout, where there is no slot hold
+  // to serialise concurrent bookings for the last space (see services/slotHoldService)
+  bookingLock: {
+    id: String,
+    expiresAt: Date
+  },
+  // Everything on the floor plan that is not a slot, edited alongside slots via /api/parking/:id/layout
+  layout: {
+    levels: [{
+      number: { type: Number, required: true },
+      name: { type: String, trim: true, maxlength: 40 } // e.g. "Basement", "Rooftop"
+    }],
+    fixtures: [{
+      kind: { type: String, enum: FIXTURE_KINDS, required: true },
+      level: { type: Number, default: 1 },
+      toLevel: Number, // ramps, stairs and elevators
+      label: { type: String, trim: true, maxlength: 40 },
+      position: { x: Number, z: Number },
+      size: { width: Number, depth: Number },
+      rotation: { type: Number, enum: ROTATIONS, default: 0 }
+    }]
+  }
 }, {
   timestamps: true
 });
 
 // Indexes for better performance
 parkingLotSchema.index({ 'location.coordinates': '2dsphere' });
+// Free-text search (GET /api/parking/search); a collection allows only one text index
+parkingLotSchema.index(
+  { name: 'text', 'location.landmarks': 'text', 'location.address.street': 'text', 'location.address.city': 'text' },
+  { name: 'lot_text_search', weights: { name: 10, 'location.landmarks': 5, 'location.address.street': 2, 'location.address.city': 2 } }
+);
 parkingLotSchema.index({ status: 1 });
 parkingLotSchema.index({ 'capacity.available': 1 });
 parkingLotSchema.index({ owner: 1 });
+parkingLotSchema.index({ 'verification.status': 1 });
 parkingLotSchema.index({ 'slots.status': 1 });
+parkingLotSchema.index({ 'slots.hold.expiresAt': 1 }, { sparse: true });
 
 // Update availability when booking is made
 parkingLotSchema.methods.updateAvailability = function(change) {
@@ -173,42 +297,22 @@ parkingLotSchema.methods.updateAvailability = function(change) {
   return this.save();
 };
 
-// Check if lot is open at given time
-parkingLotSchema.methods.isOpenAt = function(day, time) {
-  const daySchedule = this.operatingHours[day.toLowerCase()];
-  if (!daySchedule) return false;
-  if (daySchedule.is24Hours) return true;
-  
-  // Convert time strings to comparable format
-  const currentTime = new Date(`1970/01/01 ${time}`);
-  const openTime = new Date(`1970/01/01 ${daySchedule.open}`);
-  const closeTime = new Date(`1970/01/01 ${daySchedule.close}`);
-  
-  return currentTime >= openTime && currentTime <= closeTime;
+// Opening hours, in the lot's timezone (see services/hoursService)
+parkingLotSchema.methods.isOpenAt = function(at = new Date()) {
+  return hours.isOpenAt(this, at);
 };
 
-// Generate a simple grid of slots (utility, not auto-run)
-parkingLotSchema.methods.generateSlots = function({ levels = 1, rows = 5, cols = 10, type = 'car' } = {}) {
-  const slots = [];
-  const pad = (n) => String(n).padStart(2,'0');
-  for (let l = 1; l <= levels; l++) {
-    for (let r = 1; r <= rows; r++) {
-      for (let c = 1; c <= cols; c++) {
-        slots.push({
-          code: `L${l}-R${pad(r)}-C${pad(c)}`,
-          type,
-          level: l,
-          status: 'available',
-          position: {
-            x: c * 2,
-            y: (l - 1) * 5,
-            z: r * 4
-          }
-        });
-      }
-    }
-  }
-  this.slots = slots;
+parkingLotSchema.methods.isOpenBetween = function(start, end) {
+  return hours.isOpenBetween(this, start, end);
+};
+
+// Generate a slot grid (utility, not auto-run). Either a uniform grid (`levels` x `rows` x
+// `cols` of one type) or a `plan` with one list of `{ type, cols }` rows per level, e.g. from
+// layoutService.planForCapacity.
+parkingLotSchema.methods.generateSlots = function({ levels = 1, rows = 5, cols = 10, type = 'car', plan } = {}) {
+  const levelPlan = plan || Array.from({ length: levels }, () => Array.from({ length: rows }, () => ({ type, cols })));
+  this.slots = slotsFromPlan(levelPlan);
+  this.layout = { levels: levelPlan.map((_, i) => ({ number: i + 1 })), fixtures: [] };
   return this.save();
 };
 
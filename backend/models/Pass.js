@@ -0,0 +1,99 @@
+const mongoose = require('mongoose');
+
+// Weekly/monthly parking pass: a recurring subscription to one lot
+const passSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  parkingLot: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ParkingLot',
+    required: true
+  },
+  plan: {
+    type: String,
+    enum: ['weekly', 'monthly'],
+    required: true
+  },
+  // Reserved passes own one slot for the whole period; floating passes park anywhere free
+  spotType: {
+    type: String,
+    enum: ['reserved', 'floating'],
+    default: 'floating'
+  },
+  spotNumber: String,
+  vehicle: {
+    type: {
+      type: String,
+      enum: ['car', 'bike', 'truck', 'van', 'bicycle'],
+      required: true
+    },
+    licensePlate: {
+      type: String,
+      required: true,
+      uppercase: true
+    }
+  },
+  price: {
+    amount: { type: Number, required: true },
+    taxes: { type: Number, default: 0 },
+    total: { type: Number, required: true },
+    currency: { type: String, default: 'INR' }
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'active', 'paused', 'past_due', 'cancelled', 'expired'],
+    default: 'pending'
+  },
+  currentPeriod: {
+    start: Date,
+    end: Date
+  },
+  autoRenew: {
+    type: Boolean,
+    default: true
+  },
+  cancelAtPeriodEnd: {
+    type: Boolean,
+    default: false
+  },
+  billing: {
+    gateway: {
+      type: String,
+      enum: ['stripe', 'razorpay', 'manual'],
+      default: 'manual'
+    },
+    subscriptionId: String,
+    customerId: String,
+    planId: String,
+    lastPaymentId: String,
+    lastPaymentAt: Date
+  },
+  // Gate presence for pass holders (bookings use entryLog/exitLog)
+  presence: {
+    inside: { type: Boolean, default: false },
+    lastEntryAt: Date,
+    lastExitAt: Date,
+    lastGate: String
+  },
+  pausedAt: Date,
+  cancelledAt: Date,
+  cancellationReason: String
+}, {
+  timestamps: true
+});
+
+passSchema.index({ user: 1, status: 1 });
+passSchema.index({ parkingLot: 1, status: 1 });
+passSchema.index({ 'billing.subscriptionId': 1 }, { sparse: true });
+
+// Pass grants gate access at `at`
+passSchema.methods.isValidAt = function(at = new Date()) {
+  return this.status === 'active' &&
+    this.currentPeriod?.start <= at &&
+    this.currentPeriod?.end > at;
+};
+
+module.exports = mongoose.model('Pass', passSchema);
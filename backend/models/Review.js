@@ -0,0 +1,75 @@
+const mongoose = require('mongoose');
+
+// Customer review of a completed booking: the lot, plus any add-on services used
+const reviewSchema = new mongoose.Schema({
+  booking: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Booking',
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  parkingLot: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ParkingLot',
+    required: true
+  },
+  rating: {
+    type: Number,
+    required: true,
+    min: [1, 'Rating must be between 1 and 5'],
+    max: [5, 'Rating must be between 1 and 5']
+  },
+  comment: {
+    type: String,
+    trim: true,
+    maxlength: [2000, 'Review cannot exceed 2000 characters']
+  },
+  serviceRatings: [{
+    service: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Service',
+      required: true
+    },
+    score: {
+      type: Number,
+      required: true,
+      min: 1,
+      max: 5
+    }
+  }],
+  // Landowner's public response
+  reply: {
+    text: { type: String, trim: true, maxlength: 1000 },
+    by: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    repliedAt: Date
+  },
+  reports: [{
+    user: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    reason: { type: String, trim: true, maxlength: 500 },
+    reportedAt: { type: Date, default: Date.now }
+  }],
+  // Hidden reviews are kept for moderation but excluded from listings and averages
+  status: {
+    type: String,
+    enum: ['published', 'hidden'],
+    default: 'published'
+  },
+  moderatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  moderatedAt: Date
+}, {
+  timestamps: true
+});
+
+reviewSchema.index({ booking: 1 }, { unique: true });
+reviewSchema.index({ parkingLot: 1, status: 1, createdAt: -1 });
+reviewSchema.index({ 'serviceRatings.service': 1, status: 1 });
+reviewSchema.index({ user: 1, createdAt: -1 });
+
+module.exports = mongoose.model('Review', reviewSchema);
@@ -1,4 +1,10 @@
 const mongoose = require('mongoose');
+const { localTime, toMinutes, inWindow } = require('../services/pricingService');
+
+const HHMM = /^([01]\d|2[0-3]):[0-5]\d$/;
+const DAY_NAMES = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+// Step used to check that a service stays open for the whole of a stretch of time
+const HOURS_CHECK_STEP_MS = 15 * 60 * 1000;
 
 const serviceSchema = new mongoose.Schema({
   name: {
@@ -19,6 +25,11 @@ const serviceSchema = new mongoose.Schema({
     ],
     required: true
   },
+  // Landowner who created it; services without one are platform services only admins edit
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
   pricing: {
     basePrice: {
       type: Number,
@@ -59,9 +70,16 @@ const serviceSchema = new mongoose.Schema({
       type: Boolean,
       default: true
     },
+    // Local time at the lot; `end` before `start` runs past midnight
     operatingHours: {
-      start: String,
-      end: String,
+      start: {
+        type: String,
+        match: [HHMM, 'Opening time must be HH:MM']
+      },
+      end: {
+        type: String,
+        match: [HHMM, 'Closing time must be HH:MM']
+      },
       is24Hours: Boolean
     },
     daysAvailable: [{
@@ -85,6 +103,7 @@ const serviceSchema = new mongoose.Schema({
   },
   images: [{
     url: String,
+    publicId: String,
     caption: String
   }],
   // Location-specific availability
@@ -128,15 +147,41 @@ serviceSchema.methods.updateRating = function(newRating) {
   return this.save();
 };
 
-// Check availability at specific parking lot
-serviceSchema.methods.isAvailableAt = function(parkingLotId) {
+// Whether the service runs at `at` (lot local time). No days listed means every day; an
+// overnight window belongs to the day it opened on.
+serviceSchema.methods.isOpenAt = function(at, timeZone) {
+  const { operatingHours: hours, daysAvailable: days = [] } = this.availability || {};
+  const local = localTime(new Date(at), timeZone);
+  const start = toMinutes(hours?.start, null);
+  const end = toMinutes(hours?.end, null);
+  const timed = !hours?.is24Hours && start !== null && end !== null;
+  if (timed && !inWindow(local.minutes, start, end)) return false;
+  if (!days.length) return true;
+  const openedYesterday = timed && start > end && local.minutes < end;
+  return days.includes(DAY_NAMES[(local.weekday + (openedYesterday ? 6 : 0)) % 7]);
+};
+
+// Whether the service stays open from `start` until `end`
+serviceSchema.methods.isOpenBetween = function(start, end, timeZone) {
+  const from = new Date(start).getTime();
+  const to = new Date(end).getTime();
+  for (let t = from; t < to; t += HOURS_CHECK_STEP_MS) {
+    if (!this.isOpenAt(t, timeZone)) return false;
+  }
+  return this.isOpenAt(Math.max(from, to - 60 * 1000), timeZone);
+};
+
+// Check availability at specific parking lot, optionally at a time (`at`) or for a whole
+// stretch (`at` to `until`) in the lot's timezone
+serviceSchema.methods.isAvailableAt = function(parkingLotId, { at, until, timezone } = {}) {
   if (!this.availability.isActive) return false;
   
   const lotAvailability = this.availableAt.find(
     loc => loc.parkingLot.toString() === parkingLotId.toString()
   );
-  
-  return lotAvailability ? lotAvailability.isActive : false;
+  if (!lotAvailability || !lotAvailability.isActive) return false;
+  if (!at) return true;
+  return until ? this.isOpenBetween(at, until, timezone) : this.isOpenAt(at, timezone);
 };
 
 // Get price for specific parking lot
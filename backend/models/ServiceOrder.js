@@ -0,0 +1,91 @@
+const mongoose = require('mongoose');
+
+// One add-on service (wash, valet, charging…) to be carried out on a booked vehicle.
+// Booking.services holds the price line; this tracks whether the work actually happens.
+const serviceOrderSchema = new mongoose.Schema({
+  booking: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Booking',
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  parkingLot: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ParkingLot',
+    required: true
+  },
+  service: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Service',
+    required: true
+  },
+  serviceName: String,
+  quantity: {
+    type: Number,
+    default: 1,
+    min: 1
+  },
+  // Price per unit at the time of ordering and the taxed total
+  unitPrice: Number,
+  amount: Number,
+  status: {
+    type: String,
+    enum: ['requested', 'accepted', 'in-progress', 'done', 'cancelled'],
+    default: 'requested'
+  },
+  // Time set aside inside the booking window; null when it could not be fitted in
+  scheduledStart: Date,
+  scheduledEnd: Date,
+  // Who does the work: a platform user (lot staff/provider) and/or the service's external provider
+  provider: {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    name: String,
+    phone: String
+  },
+  // 'booking': paid with the booking; 'on-completion': charged to the booking's ledger when done
+  billing: {
+    mode: {
+      type: String,
+      enum: ['booking', 'on-completion'],
+      default: 'on-completion'
+    },
+    transaction: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Transaction'
+    }
+  },
+  notes: {
+    type: String,
+    maxlength: [500, 'Notes cannot exceed 500 characters']
+  },
+  history: [{
+    _id: false,
+    status: String,
+    at: Date,
+    by: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    note: String
+  }],
+  startedAt: Date,
+  completedAt: Date,
+  cancelledAt: Date,
+  cancellationReason: String
+}, {
+  timestamps: true
+});
+
+serviceOrderSchema.index({ parkingLot: 1, status: 1, scheduledStart: 1 });
+serviceOrderSchema.index({ booking: 1 });
+serviceOrderSchema.index({ 'provider.user': 1, status: 1 });
+serviceOrderSchema.index({ user: 1, createdAt: -1 });
+
+module.exports = mongoose.model('ServiceOrder', serviceOrderSchema);
@@ -0,0 +1,102 @@
+const mongoose = require('mongoose');
+
+// Ledger entry for money moving on a booking or pass. Entries are append-only: corrections
+// are posted as new entries, never by editing old ones.
+const transactionSchema = new mongoose.Schema({
+  booking: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Booking',
+    required: function() { return !this.pass; }
+  },
+  pass: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Pass'
+  },
+  user: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User'
+  },
+  parkingLot: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'ParkingLot'
+  },
+  // Lot owner at the time of posting, so payouts survive ownership changes
+  owner: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User'
+  },
+  type: {
+    type: String,
+    enum: ['charge', 'extension', 'overtime', 'service', 'payment', 'refund', 'pass'],
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['posted', 'failed'],
+    default: 'posted'
+  },
+  // Pre-tax amount, tax and discount; amount = base + taxes - discount (always positive)
+  base: {
+    type: Number,
+    default: 0
+  },
+  taxes: {
+    type: Number,
+    default: 0
+  },
+  discount: {
+    type: Number,
+    default: 0
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: [0, 'Amount cannot be negative']
+  },
+  currency: {
+    type: String,
+    default: 'INR'
+  },
+  gateway: {
+    type: String,
+    enum: ['stripe', 'razorpay', 'cash', 'card', 'upi', 'wallet', 'manual', null],
+    default: null
+  },
+  gatewayRef: String,
+  description: String,
+  service: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Service'
+  },
+  createdBy: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User'
+  },
+  // Stable key per business event (e.g. "refund:stripe:re_123") so retries don't double-post
+  idempotencyKey: String,
+  metadata: mongoose.Schema.Types.Mixed
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+transactionSchema.index({ booking: 1, createdAt: 1 });
+transactionSchema.index({ pass: 1, createdAt: 1 }, { sparse: true });
+transactionSchema.index({ owner: 1, createdAt: -1 });
+transactionSchema.index({ parkingLot: 1, createdAt: -1 });
+transactionSchema.index({ idempotencyKey: 1 }, { unique: true, sparse: true });
+
+const immutable = function(next) {
+  next(new Error('Ledger transactions are immutable'));
+};
+
+transactionSchema.pre('save', function(next) {
+  if (!this.isNew) return immutable(next);
+  next();
+});
+transactionSchema.pre(
+  ['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace',
+    'deleteOne', 'deleteMany', 'findOneAndDelete', 'findOneAndRemove'],
+  immutable
+);
+
+module.exports = mongoose.model('Transaction', transactionSchema);
@@ -39,6 +39,14 @@ const userSchema = new mongoose.Schema({
     type: Boolean,
     default: false
   },
+  // Admin suspension; suspended users can't sign in or use the API until lifted or `until` passes
+  suspension: {
+    active: { type: Boolean, default: false },
+    reason: String,
+    suspendedAt: Date,
+    suspendedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    until: Date
+  },
   verificationToken: String,
   resetPasswordToken: String,
   resetPasswordExpire: Date,
@@ -52,6 +60,17 @@ const userSchema = new mongoose.Schema({
     defaultPaymentMethod: String,
     favoriteLocations: [String]
   },
+  // Card saved with Stripe for charges made while the user is away (waitlist auto-booking).
+  // Only the gateway references and what is needed to show the card are kept.
+  savedPaymentMethod: {
+    customerId: String,
+    paymentMethodId: String,
+    brand: String,
+    last4: String,
+    expMonth: Number,
+    expYear: Number,
+    savedAt: Date
+  },
   // Analytics
   totalBookings: {
     type: Number,
@@ -83,6 +102,12 @@ userSchema.methods.matchPassword = async function(enteredPassword) {
   return await bcrypt.compare(enteredPassword, this.password);
 };
 
+// Whether an admin suspension is in force right now
+userSchema.methods.isSuspended = function(now = new Date()) {
+  if (!this.suspension?.active) return false;
+  return !this.suspension.until || this.suspension.until > now;
+};
+
 // Generate verification token
 userSchema.methods.generateVerificationToken = function() {
   const resetToken = Math.random().toString(36).substring(2, 15) + 
@@ -0,0 +1,70 @@
+const mongoose = require('mongoose');
+
+// A user's place in line for a full lot: any space for their vehicle across
+// [startTime, endTime). When a space frees up the first eligible entry is offered it for a
+// limited time, or booked straight away if the user opted into automatic booking.
+const waitlistEntrySchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  parkingLot: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'ParkingLot',
+    required: true
+  },
+  vehicle: {
+    type: {
+      type: String,
+      enum: ['car', 'bike', 'truck', 'van', 'bicycle'],
+      required: true
+    },
+    licensePlate: {
+      type: String,
+      required: true,
+      trim: true
+    }
+  },
+  startTime: {
+    type: Date,
+    required: true
+  },
+  endTime: {
+    type: Date,
+    required: true
+  },
+  // Book and charge the user's saved card without asking when a space frees up
+  autoBook: {
+    type: Boolean,
+    default: false
+  },
+  status: {
+    type: String,
+    enum: ['waiting', 'offered', 'booked', 'expired', 'cancelled'],
+    default: 'waiting'
+  },
+  // The open (or last) offer. On lots with a slot layout the offered slot is held until expiresAt.
+  offer: {
+    offeredAt: Date,
+    expiresAt: Date,
+    holdId: String,
+    slotCode: String
+  },
+  booking: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Booking'
+  },
+  // Why the last automatic booking failed; the user got a normal offer instead
+  autoBookError: String,
+  closedAt: Date
+}, {
+  timestamps: true
+});
+
+// The line for a lot, in join order
+waitlistEntrySchema.index({ parkingLot: 1, status: 1, createdAt: 1 });
+waitlistEntrySchema.index({ user: 1, status: 1 });
+waitlistEntrySchema.index({ status: 1, 'offer.expiresAt': 1 });
+
+module.exports = mongoose.model('WaitlistEntry', waitlistEntrySchema);
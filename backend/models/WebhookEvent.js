@@ -0,0 +1,41 @@
+const mongoose = require('mongoose');
+
+// Idempotency store for payment gateway webhooks: one document per (provider, eventId)
+const webhookEventSchema = new mongoose.Schema({
+  provider: {
+    type: String,
+    enum: ['stripe', 'razorpay'],
+    required: true
+  },
+  eventId: {
+    type: String,
+    required: true
+  },
+  type: String,
+  status: {
+    type: String,
+    enum: ['processing', 'processed', 'ignored', 'failed'],
+    default: 'processing'
+  },
+  booking: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Booking'
+  },
+  pass: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Pass'
+  },
+  paymentStatus: String,
+  attempts: {
+    type: Number,
+    default: 1
+  },
+  error: String,
+  processedAt: Date
+}, {
+  timestamps: true
+});
+
+webhookEventSchema.index({ provider: 1, eventId: 1 }, { unique: true });
+
+module.exports = mongoose.model('WebhookEvent', webhookEventSchema);
@@ -0,0 +1,429 @@
+const express = require('express');
+const { body, param, query, validationResult } = require('express-validator');
+const User = require('../models/User');
+const ParkingLot = require('../models/ParkingLot');
+const Booking = require('../models/Booking');
+const Review = require('../models/Review');
+const AuditEvent = require('../models/AuditEvent');
+const { protect, authorize } = require('../middleware/authMiddleware');
+const { sendLotVerificationEmail } = require('../services/emailService');
+const { buildOwnerFilter, toOwnerRow } = require('../services/ownerBookingService');
+const { diff, buildAuditFilter, toCsvRow, CSV_COLUMNS, escapeRegex } = require('../services/auditService');
+const { publish } = require('../services/realtimeService');
+
+const router = express.Router();
+
+// Every admin route requires a signed-in admin
+router.use(protect, authorize('admin'));
+
+const ROLES = User.schema.path('role').enumValues;
+const LOT_STATUSES = ParkingLot.schema.path('status').enumValues;
+const VERIFICATION_STATUSES = ParkingLot.schema.path('verification.status').enumValues;
+const AUDIT_TARGETS = AuditEvent.schema.path('target.type').enumValues;
+const AUDIT_EXPORT_MAX = parseInt(process.env.AUDIT_EXPORT_MAX || '10000', 10);
+
+const validationFailed = (req, res) => {
+  const errors = validationResult(req);
+  if (errors.isEmpty()) return false;
+  res.status(400).json({ success: false, message: 'Validation failed', errors: errors.array() });
+  return true;
+};
+
+const pageRules = [
+  query('page').optional().isInt({ min: 1 }).toInt(),
+  query('limit').optional().isInt({ min: 1, max: 100 }).toInt()
+];
+
+const paginate = (page, limit, total) => ({
+  current: page,
+  total: Math.ceil(total / limit),
+  totalItems: total
+});
+
+// Count documents grouped by `field` into { value: count }
+const countBy = async (Model, field) => {
+  const rows = await Model.aggregate([{ $group: { _id: `$${field}`, n: { $sum: 1 } } }]);
+  return Object.fromEntries(rows.map(r => [r._id ?? 'unset', r.n]));
+};
+
+// @desc    Platform overview: users, lots, verification queue, bookings and reviews
+// @route   GET /api/admin/stats
+// @access  Private (Admin)
+router.get('/stats', async (req, res) => {
+  try {
+    const [usersByRole, suspended, lotsByStatus, lotsByVerification, bookingsByStatus, hiddenReviews] = await Promise.all([
+      countBy(User, 'role'),
+      User.countDocuments({ 'suspension.active': true }),
+      countBy(ParkingLot, 'status'),
+      countBy(ParkingLot, 'verification.status'),
+      countBy(Booking, 'status'),
+      Review.countDocuments({ status: 'hidden' })
+    ]);
+    res.status(200).json({
+      success: true,
+      data: {
+        users: { byRole: usersByRole, suspended },
+        lots: { byStatus: lotsByStatus, byVerification: lotsByVerification },
+        bookings: { byStatus: bookingsByStatus },
+        reviews: { hidden: hiddenReviews }
+      }
+    });
+  } catch (error) {
+    console.error('Admin stats error:', error);
+    res.status(500).json({ success: false, message: 'Server error fetching platform stats' });
+  }
+});
+
+// @desc    Search users by name/email, role and suspension
+// @route   GET /api/admin/users?search=&role=&suspended=true|false&page=&limit=
+// @access  Private (Admin)
+router.get('/users', [
+  query('search').optional().isString().isLength({ max: 100 }),
+  query('role').optional().isIn(ROLES).withMessage('Invalid role'),
+  query('suspended').optional().isBoolean().toBoolean(),
+  ...pageRules
+], async (req, res) => {
+  try {
+    if (validationFailed(req, res)) return;
+    const { search, role, suspended, page = 1, limit = 20 } = req.query;
+    const filter = {};
+    if (role) filter.role = role;
+    if (suspended !== undefined) filter['suspension.active'] = suspended ? true : { $ne: true };
+    if (search) {
+      const pattern = new RegExp(escapeRegex(search), 'i');
+      filter.$or = [{ name: pattern }, { email: pattern }, { phone: pattern }];
+    }
+
+    const [users, total] = await Promise.all([
+      User.find(filter)
+        .select('name email phone role isVerified suspension totalBookings createdAt')
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      User.countDocuments(filter)
+    ]);
+    res.status(200).json({ success: true, data: { users, pagination: paginate(page, limit, total) } });
+  } catch (error) {
+    console.error('Admin list users error:', error);
+    res.status(500).json({ success: false, message: 'Server error fetching users' });
+  }
+});
+
+// @desc    Change a user's role
+// @route   PATCH /api/admin/users/:id/role
+// @access  Private (Admin)
+router.patch('/users/:id/role', [
+  param('id').isMongoId().withMessage('Invalid user ID'),
+  body('role').isIn(ROLES).withMessage(`Role must be one of ${ROLES.join(', ')}`)
+], async (req, res) => {
+  try {
+    if (validationFailed(req, res)) return;
+    if (req.params.id === req.user.id) {
+      return res.status(400).json({ success: false, message: 'You cannot change your own role' });
+    }
+    // Returns the pre-update document so the audit entry can record the old role
+    const user = await User.findByIdAndUpdate(req.params.id, { role: req.body.role })
+      .select('name email role suspension');
+    if (!user) {
+      return res.status(404).json({ success: false, message: 'User not found' });
+    }
+    if (user.role !== req.body.role) {
+      await req.audit('user.role', {
+        target: { type: 'User', id: user._id, label: user.email },
+        changes: [{ field: 'role', from: user.role, to: req.body.role }]
+      });
+      user.role = req.body.role;
+    }
+    res.status(200).json({ success: true, message: `Role changed to ${user.role}`, data: { user } });
+  } catch (error) {
+    console.error('Admin change role error:', error);
+    res.status(500).json({ success: false, message: 'Server error changing role' });
+  }
+});
+
+// @desc    Suspend a user (optionally until a date)
+// @route   POST /api/admin/users/:id/suspend
+// @access  Private (Admin)
+router.post('/users/:id/suspend', [
+  param('id').isMongoId().withMessage('Invalid user ID'),
+  body('reason').trim().isLength({ min: 3, max: 500 }).withMessage('Give a reason (3-500 characters)'),
+  body('until').optional().isISO8601().withMessage('`until` must be an ISO 8601 date')
+], async (req, res) => {
+  try {
+    if (validationFailed(req, res)) return;
+    if (req.params.id === req.user.id) {
+      return res.status(400).json({ success: false, message: 'You cannot suspend yourself' });
+    }
+    const until = req.body.until ? new Date(req.body.until) : undefined;
+    if (until && until <= new Date()) {
+      return res.status(400).json({ success: false, message: '`until` must be in the future' });
+    }
+    const suspension = {
+      active: true,
+      reason: req.body.reason,
+      suspendedAt: new Date(),
+      suspendedBy: req.user._id,
+      until
+    };
+    const user = await User.findByIdAndUpdate(req.params.id, { suspension })
+      .select('name email role suspension');
+    if (!user) {
+      return res.status(404).json({ success: false, message: 'User not found' });
+    }
+    await req.audit('user.suspend', {
+      target: { type: 'User', id: user._id, label: user.email },
+      changes: diff(user, { suspension }, ['suspension.active', 'suspension.reason', 'suspension.until'])
+    });
+    user.suspension = suspension;
+    res.status(200).json({ success: true, message: 'User suspended', data: { user } });
+  } catch (error) {
+    console.error('Admin suspend user error:', error);
+    res.status(500).json({ success: false, message: 'Server error suspending user' });
+  }
+});
+
+// @desc    Lift a suspension
+// @route   POST /api/admin/users/:id/unsuspend
+// @access  Private (Admin)
+router.post('/users/:id/unsuspend', [
+  param('id').isMongoId().withMessage('Invalid user ID')
+], async (req, res) => {
+  try {
+    if (validationFailed(req, res)) return;
+    const user = await User.findByIdAndUpdate(req.params.id, { $set: { 'suspension.active': false } })
+      .select('name email role suspension');
+    if (!user) {
+      return res.status(404).json({ success: false, message: 'User not found' });
+    }
+    if (user.suspension?.active) {
+      await req.audit('user.unsuspend', {
+        target: { type: 'User', id: user._id, label: user.email },
+        changes: [{ field: 'suspension.active', from: true, to: false }],
+        metadata: { reason: user.suspension.reason }
+      });
+    }
+    user.suspension.active = false;
+    res.status(200).json({ success: true, message: 'Suspension lifted', data: { user } });
+  } catch (error) {
+    console.error('Admin unsuspend user error:', error);
+    res.status(500).json({ success: false, message: 'Server error lifting suspension' });
+  }
+});
+
+// @desc    Search lots by name/city, status and verification state
+// @route   GET /api/admin/lots?search=&status=&verification=&page=&limit=
+// @access  Private (Admin)
+router.get('/lots', [
+  query('search').optional().isString().isLength({ max: 100 }),
+  query('status').optional().isIn(LOT_STATUSES).withMessage('Invalid status'),
+  query('verification').optional().isIn(VERIFICATION_STATUSES).withMessage('Invalid verification state'),
+  ...pageRules
+], async (req, res) => {
+  try {
+    if (validationFailed(req, res)) return;
+    const { search, status, verification, page = 1, limit = 20 } = req.query;
+    const filter = {};
+    if (status) filter.status = status;
+    // Lots created before the workflow have no verification state and count as unsubmitted
+    if (verification === 'unsubmitted') filter['verification.status'] = { $in: ['unsubmitted', null] };
+    else if (verification) filter['verification.status'] = verification;
+    if (search) {
+      const pattern = new RegExp(escapeRegex(search), 'i');
+      filter.$or = [{ name: pattern }, { 'location.address.city': pattern }];
+    }
+
+    const [lots, total] = await Promise.all([
+      ParkingLot.find(filter)
+        .select('name owner location.address capacity status isVerified verification verificationDocuments createdAt')
+        .populate('owner', 'name email phone')
+        // Oldest submissions first so the verification queue is worked in order
+        .sort(verification === 'pending' ? { 'verification.submittedAt': 1 } : { createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      ParkingLot.countDocuments(filter)
+    ]);
+    res.status(200).json({ success: true, data: { lots, pagination: paginate(page, limit, total) } });
+  } catch (error) {
+    console.error('Admin list lots error:', error);
+    res.status(500).json({ success: false, message: 'Server error fetching lots' });
+  }
+});
+
+// @desc    Change a lot's operating status (active, inactive, maintenance, full)
+// @route   PATCH /api/admin/lots/:id/status
+// @access  Private (Admin)
+router.patch('/lots/:id/status', [
+  param('id').isMongoId().withMessage('Invalid lot ID'),
+  body('status').isIn(LOT_STATUSES).withMessage(`Status must be one of ${LOT_STATUSES.join(', ')}`)
+], async (req, res) => {
+  try {
+    if (validationFailed(req, res)) return;
+    const lot = await ParkingLot.findByIdAndUpdate(req.params.id, { status: req.body.status })
+      .select('name status isVerified verification');
+    if (!lot) {
+      return res.status(404).json({ success: false, message: 'Parking lot not found' });
+    }
+    if (lot.status !== req.body.status) {
+      await req.audit('lot.status', {
+        target: { type: 'ParkingLot', id: lot._id, label: lot.name },
+        changes: [{ field: 'status', from: lot.status, to: req.body.status }]
+      });
+      lot.status = req.body.status;
+    }
+    publish(req.io, 'availability-update', { lotId: lot._id, status: lot.status }, { lotId: lot._id });
+    res.status(200).json({ success: true, message: `Lot is now ${lot.status}`, data: { lot } });
+  } catch (error) {
+    console.error('Admin lot status error:', error);
+    res.status(500).json({ success: false, message: 'Server error updating lot status' });
+  }
+});
+
+// @desc    Approve or reject a lot's verification submission
+// @route   POST /api/admin/lots/:id/verification
+// @access  Private (Admin)
+router.post('/lots/:id/verification', [
+  param('id').isMongoId().withMessage('Invalid lot ID'),
+  body('decision').isIn(['approve', 'reject']).withMessage('Decision must be approve or reject'),
+  body('reason').if(body('decision').equals('reject'))
+    .trim().isLength({ min: 3, max: 500 }).withMessage('A reason is required when rejecting')
+], async (req, res) => {
+  try {
+    if (validationFailed(req, res)) return;
+    const lot = await ParkingLot.findById(req.params.id).populate('owner', 'name email');
+    if (!lot) {
+      return res.status(404).json({ success: false, message: 'Parking lot not found' });
+    }
+    if (lot.verification?.status !== 'pending') {
+      return res.status(409).json({ success: false, message: 'This lot has no pending verification request' });
+    }
+
+    const approved = req.body.decision === 'approve';
+    const before = { isVerified: lot.isVerified, verification: { status: lot.verification.status } };
+    lot.isVerified = approved;
+    lot.verification = {
+      status: approved ? 'approved' : 'rejected',
+      submittedAt: lot.verification.submittedAt,
+      reviewedAt: new Date(),
+      reviewedBy: req.user._id,
+      rejectionReason: approved ? undefined : req.body.reason
+    };
+    await lot.save();
+    await req.audit('lot.verification', {
+      target: { type: 'ParkingLot', id: lot._id, label: lot.name },
+      changes: diff(before, { isVerified: lot.isVerified, verification: { status: lot.verification.status } }),
+      metadata: approved ? undefined : { reason: req.body.reason }
+    });
+
+    // The decision stands even if the notification can't be delivered
+    if (lot.owner?.email) {
+      sendLotVerificationEmail(lot.owner.email, lot, { approved, reason: req.body.reason })
+        .catch(err => console.error('Verification email error:', err.message));
+    }
+
+    res.status(200).json({
+      success: true,
+      message: approved ? 'Lot verified' : 'Verification rejected',
+      data: { lotId: lot._id, isVerified: lot.isVerified, verification: lot.verification }
+    });
+  } catch (error) {
+    console.error('Admin verification decision error:', error);
+    res.status(500).json({ success: false, message: 'Server error recording verification decision' });
+  }
+});
+
+// @desc    Bookings across the platform with the owner-list filters plus customer
+// @route   GET /api/admin/bookings?lotId=&userId=&status=&from=&to=&plate=&page=&limit=
+// @access  Private (Admin)
+router.get('/bookings', [
+  query('lotId').optional().isMongoId().withMessage('Invalid lot ID'),
+  query('userId').optional().isMongoId().withMessage('Invalid user ID'),
+  query('status').optional().custom(value => String(value).split(',').every(s => Booking.schema.path('status').enumValues.includes(s.trim())))
+    .withMessage('Invalid status filter'),
+  query('from').optional().isISO8601().withMessage('`from` must be an ISO 8601 date'),
+  query('to').optional().isISO8601().withMessage('`to` must be an ISO 8601 date'),
+  query('plate').optional().isString().isLength({ max: 20 }),
+  ...pageRules
+], async (req, res) => {
+  try {
+    if (validationFailed(req, res)) return;
+    const { lotId, userId, page = 1, limit = 20 } = req.query;
+    const scope = lotId ? { all: false, ids: [lotId] } : { all: true, ids: [] };
+    const filter = buildOwnerFilter(scope, req.query);
+    if (userId) filter.user = userId;
+
+    const [bookings, total] = await Promise.all([
+      Booking.find(filter)
+        .populate('parkingLot', 'name')
+        .populate('user', 'name email phone')
+        .sort({ 'bookingDetails.startTime': -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      Booking.countDocuments(filter)
+    ]);
+    res.status(200).json({
+      success: true,
+      data: { bookings: bookings.map(toOwnerRow), pagination: paginate(page, limit, total) }
+    });
+  } catch (error) {
+    console.error('Admin list bookings error:', error);
+    res.status(500).json({ success: false, message: 'Server error fetching bookings' });
+  }
+});
+
+const auditRules = [
+  query('actor').optional().isMongoId().withMessage('Invalid actor ID'),
+  query('action').optional().matches(/^[a-z.,]+$/).withMessage('Invalid action filter'),
+  query('targetType').optional().isIn(AUDIT_TARGETS).withMessage(`Target type must be one of ${AUDIT_TARGETS.join(', ')}`),
+  query('targetId').optional().isMongoId().withMessage('Invalid target ID'),
+  query('from').optional().isISO8601().withMessage('`from` must be an ISO 8601 date'),
+  query('to').optional().isISO8601().withMessage('`to` must be an ISO 8601 date'),
+  query('requestId').optional().isAlphanumeric().isLength({ max: 32 }).withMessage('Invalid request ID')
+];
+
+// @desc    Audit trail of privileged and financial actions, newest first
+// @route   GET /api/admin/audit?actor=&action=&targetType=&targetId=&from=&to=&requestId=&page=&limit=
+// @access  Private (Admin)
+router.get('/audit', [...auditRules, ...pageRules], async (req, res) => {
+  try {
+    if (validationFailed(req, res)) return;
+    const { page = 1, limit = 50 } = req.query;
+    const filter = buildAuditFilter(req.query);
+
+    const [events, total] = await Promise.all([
+      AuditEvent.find(filter)
+        .populate('actor', 'name email')
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      AuditEvent.countDocuments(filter)
+    ]);
+    res.status(200).json({ success: true, data: { events, pagination: paginate(page, limit, total) } });
+  } catch (error) {
+    console.error('Admin audit query error:', error);
+    res.status(500).json({ success: false, message: 'Server error fetching audit events' });
+  }
+});
+
+// @desc    The same query as CSV (capped at AUDIT_EXPORT_MAX rows)
+// @route   GET /api/admin/audit/export?actor=&action=&targetType=&targetId=&from=&to=&requestId=
+// @access  Private (Admin)
+router.get('/audit/export', auditRules, async (req, res) => {
+  try {
+    if (validationFailed(req, res)) return;
+    const events = await AuditEvent.find(buildAuditFilter(req.query))
+      .populate('actor', 'email')
+      .sort({ createdAt: -1 })
+      .limit(AUDIT_EXPORT_MAX)
+      .lean();
+
+    const stamp = new Date().toISOString().slice(0, 10);
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="audit-${stamp}.csv"`);
+    res.status(200).send([CSV_COLUMNS.join(','), ...events.map(toCsvRow)].join('\n') + '\n');
+  } catch (error) {
+    console.error('Admin audit export error:', error);
+    res.status(500).json({ success: false, message: 'Server error exporting audit events' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,125 @@
+const express = require('express');
+const { query, validationResult } = require('express-validator');
+const { protect, authorize } = require('../middleware/authMiddleware');
+const {
+  INTERVALS,
+  DEFAULT_TIMEZONE,
+  resolveRange,
+  resolveLots,
+  revenueSeries,
+  occupancyHeatmap,
+  stayStats,
+  cancellationStats,
+  topServices,
+  lotComparison,
+  ownerSummary
+} = require('../services/analyticsService');
+
+const router = express.Router();
+
+const isTimeZone = (value) => {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: value });
+    return true;
+  } catch (e) {
+    return false;
+  }
+};
+
+// Shared query parameters: from, to (ISO dates), lotId, ownerId (admin only), timezone
+const reportRules = [
+  query('from').optional().isISO8601().withMessage('`from` must be an ISO 8601 date'),
+  query('to').optional().isISO8601().withMessage('`to` must be an ISO 8601 date'),
+  query('lotId').optional().isMongoId().withMessage('Invalid lot ID'),
+  query('ownerId').optional().isMongoId().withMessage('Invalid owner ID'),
+  query('timezone').optional().custom(isTimeZone).withMessage('Unknown timezone')
+];
+
+// Validate the request and resolve the report scope onto req.report, or answer with the error
+const loadReport = async (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ success: false, message: 'Validation failed', errors: errors.array() });
+  }
+  const range = resolveRange(req.query);
+  if (range.error) {
+    return res.status(400).json({ success: false, message: range.error });
+  }
+  try {
+    const lots = await resolveLots(req.user, req.query);
+    if (!lots) {
+      return res.status(404).json({ success: false, message: 'Parking lot not found or not owned by you' });
+    }
+    req.report = { lots, range, timezone: req.query.timezone || DEFAULT_TIMEZONE };
+    next();
+  } catch (error) {
+    console.error('Resolve analytics scope error:', error);
+    res.status(500).json({ success: false, message: 'Server error loading analytics' });
+  }
+};
+
+// Wrap a report builder in the common validation, scoping and response envelope
+const report = (name, build, extraRules = []) => [
+  protect,
+  authorize('landowner', 'admin'),
+  ...reportRules,
+  ...extraRules,
+  loadReport,
+  async (req, res) => {
+    try {
+      const { lots, range, timezone } = req.report;
+      const data = await build(lots, range, { timezone, query: req.query });
+      res.status(200).json({ success: true, data: { range, ...data } });
+    } catch (error) {
+      console.error(`Get ${name} analytics error:`, error);
+      res.status(500).json({ success: false, message: `Server error fetching ${name} analytics` });
+    }
+  }
+];
+
+// @desc    Headline numbers: revenue, bookings, lots, live occupancy, cancellation rate
+// @route   GET /api/analytics/owner/summary
+// @access  Private (Landowner/Admin)
+router.get('/owner/summary', report('summary', async (lots, range) => ({
+  summary: await ownerSummary(lots, range)
+})));
+
+// @desc    Revenue by day, ISO week or month
+// @route   GET /api/analytics/owner/revenue?interval=day|week|month
+// @access  Private (Landowner/Admin)
+router.get('/owner/revenue', report('revenue', (lots, range, { timezone, query: q }) => (
+  revenueSeries(lots, range, { interval: q.interval, timezone })
+), [query('interval').optional().isIn(Object.keys(INTERVALS)).withMessage('Interval must be day, week or month')]));
+
+// @desc    Occupancy heatmap by weekday and hour of day
+// @route   GET /api/analytics/owner/occupancy
+// @access  Private (Landowner/Admin)
+router.get('/owner/occupancy', report('occupancy', (lots, range, { timezone }) => (
+  occupancyHeatmap(lots, range, { timezone })
+)));
+
+// @desc    Average stay length
+// @route   GET /api/analytics/owner/stays
+// @access  Private (Landowner/Admin)
+router.get('/owner/stays', report('stay', stayStats));
+
+// @desc    Cancellation and no-show rates
+// @route   GET /api/analytics/owner/cancellations
+// @access  Private (Landowner/Admin)
+router.get('/owner/cancellations', report('cancellation', cancellationStats));
+
+// @desc    Add-on services ranked by revenue
+// @route   GET /api/analytics/owner/services
+// @access  Private (Landowner/Admin)
+router.get('/owner/services', report('services', async (lots, range, { query: q }) => ({
+  services: await topServices(lots, range, { limit: q.limit || 10 })
+}), [query('limit').optional().isInt({ min: 1, max: 50 }).toInt()]));
+
+// @desc    Per-lot comparison of revenue, bookings, cancellations and stays
+// @route   GET /api/analytics/owner/lots
+// @access  Private (Landowner/Admin)
+router.get('/owner/lots', report('lot comparison', async (lots, range) => ({
+  lots: await lotComparison(lots, range)
+})));
+
+module.exports = router;
@@ -147,6 +147,13 @@ router.post('/login', [
       });
     }
 
+    if (user.isSuspended()) {
+      return res.status(403).json({
+        success: false,
+        message: user.suspension.reason ? `Your account has been suspended: ${user.suspension.reason}` : 'Your account has been suspended'
+      });
+    }
+
     // Generate token
     const token = generateToken(user._id);
 
@@ -1,17 +1,57 @@
 const express = require('express');
 const { body, query, validationResult } = require('express-validator');
 const Booking = require('../models/Booking');
+const BookingSeries = require('../models/BookingSeries');
 const ParkingLot = require('../models/ParkingLot');
 const Service = require('../models/Service');
 const User = require('../models/User');
-const { protect } = require('../middleware/authMiddleware');
+const WaitlistEntry = require('../models/WaitlistEntry');
+const { protect, authorize } = require('../middleware/authMiddleware');
+const logger = require('../config/logger');
 const { sendBookingConfirmation } = require('../services/emailService');
-const { createPaymentIntent, confirmPayment } = require('../services/stripeService');
+const { createPaymentIntent, confirmPayment, createRefund, chargeSavedPaymentMethod } = require('../services/stripeService');
 const { createOrder, verifyPaymentSignature } = require('../services/razorpayService');
+const { checkAvailability, syncLiveCapacity } = require('../services/availabilityService');
+const { closureReason } = require('../services/hoursService');
+const { lockSlotForBooking, releaseBookingLock, broadcastHold, broadcastSlotStatus } = require('../services/slotHoldService');
+const { verifyTicket, ticketMismatch, renderTicketQr } = require('../services/ticketService');
+const { quoteRefund } = require('../services/refundPolicyService');
+const { quoteBooking, priceParking, priceExtension, stayError } = require('../services/pricingService');
+const { scanPass } = require('../services/passService');
+const { publish } = require('../services/realtimeService');
+const { scheduleBookingNotifications } = require('../services/notificationService');
+const {
+  ACTIVE_STATUSES: WAITLIST_ACTIVE_STATUSES,
+  registerAutoBooker,
+  emitEntry,
+  positionOf,
+  joinWaitlist,
+  closeEntry,
+  offerFreedSpace
+} = require('../services/waitlistService');
+const { durationOf, openHoursOf, findServiceWindow, createBookedServiceOrders } = require('../services/serviceOrderService');
+const {
+  BULK_ACTIONS,
+  MAX_BULK,
+  managedLotIds,
+  buildOwnerFilter,
+  localDayBounds,
+  toOwnerRow
+} = require('../services/ownerBookingService');
+const { FREQUENCIES, validateRule, expandRecurrence } = require('../services/recurrenceService');
+const {
+  postBookingCharges,
+  postExtension,
+  postOvertime,
+  postRefund,
+  applyLedgerTotals,
+  listEntries,
+  summarise
+} = require('../services/ledgerService');
 
 const router = express.Router();
 
-let Stripe, Razorpay, PDFDocument, QRCode;
+let Stripe, Razorpay, PDFDocument;
 let stripeClient = null;
 let razorpayClient = null;
 let optionalPdfAvailable = false;
@@ -28,13 +68,11 @@ try {
 }
 try {
   PDFDocument = require('pdfkit');
-  QRCode = require('qrcode');
   optionalPdfAvailable = true;
 } catch (e) {
-  // PDF/QRCode optional; if missing, ticket endpoint will return an explanatory error
+  // PDF optional; if missing, ticket endpoint will return an explanatory error
   optionalPdfAvailable = false;
   PDFDocument = null;
-  QRCode = null;
 }
 
 // Initialize gateways if keys provided and packages are available
@@ -45,6 +83,367 @@ if (Razorpay && process.env.RAZORPAY_KEY_ID && process.env.RAZORPAY_KEY_SECRET)
   try { razorpayClient = new Razorpay({ key_id: process.env.RAZORPAY_KEY_ID, key_secret: process.env.RAZORPAY_KEY_SECRET }); } catch (e) { razorpayClient = null; }
 }
 
+// Gate rules: how early a car may enter, and how late it may leave before overtime is billed
+const GATE_EARLY_ENTRY_MS = parseInt(process.env.GATE_EARLY_ENTRY_MINUTES || '30', 10) * 60 * 1000;
+const GATE_OVERTIME_GRACE_MS = parseInt(process.env.GATE_OVERTIME_GRACE_MINUTES || '15', 10) * 60 * 1000;
+
+// Resolve a scanned ticket to its booking and check the scanning staff member runs that lot.
+// Pass tickets are handed back as { passTicket } for the pass gate flow.
+const loadScannedBooking = async (req) => {
+  const ticket = verifyTicket(req.body.token);
+  if (!ticket.valid) return { status: 400, message: ticket.reason };
+  if (ticket.passId) return { passTicket: ticket };
+
+  const booking = await Booking.findById(ticket.bookingId).populate('parkingLot');
+  if (!booking || !booking.parkingLot) {
+    return { status: 404, message: 'Booking not found for this ticket' };
+  }
+  const mismatch = ticketMismatch(ticket, booking);
+  if (mismatch) return { status: 400, message: mismatch };
+  const isLotOwner = booking.parkingLot.owner?.toString() === req.user.id;
+  if (!isLotOwner && req.user.role !== 'admin') {
+    return { status: 403, message: 'Not authorized to operate gates at this lot' };
+  }
+  return { booking };
+};
+
+// Set the live status of a booked slot (occupied on entry, available on exit)
+const setSlotStatus = async (lotId, slotCode, status) => {
+  if (!slotCode) return;
+  await ParkingLot.updateOne(
+    { _id: lotId, 'slots.code': slotCode },
+    { $set: { 'slots.$.status': status, 'liveStatus.lastUpdated': new Date() } }
+  );
+};
+
+// Gate scan of a pass ticket: passes track presence instead of a booking lifecycle
+const respondToPassScan = async (req, res, ticket, direction) => {
+  const scanned = await scanPass(req.io, ticket, { direction, user: req.user, gate: req.body.gate });
+  if (!scanned.pass) {
+    return res.status(scanned.status).json({ success: false, message: scanned.message });
+  }
+  const { pass } = scanned;
+  res.status(200).json({
+    success: true,
+    message: direction === 'entry' ? 'Pass holder checked in' : 'Pass holder checked out',
+    data: {
+      passId: pass._id,
+      status: pass.status,
+      plan: pass.plan,
+      slot: pass.spotNumber || null,
+      vehicle: pass.vehicle,
+      presence: pass.presence,
+      validUntil: pass.currentPeriod?.end
+    }
+  });
+};
+
+// Reminders are best-effort: a queue failure must not fail the booking itself
+const queueBookingNotifications = async (booking) => {
+  try {
+    await scheduleBookingNotifications(booking);
+  } catch (err) {
+    logger.error(`Could not schedule notifications for booking ${booking._id}: ${err.message}`);
+  }
+};
+
+// Track fulfilment of the add-ons chosen while booking; best-effort for the same reason
+const openServiceOrders = async (req, booking) => {
+  if (!booking.services?.length) return;
+  try {
+    const services = await Service.find({ _id: { $in: booking.services.map(s => s.serviceId) } }).select('details.duration provider availability');
+    await createBookedServiceOrders(booking, services, { user: req.user._id });
+  } catch (err) {
+    logger.error(`Could not open service orders for booking ${booking._id}: ${err.message}`);
+  }
+};
+
+// Tell the customer and the lot's owner about a booking status change
+const emitBookingStatus = (io, booking) => {
+  const lotId = booking.parkingLot?._id || booking.parkingLot;
+  publish(io, 'status-update', { bookingId: booking._id, lotId, status: booking.status }, { lotId, userId: booking.user });
+};
+
+const emitRefund = (io, booking, refundAmount) => {
+  const lotId = booking.parkingLot?._id || booking.parkingLot;
+  publish(io, 'payment-refunded', { bookingId: booking._id, lotId, refundAmount }, { lotId, userId: booking.user });
+};
+
+// Tell the lot about a gate movement and the resulting live capacity
+const emitGateEvent = (io, booking, direction, live) => {
+  const lotId = booking.parkingLot._id;
+  publish(io, 'gate-event', {
+    lotId,
+    bookingId: booking._id,
+    direction,
+    slotCode: booking.bookingDetails.spotNumber || null
+  }, { lotId });
+  broadcastSlotStatus(io, lotId, { slotCode: booking.bookingDetails.spotNumber, status: direction === 'entry' ? 'occupied' : 'available' });
+  if (live) {
+    publish(io, 'availability-update', {
+      lotId,
+      available: live.available,
+      occupancyRate: live.occupancyRate,
+      status: booking.parkingLot.status
+    }, { lotId });
+  }
+  emitBookingStatus(io, booking);
+};
+
+// Audit trail entry for a status change made on someone's behalf (gate, attendant, admin)
+const auditStatus = (req, booking, from, metadata) => req.audit('booking.status', {
+  target: { type: 'Booking', id: booking._id, label: booking.vehicle?.licensePlate },
+  changes: [{ field: 'status', from, to: booking.status }],
+  metadata
+});
+
+// Check a booking in at the gate (booking.parkingLot populated). Shared by ticket scans and
+// attendant bulk actions. Returns { data } or { status, message } when the booking can't enter.
+const checkInBooking = async (req, booking) => {
+  if (booking.entryLog?.time) {
+    return { status: 409, message: 'Ticket already used for entry' };
+  }
+  if (!['confirmed', 'extended'].includes(booking.status)) {
+    return { status: 400, message: `Booking is ${booking.status} and cannot be checked in` };
+  }
+
+  const now = new Date();
+  const startTime = new Date(booking.bookingDetails.startTime);
+  const endTime = new Date(booking.bookingDetails.endTime);
+  if (now < new Date(startTime.getTime() - GATE_EARLY_ENTRY_MS)) {
+    return { status: 400, message: 'Too early to enter for this booking' };
+  }
+  if (now >= endTime) {
+    return { status: 400, message: 'Booking window has already ended' };
+  }
+
+  booking.entryLog = {
+    time: now,
+    gate: req.body.gate || 'main',
+    verifiedBy: req.user.id
+  };
+  const previousStatus = booking.status;
+  booking.status = 'active';
+  await booking.save();
+  await auditStatus(req, booking, previousStatus);
+
+  await setSlotStatus(booking.parkingLot._id, booking.bookingDetails.spotNumber, 'occupied');
+  const live = await syncLiveCapacity(booking.parkingLot._id);
+  emitGateEvent(req.io, booking, 'entry', live);
+
+  return {
+    data: {
+      bookingId: booking._id,
+      status: booking.status,
+      slot: booking.bookingDetails.spotNumber || null,
+      vehicle: booking.vehicle,
+      entryLog: booking.entryLog
+    }
+  };
+};
+
+// Check a booking out: bill overtime, free the slot and complete it. Same contract as checkInBooking.
+const checkOutBooking = async (req, booking) => {
+  if (!booking.entryLog?.time || !['active', 'extended'].includes(booking.status)) {
+    return { status: 400, message: 'Booking has not been checked in' };
+  }
+
+  const now = new Date();
+  const stayedMs = now - new Date(booking.entryLog.time);
+  const overtimeMs = now - new Date(booking.bookingDetails.endTime);
+
+  // Overtime is billed per started hour at the lot's hourly rate, once past the grace period
+  let overtimeCharges = 0;
+  let overtimeHours = 0;
+  if (overtimeMs > GATE_OVERTIME_GRACE_MS) {
+    overtimeHours = Math.ceil(overtimeMs / (1000 * 60 * 60));
+    const overdueFrom = new Date(booking.bookingDetails.endTime);
+    const overtime = priceParking(booking.parkingLot, overdueFrom, new Date(overdueFrom.getTime() + overtimeHours * 60 * 60 * 1000), { applySurge: false });
+    const entry = await postOvertime(booking, {
+      hours: overtimeHours,
+      base: overtime.basePrice,
+      createdBy: req.user._id
+    });
+    overtimeCharges = entry.amount;
+    await applyLedgerTotals(booking);
+  }
+
+  booking.exitLog = {
+    time: now,
+    gate: req.body.gate || 'main',
+    verifiedBy: req.user.id,
+    actualDuration: {
+      hours: Math.floor(stayedMs / (1000 * 60 * 60)),
+      minutes: Math.floor((stayedMs % (1000 * 60 * 60)) / (1000 * 60))
+    },
+    overtimeCharges
+  };
+  const previousStatus = booking.status;
+  booking.status = 'completed';
+  await booking.save();
+  await auditStatus(req, booking, previousStatus, overtimeHours ? { overtimeHours, overtimeCharges } : undefined);
+
+  await setSlotStatus(booking.parkingLot._id, booking.bookingDetails.spotNumber, 'available');
+  const live = await syncLiveCapacity(booking.parkingLot._id);
+  emitGateEvent(req.io, booking, 'exit', live);
+  await offerFreedSpace(req.io, booking.parkingLot._id);
+
+  return {
+    data: {
+      bookingId: booking._id,
+      status: booking.status,
+      exitLog: booking.exitLog,
+      overtime: { hours: overtimeHours, charges: overtimeCharges },
+      totalAmount: booking.pricing.totalAmount
+    }
+  };
+};
+
+// Mark a booking whose customer never arrived. Frees the space; no refund is due.
+const markNoShow = async (req, booking) => {
+  if (booking.status !== 'confirmed' || booking.entryLog?.time) {
+    return { status: 400, message: `Booking is ${booking.status} and cannot be marked as a no-show` };
+  }
+  if (new Date() < new Date(booking.bookingDetails.startTime)) {
+    return { status: 400, message: 'Booking has not started yet' };
+  }
+  booking.status = 'no-show';
+  await booking.save();
+  await auditStatus(req, booking, 'confirmed');
+  await syncLiveCapacity(booking.parkingLot._id);
+  emitBookingStatus(req.io, booking);
+  await offerFreedSpace(req.io, booking.parkingLot._id);
+  return { data: { bookingId: booking._id, status: booking.status } };
+};
+
+// Lot-side cancellation: allowed until the car arrives, whatever the customer-facing
+// cutoff. refundMode 'full' returns everything paid; 'policy' applies the lot's tiers.
+const cancelByOwner = async (req, booking, { reason, refundMode = 'full' } = {}) => {
+  if (!['pending', 'confirmed'].includes(booking.status)) {
+    return { status: 400, message: `Booking is ${booking.status} and cannot be cancelled` };
+  }
+  await applyLedgerTotals(booking);
+  const quote = quoteRefund(booking);
+  const refundAmount = refundMode === 'policy' ? (quote.cancellable ? quote.refundAmount : 0) : Math.max(0, quote.paidAmount);
+  const cancelReason = reason || 'Cancelled by the parking lot';
+
+  let refundTxn = null;
+  if (refundAmount > 0) {
+    refundTxn = await issueRefund(req, booking, { amount: refundAmount, reason: cancelReason });
+    // A refund the gateway rejected stays in the ledger as failed; the payment isn't refunded
+    if (!refundTxn?.gatewayError) {
+      booking.payment.status = 'refunded';
+      booking.payment.refundedAt = new Date();
+    }
+    await applyLedgerTotals(booking);
+  }
+
+  const previousStatus = booking.status;
+  booking.status = 'cancelled';
+  booking.cancellation = {
+    reason: cancelReason,
+    cancelledAt: new Date(),
+    cancelledBy: req.user.id,
+    refundEligible: refundAmount > 0,
+    refundAmount,
+    cancellationFee: refundMode === 'policy' && quote.cancellable ? quote.cancellationFee : 0,
+    policy: refundMode === 'policy' ? quote.policy.preset : 'owner-cancelled'
+  };
+  await booking.save();
+  await auditStatus(req, booking, previousStatus, { reason: cancelReason, refundMode, refundAmount });
+  await syncLiveCapacity(booking.parkingLot._id);
+
+  emitBookingStatus(req.io, booking);
+  if (refundAmount > 0) {
+    emitRefund(req.io, booking, refundAmount);
+  }
+  await offerFreedSpace(req.io, booking.parkingLot._id);
+  return {
+    data: {
+      bookingId: booking._id,
+      status: booking.status,
+      refundAmount,
+      refundFailed: Boolean(refundTxn?.gatewayError)
+    }
+  };
+};
+
+// Refund `amount` through the booking's gateway and record it in the ledger and audit trail.
+// Gateway errors are kept as failed ledger entries rather than thrown. Returns the gateway outcome (or null).
+const issueRefund = async (req, booking, { amount, reason }) => {
+  let refundTxn = null;
+  try {
+    if (booking.payment?.method === 'stripe' && stripeClient && booking.payment.paymentId) {
+      const piId = booking.payment.paymentId;
+      const refund = await stripeClient.refunds.create({ payment_intent: piId, amount: Math.round((amount || 0) * 100) });
+      refundTxn = { gateway: 'stripe', id: refund.id, raw: refund };
+    } else if (booking.payment?.method === 'razorpay' && razorpayClient && booking.payment.paymentId) {
+      const rPaymentId = booking.payment.paymentId;
+      const refund = await razorpayClient.payments.refund(rPaymentId, { amount: Math.round((amount || 0) * 100) });
+      refundTxn = { gateway: 'razorpay', id: refund.id || refund, raw: refund };
+    } else {
+      // No gateway configured or unsupported method — skip external refund
+      if (booking.payment?.method && !stripeClient && booking.payment.method === 'stripe') {
+        logger.warn('Stripe key not configured; skipping gateway refund');
+      }
+      if (booking.payment?.method && !razorpayClient && booking.payment.method === 'razorpay') {
+        logger.warn('Razorpay keys not configured; skipping gateway refund');
+      }
+    }
+  } catch (gwErr) {
+    console.error('Gateway refund error:', gwErr);
+    refundTxn = { gatewayError: gwErr?.message || String(gwErr) };
+  }
+
+  // Record the refund in the ledger (failed gateway attempts are kept for the audit trail)
+  if (amount > 0) {
+    await postRefund(booking, {
+      amount,
+      gateway: refundTxn?.gateway || booking.payment.method,
+      gatewayRef: refundTxn?.id ? String(refundTxn.id) : undefined,
+      failed: Boolean(refundTxn?.gatewayError),
+      reason,
+      createdBy: req.user._id
+    });
+    await req.audit('booking.refund', {
+      target: { type: 'Booking', id: booking._id, label: booking.vehicle?.licensePlate },
+      metadata: {
+        amount,
+        currency: booking.pricing?.currency,
+        gateway: refundTxn?.gateway || booking.payment.method,
+        gatewayRef: refundTxn?.id ? String(refundTxn.id) : undefined,
+        failed: Boolean(refundTxn?.gatewayError),
+        reason
+      }
+    });
+  }
+  return refundTxn;
+};
+
+// Price the add-on services picked for a stay, as the lot charges them. Services not offered at
+// the lot are skipped; one that can't fit its full duration into the stay's opening hours is an
+// error. Returns { serviceDetails } or { error }.
+const priceServices = async (serviceIds, parkingLot, { startTime, endTime }) => {
+  const serviceDetails = [];
+  for (const serviceId of serviceIds) {
+    const service = await Service.findById(serviceId);
+    if (!service || !service.isAvailableAt(parkingLot._id)) continue;
+    // It must be open for its full duration at some point during the stay
+    const stay = { bookingDetails: { startTime, endTime }, parkingLot };
+    const slot = findServiceWindow(stay, durationOf(service), [], { now: startTime, isOpen: openHoursOf(service, stay) });
+    if (slot.error) {
+      return { error: `${service.name} is not available during this booking: ${slot.error}` };
+    }
+    serviceDetails.push({
+      serviceId: service._id,
+      name: service.name,
+      price: service.getPriceFor(parkingLot._id),
+      quantity: 1
+    });
+  }
+  return { serviceDetails };
+};
+
 // @desc    Calculate booking price (estimation)
 // @route   POST /api/booking/calculate-price
 // @access  Private
@@ -52,6 +451,7 @@ router.post('/calculate-price', protect, [
   body('parkingLot').notEmpty().withMessage('Parking lot ID is required'),
   body('startTime').isISO8601().withMessage('Valid start time required'),
   body('endTime').isISO8601().withMessage('Valid end time required'),
+  body('vehicleType').optional().isIn(['car', 'bike', 'truck', 'van', 'bicycle']).withMessage('Invalid vehicle type'),
   body('services').optional().isArray().withMessage('Services must be an array')
 ], async (req, res) => {
   try {
@@ -59,26 +459,24 @@ router.post('/calculate-price', protect, [
     if (!errors.isEmpty()) {
       return res.status(400).json({ success: false, message: 'Validation failed', errors: errors.array() });
     }
-    const { parkingLot: parkingLotId, startTime, endTime, services = [] } = req.body;
+    const { parkingLot: parkingLotId, startTime, endTime, vehicleType, spotNumber, services = [] } = req.body;
     const lot = await ParkingLot.findById(parkingLotId);
     if (!lot) return res.status(404).json({ success: false, message: 'Parking lot not found' });
     const sTime = new Date(startTime); const eTime = new Date(endTime);
     if (eTime <= sTime) return res.status(400).json({ success: false, message: 'End time must be after start time' });
-    const durationMs = eTime - sTime; const hours = Math.ceil(durationMs / (1000*60*60));
-    const basePrice = hours * (lot.pricing?.hourly || 0);
-    let serviceFees = 0; const serviceBreakdown = [];
-    for (const id of services) {
-      const svc = await Service.findById(id);
-      if (svc) {
-        // Always add the service's basePrice to the total if selected
-        const svcPrice = svc.pricing.basePrice;
-        serviceFees += svcPrice;
-        serviceBreakdown.push({ serviceId: svc._id, name: svc.name, price: svcPrice });
-      }
-    }
-    const taxes = (basePrice + serviceFees) * 0.18;
-    const totalAmount = basePrice + serviceFees + taxes;
-    return res.status(200).json({ success: true, data: { pricing: { basePrice, serviceFees, taxes, totalAmount }, duration: { hours, minutes: Math.floor((durationMs % (1000*60*60)) / (1000*60)) }, services: serviceBreakdown } });
+    const tooLong = stayError(sTime, eTime);
+    if (tooLong) return res.status(400).json({ success: false, message: tooLong });
+    const availability = await checkAvailability(lot, { vehicleType, startTime: sTime, endTime: eTime, spotNumber });
+    const closed = closureReason(lot, sTime, eTime);
+    // Quoted exactly as POST /new will charge them
+    const { serviceDetails: serviceBreakdown, error: serviceError } = await priceServices(services, lot, { startTime: sTime, endTime: eTime });
+    if (serviceError) return res.status(400).json({ success: false, message: serviceError });
+    const quote = quoteBooking(lot, { startTime: sTime, endTime: eTime, services: serviceBreakdown });
+    const { duration, ...pricing } = quote;
+    return res.status(200).json({
+      success: true,
+      data: { pricing, duration, services: serviceBreakdown, availability, hours: { open: !closed, reason: closed } }
+    });
   } catch (err) {
     console.error('Calculate price error:', err);
     res.status(500).json({ success: false, message: 'Error calculating price' });
@@ -213,6 +611,218 @@ router.post('/verify-razorpay-payment', protect, [
   }
 });
 
+// Payment record and status a new booking starts with. Persists the gateway identifiers the
+// client sends; with dev auto-pay (env or payment.simulate) the booking is confirmed outright.
+const initialPayment = (payment) => {
+  const devAutoPay = (
+    String(process.env.ALLOW_DEV_AUTO_PAYMENT || '').toLowerCase() === 'true' ||
+    (payment && (payment.simulate === true || payment.devSimulate === true))
+  );
+  const paymentData = {
+    method: payment.method,
+    status: devAutoPay ? 'completed' : 'pending',
+    paidAt: devAutoPay ? new Date() : undefined
+  };
+  if (payment.transactionId) paymentData.transactionId = payment.transactionId;
+  if (payment.paymentId) paymentData.paymentId = payment.paymentId;
+  if (payment.orderId) paymentData.orderId = payment.orderId;
+  if (payment.fees) paymentData.fees = payment.fees;
+  return { paymentData, bookingStatus: devAutoPay ? 'confirmed' : 'pending' };
+};
+
+// Lock a slot and write one booking for [startTime, endTime): the caller's hold from
+// /slots/reserve, the requested slot or an auto-assigned free one, re-checked against the
+// window first. Posts the opening ledger entries. Returns { booking } or { conflict }.
+const createBookingRecord = async (req, { parkingLot, vehicle, details, holdId, startTime, endTime, serviceDetails, paymentData, bookingStatus, series, seriesIndex }) => {
+  const lock = await lockSlotForBooking({
+    lot: parkingLot,
+    userId: req.user._id,
+    vehicleType: vehicle.type,
+    startTime,
+    endTime,
+    spotNumber: details.spotNumber,
+    holdId
+  });
+  if (!lock.ok) {
+    return { conflict: { reason: lock.reason, availability: lock.availability } };
+  }
+
+  // Price the stay (time-of-day, weekend/holiday, daily cap, surge) plus services and GST
+  const quote = quoteBooking(parkingLot, { startTime, endTime, services: serviceDetails });
+
+  let booking;
+  try {
+    booking = await Booking.create({
+      user: req.user.id,
+      parkingLot: parkingLot._id,
+      vehicle,
+      bookingDetails: {
+        ...details,
+        startTime,
+        endTime,
+        spotNumber: lock.slotCode || details.spotNumber,
+        duration: quote.duration
+      },
+      pricing: {
+        basePrice: quote.basePrice,
+        serviceFees: quote.serviceFees,
+        taxes: quote.taxes,
+        totalAmount: quote.totalAmount,
+        currency: quote.currency,
+        breakdown: quote.lineItems
+      },
+      services: serviceDetails,
+      payment: paymentData,
+      status: bookingStatus,
+      series,
+      seriesIndex
+    });
+  } finally {
+    // The booking now blocks the slot for its window; the hold or lot lock has done its job
+    await releaseBookingLock(parkingLot._id, lock);
+  }
+
+  // Record the opening charges in the ledger; booking totals are derived from it
+  await postBookingCharges(booking, { owner: parkingLot.owner, createdBy: req.user._id });
+  await applyLedgerTotals(booking);
+  await booking.save();
+  if (lock.slotCode) {
+    broadcastHold(req.io, parkingLot._id, { slotCode: lock.slotCode, holdId: lock.holdId, state: 'booked' });
+  }
+  await queueBookingNotifications(booking);
+  await openServiceOrders(req, booking);
+  return { booking };
+};
+
+// Expand a recurrence rule and book every occurrence. Conflicting occurrences are reported
+// back; unless the caller opted to skip them, nothing is booked while any conflict exists.
+const createBookingSeries = async (req, res, { parkingLot, vehicle, details, holdId, startTime, endTime, serviceDetails, paymentData, bookingStatus }) => {
+  const rule = req.body.recurrence;
+  const ruleError = validateRule(rule, startTime);
+  if (ruleError) {
+    return res.status(400).json({ success: false, message: ruleError });
+  }
+  const occurrences = expandRecurrence({ startTime, endTime }, rule, { timezone: parkingLot.timezone });
+  if (!occurrences.length) {
+    return res.status(400).json({ success: false, message: 'The recurrence rule produces no bookings before its end date' });
+  }
+
+  const conflicts = [];
+  for (const occurrence of occurrences) {
+    const closed = closureReason(parkingLot, occurrence.startTime, occurrence.endTime);
+    if (closed) {
+      conflicts.push({ index: occurrence.index, startTime: occurrence.startTime, endTime: occurrence.endTime, reason: closed });
+      continue;
+    }
+    const availability = await checkAvailability(parkingLot, {
+      vehicleType: vehicle.type,
+      startTime: occurrence.startTime,
+      endTime: occurrence.endTime,
+      spotNumber: details.spotNumber,
+      holdId: occurrence.index === 0 ? holdId : undefined
+    });
+    if (!availability.available) {
+      conflicts.push({ index: occurrence.index, startTime: occurrence.startTime, endTime: occurrence.endTime, reason: availability.reason });
+    }
+  }
+  if (conflicts.length === occurrences.length || (conflicts.length && !rule.skipConflicts)) {
+    return res.status(409).json({
+      success: false,
+      message: `${conflicts.length} of ${occurrences.length} occurrences are unavailable`,
+      data: { occurrences: occurrences.length, conflicts }
+    });
+  }
+
+  const series = await BookingSeries.create({
+    user: req.user._id,
+    parkingLot: parkingLot._id,
+    rule: { frequency: rule.frequency, days: rule.frequency === 'custom' ? rule.days : undefined, until: rule.until },
+    firstStartTime: startTime,
+    firstEndTime: endTime,
+    vehicle
+  });
+
+  const skipped = new Set(conflicts.map(c => c.index));
+  const bookings = [];
+  for (const occurrence of occurrences) {
+    if (skipped.has(occurrence.index)) continue;
+    // Someone may have taken the window since the check above; report it like any other conflict
+    const created = await createBookingRecord(req, {
+      parkingLot,
+      vehicle,
+      details,
+      holdId: occurrence.index === 0 ? holdId : undefined,
+      startTime: occurrence.startTime,
+      endTime: occurrence.endTime,
+      serviceDetails,
+      paymentData,
+      bookingStatus,
+      series: series._id,
+      seriesIndex: occurrence.index
+    });
+    if (created.conflict) {
+      conflicts.push({ index: occurrence.index, startTime: occurrence.startTime, endTime: occurrence.endTime, reason: created.conflict.reason });
+    } else {
+      bookings.push(created.booking);
+    }
+  }
+
+  const totalAmount = bookings.reduce((sum, b) => sum + (b.pricing.totalAmount || 0), 0);
+  series.occurrenceCount = bookings.length;
+  series.totalAmount = totalAmount;
+  series.payment = {
+    method: paymentData.method,
+    paymentId: paymentData.paymentId,
+    orderId: paymentData.orderId,
+    transactionId: paymentData.transactionId
+  };
+  series.conflicts = conflicts.map(({ startTime: s, endTime: e, reason }) => ({ startTime: s, endTime: e, reason }));
+  if (!bookings.length) series.status = 'cancelled';
+  await series.save();
+  if (!bookings.length) {
+    return res.status(409).json({
+      success: false,
+      message: 'None of the occurrences could be booked',
+      data: { occurrences: occurrences.length, conflicts }
+    });
+  }
+
+  const live = await syncLiveCapacity(parkingLot._id);
+  await User.findByIdAndUpdate(req.user.id, {
+    $inc: { totalBookings: bookings.length, totalSpent: totalAmount }
+  });
+
+  const populated = await Booking.find({ series: series._id })
+    .populate('parkingLot', 'name location pricing')
+    .sort({ seriesIndex: 1 });
+
+  // One confirmation for the series: the first occurrence stands in for the rest
+  try {
+    await sendBookingConfirmation(req.user.email, populated[0]);
+  } catch (emailError) {
+    console.error('Booking confirmation email error:', emailError);
+  }
+
+  publish(req.io, 'booking-created', {
+    lotId: parkingLot._id,
+    bookingIds: bookings.map(b => b._id),
+    availableSpots: live ? live.available : parkingLot.capacity.available
+  }, { lotId: parkingLot._id });
+
+  res.status(201).json({
+    success: true,
+    message: conflicts.length
+      ? `Booked ${bookings.length} of ${occurrences.length} occurrences`
+      : `Booked ${bookings.length} recurring bookings`,
+    data: {
+      series,
+      bookings: populated,
+      conflicts,
+      totalAmount: Math.round(totalAmount * 100) / 100
+    }
+  });
+};
+
 // @desc    Create new booking
 // @route   POST /api/booking/new
 // @access  Private
@@ -222,7 +832,13 @@ router.post('/new', protect, [
   body('vehicle.licensePlate').notEmpty().withMessage('License plate is required'),
   body('bookingDetails.startTime').isISO8601().withMessage('Valid start time is required'),
   body('bookingDetails.endTime').isISO8601().withMessage('Valid end time is required'),
-  body('payment.method').isIn(['card', 'upi', 'wallet', 'cash', 'razorpay', 'stripe']).withMessage('Invalid payment method')
+  body('payment.method').isIn(['card', 'upi', 'wallet', 'cash', 'razorpay', 'stripe']).withMessage('Invalid payment method'),
+  body('recurrence').optional().isObject().withMessage('Invalid recurrence rule'),
+  body('recurrence.frequency').optional().isIn(FREQUENCIES).withMessage('Invalid recurrence frequency'),
+  body('recurrence.until').optional().isISO8601().withMessage('Valid recurrence end date is required'),
+  body('recurrence.days').optional().isArray({ max: 7 }).withMessage('Recurrence days must be a list'),
+  body('recurrence.days.*').optional().isInt({ min: 0, max: 6 }).withMessage('Recurrence days are 0 (Sunday) to 6'),
+  body('recurrence.skipConflicts').optional().isBoolean().withMessage('skipConflicts must be a boolean')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -256,33 +872,6 @@ router.post('/new', protect, [
       });
     }
 
-    // Check overall lot availability
-    if (parkingLot.capacity.available <= 0) {
-      return res.status(400).json({
-        success: false,
-        message: 'No parking spots available'
-      });
-    }
-
-    // If a specific slot is requested, validate and reserve it
-    let reservedSlot = null;
-    if (bookingDetails.spotNumber) {
-      reservedSlot = parkingLot.slots.find(
-        slot => slot.code === bookingDetails.spotNumber && slot.status === 'available'
-      );
-      if (!reservedSlot) {
-        return res.status(400).json({
-          success: false,
-          message: 'Requested slot not found or not available'
-        });
-      }
-      // Mark slot as reserved in DB
-      await ParkingLot.updateOne(
-        { _id: parkingLot._id, 'slots.code': bookingDetails.spotNumber },
-        { $set: { 'slots.$.status': 'reserved' } }
-      );
-    }
-
     // Check if lot supports vehicle type
     if (!parkingLot.vehicleTypes.includes(vehicle.type)) {
       return res.status(400).json({
@@ -310,84 +899,57 @@ router.post('/new', protect, [
       });
     }
 
-    // Calculate duration and pricing
-    const duration = endTime - startTime;
-    const hours = Math.ceil(duration / (1000 * 60 * 60));
-    const basePrice = hours * parkingLot.pricing.hourly;
+    const tooLong = stayError(startTime, endTime);
+    if (tooLong) {
+      return res.status(400).json({
+        success: false,
+        message: tooLong
+      });
+    }
+
+    // The lot has to be open for the whole stay (recurring occurrences are checked one by one)
+    const closed = closureReason(parkingLot, startTime, endTime);
+    if (closed && !req.body.recurrence) {
+      return res.status(400).json({
+        success: false,
+        message: closed
+      });
+    }
 
     // Calculate service costs
-    let serviceFees = 0;
-    const serviceDetails = [];
-
-    if (services.length > 0) {
-      for (const serviceId of services) {
-        const service = await Service.findById(serviceId);
-        if (service && service.isAvailableAt(parkingLotId)) {
-          const servicePrice = service.getPriceFor(parkingLotId);
-          serviceFees += servicePrice;
-          serviceDetails.push({
-            serviceId: service._id,
-            name: service.name,
-            price: servicePrice,
-            quantity: 1
-          });
-        }
-      }
+    const { serviceDetails, error: serviceError } = await priceServices(services, parkingLot, { startTime, endTime });
+    if (serviceError) {
+      return res.status(400).json({
+        success: false,
+        message: serviceError
+      });
     }
 
-    // Calculate taxes and total
-    const taxes = (basePrice + serviceFees) * 0.18; // 18% GST
-    const totalAmount = basePrice + serviceFees + taxes;
+    const { paymentData, bookingStatus } = initialPayment(payment);
 
-    // Determine payment/booking status (dev simulate support)
-    const devAutoPay = (
-      String(process.env.ALLOW_DEV_AUTO_PAYMENT || '').toLowerCase() === 'true' ||
-      (payment && (payment.simulate === true || payment.devSimulate === true))
-    );
-    const paymentStatus = devAutoPay ? 'completed' : 'pending';
-    const bookingStatus = devAutoPay ? 'confirmed' : 'pending';
-
-    // Create booking - persist important payment identifiers when provided
-    const paymentData = {
-      method: payment.method,
-      status: paymentStatus,
-      paidAt: devAutoPay ? new Date() : undefined
-    };
-    if (payment.transactionId) paymentData.transactionId = payment.transactionId;
-    if (payment.paymentId) paymentData.paymentId = payment.paymentId;
-    if (payment.orderId) paymentData.orderId = payment.orderId;
-    if (payment.fees) paymentData.fees = payment.fees;
+    const { holdId, ...details } = bookingDetails;
+    const bookingInput = { parkingLot, vehicle, details, serviceDetails, paymentData, bookingStatus };
 
-    const booking = await Booking.create({
-      user: req.user.id,
-      parkingLot: parkingLotId,
-      vehicle,
-      bookingDetails: {
-        ...bookingDetails,
-        duration: {
-          hours: Math.floor(hours),
-          minutes: Math.floor((duration % (1000 * 60 * 60)) / (1000 * 60))
+    if (req.body.recurrence) {
+      return createBookingSeries(req, res, { ...bookingInput, holdId, startTime, endTime });
+    }
+
+    const created = await createBookingRecord(req, { ...bookingInput, holdId, startTime, endTime });
+    if (created.conflict) {
+      // A full lot can be waited for (POST /api/booking/waitlist)
+      return res.status(409).json({
+        success: false,
+        message: created.conflict.reason,
+        data: {
+          availability: created.conflict.availability,
+          canJoinWaitlist: created.conflict.availability?.freeSpots === 0
         }
-      },
-      pricing: {
-        basePrice,
-        serviceFees,
-        taxes,
-        totalAmount
-      },
-      services: serviceDetails,
-      payment: paymentData,
-      status: bookingStatus
-    });
+      });
+    }
+    const { booking } = created;
 
-    // Reserve the spot
-    await ParkingLot.findByIdAndUpdate(parkingLotId, {
-      $inc: { 
-        'capacity.available': -1,
-        'capacity.reserved': 1
-      },
-      'liveStatus.lastUpdated': new Date()
-    });
+    // Refresh the lot's live counters (only bookings covering "now" consume them)
+    const live = await syncLiveCapacity(parkingLot._id);
 
     // Populate booking for response
     const populatedBooking = await Booking.findById(booking._id)
@@ -396,7 +958,7 @@ router.post('/new', protect, [
 
     // Update user stats
     await User.findByIdAndUpdate(req.user.id, {
-      $inc: { totalBookings: 1, totalSpent: totalAmount }
+      $inc: { totalBookings: 1, totalSpent: booking.pricing.totalAmount }
     });
 
     // Send booking confirmation email (don't await to avoid blocking response)
@@ -408,10 +970,11 @@ router.post('/new', protect, [
     }
 
     // Emit real-time update
-    req.io.to(`lot-${parkingLotId}`).emit('booking-created', {
-      lotId: parkingLotId,
-      availableSpots: parkingLot.capacity.available - 1
-    });
+    publish(req.io, 'booking-created', {
+      lotId: parkingLot._id,
+      bookingIds: [booking._id],
+      availableSpots: live ? live.available : parkingLot.capacity.available
+    }, { lotId: parkingLot._id });
 
     res.status(201).json({
       success: true,
@@ -455,7 +1018,9 @@ router.get('/my', protect, async (req, res) => {
   transactionId: b.payment?.transactionId || null,
       totalAmount: b.pricing?.totalAmount || 0,
       qrCode: b.qrCode?.data || '',
-      services: (b.services || []).map(s => s.name || s.serviceId?.toString())
+      services: (b.services || []).map(s => s.name || s.serviceId?.toString()),
+      seriesId: b.series ? b.series.toString() : null,
+      rating: b.rating?.score || null
     }));
 
     return res.status(200).json({ success:true, data: mapped });
@@ -513,6 +1078,514 @@ router.get('/my-bookings', protect, [
   }
 });
 
+// @desc    Bookings at the lots the caller manages, with filters
+// @route   GET /api/booking/owner?lotId=&status=a,b&from=&to=&plate=&page=&limit=
+// @access  Private (Landowner/Admin)
+router.get('/owner', protect, authorize('landowner', 'admin'), [
+  query('lotId').optional().isMongoId().withMessage('Invalid lot ID'),
+  query('status').optional().custom(value => String(value).split(',').every(s => Booking.schema.path('status').enumValues.includes(s.trim())))
+    .withMessage('Invalid status filter'),
+  query('from').optional().isISO8601().withMessage('`from` must be an ISO 8601 date'),
+  query('to').optional().isISO8601().withMessage('`to` must be an ISO 8601 date'),
+  query('plate').optional().isString().isLength({ max: 20 }).withMessage('Invalid plate'),
+  query('page').optional().isInt({ min: 1 }).toInt(),
+  query('limit').optional().isInt({ min: 1, max: 100 }).toInt()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, message: 'Validation failed', errors: errors.array() });
+    }
+
+    const scope = await managedLotIds(req.user, req.query.lotId);
+    if (!scope) {
+      return res.status(404).json({ success: false, message: 'Parking lot not found or not owned by you' });
+    }
+    const { page = 1, limit = 20 } = req.query;
+    const filter = buildOwnerFilter(scope, req.query);
+
+    const [bookings, total] = await Promise.all([
+      Booking.find(filter)
+        .populate('parkingLot', 'name')
+        .populate('user', 'name email phone')
+        .sort({ 'bookingDetails.startTime': -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      Booking.countDocuments(filter)
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        bookings: bookings.map(toOwnerRow),
+        pagination: {
+          current: page,
+          total: Math.ceil(total / limit),
+          totalBookings: total
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Get owner bookings error:', error);
+    res.status(500).json({ success: false, message: 'Server error fetching bookings' });
+  }
+});
+
+// @desc    Today's arrivals and departures for lot attendants, plus who is on site now
+// @route   GET /api/booking/owner/today?lotId=&timezone=
+// @access  Private (Landowner/Admin)
+router.get('/owner/today', protect, authorize('landowner', 'admin'), [
+  query('lotId').optional().isMongoId().withMessage('Invalid lot ID'),
+  query('timezone').optional().custom((value) => {
+    new Intl.DateTimeFormat('en-US', { timeZone: value });
+    return true;
+  }).withMessage('Unknown timezone')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, message: 'Validation failed', errors: errors.array() });
+    }
+
+    const scope = await managedLotIds(req.user, req.query.lotId);
+    if (!scope) {
+      return res.status(404).json({ success: false, message: 'Parking lot not found or not owned by you' });
+    }
+    const { start, end, date } = localDayBounds(new Date(), req.query.timezone);
+    const base = buildOwnerFilter(scope);
+    const load = (filter, sort) => Booking.find({ ...base, ...filter })
+      .populate('parkingLot', 'name')
+      .populate('user', 'name email phone')
+      .sort(sort)
+      .limit(500);
+
+    const [arrivals, departures, onSite] = await Promise.all([
+      load({
+        'bookingDetails.startTime': { $gte: start, $lt: end },
+        status: { $in: ['confirmed', 'extended', 'active', 'completed', 'no-show'] }
+      }, { 'bookingDetails.startTime': 1 }),
+      load({
+        'bookingDetails.endTime': { $gte: start, $lt: end },
+        status: { $in: ['confirmed', 'extended', 'active', 'completed'] }
+      }, { 'bookingDetails.endTime': 1 }),
+      load({ status: { $in: ['active', 'extended'] }, 'entryLog.time': { $ne: null } }, { 'bookingDetails.endTime': 1 })
+    ]);
+
+    const now = new Date();
+    res.status(200).json({
+      success: true,
+      data: {
+        date,
+        arrivals: arrivals.map(toOwnerRow),
+        departures: departures.map(toOwnerRow),
+        onSite: onSite.map(toOwnerRow),
+        counts: {
+          expected: arrivals.filter(b => b.status === 'confirmed').length,
+          arrived: arrivals.filter(b => b.entryLog?.time).length,
+          onSite: onSite.length,
+          overdue: onSite.filter(b => new Date(b.bookingDetails.endTime) < now).length
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Get owner day sheet error:', error);
+    res.status(500).json({ success: false, message: 'Server error fetching today\'s bookings' });
+  }
+});
+
+// @desc    Apply one attendant action to several bookings; each succeeds or fails on its own
+// @route   POST /api/booking/owner/bulk
+// @access  Private (Landowner/Admin)
+router.post('/owner/bulk', protect, authorize('landowner', 'admin'), [
+  body('action').isIn(BULK_ACTIONS).withMessage(`Action must be one of ${BULK_ACTIONS.join(', ')}`),
+  body('bookingIds').isArray({ min: 1, max: MAX_BULK }).withMessage(`Select between 1 and ${MAX_BULK} bookings`),
+  body('bookingIds.*').isMongoId().withMessage('Invalid booking ID'),
+  body('reason').optional().isString().isLength({ max: 500 }).withMessage('Reason too long'),
+  body('refundMode').optional().isIn(['full', 'policy']).withMessage('Refund mode must be full or policy'),
+  body('gate').optional().isString().isLength({ max: 50 }).withMessage('Invalid gate')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, message: 'Validation failed', errors: errors.array() });
+    }
+
+    const { action, reason, refundMode } = req.body;
+    const ids = [...new Set(req.body.bookingIds.map(String))];
+    const bookings = await Booking.find({ _id: { $in: ids } }).populate('parkingLot');
+    const byId = new Map(bookings.map(b => [b._id.toString(), b]));
+
+    const succeeded = [];
+    const failed = [];
+    // One at a time: each action syncs live capacity for the lot
+    for (const id of ids) {
+      const booking = byId.get(id);
+      if (!booking || !booking.parkingLot) {
+        failed.push({ bookingId: id, message: 'Booking not found' });
+        continue;
+      }
+      if (booking.parkingLot.owner?.toString() !== req.user.id && req.user.role !== 'admin') {
+        failed.push({ bookingId: id, message: 'Not authorized to manage this booking' });
+        continue;
+      }
+      try {
+        let result;
+        if (action === 'check-in') result = await checkInBooking(req, booking);
+        else if (action === 'complete') result = await checkOutBooking(req, booking);
+        else if (action === 'no-show') result = await markNoShow(req, booking);
+        else result = await cancelByOwner(req, booking, { reason, refundMode });
+
+        if (result.status) failed.push({ bookingId: id, message: result.message });
+        else succeeded.push(result.data);
+      } catch (error) {
+        console.error(`Bulk ${action} error for booking ${id}:`, error);
+        failed.push({ bookingId: id, message: 'Server error processing this booking' });
+      }
+    }
+
+    res.status(failed.length && !succeeded.length ? 400 : 200).json({
+      success: succeeded.length > 0,
+      message: `${succeeded.length} booking(s) updated${failed.length ? `, ${failed.length} failed` : ''}`,
+      data: { action, succeeded, failed }
+    });
+  } catch (error) {
+    console.error('Bulk booking action error:', error);
+    res.status(500).json({ success: false, message: 'Server error applying bulk action' });
+  }
+});
+
+// @desc    Gate check-in: validate a scanned ticket and mark the booking (or pass holder) in
+// @route   POST /api/booking/scan/entry
+// @access  Private (Lot owner/Admin)
+router.post('/scan/entry', protect, authorize('landowner', 'admin'), [
+  body('token').notEmpty().withMessage('Ticket token is required'),
+  body('gate').optional().isString().isLength({ max: 50 }).withMessage('Invalid gate')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, message: 'Validation failed', errors: errors.array() });
+    }
+
+    const scanned = await loadScannedBooking(req);
+    if (scanned.passTicket) {
+      return respondToPassScan(req, res, scanned.passTicket, 'entry');
+    }
+    if (!scanned.booking) {
+      return res.status(scanned.status).json({ success: false, message: scanned.message });
+    }
+    const result = await checkInBooking(req, scanned.booking);
+    if (result.status) {
+      return res.status(result.status).json({ success: false, message: result.message });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Vehicle checked in',
+      data: result.data
+    });
+  } catch (error) {
+    console.error('Gate entry scan error:', error);
+    res.status(500).json({ success: false, message: 'Server error processing entry scan' });
+  }
+});
+
+// @desc    Gate check-out: close the booking, bill overtime and free the slot (pass holders just leave)
+// @route   POST /api/booking/scan/exit
+// @access  Private (Lot owner/Admin)
+router.post('/scan/exit', protect, authorize('landowner', 'admin'), [
+  body('token').notEmpty().withMessage('Ticket token is required'),
+  body('gate').optional().isString().isLength({ max: 50 }).withMessage('Invalid gate')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, message: 'Validation failed', errors: errors.array() });
+    }
+
+    const scanned = await loadScannedBooking(req);
+    if (scanned.passTicket) {
+      return respondToPassScan(req, res, scanned.passTicket, 'exit');
+    }
+    if (!scanned.booking) {
+      return res.status(scanned.status).json({ success: false, message: scanned.message });
+    }
+    const result = await checkOutBooking(req, scanned.booking);
+    if (result.status) {
+      return res.status(result.status).json({ success: false, message: result.message });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: result.data.overtime.charges > 0 ? 'Vehicle checked out with overtime charges' : 'Vehicle checked out',
+      data: result.data
+    });
+  } catch (error) {
+    console.error('Gate exit scan error:', error);
+    res.status(500).json({ success: false, message: 'Server error processing exit scan' });
+  }
+});
+
+// ---- Waitlist --------------------------------------------------------------------------
+
+// Book a waitlist entry's window for its user, in the offered slot when the offer holds one.
+// Only req.user and req.io are used, so the auto-booker can act for a user outside any request.
+const bookWaitlistEntry = async (req, entry, lot, { paymentData, bookingStatus }) => {
+  const created = await createBookingRecord(req, {
+    parkingLot: lot,
+    vehicle: { type: entry.vehicle.type, licensePlate: entry.vehicle.licensePlate },
+    details: {},
+    holdId: entry.offer?.holdId,
+    startTime: entry.startTime,
+    endTime: entry.endTime,
+    serviceDetails: [],
+    paymentData,
+    bookingStatus
+  });
+  if (created.conflict) return created;
+
+  const live = await syncLiveCapacity(lot._id);
+  await User.findByIdAndUpdate(req.user.id, {
+    $inc: { totalBookings: 1, totalSpent: created.booking.pricing.totalAmount }
+  });
+  publish(req.io, 'booking-created', {
+    lotId: lot._id,
+    bookingIds: [created.booking._id],
+    availableSpots: live ? live.available : lot.capacity.available
+  }, { lotId: lot._id });
+  return created;
+};
+
+// Waitlist auto-booking: charge the saved card off-session, then book. The charge is refunded
+// if the space was lost in between.
+const autoBookWaitlistEntry = async (entry, lot, { io, user }) => {
+  const quote = quoteBooking(lot, { startTime: entry.startTime, endTime: entry.endTime });
+  let charge;
+  try {
+    charge = await chargeSavedPaymentMethod(user.savedPaymentMethod, {
+      amount: quote.totalAmount,
+      currency: String(quote.currency || 'INR').toLowerCase(),
+      metadata: { waitlistEntryId: String(entry._id), parkingLotId: String(lot._id) }
+    });
+  } catch (err) {
+    return { error: `Automatic payment failed: ${err.message}` };
+  }
+
+  const created = await bookWaitlistEntry({ user: { _id: user._id, id: String(user._id) }, io }, entry, lot, {
+    paymentData: { method: 'stripe', status: 'completed', paidAt: new Date(), transactionId: charge.id, paymentId: charge.id },
+    bookingStatus: 'confirmed'
+  });
+  if (created.conflict) {
+    try {
+      await createRefund(charge.id);
+    } catch (err) {
+      logger.error(`Refund of waitlist charge ${charge.id} failed: ${err.message}`);
+    }
+    return { error: created.conflict.reason };
+  }
+  return { booking: created.booking };
+};
+registerAutoBooker(autoBookWaitlistEntry);
+
+const loadOwnWaitlistEntry = async (req) => {
+  const entry = await WaitlistEntry.findById(req.params.id);
+  if (!entry) return { status: 404, message: 'Waitlist entry not found' };
+  if (entry.user.toString() !== req.user.id) return { status: 403, message: 'Not authorized to manage this waitlist entry' };
+  return { entry };
+};
+
+// @desc    Join the waitlist for a lot that is full for a time window
+// @route   POST /api/booking/waitlist
+// @access  Private
+router.post('/waitlist', protect, [
+  body('parkingLot').isMongoId().withMessage('Valid parking lot ID is required'),
+  body('vehicle.type').isIn(['car', 'bike', 'truck', 'van', 'bicycle']).withMessage('Invalid vehicle type'),
+  body('vehicle.licensePlate').isString().trim().notEmpty().withMessage('License plate is required'),
+  body('startTime').isISO8601().withMessage('Valid start time is required'),
+  body('endTime').isISO8601().withMessage('Valid end time is required'),
+  body('autoBook').optional().isBoolean().withMessage('autoBook must be true or false').toBoolean()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, message: 'Validation failed', errors: errors.array() });
+    }
+
+    const startTime = new Date(req.body.startTime);
+    const endTime = new Date(req.body.endTime);
+    if (startTime < new Date()) {
+      return res.status(400).json({ success: false, message: 'Start time cannot be in the past' });
+    }
+    if (endTime <= startTime) {
+      return res.status(400).json({ success: false, message: 'End time must be after start time' });
+    }
+    const tooLong = stayError(startTime, endTime);
+    if (tooLong) {
+      return res.status(400).json({ success: false, message: tooLong });
+    }
+
+    const lot = await ParkingLot.findById(req.body.parkingLot);
+    if (!lot) {
+      return res.status(404).json({ success: false, message: 'Parking lot not found' });
+    }
+
+    const result = await joinWaitlist(lot, req.user, {
+      vehicle: { type: req.body.vehicle.type, licensePlate: req.body.vehicle.licensePlate.toUpperCase() },
+      startTime,
+      endTime,
+      autoBook: Boolean(req.body.autoBook)
+    });
+    if (result.status) {
+      return res.status(result.status).json({ success: false, message: result.message });
+    }
+
+    const position = await positionOf(result.entry);
+    res.status(201).json({
+      success: true,
+      message: `You are number ${position} on the waitlist`,
+      data: { entry: result.entry, position }
+    });
+  } catch (error) {
+    console.error('Join waitlist error:', error);
+    res.status(500).json({ success: false, message: 'Server error joining the waitlist' });
+  }
+});
+
+// @desc    Current user's waitlist entries, newest first, with their place in line
+// @route   GET /api/booking/waitlist/my
+// @access  Private
+router.get('/waitlist/my', protect, [
+  query('active').optional().isBoolean().withMessage('active must be true or false').toBoolean()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, message: 'Validation failed', errors: errors.array() });
+    }
+
+    const filter = { user: req.user._id };
+    if (req.query.active) filter.status = { $in: WAITLIST_ACTIVE_STATUSES };
+    const entries = await WaitlistEntry.find(filter)
+      .populate('parkingLot', 'name location.address')
+      .sort({ createdAt: -1 })
+      .limit(50);
+
+    const withPositions = [];
+    for (const entry of entries) {
+      withPositions.push({ ...entry.toObject(), position: entry.status === 'waiting' ? await positionOf(entry) : null });
+    }
+    res.status(200).json({ success: true, data: { entries: withPositions } });
+  } catch (error) {
+    console.error('Get waitlist error:', error);
+    res.status(500).json({ success: false, message: 'Server error fetching your waitlist' });
+  }
+});
+
+// @desc    Book the space a waitlist offer is holding
+// @route   POST /api/booking/waitlist/:id/accept
+// @access  Private
+router.post('/waitlist/:id/accept', protect, [
+  body('payment.method').isIn(['card', 'upi', 'wallet', 'cash', 'razorpay', 'stripe']).withMessage('Invalid payment method')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, message: 'Validation failed', errors: errors.array() });
+    }
+
+    const { entry, status, message } = await loadOwnWaitlistEntry(req);
+    if (!entry) {
+      return res.status(status).json({ success: false, message });
+    }
+    if (entry.status !== 'offered') {
+      return res.status(400).json({ success: false, message: 'There is no open offer on this waitlist entry' });
+    }
+    const lot = await ParkingLot.findById(entry.parkingLot);
+    if (!lot) {
+      return res.status(404).json({ success: false, message: 'Parking lot not found' });
+    }
+
+    // Claim the offer before booking, so a racing accept, expiry or decline can't book the
+    // space twice or be overwritten; the claim is handed back if the booking falls through
+    const now = new Date();
+    const claimed = await WaitlistEntry.findOneAndUpdate(
+      { _id: entry._id, status: 'offered', 'offer.expiresAt': { $gt: now } },
+      { $set: { status: 'booked', closedAt: now } },
+      { new: true }
+    );
+    if (!claimed) {
+      const message = new Date(entry.offer.expiresAt) <= now ? 'The offer has expired' : 'There is no open offer on this waitlist entry';
+      return res.status(400).json({ success: false, message });
+    }
+    const reopen = () => WaitlistEntry.findOneAndUpdate(
+      { _id: claimed._id, status: 'booked' },
+      { $set: { status: 'offered' }, $unset: { closedAt: '' } },
+      { new: true }
+    );
+
+    let created;
+    try {
+      created = await bookWaitlistEntry(req, claimed, lot, initialPayment(req.body.payment));
+    } catch (err) {
+      await reopen();
+      throw err;
+    }
+    if (created.conflict) {
+      await reopen();
+      return res.status(409).json({ success: false, message: created.conflict.reason });
+    }
+
+    claimed.booking = created.booking._id;
+    await claimed.save();
+    emitEntry(req.io, claimed);
+
+    const populatedBooking = await Booking.findById(created.booking._id)
+      .populate('parkingLot', 'name location pricing')
+      .populate('user', 'name email phone');
+    try {
+      await sendBookingConfirmation(req.user.email, populatedBooking);
+    } catch (emailError) {
+      console.error('Booking confirmation email error:', emailError);
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'Booking created successfully',
+      data: { booking: populatedBooking, entry: claimed }
+    });
+  } catch (error) {
+    console.error('Accept waitlist offer error:', error);
+    res.status(500).json({ success: false, message: 'Server error accepting the offer' });
+  }
+});
+
+// @desc    Leave a waitlist (declining an open offer passes the space to the next in line)
+// @route   DELETE /api/booking/waitlist/:id
+// @access  Private
+router.delete('/waitlist/:id', protect, async (req, res) => {
+  try {
+    const { entry, status, message } = await loadOwnWaitlistEntry(req);
+    if (!entry) {
+      return res.status(status).json({ success: false, message });
+    }
+    if (!WAITLIST_ACTIVE_STATUSES.includes(entry.status)) {
+      return res.status(400).json({ success: false, message: `Waitlist entry is already ${entry.status}` });
+    }
+
+    const wasOffered = entry.status === 'offered';
+    const closed = await closeEntry(req.io, entry, 'cancelled');
+    if (!closed) {
+      return res.status(409).json({ success: false, message: 'The waitlist entry changed meanwhile; refresh and try again' });
+    }
+    if (wasOffered) await offerFreedSpace(req.io, entry.parkingLot);
+
+    res.status(200).json({ success: true, message: 'Left the waitlist', data: { entry: closed } });
+  } catch (error) {
+    console.error('Leave waitlist error:', error);
+    res.status(500).json({ success: false, message: 'Server error leaving the waitlist' });
+  }
+});
+
 // @desc    Get booking details
 // @route   GET /api/booking/:id
 // @access  Private
@@ -600,55 +1673,72 @@ router.put('/:id/status', protect, [
       'pending': ['confirmed', 'cancelled'],
       'confirmed': ['active', 'cancelled'],
       'active': ['completed', 'cancelled'],
+      'extended': ['active', 'completed', 'cancelled'],
       'completed': [],
-      'cancelled': []
+      'cancelled': [],
+      'no-show': []
     };
 
-    if (!validTransitions[booking.status].includes(status)) {
+    if (!(validTransitions[booking.status] || []).includes(status)) {
       return res.status(400).json({
         success: false,
         message: `Cannot change status from ${booking.status} to ${status}`
       });
     }
 
-    // Handle cancellation
+    // Cancellations refund through the gateway and ledger: the lot side on its own terms,
+    // customers under the lot's cancellation policy
     if (status === 'cancelled') {
-      const refundAmount = booking.calculateRefund();
-      booking.cancellation = {
-        reason: reason || 'Cancelled by user',
-        cancelledAt: new Date(),
-        cancelledBy: req.user.id,
-        refundEligible: refundAmount > 0,
-        refundAmount
-      };
+      if (!isOwner) {
+        const result = await cancelByOwner(req, booking, { reason });
+        if (!result.data) {
+          return res.status(result.status).json({ success: false, message: result.message });
+        }
+        return res.status(200).json({ success: true, message: 'Booking cancelled successfully', data: { booking, ...result.data } });
+      }
 
-      // Release the spot
-      await ParkingLot.findByIdAndUpdate(booking.parkingLot._id, {
-        $inc: { 
-          'capacity.available': 1,
-          'capacity.reserved': -1
-        },
-        'liveStatus.lastUpdated': new Date()
+      const quote = await cancelUnderPolicy(req, booking, { reason });
+      if (!quote.cancellable) {
+        return res.status(400).json({ success: false, message: quote.reason || 'Booking cannot be cancelled at this time' });
+      }
+      await syncLiveCapacity(booking.parkingLot._id);
+      await offerFreedSpace(req.io, booking.parkingLot._id);
+      return res.status(200).json({
+        success: true,
+        message: 'Booking cancelled successfully',
+        data: { booking, refundAmount: quote.refundAmount, refundFailed: quote.refundFailed }
       });
     }
 
-    // Handle completion
-    if (status === 'completed') {
-      booking.exitLog = {
-        time: new Date(),
-        verifiedBy: req.user.id
-      };
+    // Arrivals and departures are the lot's to record, the same way a gate scan does: entry
+    // log, overtime billing and freeing the slot
+    if (['active', 'completed'].includes(status)) {
+      if (!isLotOwner && !isAdmin) {
+        return res.status(403).json({
+          success: false,
+          message: 'Only the parking lot can check vehicles in and out'
+        });
+      }
+      const result = status === 'active'
+        ? await checkInBooking(req, booking)
+        : await checkOutBooking(req, booking);
+      if (result.status) {
+        return res.status(result.status).json({ success: false, message: result.message });
+      }
+      return res.status(200).json({
+        success: true,
+        message: `Booking ${status} successfully`,
+        data: { booking, ...result.data }
+      });
     }
 
+    const previousStatus = booking.status;
     booking.status = status;
     await booking.save();
+    await auditStatus(req, booking, previousStatus, reason ? { reason } : undefined);
 
     // Emit real-time update
-    req.io.to(`booking-${booking._id}`).emit('status-update', {
-      bookingId: booking._id,
-      status,
-      timestamp: new Date()
-    });
+    emitBookingStatus(req.io, booking);
 
     res.status(200).json({
       success: true,
@@ -665,6 +1755,146 @@ router.put('/:id/status', protect, [
   }
 });
 
+// @desc    Preview the refund cancelling this booking would give right now
+// @route   GET /api/booking/:id/refund-quote
+// @access  Private (booking owner, lot owner or admin)
+router.get('/:id/refund-quote', protect, async (req, res) => {
+  try {
+    const booking = await Booking.findById(req.params.id).populate('parkingLot', 'owner name cancellationPolicy');
+    if (!booking) {
+      return res.status(404).json({ success: false, message: 'Booking not found' });
+    }
+    const isOwner = booking.user.toString() === req.user.id;
+    const isLotOwner = booking.parkingLot?.owner?.toString() === req.user.id;
+    if (!isOwner && !isLotOwner && req.user.role !== 'admin') {
+      return res.status(403).json({ success: false, message: 'Not authorized to view this booking' });
+    }
+
+    // Derive what was captured from the ledger; the booking isn't saved
+    await applyLedgerTotals(booking);
+    res.status(200).json({
+      success: true,
+      data: { bookingId: booking._id, currency: booking.pricing.currency, quote: quoteRefund(booking) }
+    });
+  } catch (error) {
+    console.error('Refund quote error:', error);
+    res.status(500).json({ success: false, message: 'Server error calculating refund quote' });
+  }
+});
+
+// Customer cancellation: cancel a booking if the lot's policy allows it and refund what the
+// policy gives back through the gateway and the ledger. Returns the refund quote (plus
+// refundFailed); the booking is left untouched when quote.cancellable is false.
+const cancelUnderPolicy = async (req, booking, { reason } = {}) => {
+  await applyLedgerTotals(booking);
+  const quote = quoteRefund(booking);
+  if (!quote.cancellable) return quote;
+  const cancelReason = reason || 'Cancelled by user';
+
+  let refundTxn = null;
+  if (quote.refundAmount > 0) {
+    refundTxn = await issueRefund(req, booking, { amount: quote.refundAmount, reason: cancelReason });
+    if (!refundTxn?.gatewayError) {
+      booking.payment.status = 'refunded';
+      booking.payment.refundedAt = new Date();
+    }
+    await applyLedgerTotals(booking);
+  }
+
+  const previousStatus = booking.status;
+  booking.status = 'cancelled';
+  booking.cancellation = {
+    reason: cancelReason,
+    cancelledAt: new Date(),
+    cancelledBy: req.user.id,
+    refundEligible: quote.refundAmount > 0,
+    refundAmount: quote.refundAmount,
+    cancellationFee: quote.cancellationFee,
+    policy: quote.policy.preset
+  };
+  await booking.save();
+  await auditStatus(req, booking, previousStatus, { reason: cancelReason, refundAmount: quote.refundAmount });
+
+  emitBookingStatus(req.io, booking);
+  if (quote.refundAmount > 0) {
+    emitRefund(req.io, booking, quote.refundAmount);
+  }
+  return { ...quote, refundFailed: Boolean(refundTxn?.gatewayError) };
+};
+
+// @desc    Recurring series with its occurrences
+// @route   GET /api/booking/series/:seriesId
+// @access  Private
+router.get('/series/:seriesId', protect, async (req, res) => {
+  try {
+    const series = await BookingSeries.findById(req.params.seriesId).populate('parkingLot', 'name location');
+    if (!series) {
+      return res.status(404).json({ success: false, message: 'Booking series not found' });
+    }
+    if (series.user.toString() !== req.user.id && req.user.role !== 'admin') {
+      return res.status(403).json({ success: false, message: 'Not authorized to view this series' });
+    }
+    const bookings = await Booking.find({ series: series._id }).sort({ seriesIndex: 1 });
+    res.status(200).json({ success: true, data: { series, bookings } });
+  } catch (error) {
+    console.error('Get booking series error:', error);
+    res.status(500).json({ success: false, message: 'Server error fetching booking series' });
+  }
+});
+
+// @desc    Cancel every upcoming occurrence of a recurring series (single occurrences use DELETE /:id)
+// @route   DELETE /api/booking/series/:seriesId
+// @access  Private
+router.delete('/series/:seriesId', protect, [
+  body('reason').optional().isLength({ max: 500 }).withMessage('Reason too long')
+], async (req, res) => {
+  try {
+    const series = await BookingSeries.findById(req.params.seriesId);
+    if (!series) {
+      return res.status(404).json({ success: false, message: 'Booking series not found' });
+    }
+    if (series.user.toString() !== req.user.id) {
+      return res.status(403).json({ success: false, message: 'Not authorized to cancel this series' });
+    }
+
+    const bookings = await Booking.find({ series: series._id, status: { $in: ['pending', 'confirmed'] } })
+      .populate('parkingLot')
+      .sort({ seriesIndex: 1 });
+
+    const cancelled = [];
+    const kept = [];
+    let refundAmount = 0;
+    for (const booking of bookings) {
+      const quote = await cancelUnderPolicy(req, booking, { reason: req.body.reason || 'Series cancelled by user' });
+      if (quote.cancellable) {
+        cancelled.push(booking._id);
+        refundAmount += quote.refundAmount;
+      } else {
+        kept.push({ bookingId: booking._id, startTime: booking.bookingDetails.startTime, reason: quote.reason });
+      }
+    }
+
+    series.status = 'cancelled';
+    series.cancelledAt = new Date();
+    await series.save();
+    await syncLiveCapacity(series.parkingLot);
+    if (cancelled.length) await offerFreedSpace(req.io, series.parkingLot);
+
+    res.status(200).json({
+      success: true,
+      message: `Cancelled ${cancelled.length} occurrence(s)`,
+      data: {
+        cancelled,
+        notCancelled: kept,
+        refundAmount: Math.round(refundAmount * 100) / 100
+      }
+    });
+  } catch (error) {
+    console.error('Cancel booking series error:', error);
+    res.status(500).json({ success: false, message: 'Server error cancelling booking series' });
+  }
+});
+
 // @desc    Cancel booking
 // @route   DELETE /api/booking/:id
 // @access  Private
@@ -690,43 +1920,26 @@ router.delete('/:id', protect, [
       });
     }
 
-    // Check if booking can be cancelled
-    if (!booking.canBeCancelled()) {
+    // Cancel if the lot's policy allows it
+    const quote = await cancelUnderPolicy(req, booking, { reason: req.body.reason });
+    if (!quote.cancellable) {
       return res.status(400).json({
         success: false,
-        message: 'Booking cannot be cancelled at this time'
+        message: quote.reason || 'Booking cannot be cancelled at this time'
       });
     }
+    const { refundAmount, refundFailed } = quote;
 
-    // Calculate refund
-    const refundAmount = booking.calculateRefund();
-
-    // Update booking
-    booking.status = 'cancelled';
-    booking.cancellation = {
-      reason: req.body.reason || 'Cancelled by user',
-      cancelledAt: new Date(),
-      cancelledBy: req.user.id,
-      refundEligible: refundAmount > 0,
-      refundAmount
-    };
-
-    await booking.save();
-
-    // Release the spot
-    await ParkingLot.findByIdAndUpdate(booking.parkingLot._id, {
-      $inc: { 
-        'capacity.available': 1,
-        'capacity.reserved': -1
-      },
-      'liveStatus.lastUpdated': new Date()
-    });
+    // Release the spot and offer it to the lot's waitlist
+    await syncLiveCapacity(booking.parkingLot._id);
+    await offerFreedSpace(req.io, booking.parkingLot._id);
 
     res.status(200).json({
       success: true,
       message: 'Booking cancelled successfully',
       data: {
         refundAmount,
+        refundFailed,
         booking
       }
     });
@@ -783,23 +1996,59 @@ router.put('/:id/extend', protect, [
       });
     }
 
-    // Calculate additional cost
-    const additionalCost = additionalHours * booking.parkingLot.pricing.hourly;
-    const taxes = additionalCost * 0.18;
-    const totalAdditionalCost = additionalCost + taxes;
-
-    // Update booking
+    // The extra window must be free (the booking's own spot included)
     const currentEndTime = new Date(booking.bookingDetails.endTime);
     const newEndTime = new Date(currentEndTime.getTime() + (additionalHours * 60 * 60 * 1000));
+    const tooLong = stayError(booking.bookingDetails.startTime, newEndTime);
+    if (tooLong) {
+      return res.status(400).json({
+        success: false,
+        message: tooLong
+      });
+    }
+    const closed = closureReason(booking.parkingLot, currentEndTime, newEndTime);
+    if (closed) {
+      return res.status(400).json({
+        success: false,
+        message: closed
+      });
+    }
+    const availability = await checkAvailability(booking.parkingLot, {
+      vehicleType: booking.vehicle.type,
+      startTime: currentEndTime,
+      endTime: newEndTime,
+      spotNumber: booking.bookingDetails.spotNumber,
+      excludeBookingId: booking._id
+    });
+    if (!availability.available) {
+      return res.status(409).json({
+        success: false,
+        message: availability.reason,
+        data: { availability }
+      });
+    }
 
+    // Update booking and charge the extra hours through the ledger
     booking.bookingDetails.endTime = newEndTime;
     booking.bookingDetails.duration.hours += additionalHours;
-    booking.pricing.basePrice += additionalCost;
-    booking.pricing.taxes += taxes;
-    booking.pricing.totalAmount += totalAdditionalCost;
     booking.status = 'extended';
 
+    const extensionPrice = priceExtension(booking.parkingLot, {
+      startTime: booking.bookingDetails.startTime,
+      oldEndTime: currentEndTime,
+      newEndTime
+    });
+    const extension = await postExtension(booking, {
+      hours: additionalHours,
+      base: extensionPrice.basePrice,
+      createdBy: req.user._id
+    });
+    const totalAdditionalCost = extension.amount;
+    await applyLedgerTotals(booking);
+
     await booking.save();
+    // The checkout reminder and extension offer move with the new end time
+    await queueBookingNotifications(booking);
 
     res.status(200).json({
       success: true,
@@ -807,6 +2056,7 @@ router.put('/:id/extend', protect, [
       data: {
         booking,
         additionalCost: totalAdditionalCost,
+        amountDue: booking.payment.amountDue,
         newEndTime
       }
     });
@@ -839,7 +2089,7 @@ router.post('/:id/payment/cancel', protect, [
 
     // Authorization: allow booking owner, lot owner or admin
     const isOwner = booking.user.toString() === req.user.id;
-  const isLotOwner = booking.parkingLot?.owner?.toString() === req.user.id;
+    const isLotOwner = booking.parkingLot?.owner?.toString() === req.user.id;
     const isAdmin = req.user.role === 'admin';
     if (!isOwner && !isLotOwner && !isAdmin) {
       return res.status(403).json({ success: false, message: 'Not authorized to cancel payment for this booking' });
@@ -850,103 +2100,120 @@ router.post('/:id/payment/cancel', protect, [
       return res.status(400).json({ success: false, message: 'Payment cannot be cancelled in its current state' });
     }
 
-    // Compute refund amount using existing method if available
-    let refundAmount = 0;
-    try {
-      refundAmount = (typeof booking.calculateRefund === 'function') ? (booking.calculateRefund() || 0) : 0;
-    } catch (err) {
-      console.error('Error calculating refund amount:', err);
-      refundAmount = 0;
-    }
+    const reason = req.body.reason || 'Payment cancelled/refunded';
 
-    // Attempt gateway refund when applicable
-    let refundTxn = null;
-    try {
-      if (booking.payment?.method === 'stripe' && stripeClient && booking.payment.paymentId) {
-        const piId = booking.payment.paymentId;
-        const refund = await stripeClient.refunds.create({ payment_intent: piId, amount: Math.round((refundAmount || 0) * 100) });
-        refundTxn = { gateway: 'stripe', id: refund.id, raw: refund };
-      } else if (booking.payment?.method === 'razorpay' && razorpayClient && booking.payment.paymentId) {
-        const rPaymentId = booking.payment.paymentId;
-        const refund = await razorpayClient.payments.refund(rPaymentId, { amount: Math.round((refundAmount || 0) * 100) });
-        refundTxn = { gateway: 'razorpay', id: refund.id || refund, raw: refund };
-      } else {
-        // No gateway configured or unsupported method — skip external refund
-        if (booking.payment?.method && !stripeClient && booking.payment.method === 'stripe') {
-          logger.warn('Stripe key not configured; skipping gateway refund');
-        }
-        if (booking.payment?.method && !razorpayClient && booking.payment.method === 'razorpay') {
-          logger.warn('Razorpay keys not configured; skipping gateway refund');
-        }
+    // The lot side cancels on its own terms (full refund, until the car arrives)
+    if (!isOwner) {
+      const result = await cancelByOwner(req, booking, { reason });
+      if (!result.data) {
+        return res.status(result.status).json({ success: false, message: result.message });
       }
-    } catch (gwErr) {
-      console.error('Gateway refund error:', gwErr);
-      refundTxn = { gatewayError: gwErr?.message || String(gwErr) };
-    }
-
-    // Mark payment refunded and optionally cancel booking
-    booking.payment.status = 'refunded';
-    booking.payment.refundAmount = refundAmount;
-    booking.payment.refundedAt = new Date();
-    if (refundTxn) booking.payment.refundTransactionId = refundTxn.id || null;
-    if (refundTxn) booking.payment.refundGateway = refundTxn.gateway || null;
-
-    // Mark cancellation details on booking
-    booking.status = 'cancelled';
-    booking.cancellation = {
-      reason: req.body.reason || 'Payment cancelled/refunded',
-      cancelledAt: new Date(),
-      cancelledBy: req.user.id,
-      refundEligible: refundAmount > 0,
-      refundAmount
-    };
-
-    await booking.save();
+      return res.status(200).json({ success: true, message: 'Payment refunded and booking cancelled', data: { booking, ...result.data } });
+    }
 
-    // Release the spot in the parking lot if reserved
-    if (booking.parkingLot?._id) {
-      await ParkingLot.findByIdAndUpdate(booking.parkingLot._id, {
-        $inc: { 'capacity.available': 1, 'capacity.reserved': -1 },
-        'liveStatus.lastUpdated': new Date()
-      });
+    // Customers get what the lot's cancellation policy allows, inside its cutoff only
+    const quote = await cancelUnderPolicy(req, booking, { reason });
+    if (!quote.cancellable) {
+      return res.status(400).json({ success: false, message: quote.reason || 'Booking cannot be cancelled at this time' });
     }
 
-    // Emit real-time update
-    req.io.to(`booking-${booking._id}`).emit('payment-refunded', {
-      bookingId: booking._id,
-      refundAmount,
-      timestamp: new Date()
-    });
+    // Release the spot and offer it to the lot's waitlist
+    await syncLiveCapacity(booking.parkingLot._id);
+    await offerFreedSpace(req.io, booking.parkingLot._id);
 
-    return res.status(200).json({ success: true, message: 'Payment refunded and booking cancelled', data: { booking, refundAmount, refundTxn } });
+    return res.status(200).json({
+      success: true,
+      message: quote.refundAmount > 0 ? 'Payment refunded and booking cancelled' : 'Booking cancelled; no refund is due under the cancellation policy',
+      data: { booking, refundAmount: quote.refundAmount, refundFailed: quote.refundFailed }
+    });
   } catch (error) {
     console.error('Cancel payment error:', error);
     res.status(500).json({ success: false, message: 'Server error cancelling payment' });
   }
 });
 
+// @desc    Ledger entries and derived totals for a booking (receipt)
+// @route   GET /api/booking/:id/transactions
+// @access  Private (booking owner, lot owner or admin)
+router.get('/:id/transactions', protect, async (req, res) => {
+  try {
+    const booking = await Booking.findById(req.params.id).populate('parkingLot', 'owner name');
+    if (!booking) {
+      return res.status(404).json({ success: false, message: 'Booking not found' });
+    }
+    const isOwner = booking.user.toString() === req.user.id;
+    const isLotOwner = booking.parkingLot?.owner?.toString() === req.user.id;
+    if (!isOwner && !isLotOwner && req.user.role !== 'admin') {
+      return res.status(403).json({ success: false, message: 'Not authorized to view this booking' });
+    }
+
+    // Derive (and backfill) from the ledger so pre-ledger bookings get their opening entries
+    await applyLedgerTotals(booking);
+    const transactions = await listEntries(booking._id);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        bookingId: booking._id,
+        currency: booking.pricing.currency,
+        totals: summarise(transactions),
+        transactions
+      }
+    });
+  } catch (error) {
+    console.error('Get booking transactions error:', error);
+    res.status(500).json({ success: false, message: 'Server error fetching transactions' });
+  }
+});
+
+// Load a booking for ticket download: booking owner, lot owner or admin
+const loadTicketBooking = async (req) => {
+  const booking = await Booking.findById(req.params.id).populate('parkingLot').populate('user');
+  if (!booking) return { status: 404, message: 'Booking not found' };
+  const isOwner = booking.user?._id?.toString() === req.user.id;
+  const isLotOwner = booking.parkingLot?.owner?.toString() === req.user.id;
+  const isAdmin = req.user.role === 'admin';
+  if (!isOwner && !isLotOwner && !isAdmin) return { status: 403, message: 'Not authorized to download this ticket' };
+  return { booking };
+};
+
+// @desc    Ticket QR code (signed gate token) as PNG
+// @route   GET /api/booking/:id/ticket.png
+// @access  Private
+router.get('/:id/ticket.png', protect, async (req, res) => {
+  try {
+    const loaded = await loadTicketBooking(req);
+    if (!loaded.booking) return res.status(loaded.status).json({ success: false, message: loaded.message });
+
+    const width = Math.min(1000, Math.max(100, parseInt(req.query.size, 10) || 300));
+    const png = await renderTicketQr(loaded.booking, { width });
+    res.setHeader('Content-Type', 'image/png');
+    res.setHeader('Cache-Control', 'private, no-store');
+    res.send(png);
+  } catch (err) {
+    console.error('Ticket QR generation error:', err);
+    res.status(500).json({ success: false, message: 'Error generating ticket QR code' });
+  }
+});
+
 // @desc    Download ticket as PDF with QR code
 // @route   GET /api/booking/:id/ticket
 // @access  Private
 router.get('/:id/ticket', protect, async (req, res) => {
   try {
-    const booking = await Booking.findById(req.params.id).populate('parkingLot').populate('user');
-    if (!booking) return res.status(404).json({ success: false, message: 'Booking not found' });
+    const loaded = await loadTicketBooking(req);
+    if (!loaded.booking) return res.status(loaded.status).json({ success: false, message: loaded.message });
+    const { booking } = loaded;
 
-    // Authorization: owner, lot owner or admin
-    const isOwner = booking.user._id.toString() === req.user.id;
-    const isLotOwner = booking.parkingLot?.owner?.toString() === req.user.id;
-    const isAdmin = req.user.role === 'admin';
-    if (!isOwner && !isLotOwner && !isAdmin) return res.status(403).json({ success: false, message: 'Not authorized to download this ticket' });
+    if (!optionalPdfAvailable) {
+      return res.status(501).json({ success: false, message: 'PDF generation dependencies not installed on server' });
+    }
 
     // Create a PDF and stream it
     res.setHeader('Content-Type', 'application/pdf');
     res.setHeader('Content-Disposition', `attachment; filename="ticket_${booking._id}.pdf"`);
 
-    if (!optionalPdfAvailable) {
-      return res.status(501).json({ success: false, message: 'PDF generation dependencies not installed on server' });
-    }
-
+    const qrBuffer = await renderTicketQr(booking);
     const doc = new PDFDocument({ size: 'A4', margin: 50 });
     doc.pipe(res);
 
@@ -958,25 +2225,23 @@ router.get('/:id/ticket', protect, async (req, res) => {
     doc.text(`Name: ${booking.user?.name || 'N/A'}`);
     doc.text(`Parking Lot: ${booking.parkingLot?.name || 'N/A'}`);
     doc.text(`Address: ${booking.parkingLot?.location?.address?.city || ''}`);
+    doc.text(`Vehicle: ${booking.vehicle?.licensePlate || '—'}`);
     doc.text(`Slot: ${booking.bookingDetails?.spotNumber || '—'}`);
     doc.text(`Start: ${booking.bookingDetails?.startTime}`);
     doc.text(`End: ${booking.bookingDetails?.endTime}`);
     doc.text(`Amount Paid: ${booking.pricing?.totalAmount || 0}`);
     doc.moveDown();
 
-    // Generate QR code as data URL and embed
-  const qrPayload = JSON.stringify({ bookingId: booking._id, lotId: booking.parkingLot?._id });
-  const qrDataUrl = await QRCode.toDataURL(qrPayload);
-    const base64 = qrDataUrl.replace(/^data:image\/png;base64,/, '');
-    const qrBuffer = Buffer.from(base64, 'base64');
     doc.image(qrBuffer, { fit: [150, 150], align: 'center' });
 
     doc.moveDown();
-    doc.fontSize(10).text('Show this ticket at the parking entrance. QR code contains booking reference.', { align: 'center' });
+    doc.fontSize(10).text('Show this ticket at the parking entrance. The QR code is signed and only valid for this vehicle and booking window.', { align: 'center' });
 
     doc.end();
   } catch (err) {
     console.error('Ticket PDF generation error:', err);
+    if (res.headersSent) return res.end();
+    res.removeHeader('Content-Disposition');
     res.status(500).json({ success: false, message: 'Error generating ticket' });
   }
 });
@@ -1,10 +1,21 @@
 const express = require('express');
 const multer = require('multer');
-const { body, query, validationResult } = require('express-validator');
+const { body, param, query, validationResult } = require('express-validator');
 const ParkingLot = require('../models/ParkingLot');
 const Booking = require('../models/Booking');
 const { protect, authorize, optionalAuth } = require('../middleware/authMiddleware');
 const { uploadImage, deleteImage } = require('../config/cloudinary');
+const { acquireHold, releaseHold, broadcastHold } = require('../services/slotHoldService');
+const { diff } = require('../services/auditService');
+const { buildLotUpdate, planSlotUpdate, slotsInUse } = require('../services/lotUpdateService');
+const { BLOCKING_STATUSES, syncLiveCapacity } = require('../services/availabilityService');
+const { isTimeZone, timezoneOf, zonedInstant, isOpenBetween, describeHours } = require('../services/hoursService');
+const { localTime } = require('../services/pricingService');
+const { SEARCH_SORTS, searchLots } = require('../services/searchService');
+const { publish } = require('../services/realtimeService');
+const {
+  MAX_SLOTS, MAX_LEVELS, ROTATIONS, SLOT_FOOTPRINTS, FIXTURE_KINDS, findOverlaps, validateLayout, planForCapacity, applyLayoutChanges
+} = require('../services/layoutService');
 
 const router = express.Router();
 
@@ -28,6 +39,34 @@ const upload = multer({
   }
 });
 
+// Verification documents may be scans (images) or PDFs
+const documentUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: 10 * 1024 * 1024, // 10MB limit
+  },
+  fileFilter: (req, file, cb) => {
+    if (file.mimetype.startsWith('image/') || file.mimetype === 'application/pdf') {
+      cb(null, true);
+    } else {
+      cb(new Error('Only images or PDF documents are allowed!'), false);
+    }
+  }
+});
+
+// When set, lots that haven't passed verification are left out of /nearby
+const HIDE_UNVERIFIED_LOTS = process.env.HIDE_UNVERIFIED_LOTS === 'true';
+
+// Load a lot the caller owns (or any lot for admins). Returns { lot } or { status, message }.
+const loadOwnedLot = async (req, lotId) => {
+  const lot = await ParkingLot.findById(lotId);
+  if (!lot) return { status: 404, message: 'Parking lot not found' };
+  if (lot.owner.toString() !== req.user._id.toString() && req.user.role !== 'admin') {
+    return { status: 403, message: 'Access denied' };
+  }
+  return { lot };
+};
+
 // --- Development seeding: create random lots near a location ---
 // Helpers for seeding
 function randomInt(min, max) { return Math.floor(Math.random() * (max - min + 1)) + min; }
@@ -178,6 +217,11 @@ router.post('/seed/random', protect, authorize('admin', 'landowner'), async (req
       createdLots.push(lot);
     }
 
+    await req.audit('lot.import', {
+      target: { type: 'ParkingLot', label: 'seed' },
+      metadata: { source: 'seed', owner: ownerId, lat, lng, radiusMeters, created: createdLots.map(l => l._id) }
+    });
+
     res.status(201).json({
       success: true,
       message: `Seeded ${createdLots.length} development parking lots`,
@@ -333,6 +377,110 @@ router.delete('/delete-image/:lotId/:imageId', protect, authorize('landowner', '
   }
 });
 
+// @desc    Upload verification documents (ownership deed, lease, licence) for a lot
+// @route   POST /api/parking/:id/verification/documents
+// @access  Private (Lot owner/Admin)
+router.post('/:id/verification/documents', protect, authorize('landowner', 'admin'), documentUpload.array('documents', 5), async (req, res) => {
+  try {
+    if (!req.files || req.files.length === 0) {
+      return res.status(400).json({ success: false, message: 'No documents provided' });
+    }
+    const { lot, status, message } = await loadOwnedLot(req, req.params.id);
+    if (!lot) {
+      return res.status(status).json({ success: false, message });
+    }
+    if (lot.verification?.status === 'pending') {
+      return res.status(409).json({ success: false, message: 'Documents are under review and cannot be changed' });
+    }
+
+    const types = [].concat(req.body.types || []);
+    const uploads = await Promise.all(req.files.map(file => uploadImage(file.buffer, {
+      folder: `parkplaza/verification/${lot._id}`,
+      resource_type: 'auto',
+      transformation: []
+    })));
+    const documents = uploads.map((result, index) => ({
+      type: types[index] || 'other',
+      name: req.files[index].originalname,
+      url: result.secure_url,
+      publicId: result.public_id,
+      uploadedAt: new Date()
+    }));
+
+    lot.verificationDocuments.push(...documents);
+    await lot.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Documents uploaded',
+      data: { documents: lot.verificationDocuments, verification: lot.verification }
+    });
+  } catch (error) {
+    console.error('Verification document upload error:', error);
+    res.status(500).json({ success: false, message: error.message || 'Error uploading documents' });
+  }
+});
+
+// @desc    Remove a verification document before submitting
+// @route   DELETE /api/parking/:id/verification/documents/:docId
+// @access  Private (Lot owner/Admin)
+router.delete('/:id/verification/documents/:docId', protect, authorize('landowner', 'admin'), async (req, res) => {
+  try {
+    const { lot, status, message } = await loadOwnedLot(req, req.params.id);
+    if (!lot) {
+      return res.status(status).json({ success: false, message });
+    }
+    if (lot.verification?.status === 'pending') {
+      return res.status(409).json({ success: false, message: 'Documents are under review and cannot be changed' });
+    }
+    const doc = lot.verificationDocuments.id(req.params.docId);
+    if (!doc) {
+      return res.status(404).json({ success: false, message: 'Document not found' });
+    }
+
+    try {
+      if (doc.publicId) await deleteImage(doc.publicId);
+    } catch (cloudinaryError) {
+      console.error('Cloudinary deletion error:', cloudinaryError);
+      // Continue even if Cloudinary deletion fails
+    }
+    doc.deleteOne();
+    await lot.save();
+
+    res.status(200).json({ success: true, message: 'Document removed', data: { documents: lot.verificationDocuments } });
+  } catch (error) {
+    console.error('Verification document delete error:', error);
+    res.status(500).json({ success: false, message: 'Error removing document' });
+  }
+});
+
+// @desc    Submit a lot's documents for admin verification
+// @route   POST /api/parking/:id/verification/submit
+// @access  Private (Lot owner/Admin)
+router.post('/:id/verification/submit', protect, authorize('landowner', 'admin'), async (req, res) => {
+  try {
+    const { lot, status, message } = await loadOwnedLot(req, req.params.id);
+    if (!lot) {
+      return res.status(status).json({ success: false, message });
+    }
+    const current = lot.verification?.status || 'unsubmitted';
+    if (!['unsubmitted', 'rejected'].includes(current)) {
+      return res.status(409).json({ success: false, message: `Verification is already ${current}` });
+    }
+    if (!lot.verificationDocuments.length) {
+      return res.status(400).json({ success: false, message: 'Upload at least one document before submitting' });
+    }
+
+    lot.verification = { status: 'pending', submittedAt: new Date() };
+    await lot.save();
+
+    res.status(200).json({ success: true, message: 'Submitted for verification', data: { verification: lot.verification } });
+  } catch (error) {
+    console.error('Verification submit error:', error);
+    res.status(500).json({ success: false, message: 'Error submitting for verification' });
+  }
+});
+
 // @desc    Import nearby parking from OpenStreetMap (Overpass API) into ParkingLot collection
 // @route   POST /api/parking/import/osm
 // @access  Private (admin or landowner)
@@ -480,10 +628,15 @@ router.post('/import/osm', protect, authorize('admin', 'landowner'), [
         };
 
         if (existing) { existing.description = doc.description; existing.capacity = doc.capacity; existing.pricing = doc.pricing; existing.amenities = doc.amenities; await existing.save(); updated.push(existing._id.toString()); }
-        else { const createdLot = await ParkingLot.create(doc); try { await createdLot.generateSlots({ levels: 1, rows: 5, cols: 10, type: 'car' }); } catch {} created.push(createdLot._id.toString()); }
+        else { const createdLot = await ParkingLot.create(doc); try { await createdLot.generateSlots({ plan: planForCapacity(doc.capacity.total, doc.vehicleTypes) }); } catch {} created.push(createdLot._id.toString()); }
       } catch (e) { skipped.push({ id: el.id, error: e.message || String(e) }); }
     }
 
+    await req.audit('lot.import', {
+      target: { type: 'ParkingLot', label: 'osm' },
+      metadata: { source: 'osm', owner: owner._id, lat, lng, radiusMeters, created, updated, skipped: skipped.length }
+    });
+
     return res.status(200).json({ success: true, message: 'OSM import complete', data: { createdCount: created.length, updatedCount: updated.length, skippedCount: skipped.length, created, updated, skipped } });
   } catch (error) {
     console.error('OSM import error:', error);
@@ -513,7 +666,11 @@ router.get('/nearby', [
           distanceField: 'distance',
           maxDistance: radius * 1000,
           spherical: true,
-          query: { status:'active', 'capacity.available': { $gt: 0 } }
+          query: {
+            status:'active',
+            'capacity.available': { $gt: 0 },
+            ...(HIDE_UNVERIFIED_LOTS ? { isVerified: true } : {})
+          }
       }},
       { $project: {
           name:1,
@@ -522,7 +679,9 @@ router.get('/nearby', [
           'capacity.available':1,
           'capacity.total': '$capacity.total',
           'pricing.hourly':1,
+          'pricing.nightHourly':1,
           'rating.average':1,
+          isVerified:1,
           distance:1
       }},
       { $limit: 200 }
@@ -536,8 +695,9 @@ router.get('/nearby', [
       lng: l.location?.coordinates?.[0],
       availableSlots: l.capacity?.available ?? 0,
       totalSlots: l.capacity?.total ?? 0,
-      pricePerHour: { day: l.pricing?.hourly ?? 0 },
+      pricePerHour: { day: l.pricing?.hourly ?? 0, night: l.pricing?.nightHourly ?? l.pricing?.hourly ?? 0 },
       rating: l.rating?.average ?? 0,
+      verified: Boolean(l.isVerified),
       distanceMeters: l.distance
     }));
 
@@ -548,6 +708,78 @@ router.get('/nearby', [
   }
 });
 
+// Comma-separated or repeated query values -> array
+const listParam = (value) => (Array.isArray(value) ? value : String(value || '').split(','))
+  .map(v => String(v).trim())
+  .filter(Boolean);
+
+// @desc    Search parking lots: text, location, filters, facets and cursor pagination
+// @route   GET /api/parking/search (also GET /api/parking/all)
+// @access  Public
+// Query: q, lat+lng, radius (km), vehicleType, amenities, minPrice, maxPrice, minRating, openNow,
+//        availableOnly, startTime+endTime, sort (relevance|distance|price|rating), limit, cursor
+router.get(['/search', '/all'], [
+  query('q').optional().isString().trim().isLength({ max: 100 }).withMessage('q must be at most 100 characters'),
+  query('lat').optional().isFloat({ min: -90, max: 90 }).withMessage('lat must be a latitude'),
+  query('lng').optional().isFloat({ min: -180, max: 180 }).withMessage('lng must be a longitude'),
+  query('lat').custom((lat, { req }) => (lat === undefined) === (req.query.lng === undefined)).withMessage('lat and lng go together'),
+  query('radius').optional().isInt({ min: 1, max: 100 }).withMessage('radius (km) must be 1-100'),
+  query('vehicleType').optional().isIn(['car', 'bike', 'truck', 'van', 'bicycle']).withMessage('Invalid vehicle type'),
+  query('amenities').optional().custom(value => listParam(value).every(a => a.length <= 50)).withMessage('Invalid amenities'),
+  query('minPrice').optional().isFloat({ min: 0 }).withMessage('minPrice must be 0 or more'),
+  query('maxPrice').optional().isFloat({ min: 0 }).withMessage('maxPrice must be 0 or more'),
+  query('minRating').optional().isFloat({ min: 0, max: 5 }).withMessage('minRating must be 0-5'),
+  query('openNow').optional().isBoolean().withMessage('openNow must be true or false'),
+  query('availableOnly').optional().isBoolean().withMessage('availableOnly must be true or false'),
+  query('startTime').optional().isISO8601().withMessage('startTime must be an ISO 8601 date'),
+  query('endTime').optional().isISO8601().withMessage('endTime must be an ISO 8601 date')
+    .custom((end, { req }) => req.query.startTime && new Date(end) > new Date(req.query.startTime))
+    .withMessage('endTime must be after startTime'),
+  query('startTime').custom((start, { req }) => (start === undefined) === (req.query.endTime === undefined))
+    .withMessage('startTime and endTime go together'),
+  query('sort').optional().isIn(SEARCH_SORTS).withMessage(`sort must be one of ${SEARCH_SORTS.join(', ')}`)
+    .custom((sort, { req }) => sort !== 'distance' || req.query.lat !== undefined).withMessage('Sorting by distance needs lat and lng')
+    .custom((sort, { req }) => sort !== 'relevance' || Boolean(req.query.q)).withMessage('Sorting by relevance needs q'),
+  query('limit').optional().isInt({ min: 1, max: 50 }).withMessage('limit must be 1-50'),
+  query('cursor').optional().isString().isLength({ max: 200 }).withMessage('Invalid cursor')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, message: 'Validation failed', errors: errors.array() });
+    }
+
+    const q = req.query;
+    const number = (value) => (value === undefined ? undefined : parseFloat(value));
+    const result = await searchLots({
+      q: q.q || undefined,
+      lat: number(q.lat),
+      lng: number(q.lng),
+      radiusKm: number(q.radius),
+      vehicleType: q.vehicleType,
+      amenities: q.amenities ? listParam(q.amenities) : [],
+      minPrice: number(q.minPrice),
+      maxPrice: number(q.maxPrice),
+      minRating: number(q.minRating),
+      openNow: q.openNow === 'true',
+      availableOnly: q.availableOnly === 'true',
+      startTime: q.startTime ? new Date(q.startTime) : undefined,
+      endTime: q.endTime ? new Date(q.endTime) : undefined,
+      sort: q.sort,
+      limit: q.limit ? parseInt(q.limit, 10) : undefined,
+      cursor: q.cursor
+    }, { hideUnverified: HIDE_UNVERIFIED_LOTS });
+
+    if (result.error) {
+      return res.status(400).json({ success: false, message: result.error });
+    }
+    res.status(200).json({ success: true, data: result });
+  } catch (error) {
+    console.error('Lot search error:', error);
+    res.status(500).json({ success: false, message: 'Server error searching parking lots' });
+  }
+});
+
 // --- Import nearby parking places from Google Places and persist to DB ---
 // @desc    Import Google Places (type=parking) into ParkingLot collection
 // @route   POST /api/parking/import/places
@@ -734,8 +966,8 @@ router.post('/import/places', protect, authorize('admin', 'landowner'), [
           updated.push({ id: existing._id, name });
         } else {
           const createdLot = await ParkingLot.create(doc);
-          // Optionally generate a simple slot layout
-          try { await createdLot.generateSlots({ levels: 1, rows: 5, cols: 10, type: 'car' }); } catch (e) { console.warn('generateSlots failed:', e?.message || e); }
+          // Starting slot layout sized to the lot; owners refine it in the layout editor
+          try { await createdLot.generateSlots({ plan: planForCapacity(doc.capacity.total, doc.vehicleTypes) }); } catch (e) { console.warn('generateSlots failed:', e?.message || e); }
           created.push({ id: createdLot._id, name });
         }
       } catch (e) {
@@ -743,6 +975,11 @@ router.post('/import/places', protect, authorize('admin', 'landowner'), [
       }
     }
 
+    await req.audit('lot.import', {
+      target: { type: 'ParkingLot', label: 'places' },
+      metadata: { source: 'places', owner: ownerId, lat, lng, radiusMeters, created: created.map(c => c.id), updated: updated.map(u => u.id), skipped: skipped.length }
+    });
+
     return res.status(200).json({ success:true, message:'Import complete', data: { createdCount: created.length, updatedCount: updated.length, skippedCount: skipped.length, created, updated, skipped } });
   } catch (error) {
     console.error('Import places error:', error);
@@ -784,6 +1021,7 @@ router.get('/:id', async (req, res) => {
       success: true,
       data: {
         lot,
+        hours: describeHours(lot),
         recentActivity: {
           bookingCount: recentBookings.length,
           occupancyTrend: lot.liveStatus.occupancyRate
@@ -799,18 +1037,95 @@ router.get('/:id', async (req, res) => {
   }
 });
 
+const HHMM = /^([01]\d|2[0-3]):[0-5]\d$/;
+const WEEKDAYS = ['monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday'];
+const LOT_STATUSES = ParkingLot.schema.path('status').enumValues;
+const AMENITIES = ParkingLot.schema.path('amenities').caster.enumValues;
+const VEHICLE_TYPES = ParkingLot.schema.path('vehicleTypes').caster.enumValues;
+const POLICY_PRESETS = ParkingLot.schema.path('cancellationPolicy.preset').enumValues;
+
+// Each day is either 24 hours or has distinct HH:MM open/close times (close may be past midnight)
+const validOperatingHours = (hours) => {
+  if (!hours || typeof hours !== 'object' || Array.isArray(hours)) throw new Error('Operating hours must be an object keyed by weekday');
+  Object.entries(hours).forEach(([day, schedule]) => {
+    if (!WEEKDAYS.includes(day)) throw new Error(`Unknown weekday "${day}"`);
+    if (!schedule || typeof schedule !== 'object') throw new Error(`${day}: schedule must be an object`);
+    if (schedule.is24Hours !== undefined && typeof schedule.is24Hours !== 'boolean') throw new Error(`${day}: is24Hours must be true or false`);
+    if (schedule.is24Hours) return;
+    if (!HHMM.test(schedule.open || '') || !HHMM.test(schedule.close || '')) throw new Error(`${day}: open and close must be HH:MM`);
+    if (schedule.open === schedule.close) throw new Error(`${day}: open and close cannot be the same; use is24Hours`);
+  });
+  return true;
+};
+
+// Slot codes are unique, slots on a level do not overlap; live states (occupied/reserved) are not the owner's to set
+const validSlots = (slots) => {
+  const codes = new Set();
+  slots.forEach((slot, i) => {
+    const code = typeof slot?.code === 'string' ? slot.code.trim() : '';
+    if (!code || code.length > 30) throw new Error(`Slot ${i + 1}: code is required (max 30 characters)`);
+    if (codes.has(code)) throw new Error(`Duplicate slot code ${code}`);
+    codes.add(code);
+    if (slot.type !== undefined && !VEHICLE_TYPES.includes(slot.type)) throw new Error(`Slot ${code}: invalid vehicle type`);
+    if (slot.level !== undefined && !(Number.isInteger(slot.level) && slot.level >= 1)) throw new Error(`Slot ${code}: level must be a whole number from 1`);
+    if (slot.status !== undefined && !['available', 'maintenance'].includes(slot.status)) throw new Error(`Slot ${code}: status must be available or maintenance`);
+    if (slot.position !== undefined && ['x', 'y', 'z'].some(axis => slot.position?.[axis] !== undefined && !Number.isFinite(slot.position[axis]))) {
+      throw new Error(`Slot ${code}: position must be numeric`);
+    }
+    if (slot.rotation !== undefined && !ROTATIONS.includes(slot.rotation)) throw new Error(`Slot ${code}: rotation must be 0, 90, 180 or 270`);
+  });
+  const [clash] = findOverlaps(slots);
+  if (clash) throw new Error(`Slot ${clash[0]} overlaps ${clash[1]}`);
+  return true;
+};
+
+// Every field is optional so PUT and PATCH validate whatever was sent; creation adds presence checks
+const lotUpdateRules = [
+  body('name').optional().trim().isLength({ min: 3, max: 100 }).withMessage('Name must be 3-100 characters'),
+  body('description').optional().isLength({ max: 500 }).withMessage('Description too long'),
+  body('location.coordinates').optional().isArray({ min: 2, max: 2 }).withMessage('Coordinates must be [longitude, latitude]')
+    .bail().custom(([lng, lat]) => Number.isFinite(lng) && Number.isFinite(lat) && Math.abs(lng) <= 180 && Math.abs(lat) <= 90)
+    .withMessage('Coordinates must be [longitude, latitude]'),
+  body('location.address.city').optional().trim().notEmpty().withMessage('City is required'),
+  body('location.address.state').optional().trim().notEmpty().withMessage('State is required'),
+  body('capacity.total').optional().isInt({ min: 1, max: 100000 }).withMessage('Total capacity must be at least 1').toInt(),
+  body('vehicleTypes').optional().isArray({ min: 1 }).withMessage('At least one vehicle type required'),
+  body('vehicleTypes.*').isIn(VEHICLE_TYPES).withMessage(`Vehicle types must be among ${VEHICLE_TYPES.join(', ')}`),
+  body('pricing').optional().isObject().withMessage('Pricing must be an object'),
+  body(['pricing.hourly', 'pricing.nightHourly', 'pricing.daily', 'pricing.weekly', 'pricing.monthly'])
+    .optional().isFloat({ min: 0 }).withMessage('Prices must be zero or more').toFloat(),
+  body(['pricing.nightStart', 'pricing.nightEnd']).optional().matches(HHMM).withMessage('Night window times must be HH:MM'),
+  body(['pricing.weekendMultiplier', 'pricing.holidayMultiplier']).optional().isFloat({ min: 0, max: 10 }).withMessage('Multipliers must be between 0 and 10').toFloat(),
+  body('pricing.holidays').optional().isArray({ max: 366 }).withMessage('Holidays must be a list of dates'),
+  body('pricing.holidays.*').matches(/^\d{4}-\d{2}-\d{2}$/).withMessage('Holidays must be YYYY-MM-DD'),
+  body('pricing.surgeBands').optional().isArray({ max: 10 }).withMessage('At most 10 surge bands'),
+  body('pricing.surgeBands.*.minOccupancy').isFloat({ min: 0, max: 100 }).withMessage('Surge band occupancy must be 0-100'),
+  body('pricing.surgeBands.*.multiplier').isFloat({ min: 1, max: 10 }).withMessage('Surge multiplier must be 1-10'),
+  body('pricing.currency').optional().matches(/^[A-Z]{3}$/).withMessage('Currency must be a 3-letter ISO code'),
+  body('cancellationPolicy.preset').optional().isIn(POLICY_PRESETS).withMessage(`Policy must be one of ${POLICY_PRESETS.join(', ')}`),
+  body('amenities').optional().isArray().withMessage('Amenities must be a list'),
+  body('amenities.*').isIn(AMENITIES).withMessage(`Amenities must be among ${AMENITIES.join(', ')}`),
+  body('operatingHours').optional().custom(validOperatingHours),
+  body('timezone').optional().custom(isTimeZone).withMessage('Unknown timezone'),
+  body('status').optional().isIn(LOT_STATUSES).withMessage(`Status must be one of ${LOT_STATUSES.join(', ')}`),
+  body('slots').optional().isArray({ max: MAX_SLOTS }).withMessage(`Slots must be a list of at most ${MAX_SLOTS}`)
+    .bail().custom(validSlots),
+  body('owner').optional().isMongoId().withMessage('Invalid owner ID')
+];
+
 // @desc    Create new parking lot (Landowner only)
 // @route   POST /api/parking/create
 // @access  Private (Landowner)
 router.post('/create', protect, authorize('landowner', 'admin'), [
-  body('name').trim().isLength({ min: 3, max: 100 }).withMessage('Name must be 3-100 characters'),
-  body('description').optional().isLength({ max: 500 }).withMessage('Description too long'),
-  body('location.coordinates').isArray({ min: 2, max: 2 }).withMessage('Invalid coordinates'),
-  body('location.address.city').notEmpty().withMessage('City is required'),
-  body('location.address.state').notEmpty().withMessage('State is required'),
-  body('capacity.total').isInt({ min: 1 }).withMessage('Total capacity must be at least 1'),
-  body('pricing.hourly').isFloat({ min: 0 }).withMessage('Hourly rate must be positive'),
-  body('vehicleTypes').isArray({ min: 1 }).withMessage('At least one vehicle type required')
+  // Required on creation; formats are checked by lotUpdateRules
+  body('name').exists().withMessage('Name is required'),
+  body('location.coordinates').exists().withMessage('Coordinates are required'),
+  body('location.address.city').exists().withMessage('City is required'),
+  body('location.address.state').exists().withMessage('State is required'),
+  body('capacity.total').exists().withMessage('Total capacity is required'),
+  body('pricing.hourly').exists().withMessage('Hourly rate is required'),
+  body('vehicleTypes').exists().withMessage('At least one vehicle type required'),
+  ...lotUpdateRules
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -822,13 +1137,19 @@ router.post('/create', protect, authorize('landowner', 'admin'), [
       });
     }
 
+    const { update: fields, forbidden } = buildLotUpdate(req.body, req.user.role, 'replace');
+    if (forbidden) {
+      return res.status(400).json({
+        success: false,
+        message: `These fields cannot be set: ${forbidden.join(', ')}`,
+        fields: forbidden
+      });
+    }
+
     const lotData = {
-      ...req.body,
-      owner: req.user.id,
-      capacity: {
-        ...req.body.capacity,
-        available: req.body.capacity.total
-      }
+      ...fields,
+      owner: fields.owner || req.user.id,
+      'capacity.available': req.body.capacity.total
     };
 
     const lot = await ParkingLot.create(lotData);
@@ -847,11 +1168,18 @@ router.post('/create', protect, authorize('landowner', 'admin'), [
   }
 });
 
-// @desc    Update parking lot
-// @route   PUT /api/parking/:id
-// @access  Private (Owner/Admin)
-router.put('/:id', protect, async (req, res) => {
+// Shared by PUT (replace each sent field) and PATCH (merge into it); see buildLotUpdate
+const updateLot = (mode) => async (req, res) => {
   try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
     const lot = await ParkingLot.findById(req.params.id);
 
     if (!lot) {
@@ -869,25 +1197,104 @@ router.put('/:id', protect, async (req, res) => {
       });
     }
 
-    const updatedLot = await ParkingLot.findByIdAndUpdate(
+    const { update, forbidden } = buildLotUpdate(req.body, req.user.role, mode);
+    if (forbidden) {
+      return res.status(400).json({
+        success: false,
+        message: `These fields cannot be edited: ${forbidden.join(', ')}`,
+        fields: forbidden
+      });
+    }
+    if (!Object.keys(update).length) {
+      return res.status(400).json({ success: false, message: 'No editable fields provided' });
+    }
+    // Replaced blocks must still carry their required fields
+    if (update.pricing && update.pricing.hourly === undefined) {
+      return res.status(400).json({ success: false, message: 'Pricing must include an hourly rate' });
+    }
+    const address = update['location.address'];
+    if (address && (!address.city || !address.state)) {
+      return res.status(400).json({ success: false, message: 'Address must include city and state' });
+    }
+
+    let slotPlan = null;
+    if (update.slots) {
+      slotPlan = await planSlotUpdate(lot, update.slots);
+      if (slotPlan.blocked.length) {
+        return res.status(409).json({
+          success: false,
+          message: `Slots ${slotPlan.blocked.join(', ')} have upcoming bookings or passes and cannot be removed or retyped`,
+          blockedSlots: slotPlan.blocked
+        });
+      }
+      update.slots = slotPlan.slots;
+    }
+
+    if (update.owner) {
+      const newOwner = await require('../models/User').findById(update.owner).select('role');
+      if (!newOwner || !['landowner', 'admin'].includes(newOwner.role)) {
+        return res.status(400).json({ success: false, message: 'New owner must be a landowner account' });
+      }
+    }
+
+    let updatedLot = await ParkingLot.findByIdAndUpdate(
       req.params.id,
-      req.body,
+      { $set: update },
       { new: true, runValidators: true }
     );
 
+    // Available spaces follow the new total, less whatever is in use right now
+    const capacityChanged = updatedLot.capacity.total !== lot.capacity.total;
+    if (capacityChanged) {
+      await syncLiveCapacity(updatedLot._id);
+      updatedLot = await ParkingLot.findById(updatedLot._id);
+    }
+    if (slotPlan) publish(req.io, 'layout-updated', { lotId: updatedLot._id }, { lotId: updatedLot._id });
+    if (capacityChanged || updatedLot.status !== lot.status) {
+      publish(req.io, 'availability-update', {
+        lotId: updatedLot._id,
+        available: updatedLot.capacity.available,
+        occupancyRate: updatedLot.liveStatus.occupancyRate,
+        status: updatedLot.status
+      }, { lotId: updatedLot._id });
+    }
+
+    // Slot layouts are summarised rather than diffed field by field
+    const changes = diff(lot, updatedLot, Object.keys(update).filter(path => path !== 'slots'));
+    if (changes.length || slotPlan) {
+      await req.audit('lot.update', {
+        target: { type: 'ParkingLot', id: lot._id, label: lot.name },
+        changes,
+        metadata: slotPlan ? { slots: { added: slotPlan.added, removed: slotPlan.removed, total: slotPlan.slots.length } } : undefined
+      });
+    }
+
     res.status(200).json({
       success: true,
       message: 'Parking lot updated successfully',
       data: { lot: updatedLot }
     });
   } catch (error) {
+    if (error.name === 'ValidationError' || error.name === 'CastError') {
+      return res.status(400).json({ success: false, message: error.message });
+    }
     console.error('Update parking lot error:', error);
     res.status(500).json({
       success: false,
       message: 'Server error updating parking lot'
     });
   }
-});
+};
+
+// @desc    Update parking lot, replacing each field sent
+// @route   PUT /api/parking/:id
+// @access  Private (Owner/Admin)
+router.put('/:id', protect, lotUpdateRules, updateLot('replace'));
+
+// @desc    Partially update parking lot (nested fields merge)
+// @route   PATCH /api/parking/:id
+// @access  Private (Owner/Admin)
+router.patch('/:id', protect, lotUpdateRules, updateLot('merge'));
 
 // @desc    Get parking lots owned by current user
 // @route   GET /api/parking/my-lots
@@ -962,6 +1369,7 @@ router.put('/:id/availability', protect, [
     }
 
     const { available, status } = req.body;
+    const before = { capacity: { available: lot.capacity.available }, status: lot.status };
 
     // Update availability
     if (available !== undefined) {
@@ -977,13 +1385,18 @@ router.put('/:id/availability', protect, [
 
     await lot.save();
 
+    const changes = diff(before, { capacity: { available: lot.capacity.available }, status: lot.status });
+    if (changes.length) {
+      await req.audit('lot.availability', { target: { type: 'ParkingLot', id: lot._id, label: lot.name }, changes });
+    }
+
     // Emit real-time update
-    req.io.to(`lot-${lot._id}`).emit('availability-update', {
+    publish(req.io, 'availability-update', {
       lotId: lot._id,
       available: lot.capacity.available,
       occupancyRate: lot.liveStatus.occupancyRate,
       status: lot.status
-    });
+    }, { lotId: lot._id });
 
     res.status(200).json({
       success: true,
@@ -1006,45 +1419,412 @@ router.put('/:id/availability', protect, [
 module.exports = router;
 
 // --- Slot Management (basic) ---
+// Public view of a slot: live holds show as reserved, holder details stay private
+const publicSlot = (slot, now = new Date()) => {
+  const { hold, ...rest } = slot.toObject ? slot.toObject() : slot;
+  const held = hold && hold.expiresAt && new Date(hold.expiresAt) > now;
+  return held && rest.status === 'available'
+    ? { ...rest, status: 'reserved', holdExpiresAt: hold.expiresAt }
+    : rest;
+};
+
 // Get slots for a lot (public - filtered to available unless query.all=true)
 router.get('/:id/slots', async (req, res) => {
   try {
     const { id } = req.params;
-    const lot = await ParkingLot.findById(id).select('slots capacity');
+    const lot = await ParkingLot.findById(id).select('slots capacity layout');
     if (!lot) return res.status(404).json({ success:false, message:'Parking lot not found' });
-    let slots = lot.slots || [];
+    const { slots: allSlots, fixtures, levels, footprints } = layoutView(lot);
+    let slots = allSlots;
     if (!req.query.all) {
       slots = slots.filter(s => s.status === 'available');
     }
-    res.json({ success:true, data: { slots, total: slots.length, available: slots.filter(s=>s.status==='available').length } });
+    res.json({ success:true, data: { slots, total: slots.length, available: slots.filter(s=>s.status==='available').length, levels, fixtures, footprints } });
   } catch (err) {
     console.error('Fetch slots error', err);
     res.status(500).json({ success:false, message:'Failed to fetch slots' });
   }
 });
 
-// Reserve a slot (optimistic lock via manual status check)
-router.post('/:id/slots/reserve', protect, async (req, res) => {
+// @desc    Hold a slot while the user completes payment (atomic, expires after SLOT_HOLD_TTL_MINUTES)
+// @route   POST /api/parking/:id/slots/reserve
+// @access  Private
+router.post('/:id/slots/reserve', protect, [
+  body('slotCode').notEmpty().withMessage('slotCode required'),
+  body('startTime').optional().isISO8601().withMessage('Valid start time required'),
+  body('endTime').optional().isISO8601().withMessage('Valid end time required'),
+  body('vehicleType').optional().isIn(['car', 'bike', 'truck', 'van', 'bicycle']).withMessage('Invalid vehicle type')
+], async (req, res) => {
   try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success:false, message:'Validation failed', errors: errors.array() });
+    }
     const { id } = req.params;
-    const { slotCode } = req.body;
-    if (!slotCode) return res.status(400).json({ success:false, message:'slotCode required' });
-
-    const lot = await ParkingLot.findById(id).select('slots capacity');
-    if (!lot) return res.status(404).json({ success:false, message:'Parking lot not found' });
-    const slot = lot.slots.find(s => s.code === slotCode);
-    if (!slot) return res.status(404).json({ success:false, message:'Slot not found' });
-    if (slot.status !== 'available') return res.status(409).json({ success:false, message:'Slot not available' });
+    const { slotCode, startTime, endTime, vehicleType } = req.body;
+    if (startTime && endTime && new Date(endTime) <= new Date(startTime)) {
+      return res.status(400).json({ success:false, message:'End time must be after start time' });
+    }
 
-    slot.status = 'reserved';
-    lot.capacity.available = Math.max(0, lot.capacity.available - 1);
-    await lot.save();
+    const result = await acquireHold({ lotId: id, slotCode, userId: req.user._id, startTime, endTime, vehicleType });
+    if (!result.ok) {
+      const status = result.reason === 'Slot not found' ? 404 : 409;
+      return res.status(status).json({ success:false, message: result.reason });
+    }
 
-    // Emit update
-    req.io.emit('availability-update', { lotId: id, available: lot.capacity.available });
-    res.json({ success:true, data: { slotCode, status:'reserved' } });
+    broadcastHold(req.io, id, { slotCode, holdId: result.hold.id, state: 'held', expiresAt: result.hold.expiresAt });
+    res.json({ success:true, data: { slotCode, status:'reserved', holdId: result.hold.id, expiresAt: result.hold.expiresAt } });
   } catch (err) {
     console.error('Reserve slot error', err);
     res.status(500).json({ success:false, message:'Failed to reserve slot' });
   }
 });
+
+// @desc    Release a slot hold before it expires
+// @route   DELETE /api/parking/:id/slots/holds/:holdId
+// @access  Private (hold owner)
+router.delete('/:id/slots/holds/:holdId', protect, async (req, res) => {
+  try {
+    const { id, holdId } = req.params;
+    const slotCode = await releaseHold({ lotId: id, holdId, userId: req.user._id });
+    if (!slotCode) return res.status(404).json({ success:false, message:'Hold not found' });
+
+    broadcastHold(req.io, id, { slotCode, holdId, state: 'released' });
+    res.json({ success:true, data: { slotCode, status:'available' } });
+  } catch (err) {
+    console.error('Release slot hold error', err);
+    res.status(500).json({ success:false, message:'Failed to release slot hold' });
+  }
+});
+
+// --- Slot layout editor ---
+// Levels in use: the named ones plus any a slot or fixture sits on
+const layoutLevels = (lot, slots, fixtures) => {
+  const named = new Map((lot.layout?.levels || []).map(l => [l.number, { number: l.number, name: l.name }]));
+  [...slots, ...fixtures].forEach(item => {
+    const number = item.level || 1;
+    if (!named.has(number)) named.set(number, { number });
+  });
+  return [...named.values()].sort((a, b) => a.number - b.number);
+};
+
+const layoutView = (lot) => {
+  const slots = (lot.slots || []).map(s => publicSlot(s));
+  const fixtures = (lot.layout?.fixtures || []).map(f => (f.toObject ? f.toObject() : f));
+  return {
+    lotId: lot._id,
+    slots,
+    fixtures,
+    levels: layoutLevels(lot, slots, fixtures),
+    footprints: SLOT_FOOTPRINTS,
+    fixtureKinds: FIXTURE_KINDS,
+    maxLevels: MAX_LEVELS
+  };
+};
+
+const loadEditableLot = async (req, res) => {
+  const lot = await ParkingLot.findById(req.params.id);
+  if (!lot) {
+    res.status(404).json({ success: false, message: 'Parking lot not found' });
+    return null;
+  }
+  if (lot.owner.toString() !== req.user.id && req.user.role !== 'admin') {
+    res.status(403).json({ success: false, message: 'Not authorized to edit this layout' });
+    return null;
+  }
+  return lot;
+};
+
+// @desc    Full floor plan for the layout editor: every slot with its position, fixtures and levels
+// @route   GET /api/parking/:id/layout
+// @access  Private (lot owner or admin)
+router.get('/:id/layout', protect, async (req, res) => {
+  try {
+    const lot = await loadEditableLot(req, res);
+    if (!lot) return;
+    res.json({ success: true, data: layoutView(lot) });
+  } catch (err) {
+    if (err.name === 'CastError') return res.status(400).json({ success: false, message: 'Invalid parking lot ID' });
+    console.error('Fetch layout error', err);
+    res.status(500).json({ success: false, message: 'Failed to fetch layout' });
+  }
+});
+
+const layoutRules = [
+  body(['delete', 'retype', 'move', 'create']).optional().isArray({ max: MAX_SLOTS }).withMessage(`Each operation takes a list of at most ${MAX_SLOTS}`),
+  body('delete.*').isString().withMessage('Slot codes must be strings'),
+  body(['retype.*.code', 'move.*.code']).isString().withMessage('Slot code required'),
+  body(['retype.*.type', 'create.*.type']).isIn(VEHICLE_TYPES).withMessage(`Vehicle type must be one of ${VEHICLE_TYPES.join(', ')}`),
+  body('move.*.level').optional().isInt({ min: 1, max: MAX_LEVELS }).withMessage(`Level must be 1-${MAX_LEVELS}`).toInt(),
+  body(['move.*.position.x', 'move.*.position.z']).optional().isFloat().withMessage('Position must be numeric').toFloat(),
+  body(['move.*.rotation', 'create.*.rotation']).optional().isIn(ROTATIONS).withMessage('Rotation must be 0, 90, 180 or 270').toInt(),
+  body('create.*.code').isString().trim().isLength({ min: 1, max: 30 }).withMessage('Slot code required (max 30 characters)'),
+  body('create.*.level').isInt({ min: 1, max: MAX_LEVELS }).withMessage(`Level must be 1-${MAX_LEVELS}`).toInt(),
+  body(['create.*.position.x', 'create.*.position.z']).isFloat().withMessage('New slots need a numeric position').toFloat(),
+  body('create.*.status').optional().isIn(['available', 'maintenance']).withMessage('Status must be available or maintenance'),
+  body('levels').optional().isArray({ max: MAX_LEVELS }).withMessage(`At most ${MAX_LEVELS} levels`),
+  body('levels.*.number').isInt({ min: 1, max: MAX_LEVELS }).withMessage(`Level must be 1-${MAX_LEVELS}`).toInt(),
+  body('levels.*.name').optional().isString().trim().isLength({ max: 40 }).withMessage('Level names are at most 40 characters'),
+  body('fixtures').optional().isArray({ max: 200 }).withMessage('At most 200 fixtures'),
+  body('fixtures.*.kind').isIn(FIXTURE_KINDS).withMessage(`Fixture kind must be one of ${FIXTURE_KINDS.join(', ')}`),
+  body(['fixtures.*.level', 'fixtures.*.toLevel']).optional().isInt({ min: 1, max: MAX_LEVELS }).withMessage(`Level must be 1-${MAX_LEVELS}`).toInt(),
+  body(['fixtures.*.position.x', 'fixtures.*.position.z']).isFloat().withMessage('Fixtures need a numeric position').toFloat(),
+  body(['fixtures.*.size.width', 'fixtures.*.size.depth']).isFloat({ gt: 0 }).withMessage('Fixtures need a positive size').toFloat(),
+  body('fixtures.*.rotation').optional().isIn(ROTATIONS).withMessage('Rotation must be 0, 90, 180 or 270').toInt(),
+  body('fixtures.*.label').optional().isString().trim().isLength({ max: 40 }).withMessage('Fixture labels are at most 40 characters')
+];
+
+// @desc    Create, move, retype and delete slots in bulk; optionally replace levels and fixtures.
+//          All changes apply together or not at all.
+// @route   PATCH /api/parking/:id/layout
+// @access  Private (lot owner or admin)
+router.patch('/:id/layout', protect, layoutRules, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, message: 'Validation failed', errors: errors.array() });
+    }
+    if (!['delete', 'retype', 'move', 'create', 'levels', 'fixtures'].some(key => req.body[key] !== undefined)) {
+      return res.status(400).json({ success: false, message: 'No layout changes provided' });
+    }
+
+    const lot = await loadEditableLot(req, res);
+    if (!lot) return;
+
+    const { slots, errors: opErrors, summary } = applyLayoutChanges(lot.slots.map(s => s.toObject()), req.body);
+    if (opErrors.length) {
+      return res.status(400).json({ success: false, message: opErrors[0], errors: opErrors });
+    }
+    const fixtures = (req.body.fixtures || (lot.layout?.fixtures || []).map(f => f.toObject()))
+      .map(f => ({ ...f, level: f.level || 1 }));
+    const levels = req.body.levels || (lot.layout?.levels || []).map(l => l.toObject());
+    const problems = validateLayout(slots, { fixtures, levels });
+    if (problems.length) {
+      return res.status(400).json({ success: false, message: problems[0], errors: problems });
+    }
+
+    // Bookings and passes point at a slot by code and expect its vehicle type, so in-use
+    // slots can move but not disappear or change type
+    const blocked = await slotsInUse(lot._id, [...summary.deleted, ...summary.retyped]);
+    if (blocked.length) {
+      return res.status(409).json({
+        success: false,
+        message: `Slots ${blocked.join(', ')} have upcoming bookings or passes and cannot be removed or retyped`,
+        blockedSlots: blocked
+      });
+    }
+
+    // Holds are taken on the slots array too; only write over the version that was checked
+    const result = await ParkingLot.updateOne(
+      { _id: lot._id, updatedAt: lot.updatedAt ?? null },
+      { $set: { slots, 'layout.levels': levels, 'layout.fixtures': fixtures } },
+      { runValidators: true }
+    );
+    if (!result.matchedCount) {
+      return res.status(409).json({ success: false, message: 'The lot changed while you were editing. Reload the layout and try again.' });
+    }
+
+    const updatedLot = await ParkingLot.findById(lot._id);
+    publish(req.io, 'layout-updated', { lotId: lot._id }, { lotId: lot._id });
+    await req.audit('lot.layout', {
+      target: { type: 'ParkingLot', id: lot._id, label: lot.name },
+      metadata: {
+        created: summary.created,
+        deleted: summary.deleted,
+        retyped: summary.retyped,
+        moved: summary.moved.length,
+        fixtures: req.body.fixtures ? fixtures.length : undefined,
+        total: slots.length
+      }
+    });
+
+    res.json({ success: true, message: 'Layout saved', data: layoutView(updatedLot) });
+  } catch (err) {
+    if (err.name === 'ValidationError' || err.name === 'CastError') {
+      return res.status(400).json({ success: false, message: err.message });
+    }
+    console.error('Update layout error', err);
+    res.status(500).json({ success: false, message: 'Failed to save layout' });
+  }
+});
+
+// --- Opening hours: weekly schedule, timezone and dated exceptions ---
+const DATE = /^\d{4}-\d{2}-\d{2}$/;
+const MAX_HOURS_EXCEPTIONS = 366;
+
+const hoursView = (lot) => ({
+  timezone: timezoneOf(lot),
+  operatingHours: lot.operatingHours,
+  exceptions: [...(lot.hoursExceptions || [])].sort((a, b) => a.date.localeCompare(b.date)),
+  summary: describeHours(lot)
+});
+
+// Upcoming bookings on `date` (lot local) that the lot would no longer be open for
+const bookingsOutsideHours = async (lot, date) => {
+  const timeZone = timezoneOf(lot);
+  const bookings = await Booking.find({
+    parkingLot: lot._id,
+    status: { $in: BLOCKING_STATUSES },
+    'bookingDetails.startTime': { $lt: zonedInstant(date, 2 * 24 * 60, timeZone) },
+    'bookingDetails.endTime': { $gt: zonedInstant(date, 0, timeZone) }
+  }).select('bookingDetails status');
+  return bookings
+    .filter(b => !isOpenBetween(lot, b.bookingDetails.startTime, b.bookingDetails.endTime))
+    .map(b => ({ id: b._id, startTime: b.bookingDetails.startTime, endTime: b.bookingDetails.endTime, status: b.status }));
+};
+
+// @desc    Opening hours for the hours editor: weekly schedule, timezone, exceptions and today's summary
+// @route   GET /api/parking/:id/hours
+// @access  Private (lot owner or admin)
+router.get('/:id/hours', protect, async (req, res) => {
+  try {
+    const { lot, status, message } = await loadOwnedLot(req, req.params.id);
+    if (!lot) return res.status(status).json({ success: false, message });
+    res.json({ success: true, data: hoursView(lot) });
+  } catch (err) {
+    console.error('Get lot hours error', err);
+    res.status(500).json({ success: false, message: 'Failed to load opening hours' });
+  }
+});
+
+// @desc    Replace the weekly schedule and/or set the lot's timezone
+// @route   PUT /api/parking/:id/hours
+// @access  Private (lot owner or admin)
+router.put('/:id/hours', protect, [
+  body('operatingHours').optional().custom(validOperatingHours),
+  body('timezone').optional().custom(isTimeZone).withMessage('Unknown timezone'),
+  body().custom(value => value.operatingHours !== undefined || value.timezone !== undefined)
+    .withMessage('Send operatingHours and/or timezone')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, message: 'Validation failed', errors: errors.array() });
+    }
+    const { lot, status, message } = await loadOwnedLot(req, req.params.id);
+    if (!lot) return res.status(status).json({ success: false, message });
+
+    const before = lot.toObject();
+    if (req.body.operatingHours !== undefined) {
+      // Days left out are closed
+      lot.operatingHours = WEEKDAYS.reduce((hours, day) => {
+        const schedule = req.body.operatingHours[day];
+        if (schedule) hours[day] = schedule.is24Hours ? { is24Hours: true } : { open: schedule.open, close: schedule.close, is24Hours: false };
+        return hours;
+      }, {});
+    }
+    if (req.body.timezone !== undefined) lot.timezone = req.body.timezone;
+    await lot.save();
+
+    const changes = diff(before, lot, ['operatingHours', 'timezone']);
+    if (changes.length) {
+      await req.audit('lot.hours', { target: { type: 'ParkingLot', id: lot._id, label: lot.name }, changes });
+    }
+    res.json({ success: true, message: 'Opening hours updated', data: hoursView(lot) });
+  } catch (err) {
+    console.error('Update lot hours error', err);
+    res.status(500).json({ success: false, message: 'Failed to update opening hours' });
+  }
+});
+
+// @desc    Add or replace the exception for one date: a closure, special hours or 24 hours
+// @route   PUT /api/parking/:id/hours/exceptions/:date
+// @access  Private (lot owner or admin)
+router.put('/:id/hours/exceptions/:date', protect, [
+  param('date').matches(DATE).withMessage('Date must be YYYY-MM-DD')
+    .bail().custom(date => !Number.isNaN(Date.parse(`${date}T00:00:00Z`))).withMessage('Invalid date'),
+  body('closed').optional().isBoolean().withMessage('closed must be true or false'),
+  body('is24Hours').optional().isBoolean().withMessage('is24Hours must be true or false'),
+  body(['open', 'close']).optional().matches(HHMM).withMessage('Open and close must be HH:MM'),
+  body('note').optional().isString().trim().isLength({ max: 100 }).withMessage('Note must be at most 100 characters'),
+  body().custom(({ closed, is24Hours, open, close }) => {
+    if (closed === true || is24Hours === true) return true;
+    if (!open || !close) throw new Error('Send closed, is24Hours or both open and close');
+    if (open === close) throw new Error('Open and close cannot be the same; use is24Hours');
+    return true;
+  })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, message: 'Validation failed', errors: errors.array() });
+    }
+    const { lot, status, message } = await loadOwnedLot(req, req.params.id);
+    if (!lot) return res.status(status).json({ success: false, message });
+
+    const { date } = req.params;
+    if (date < localTime(new Date(), timezoneOf(lot)).date) {
+      return res.status(400).json({ success: false, message: 'Exceptions can only be set for today or later' });
+    }
+    const { closed = false, is24Hours = false, open, close, note } = req.body;
+    const exception = closed
+      ? { date, closed: true, note }
+      : is24Hours ? { date, is24Hours: true, note } : { date, open, close, note };
+
+    const existing = lot.hoursExceptions.find(e => e.date === date);
+    if (!existing) {
+      // Past dates no longer matter; drop them to keep the list short
+      const today = localTime(new Date(), timezoneOf(lot)).date;
+      lot.hoursExceptions = lot.hoursExceptions.filter(e => e.date >= today);
+      if (lot.hoursExceptions.length >= MAX_HOURS_EXCEPTIONS) {
+        return res.status(400).json({ success: false, message: `At most ${MAX_HOURS_EXCEPTIONS} upcoming exceptions` });
+      }
+      lot.hoursExceptions.push(exception);
+    } else {
+      existing.set({ closed: false, is24Hours: false, open: undefined, close: undefined, note: undefined, ...exception });
+    }
+    await lot.save();
+
+    await req.audit('lot.hours.exception', {
+      target: { type: 'ParkingLot', id: lot._id, label: lot.name },
+      metadata: { date, closed: Boolean(closed), is24Hours: Boolean(is24Hours), open, close, replaced: Boolean(existing) }
+    });
+    // Bookings already taken are kept; the owner decides whether to contact or cancel them
+    const affectedBookings = await bookingsOutsideHours(lot, date);
+    res.status(existing ? 200 : 201).json({
+      success: true,
+      message: affectedBookings.length
+        ? `Exception saved; ${affectedBookings.length} booking(s) fall outside the new hours`
+        : 'Exception saved',
+      data: { ...hoursView(lot), affectedBookings }
+    });
+  } catch (err) {
+    if (err.name === 'ValidationError') {
+      return res.status(400).json({ success: false, message: err.message });
+    }
+    console.error('Save hours exception error', err);
+    res.status(500).json({ success: false, message: 'Failed to save the exception' });
+  }
+});
+
+// @desc    Remove the exception for one date (the weekly schedule applies again)
+// @route   DELETE /api/parking/:id/hours/exceptions/:date
+// @access  Private (lot owner or admin)
+router.delete('/:id/hours/exceptions/:date', protect, [
+  param('date').matches(DATE).withMessage('Date must be YYYY-MM-DD')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, message: 'Validation failed', errors: errors.array() });
+    }
+    const { lot, status, message } = await loadOwnedLot(req, req.params.id);
+    if (!lot) return res.status(status).json({ success: false, message });
+
+    const { date } = req.params;
+    if (!lot.hoursExceptions.some(e => e.date === date)) {
+      return res.status(404).json({ success: false, message: 'No exception on that date' });
+    }
+    lot.hoursExceptions = lot.hoursExceptions.filter(e => e.date !== date);
+    await lot.save();
+
+    await req.audit('lot.hours.exception', {
+      target: { type: 'ParkingLot', id: lot._id, label: lot.name },
+      metadata: { date, removed: true }
+    });
+    res.json({ success: true, message: 'Exception removed', data: hoursView(lot) });
+  } catch (err) {
+    console.error('Remove hours exception error', err);
+    res.status(500).json({ success: false, message: 'Failed to remove the exception' });
+  }
+});
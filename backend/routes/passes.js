@@ -0,0 +1,388 @@
+const express = require('express');
+const { body, query, validationResult } = require('express-validator');
+const Pass = require('../models/Pass');
+const ParkingLot = require('../models/ParkingLot');
+const { protect, authorize } = require('../middleware/authMiddleware');
+const { renderPassQr } = require('../services/ticketService');
+const {
+  PLANS,
+  quotePass,
+  reservePassSlot,
+  releasePassSlot,
+  activatePass,
+  endPass,
+  emitPassUpdate
+} = require('../services/passService');
+const {
+  gatewayEnabled,
+  createSubscription,
+  pauseSubscription,
+  resumeSubscription,
+  cancelSubscription,
+  reinstateSubscription
+} = require('../services/subscriptionService');
+
+const router = express.Router();
+
+const VEHICLE_TYPES = ['car', 'bike', 'truck', 'van', 'bicycle'];
+const GATEWAYS = ['stripe', 'razorpay', 'manual'];
+
+// Manual billing (no gateway) is only for local development, like dev auto-payment on bookings
+const manualBillingEnabled = () => String(process.env.ALLOW_DEV_AUTO_PAYMENT || '').toLowerCase() === 'true';
+
+const validationFailed = (req, res) => {
+  const errors = validationResult(req);
+  if (errors.isEmpty()) return false;
+  res.status(400).json({ success: false, message: 'Validation failed', errors: errors.array() });
+  return true;
+};
+
+const gatewayOf = (pass) => pass.billing?.gateway || 'manual';
+
+// Load a pass for its holder (write access) or the lot owner/admin (read access)
+const loadPass = async (req, { holderOnly = false } = {}) => {
+  const pass = await Pass.findById(req.params.id).populate('parkingLot', 'name owner location.address pricing.currency');
+  if (!pass) return { status: 404, message: 'Pass not found' };
+  const isHolder = pass.user.toString() === req.user.id;
+  const isLotOwner = pass.parkingLot?.owner?.toString() === req.user.id;
+  const isAdmin = req.user.role === 'admin';
+  if (!isHolder && !isAdmin && (holderOnly || !isLotOwner)) {
+    return { status: 403, message: 'Not authorized to access this pass' };
+  }
+  return { pass };
+};
+
+// @desc    Price of a weekly/monthly pass at a lot
+// @route   GET /api/passes/quote
+// @access  Public
+router.get('/quote', [
+  query('lotId').isMongoId().withMessage('Valid lot ID is required'),
+  query('plan').isIn(PLANS).withMessage('Plan must be weekly or monthly')
+], async (req, res) => {
+  try {
+    if (validationFailed(req, res)) return;
+    const lot = await ParkingLot.findById(req.query.lotId).select('name pricing status');
+    if (!lot) return res.status(404).json({ success: false, message: 'Parking lot not found' });
+
+    const price = quotePass(lot, req.query.plan);
+    if (!price) {
+      return res.status(400).json({ success: false, message: `This lot does not sell ${req.query.plan} passes` });
+    }
+    res.status(200).json({ success: true, data: { lotId: lot._id, ...price } });
+  } catch (error) {
+    console.error('Pass quote error:', error);
+    res.status(500).json({ success: false, message: 'Server error quoting pass' });
+  }
+});
+
+// @desc    Buy a pass: creates it pending and starts the gateway subscription
+// @route   POST /api/passes
+// @access  Private
+router.post('/', protect, [
+  body('lotId').isMongoId().withMessage('Valid lot ID is required'),
+  body('plan').isIn(PLANS).withMessage('Plan must be weekly or monthly'),
+  body('spotType').optional().isIn(['reserved', 'floating']).withMessage('Invalid spot type'),
+  body('spotNumber').if(body('spotType').equals('reserved')).notEmpty().withMessage('Reserved passes need a slot'),
+  body('vehicle.type').isIn(VEHICLE_TYPES).withMessage('Invalid vehicle type'),
+  body('vehicle.licensePlate').trim().notEmpty().withMessage('License plate is required'),
+  body('gateway').optional().isIn(GATEWAYS).withMessage('Invalid billing gateway')
+], async (req, res) => {
+  try {
+    if (validationFailed(req, res)) return;
+    const { lotId, plan, spotType = 'floating', spotNumber, vehicle, gateway = 'razorpay' } = req.body;
+
+    const lot = await ParkingLot.findById(lotId).select('name owner status pricing vehicleTypes slots');
+    if (!lot || lot.status !== 'active') {
+      return res.status(404).json({ success: false, message: 'Parking lot not found or inactive' });
+    }
+    if ((lot.vehicleTypes || []).length && !lot.vehicleTypes.includes(vehicle.type)) {
+      return res.status(400).json({ success: false, message: `This lot does not accept ${vehicle.type}s` });
+    }
+    const price = quotePass(lot, plan);
+    if (!price) {
+      return res.status(400).json({ success: false, message: `This lot does not sell ${plan} passes` });
+    }
+    if (gateway === 'manual' ? !manualBillingEnabled() : !gatewayEnabled(gateway)) {
+      return res.status(503).json({ success: false, message: `${gateway} billing is not available` });
+    }
+
+    const pass = await Pass.create({
+      user: req.user._id,
+      parkingLot: lot._id,
+      plan,
+      spotType,
+      spotNumber: spotType === 'reserved' ? spotNumber : undefined,
+      vehicle: { type: vehicle.type, licensePlate: vehicle.licensePlate },
+      price: { amount: price.amount, taxes: price.taxes, total: price.total, currency: price.currency },
+      billing: { gateway }
+    });
+
+    if (spotType === 'reserved') {
+      const reserved = await reservePassSlot(lot, pass);
+      if (!reserved.ok) {
+        await Pass.deleteOne({ _id: pass._id });
+        return res.status(409).json({ success: false, message: reserved.reason });
+      }
+    }
+
+    let checkout = null;
+    if (gateway === 'manual') {
+      await activatePass(pass, { gateway: 'manual', owner: lot.owner, createdBy: req.user._id });
+    } else {
+      try {
+        checkout = await createSubscription(gateway, { pass, lot, user: req.user });
+      } catch (error) {
+        console.error('Pass subscription error:', error);
+        await releasePassSlot(pass);
+        await Pass.deleteOne({ _id: pass._id });
+        return res.status(502).json({ success: false, message: 'Could not start the subscription with the payment gateway' });
+      }
+      pass.billing.subscriptionId = checkout.subscriptionId;
+      pass.billing.customerId = checkout.customerId;
+      pass.billing.planId = checkout.planId;
+      await pass.save();
+    }
+
+    res.status(201).json({
+      success: true,
+      message: pass.status === 'active' ? 'Pass activated' : 'Pass created; complete the first payment to activate it',
+      data: {
+        pass,
+        checkout: checkout && {
+          gateway,
+          subscriptionId: checkout.subscriptionId,
+          clientSecret: checkout.clientSecret,
+          shortUrl: checkout.shortUrl,
+          keyId: gateway === 'razorpay' ? process.env.RAZORPAY_KEY_ID : undefined
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Create pass error:', error);
+    res.status(500).json({ success: false, message: 'Server error creating pass' });
+  }
+});
+
+// @desc    Current user's passes
+// @route   GET /api/passes/my
+// @access  Private
+router.get('/my', protect, async (req, res) => {
+  try {
+    const passes = await Pass.find({ user: req.user._id })
+      .populate('parkingLot', 'name location.address')
+      .sort({ createdAt: -1 })
+      .limit(100);
+    res.status(200).json({ success: true, data: passes });
+  } catch (error) {
+    console.error('Get my passes error:', error);
+    res.status(500).json({ success: false, message: 'Error fetching passes' });
+  }
+});
+
+// @desc    Pass holders at the caller's lots (all lots for admins)
+// @route   GET /api/passes/owner
+// @access  Private (Landowner/Admin)
+router.get('/owner', protect, authorize('landowner', 'admin'), [
+  query('lotId').optional().isMongoId().withMessage('Invalid lot ID'),
+  query('status').optional().isIn(['pending', 'active', 'paused', 'past_due', 'cancelled', 'expired']).withMessage('Invalid status')
+], async (req, res) => {
+  try {
+    if (validationFailed(req, res)) return;
+    const filter = {};
+    if (req.user.role !== 'admin') {
+      const lots = await ParkingLot.find({ owner: req.user._id }).select('_id');
+      filter.parkingLot = { $in: lots.map(l => l._id) };
+    }
+    if (req.query.lotId) {
+      if (filter.parkingLot && !filter.parkingLot.$in.some(id => id.toString() === req.query.lotId)) {
+        return res.status(403).json({ success: false, message: 'Not authorized to view passes for this lot' });
+      }
+      filter.parkingLot = req.query.lotId;
+    }
+    if (req.query.status) filter.status = req.query.status;
+
+    const passes = await Pass.find(filter)
+      .populate('user', 'name email phone')
+      .populate('parkingLot', 'name')
+      .sort({ createdAt: -1 })
+      .limit(500);
+    res.status(200).json({ success: true, data: passes });
+  } catch (error) {
+    console.error('Get owner passes error:', error);
+    res.status(500).json({ success: false, message: 'Error fetching pass holders' });
+  }
+});
+
+// @desc    Pass details
+// @route   GET /api/passes/:id
+// @access  Private (Holder, lot owner or admin)
+router.get('/:id', protect, async (req, res) => {
+  try {
+    const loaded = await loadPass(req);
+    if (!loaded.pass) return res.status(loaded.status).json({ success: false, message: loaded.message });
+    res.status(200).json({ success: true, data: loaded.pass });
+  } catch (error) {
+    console.error('Get pass error:', error);
+    res.status(500).json({ success: false, message: 'Server error fetching pass' });
+  }
+});
+
+// @desc    Pass gate QR (signed for the current period) as PNG
+// @route   GET /api/passes/:id/ticket.png
+// @access  Private (Holder, lot owner or admin)
+router.get('/:id/ticket.png', protect, async (req, res) => {
+  try {
+    const loaded = await loadPass(req);
+    if (!loaded.pass) return res.status(loaded.status).json({ success: false, message: loaded.message });
+    const { pass } = loaded;
+    if (!pass.currentPeriod?.end || ['pending', 'cancelled', 'expired'].includes(pass.status)) {
+      return res.status(400).json({ success: false, message: `Pass is ${pass.status}; no gate ticket available` });
+    }
+
+    const width = Math.min(1000, Math.max(100, parseInt(req.query.size, 10) || 300));
+    const png = await renderPassQr(pass, { width });
+    res.setHeader('Content-Type', 'image/png');
+    res.setHeader('Cache-Control', 'private, no-store');
+    res.send(png);
+  } catch (error) {
+    console.error('Pass QR generation error:', error);
+    res.status(500).json({ success: false, message: 'Error generating pass QR code' });
+  }
+});
+
+// @desc    Renew a pass: undo a scheduled cancellation, or (manual billing) pay the next period
+// @route   POST /api/passes/:id/renew
+// @access  Private (Holder)
+router.post('/:id/renew', protect, async (req, res) => {
+  try {
+    const loaded = await loadPass(req, { holderOnly: true });
+    if (!loaded.pass) return res.status(loaded.status).json({ success: false, message: loaded.message });
+    const { pass } = loaded;
+    const gateway = gatewayOf(pass);
+
+    if (gateway === 'manual') {
+      if (!manualBillingEnabled()) {
+        return res.status(503).json({ success: false, message: 'Manual billing is not available' });
+      }
+      // Ended passes may have given up their slot; those need a new pass
+      if (!['active', 'past_due'].includes(pass.status)) {
+        return res.status(400).json({ success: false, message: `Pass is ${pass.status} and cannot be renewed` });
+      }
+      await activatePass(pass, { gateway: 'manual', createdBy: req.user._id });
+    } else {
+      // Gateway passes renew automatically; the holder can only take back a pending cancellation
+      if (!pass.cancelAtPeriodEnd || pass.status !== 'active') {
+        return res.status(400).json({ success: false, message: 'This pass renews automatically; buy a new pass once it has ended' });
+      }
+      if (gateway !== 'stripe') {
+        return res.status(400).json({ success: false, message: 'Cancelled Razorpay subscriptions cannot be reinstated; buy a new pass after this period' });
+      }
+      await reinstateSubscription(gateway, pass.billing.subscriptionId);
+    }
+    pass.cancelAtPeriodEnd = false;
+    pass.autoRenew = gateway !== 'manual';
+    await pass.save();
+    emitPassUpdate(req.io, pass);
+
+    res.status(200).json({ success: true, message: 'Pass renewed', data: pass });
+  } catch (error) {
+    console.error('Renew pass error:', error);
+    res.status(500).json({ success: false, message: 'Server error renewing pass' });
+  }
+});
+
+// @desc    Pause billing and gate access
+// @route   POST /api/passes/:id/pause
+// @access  Private (Holder)
+router.post('/:id/pause', protect, async (req, res) => {
+  try {
+    const loaded = await loadPass(req, { holderOnly: true });
+    if (!loaded.pass) return res.status(loaded.status).json({ success: false, message: loaded.message });
+    const { pass } = loaded;
+    if (pass.status !== 'active') {
+      return res.status(400).json({ success: false, message: `Only active passes can be paused (pass is ${pass.status})` });
+    }
+    if (pass.presence?.inside) {
+      return res.status(400).json({ success: false, message: 'Exit the lot before pausing the pass' });
+    }
+
+    await pauseSubscription(gatewayOf(pass), pass.billing.subscriptionId);
+    pass.status = 'paused';
+    pass.pausedAt = new Date();
+    await pass.save();
+    emitPassUpdate(req.io, pass);
+
+    res.status(200).json({ success: true, message: 'Pass paused', data: pass });
+  } catch (error) {
+    console.error('Pause pass error:', error);
+    res.status(500).json({ success: false, message: 'Server error pausing pass' });
+  }
+});
+
+// @desc    Resume a paused pass
+// @route   POST /api/passes/:id/resume
+// @access  Private (Holder)
+router.post('/:id/resume', protect, async (req, res) => {
+  try {
+    const loaded = await loadPass(req, { holderOnly: true });
+    if (!loaded.pass) return res.status(loaded.status).json({ success: false, message: loaded.message });
+    const { pass } = loaded;
+    if (pass.status !== 'paused') {
+      return res.status(400).json({ success: false, message: `Only paused passes can be resumed (pass is ${pass.status})` });
+    }
+
+    await resumeSubscription(gatewayOf(pass), pass.billing.subscriptionId);
+    pass.status = 'active';
+    pass.pausedAt = undefined;
+    await pass.save();
+    emitPassUpdate(req.io, pass);
+
+    res.status(200).json({ success: true, message: 'Pass resumed', data: pass });
+  } catch (error) {
+    console.error('Resume pass error:', error);
+    res.status(500).json({ success: false, message: 'Server error resuming pass' });
+  }
+});
+
+// @desc    Cancel a pass now, or at the end of the paid period (default)
+// @route   POST /api/passes/:id/cancel
+// @access  Private (Holder or admin)
+router.post('/:id/cancel', protect, [
+  body('atPeriodEnd').optional().isBoolean().withMessage('atPeriodEnd must be a boolean'),
+  body('reason').optional().isString().isLength({ max: 500 }).withMessage('Reason is too long')
+], async (req, res) => {
+  try {
+    if (validationFailed(req, res)) return;
+    const loaded = await loadPass(req, { holderOnly: true });
+    if (!loaded.pass) return res.status(loaded.status).json({ success: false, message: loaded.message });
+    const { pass } = loaded;
+    if (['cancelled', 'expired'].includes(pass.status)) {
+      return res.status(400).json({ success: false, message: `Pass is already ${pass.status}` });
+    }
+
+    const periodRunning = pass.status === 'active' && pass.currentPeriod?.end > new Date();
+    const atPeriodEnd = req.body.atPeriodEnd !== false && periodRunning;
+    await cancelSubscription(gatewayOf(pass), pass.billing.subscriptionId, { atPeriodEnd });
+
+    if (atPeriodEnd) {
+      pass.cancelAtPeriodEnd = true;
+      pass.autoRenew = false;
+      if (req.body.reason) pass.cancellationReason = req.body.reason;
+      await pass.save();
+    } else {
+      await endPass(pass, { reason: req.body.reason });
+    }
+    emitPassUpdate(req.io, pass);
+
+    res.status(200).json({
+      success: true,
+      message: atPeriodEnd ? 'Pass will end with the current period' : 'Pass cancelled',
+      data: pass
+    });
+  } catch (error) {
+    console.error('Cancel pass error:', error);
+    res.status(500).json({ success: false, message: 'Server error cancelling pass' });
+  }
+});
+
+module.exports = router;
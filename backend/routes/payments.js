@@ -0,0 +1,200 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const User = require('../models/User');
+const WaitlistEntry = require('../models/WaitlistEntry');
+const { protect } = require('../middleware/authMiddleware');
+const {
+  verifyWebhookSignature: verifyStripeSignature,
+  createCustomer,
+  createSetupIntent,
+  getPaymentMethod,
+  detachPaymentMethod
+} = require('../services/stripeService');
+const { verifyWebhookSignature: verifyRazorpaySignature } = require('../services/razorpayService');
+const {
+  normaliseStripeEvent,
+  normaliseRazorpayEvent,
+  processWebhookEvent
+} = require('../services/paymentWebhookService');
+const logger = require('../config/logger');
+
+const router = express.Router();
+
+// Gateways sign the exact request bytes; server.js keeps them on req.rawBody for this router
+const rawBodyOf = (req) => req.rawBody || (Buffer.isBuffer(req.body) ? req.body : null);
+
+const respond = async (req, res, event) => {
+  if (!event.eventId) {
+    return res.status(400).json({ success: false, message: 'Webhook event id is missing' });
+  }
+  try {
+    const result = await processWebhookEvent(req.io, event);
+    res.status(200).json({ success: true, received: true, ...result });
+  } catch (error) {
+    logger.error(`${event.provider} webhook ${event.eventId} failed: ${error.message}`);
+    res.status(500).json({ success: false, message: 'Webhook processing failed' });
+  }
+};
+
+// @desc    Stripe webhook receiver
+// @route   POST /api/payments/webhooks/stripe
+// @access  Public (Stripe-Signature verified)
+router.post('/webhooks/stripe', async (req, res) => {
+  const rawBody = rawBodyOf(req);
+  const signature = req.headers['stripe-signature'];
+  if (!rawBody || !signature || !process.env.STRIPE_WEBHOOK_SECRET) {
+    return res.status(400).json({ success: false, message: 'Missing webhook signature or body' });
+  }
+
+  let stripeEvent;
+  try {
+    stripeEvent = verifyStripeSignature(rawBody, signature);
+  } catch (error) {
+    return res.status(400).json({ success: false, message: 'Invalid webhook signature' });
+  }
+  return respond(req, res, normaliseStripeEvent(stripeEvent));
+});
+
+// @desc    Razorpay webhook receiver
+// @route   POST /api/payments/webhooks/razorpay
+// @access  Public (X-Razorpay-Signature verified)
+router.post('/webhooks/razorpay', async (req, res) => {
+  const rawBody = rawBodyOf(req);
+  const signature = req.headers['x-razorpay-signature'];
+  if (!rawBody || !signature || !verifyRazorpaySignature(rawBody, signature)) {
+    return res.status(400).json({ success: false, message: 'Invalid webhook signature' });
+  }
+
+  let body;
+  try {
+    body = JSON.parse(rawBody.toString('utf8'));
+  } catch (error) {
+    return res.status(400).json({ success: false, message: 'Malformed webhook body' });
+  }
+  return respond(req, res, normaliseRazorpayEvent(body, req.headers['x-razorpay-event-id']));
+});
+
+// ---- Saved card ------------------------------------------------------------------------
+// One Stripe card per user, used for charges made while they are away (waitlist
+// auto-booking). The client confirms a SetupIntent with Stripe.js, then saves the result here.
+
+// What the user sees of their saved card
+const describeCard = (saved) => (saved?.paymentMethodId
+  ? { brand: saved.brand, last4: saved.last4, expMonth: saved.expMonth, expYear: saved.expYear, savedAt: saved.savedAt }
+  : null);
+
+// Detaching is tidy-up: a failure leaves an unused card on the Stripe customer, nothing worse
+const detachQuietly = async (paymentMethodId) => {
+  try {
+    await detachPaymentMethod(paymentMethodId);
+  } catch (error) {
+    logger.warn(`Could not detach payment method ${paymentMethodId}: ${error.message}`);
+  }
+};
+
+// @desc    The card saved for automatic payments
+// @route   GET /api/payments/methods
+// @access  Private
+router.get('/methods', protect, (req, res) => {
+  res.status(200).json({ success: true, data: { card: describeCard(req.user.savedPaymentMethod) } });
+});
+
+// @desc    Start saving a card: a Stripe SetupIntent for the client to confirm
+// @route   POST /api/payments/methods/setup
+// @access  Private
+router.post('/methods/setup', protect, async (req, res) => {
+  if (!process.env.STRIPE_SECRET_KEY) {
+    return res.status(503).json({ success: false, message: 'Card payments are not configured' });
+  }
+  try {
+    let customerId = req.user.savedPaymentMethod?.customerId;
+    if (!customerId) {
+      const customer = await createCustomer({ email: req.user.email, name: req.user.name, phone: req.user.phone });
+      customerId = customer.id;
+      await User.updateOne({ _id: req.user._id }, { $set: { 'savedPaymentMethod.customerId': customerId } });
+    }
+    const setupIntent = await createSetupIntent(customerId);
+    res.status(200).json({ success: true, data: { clientSecret: setupIntent.client_secret } });
+  } catch (error) {
+    logger.error(`Card setup for user ${req.user._id} failed: ${error.message}`);
+    res.status(500).json({ success: false, message: 'Server error starting card setup' });
+  }
+});
+
+// @desc    Save the card confirmed through the SetupIntent (replaces any earlier card)
+// @route   PUT /api/payments/methods
+// @access  Private
+router.put('/methods', protect, [
+  body('paymentMethodId').isString().matches(/^pm_\w+$/).withMessage('Valid payment method ID is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, message: 'Validation failed', errors: errors.array() });
+    }
+
+    const saved = req.user.savedPaymentMethod || {};
+    if (!saved.customerId) {
+      return res.status(400).json({ success: false, message: 'Start card setup before saving a card' });
+    }
+    const method = await getPaymentMethod(req.body.paymentMethodId);
+    if (method.type !== 'card' || method.customer !== saved.customerId) {
+      return res.status(400).json({ success: false, message: 'This card was not set up for your account' });
+    }
+    if (saved.paymentMethodId && saved.paymentMethodId !== method.id) {
+      await detachQuietly(saved.paymentMethodId);
+    }
+
+    const card = {
+      customerId: saved.customerId,
+      paymentMethodId: method.id,
+      brand: method.card.brand,
+      last4: method.card.last4,
+      expMonth: method.card.exp_month,
+      expYear: method.card.exp_year,
+      savedAt: new Date()
+    };
+    await User.updateOne({ _id: req.user._id }, { $set: { savedPaymentMethod: card } });
+    res.status(200).json({ success: true, message: 'Card saved', data: { card: describeCard(card) } });
+  } catch (error) {
+    logger.error(`Saving card for user ${req.user._id} failed: ${error.message}`);
+    res.status(500).json({ success: false, message: 'Server error saving the card' });
+  }
+});
+
+// @desc    Remove the saved card; waitlist entries set to auto-book fall back to offers
+// @route   DELETE /api/payments/methods
+// @access  Private
+router.delete('/methods', protect, async (req, res) => {
+  try {
+    const saved = req.user.savedPaymentMethod;
+    if (!saved?.paymentMethodId) {
+      return res.status(404).json({ success: false, message: 'No saved card' });
+    }
+    await detachQuietly(saved.paymentMethodId);
+    await User.updateOne({ _id: req.user._id }, {
+      $unset: {
+        'savedPaymentMethod.paymentMethodId': '',
+        'savedPaymentMethod.brand': '',
+        'savedPaymentMethod.last4': '',
+        'savedPaymentMethod.expMonth': '',
+        'savedPaymentMethod.expYear': '',
+        'savedPaymentMethod.savedAt': ''
+      }
+    });
+    const { modifiedCount } = await WaitlistEntry.updateMany(
+      { user: req.user._id, status: { $in: ['waiting', 'offered'] }, autoBook: true },
+      { $set: { autoBook: false } }
+    );
+    res.status(200).json({
+      success: true,
+      message: modifiedCount ? `Card removed; ${modifiedCount} waitlist entr${modifiedCount === 1 ? 'y' : 'ies'} will ask before booking` : 'Card removed',
+      data: { card: null }
+    });
+  } catch (error) {
+    logger.error(`Removing card for user ${req.user._id} failed: ${error.message}`);
+    res.status(500).json({ success: false, message: 'Server error removing the card' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,251 @@
+const express = require('express');
+const { body, param, query, validationResult } = require('express-validator');
+const Review = require('../models/Review');
+const Booking = require('../models/Booking');
+const ParkingLot = require('../models/ParkingLot');
+const { protect, authorize } = require('../middleware/authMiddleware');
+const {
+  SORTS,
+  lotRatingSummary,
+  serviceRatingSummary,
+  refreshRatings,
+  reportReview,
+  listReviews
+} = require('../services/reviewService');
+
+const router = express.Router();
+
+const validationFailed = (req, res) => {
+  const errors = validationResult(req);
+  if (errors.isEmpty()) return false;
+  res.status(400).json({ success: false, message: 'Validation failed', errors: errors.array() });
+  return true;
+};
+
+const listingRules = [
+  query('page').optional().isInt({ min: 1 }).toInt(),
+  query('limit').optional().isInt({ min: 1, max: 50 }).toInt(),
+  query('sort').optional().isIn(Object.keys(SORTS)).withMessage('Invalid sort')
+];
+
+// @desc    Review a completed booking (one review per booking)
+// @route   POST /api/reviews
+// @access  Private
+router.post('/', protect, [
+  body('bookingId').isMongoId().withMessage('Valid booking ID is required'),
+  body('rating').isInt({ min: 1, max: 5 }).withMessage('Rating must be between 1 and 5').toInt(),
+  body('comment').optional().isString().isLength({ max: 2000 }).withMessage('Review cannot exceed 2000 characters'),
+  body('serviceRatings').optional().isArray({ max: 20 }).withMessage('Invalid service ratings'),
+  body('serviceRatings.*.serviceId').optional().isMongoId().withMessage('Invalid service ID'),
+  body('serviceRatings.*.score').optional().isInt({ min: 1, max: 5 }).withMessage('Service scores must be between 1 and 5').toInt()
+], async (req, res) => {
+  try {
+    if (validationFailed(req, res)) return;
+    const { bookingId, rating, comment, serviceRatings = [] } = req.body;
+
+    const booking = await Booking.findById(bookingId);
+    if (!booking) {
+      return res.status(404).json({ success: false, message: 'Booking not found' });
+    }
+    if (booking.user.toString() !== req.user.id) {
+      return res.status(403).json({ success: false, message: 'You can only review your own bookings' });
+    }
+    if (booking.status !== 'completed') {
+      return res.status(400).json({ success: false, message: 'Only completed bookings can be reviewed' });
+    }
+    if (await Review.exists({ booking: booking._id })) {
+      return res.status(409).json({ success: false, message: 'This booking has already been reviewed' });
+    }
+
+    // Services can only be rated if they were part of this booking
+    const bookedServices = new Set((booking.services || []).map(s => s.serviceId?.toString()));
+    const unknown = serviceRatings.find(r => !bookedServices.has(String(r.serviceId)));
+    if (unknown) {
+      return res.status(400).json({ success: false, message: 'Rated services must be part of the booking' });
+    }
+
+    let review;
+    try {
+      review = await Review.create({
+        booking: booking._id,
+        user: req.user._id,
+        parkingLot: booking.parkingLot,
+        rating,
+        comment,
+        serviceRatings: serviceRatings.map(r => ({ service: r.serviceId, score: r.score }))
+      });
+    } catch (error) {
+      // Lost a race with a concurrent submission for the same booking
+      if (error.code === 11000) {
+        return res.status(409).json({ success: false, message: 'This booking has already been reviewed' });
+      }
+      throw error;
+    }
+
+    booking.rating = { score: rating, review: comment, reviewDate: review.createdAt };
+    await booking.save();
+    const lotRating = await refreshRatings(review);
+
+    res.status(201).json({
+      success: true,
+      message: 'Review submitted',
+      data: { review, lotRating }
+    });
+  } catch (error) {
+    console.error('Create review error:', error);
+    res.status(500).json({ success: false, message: 'Server error submitting review' });
+  }
+});
+
+// @desc    Published reviews for a parking lot, with rating summary
+// @route   GET /api/reviews/lot/:lotId
+// @access  Public
+router.get('/lot/:lotId', [
+  param('lotId').isMongoId().withMessage('Invalid lot ID'),
+  ...listingRules
+], async (req, res) => {
+  try {
+    if (validationFailed(req, res)) return;
+    const { page = 1, limit = 10, sort } = req.query;
+    const [listing, summary] = await Promise.all([
+      listReviews({ parkingLot: req.params.lotId }, { page, limit, sort }),
+      lotRatingSummary(req.params.lotId)
+    ]);
+    res.status(200).json({ success: true, data: { ...listing, summary } });
+  } catch (error) {
+    console.error('Get lot reviews error:', error);
+    res.status(500).json({ success: false, message: 'Server error fetching reviews' });
+  }
+});
+
+// @desc    Published reviews that rated a service, with rating summary
+// @route   GET /api/reviews/service/:serviceId
+// @access  Public
+router.get('/service/:serviceId', [
+  param('serviceId').isMongoId().withMessage('Invalid service ID'),
+  ...listingRules
+], async (req, res) => {
+  try {
+    if (validationFailed(req, res)) return;
+    const { page = 1, limit = 10, sort } = req.query;
+    const [listing, summary] = await Promise.all([
+      listReviews({ 'serviceRatings.service': req.params.serviceId }, { page, limit, sort }),
+      serviceRatingSummary(req.params.serviceId)
+    ]);
+    res.status(200).json({ success: true, data: { ...listing, summary } });
+  } catch (error) {
+    console.error('Get service reviews error:', error);
+    res.status(500).json({ success: false, message: 'Server error fetching reviews' });
+  }
+});
+
+// @desc    Landowner reply to a review of their lot (replaces any earlier reply)
+// @route   POST /api/reviews/:id/reply
+// @access  Private (Lot owner/Admin)
+router.post('/:id/reply', protect, authorize('landowner', 'admin'), [
+  param('id').isMongoId().withMessage('Invalid review ID'),
+  body('text').trim().isLength({ min: 1, max: 1000 }).withMessage('Reply must be 1-1000 characters')
+], async (req, res) => {
+  try {
+    if (validationFailed(req, res)) return;
+    const review = await Review.findById(req.params.id);
+    if (!review) {
+      return res.status(404).json({ success: false, message: 'Review not found' });
+    }
+    const lot = await ParkingLot.findById(review.parkingLot).select('owner');
+    if (lot?.owner?.toString() !== req.user.id && req.user.role !== 'admin') {
+      return res.status(403).json({ success: false, message: 'Only the lot owner can reply to this review' });
+    }
+
+    review.reply = { text: req.body.text, by: req.user._id, repliedAt: new Date() };
+    await review.save();
+    res.status(200).json({ success: true, message: 'Reply posted', data: { reply: review.reply } });
+  } catch (error) {
+    console.error('Reply to review error:', error);
+    res.status(500).json({ success: false, message: 'Server error posting reply' });
+  }
+});
+
+// @desc    Report a review as abusive; enough reports hide it pending moderation
+// @route   POST /api/reviews/:id/report
+// @access  Private
+router.post('/:id/report', protect, [
+  param('id').isMongoId().withMessage('Invalid review ID'),
+  body('reason').trim().isLength({ min: 3, max: 500 }).withMessage('Please describe the problem (3-500 characters)')
+], async (req, res) => {
+  try {
+    if (validationFailed(req, res)) return;
+    const review = await Review.findById(req.params.id);
+    if (!review) {
+      return res.status(404).json({ success: false, message: 'Review not found' });
+    }
+    if (review.user.toString() === req.user.id) {
+      return res.status(400).json({ success: false, message: 'You cannot report your own review' });
+    }
+
+    const result = await reportReview(review, { userId: req.user._id, reason: req.body.reason });
+    if (result.duplicate) {
+      return res.status(409).json({ success: false, message: 'You have already reported this review' });
+    }
+    res.status(200).json({ success: true, message: 'Thanks, the review has been reported' });
+  } catch (error) {
+    console.error('Report review error:', error);
+    res.status(500).json({ success: false, message: 'Server error reporting review' });
+  }
+});
+
+// @desc    Reviews waiting for moderation (hidden or reported)
+// @route   GET /api/reviews/moderation/queue
+// @access  Private (Admin)
+router.get('/moderation/queue', protect, authorize('admin'), listingRules, async (req, res) => {
+  try {
+    if (validationFailed(req, res)) return;
+    const { page = 1, limit = 20 } = req.query;
+    const filter = { $or: [{ status: 'hidden' }, { 'reports.0': { $exists: true }, moderatedAt: null }] };
+    const [reviews, total] = await Promise.all([
+      Review.find(filter)
+        .populate('user', 'name email')
+        .populate('parkingLot', 'name')
+        .sort({ updatedAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      Review.countDocuments(filter)
+    ]);
+    res.status(200).json({
+      success: true,
+      data: { reviews, pagination: { current: page, total: Math.ceil(total / limit), totalReviews: total } }
+    });
+  } catch (error) {
+    console.error('Get moderation queue error:', error);
+    res.status(500).json({ success: false, message: 'Server error fetching moderation queue' });
+  }
+});
+
+// @desc    Publish or hide a review after moderation
+// @route   PATCH /api/reviews/:id/moderation
+// @access  Private (Admin)
+router.patch('/:id/moderation', protect, authorize('admin'), [
+  param('id').isMongoId().withMessage('Invalid review ID'),
+  body('status').isIn(['published', 'hidden']).withMessage('Status must be published or hidden')
+], async (req, res) => {
+  try {
+    if (validationFailed(req, res)) return;
+    const review = await Review.findById(req.params.id);
+    if (!review) {
+      return res.status(404).json({ success: false, message: 'Review not found' });
+    }
+
+    review.status = req.body.status;
+    review.moderatedBy = req.user._id;
+    review.moderatedAt = new Date();
+    await review.save();
+    const lotRating = await refreshRatings(review);
+
+    res.status(200).json({ success: true, message: `Review ${review.status}`, data: { review, lotRating } });
+  } catch (error) {
+    console.error('Moderate review error:', error);
+    res.status(500).json({ success: false, message: 'Server error moderating review' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,214 @@
+const express = require('express');
+const { body, query, validationResult } = require('express-validator');
+const ServiceOrder = require('../models/ServiceOrder');
+const Booking = require('../models/Booking');
+const ParkingLot = require('../models/ParkingLot');
+const Service = require('../models/Service');
+const User = require('../models/User');
+const { protect } = require('../middleware/authMiddleware');
+const {
+  ORDER_STATUSES,
+  ACTIVE_STATUSES,
+  transitionError,
+  applyStatus,
+  createServiceOrder,
+  billCompletedOrder,
+  emitServiceOrderUpdate
+} = require('../services/serviceOrderService');
+
+const router = express.Router();
+
+const validationFailed = (req, res) => {
+  const errors = validationResult(req);
+  if (errors.isEmpty()) return false;
+  res.status(400).json({ success: false, message: 'Validation failed', errors: errors.array() });
+  return true;
+};
+
+// Load an order with the caller's relationship to it. Staff are the lot's owner, admins and
+// the provider the order is assigned to.
+const loadOrder = async (req) => {
+  const order = await ServiceOrder.findById(req.params.id).populate('parkingLot', 'name owner');
+  if (!order) return { status: 404, message: 'Service order not found' };
+  const isCustomer = order.user.toString() === req.user.id;
+  const isLotOwner = order.parkingLot?.owner?.toString() === req.user.id;
+  const isProvider = order.provider?.user?.toString() === req.user.id;
+  const isAdmin = req.user.role === 'admin';
+  if (!isCustomer && !isLotOwner && !isProvider && !isAdmin) {
+    return { status: 403, message: 'Not authorized to access this service order' };
+  }
+  return { order, isCustomer, canManage: isLotOwner || isAdmin, isStaff: isLotOwner || isProvider || isAdmin };
+};
+
+// @desc    Add a service to an existing booking
+// @route   POST /api/service-orders
+// @access  Private (booking holder)
+router.post('/', protect, [
+  body('bookingId').isMongoId().withMessage('Valid booking ID is required'),
+  body('serviceId').isMongoId().withMessage('Valid service ID is required'),
+  body('quantity').optional().isInt({ min: 1, max: 10 }).withMessage('Quantity must be between 1 and 10'),
+  body('preferredStart').optional().isISO8601().withMessage('Preferred start must be a date'),
+  body('notes').optional().isLength({ max: 500 }).withMessage('Notes cannot exceed 500 characters')
+], async (req, res) => {
+  try {
+    if (validationFailed(req, res)) return;
+    const { bookingId, serviceId, quantity = 1, preferredStart, notes } = req.body;
+
+    const booking = await Booking.findById(bookingId);
+    if (!booking) return res.status(404).json({ success: false, message: 'Booking not found' });
+    if (booking.user.toString() !== req.user.id) {
+      return res.status(403).json({ success: false, message: 'Not authorized to add services to this booking' });
+    }
+    const service = await Service.findById(serviceId);
+    if (!service) return res.status(404).json({ success: false, message: 'Service not found' });
+
+    const result = await createServiceOrder({ booking, service, quantity: Number(quantity), preferredStart, notes, user: req.user._id });
+    if (!result.order) return res.status(result.status).json({ success: false, message: result.message });
+
+    emitServiceOrderUpdate(req.io, result.order);
+    res.status(201).json({
+      success: true,
+      message: `${service.name} requested for ${result.order.scheduledStart.toISOString()}`,
+      data: { order: result.order }
+    });
+  } catch (error) {
+    console.error('Create service order error:', error);
+    res.status(500).json({ success: false, message: 'Server error creating service order' });
+  }
+});
+
+// @desc    The caller's service orders, optionally for one booking
+// @route   GET /api/service-orders/my
+// @access  Private
+router.get('/my', protect, [
+  query('bookingId').optional().isMongoId().withMessage('Invalid booking ID')
+], async (req, res) => {
+  try {
+    if (validationFailed(req, res)) return;
+    const filter = { user: req.user._id };
+    if (req.query.bookingId) filter.booking = req.query.bookingId;
+    const orders = await ServiceOrder.find(filter)
+      .sort({ createdAt: -1 })
+      .limit(100)
+      .populate('parkingLot', 'name location.address');
+    res.status(200).json({ success: true, data: { orders } });
+  } catch (error) {
+    console.error('List service orders error:', error);
+    res.status(500).json({ success: false, message: 'Server error fetching service orders' });
+  }
+});
+
+// @desc    Work queue: orders at the caller's lots (owners, admins) or assigned to the caller
+// @route   GET /api/service-orders/queue
+// @access  Private
+router.get('/queue', protect, [
+  query('lotId').optional().isMongoId().withMessage('Invalid lot ID'),
+  query('status').optional().isIn([...ORDER_STATUSES, 'active']).withMessage('Invalid status'),
+  query('from').optional().isISO8601().withMessage('From must be a date'),
+  query('to').optional().isISO8601().withMessage('To must be a date')
+], async (req, res) => {
+  try {
+    if (validationFailed(req, res)) return;
+    const { lotId, status = 'active', from, to } = req.query;
+
+    const filter = { status: status === 'active' ? { $in: ACTIVE_STATUSES } : status };
+    if (lotId) filter.parkingLot = lotId;
+    if (from || to) {
+      filter.scheduledStart = {};
+      if (from) filter.scheduledStart.$gte = new Date(from);
+      if (to) filter.scheduledStart.$lt = new Date(to);
+    }
+    if (req.user.role !== 'admin') {
+      const ownLots = req.user.role === 'landowner'
+        ? await ParkingLot.find({ owner: req.user._id }).distinct('_id')
+        : [];
+      filter.$or = [{ parkingLot: { $in: ownLots } }, { 'provider.user': req.user._id }];
+    }
+
+    const orders = await ServiceOrder.find(filter)
+      .sort({ scheduledStart: 1, createdAt: 1 })
+      .limit(200)
+      .populate('parkingLot', 'name')
+      .populate('user', 'name phone')
+      .populate('booking', 'vehicle bookingDetails.spotNumber bookingDetails.startTime bookingDetails.endTime status');
+    const counts = orders.reduce((acc, order) => ({ ...acc, [order.status]: (acc[order.status] || 0) + 1 }), {});
+    res.status(200).json({ success: true, data: { orders, counts } });
+  } catch (error) {
+    console.error('Service order queue error:', error);
+    res.status(500).json({ success: false, message: 'Server error fetching the service queue' });
+  }
+});
+
+// @desc    Assign a provider (a platform user and/or an external contact)
+// @route   PATCH /api/service-orders/:id/assign
+// @access  Private (lot owner/admin)
+router.patch('/:id/assign', protect, [
+  body('providerUserId').optional({ nullable: true }).isMongoId().withMessage('Invalid provider user ID'),
+  body('name').optional().trim().isLength({ max: 100 }).withMessage('Name cannot exceed 100 characters'),
+  body('phone').optional().trim().isLength({ max: 20 }).withMessage('Phone cannot exceed 20 characters')
+], async (req, res) => {
+  try {
+    if (validationFailed(req, res)) return;
+    const loaded = await loadOrder(req);
+    if (!loaded.order) return res.status(loaded.status).json({ success: false, message: loaded.message });
+    const { order, canManage } = loaded;
+    if (!canManage) return res.status(403).json({ success: false, message: 'Only the lot owner can assign providers' });
+    if (!ACTIVE_STATUSES.includes(order.status)) {
+      return res.status(400).json({ success: false, message: `Cannot reassign a ${order.status} order` });
+    }
+
+    const { providerUserId, name, phone } = req.body;
+    let providerUser = null;
+    if (providerUserId) {
+      providerUser = await User.findById(providerUserId).select('name phone');
+      if (!providerUser) return res.status(404).json({ success: false, message: 'Provider user not found' });
+    }
+    order.provider = {
+      user: providerUser?._id,
+      name: name || providerUser?.name || order.provider?.name,
+      phone: phone || providerUser?.phone || order.provider?.phone
+    };
+    order.history.push({ status: order.status, at: new Date(), by: req.user._id, note: `Assigned to ${order.provider.name || 'provider'}` });
+    await order.save();
+
+    emitServiceOrderUpdate(req.io, order);
+    res.status(200).json({ success: true, message: 'Provider assigned', data: { order } });
+  } catch (error) {
+    console.error('Assign service order error:', error);
+    res.status(500).json({ success: false, message: 'Server error assigning provider' });
+  }
+});
+
+// @desc    Move an order along requested → accepted → in-progress → done, or cancel it
+// @route   PATCH /api/service-orders/:id/status
+// @access  Private (staff; the customer may cancel before work starts)
+router.patch('/:id/status', protect, [
+  body('status').isIn(ORDER_STATUSES).withMessage('Invalid status'),
+  body('note').optional().isLength({ max: 500 }).withMessage('Note cannot exceed 500 characters')
+], async (req, res) => {
+  try {
+    if (validationFailed(req, res)) return;
+    const loaded = await loadOrder(req);
+    if (!loaded.order) return res.status(loaded.status).json({ success: false, message: loaded.message });
+    const { order, isStaff } = loaded;
+    const { status, note } = req.body;
+
+    const problem = transitionError(order, status, isStaff ? 'staff' : 'customer');
+    if (problem) return res.status(400).json({ success: false, message: problem });
+
+    applyStatus(order, status, { by: req.user._id, note });
+    if (status === 'done') {
+      const booking = await Booking.findById(order.booking);
+      if (booking) await billCompletedOrder(order, booking, { owner: order.parkingLot?.owner, createdBy: req.user._id });
+    }
+    await order.save();
+
+    emitServiceOrderUpdate(req.io, order);
+    res.status(200).json({ success: true, message: `Service ${status}`, data: { order } });
+  } catch (error) {
+    console.error('Update service order error:', error);
+    res.status(500).json({ success: false, message: 'Server error updating service order' });
+  }
+});
+
+module.exports = router;
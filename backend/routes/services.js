@@ -1,10 +1,143 @@
 const express = require('express');
-const { query, validationResult } = require('express-validator');
+const multer = require('multer');
+const { body, param, query, validationResult } = require('express-validator');
 const Service = require('../models/Service');
-const { protect, optionalAuth } = require('../middleware/authMiddleware');
+const ServiceOrder = require('../models/ServiceOrder');
+const Booking = require('../models/Booking');
+const ParkingLot = require('../models/ParkingLot');
+const { protect, authorize, optionalAuth } = require('../middleware/authMiddleware');
+const { uploadImage, deleteImage } = require('../config/cloudinary');
+const { diff } = require('../services/auditService');
+const { buildUpdate } = require('../services/lotUpdateService');
 
 const router = express.Router();
 
+const SERVICE_CATEGORIES = [
+  'car-wash', 'maintenance', 'fuel', 'food-beverage',
+  'valet', 'charging', 'insurance', 'emergency'
+];
+const VEHICLE_TYPES = ['car', 'bike', 'truck', 'van', 'bicycle'];
+const DAYS = ['monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday'];
+const HHMM = /^([01]\d|2[0-3]):[0-5]\d$/;
+const MAX_IMAGES = 10;
+
+// Paths each role may set through POST /api/services and PUT/PATCH /api/services/:id. Ratings,
+// stats and per-lot availability (see /:id/lots/:lotId) are not edited here.
+const OWNER_SERVICE_FIELDS = [
+  'name',
+  'description',
+  'category',
+  'pricing.basePrice',
+  'pricing.currency',
+  'pricing.unit',
+  'provider.name',
+  'provider.contact',
+  'availability.isActive',
+  'availability.operatingHours',
+  'availability.daysAvailable',
+  'details'
+];
+const EDITABLE_SERVICE_FIELDS = {
+  landowner: OWNER_SERVICE_FIELDS,
+  admin: [...OWNER_SERVICE_FIELDS, 'owner']
+};
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: 5 * 1024 * 1024, // 5MB limit
+  },
+  fileFilter: (req, file, cb) => {
+    if (file.mimetype.startsWith('image/')) {
+      cb(null, true);
+    } else {
+      cb(new Error('Only image files are allowed!'), false);
+    }
+  }
+});
+
+const validationFailed = (req, res) => {
+  const errors = validationResult(req);
+  if (errors.isEmpty()) return false;
+  res.status(400).json({ success: false, message: 'Validation failed', errors: errors.array() });
+  return true;
+};
+
+// Opening hours in lot local time; a closing time before the opening time runs past midnight
+const validServiceHours = (hours) => {
+  if (!hours || typeof hours !== 'object' || Array.isArray(hours)) throw new Error('Operating hours must be an object');
+  if (hours.is24Hours !== undefined && typeof hours.is24Hours !== 'boolean') throw new Error('is24Hours must be true or false');
+  if (hours.is24Hours) return true;
+  if (!HHMM.test(hours.start || '') || !HHMM.test(hours.end || '')) throw new Error('Start and end must be HH:MM');
+  if (hours.start === hours.end) throw new Error('Start and end cannot be the same; use is24Hours');
+  return true;
+};
+
+// Field formats only: whether the window is complete is checked on the merged result
+const hoursRules = [
+  body('availability.operatingHours').optional().isObject().withMessage('Operating hours must be an object'),
+  body(['availability.operatingHours.start', 'availability.operatingHours.end']).optional().matches(HHMM).withMessage('Start and end must be HH:MM'),
+  body('availability.operatingHours.is24Hours').optional().isBoolean().withMessage('is24Hours must be true or false'),
+  body('availability.daysAvailable').optional().isArray({ max: 7 }).withMessage('Days must be a list of weekdays'),
+  body('availability.daysAvailable.*').isIn(DAYS).withMessage(`Days must be among ${DAYS.join(', ')}`)
+];
+
+const serviceRules = [
+  body('name').optional().trim().isLength({ min: 2, max: 100 }).withMessage('Name must be 2-100 characters'),
+  body('description').optional().isLength({ max: 500 }).withMessage('Description cannot exceed 500 characters'),
+  body('category').optional().isIn(SERVICE_CATEGORIES).withMessage(`Category must be one of ${SERVICE_CATEGORIES.join(', ')}`),
+  body('pricing.basePrice').optional().isFloat({ min: 0 }).withMessage('Base price must be zero or more').toFloat(),
+  body('pricing.currency').optional().matches(/^[A-Z]{3}$/).withMessage('Currency must be a 3-letter ISO code'),
+  body('pricing.unit').optional().isIn(['per-service', 'per-hour', 'per-item']).withMessage('Invalid pricing unit'),
+  body('provider.name').optional().trim().isLength({ max: 100 }).withMessage('Provider name cannot exceed 100 characters'),
+  body('provider.contact.email').optional().isEmail().withMessage('Provider email is invalid'),
+  body('availability.isActive').optional().isBoolean().withMessage('isActive must be true or false').toBoolean(),
+  body('details.duration.estimated').optional().isInt({ min: 1, max: 1440 }).withMessage('Estimated duration must be 1-1440 minutes').toInt(),
+  body('details.duration.maximum').optional().isInt({ min: 1, max: 1440 }).withMessage('Maximum duration must be 1-1440 minutes').toInt(),
+  body('details.vehicleTypes').optional().isArray().withMessage('Vehicle types must be a list'),
+  body('details.vehicleTypes.*').isIn(VEHICLE_TYPES).withMessage(`Vehicle types must be among ${VEHICLE_TYPES.join(', ')}`),
+  body('owner').optional().isMongoId().withMessage('Invalid owner ID'),
+  ...hoursRules
+];
+
+// Load a service the caller may edit: its owner, or any service for admins. Services without
+// an owner belong to the platform. Returns { service } or { status, message }.
+const loadEditableService = async (req) => {
+  const service = await Service.findById(req.params.id);
+  if (!service) return { status: 404, message: 'Service not found' };
+  if (req.user.role !== 'admin' && service.owner?.toString() !== req.user._id.toString()) {
+    return { status: 403, message: 'Not authorized to manage this service' };
+  }
+  return { service };
+};
+
+// Load a lot the caller owns (or any lot for admins). Returns { lot } or { status, message }.
+const loadOwnedLot = async (req, lotId) => {
+  const lot = await ParkingLot.findById(lotId).select('name owner');
+  if (!lot) return { status: 404, message: 'Parking lot not found' };
+  if (lot.owner.toString() !== req.user._id.toString() && req.user.role !== 'admin') {
+    return { status: 403, message: 'Access denied' };
+  }
+  return { lot };
+};
+
+// Once an edit is applied, any hours it touched must still form a complete window.
+// Returns the problem or null.
+const hoursProblem = (service, update) => {
+  if (!Object.keys(update).some(path => path.startsWith('availability.operatingHours'))) return null;
+  const { is24Hours, start, end } = service.availability.operatingHours || {};
+  try {
+    validServiceHours({ is24Hours, start, end });
+    return null;
+  } catch (err) {
+    return err.message;
+  }
+};
+
+const serviceIdRule = param('id').isMongoId().withMessage('Invalid service ID');
+
+const auditTarget = (service) => ({ type: 'Service', id: service._id, label: service.name });
+
 // @desc    Get all available services with options
 // @route   GET /api/services/options
 // @access  Public
@@ -118,6 +251,334 @@ router.get('/options', [
   }
 });
 
+// --- Catalogue management (landowners and admins) ---
+
+// @desc    Services the caller manages: their own and those attached to their lots
+// @route   GET /api/services/manage
+// @access  Private (Landowner/Admin)
+router.get('/manage', protect, authorize('landowner', 'admin'), [
+  query('parkingLot').optional().isMongoId().withMessage('Invalid parking lot ID')
+], async (req, res) => {
+  try {
+    if (validationFailed(req, res)) return;
+    let filter = {};
+    if (req.user.role !== 'admin') {
+      const lots = await ParkingLot.find({ owner: req.user._id }).distinct('_id');
+      filter = { $or: [{ owner: req.user._id }, { 'availableAt.parkingLot': { $in: lots } }] };
+    }
+    if (req.query.parkingLot) filter = { ...filter, 'availableAt.parkingLot': req.query.parkingLot };
+
+    const services = await Service.find(filter)
+      .sort({ name: 1 })
+      .limit(200)
+      .populate('availableAt.parkingLot', 'name');
+    res.status(200).json({ success: true, data: { services } });
+  } catch (error) {
+    console.error('List managed services error:', error);
+    res.status(500).json({ success: false, message: 'Server error fetching services' });
+  }
+});
+
+// @desc    Create a service
+// @route   POST /api/services
+// @access  Private (Landowner/Admin)
+router.post('/', protect, authorize('landowner', 'admin'), [
+  body('name').exists().withMessage('Name is required'),
+  body('category').exists().withMessage('Category is required'),
+  body('pricing.basePrice').exists().withMessage('Base price is required'),
+  ...serviceRules
+], async (req, res) => {
+  try {
+    if (validationFailed(req, res)) return;
+    const { update: fields, forbidden } = buildUpdate(req.body, EDITABLE_SERVICE_FIELDS[req.user.role], 'replace');
+    if (forbidden) {
+      return res.status(400).json({
+        success: false,
+        message: `These fields cannot be set: ${forbidden.join(', ')}`,
+        fields: forbidden
+      });
+    }
+
+    const service = new Service({ owner: req.user._id });
+    service.set(fields);
+    const problem = hoursProblem(service, fields);
+    if (problem) return res.status(400).json({ success: false, message: problem });
+    await service.save();
+
+    await req.audit('service.create', { target: auditTarget(service) });
+    res.status(201).json({ success: true, message: 'Service created', data: { service } });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ success: false, message: error.message });
+    }
+    console.error('Create service error:', error);
+    res.status(500).json({ success: false, message: 'Server error creating service' });
+  }
+});
+
+// Shared by PUT (replace each field sent) and PATCH (merge nested fields)
+const updateService = (mode) => async (req, res) => {
+  try {
+    if (validationFailed(req, res)) return;
+    const loaded = await loadEditableService(req);
+    if (!loaded.service) return res.status(loaded.status).json({ success: false, message: loaded.message });
+    const { service } = loaded;
+
+    const { update, forbidden } = buildUpdate(req.body, EDITABLE_SERVICE_FIELDS[req.user.role], mode);
+    if (forbidden) {
+      return res.status(400).json({
+        success: false,
+        message: `These fields cannot be edited: ${forbidden.join(', ')}`,
+        fields: forbidden
+      });
+    }
+    if (!Object.keys(update).length) {
+      return res.status(400).json({ success: false, message: 'No editable fields provided' });
+    }
+    const before = service.toObject();
+    service.set(update);
+    const problem = hoursProblem(service, update);
+    if (problem) return res.status(400).json({ success: false, message: problem });
+    await service.save();
+
+    const changes = diff(before, service, Object.keys(update));
+    if (changes.length) await req.audit('service.update', { target: auditTarget(service), changes });
+    res.status(200).json({ success: true, message: 'Service updated', data: { service } });
+  } catch (error) {
+    if (error.name === 'ValidationError' || error.name === 'CastError') {
+      return res.status(400).json({ success: false, message: error.message });
+    }
+    console.error('Update service error:', error);
+    res.status(500).json({ success: false, message: 'Server error updating service' });
+  }
+};
+
+// @desc    Update a service, replacing each field sent
+// @route   PUT /api/services/:id
+// @access  Private (Service owner/Admin)
+router.put('/:id', protect, authorize('landowner', 'admin'), [serviceIdRule, ...serviceRules], updateService('replace'));
+
+// @desc    Partially update a service (nested fields merge)
+// @route   PATCH /api/services/:id
+// @access  Private (Service owner/Admin)
+router.patch('/:id', protect, authorize('landowner', 'admin'), [serviceIdRule, ...serviceRules], updateService('merge'));
+
+// @desc    Set when a service runs: daily hours (lot local time) and weekdays
+// @route   PUT /api/services/:id/hours
+// @access  Private (Service owner/Admin)
+router.put('/:id/hours', protect, authorize('landowner', 'admin'), [
+  serviceIdRule,
+  body('operatingHours').exists().withMessage('Operating hours are required').bail().custom(validServiceHours),
+  body('daysAvailable').optional().isArray({ max: 7 }).withMessage('Days must be a list of weekdays'),
+  body('daysAvailable.*').isIn(DAYS).withMessage(`Days must be among ${DAYS.join(', ')}`)
+], async (req, res) => {
+  try {
+    if (validationFailed(req, res)) return;
+    const loaded = await loadEditableService(req);
+    if (!loaded.service) return res.status(loaded.status).json({ success: false, message: loaded.message });
+    const { service } = loaded;
+
+    const before = service.toObject();
+    const { is24Hours = false, start, end } = req.body.operatingHours;
+    service.availability.operatingHours = is24Hours ? { is24Hours: true } : { is24Hours: false, start, end };
+    if (req.body.daysAvailable) service.availability.daysAvailable = [...new Set(req.body.daysAvailable)];
+    await service.save();
+
+    const changes = diff(before, service, ['availability.operatingHours', 'availability.daysAvailable']);
+    if (changes.length) await req.audit('service.hours', { target: auditTarget(service), changes });
+    res.status(200).json({ success: true, message: 'Service hours updated', data: { availability: service.availability } });
+  } catch (error) {
+    console.error('Update service hours error:', error);
+    res.status(500).json({ success: false, message: 'Server error updating service hours' });
+  }
+});
+
+// @desc    Attach a service to a lot, or change its price or active flag there
+// @route   PUT /api/services/:id/lots/:lotId
+// @access  Private (Lot owner/Admin)
+router.put('/:id/lots/:lotId', protect, authorize('landowner', 'admin'), [
+  serviceIdRule,
+  param('lotId').isMongoId().withMessage('Invalid parking lot ID'),
+  body('customPricing').optional({ nullable: true }).isFloat({ min: 0 }).withMessage('Custom price must be zero or more').toFloat(),
+  body('isActive').optional().isBoolean().withMessage('isActive must be true or false').toBoolean()
+], async (req, res) => {
+  try {
+    if (validationFailed(req, res)) return;
+    const owned = await loadOwnedLot(req, req.params.lotId);
+    if (!owned.lot) return res.status(owned.status).json({ success: false, message: owned.message });
+    const service = await Service.findById(req.params.id);
+    if (!service) return res.status(404).json({ success: false, message: 'Service not found' });
+
+    const { customPricing, isActive } = req.body;
+    let entry = service.availableAt.find(loc => loc.parkingLot.toString() === req.params.lotId);
+    const attached = !entry;
+    if (attached) {
+      service.availableAt.push({ parkingLot: owned.lot._id, isActive: true });
+      entry = service.availableAt[service.availableAt.length - 1];
+    }
+    const before = { customPricing: entry.customPricing ?? null, isActive: entry.isActive ?? null };
+    // null clears the lot price back to the base price
+    if (customPricing !== undefined) entry.customPricing = customPricing === null ? undefined : customPricing;
+    if (isActive !== undefined) entry.isActive = isActive;
+    await service.save();
+
+    await req.audit(attached ? 'service.attach' : 'service.lot', {
+      target: auditTarget(service),
+      changes: diff(before, { customPricing: entry.customPricing ?? null, isActive: entry.isActive }),
+      metadata: { parkingLot: owned.lot._id, lotName: owned.lot.name }
+    });
+    res.status(attached ? 201 : 200).json({
+      success: true,
+      message: attached ? `${service.name} is now offered at ${owned.lot.name}` : `${service.name} updated at ${owned.lot.name}`,
+      data: {
+        serviceId: service._id,
+        lotId: owned.lot._id,
+        customPricing: entry.customPricing ?? null,
+        price: service.getPriceFor(owned.lot._id),
+        isActive: entry.isActive
+      }
+    });
+  } catch (error) {
+    console.error('Attach service error:', error);
+    res.status(500).json({ success: false, message: 'Server error updating service availability' });
+  }
+});
+
+// @desc    Stop offering a service at a lot
+// @route   DELETE /api/services/:id/lots/:lotId
+// @access  Private (Lot owner/Admin)
+router.delete('/:id/lots/:lotId', protect, authorize('landowner', 'admin'), [
+  serviceIdRule,
+  param('lotId').isMongoId().withMessage('Invalid parking lot ID')
+], async (req, res) => {
+  try {
+    if (validationFailed(req, res)) return;
+    const owned = await loadOwnedLot(req, req.params.lotId);
+    if (!owned.lot) return res.status(owned.status).json({ success: false, message: owned.message });
+    const service = await Service.findById(req.params.id);
+    if (!service) return res.status(404).json({ success: false, message: 'Service not found' });
+
+    const before = service.availableAt.length;
+    service.availableAt = service.availableAt.filter(loc => loc.parkingLot.toString() !== req.params.lotId);
+    if (service.availableAt.length === before) {
+      return res.status(404).json({ success: false, message: 'Service is not offered at this parking lot' });
+    }
+    await service.save();
+
+    await req.audit('service.detach', { target: auditTarget(service), metadata: { parkingLot: owned.lot._id, lotName: owned.lot.name } });
+    res.status(200).json({ success: true, message: `${service.name} removed from ${owned.lot.name}` });
+  } catch (error) {
+    console.error('Detach service error:', error);
+    res.status(500).json({ success: false, message: 'Server error updating service availability' });
+  }
+});
+
+// @desc    Upload service images
+// @route   POST /api/services/:id/images
+// @access  Private (Service owner/Admin)
+router.post('/:id/images', protect, authorize('landowner', 'admin'), upload.array('images', MAX_IMAGES), [serviceIdRule], async (req, res) => {
+  try {
+    if (validationFailed(req, res)) return;
+    if (!req.files || req.files.length === 0) {
+      return res.status(400).json({ success: false, message: 'No images provided' });
+    }
+    const loaded = await loadEditableService(req);
+    if (!loaded.service) return res.status(loaded.status).json({ success: false, message: loaded.message });
+    const { service } = loaded;
+    if (service.images.length + req.files.length > MAX_IMAGES) {
+      return res.status(400).json({ success: false, message: `A service can have at most ${MAX_IMAGES} images` });
+    }
+
+    const uploads = await Promise.all(req.files.map(file => uploadImage(file.buffer, {
+      folder: `parkplaza/services/${service._id}`
+    })));
+    const captions = [].concat(req.body.captions || []);
+    const images = uploads.map((result, index) => ({
+      url: result.secure_url,
+      publicId: result.public_id,
+      caption: captions[index] || ''
+    }));
+    service.images.push(...images);
+    await service.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Images uploaded successfully',
+      data: { images: service.images.slice(-images.length), totalImages: service.images.length }
+    });
+  } catch (error) {
+    console.error('Service image upload error:', error);
+    res.status(500).json({ success: false, message: error.message || 'Error uploading images' });
+  }
+});
+
+// @desc    Remove a service image
+// @route   DELETE /api/services/:id/images/:imageId
+// @access  Private (Service owner/Admin)
+router.delete('/:id/images/:imageId', protect, authorize('landowner', 'admin'), [
+  serviceIdRule,
+  param('imageId').isMongoId().withMessage('Invalid image ID')
+], async (req, res) => {
+  try {
+    if (validationFailed(req, res)) return;
+    const loaded = await loadEditableService(req);
+    if (!loaded.service) return res.status(loaded.status).json({ success: false, message: loaded.message });
+    const { service } = loaded;
+    const image = service.images.id(req.params.imageId);
+    if (!image) return res.status(404).json({ success: false, message: 'Image not found' });
+
+    if (image.publicId) {
+      try {
+        await deleteImage(image.publicId);
+      } catch (err) {
+        // The image is dropped from the service either way; an orphaned upload is harmless
+        console.error('Service image delete error:', err);
+      }
+    }
+    image.deleteOne();
+    await service.save();
+    res.status(200).json({ success: true, message: 'Image removed', data: { totalImages: service.images.length } });
+  } catch (error) {
+    console.error('Remove service image error:', error);
+    res.status(500).json({ success: false, message: 'Server error removing image' });
+  }
+});
+
+// @desc    Delete a service. Services already booked or ordered are deactivated instead so
+//          their history keeps resolving.
+// @route   DELETE /api/services/:id
+// @access  Private (Service owner/Admin)
+router.delete('/:id', protect, authorize('landowner', 'admin'), [serviceIdRule], async (req, res) => {
+  try {
+    if (validationFailed(req, res)) return;
+    const loaded = await loadEditableService(req);
+    if (!loaded.service) return res.status(loaded.status).json({ success: false, message: loaded.message });
+    const { service } = loaded;
+
+    const [ordered, booked] = await Promise.all([
+      ServiceOrder.exists({ service: service._id }),
+      Booking.exists({ 'services.serviceId': service._id })
+    ]);
+    if (ordered || booked) {
+      service.availability.isActive = false;
+      await service.save();
+      await req.audit('service.deactivate', { target: auditTarget(service) });
+      return res.status(200).json({
+        success: true,
+        message: 'Service has bookings on record, so it was deactivated instead of deleted',
+        data: { service, deleted: false }
+      });
+    }
+
+    await service.deleteOne();
+    await req.audit('service.delete', { target: auditTarget(service) });
+    res.status(200).json({ success: true, message: 'Service deleted', data: { deleted: true } });
+  } catch (error) {
+    console.error('Delete service error:', error);
+    res.status(500).json({ success: false, message: 'Server error deleting service' });
+  }
+});
+
 // NOTE: The generic '/:id' route is intentionally placed AFTER more specific
 // routes like '/category/*', '/featured/popular', '/search/query' so that they
 // are not shadowed. Express matches in declaration order.
@@ -18,6 +18,7 @@ const { URL } = require('url');
 
 const User = require('../models/User');
 const ParkingLot = require('../models/ParkingLot');
+const { planForCapacity } = require('../services/layoutService');
 
 function getJson(url) {
   return new Promise((resolve, reject) => {
@@ -170,7 +171,7 @@ function extractAddressComponents(components = []) {
         updated.push(existing._id.toString());
       } else {
         const createdLot = await ParkingLot.create(doc);
-        try { await createdLot.generateSlots({ levels: 1, rows: 5, cols: 10, type: 'car' }); } catch {}
+        try { await createdLot.generateSlots({ plan: planForCapacity(doc.capacity.total, doc.vehicleTypes) }); } catch {}
         created.push(createdLot._id.toString());
       }
     } catch (e) {
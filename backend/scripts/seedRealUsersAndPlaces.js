@@ -14,6 +14,7 @@ const https = require('https');
 
 const User = require('../models/User');
 const ParkingLot = require('../models/ParkingLot');
+const { planForCapacity } = require('../services/layoutService');
 
 function getJson(url) {
   return new Promise((resolve, reject) => {
@@ -110,7 +111,7 @@ async function importPlacesAround(lat, lng, ownerEmail, limit = 10, radius = 200
         updated.push(existing._id.toString());
       } else {
         const createdLot = await ParkingLot.create(doc);
-        try { await createdLot.generateSlots({ levels:1, rows:5, cols:10, type:'car' }); } catch {}
+        try { await createdLot.generateSlots({ plan: planForCapacity(doc.capacity.total, doc.vehicleTypes) }); } catch {}
         created.push(createdLot._id.toString());
       }
     } catch (e) {
@@ -32,18 +32,30 @@ process.stdin.resume();
 console.log('[trace] stdin resumed');
 
 // Import routes (instrumented)
-let authRoutes, parkingRoutes, bookingRoutes, servicesRoutes, placesRoutes, contactRoutes;
+let authRoutes, parkingRoutes, bookingRoutes, servicesRoutes, serviceOrderRoutes, placesRoutes, contactRoutes, paymentRoutes, passRoutes, reviewRoutes, analyticsRoutes, adminRoutes;
 try { authRoutes = require('./routes/auth'); console.log('[trace] authRoutes loaded'); } catch (e) { console.error('[trace][err] authRoutes', e); }
 try { contactRoutes = require('./routes/contact'); console.log('[trace] contactRoutes loaded'); } catch (e) { console.error('[trace][err] contactRoutes', e); }
 try { parkingRoutes = require('./routes/parking'); console.log('[trace] parkingRoutes loaded'); } catch (e) { console.error('[trace][err] parkingRoutes', e); }
 try { bookingRoutes = require('./routes/booking'); console.log('[trace] bookingRoutes loaded'); } catch (e) { console.error('[trace][err] bookingRoutes', e); }
 try { servicesRoutes = require('./routes/services'); console.log('[trace] servicesRoutes loaded'); } catch (e) { console.error('[trace][err] servicesRoutes', e); }
 try { placesRoutes = require('./routes/places'); console.log('[trace] placesRoutes loaded'); } catch (e) { console.error('[trace][err] placesRoutes', e); }
+try { paymentRoutes = require('./routes/payments'); console.log('[trace] paymentRoutes loaded'); } catch (e) { console.error('[trace][err] paymentRoutes', e); }
+try { serviceOrderRoutes = require('./routes/serviceOrders'); console.log('[trace] serviceOrderRoutes loaded'); } catch (e) { console.error('[trace][err] serviceOrderRoutes', e); }
+try { passRoutes = require('./routes/passes'); console.log('[trace] passRoutes loaded'); } catch (e) { console.error('[trace][err] passRoutes', e); }
+try { reviewRoutes = require('./routes/reviews'); console.log('[trace] reviewRoutes loaded'); } catch (e) { console.error('[trace][err] reviewRoutes', e); }
+try { analyticsRoutes = require('./routes/analytics'); console.log('[trace] analyticsRoutes loaded'); } catch (e) { console.error('[trace][err] analyticsRoutes', e); }
+try { adminRoutes = require('./routes/admin'); console.log('[trace] adminRoutes loaded'); } catch (e) { console.error('[trace][err] adminRoutes', e); }
 
 // Import middleware
 const authMiddleware = require('./middleware/authMiddleware');
 const performanceMonitor = require('./middleware/performanceMonitor');
+const auditTrail = require('./middleware/audit');
 const { generalLimiter, authLimiter } = require('./middleware/rateLimiter');
+const { startHoldSweeper } = require('./services/slotHoldService');
+const { startPassExpirySweeper } = require('./services/passService');
+const { attachRealtime } = require('./services/realtimeService');
+const { startNotificationWorker } = require('./services/notificationService');
+const { startWaitlistSweeper } = require('./services/waitlistService');
 
 const app = express();
 console.log('[trace] Express app created');
@@ -77,9 +89,16 @@ app.use(helmet({
   crossOriginEmbedderPolicy: false, // Allow embedding for Maps
 }));
 app.use(performanceMonitor);
+app.use(auditTrail);
 app.use(morgan(process.env.NODE_ENV === 'production' ? 'combined' : 'dev', { stream: logger.stream }));
 app.use(generalLimiter);
-app.use(express.json({ limit: '10mb' }));
+app.use(express.json({
+  limit: '10mb',
+  // Payment webhooks verify signatures against the exact bytes received
+  verify: (req, res, buf) => {
+    if (req.originalUrl.startsWith('/api/payments/webhooks')) req.rawBody = buf;
+  }
+}));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 console.log('[trace] Core middleware mounted');
 
@@ -204,26 +223,16 @@ mongoose.connection.on('reconnected', () => {
   logger.info('✅ MongoDB reconnected');
 });
 
-// Socket.io for real-time updates
-io.on('connection', (socket) => {
-  logger.info(`User connected: ${socket.id}`);
-  
-  // Join parking lot room for real-time updates
-  socket.on('join-lot', (lotId) => {
-    socket.join(`lot-${lotId}`);
-    logger.info(`Socket ${socket.id} joined room lot-${lotId}`);
-  });
-  
-  // Leave parking lot room
-  socket.on('leave-lot', (lotId) => {
-    socket.leave(`lot-${lotId}`);
-    logger.info(`Socket ${socket.id} left room lot-${lotId}`);
-  });
-  
-  socket.on('disconnect', () => {
-    logger.info(`User disconnected: ${socket.id}`);
-  });
-});
+// Socket.io for real-time updates: JWT handshake, per-user rooms and lot rooms
+attachRealtime(io);
+
+// Release slot holds abandoned on the payment page
+startHoldSweeper(io);
+startPassExpirySweeper(io);
+// Send queued booking reminders and extension offers
+startNotificationWorker(io);
+// Expire unclaimed waitlist offers and pass their space down the line
+startWaitlistSweeper(io);
 
 // Make io accessible in routes
 app.use((req, res, next) => {
@@ -237,6 +246,12 @@ app.use('/api/contact', contactRoutes);
 app.use('/api/parking', parkingRoutes);
 app.use('/api/booking', bookingRoutes);
 app.use('/api/services', servicesRoutes);
+app.use('/api/service-orders', serviceOrderRoutes);
+app.use('/api/payments', paymentRoutes);
+app.use('/api/passes', passRoutes);
+app.use('/api/reviews', reviewRoutes);
+app.use('/api/analytics', analyticsRoutes);
+app.use('/api/admin', adminRoutes);
 if (placesRoutes) {
   app.use('/api/places', placesRoutes);
 }
@@ -0,0 +1,281 @@
+const mongoose = require('mongoose');
+const Booking = require('../models/Booking');
+const ParkingLot = require('../models/ParkingLot');
+const { localTime } = require('./pricingService');
+
+// Owner analytics computed from bookings with aggregation pipelines. Bookings are bucketed
+// by their start time in the reporting timezone; revenue is what was paid less refunds.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_TIMEZONE = process.env.PRICING_TIMEZONE || 'Asia/Kolkata';
+const DEFAULT_RANGE_DAYS = 30;
+const MAX_RANGE_DAYS = parseInt(process.env.ANALYTICS_MAX_RANGE_DAYS || '366', 10);
+// Longest stay expanded hour by hour for the heatmap; longer stays are clipped
+const MAX_HEATMAP_HOURS = 24 * 7;
+
+const INTERVALS = {
+  day: '%Y-%m-%d',
+  week: '%G-W%V',
+  month: '%Y-%m'
+};
+// Bookings that held a space (for occupancy, stays and services)
+const OCCUPYING_STATUSES = ['confirmed', 'active', 'completed', 'extended'];
+// Payment states that brought money in (refunds are subtracted)
+const PAID_STATUSES = ['completed', 'refunded'];
+
+const round = (value, places = 2) => {
+  const f = 10 ** places;
+  return Math.round((Number(value) || 0) * f) / f;
+};
+
+// Validated [from, to) window; defaults to the last 30 days. Returns { error } when invalid.
+const resolveRange = ({ from, to } = {}, now = new Date()) => {
+  const end = to ? new Date(to) : now;
+  const start = from ? new Date(from) : new Date(end.getTime() - DEFAULT_RANGE_DAYS * DAY_MS);
+  if (Number.isNaN(start.getTime()) || Number.isNaN(end.getTime())) return { error: 'Invalid date range' };
+  if (start >= end) return { error: '`from` must be before `to`' };
+  if (end - start > MAX_RANGE_DAYS * DAY_MS) return { error: `Date range cannot exceed ${MAX_RANGE_DAYS} days` };
+  return { from: start, to: end };
+};
+
+// Lots the report covers: the owner's lots, optionally narrowed to one. Admins may
+// report on another owner by id. Returns null when `lotId` isn't one of them.
+const resolveLots = async (user, { lotId, ownerId } = {}) => {
+  const owner = user.role === 'admin' && ownerId ? ownerId : user._id;
+  const filter = { owner };
+  if (lotId) filter._id = lotId;
+  const lots = await ParkingLot.find(filter).select('name capacity rating status location.address verification verificationDocuments').lean();
+  if (lotId && !lots.length) return null;
+  return lots;
+};
+
+const bookingMatch = (lots, { from, to }, extra = {}) => ({
+  parkingLot: { $in: lots.map(l => new mongoose.Types.ObjectId(String(l._id))) },
+  'bookingDetails.startTime': { $gte: from, $lt: to },
+  ...extra
+});
+
+const netRevenueExpr = {
+  $subtract: [{ $ifNull: ['$pricing.totalAmount', 0] }, { $ifNull: ['$payment.refundAmount', 0] }]
+};
+
+// Minutes a vehicle actually stayed, falling back to the booked window when the gate
+// logs are missing
+const stayMinutesExpr = {
+  $divide: [
+    { $subtract: [
+      { $ifNull: ['$exitLog.time', '$bookingDetails.endTime'] },
+      { $ifNull: ['$entryLog.time', '$bookingDetails.startTime'] }
+    ] },
+    60 * 1000
+  ]
+};
+
+// Revenue and paid booking count per day, ISO week or month
+const revenueSeries = async (lots, range, { interval = 'day', timezone = DEFAULT_TIMEZONE } = {}) => {
+  const rows = await Booking.aggregate([
+    { $match: bookingMatch(lots, range, { 'payment.status': { $in: PAID_STATUSES } }) },
+    { $group: {
+      _id: { $dateToString: { format: INTERVALS[interval] || INTERVALS.day, date: '$bookingDetails.startTime', timezone } },
+      revenue: { $sum: netRevenueExpr },
+      refunds: { $sum: { $ifNull: ['$payment.refundAmount', 0] } },
+      bookings: { $sum: 1 }
+    } },
+    { $sort: { _id: 1 } }
+  ]);
+  const series = rows.map(r => ({ period: r._id, revenue: round(r.revenue), refunds: round(r.refunds), bookings: r.bookings }));
+  return {
+    interval: INTERVALS[interval] ? interval : 'day',
+    series,
+    total: round(series.reduce((sum, r) => sum + r.revenue, 0))
+  };
+};
+
+// How many times each weekday occurs in the range, in the reporting timezone
+const weekdayOccurrences = ({ from, to }, timezone) => {
+  const counts = [0, 0, 0, 0, 0, 0, 0];
+  const seen = new Set();
+  for (let t = from.getTime(); t < to.getTime(); t += DAY_MS / 2) {
+    const local = localTime(new Date(t), timezone);
+    if (seen.has(local.date)) continue;
+    seen.add(local.date);
+    counts[local.weekday] += 1;
+  }
+  return counts;
+};
+
+// Occupied vehicle-hours per weekday (0 = Sunday) x hour of day, plus the share of
+// capacity that represents. Each booking is expanded into the hours it spans.
+const occupancyHeatmap = async (lots, range, { timezone = DEFAULT_TIMEZONE } = {}) => {
+  const rows = await Booking.aggregate([
+    { $match: bookingMatch(lots, range, { status: { $in: OCCUPYING_STATUSES } }) },
+    { $project: {
+      start: { $ifNull: ['$entryLog.time', '$bookingDetails.startTime'] },
+      hours: { $min: [MAX_HEATMAP_HOURS, { $ceil: { $divide: [
+        { $subtract: [
+          { $ifNull: ['$exitLog.time', '$bookingDetails.endTime'] },
+          { $ifNull: ['$entryLog.time', '$bookingDetails.startTime'] }
+        ] },
+        60 * 60 * 1000
+      ] } }] }
+    } },
+    { $match: { hours: { $gt: 0 } } },
+    { $project: { slot: { $map: {
+      input: { $range: [0, '$hours'] },
+      as: 'h',
+      in: { $add: ['$start', { $multiply: ['$$h', 60 * 60 * 1000] }] }
+    } } } },
+    { $unwind: '$slot' },
+    { $group: {
+      _id: {
+        weekday: { $subtract: [{ $dayOfWeek: { date: '$slot', timezone } }, 1] },
+        hour: { $hour: { date: '$slot', timezone } }
+      },
+      vehicleHours: { $sum: 1 }
+    } }
+  ]);
+
+  const capacity = lots.reduce((sum, l) => sum + (l.capacity?.total || 0), 0);
+  const occurrences = weekdayOccurrences(range, timezone);
+  const grid = Array.from({ length: 7 }, () => Array(24).fill(0));
+  rows.forEach(({ _id, vehicleHours }) => { grid[_id.weekday][_id.hour] = vehicleHours; });
+  const rate = grid.map((hours, weekday) => hours.map(v => {
+    const available = capacity * occurrences[weekday];
+    return available ? Math.min(100, round((v / available) * 100, 1)) : 0;
+  }));
+
+  let peak = null;
+  rate.forEach((hours, weekday) => hours.forEach((value, hour) => {
+    if (value > 0 && (!peak || value > peak.rate)) peak = { weekday, hour, rate: value };
+  }));
+  return { timezone, capacity, vehicleHours: grid, rate, peak };
+};
+
+// Average and longest stay over bookings that held a space
+const stayStats = async (lots, range) => {
+  const [row] = await Booking.aggregate([
+    { $match: bookingMatch(lots, range, { status: { $in: OCCUPYING_STATUSES } }) },
+    { $project: { minutes: stayMinutesExpr } },
+    { $match: { minutes: { $gt: 0 } } },
+    { $group: { _id: null, average: { $avg: '$minutes' }, longest: { $max: '$minutes' }, count: { $sum: 1 } } }
+  ]);
+  return {
+    averageMinutes: row ? round(row.average, 0) : 0,
+    longestMinutes: row ? round(row.longest, 0) : 0,
+    stays: row ? row.count : 0
+  };
+};
+
+// Share of bookings that were cancelled or never showed up
+const cancellationStats = async (lots, range) => {
+  const rows = await Booking.aggregate([
+    { $match: bookingMatch(lots, range) },
+    { $group: { _id: '$status', n: { $sum: 1 }, refunded: { $sum: { $ifNull: ['$cancellation.refundAmount', 0] } } } }
+  ]);
+  const byStatus = Object.fromEntries(rows.map(r => [r._id, r.n]));
+  // Unpaid pending bookings never became real reservations
+  const total = rows.filter(r => r._id !== 'pending').reduce((sum, r) => sum + r.n, 0);
+  const cancelled = byStatus.cancelled || 0;
+  const noShows = byStatus['no-show'] || 0;
+  return {
+    total,
+    cancelled,
+    noShows,
+    cancellationRate: total ? round((cancelled / total) * 100, 1) : 0,
+    noShowRate: total ? round((noShows / total) * 100, 1) : 0,
+    refunded: round(rows.find(r => r._id === 'cancelled')?.refunded || 0),
+    byStatus
+  };
+};
+
+// Add-on services ranked by revenue
+const topServices = async (lots, range, { limit = 10 } = {}) => {
+  const rows = await Booking.aggregate([
+    { $match: bookingMatch(lots, range, { status: { $in: OCCUPYING_STATUSES }, 'services.0': { $exists: true } }) },
+    { $unwind: '$services' },
+    { $group: {
+      _id: { $ifNull: ['$services.serviceId', '$services.name'] },
+      name: { $first: '$services.name' },
+      quantity: { $sum: { $ifNull: ['$services.quantity', 1] } },
+      revenue: { $sum: { $multiply: [{ $ifNull: ['$services.price', 0] }, { $ifNull: ['$services.quantity', 1] }] } },
+      bookings: { $sum: 1 }
+    } },
+    { $sort: { revenue: -1, quantity: -1 } },
+    { $limit: limit }
+  ]);
+  return rows.map(r => ({
+    serviceId: r._id,
+    name: r.name || 'Service',
+    quantity: r.quantity,
+    bookings: r.bookings,
+    revenue: round(r.revenue)
+  }));
+};
+
+// Side-by-side figures for each lot in the report
+const lotComparison = async (lots, range) => {
+  const rows = await Booking.aggregate([
+    { $match: bookingMatch(lots, range) },
+    { $group: {
+      _id: '$parkingLot',
+      bookings: { $sum: { $cond: [{ $ne: ['$status', 'pending'] }, 1, 0] } },
+      cancelled: { $sum: { $cond: [{ $eq: ['$status', 'cancelled'] }, 1, 0] } },
+      revenue: { $sum: { $cond: [{ $in: ['$payment.status', PAID_STATUSES] }, netRevenueExpr, 0] } },
+      stayMinutes: { $avg: { $cond: [{ $in: ['$status', OCCUPYING_STATUSES] }, stayMinutesExpr, null] } }
+    } }
+  ]);
+  const byLot = new Map(rows.map(r => [r._id.toString(), r]));
+  return lots.map(lot => {
+    const r = byLot.get(lot._id.toString()) || {};
+    const bookings = r.bookings || 0;
+    return {
+      lotId: lot._id,
+      name: lot.name,
+      address: [lot.location?.address?.street, lot.location?.address?.city].filter(Boolean).join(', '),
+      status: lot.status,
+      capacity: lot.capacity?.total || 0,
+      occupied: Math.max(0, (lot.capacity?.total || 0) - (lot.capacity?.available || 0)),
+      rating: lot.rating?.average || 0,
+      bookings,
+      revenue: round(r.revenue || 0),
+      cancellationRate: bookings ? round(((r.cancelled || 0) / bookings) * 100, 1) : 0,
+      averageStayMinutes: round(r.stayMinutes || 0, 0),
+      verification: lot.verification?.status || 'unsubmitted',
+      rejectionReason: lot.verification?.rejectionReason || null,
+      documentCount: (lot.verificationDocuments || []).length
+    };
+  }).sort((a, b) => b.revenue - a.revenue);
+};
+
+// Headline numbers for the dashboard cards
+const ownerSummary = async (lots, range) => {
+  const [comparison, cancellations] = await Promise.all([
+    lotComparison(lots, range),
+    cancellationStats(lots, range)
+  ]);
+  const capacity = comparison.reduce((sum, l) => sum + l.capacity, 0);
+  const occupied = comparison.reduce((sum, l) => sum + l.occupied, 0);
+  return {
+    totalRevenue: round(comparison.reduce((sum, l) => sum + l.revenue, 0)),
+    totalBookings: comparison.reduce((sum, l) => sum + l.bookings, 0),
+    totalLots: lots.length,
+    activeLots: lots.filter(l => l.status === 'active').length,
+    occupancyRate: capacity ? round((occupied / capacity) * 100, 1) : 0,
+    cancellationRate: cancellations.cancellationRate
+  };
+};
+
+module.exports = {
+  INTERVALS,
+  DEFAULT_TIMEZONE,
+  resolveRange,
+  resolveLots,
+  weekdayOccurrences,
+  revenueSeries,
+  occupancyHeatmap,
+  stayStats,
+  cancellationStats,
+  topServices,
+  lotComparison,
+  ownerSummary
+};
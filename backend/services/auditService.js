@@ -0,0 +1,139 @@
+const AuditEvent = require('../models/AuditEvent');
+const logger = require('../config/logger');
+
+const AUDIT_ACTIONS = [
+  'lot.update',
+  'lot.layout',
+  'lot.availability',
+  'lot.hours',
+  'lot.hours.exception',
+  'lot.status',
+  'lot.verification',
+  'lot.import',
+  'booking.status',
+  'booking.refund',
+  'user.role',
+  'user.suspend',
+  'user.unsuspend'
+];
+
+const CSV_COLUMNS = ['createdAt', 'action', 'actor', 'actorRole', 'targetType', 'targetId', 'targetLabel', 'changes', 'ip', 'requestId'];
+
+const isPlainObject = (value) => value !== null
+  && typeof value === 'object'
+  && !Array.isArray(value)
+  && !(value instanceof Date)
+  && !value._bsontype;
+
+const toPlain = (doc) => (doc && typeof doc.toObject === 'function' ? doc.toObject({ depopulate: true }) : doc);
+
+// Flatten nested objects into { 'a.b': leaf }; arrays, dates and ids are leaves
+const flatten = (value, prefix, out = {}) => {
+  if (isPlainObject(value)) {
+    const keys = Object.keys(value);
+    if (!keys.length && prefix) out[prefix] = value;
+    keys.forEach(key => flatten(value[key], prefix ? `${prefix}.${key}` : key, out));
+  } else if (prefix) {
+    out[prefix] = value;
+  }
+  return out;
+};
+
+const pick = (obj, path) => path.split('.').reduce((v, key) => (v == null ? undefined : v[key]), obj);
+
+const escapeRegex = (value) => String(value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const same = (a, b) => JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+
+// Field-level diff between two versions of a document. `paths` limits the comparison to
+// those top-level or dotted paths (e.g. the keys a client submitted).
+const diff = (before, after, paths) => {
+  const a = toPlain(before) || {};
+  const b = toPlain(after) || {};
+  const roots = paths || [...new Set([...Object.keys(a), ...Object.keys(b)])].filter(k => !['_id', '__v', 'createdAt', 'updatedAt'].includes(k));
+
+  const fromFlat = {};
+  const toFlat = {};
+  roots.forEach(path => {
+    flatten(pick(a, path), path, fromFlat);
+    flatten(pick(b, path), path, toFlat);
+  });
+
+  return [...new Set([...Object.keys(fromFlat), ...Object.keys(toFlat)])]
+    .filter(field => !same(fromFlat[field], toFlat[field]))
+    .sort()
+    .map(field => ({ field, from: fromFlat[field] ?? null, to: toFlat[field] ?? null }));
+};
+
+// Persist an event. Auditing must never fail the action it describes, so errors are logged.
+const record = async (context, action, { target, changes = [], metadata } = {}) => {
+  try {
+    return await AuditEvent.create({ ...context, action, target, changes, metadata });
+  } catch (error) {
+    logger.error(`Audit write failed for ${action}: ${error.message}`);
+    return null;
+  }
+};
+
+// Mongo filter for the admin query endpoint
+const buildAuditFilter = ({ actor, action, targetType, targetId, from, to, requestId } = {}) => {
+  const filter = {};
+  if (actor) filter.actor = actor;
+  if (action) {
+    // Comma-separated; a bare noun (`lot`) matches every action on it
+    const patterns = String(action).split(',').map(s => s.trim()).filter(Boolean)
+      .map(a => new RegExp(a.includes('.') ? `^${escapeRegex(a)}$` : `^${escapeRegex(a)}\\.`));
+    filter.action = { $in: patterns };
+  }
+  if (targetType) filter['target.type'] = targetType;
+  if (targetId) filter['target.id'] = targetId;
+  if (requestId) filter.requestId = requestId;
+  if (from || to) {
+    filter.createdAt = {};
+    if (from) filter.createdAt.$gte = new Date(from);
+    // A bare date means "through the end of that day"
+    if (to) {
+      filter.createdAt = /^\d{4}-\d{2}-\d{2}$/.test(to)
+        ? { ...filter.createdAt, $lt: new Date(new Date(to).getTime() + 24 * 60 * 60 * 1000) }
+        : { ...filter.createdAt, $lte: new Date(to) };
+    }
+  }
+  return filter;
+};
+
+// Quote for CSV; values that a spreadsheet would evaluate as a formula are prefixed with '
+const csvCell = (value) => {
+  if (value === undefined || value === null) return '';
+  let text = typeof value === 'string' ? value : JSON.stringify(value);
+  if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const toCsvRow = (event) => {
+  const actor = event.actor && event.actor.email ? event.actor.email : event.actor;
+  const changes = (event.changes || [])
+    .map(c => `${c.field}: ${JSON.stringify(c.from)} -> ${JSON.stringify(c.to)}`)
+    .join('; ');
+  return [
+    event.createdAt instanceof Date ? event.createdAt.toISOString() : event.createdAt,
+    event.action,
+    actor ? String(actor) : '',
+    event.actorRole,
+    event.target?.type,
+    event.target?.id ? String(event.target.id) : '',
+    event.target?.label,
+    changes,
+    event.ip,
+    event.requestId
+  ].map(csvCell).join(',');
+};
+
+module.exports = {
+  AUDIT_ACTIONS,
+  CSV_COLUMNS,
+  diff,
+  record,
+  buildAuditFilter,
+  toCsvRow,
+  escapeRegex
+};
@@ -0,0 +1,244 @@
+const Booking = require('../models/Booking');
+const ParkingLot = require('../models/ParkingLot');
+const Pass = require('../models/Pass');
+const WaitlistEntry = require('../models/WaitlistEntry');
+
+// Booking statuses that hold a spot for their [startTime, endTime) window
+const BLOCKING_STATUSES = ['pending', 'confirmed', 'active', 'extended'];
+
+// Slot statuses that make a slot unusable regardless of the requested window
+const OUT_OF_SERVICE_SLOT_STATUSES = ['maintenance'];
+
+const toId = (value) => (value && value._id ? value._id : value);
+
+// Find bookings at a lot whose window overlaps [startTime, endTime)
+const findOverlappingBookings = async (lotId, startTime, endTime, { excludeBookingId } = {}) => {
+  const query = {
+    parkingLot: toId(lotId),
+    status: { $in: BLOCKING_STATUSES },
+    'bookingDetails.startTime': { $lt: new Date(endTime) },
+    'bookingDetails.endTime': { $gt: new Date(startTime) }
+  };
+  if (excludeBookingId) {
+    query._id = { $ne: excludeBookingId };
+  }
+  return Booking.find(query).select('vehicle.type bookingDetails status');
+};
+
+// Highest number of bookings that are simultaneously inside [startTime, endTime)
+const peakConcurrency = (bookings, startTime, endTime) => {
+  const windowStart = new Date(startTime).getTime();
+  const windowEnd = new Date(endTime).getTime();
+  const events = [];
+  for (const b of bookings) {
+    const s = Math.max(new Date(b.bookingDetails.startTime).getTime(), windowStart);
+    const e = Math.min(new Date(b.bookingDetails.endTime).getTime(), windowEnd);
+    if (e <= s) continue;
+    events.push([s, 1], [e, -1]);
+  }
+  // Ends sort before starts at the same instant: back-to-back bookings share a spot
+  events.sort((a, b) => a[0] - b[0] || a[1] - b[1]);
+  let current = 0;
+  let peak = 0;
+  for (const [, delta] of events) {
+    current += delta;
+    if (current > peak) peak = current;
+  }
+  return peak;
+};
+
+// Active holds on other users' behalf, shaped like bookings so they count toward the window
+const holdsAsBookings = (lot, { holdId, now = new Date() } = {}) => (lot.slots || [])
+  .filter(slot => slot.hold && slot.hold.id && slot.hold.id !== holdId && new Date(slot.hold.expiresAt) > now)
+  .map(slot => ({
+    vehicle: { type: slot.type },
+    bookingDetails: {
+      startTime: slot.hold.startTime || now,
+      endTime: slot.hold.endTime || slot.hold.expiresAt,
+      spotNumber: slot.code
+    }
+  }));
+
+const overlaps = (b, startTime, endTime) => (
+  new Date(b.bookingDetails.startTime) < new Date(endTime) &&
+  new Date(b.bookingDetails.endTime) > new Date(startTime)
+);
+
+// Slots usable by a vehicle type (lots without a typed layout fall back to capacity.total).
+// Slots owned by a reserved-spot pass are never handed out to bookings.
+const slotsForVehicle = (lot, vehicleType) => (lot.slots || []).filter(
+  slot => (!vehicleType || slot.type === vehicleType) &&
+    !OUT_OF_SERVICE_SLOT_STATUSES.includes(slot.status) &&
+    !slot.passId
+);
+
+// Floating pass holders parked right now, shaped like bookings. They have no end time, so
+// they only block windows that have already started.
+const passesInsideAsBookings = async (lotId, startTime, endTime, now = new Date()) => {
+  if (new Date(startTime) > now) return [];
+  const passes = await Pass.find({
+    parkingLot: toId(lotId),
+    spotType: 'floating',
+    'presence.inside': true
+  }).select('vehicle.type');
+  return passes.map(p => ({
+    vehicle: { type: p.vehicle.type },
+    bookingDetails: { startTime, endTime }
+  }));
+};
+
+// Open waitlist offers at a lot without a slot layout, shaped like bookings so the space they
+// promise isn't booked by someone else (lots with a layout hold a slot for each offer instead).
+// `holdId` is the caller's own offer, which must not count against them.
+const offersAsBookings = async (lot, startTime, endTime, { holdId, now = new Date() } = {}) => {
+  if ((lot.slots || []).length) return [];
+  const offers = await WaitlistEntry.find({
+    parkingLot: lot._id,
+    status: 'offered',
+    'offer.expiresAt': { $gt: now },
+    startTime: { $lt: new Date(endTime) },
+    endTime: { $gt: new Date(startTime) }
+  }).select('vehicle.type startTime endTime offer.holdId');
+  return offers
+    .filter(offer => !holdId || offer.offer?.holdId !== holdId)
+    .map(offer => ({
+      vehicle: { type: offer.vehicle.type },
+      bookingDetails: { startTime: offer.startTime, endTime: offer.endTime }
+    }));
+};
+
+// Decide whether the lot has a free spot for a vehicle type in [startTime, endTime).
+// Pure helper so it can be evaluated against bookings fetched elsewhere. `holdId` is the
+// caller's own hold, which must not count against them.
+const evaluateAvailability = (lot, bookings, { vehicleType, startTime, endTime, spotNumber, holdId, now = new Date() } = {}) => {
+  const typedLayout = (lot.slots || []).length > 0;
+  const usableSlots = typedLayout ? slotsForVehicle(lot, vehicleType) : [];
+  const blocking = bookings.concat(
+    holdsAsBookings(lot, { holdId, now }).filter(h => overlaps(h, startTime, endTime))
+  );
+  const relevant = typedLayout && vehicleType
+    ? blocking.filter(b => b.vehicle?.type === vehicleType)
+    : blocking;
+
+  const totalSpots = typedLayout ? usableSlots.length : (lot.capacity?.total || 0);
+  const peak = peakConcurrency(relevant, startTime, endTime);
+  const freeSpots = Math.max(0, totalSpots - peak);
+
+  const takenCodes = new Set(
+    blocking.map(b => b.bookingDetails?.spotNumber).filter(Boolean)
+  );
+  // A physically occupied slot cannot be handed out for a window that has already begun
+  if (new Date(startTime) <= now) {
+    (lot.slots || []).filter(slot => slot.status === 'occupied').forEach(slot => takenCodes.add(slot.code));
+  }
+  const freeSlotCodes = usableSlots
+    .filter(slot => slot.code && !takenCodes.has(slot.code))
+    .map(slot => slot.code);
+
+  const result = {
+    available: freeSpots > 0,
+    totalSpots,
+    bookedSpots: peak,
+    freeSpots,
+    freeSlotCodes
+  };
+
+  if (spotNumber) {
+    const slot = (lot.slots || []).find(s => s.code === spotNumber);
+    let reason = null;
+    if (!slot) reason = 'Requested slot not found';
+    else if (OUT_OF_SERVICE_SLOT_STATUSES.includes(slot.status)) reason = 'Requested slot is under maintenance';
+    else if (slot.passId) reason = 'Requested slot is reserved for a pass holder';
+    else if (vehicleType && slot.type !== vehicleType) reason = `Requested slot is for ${slot.type} only`;
+    else if (takenCodes.has(spotNumber)) reason = 'Requested slot is already booked for this time';
+    result.slotAvailable = !reason;
+    if (reason) {
+      result.available = false;
+      result.reason = reason;
+    }
+  }
+
+  if (!result.available && !result.reason) {
+    result.reason = 'No parking spots available for the selected time';
+  }
+  return result;
+};
+
+// Check availability for a lot document (or id) against the bookings stored in Mongo
+const checkAvailability = async (lotOrId, { vehicleType, startTime, endTime, spotNumber, excludeBookingId, holdId } = {}) => {
+  const lot = lotOrId && lotOrId.slots !== undefined
+    ? lotOrId
+    : await ParkingLot.findById(lotOrId).select('capacity slots vehicleTypes');
+  if (!lot) {
+    return { available: false, reason: 'Parking lot not found', totalSpots: 0, bookedSpots: 0, freeSpots: 0, freeSlotCodes: [] };
+  }
+  const bookings = (await findOverlappingBookings(lot._id, startTime, endTime, { excludeBookingId }))
+    .concat(await passesInsideAsBookings(lot._id, startTime, endTime))
+    .concat(await offersAsBookings(lot, startTime, endTime, { holdId }));
+  return evaluateAvailability(lot, bookings, { vehicleType, startTime, endTime, spotNumber, holdId });
+};
+
+// checkAvailability for many lots at once (search results): one bookings query and one
+// passes query instead of two per lot. Returns Map(lotId -> result).
+const checkAvailabilityForLots = async (lots, { vehicleType, startTime, endTime, now = new Date() } = {}) => {
+  const ids = lots.map(lot => lot._id);
+  const [bookings, passes] = await Promise.all([
+    Booking.find({
+      parkingLot: { $in: ids },
+      status: { $in: BLOCKING_STATUSES },
+      'bookingDetails.startTime': { $lt: new Date(endTime) },
+      'bookingDetails.endTime': { $gt: new Date(startTime) }
+    }).select('parkingLot vehicle.type bookingDetails status'),
+    new Date(startTime) > now
+      ? []
+      : Pass.find({ parkingLot: { $in: ids }, spotType: 'floating', 'presence.inside': true }).select('parkingLot vehicle.type')
+  ]);
+  const byLot = new Map(ids.map(id => [String(id), []]));
+  bookings.forEach(b => byLot.get(String(b.parkingLot))?.push(b));
+  passes.forEach(p => byLot.get(String(p.parkingLot))?.push({
+    vehicle: { type: p.vehicle.type },
+    bookingDetails: { startTime, endTime }
+  }));
+  return new Map(lots.map(lot => [
+    String(lot._id),
+    evaluateAvailability(lot, byLot.get(String(lot._id)), { vehicleType, startTime, endTime, now })
+  ]));
+};
+
+// Recompute the "right now" counters on the lot from bookings that cover the present.
+// Future bookings no longer consume capacity.available until their window starts.
+const syncLiveCapacity = async (lotId) => {
+  const lot = await ParkingLot.findById(toId(lotId)).select('capacity');
+  if (!lot) return null;
+  const now = new Date();
+  const bookingsInUse = await Booking.countDocuments({
+    parkingLot: lot._id,
+    status: { $in: BLOCKING_STATUSES },
+    'bookingDetails.startTime': { $lte: now },
+    'bookingDetails.endTime': { $gt: now }
+  });
+  const passesInside = await Pass.countDocuments({ parkingLot: lot._id, 'presence.inside': true });
+  const inUse = bookingsInUse + passesInside;
+  const total = lot.capacity.total || 0;
+  const available = Math.max(0, total - inUse);
+  const occupancyRate = total > 0 ? Math.min(100, (inUse / total) * 100) : 0;
+  await ParkingLot.updateOne({ _id: lot._id }, {
+    $set: {
+      'capacity.available': available,
+      'capacity.reserved': Math.min(total, inUse),
+      'liveStatus.occupancyRate': occupancyRate,
+      'liveStatus.lastUpdated': now
+    }
+  });
+  return { available, reserved: Math.min(total, inUse), occupancyRate };
+};
+
+module.exports = {
+  BLOCKING_STATUSES,
+  findOverlappingBookings,
+  peakConcurrency,
+  evaluateAvailability,
+  checkAvailability,
+  checkAvailabilityForLots,
+  syncLiveCapacity
+};
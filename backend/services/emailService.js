@@ -131,9 +131,33 @@ const sendPasswordResetEmail = async (userEmail, resetToken) => {
   });
 };
 
+// Lot verification decision
+const sendLotVerificationEmail = async (ownerEmail, lot, { approved, reason }) => {
+  const html = `
+    <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+      <h2 style="color: ${approved ? '#2e7d32' : '#d32f2f'};">${approved ? 'Parking Lot Verified' : 'Verification Not Approved'}</h2>
+      <p>${approved
+        ? `Your parking lot <strong>${lot.name}</strong> has been verified and now shows as verified to customers.`
+        : `We could not verify your parking lot <strong>${lot.name}</strong>.`}</p>
+      ${!approved && reason ? `<p><strong>Reason:</strong> ${reason}</p><p>Please upload updated documents and submit again.</p>` : ''}
+      <p><strong>The ParkPlaza Team</strong></p>
+    </div>
+  `;
+
+  return sendEmail({
+    to: ownerEmail,
+    subject: `${approved ? 'Verified' : 'Verification update'}: ${lot.name} - ParkPlaza`,
+    html,
+    text: approved
+      ? `Your parking lot ${lot.name} has been verified.`
+      : `Your parking lot ${lot.name} was not verified.${reason ? ` Reason: ${reason}` : ''}`
+  });
+};
+
 module.exports = {
   sendEmail,
   sendWelcomeEmail,
   sendBookingConfirmation,
-  sendPasswordResetEmail
+  sendPasswordResetEmail,
+  sendLotVerificationEmail
 };
\ No newline at end of file
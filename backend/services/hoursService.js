@@ -0,0 +1,180 @@
+const { localTime, toMinutes } = require('./pricingService');
+
+// Lot opening hours in the lot's own timezone. A lot has a weekly schedule
+// (operatingHours.<weekday> = { open, close } or { is24Hours }) and dated exceptions
+// (hoursExceptions: closures and special hours for one local date). A window whose close
+// is not after its open runs past midnight and belongs to the day it opened, so a Friday
+// 22:00-02:00 window covers early Saturday even when Saturday itself is closed.
+// Lots that never set weekly hours are open around the clock unless an exception says otherwise.
+
+const DEFAULT_TIMEZONE = process.env.PRICING_TIMEZONE || 'Asia/Kolkata';
+const MINUTE_MS = 60 * 1000;
+const DAY_MINUTES = 24 * 60;
+const DAY_NAMES = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+// Longest stretch isOpenBetween walks through; longer stays are refused as not open
+const MAX_SPAN_DAYS = 400;
+
+const isTimeZone = (value) => {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: value });
+    return true;
+  } catch (e) {
+    return false;
+  }
+};
+
+const plain = (value) => (value && typeof value.toObject === 'function' ? value.toObject() : value);
+
+const timezoneOf = (lot) => (lot?.timezone && isTimeZone(lot.timezone) ? lot.timezone : DEFAULT_TIMEZONE);
+
+// 'YYYY-MM-DD' shifted by whole days
+const shiftDate = (date, days) => new Date(Date.parse(`${date}T00:00:00Z`) + days * DAY_MINUTES * MINUTE_MS)
+  .toISOString()
+  .slice(0, 10);
+
+const formatMinutes = (minutes) => `${String(Math.floor(minutes / 60) % 24).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+
+// The instant a local wall-clock time happens (minutes may run past 24:00 into the next day).
+// A time repeated when clocks go back is its first occurrence; a time skipped when they go
+// forward moves later by the length of the gap.
+const zonedInstant = (date, minutes, timeZone) => {
+  const wall = Date.parse(`${date}T00:00:00Z`) + minutes * MINUTE_MS;
+  const wallAt = (t) => {
+    const local = localTime(new Date(t), timeZone);
+    return Date.parse(`${local.date}T00:00:00Z`) + local.minutes * MINUTE_MS;
+  };
+  const first = wall - (wallAt(wall) - wall);
+  if (wallAt(first) === wall) return new Date(first);
+  const second = wall - (wallAt(first) - first);
+  return new Date(wallAt(second) === wall ? second : Math.max(first, second));
+};
+
+const hasWeeklyHours = (lot) => {
+  const hours = plain(lot?.operatingHours) || {};
+  return DAY_NAMES.some(day => hours[day]?.is24Hours || (hours[day]?.open && hours[day]?.close));
+};
+
+const exceptionOn = (lot, date) => (lot?.hoursExceptions || []).find(e => e.date === date) || null;
+
+// What applies on one local date: { date, source: 'weekly'|'exception'|'default', closed,
+// is24Hours, open, close, note }
+const scheduleFor = (lot, date) => {
+  const exception = exceptionOn(lot, date);
+  if (exception) {
+    return {
+      date,
+      source: 'exception',
+      closed: Boolean(exception.closed),
+      is24Hours: !exception.closed && Boolean(exception.is24Hours),
+      open: exception.closed || exception.is24Hours ? null : exception.open,
+      close: exception.closed || exception.is24Hours ? null : exception.close,
+      note: exception.note || null
+    };
+  }
+  if (!hasWeeklyHours(lot)) {
+    return { date, source: 'default', closed: false, is24Hours: true, open: null, close: null, note: null };
+  }
+  const day = plain(lot.operatingHours)[DAY_NAMES[new Date(`${date}T00:00:00Z`).getUTCDay()]] || {};
+  const open = toMinutes(day.open);
+  const close = toMinutes(day.close);
+  const closed = !day.is24Hours && (open === undefined || close === undefined || open === close);
+  return {
+    date,
+    source: 'weekly',
+    closed,
+    is24Hours: Boolean(day.is24Hours),
+    open: closed || day.is24Hours ? null : day.open,
+    close: closed || day.is24Hours ? null : day.close,
+    note: null
+  };
+};
+
+// Open stretch of one local date as [from, to) minutes after its midnight; `to` passes
+// 1440 for overnight windows. null when closed.
+const windowOf = (schedule) => {
+  if (schedule.closed) return null;
+  if (schedule.is24Hours) return [0, DAY_MINUTES];
+  const open = toMinutes(schedule.open);
+  const close = toMinutes(schedule.close);
+  return [open, close > open ? close : close + DAY_MINUTES];
+};
+
+const isOpenAt = (lot, at = new Date()) => {
+  const local = localTime(new Date(at), timezoneOf(lot));
+  const today = windowOf(scheduleFor(lot, local.date));
+  if (today && local.minutes >= today[0] && local.minutes < today[1]) return true;
+  const yesterday = windowOf(scheduleFor(lot, shiftDate(local.date, -1)));
+  return Boolean(yesterday && local.minutes + DAY_MINUTES < yesterday[1]);
+};
+
+// Instants between `from` and `to` where the lot may open or close, in order
+const changesBetween = (lot, from, to) => {
+  const timeZone = timezoneOf(lot);
+  const first = shiftDate(localTime(from, timeZone).date, -1);
+  const last = localTime(to, timeZone).date;
+  const changes = [];
+  for (let date = first, i = 0; date <= last && i <= MAX_SPAN_DAYS; date = shiftDate(date, 1), i += 1) {
+    const window = windowOf(scheduleFor(lot, date));
+    if (!window) continue;
+    window.forEach(minutes => {
+      const at = zonedInstant(date, minutes, timeZone);
+      if (at > from && at < to) changes.push(at);
+    });
+  }
+  return changes.sort((a, b) => a - b);
+};
+
+// First moment in [start, end) the lot is closed, or null when it is open throughout
+const firstClosure = (lot, start, end) => {
+  const from = new Date(start);
+  const to = new Date(end);
+  if (to - from > MAX_SPAN_DAYS * DAY_MINUTES * MINUTE_MS) return from;
+  if (!isOpenAt(lot, from)) return from;
+  return changesBetween(lot, from, to).find(at => !isOpenAt(lot, at)) || null;
+};
+
+const isOpenBetween = (lot, start, end) => !firstClosure(lot, start, end);
+
+// Booking-facing reason the lot can't take [start, end), or null
+const closureReason = (lot, start, end) => {
+  const closedAt = firstClosure(lot, start, end);
+  if (!closedAt) return null;
+  const local = localTime(closedAt, timezoneOf(lot));
+  const { note, source } = scheduleFor(lot, local.date);
+  const why = source === 'exception' && note ? ` (${note})` : '';
+  return `The parking lot is closed at ${formatMinutes(local.minutes)} on ${local.date}${why}`;
+};
+
+// Next instant within a week the lot opens or closes after `now`, or null
+const nextChange = (lot, now = new Date()) => {
+  const open = isOpenAt(lot, now);
+  const horizon = new Date(now.getTime() + 7 * DAY_MINUTES * MINUTE_MS);
+  return changesBetween(lot, now, horizon).find(at => isOpenAt(lot, at) !== open) || null;
+};
+
+// Summary for listings and search: open now, today's hours and when that next changes
+const describeHours = (lot, now = new Date()) => {
+  const timezone = timezoneOf(lot);
+  const today = scheduleFor(lot, localTime(now, timezone).date);
+  const openNow = isOpenAt(lot, now);
+  const change = nextChange(lot, now);
+  return {
+    timezone,
+    openNow,
+    today: { closed: today.closed, is24Hours: today.is24Hours, open: today.open, close: today.close, note: today.note },
+    [openNow ? 'closesAt' : 'opensAt']: change
+  };
+};
+
+module.exports = {
+  DAY_NAMES,
+  isTimeZone,
+  timezoneOf,
+  zonedInstant,
+  scheduleFor,
+  isOpenAt,
+  isOpenBetween,
+  firstClosure,
+  closureReason,
+  describeHours
+};
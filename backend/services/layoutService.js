@@ -0,0 +1,248 @@
+// Slot layout geometry. Positions are in the same arbitrary units the 3D viewer uses: `x`
+// across a level, `z` into it and `y` the level's height. A slot's position is its centre.
+
+const VEHICLE_TYPES = ['car', 'bike', 'truck', 'van', 'bicycle'];
+const FIXTURE_KINDS = ['ramp', 'entrance', 'exit', 'lane', 'pillar', 'elevator', 'stairs'];
+const ROTATIONS = [0, 90, 180, 270];
+
+// Width (x) and depth (z) of an unrotated slot of each type
+const SLOT_FOOTPRINTS = {
+  car: { width: 2, depth: 4 },
+  van: { width: 2.5, depth: 5 },
+  truck: { width: 3, depth: 8 },
+  bike: { width: 1, depth: 2 },
+  bicycle: { width: 1, depth: 2 }
+};
+
+const LEVEL_HEIGHT = 5;
+const MAX_LEVELS = 10;
+const MAX_SLOTS = 2000;
+// Drive aisle left between each back-to-back pair of generated rows
+const AISLE_DEPTH = 6;
+const ROW_WIDTH = 20;
+const EPSILON = 1e-6;
+
+const pad = (n) => String(n).padStart(2, '0');
+
+const footprintOf = (slot) => {
+  const base = SLOT_FOOTPRINTS[slot.type] || SLOT_FOOTPRINTS.car;
+  return [90, 270].includes(slot.rotation) ? { width: base.depth, depth: base.width } : base;
+};
+
+// Axis-aligned box of anything placed on a level (slot or fixture)
+const boxOf = (item) => {
+  const { width, depth } = item.size || footprintOf(item);
+  return {
+    minX: item.position.x - width / 2,
+    maxX: item.position.x + width / 2,
+    minZ: item.position.z - depth / 2,
+    maxZ: item.position.z + depth / 2
+  };
+};
+
+// Touching edges are fine; sharing any area is not
+const boxesOverlap = (a, b) => a.minX < b.maxX - EPSILON && b.minX < a.maxX - EPSILON
+  && a.minZ < b.maxZ - EPSILON && b.minZ < a.maxZ - EPSILON;
+
+const isPlaced = (item) => item && item.position
+  && Number.isFinite(item.position.x) && Number.isFinite(item.position.z);
+
+// Pairs of overlapping slots on the same level, plus slots that sit on a fixture (ramps, lanes…)
+const findOverlaps = (slots, fixtures = []) => {
+  const byLevel = new Map();
+  slots.filter(isPlaced).forEach(slot => {
+    const level = slot.level || 1;
+    if (!byLevel.has(level)) byLevel.set(level, []);
+    byLevel.get(level).push({ code: slot.code, box: boxOf(slot) });
+  });
+
+  const overlaps = [];
+  byLevel.forEach(placed => {
+    // Sweep along x so only neighbours are compared
+    placed.sort((a, b) => a.box.minX - b.box.minX);
+    for (let i = 0; i < placed.length; i++) {
+      for (let j = i + 1; j < placed.length && placed[j].box.minX < placed[i].box.maxX - EPSILON; j++) {
+        if (boxesOverlap(placed[i].box, placed[j].box)) overlaps.push([placed[i].code, placed[j].code]);
+      }
+    }
+  });
+
+  fixtures.filter(isPlaced).forEach(fixture => {
+    const box = boxOf(fixture);
+    (byLevel.get(fixture.level || 1) || []).forEach(slot => {
+      if (boxesOverlap(slot.box, box)) overlaps.push([slot.code, fixture.label || fixture.kind]);
+    });
+  });
+  return overlaps;
+};
+
+// Structural checks for a whole layout. Returns a list of messages; empty means valid.
+const validateLayout = (slots, { fixtures = [], levels = [] } = {}) => {
+  const errors = [];
+  if (slots.length > MAX_SLOTS) errors.push(`A lot can have at most ${MAX_SLOTS} slots`);
+
+  const codes = new Set();
+  slots.forEach((slot, i) => {
+    const code = typeof slot.code === 'string' ? slot.code.trim() : '';
+    if (!code || code.length > 30) errors.push(`Slot ${i + 1}: code is required (max 30 characters)`);
+    else if (codes.has(code)) errors.push(`Duplicate slot code ${code}`);
+    codes.add(code);
+    if (!VEHICLE_TYPES.includes(slot.type)) errors.push(`Slot ${code}: invalid vehicle type`);
+    if (!(Number.isInteger(slot.level) && slot.level >= 1 && slot.level <= MAX_LEVELS)) {
+      errors.push(`Slot ${code}: level must be a whole number from 1 to ${MAX_LEVELS}`);
+    }
+    if (slot.rotation !== undefined && !ROTATIONS.includes(slot.rotation)) errors.push(`Slot ${code}: rotation must be 0, 90, 180 or 270`);
+    // Slots without a position are allowed (they just are not drawn); a partial one is not
+    if (slot.position && ['x', 'z'].some(axis => slot.position[axis] !== undefined) && !isPlaced(slot)) {
+      errors.push(`Slot ${code}: position needs numeric x and z`);
+    }
+  });
+
+  fixtures.forEach((fixture, i) => {
+    const name = fixture.label || `Fixture ${i + 1}`;
+    if (!FIXTURE_KINDS.includes(fixture.kind)) errors.push(`${name}: kind must be one of ${FIXTURE_KINDS.join(', ')}`);
+    if (!(Number.isInteger(fixture.level) && fixture.level >= 1 && fixture.level <= MAX_LEVELS)) errors.push(`${name}: invalid level`);
+    if (!isPlaced(fixture)) errors.push(`${name}: position needs numeric x and z`);
+    if (!(fixture.size?.width > 0 && fixture.size?.depth > 0)) errors.push(`${name}: size needs a positive width and depth`);
+    if (fixture.kind === 'ramp' && !(Number.isInteger(fixture.toLevel) && fixture.toLevel !== fixture.level)) {
+      errors.push(`${name}: a ramp must lead to another level`);
+    }
+  });
+
+  const levelNumbers = new Set();
+  levels.forEach(level => {
+    if (!(Number.isInteger(level.number) && level.number >= 1 && level.number <= MAX_LEVELS)) errors.push(`Level ${level.number}: invalid number`);
+    else if (levelNumbers.has(level.number)) errors.push(`Level ${level.number} is listed twice`);
+    levelNumbers.add(level.number);
+  });
+
+  if (!errors.length) {
+    findOverlaps(slots, fixtures).slice(0, 10).forEach(([a, b]) => errors.push(`${a} overlaps ${b}`));
+  }
+  return errors;
+};
+
+// Slots for a level plan: `plan` is one array of rows per level, each row `{ type, cols }`.
+// Rows run along x; every second row is followed by a drive aisle.
+const slotsFromPlan = (plan, { origin = { x: 0, z: 0 } } = {}) => {
+  const slots = [];
+  plan.forEach((rows, l) => {
+    const level = l + 1;
+    let z = origin.z;
+    rows.forEach((row, r) => {
+      const { width, depth } = SLOT_FOOTPRINTS[row.type] || SLOT_FOOTPRINTS.car;
+      for (let c = 1; c <= row.cols; c++) {
+        slots.push({
+          code: `L${level}-R${pad(r + 1)}-C${pad(c)}`,
+          type: row.type,
+          level,
+          status: 'available',
+          position: { x: origin.x + (c - 0.5) * width, y: (level - 1) * LEVEL_HEIGHT, z: z + depth / 2 }
+        });
+      }
+      z += depth + (r % 2 === 1 ? AISLE_DEPTH : 0);
+    });
+  });
+  return slots;
+};
+
+// A starting layout sized to the lot: car rows of twenty, a bike row when bikes are accepted,
+// and further levels once one gets too deep
+const planForCapacity = (total, vehicleTypes = ['car'], { rowsPerLevel = 10 } = {}) => {
+  const capped = Math.max(1, Math.min(MAX_SLOTS, Math.floor(total) || 1));
+  const bikes = vehicleTypes.includes('bike') && capped >= 20 ? Math.min(2 * ROW_WIDTH, Math.floor(capped / 10)) : 0;
+  const mainType = vehicleTypes.includes('car') || !vehicleTypes.length ? 'car' : vehicleTypes[0];
+
+  const rows = [];
+  for (let left = capped - bikes; left > 0; left -= ROW_WIDTH) rows.push({ type: mainType, cols: Math.min(ROW_WIDTH, left) });
+  for (let left = bikes; left > 0; left -= ROW_WIDTH) rows.push({ type: 'bike', cols: Math.min(ROW_WIDTH, left) });
+
+  const plan = [];
+  for (let i = 0; i < rows.length && plan.length < MAX_LEVELS; i += rowsPerLevel) plan.push(rows.slice(i, i + rowsPerLevel));
+  return plan;
+};
+
+const normalise = (slot) => ({
+  ...slot,
+  code: String(slot.code).trim(),
+  type: slot.type || 'car',
+  level: slot.level ?? 1,
+  position: slot.position
+    ? { x: slot.position.x, y: ((slot.level ?? 1) - 1) * LEVEL_HEIGHT, z: slot.position.z }
+    : slot.position
+});
+
+// Apply a bulk edit to a layout without touching the database:
+//   delete: [code]                        — remove slots
+//   retype: [{ code, type }]              — change vehicle type
+//   move:   [{ code, level?, position?, rotation? }]
+//   create: [{ code, type, level, position, rotation?, status? }]
+// Returns { slots, errors, summary } where summary lists the codes each operation touched.
+const applyLayoutChanges = (current, changes = {}) => {
+  const slots = new Map(current.map(s => [s.code, { ...s }]));
+  const errors = [];
+  const summary = { deleted: [], retyped: [], moved: [], created: [] };
+  const find = (code, op) => {
+    const slot = slots.get(code);
+    if (!slot) errors.push(`${op}: slot ${code} does not exist`);
+    return slot;
+  };
+
+  (changes.delete || []).forEach(code => {
+    if (find(code, 'delete')) {
+      slots.delete(code);
+      summary.deleted.push(code);
+    }
+  });
+
+  (changes.retype || []).forEach(({ code, type }) => {
+    const slot = find(code, 'retype');
+    if (!slot) return;
+    if (slot.type !== type) summary.retyped.push(code);
+    slot.type = type;
+  });
+
+  (changes.move || []).forEach(({ code, level, position, rotation }) => {
+    const slot = find(code, 'move');
+    if (!slot) return;
+    if (level !== undefined) slot.level = level;
+    if (rotation !== undefined) slot.rotation = rotation;
+    if (position) slot.position = { ...slot.position, ...position };
+    Object.assign(slot, normalise(slot));
+    summary.moved.push(code);
+  });
+
+  (changes.create || []).forEach(slot => {
+    const code = String(slot.code || '').trim();
+    if (slots.has(code)) {
+      errors.push(`create: slot ${code} already exists`);
+      return;
+    }
+    slots.set(code, normalise({
+      code,
+      type: slot.type,
+      level: slot.level,
+      position: slot.position,
+      rotation: slot.rotation,
+      status: slot.status === 'maintenance' ? 'maintenance' : 'available'
+    }));
+    summary.created.push(code);
+  });
+
+  return { slots: [...slots.values()], errors, summary };
+};
+
+module.exports = {
+  FIXTURE_KINDS,
+  ROTATIONS,
+  SLOT_FOOTPRINTS,
+  LEVEL_HEIGHT,
+  MAX_LEVELS,
+  MAX_SLOTS,
+  footprintOf,
+  findOverlaps,
+  validateLayout,
+  slotsFromPlan,
+  planForCapacity,
+  applyLayoutChanges
+};
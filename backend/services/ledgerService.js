@@ -0,0 +1,298 @@
+const Transaction = require('../models/Transaction');
+const { TAX_RATE } = require('./pricingService');
+
+const DEBIT_TYPES = ['charge', 'extension', 'overtime', 'service'];
+// Entry types whose base counts toward pricing.basePrice (services go to serviceFees)
+const PARKING_TYPES = ['charge', 'extension', 'overtime'];
+// Payment states in which the booking's up-front charges were captured
+const PAID_STATUSES = ['completed', 'refunded'];
+
+const toId = (value) => (value && value._id ? value._id : value);
+const money = (value) => Math.round((Number(value) || 0) * 100) / 100;
+
+// Gateway recorded on entries: the payment method when it names a gateway or tender
+const gatewayOf = (booking) => booking.payment?.method || null;
+
+// Taxed line: base + tax at TAX_RATE
+const taxed = (base) => {
+  const b = money(base);
+  const taxes = money(b * TAX_RATE);
+  return { base: b, taxes, amount: money(b + taxes) };
+};
+
+// Append an entry for a booking. Re-posting with the same idempotencyKey returns the
+// existing entry instead of double-counting.
+const postEntry = async (booking, { type, base = 0, taxes = 0, discount = 0, amount, status = 'posted', gateway, gatewayRef, description, service, owner, createdBy, idempotencyKey, metadata }) => {
+  const doc = {
+    booking: booking._id,
+    user: toId(booking.user),
+    parkingLot: toId(booking.parkingLot),
+    owner: owner || booking.parkingLot?.owner || undefined,
+    type,
+    status,
+    base: money(base),
+    taxes: money(taxes),
+    discount: money(discount),
+    amount: money(amount !== undefined ? amount : base + taxes - discount),
+    currency: booking.pricing?.currency || 'INR',
+    gateway: gateway !== undefined ? gateway : gatewayOf(booking),
+    gatewayRef: gatewayRef || undefined,
+    description,
+    service,
+    createdBy,
+    idempotencyKey,
+    metadata
+  };
+  try {
+    return await Transaction.create(doc);
+  } catch (error) {
+    if (error.code === 11000 && idempotencyKey) {
+      return Transaction.findOne({ idempotencyKey });
+    }
+    throw error;
+  }
+};
+
+// Opening entries for a new booking: parking time plus one entry per add-on service
+const postBookingCharges = async (booking, { owner, createdBy } = {}) => {
+  const entries = [];
+  const parking = taxed(booking.pricing.basePrice);
+  entries.push(await postEntry(booking, {
+    type: 'charge',
+    ...parking,
+    discount: money(booking.pricing.discounts),
+    amount: money(parking.amount - money(booking.pricing.discounts)),
+    gatewayRef: booking.payment?.paymentId || booking.payment?.orderId || booking.payment?.transactionId,
+    description: 'Parking booking',
+    owner,
+    createdBy,
+    idempotencyKey: `charge:${booking._id}`
+  }));
+  for (const [index, item] of (booking.services || []).entries()) {
+    entries.push(await postEntry(booking, {
+      type: 'service',
+      ...taxed((item.price || 0) * (item.quantity || 1)),
+      service: item.serviceId,
+      description: item.name ? `Service: ${item.name}` : 'Service add-on',
+      owner,
+      createdBy,
+      idempotencyKey: `service:${booking._id}:${index}`
+    }));
+  }
+  return entries;
+};
+
+// Bookings written before the ledger existed get an opening entry reconstructed from
+// their stored pricing so derived totals match what the customer was quoted
+const ensureOpeningEntries = async (booking) => {
+  const count = await Transaction.countDocuments({ booking: booking._id });
+  if (count > 0) return false;
+  const { basePrice = 0, serviceFees = 0, taxes = 0, discounts = 0, totalAmount = 0 } = booking.pricing || {};
+  await postEntry(booking, {
+    type: 'charge',
+    base: basePrice,
+    taxes,
+    discount: discounts,
+    amount: Math.max(0, totalAmount - serviceFees),
+    description: 'Opening balance (pre-ledger booking)',
+    idempotencyKey: `charge:${booking._id}`
+  });
+  if (serviceFees > 0) {
+    await postEntry(booking, {
+      type: 'service',
+      base: serviceFees,
+      amount: serviceFees,
+      description: 'Opening service add-ons (pre-ledger booking)',
+      idempotencyKey: `service:${booking._id}:opening`
+    });
+  }
+  if (booking.payment?.status === 'refunded' && booking.payment.refundAmount > 0) {
+    await postEntry(booking, {
+      type: 'refund',
+      amount: booking.payment.refundAmount,
+      description: 'Opening refund (pre-ledger booking)',
+      idempotencyKey: `refund:opening:${booking._id}`
+    });
+  }
+  return true;
+};
+
+// Adjustments below first make sure a pre-ledger booking has its opening entries, so the
+// adjustment lands on top of what was originally charged
+const postExtension = async (booking, { hours, base, createdBy }) => {
+  await ensureOpeningEntries(booking);
+  return postEntry(booking, {
+    type: 'extension',
+    ...taxed(base),
+    description: `Extension: ${hours} hour(s)`,
+    createdBy,
+    metadata: { hours, newEndTime: booking.bookingDetails?.endTime }
+  });
+};
+
+// An add-on ordered after booking, charged once the work is done. Keyed by the order so a
+// repeated completion posts once.
+const postServiceOrderCharge = async (booking, { orderId, base, service, description, owner, createdBy }) => {
+  await ensureOpeningEntries(booking);
+  return postEntry(booking, {
+    type: 'service',
+    ...taxed(base),
+    service,
+    description,
+    owner,
+    createdBy,
+    idempotencyKey: `service-order:${orderId}`,
+    metadata: { serviceOrder: orderId }
+  });
+};
+
+const postOvertime = async (booking, { hours, base, createdBy }) => {
+  await ensureOpeningEntries(booking);
+  return postEntry(booking, {
+    type: 'overtime',
+    ...taxed(base),
+    description: `Overtime: ${hours} hour(s)`,
+    createdBy,
+    idempotencyKey: `overtime:${booking._id}`,
+    metadata: { hours }
+  });
+};
+
+// Money captured for a booking. Refunds can only give back what was captured; charges posted
+// later (extensions, overtime, add-ons) stay due until a payment covers them.
+const postPayment = async (booking, { amount, gatewayRef, description, createdBy, idempotencyKey }) => postEntry(booking, {
+  type: 'payment',
+  amount,
+  gatewayRef,
+  description: description || 'Payment',
+  createdBy,
+  idempotencyKey
+});
+
+// Charges a booking is paid for up front: the parking charge and the add-ons chosen with it
+const isOpeningDebit = (entry) => entry.type === 'charge' || (entry.type === 'service' && !entry.metadata?.serviceOrder);
+
+// Once the booking's payment has gone through, record it against the opening charges. Keyed
+// per booking, so it posts once (older bookings get it the first time their totals are derived).
+const ensureOpeningPayment = async (booking, entries) => {
+  if (!PAID_STATUSES.includes(booking.payment?.status)) return false;
+  if (entries.some(e => e.type === 'payment')) return false;
+  const amount = money(entries
+    .filter(e => e.status !== 'failed' && isOpeningDebit(e))
+    .reduce((sum, e) => sum + e.amount, 0));
+  if (amount <= 0) return false;
+  await postPayment(booking, {
+    amount,
+    gatewayRef: booking.payment.paymentId || booking.payment.orderId || booking.payment.transactionId,
+    description: 'Booking payment',
+    idempotencyKey: `payment:${booking._id}:opening`
+  });
+  return true;
+};
+
+// Refunds are recorded even when the gateway call failed (status 'failed') so there is a
+// trail of the attempt; failed entries don't count toward totals.
+const postRefund = async (booking, { amount, gateway, gatewayRef, failed = false, reason, createdBy, idempotencyKey }) => {
+  await ensureOpeningEntries(booking);
+  return postEntry(booking, {
+    type: 'refund',
+    amount,
+    status: failed ? 'failed' : 'posted',
+    gateway,
+    gatewayRef,
+    description: reason || 'Refund',
+    createdBy,
+    idempotencyKey: idempotencyKey || (gatewayRef && gateway ? `refund:${gateway}:${gatewayRef}` : undefined)
+  });
+};
+
+// One billing period of a pass. Keyed by pass and period start so a webhook and a manual
+// renewal for the same period post once.
+const postPassCharge = async (pass, { owner, gateway, gatewayRef, createdBy } = {}) => {
+  const doc = {
+    pass: pass._id,
+    user: toId(pass.user),
+    parkingLot: toId(pass.parkingLot),
+    owner: owner || pass.parkingLot?.owner || undefined,
+    type: 'pass',
+    base: money(pass.price.amount),
+    taxes: money(pass.price.taxes),
+    amount: money(pass.price.total),
+    currency: pass.price.currency || 'INR',
+    gateway: gateway || pass.billing?.gateway || null,
+    gatewayRef: gatewayRef || undefined,
+    description: `${pass.plan === 'weekly' ? 'Weekly' : 'Monthly'} pass`,
+    createdBy,
+    idempotencyKey: `pass:${pass._id}:${new Date(pass.currentPeriod.start).toISOString()}`,
+    metadata: { periodStart: pass.currentPeriod.start, periodEnd: pass.currentPeriod.end }
+  };
+  try {
+    return await Transaction.create(doc);
+  } catch (error) {
+    if (error.code === 11000) return Transaction.findOne({ idempotencyKey: doc.idempotencyKey });
+    throw error;
+  }
+};
+
+// Fold ledger entries into booking-shaped totals
+const summarise = (entries) => {
+  const totals = { basePrice: 0, serviceFees: 0, taxes: 0, discounts: 0, totalAmount: 0, paid: 0, due: 0, refunded: 0, net: 0 };
+  for (const entry of entries) {
+    if (entry.status === 'failed') continue;
+    if (entry.type === 'refund') {
+      totals.refunded += entry.amount;
+      continue;
+    }
+    if (entry.type === 'payment') {
+      totals.paid += entry.amount;
+      continue;
+    }
+    if (!DEBIT_TYPES.includes(entry.type)) continue;
+    if (PARKING_TYPES.includes(entry.type)) totals.basePrice += entry.base;
+    else totals.serviceFees += entry.base;
+    totals.taxes += entry.taxes;
+    totals.discounts += entry.discount || 0;
+    totals.totalAmount += entry.amount;
+  }
+  Object.keys(totals).forEach(key => { totals[key] = money(totals[key]); });
+  totals.due = money(Math.max(0, totals.totalAmount - totals.paid));
+  totals.net = money(totals.totalAmount - totals.refunded);
+  return totals;
+};
+
+const listEntries = (bookingId) => Transaction.find({ booking: toId(bookingId) }).sort({ createdAt: 1 });
+
+// Copy ledger totals onto the booking (caller saves). Returns the summary.
+const applyLedgerTotals = async (booking) => {
+  await ensureOpeningEntries(booking);
+  let entries = await listEntries(booking._id);
+  if (await ensureOpeningPayment(booking, entries)) entries = await listEntries(booking._id);
+  const totals = summarise(entries);
+  booking.pricing.basePrice = totals.basePrice;
+  booking.pricing.serviceFees = totals.serviceFees;
+  booking.pricing.taxes = totals.taxes;
+  booking.pricing.discounts = totals.discounts;
+  booking.pricing.totalAmount = totals.totalAmount;
+  booking.payment.amountPaid = totals.paid;
+  booking.payment.amountDue = totals.due;
+  if (totals.refunded > 0) booking.payment.refundAmount = totals.refunded;
+  return totals;
+};
+
+module.exports = {
+  TAX_RATE,
+  money,
+  taxed,
+  postEntry,
+  postBookingCharges,
+  ensureOpeningEntries,
+  postExtension,
+  postOvertime,
+  postServiceOrderCharge,
+  postPayment,
+  postRefund,
+  postPassCharge,
+  summarise,
+  listEntries,
+  applyLedgerTotals
+};
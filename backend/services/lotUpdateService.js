@@ -0,0 +1,138 @@
+const Booking = require('../models/Booking');
+const Pass = require('../models/Pass');
+const { BLOCKING_STATUSES } = require('./availabilityService');
+
+// Paths each role may set through POST /api/parking/create and PUT/PATCH /api/parking/:id. Everything else (owner,
+// rating, revenue counters, verification, live capacity) is maintained by the system.
+const OWNER_FIELDS = [
+  'name',
+  'description',
+  'location.type',
+  'location.coordinates',
+  'location.address',
+  'location.landmarks',
+  'capacity.total',
+  'vehicleTypes',
+  'pricing',
+  'cancellationPolicy',
+  'amenities',
+  'operatingHours',
+  'timezone',
+  'status',
+  'slots'
+];
+
+const EDITABLE_FIELDS = {
+  landowner: OWNER_FIELDS,
+  admin: [...OWNER_FIELDS, 'owner']
+};
+
+// Pass states that still hold a reserved spot
+const SLOT_HOLDING_PASS_STATUSES = ['pending', 'active', 'paused', 'past_due'];
+
+const isPlainObject = (value) => value !== null
+  && typeof value === 'object'
+  && !Array.isArray(value)
+  && !(value instanceof Date);
+
+// { a: { b: 1 }, c: [..] } -> { 'a.b': 1, c: [..] }; arrays are leaves
+const flatten = (value, prefix = '', out = {}) => {
+  if (isPlainObject(value) && Object.keys(value).length) {
+    Object.entries(value).forEach(([key, v]) => flatten(v, prefix ? `${prefix}.${key}` : key, out));
+  } else if (prefix) {
+    out[prefix] = value;
+  }
+  return out;
+};
+
+const pick = (obj, path) => path.split('.').reduce((v, key) => (v == null ? undefined : v[key]), obj);
+
+// The whitelisted path a submitted leaf falls under, if any
+const editablePathFor = (leaf, allowed) => allowed.find(path => leaf === path || leaf.startsWith(`${path}.`));
+
+// Build the $set for an edit limited to the `allowed` paths. 'replace' (PUT) swaps each
+// whitelisted field that was sent for the new value; 'merge' (PATCH) only touches the leaves
+// that were sent. Returns { update } or { forbidden: [paths] } when the body reaches outside
+// the whitelist.
+const buildUpdate = (body, allowed, mode = 'merge') => {
+  const leaves = flatten(body || {});
+  const forbidden = Object.keys(leaves).filter(leaf => !editablePathFor(leaf, allowed));
+  if (forbidden.length) return { forbidden };
+
+  if (mode === 'merge') {
+    // An empty object has no leaves to merge
+    Object.keys(leaves).forEach(leaf => { if (isPlainObject(leaves[leaf])) delete leaves[leaf]; });
+    return { update: leaves };
+  }
+
+  const update = {};
+  Object.keys(leaves).forEach(leaf => {
+    const path = editablePathFor(leaf, allowed);
+    update[path] = pick(body, path);
+  });
+  return { update };
+};
+
+const buildLotUpdate = (body, role, mode = 'merge') => buildUpdate(body, EDITABLE_FIELDS[role] || [], mode);
+
+// Slot codes among `codes` that upcoming bookings or passes still use
+const slotsInUse = async (lotId, codes, now = new Date()) => {
+  if (!codes.length) return [];
+  const [booked, passHeld] = await Promise.all([
+    Booking.distinct('bookingDetails.spotNumber', {
+      parkingLot: lotId,
+      status: { $in: BLOCKING_STATUSES },
+      'bookingDetails.endTime': { $gt: now },
+      'bookingDetails.spotNumber': { $in: codes }
+    }),
+    Pass.distinct('spotNumber', {
+      parkingLot: lotId,
+      status: { $in: SLOT_HOLDING_PASS_STATUSES },
+      spotNumber: { $in: codes }
+    })
+  ]);
+  return [...new Set([...booked, ...passHeld])].sort();
+};
+
+// Merge an edited slot layout into the lot's current one. Slots keep their live state
+// (holds, pass assignments, occupied/reserved) — owners only switch between available and
+// maintenance. `blocked` lists removed or retyped slot codes that upcoming bookings or passes
+// still use, as the layout editor does.
+const planSlotUpdate = async (lot, incoming, now = new Date()) => {
+  const current = new Map((lot.slots || []).map(s => [s.code, s.toObject ? s.toObject() : s]));
+  const nextCodes = new Set(incoming.map(s => s.code));
+  const removed = [...current.keys()].filter(code => !nextCodes.has(code));
+  const retyped = incoming
+    .filter(s => current.has(s.code) && s.type && s.type !== current.get(s.code).type)
+    .map(s => s.code);
+  const blocked = await slotsInUse(lot._id, [...removed, ...retyped], now);
+
+  const slots = incoming.map(slot => {
+    const live = current.get(slot.code);
+    if (!live) return { ...slot, status: slot.status === 'maintenance' ? 'maintenance' : 'available' };
+    const runtime = ['occupied', 'reserved'].includes(live.status) ? live.status : 'available';
+    return {
+      ...live,
+      ...slot,
+      status: slot.status === 'maintenance' ? 'maintenance' : runtime,
+      hold: live.hold,
+      passId: live.passId
+    };
+  });
+
+  return {
+    slots,
+    blocked,
+    added: incoming.filter(s => !current.has(s.code)).map(s => s.code),
+    removed,
+    retyped
+  };
+};
+
+module.exports = {
+  EDITABLE_FIELDS,
+  buildUpdate,
+  buildLotUpdate,
+  slotsInUse,
+  planSlotUpdate
+};
@@ -0,0 +1,363 @@
+const mongoose = require('mongoose');
+const NotificationJob = require('../models/NotificationJob');
+const Booking = require('../models/Booking');
+const WaitlistEntry = require('../models/WaitlistEntry');
+const logger = require('../config/logger');
+const { sendEmail } = require('./emailService');
+const { checkAvailability } = require('./availabilityService');
+const { priceExtension } = require('./pricingService');
+const { taxed } = require('./ledgerService');
+const { publish } = require('./realtimeService');
+
+const minutes = (name, fallback) => parseInt(process.env[name] || String(fallback), 10) * 60 * 1000;
+
+// How long before the booking starts/ends each message goes out
+const REMINDER_LEAD_MS = minutes('NOTIFY_REMINDER_MINUTES', 60);
+const CHECKOUT_LEAD_MS = minutes('NOTIFY_CHECKOUT_MINUTES', 15);
+const EXTENSION_OFFER_LEAD_MS = minutes('NOTIFY_EXTENSION_OFFER_MINUTES', 30);
+// Length of the extension offered; the lot must have room for all of it
+const EXTENSION_OFFER_HOURS = 1;
+
+const WORKER_INTERVAL_MS = parseInt(process.env.NOTIFY_WORKER_SECONDS || '30', 10) * 1000;
+// A claimed job returns to the queue if its worker has not finished it by then
+const LOCK_MS = 2 * 60 * 1000;
+const MAX_ATTEMPTS = 5;
+const BATCH_SIZE = 50;
+const DEFAULT_TIMEZONE = process.env.PRICING_TIMEZONE || 'Asia/Kolkata';
+
+// When each job runs relative to the booking, and the booking statuses it still applies to.
+// Jobs are not withdrawn when a booking is cancelled or finishes early: the worker re-reads
+// the booking and skips them.
+const JOB_TYPES = {
+  reminder: { anchor: 'startTime', leadMs: REMINDER_LEAD_MS, statuses: ['confirmed'] },
+  'checkout-reminder': { anchor: 'endTime', leadMs: CHECKOUT_LEAD_MS, statuses: ['active', 'extended'] },
+  'extension-offer': { anchor: 'endTime', leadMs: EXTENSION_OFFER_LEAD_MS, statuses: ['active', 'extended'] }
+};
+
+// Waitlist messages go out as soon as they are queued, and only while the entry is still in
+// the state they describe
+const WAITLIST_JOB_TYPES = {
+  'waitlist-offer': { status: 'offered' },
+  'waitlist-booked': { status: 'booked' }
+};
+
+const toId = (value) => String(value?._id || value);
+
+const formatTime = (at) => new Date(at).toLocaleTimeString('en-IN', {
+  hour: '2-digit',
+  minute: '2-digit',
+  timeZone: DEFAULT_TIMEZONE
+});
+
+// Backoff between delivery retries: 1, 2, 4, 8 minutes
+const retryDelay = (attempts) => 60 * 1000 * 2 ** Math.max(0, attempts - 1);
+
+// ---- Channels ---------------------------------------------------------------------------
+// A sender resolves when the message went out, resolves { skipped: reason } when the channel
+// cannot be used, and throws when delivery failed and is worth retrying.
+
+const notConfigured = (name) => async () => ({ skipped: `No ${name} provider configured` });
+
+const senders = {
+  'in-app': async ({ io, user, booking, entry, job, message }) => {
+    publish(io, 'notification', {
+      bookingId: booking?._id || null,
+      waitlistEntryId: entry?._id || null,
+      type: job.type,
+      title: message.title,
+      message: message.body
+    }, { userId: user._id });
+  },
+  email: async ({ user, message }) => {
+    if (!process.env.EMAIL_HOST) return { skipped: 'Email is not configured' };
+    await sendEmail({ to: user.email, subject: `${message.title} - ParkPlaza`, text: message.body });
+  },
+  sms: notConfigured('SMS'),
+  push: notConfigured('push')
+};
+
+// Plug in a provider for a channel (e.g. an SMS gateway); `send` follows the sender contract above
+const registerChannel = (channel, send) => {
+  if (!Object.prototype.hasOwnProperty.call(senders, channel)) throw new Error(`Unknown notification channel: ${channel}`);
+  senders[channel] = send;
+};
+
+// Channels a user has opted into. In-app messages are always sent.
+const channelsFor = (user) => {
+  const prefs = user?.preferences?.notifications || {};
+  const channels = ['in-app'];
+  if (prefs.email && user.email) channels.push('email');
+  if (prefs.sms && user.phone) channels.push('sms');
+  if (prefs.push) channels.push('push');
+  return channels;
+};
+
+// ---- Scheduling -------------------------------------------------------------------------
+
+const jobKey = (booking, type, targetTime) => `${toId(booking)}:${type}:${targetTime.getTime()}`;
+
+// Queue the reminder, checkout reminder and extension offer for a booking. Idempotent, and
+// safe to call again after the booking's times change: queued jobs for the old times are
+// cancelled. Jobs whose send time has already passed are not queued.
+const scheduleBookingNotifications = async (booking, now = new Date()) => {
+  const jobs = Object.entries(JOB_TYPES)
+    .map(([type, spec]) => {
+      const targetTime = new Date(booking.bookingDetails[spec.anchor]);
+      return { type, targetTime, runAt: new Date(targetTime.getTime() - spec.leadMs) };
+    })
+    .filter(job => job.runAt > now);
+
+  for (const job of jobs) {
+    await NotificationJob.updateOne(
+      { key: jobKey(booking, job.type, job.targetTime) },
+      { $setOnInsert: { ...job, booking: booking._id, user: booking.user?._id || booking.user } },
+      { upsert: true }
+    );
+  }
+  await NotificationJob.updateMany(
+    { booking: booking._id, status: 'queued', key: { $nin: jobs.map(job => jobKey(booking, job.type, job.targetTime)) } },
+    { $set: { status: 'cancelled', completedAt: now } }
+  );
+  return jobs;
+};
+
+// Queue the message for a waitlist entry that was just offered a space ('waitlist-offer') or
+// booked into one ('waitlist-booked'). One message per offer.
+const queueWaitlistNotification = (entry, type, now = new Date()) => {
+  const targetTime = type === 'waitlist-offer' ? new Date(entry.offer.expiresAt) : now;
+  return NotificationJob.updateOne(
+    { key: `${toId(entry)}:${type}:${targetTime.getTime()}` },
+    {
+      $setOnInsert: {
+        type,
+        waitlistEntry: entry._id,
+        booking: entry.booking || undefined,
+        user: entry.user?._id || entry.user,
+        targetTime,
+        runAt: now
+      }
+    },
+    { upsert: true }
+  );
+};
+
+// ---- Running jobs -----------------------------------------------------------------------
+
+// Text for a job, or { skip } when there is nothing worth sending
+const composeMessage = async (job, booking) => {
+  const lot = booking.parkingLot;
+  const { startTime, endTime, spotNumber } = booking.bookingDetails;
+  const where = spotNumber ? `${lot.name} (slot ${spotNumber})` : lot.name;
+
+  if (job.type === 'reminder') {
+    return { title: `Parking reminder: ${lot.name}`, body: `Your parking at ${where} starts at ${formatTime(startTime)}.` };
+  }
+  if (job.type === 'checkout-reminder') {
+    return {
+      title: `Your parking ends soon: ${lot.name}`,
+      body: `Your booking at ${where} ends at ${formatTime(endTime)}. Check out on time or extend it to avoid overstay charges.`
+    };
+  }
+
+  // Extension offer: only when the lot (and the booked slot) is free for the extra time
+  const newEndTime = new Date(new Date(endTime).getTime() + EXTENSION_OFFER_HOURS * 60 * 60 * 1000);
+  const availability = await checkAvailability(lot, {
+    vehicleType: booking.vehicle?.type,
+    startTime: endTime,
+    endTime: newEndTime,
+    spotNumber,
+    excludeBookingId: booking._id
+  });
+  if (!availability.available) return { skip: `No capacity to extend: ${availability.reason}` };
+  const price = priceExtension(lot, { startTime, oldEndTime: endTime, newEndTime });
+  return {
+    title: `Need more time at ${lot.name}?`,
+    body: `${where} is free until ${formatTime(newEndTime)}. Extend by ${EXTENSION_OFFER_HOURS} hour for ₹${taxed(price.basePrice).amount.toFixed(2)}.`
+  };
+};
+
+const composeWaitlistMessage = (job, entry) => {
+  const lot = entry.parkingLot;
+  const window = `${formatTime(entry.startTime)} to ${formatTime(entry.endTime)}`;
+  if (job.type === 'waitlist-booked') {
+    return {
+      title: `You're booked at ${lot.name}`,
+      body: `A space opened up at ${lot.name} and we booked it for you from ${window}, charging your saved card.`
+    };
+  }
+  const where = entry.offer.slotCode ? `Slot ${entry.offer.slotCode}` : `A ${entry.vehicle.type} space`;
+  return {
+    title: `A space opened up at ${lot.name}`,
+    body: `${where} is free at ${lot.name} from ${window}. Book it by ${formatTime(entry.offer.expiresAt)}, after which it goes to the next person on the waitlist.`
+  };
+};
+
+const deliver = async (channel, context, now) => {
+  try {
+    const result = await senders[channel](context);
+    if (result?.skipped) return { channel, status: 'skipped', error: result.skipped, at: now };
+    return { channel, status: 'sent', at: now };
+  } catch (error) {
+    return { channel, status: 'failed', error: error.message, at: now };
+  }
+};
+
+// Send a message on the user's channels. Channels that already succeeded on an earlier
+// attempt are not repeated. Returns this attempt's results.
+const sendToUser = async (job, context, now) => {
+  const done = new Set((job.deliveries || []).filter(d => d.status !== 'failed').map(d => d.channel));
+  const results = [];
+  for (const channel of channelsFor(context.user).filter(c => !done.has(c))) {
+    results.push(await deliver(channel, { ...context, job }, now));
+  }
+  return results;
+};
+
+// Record a run's deliveries on the job; failed channels are retried with backoff until
+// MAX_ATTEMPTS
+const settleJob = (job, results, now) => {
+  const deliveries = [...(job.deliveries || []).filter(d => d.status !== 'failed'), ...results];
+  const failed = results.filter(r => r.status === 'failed');
+  const lastError = failed.map(r => `${r.channel}: ${r.error}`).join('; ');
+  if (failed.length && job.attempts < MAX_ATTEMPTS) {
+    return NotificationJob.updateOne({ _id: job._id }, {
+      $set: {
+        status: 'queued',
+        lockedUntil: null,
+        runAt: new Date(now.getTime() + retryDelay(job.attempts)),
+        deliveries,
+        lastError
+      }
+    });
+  }
+  const status = deliveries.some(d => d.status === 'sent') ? 'sent' : failed.length ? 'failed' : 'skipped';
+  return NotificationJob.updateOne({ _id: job._id }, {
+    $set: { status, lockedUntil: null, completedAt: now, deliveries, ...(failed.length ? { lastError } : {}) }
+  });
+};
+
+const skipJob = (job, reason, now) => NotificationJob.updateOne(
+  { _id: job._id },
+  { $set: { status: 'skipped', lockedUntil: null, completedAt: now, lastError: reason } }
+);
+
+// Waitlist jobs: the entry must still be in the state the message describes (an offer that
+// was taken up, withdrawn or replaced is not announced)
+const runWaitlistJob = async (job, { io, now }) => {
+  const entry = await WaitlistEntry.findById(job.waitlistEntry)
+    .populate('user', 'name email phone preferences')
+    .populate('parkingLot', 'name');
+  if (!entry || !entry.parkingLot || !entry.user) return skipJob(job, 'Waitlist entry no longer exists', now);
+  if (entry.status !== WAITLIST_JOB_TYPES[job.type].status) return skipJob(job, `Waitlist entry is ${entry.status}`, now);
+  if (job.type === 'waitlist-offer' && new Date(entry.offer.expiresAt).getTime() !== new Date(job.targetTime).getTime()) {
+    return skipJob(job, 'Offer replaced', now);
+  }
+
+  const message = composeWaitlistMessage(job, entry);
+  const results = await sendToUser(job, { io, user: entry.user, entry, booking: entry.booking ? { _id: entry.booking } : null, message }, now);
+  return settleJob(job, results, now);
+};
+
+// Send one claimed job. Channels that already succeeded on an earlier attempt are not
+// repeated; failed ones are retried with backoff until MAX_ATTEMPTS.
+const runJob = async (job, { io, now = new Date() } = {}) => {
+  if (WAITLIST_JOB_TYPES[job.type]) return runWaitlistJob(job, { io, now });
+
+  const booking = await Booking.findById(job.booking)
+    .populate('user', 'name email phone preferences')
+    .populate('parkingLot');
+  if (!booking || !booking.parkingLot) return skipJob(job, 'Booking no longer exists', now);
+
+  const spec = JOB_TYPES[job.type];
+  if (!spec.statuses.includes(booking.status)) return skipJob(job, `Booking is ${booking.status}`, now);
+  if (job.targetTime && new Date(booking.bookingDetails[spec.anchor]).getTime() !== new Date(job.targetTime).getTime()) {
+    return skipJob(job, 'Booking times changed', now);
+  }
+
+  const message = await composeMessage(job, booking);
+  if (message.skip) return skipJob(job, message.skip, now);
+
+  const results = await sendToUser(job, { io, user: booking.user, booking, message }, now);
+
+  // Delivery records on the booking, one per channel attempt
+  if (results.length) {
+    await Booking.updateOne({ _id: booking._id }, {
+      $push: {
+        notifications: {
+          $each: results.map(r => ({
+            type: job.type,
+            message: message.body,
+            channel: r.channel,
+            status: r.status,
+            sentAt: r.status === 'sent' ? r.at : undefined,
+            error: r.error,
+            job: job._id
+          }))
+        }
+      }
+    });
+  }
+  return settleJob(job, results, now);
+};
+
+// Atomically take the next due job. Jobs stuck in processing past their lock are taken again.
+const claimNextJob = (now) => NotificationJob.findOneAndUpdate(
+  {
+    runAt: { $lte: now },
+    $or: [{ status: 'queued' }, { status: 'processing', lockedUntil: { $lte: now } }]
+  },
+  { $set: { status: 'processing', lockedUntil: new Date(now.getTime() + LOCK_MS) }, $inc: { attempts: 1 } },
+  { sort: { runAt: 1 }, new: true }
+);
+
+// Work through due jobs; returns how many were handled
+const processDueJobs = async ({ io, now = new Date(), limit = BATCH_SIZE } = {}) => {
+  let handled = 0;
+  for (let job = await claimNextJob(now); job; job = handled < limit ? await claimNextJob(now) : null) {
+    handled += 1;
+    try {
+      await runJob(job, { io, now });
+    } catch (err) {
+      logger.error(`Notification job ${job._id} (${job.type}) failed: ${err.message}`);
+      const retry = job.attempts < MAX_ATTEMPTS;
+      await NotificationJob.updateOne({ _id: job._id }, {
+        $set: {
+          status: retry ? 'queued' : 'failed',
+          lockedUntil: null,
+          lastError: err.message,
+          ...(retry ? { runAt: new Date(now.getTime() + retryDelay(job.attempts)) } : { completedAt: now })
+        }
+      });
+    }
+  }
+  return handled;
+};
+
+// Background worker; skips runs while Mongo is unavailable (degraded mode)
+const startNotificationWorker = (io, intervalMs = WORKER_INTERVAL_MS) => {
+  const timer = setInterval(async () => {
+    if (mongoose.connection.readyState !== 1) return;
+    try {
+      const handled = await processDueJobs({ io });
+      if (handled) logger.info(`Processed ${handled} notification job(s)`);
+    } catch (err) {
+      logger.error(`Notification worker run failed: ${err.message}`);
+    }
+  }, intervalMs);
+  timer.unref();
+  return timer;
+};
+
+module.exports = {
+  JOB_TYPES,
+  WAITLIST_JOB_TYPES,
+  EXTENSION_OFFER_HOURS,
+  channelsFor,
+  registerChannel,
+  scheduleBookingNotifications,
+  queueWaitlistNotification,
+  composeMessage,
+  runJob,
+  processDueJobs,
+  startNotificationWorker
+};
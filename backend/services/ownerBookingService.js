@@ -0,0 +1,92 @@
+const mongoose = require('mongoose');
+const ParkingLot = require('../models/ParkingLot');
+const { localTime } = require('./pricingService');
+
+// Booking queries scoped to the lots a landowner runs (admins see every lot)
+
+const DEFAULT_TIMEZONE = process.env.PRICING_TIMEZONE || 'Asia/Kolkata';
+const BULK_ACTIONS = ['check-in', 'complete', 'no-show', 'cancel'];
+const MAX_BULK = 100;
+
+const escapeRegex = (value) => String(value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Ids of the lots `user` may manage, optionally narrowed to one. Returns null when the
+// requested lot isn't theirs. Admins get null scope (all lots) unless they pick one.
+const managedLotIds = async (user, lotId) => {
+  if (user.role === 'admin') {
+    if (!lotId) return { all: true, ids: [] };
+    const exists = await ParkingLot.exists({ _id: lotId });
+    return exists ? { all: false, ids: [exists._id] } : null;
+  }
+  const filter = { owner: user._id };
+  if (lotId) filter._id = lotId;
+  const lots = await ParkingLot.find(filter).select('_id').lean();
+  if (lotId && !lots.length) return null;
+  return { all: false, ids: lots.map(l => l._id) };
+};
+
+// Mongo filter for the owner booking list. Date range matches bookings whose window
+// overlaps [from, to); plate matching ignores case and spacing.
+const buildOwnerFilter = (scope, { status, from, to, plate } = {}) => {
+  const filter = {};
+  if (!scope.all) filter.parkingLot = { $in: scope.ids.map(id => new mongoose.Types.ObjectId(String(id))) };
+  if (status) {
+    const statuses = String(status).split(',').map(s => s.trim()).filter(Boolean);
+    filter.status = statuses.length === 1 ? statuses[0] : { $in: statuses };
+  }
+  if (from) filter['bookingDetails.endTime'] = { $gt: new Date(from) };
+  if (to) filter['bookingDetails.startTime'] = { $lt: new Date(to) };
+  if (plate) {
+    const compact = String(plate).toUpperCase().replace(/[^A-Z0-9]/g, '');
+    if (compact) {
+      // Allow any separators between characters so "KA01AB" finds "KA 01 AB 1234"
+      filter['vehicle.licensePlate'] = { $regex: compact.split('').map(escapeRegex).join('[^A-Z0-9]*') };
+    }
+  }
+  return filter;
+};
+
+// Shift `at` so it falls on local midnight when it is within half a day of it (DST-safe)
+const snapToLocalMidnight = (at, timeZone) => {
+  const minutes = localTime(at, timeZone).minutes;
+  const offset = minutes > 720 ? minutes - 1440 : minutes;
+  return new Date(at.getTime() - offset * 60 * 1000);
+};
+
+// [start, end) of the local calendar day containing `now`
+const localDayBounds = (now = new Date(), timeZone = DEFAULT_TIMEZONE) => {
+  const local = localTime(now, timeZone);
+  const naive = new Date(now.getTime() - local.minutes * 60 * 1000 - (now.getTime() % (60 * 1000)));
+  const start = snapToLocalMidnight(naive, timeZone);
+  const end = snapToLocalMidnight(new Date(start.getTime() + 24 * 60 * 60 * 1000), timeZone);
+  return { start, end, date: local.date };
+};
+
+// Row shape for attendant and dashboard tables
+const toOwnerRow = (b) => ({
+  id: b._id.toString(),
+  lotId: b.parkingLot?._id?.toString() || b.parkingLot?.toString(),
+  lotName: b.parkingLot?.name,
+  customer: b.user ? { name: b.user.name, email: b.user.email, phone: b.user.phone } : null,
+  vehicle: b.vehicle,
+  slotNumber: b.bookingDetails?.spotNumber || null,
+  startTime: b.bookingDetails?.startTime,
+  endTime: b.bookingDetails?.endTime,
+  status: b.status,
+  paymentStatus: b.payment?.status || 'pending',
+  totalAmount: b.pricing?.totalAmount || 0,
+  entryTime: b.entryLog?.time || null,
+  exitTime: b.exitLog?.time || null,
+  services: (b.services || []).map(s => s.name),
+  seriesId: b.series ? b.series.toString() : null,
+  createdAt: b.createdAt
+});
+
+module.exports = {
+  BULK_ACTIONS,
+  MAX_BULK,
+  managedLotIds,
+  buildOwnerFilter,
+  localDayBounds,
+  toOwnerRow
+};
@@ -0,0 +1,305 @@
+const mongoose = require('mongoose');
+const Pass = require('../models/Pass');
+const Booking = require('../models/Booking');
+const ParkingLot = require('../models/ParkingLot');
+const logger = require('../config/logger');
+const { TAX_RATE } = require('./pricingService');
+const { postPassCharge } = require('./ledgerService');
+const { BLOCKING_STATUSES, checkAvailability, syncLiveCapacity } = require('./availabilityService');
+const { ticketMismatch } = require('./ticketService');
+const { broadcastSlotStatus } = require('./slotHoldService');
+const { publish } = require('./realtimeService');
+
+const HOUR_MS = 60 * 60 * 1000;
+// Gateway-billed passes aren't expired until this long past period end, while the renewal charge retries
+const RENEWAL_GRACE_MS = parseFloat(process.env.PASS_RENEWAL_GRACE_HOURS || '48') * HOUR_MS;
+const EXPIRY_SWEEP_INTERVAL_MS = parseInt(process.env.PASS_EXPIRY_SWEEP_MINUTES || '60', 10) * 60 * 1000;
+
+const PLANS = ['weekly', 'monthly'];
+
+const money = (value) => Math.round((Number(value) || 0) * 100) / 100;
+const toId = (value) => (value && value._id ? value._id : value);
+
+// Price of one period of a pass at a lot, or null when the lot doesn't sell that plan.
+// Weekly falls back to a pro-rata share of the monthly price.
+const quotePass = (lot, plan) => {
+  if (!PLANS.includes(plan)) return null;
+  const monthly = Number(lot?.pricing?.monthly) || 0;
+  const weekly = Number(lot?.pricing?.weekly) || (monthly ? monthly * 12 / 52 : 0);
+  const amount = money(plan === 'weekly' ? weekly : monthly);
+  if (amount <= 0) return null;
+  const taxes = money(amount * TAX_RATE);
+  return {
+    plan,
+    amount,
+    taxes,
+    total: money(amount + taxes),
+    currency: lot.pricing?.currency || 'INR'
+  };
+};
+
+// End of a billing period that starts at `start`. Monthly periods keep the day of month,
+// clamped to the last day of shorter months (Jan 31 -> Feb 28).
+const periodEnd = (start, plan) => {
+  const end = new Date(start);
+  if (plan === 'weekly') {
+    end.setUTCDate(end.getUTCDate() + 7);
+    return end;
+  }
+  const day = end.getUTCDate();
+  end.setUTCDate(1);
+  end.setUTCMonth(end.getUTCMonth() + 1);
+  const lastDay = new Date(Date.UTC(end.getUTCFullYear(), end.getUTCMonth() + 1, 0)).getUTCDate();
+  end.setUTCDate(Math.min(day, lastDay));
+  return end;
+};
+
+// Next billing period: back-to-back with the current one if it hasn't lapsed, else from now
+const nextPeriod = (pass, now = new Date()) => {
+  const currentEnd = pass.currentPeriod?.end ? new Date(pass.currentPeriod.end) : null;
+  const start = currentEnd && currentEnd > now ? currentEnd : now;
+  return { start, end: periodEnd(start, pass.plan) };
+};
+
+// Claim a slot for a reserved-spot pass. Fails if the slot is missing, the wrong type, out
+// of service, owned by another pass, or already booked from now on.
+const reservePassSlot = async (lot, pass, now = new Date()) => {
+  const slot = (lot.slots || []).find(s => s.code === pass.spotNumber);
+  if (!slot) return { ok: false, reason: 'Requested slot not found' };
+  if (slot.type !== pass.vehicle.type) return { ok: false, reason: `Requested slot is for ${slot.type} only` };
+  if (slot.status === 'maintenance') return { ok: false, reason: 'Requested slot is under maintenance' };
+
+  const booked = await Booking.exists({
+    parkingLot: lot._id,
+    'bookingDetails.spotNumber': pass.spotNumber,
+    status: { $in: BLOCKING_STATUSES },
+    'bookingDetails.endTime': { $gt: now }
+  });
+  if (booked) return { ok: false, reason: 'Requested slot has upcoming bookings' };
+
+  const claimed = await ParkingLot.findOneAndUpdate(
+    { _id: lot._id, slots: { $elemMatch: { code: pass.spotNumber, passId: null, status: { $ne: 'maintenance' } } } },
+    { $set: { 'slots.$.passId': pass._id } },
+    { new: true, projection: { _id: 1 } }
+  );
+  return claimed ? { ok: true } : { ok: false, reason: 'Requested slot is reserved for another pass holder' };
+};
+
+const releasePassSlot = async (pass) => {
+  if (pass.spotType !== 'reserved' || !pass.spotNumber) return;
+  await ParkingLot.updateOne(
+    { _id: toId(pass.parkingLot), slots: { $elemMatch: { code: pass.spotNumber, passId: pass._id } } },
+    { $unset: { 'slots.$.passId': '' } }
+  );
+};
+
+// Start the next billing period after a successful payment and post it to the ledger.
+// Gateways report the period they billed for; otherwise it follows on from the current one.
+// Re-applying the same payment is a no-op.
+const activatePass = async (pass, { paymentId, gateway, period, owner, createdBy, now = new Date() } = {}) => {
+  if (paymentId && pass.billing?.lastPaymentId === paymentId) return pass;
+
+  pass.currentPeriod = period?.start && period?.end ? period : nextPeriod(pass, now);
+  pass.status = 'active';
+  pass.pausedAt = undefined;
+  if (paymentId) pass.billing.lastPaymentId = paymentId;
+  pass.billing.lastPaymentAt = now;
+  await pass.save();
+
+  await postPassCharge(pass, { owner, gateway, gatewayRef: paymentId, createdBy });
+  return pass;
+};
+
+// Stop a pass for good and give its reserved slot back
+const endPass = async (pass, { status = 'cancelled', reason, now = new Date() } = {}) => {
+  pass.status = status;
+  pass.autoRenew = false;
+  if (status === 'cancelled') {
+    pass.cancelledAt = pass.cancelledAt || now;
+    if (reason) pass.cancellationReason = reason;
+  }
+  await pass.save();
+  await releasePassSlot(pass);
+  return pass;
+};
+
+// Tell the pass holder and the lot's owner about a pass change
+const emitPassUpdate = (io, pass) => {
+  publish(io, 'pass-update', {
+    passId: pass._id,
+    lotId: toId(pass.parkingLot),
+    status: pass.status,
+    currentPeriod: pass.currentPeriod
+  }, { lotId: pass.parkingLot, userId: pass.user });
+};
+
+// Gate scan for a pass ticket. Entry needs a pass valid right now (and, for floating passes,
+// a free spot); exit is always allowed so lapsed holders are never locked in.
+// Returns { pass, live } or { status, message } on rejection.
+const scanPass = async (io, ticket, { direction, user, gate, now = new Date() }) => {
+  const pass = await Pass.findById(ticket.passId).populate('parkingLot');
+  if (!pass || !pass.parkingLot) return { status: 404, message: 'Pass not found for this ticket' };
+  const mismatch = ticketMismatch(ticket, pass);
+  if (mismatch) return { status: 400, message: mismatch };
+  const isLotOwner = pass.parkingLot.owner?.toString() === user.id;
+  if (!isLotOwner && user.role !== 'admin') {
+    return { status: 403, message: 'Not authorized to operate gates at this lot' };
+  }
+
+  const lot = pass.parkingLot;
+  if (direction === 'entry') {
+    if (pass.presence?.inside) return { status: 409, message: 'Pass holder is already inside' };
+    if (!pass.isValidAt(now)) return { status: 400, message: `Pass is ${pass.status} and not valid for entry` };
+    if (pass.spotType === 'floating') {
+      const availability = await checkAvailability(lot, {
+        vehicleType: pass.vehicle.type,
+        startTime: now,
+        endTime: new Date(now.getTime() + HOUR_MS)
+      });
+      if (!availability.available) return { status: 409, message: 'No free spot for this pass right now' };
+    }
+    pass.presence.inside = true;
+    pass.presence.lastEntryAt = now;
+  } else {
+    if (!pass.presence?.inside) return { status: 400, message: 'Pass holder has not checked in' };
+    pass.presence.inside = false;
+    pass.presence.lastExitAt = now;
+  }
+  pass.presence.lastGate = gate || 'main';
+  await pass.save();
+
+  if (pass.spotType === 'reserved' && pass.spotNumber) {
+    await ParkingLot.updateOne(
+      { _id: lot._id, 'slots.code': pass.spotNumber },
+      { $set: { 'slots.$.status': direction === 'entry' ? 'occupied' : 'available', 'liveStatus.lastUpdated': now } }
+    );
+  }
+  const live = await syncLiveCapacity(lot._id);
+
+  publish(io, 'gate-event', {
+    lotId: lot._id,
+    passId: pass._id,
+    direction,
+    slotCode: pass.spotNumber || null,
+    timestamp: now
+  }, { lotId: lot._id });
+  if (pass.spotType === 'reserved') {
+    broadcastSlotStatus(io, lot._id, { slotCode: pass.spotNumber, status: direction === 'entry' ? 'occupied' : 'available' });
+  }
+  if (live) {
+    publish(io, 'availability-update', {
+      lotId: lot._id,
+      available: live.available,
+      occupancyRate: live.occupancyRate,
+      status: lot.status
+    }, { lotId: lot._id });
+  }
+  return { pass, live };
+};
+
+const findPassForEvent = async ({ passId, subscriptionId }) => {
+  if (passId && mongoose.Types.ObjectId.isValid(passId)) {
+    const pass = await Pass.findById(passId).populate('parkingLot', 'owner');
+    if (pass) return pass;
+  }
+  if (!subscriptionId) return null;
+  return Pass.findOne({ 'billing.subscriptionId': subscriptionId }).populate('parkingLot', 'owner');
+};
+
+// Apply a normalised subscription webhook event to its pass.
+// Returns { outcome: 'updated' | 'ignored', reason?, pass? } like applyPaymentEvent.
+const applySubscriptionEvent = async (io, event) => {
+  const { action, passId, subscriptionId, paymentId, period } = event.subscription;
+  const pass = await findPassForEvent({ passId, subscriptionId });
+  if (!pass) return { outcome: 'ignored', reason: 'No pass matches this subscription' };
+  if (['cancelled', 'expired'].includes(pass.status) && action !== 'cancelled') {
+    return { outcome: 'ignored', reason: `Pass already ${pass.status}`, pass };
+  }
+
+  const previousStatus = pass.status;
+  switch (action) {
+    case 'renewed':
+      if (paymentId && pass.billing.lastPaymentId === paymentId) {
+        return { outcome: 'ignored', reason: 'Payment already applied', pass };
+      }
+      await activatePass(pass, { paymentId, period, gateway: event.provider });
+      break;
+    case 'past_due':
+      if (pass.status !== 'active') return { outcome: 'ignored', reason: `Pass is ${pass.status}`, pass };
+      pass.status = 'past_due';
+      await pass.save();
+      break;
+    case 'paused':
+      if (pass.status !== 'active') return { outcome: 'ignored', reason: `Pass is ${pass.status}`, pass };
+      pass.status = 'paused';
+      pass.pausedAt = new Date();
+      await pass.save();
+      break;
+    case 'resumed':
+      if (pass.status !== 'paused') return { outcome: 'ignored', reason: `Pass is ${pass.status}`, pass };
+      pass.status = 'active';
+      pass.pausedAt = undefined;
+      await pass.save();
+      break;
+    case 'cancelled':
+      if (pass.status === 'cancelled') return { outcome: 'ignored', reason: 'Pass already cancelled', pass };
+      await endPass(pass, { reason: 'Subscription ended at the payment gateway' });
+      break;
+    default:
+      return { outcome: 'ignored', reason: `Unhandled subscription event ${event.type}`, pass };
+  }
+
+  emitPassUpdate(io, pass);
+  logger.info(`Pass ${pass._id} ${previousStatus} -> ${pass.status} via ${event.provider} ${event.type}`);
+  return { outcome: 'updated', pass };
+};
+
+// Expire passes whose period ran out without a renewal. Manual passes lapse at period end;
+// gateway-billed ones get RENEWAL_GRACE_MS for the renewal charge to land. Paused passes are
+// left alone until they are resumed or cancelled.
+const expireLapsedPasses = async (io, now = new Date()) => {
+  const lapsed = await Pass.find({
+    status: { $in: ['active', 'past_due'] },
+    $or: [
+      { 'billing.gateway': 'manual', 'currentPeriod.end': { $lte: now } },
+      { 'billing.gateway': { $ne: 'manual' }, 'currentPeriod.end': { $lte: new Date(now.getTime() - RENEWAL_GRACE_MS) } },
+      { cancelAtPeriodEnd: true, 'currentPeriod.end': { $lte: now } }
+    ]
+  });
+  for (const pass of lapsed) {
+    await endPass(pass, { status: pass.cancelAtPeriodEnd ? 'cancelled' : 'expired', now });
+    emitPassUpdate(io, pass);
+  }
+  return lapsed.length;
+};
+
+// Background expiry sweep; skips runs while Mongo is unavailable (degraded mode)
+const startPassExpirySweeper = (io, intervalMs = EXPIRY_SWEEP_INTERVAL_MS) => {
+  const timer = setInterval(async () => {
+    if (mongoose.connection.readyState !== 1) return;
+    try {
+      const expired = await expireLapsedPasses(io);
+      if (expired) logger.info(`Expired ${expired} lapsed pass(es)`);
+    } catch (err) {
+      logger.error(`Pass expiry sweep failed: ${err.message}`);
+    }
+  }, intervalMs);
+  timer.unref();
+  return timer;
+};
+
+module.exports = {
+  PLANS,
+  quotePass,
+  periodEnd,
+  nextPeriod,
+  reservePassSlot,
+  releasePassSlot,
+  activatePass,
+  endPass,
+  emitPassUpdate,
+  scanPass,
+  applySubscriptionEvent,
+  expireLapsedPasses,
+  startPassExpirySweeper
+};
@@ -0,0 +1,474 @@
+const mongoose = require('mongoose');
+const Booking = require('../models/Booking');
+const Transaction = require('../models/Transaction');
+const WebhookEvent = require('../models/WebhookEvent');
+const logger = require('../config/logger');
+const { postRefund, applyLedgerTotals } = require('./ledgerService');
+const { applySubscriptionEvent } = require('./passService');
+const { publish } = require('./realtimeService');
+const { checkAvailability, syncLiveCapacity } = require('./availabilityService');
+const { offerFreedSpace } = require('./waitlistService');
+const { createRefund: createStripeRefund } = require('./stripeService');
+const { createRefund: createRazorpayRefund } = require('./razorpayService');
+
+// A 'processing' claim older than this is assumed to belong to a crashed worker and may be retried
+const STALE_CLAIM_MS = 5 * 60 * 1000;
+
+// Payment status changes a gateway event may cause. Anything else (e.g. a late
+// payment_failed after a success, or a capture after a refund) is ignored.
+const PAYMENT_TRANSITIONS = {
+  pending: ['completed', 'failed'],
+  failed: ['pending', 'completed'],
+  completed: ['refunded'],
+  refunded: []
+};
+
+const canTransition = (from, to) => (PAYMENT_TRANSITIONS[from || 'pending'] || []).includes(to);
+
+// Rounding slack when comparing a gateway amount with a booking total
+const AMOUNT_TOLERANCE = 0.01;
+// Bookings still holding a space that a failed or fully refunded payment gives back
+const RELEASED_ON_FAILURE = ['pending'];
+const RELEASED_ON_REFUND = ['pending', 'confirmed'];
+const PAYMENT_FAILED_REASON = 'Payment failed';
+
+// Why a completed payment can't confirm the bookings it pays for (it doesn't cover their
+// combined total in the booking currency), or null when it does. Payment intents are created
+// from client input, so the gateway amount is never trusted on its own.
+const underpaymentReason = (bookings, event) => {
+  const expected = bookings.reduce((sum, b) => sum + (b.pricing?.totalAmount || 0), 0);
+  const currency = String(bookings[0].pricing?.currency || 'INR').toUpperCase();
+  const what = bookings.length > 1 ? 'series' : 'booking';
+  if (event.amount === null || event.amount === undefined) return 'Payment amount not reported';
+  if (event.currency && event.currency !== currency) {
+    return `Paid in ${event.currency}, ${what} is priced in ${currency}`;
+  }
+  if (event.amount + AMOUNT_TOLERANCE < expected) {
+    return `Paid ${event.amount.toFixed(2)} ${currency}, ${what} total is ${expected.toFixed(2)} ${currency}`;
+  }
+  return null;
+};
+
+const STRIPE_EVENT_STATUS = {
+  'payment_intent.processing': 'pending',
+  'payment_intent.succeeded': 'completed',
+  'payment_intent.payment_failed': 'failed',
+  'payment_intent.canceled': 'failed',
+  'charge.refunded': 'refunded'
+};
+
+const RAZORPAY_EVENT_STATUS = {
+  'payment.authorized': 'pending',
+  'payment.captured': 'completed',
+  'order.paid': 'completed',
+  'payment.failed': 'failed',
+  'refund.processed': 'refunded'
+};
+
+// Subscription (pass) events and the pass change each one causes
+const STRIPE_SUBSCRIPTION_ACTIONS = {
+  'invoice.paid': 'renewed',
+  'invoice.payment_failed': 'past_due',
+  'customer.subscription.paused': 'paused',
+  'customer.subscription.resumed': 'resumed',
+  'customer.subscription.deleted': 'cancelled'
+};
+
+const RAZORPAY_SUBSCRIPTION_ACTIONS = {
+  'subscription.charged': 'renewed',
+  'subscription.pending': 'past_due',
+  'subscription.halted': 'past_due',
+  'subscription.paused': 'paused',
+  'subscription.resumed': 'resumed',
+  'subscription.cancelled': 'cancelled',
+  'subscription.completed': 'cancelled'
+};
+
+const fromEpoch = (seconds) => (typeof seconds === 'number' ? new Date(seconds * 1000) : null);
+
+// Billing period as reported by the gateway, or null when it didn't say
+const periodOf = (start, end) => (start && end ? { start, end } : null);
+
+const stripeSubscription = (event, object) => {
+  const action = STRIPE_SUBSCRIPTION_ACTIONS[event?.type];
+  if (!action) return null;
+  if (object.object === 'invoice') {
+    if (!object.subscription) return null;
+    const line = object.lines?.data?.[0]?.period || {};
+    return {
+      action,
+      subscriptionId: object.subscription,
+      passId: object.subscription_details?.metadata?.passId || null,
+      paymentId: object.id,
+      period: periodOf(fromEpoch(line.start), fromEpoch(line.end))
+    };
+  }
+  return { action, subscriptionId: object.id, passId: object.metadata?.passId || null, paymentId: null, period: null };
+};
+
+// Normalise a verified Stripe event into { eventId, type, paymentStatus, lookup, amount, currency, refundAmount }.
+// Subscription events carry `subscription` instead and are applied to passes.
+const normaliseStripeEvent = (event) => {
+  const object = event?.data?.object || {};
+  const paymentStatus = STRIPE_EVENT_STATUS[event?.type] || null;
+  const isCharge = object.object === 'charge';
+  return {
+    provider: 'stripe',
+    eventId: event?.id,
+    type: event?.type,
+    paymentStatus,
+    lookup: {
+      bookingId: object.metadata?.bookingId || null,
+      seriesId: object.metadata?.seriesId || null,
+      paymentId: isCharge ? object.payment_intent : object.id,
+      orderId: null
+    },
+    amount: typeof object.amount === 'number' ? object.amount / 100 : null,
+    currency: object.currency ? String(object.currency).toUpperCase() : null,
+    // charge.amount_refunded is the running total across all refunds on the charge
+    refundAmount: isCharge && typeof object.amount_refunded === 'number' ? object.amount_refunded / 100 : null,
+    refundCumulative: true,
+    refundRef: isCharge ? object.id : null,
+    failureReason: object.last_payment_error?.message || null,
+    subscription: stripeSubscription(event, object)
+  };
+};
+
+// Normalise a verified Razorpay webhook body. Razorpay sends the event id in a header;
+// fall back to event + entity id, which is stable across redeliveries.
+const normaliseRazorpayEvent = (body, eventIdHeader) => {
+  const payment = body?.payload?.payment?.entity || {};
+  const refund = body?.payload?.refund?.entity || null;
+  const order = body?.payload?.order?.entity || {};
+  const subscription = body?.payload?.subscription?.entity || null;
+  const entityId = refund?.id || payment.id || order.id || subscription?.id;
+  const subscriptionAction = RAZORPAY_SUBSCRIPTION_ACTIONS[body?.event];
+  return {
+    provider: 'razorpay',
+    eventId: eventIdHeader || (body?.event && entityId ? `${body.event}:${entityId}` : null),
+    type: body?.event,
+    paymentStatus: RAZORPAY_EVENT_STATUS[body?.event] || null,
+    lookup: {
+      bookingId: payment.notes?.bookingId || order.notes?.bookingId || null,
+      seriesId: payment.notes?.seriesId || order.notes?.seriesId || null,
+      paymentId: refund?.payment_id || payment.id || null,
+      orderId: payment.order_id || order.id || null
+    },
+    amount: typeof payment.amount === 'number'
+      ? payment.amount / 100
+      : typeof order.amount_paid === 'number' ? order.amount_paid / 100 : null,
+    currency: payment.currency || order.currency ? String(payment.currency || order.currency).toUpperCase() : null,
+    refundAmount: refund && typeof refund.amount === 'number' ? refund.amount / 100 : null,
+    refundCumulative: false,
+    refundRef: refund?.id || null,
+    failureReason: payment.error_description || null,
+    subscription: subscriptionAction && subscription
+      ? {
+        action: subscriptionAction,
+        subscriptionId: subscription.id,
+        passId: subscription.notes?.passId || null,
+        paymentId: payment.id || null,
+        period: periodOf(fromEpoch(subscription.current_start), fromEpoch(subscription.current_end))
+      }
+      : null
+  };
+};
+
+// Claim an event for processing. Returns { claimed: true } for first delivery (or a retry of a
+// failed/stale one), otherwise { claimed: false, record } for duplicates and in-flight events.
+const claimEvent = async ({ provider, eventId, type }) => {
+  const existing = await WebhookEvent.findOneAndUpdate(
+    { provider, eventId },
+    { $setOnInsert: { provider, eventId, type, status: 'processing' } },
+    { upsert: true, new: false }
+  );
+  if (!existing) return { claimed: true };
+
+  if (['processed', 'ignored'].includes(existing.status)) return { claimed: false, record: existing };
+
+  const staleBefore = new Date(Date.now() - STALE_CLAIM_MS);
+  const retry = await WebhookEvent.findOneAndUpdate(
+    {
+      _id: existing._id,
+      $or: [{ status: 'failed' }, { status: 'processing', updatedAt: { $lte: staleBefore } }]
+    },
+    { $set: { status: 'processing', error: null }, $inc: { attempts: 1 } },
+    { new: true }
+  );
+  return retry ? { claimed: true } : { claimed: false, record: existing };
+};
+
+const finishEvent = (provider, eventId, update) => WebhookEvent.updateOne(
+  { provider, eventId },
+  { $set: { ...update, processedAt: new Date() } }
+);
+
+const findBookingForEvent = async ({ bookingId, paymentId, orderId }) => {
+  if (bookingId && mongoose.Types.ObjectId.isValid(bookingId)) {
+    const booking = await Booking.findById(bookingId).populate('parkingLot', 'owner');
+    if (booking) return booking;
+  }
+  const or = [];
+  if (paymentId) or.push({ 'payment.paymentId': paymentId }, { 'payment.transactionId': paymentId });
+  if (orderId) or.push({ 'payment.orderId': orderId });
+  if (!or.length) return null;
+  return Booking.findOne({ $or: or }).populate('parkingLot', 'owner');
+};
+
+// Every booking a payment covers: the booking itself, or all occurrences of its recurring
+// series, which share one payment
+const findBookingsForEvent = async (lookup) => {
+  const seriesId = lookup.seriesId && mongoose.Types.ObjectId.isValid(lookup.seriesId) ? lookup.seriesId : null;
+  const booking = seriesId ? null : await findBookingForEvent(lookup);
+  const series = seriesId || booking?.series;
+  if (!series) return booking ? [booking] : [];
+  return Booking.find({ series }).populate('parkingLot', 'owner').sort({ seriesIndex: 1 });
+};
+
+// Post whatever part of a gateway refund the ledger doesn't know about yet. Refunds issued
+// through the API are already posted under the same gateway reference, so this is a no-op for them.
+// A series refund is spread over its occurrences up to what each one paid. Returns the bookings posted to.
+const reconcileRefund = async (bookings, event) => {
+  const totals = [];
+  for (const booking of bookings) totals.push(await applyLedgerTotals(booking));
+  const paid = totals.reduce((sum, t) => sum + t.paid, 0);
+  const refunded = totals.reduce((sum, t) => sum + t.refunded, 0);
+  // A refund without an amount gives back everything captured
+  let amount = event.refundAmount ?? paid;
+  if (event.refundCumulative || event.refundAmount == null) amount -= refunded;
+  const key = event.refundCumulative && event.refundRef
+    ? `refund:${event.provider}:${event.refundRef}:${event.refundAmount}`
+    : `refund:${event.provider}:${event.refundRef}`;
+  if (bookings.length > 1 && event.refundRef && !event.refundCumulative
+    && await Transaction.exists({ idempotencyKey: key })) {
+    amount = 0;
+  }
+  if (amount <= 0.009) return [];
+
+  const posted = [];
+  for (const [i, booking] of bookings.entries()) {
+    const share = bookings.length > 1
+      ? Math.min(amount, totals[i].paid - totals[i].refunded)
+      : amount;
+    if (share <= 0.009) continue;
+    await postRefund(booking, {
+      amount: share,
+      gateway: event.provider,
+      gatewayRef: event.refundRef,
+      reason: 'Gateway refund',
+      idempotencyKey: bookings.length > 1
+        ? `${key}:${booking._id}`
+        : event.refundCumulative && event.refundRef ? key : undefined
+    });
+    await applyLedgerTotals(booking);
+    posted.push(booking);
+    amount -= share;
+    if (amount <= 0.009) break;
+  }
+  return posted;
+};
+
+const fullyRefunded = (booking) => (booking.payment.amountPaid || 0) > 0
+  && (booking.payment.refundAmount || 0) + AMOUNT_TOLERANCE >= booking.payment.amountPaid;
+
+// Cancel a booking its payment no longer covers (caller saves, then releases the space)
+const cancelForPayment = (booking, reason, now) => {
+  booking.status = 'cancelled';
+  booking.cancellation = {
+    reason,
+    cancelledAt: now,
+    refundEligible: false,
+    refundAmount: booking.payment.refundAmount || 0
+  };
+};
+
+// Give a released booking's space back to the lot and its waitlist
+const releaseSpace = async (io, booking) => {
+  const lotId = booking.parkingLot?._id || booking.parkingLot;
+  await syncLiveCapacity(lotId);
+  publish(io, 'status-update', { bookingId: booking._id, lotId, status: booking.status }, { lotId, userId: booking.user });
+  await offerFreedSpace(io, lotId);
+};
+
+// A retried payment succeeded after its booking was cancelled for the failure: reinstate the
+// booking while its window is still free, otherwise give the money back. Returns true when reinstated.
+const settleLatePayment = async (booking, event, now) => {
+  const availability = new Date(booking.bookingDetails.endTime) > now
+    ? await checkAvailability(booking.parkingLot?._id || booking.parkingLot, {
+      vehicleType: booking.vehicle.type,
+      startTime: booking.bookingDetails.startTime,
+      endTime: booking.bookingDetails.endTime,
+      spotNumber: booking.bookingDetails.spotNumber,
+      excludeBookingId: booking._id
+    })
+    : { available: false };
+  if (availability.available) {
+    booking.status = 'confirmed';
+    booking.cancellation = undefined;
+    return true;
+  }
+
+  await applyLedgerTotals(booking);
+  const amount = booking.payment.amountPaid;
+  const paymentId = booking.payment.paymentId;
+  let refund = null;
+  let failed = false;
+  try {
+    refund = event.provider === 'stripe'
+      ? await createStripeRefund(paymentId, amount)
+      : await createRazorpayRefund(paymentId, amount);
+  } catch (err) {
+    failed = true;
+    logger.error(`Refund of late payment ${paymentId} for booking ${booking._id} failed: ${err.message}`);
+  }
+  await postRefund(booking, {
+    amount,
+    gateway: event.provider,
+    gatewayRef: refund?.id,
+    failed,
+    reason: 'Payment arrived after the booking was released'
+  });
+  await applyLedgerTotals(booking);
+  if (!failed) {
+    booking.payment.status = 'refunded';
+    booking.payment.refundedAt = now;
+  }
+  return false;
+};
+
+// Apply a gateway event to one booking it pays for and notify listeners. Returns true when
+// the booking changed.
+const applyToBooking = async (io, booking, event, now, { refundPosted, partialRefund }) => {
+  const previousStatus = booking.payment?.status || 'pending';
+  if (previousStatus === event.paymentStatus || !canTransition(previousStatus, event.paymentStatus) || partialRefund) {
+    if (!refundPosted) return false;
+    const release = RELEASED_ON_REFUND.includes(booking.status) && fullyRefunded(booking);
+    if (release) cancelForPayment(booking, 'Payment refunded', now);
+    await booking.save();
+    if (release) await releaseSpace(io, booking);
+    return true;
+  }
+
+  booking.payment.status = event.paymentStatus;
+  if (event.lookup.paymentId && !booking.payment.paymentId) booking.payment.paymentId = event.lookup.paymentId;
+  if (event.lookup.orderId && !booking.payment.orderId) booking.payment.orderId = event.lookup.orderId;
+
+  let release = false;
+  let reinstated = false;
+  if (event.paymentStatus === 'completed') {
+    booking.payment.paidAt = booking.payment.paidAt || now;
+    if (booking.status === 'pending') booking.status = 'confirmed';
+    if (booking.status === 'cancelled' && booking.cancellation?.reason?.startsWith(PAYMENT_FAILED_REASON)) {
+      reinstated = await settleLatePayment(booking, event, now);
+    }
+    // Records the captured payment in the ledger
+    await applyLedgerTotals(booking);
+  }
+  if (event.paymentStatus === 'failed' && RELEASED_ON_FAILURE.includes(booking.status)) {
+    cancelForPayment(booking, event.failureReason ? `${PAYMENT_FAILED_REASON}: ${event.failureReason}` : PAYMENT_FAILED_REASON, now);
+    release = true;
+  }
+  if (event.paymentStatus === 'refunded') {
+    booking.payment.refundedAt = now;
+    release = RELEASED_ON_REFUND.includes(booking.status) && fullyRefunded(booking);
+    if (release) cancelForPayment(booking, 'Payment refunded', now);
+  }
+  await booking.save();
+  if (release) await releaseSpace(io, booking);
+  if (reinstated) await syncLiveCapacity(booking.parkingLot?._id || booking.parkingLot);
+
+  const lotId = booking.parkingLot?._id || booking.parkingLot;
+  const payload = {
+    bookingId: booking._id,
+    lotId,
+    provider: event.provider,
+    status: booking.payment.status,
+    previousStatus,
+    bookingStatus: booking.status,
+    failureReason: event.paymentStatus === 'failed' ? event.failureReason : undefined,
+    timestamp: now
+  };
+  publish(io, 'payment-update', payload, { lotId, userId: booking.user });
+  logger.info(`Payment ${previousStatus} -> ${booking.payment.status} for booking ${booking._id} via ${event.provider} ${event.type}`);
+  return true;
+};
+
+// Apply a normalised gateway event to every booking it pays for: one booking, or each occurrence
+// of a recurring series. A failed payment releases a pending booking and a full refund one the
+// car hasn't used yet; in a series only fully refunded occurrences count as refunded.
+// Returns { outcome: 'updated' | 'ignored', reason?, booking?, bookings? }.
+const applyPaymentEvent = async (io, event) => {
+  if (!event.paymentStatus) return { outcome: 'ignored', reason: `Unhandled event type ${event.type}` };
+
+  const bookings = await findBookingsForEvent(event.lookup);
+  if (!bookings.length) return { outcome: 'ignored', reason: 'No booking matches this payment' };
+  const [booking] = bookings;
+  const statusOf = (b) => b.payment?.status || 'pending';
+
+  const posted = event.paymentStatus === 'refunded'
+    ? await reconcileRefund(bookings.filter(b => ['completed', 'refunded'].includes(statusOf(b))), event)
+    : [];
+  if (event.paymentStatus === 'completed') {
+    const payable = bookings.filter(b => canTransition(statusOf(b), 'completed'));
+    const underpaid = payable.length ? underpaymentReason(payable, event) : null;
+    if (underpaid) {
+      logger.warn(`Ignoring ${event.provider} ${event.type} for booking ${booking._id}: ${underpaid}`);
+      return { outcome: 'ignored', reason: underpaid, booking };
+    }
+  }
+
+  const now = new Date();
+  const updated = [];
+  for (const occurrence of bookings) {
+    const changed = await applyToBooking(io, occurrence, event, now, {
+      refundPosted: posted.includes(occurrence),
+      partialRefund: event.paymentStatus === 'refunded' && bookings.length > 1 && !fullyRefunded(occurrence)
+    });
+    if (changed) updated.push(occurrence);
+  }
+  if (!updated.length) return { outcome: 'ignored', reason: `Payment already ${statusOf(booking)}`, booking };
+  return { outcome: 'updated', booking: updated[0], bookings: updated };
+};
+
+// Run a verified event through the idempotency store exactly once. Subscription events go
+// to the pass they bill; everything else to the booking.
+// Returns { duplicate, outcome, reason, bookingId, passId }. Throws when processing fails so the
+// gateway gets a 5xx and redelivers.
+const processWebhookEvent = async (io, event) => {
+  const claim = await claimEvent(event);
+  if (!claim.claimed) {
+    return { duplicate: true, outcome: claim.record.status, bookingId: claim.record.booking || null, passId: claim.record.pass || null };
+  }
+
+  try {
+    const result = event.subscription
+      ? await applySubscriptionEvent(io, event)
+      : await applyPaymentEvent(io, event);
+    await finishEvent(event.provider, event.eventId, {
+      status: result.outcome === 'updated' ? 'processed' : 'ignored',
+      booking: result.booking?._id,
+      pass: result.pass?._id,
+      paymentStatus: result.booking?.payment?.status,
+      error: result.reason || null
+    });
+    return {
+      duplicate: false,
+      outcome: result.outcome,
+      reason: result.reason,
+      bookingId: result.booking?._id || null,
+      passId: result.pass?._id || null
+    };
+  } catch (error) {
+    await finishEvent(event.provider, event.eventId, { status: 'failed', error: error.message }).catch(() => {});
+    throw error;
+  }
+};
+
+module.exports = {
+  PAYMENT_TRANSITIONS,
+  canTransition,
+  normaliseStripeEvent,
+  normaliseRazorpayEvent,
+  applyPaymentEvent,
+  processWebhookEvent
+};
@@ -0,0 +1,239 @@
+// Shared pricing engine for booking quotes, bookings, extensions and overtime.
+// Time is billed per started hour; each hour is priced by the local time it starts at.
+
+const HOUR_MS = 60 * 60 * 1000;
+const TAX_RATE = 0.18; // GST on parking and services
+const DEFAULT_TIMEZONE = process.env.PRICING_TIMEZONE || 'Asia/Kolkata';
+// Surge reflects current occupancy, so it only applies to bookings starting soon
+const SURGE_HORIZON_MS = parseFloat(process.env.PRICING_SURGE_HORIZON_HOURS || '3') * HOUR_MS;
+// Longest stay a single booking may cover; stays are priced hour by hour, so this bounds the work
+const MAX_STAY_DAYS = parseInt(process.env.PRICING_MAX_STAY_DAYS || '31', 10);
+// Platform-wide holidays (YYYY-MM-DD, comma separated) on top of each lot's own list
+const GLOBAL_HOLIDAYS = (process.env.PRICING_HOLIDAYS || '').split(',').map(d => d.trim()).filter(Boolean);
+
+const WEEKDAYS = { Sun: 0, Mon: 1, Tue: 2, Wed: 3, Thu: 4, Fri: 5, Sat: 6 };
+
+const money = (value) => Math.round((Number(value) || 0) * 100) / 100;
+
+const formatters = new Map();
+const formatterFor = (timeZone) => {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      weekday: 'short',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      hourCycle: 'h23'
+    }));
+  }
+  return formatters.get(timeZone);
+};
+
+// Wall-clock view of an instant in the lot's timezone
+const localTime = (date, timeZone = DEFAULT_TIMEZONE) => {
+  const parts = {};
+  formatterFor(timeZone).formatToParts(date).forEach(p => { parts[p.type] = p.value; });
+  return {
+    weekday: WEEKDAYS[parts.weekday],
+    date: `${parts.year}-${parts.month}-${parts.day}`,
+    minutes: parseInt(parts.hour, 10) * 60 + parseInt(parts.minute, 10)
+  };
+};
+
+const toMinutes = (hhmm, fallback) => {
+  const match = /^(\d{1,2}):(\d{2})$/.exec(String(hhmm || ''));
+  return match ? parseInt(match[1], 10) * 60 + parseInt(match[2], 10) : fallback;
+};
+
+// Night window may wrap midnight (22:00-06:00)
+const inWindow = (minutes, start, end) => (start <= end
+  ? minutes >= start && minutes < end
+  : minutes >= start || minutes < end);
+
+const plain = (value) => (value && typeof value.toObject === 'function' ? value.toObject() : value);
+
+// Lot pricing with defaults filled in
+const resolveRules = (lot) => {
+  const p = plain(lot?.pricing) || {};
+  const hourly = Number(p.hourly) || 0;
+  return {
+    currency: p.currency || 'INR',
+    hourly,
+    nightHourly: typeof p.nightHourly === 'number' ? p.nightHourly : hourly,
+    nightStart: toMinutes(p.nightStart, 22 * 60),
+    nightEnd: toMinutes(p.nightEnd, 6 * 60),
+    daily: Number(p.daily) > 0 ? Number(p.daily) : null,
+    weekendMultiplier: Number(p.weekendMultiplier) > 0 ? Number(p.weekendMultiplier) : 1,
+    holidayMultiplier: Number(p.holidayMultiplier) > 0 ? Number(p.holidayMultiplier) : 1,
+    holidays: new Set([...(p.holidays || []), ...GLOBAL_HOLIDAYS]),
+    surgeBands: (p.surgeBands || [])
+      .map(b => ({ minOccupancy: Number(b.minOccupancy) || 0, multiplier: Number(b.multiplier) || 1 }))
+      .filter(b => b.multiplier > 1)
+      .sort((a, b) => b.minOccupancy - a.minOccupancy),
+    timezone: lot?.timezone || DEFAULT_TIMEZONE
+  };
+};
+
+// Price one billed hour starting at `at`
+const priceHour = (rules, at) => {
+  const local = localTime(at, rules.timezone);
+  const night = inWindow(local.minutes, rules.nightStart, rules.nightEnd);
+  let dayType = 'weekday';
+  if (rules.holidays.has(local.date)) dayType = 'holiday';
+  else if (local.weekday === 0 || local.weekday === 6) dayType = 'weekend';
+  const multiplier = dayType === 'holiday' ? rules.holidayMultiplier : dayType === 'weekend' ? rules.weekendMultiplier : 1;
+  const rate = money((night ? rules.nightHourly : rules.hourly) * multiplier);
+  return { period: night ? 'night' : 'day', dayType, rate };
+};
+
+const lineLabel = ({ period, dayType }) => {
+  const base = period === 'night' ? 'Night rate' : 'Day rate';
+  return dayType === 'weekday' ? base : `${base} (${dayType})`;
+};
+
+// Surge band for the lot's current occupancy, or null
+const surgeFor = (lot, rules, startTime, now) => {
+  if (!rules.surgeBands.length) return null;
+  if (new Date(startTime) - now > SURGE_HORIZON_MS) return null;
+  const occupancyRate = Number(lot?.liveStatus?.occupancyRate) || 0;
+  const band = rules.surgeBands.find(b => occupancyRate >= b.minOccupancy);
+  return band ? { multiplier: band.multiplier, occupancyRate: Math.round(occupancyRate), minOccupancy: band.minOccupancy } : null;
+};
+
+// Reason a stay is too long to book or price, or null
+const stayError = (startTime, endTime) => (new Date(endTime) - new Date(startTime) > MAX_STAY_DAYS * 24 * HOUR_MS
+  ? `A booking can last at most ${MAX_STAY_DAYS} days`
+  : null);
+
+// Amount in the lot's currency for labels (₹200, $12.5); codes Intl doesn't know print as-is
+const formatAmount = (amount, currency) => {
+  try {
+    return new Intl.NumberFormat('en-IN', { style: 'currency', currency, minimumFractionDigits: 0, maximumFractionDigits: 2 }).format(amount);
+  } catch (err) {
+    return `${amount} ${currency}`;
+  }
+};
+
+// Itemised parking price for [startTime, endTime) before services and tax
+const priceParking = (lot, startTime, endTime, { applySurge = true, now = new Date() } = {}) => {
+  const rules = resolveRules(lot);
+  const start = new Date(startTime);
+  const durationMs = Math.max(0, new Date(endTime) - start);
+  const hours = Math.ceil(durationMs / HOUR_MS);
+
+  const lineItems = [];
+  const hourCounts = { day: 0, night: 0, weekend: 0, holiday: 0 };
+  let subtotal = 0;
+  let capSavings = 0;
+
+  // Each 24h block from the start is capped at the daily rate
+  for (let blockStart = 0; blockStart < hours; blockStart += 24) {
+    const blockEnd = Math.min(hours, blockStart + 24);
+    let blockTotal = 0;
+    for (let i = blockStart; i < blockEnd; i++) {
+      const hour = priceHour(rules, new Date(start.getTime() + i * HOUR_MS));
+      hourCounts[hour.period] += 1;
+      if (hour.dayType !== 'weekday') hourCounts[hour.dayType] += 1;
+      blockTotal += hour.rate;
+      const label = lineLabel(hour);
+      const last = lineItems[lineItems.length - 1];
+      if (last && last.label === label && last.unitPrice === hour.rate) {
+        last.quantity += 1;
+        last.amount = money(last.amount + hour.rate);
+      } else {
+        lineItems.push({ type: 'parking', label, quantity: 1, unitPrice: hour.rate, amount: hour.rate });
+      }
+    }
+    subtotal += blockTotal;
+    if (rules.daily !== null && blockTotal > rules.daily) capSavings += blockTotal - rules.daily;
+  }
+
+  if (capSavings > 0) {
+    lineItems.push({ type: 'cap', label: `Daily cap (${formatAmount(rules.daily, rules.currency)}/day)`, quantity: 1, unitPrice: -money(capSavings), amount: -money(capSavings) });
+    subtotal -= capSavings;
+  }
+
+  const surge = applySurge ? surgeFor(lot, rules, start, now) : null;
+  if (surge) {
+    const surcharge = money(subtotal * (surge.multiplier - 1));
+    lineItems.push({
+      type: 'surge',
+      label: `High demand (${surge.occupancyRate}% full, x${surge.multiplier})`,
+      quantity: 1,
+      unitPrice: surcharge,
+      amount: surcharge
+    });
+    subtotal += surcharge;
+  }
+
+  return {
+    currency: rules.currency,
+    hours,
+    minutes: Math.floor((durationMs % HOUR_MS) / (60 * 1000)),
+    basePrice: money(subtotal),
+    lineItems,
+    appliedRules: {
+      hourCounts,
+      dailyCap: capSavings > 0 ? rules.daily : null,
+      surge
+    }
+  };
+};
+
+// Full quote: parking + service add-ons + GST, itemised for the UI. Tax is rounded per
+// component the same way the ledger posts it, so quotes and receipts match to the paisa.
+const quoteBooking = (lot, { startTime, endTime, services = [], applySurge = true, now = new Date() }) => {
+  const parking = priceParking(lot, startTime, endTime, { applySurge, now });
+  const lineItems = [...parking.lineItems];
+  let serviceFees = 0;
+  let taxes = money(parking.basePrice * TAX_RATE);
+  for (const svc of services) {
+    const amount = money((svc.price || 0) * (svc.quantity || 1));
+    serviceFees += amount;
+    taxes += money(amount * TAX_RATE);
+    lineItems.push({ type: 'service', label: svc.name || 'Service', serviceId: svc.serviceId, quantity: svc.quantity || 1, unitPrice: money(svc.price), amount });
+  }
+  taxes = money(taxes);
+  lineItems.push({ type: 'tax', label: `GST (${Math.round(TAX_RATE * 100)}%)`, quantity: 1, unitPrice: taxes, amount: taxes });
+
+  return {
+    currency: parking.currency,
+    duration: { hours: parking.hours, minutes: parking.minutes },
+    basePrice: parking.basePrice,
+    serviceFees: money(serviceFees),
+    discounts: 0,
+    taxes,
+    totalAmount: money(parking.basePrice + serviceFees + taxes),
+    lineItems,
+    appliedRules: parking.appliedRules
+  };
+};
+
+// Extra parking charge for moving a booking's end from oldEnd to newEnd. Priced as the
+// difference between the whole stays so daily caps span the extension.
+const priceExtension = (lot, { startTime, oldEndTime, newEndTime, now = new Date() }) => {
+  const before = priceParking(lot, startTime, oldEndTime, { applySurge: false, now });
+  const after = priceParking(lot, startTime, newEndTime, { applySurge: false, now });
+  return {
+    basePrice: money(Math.max(0, after.basePrice - before.basePrice)),
+    hours: after.hours - before.hours,
+    lineItems: after.lineItems,
+    appliedRules: after.appliedRules
+  };
+};
+
+module.exports = {
+  TAX_RATE,
+  MAX_STAY_DAYS,
+  localTime,
+  toMinutes,
+  inWindow,
+  resolveRules,
+  stayError,
+  priceParking,
+  quoteBooking,
+  priceExtension
+};
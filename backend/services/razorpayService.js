@@ -113,15 +113,20 @@ const createCustomer = async ({ name, email, contact, notes = {} }) => {
   }
 };
 
-// Webhook signature verification
-const verifyWebhookSignature = (body, signature, secret = process.env.RAZORPAY_KEY_SECRET) => {
+// Webhook signature verification. Razorpay signs the exact request bytes, so pass the raw
+// body; re-serialised JSON only matches when key order and spacing happen to survive.
+const verifyWebhookSignature = (body, signature, secret = process.env.RAZORPAY_WEBHOOK_SECRET || process.env.RAZORPAY_KEY_SECRET) => {
   try {
+    if (!signature || !secret) return false;
+    const payload = Buffer.isBuffer(body) || typeof body === 'string' ? body : JSON.stringify(body);
     const expectedSignature = crypto
       .createHmac('sha256', secret)
-      .update(JSON.stringify(body))
+      .update(payload)
       .digest('hex');
 
-    return expectedSignature === signature;
+    const expected = Buffer.from(expectedSignature);
+    const received = Buffer.from(String(signature));
+    return expected.length === received.length && crypto.timingSafeEqual(expected, received);
   } catch (error) {
     console.error('Razorpay webhook verification error:', error);
     return false;
@@ -0,0 +1,113 @@
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const ParkingLot = require('../models/ParkingLot');
+const logger = require('../config/logger');
+const { SOCKET_CONTRACT_VERSION, ROOMS, SERVER_EVENTS, CLIENT_EVENTS } = require('../config/socketEvents');
+
+const toId = (value) => (value ? String(value._id || value) : null);
+
+// Deliver a contract event to the rooms its audience allows. `lotId` addresses the lot
+// and owner rooms, `userId` (one id or several) the user rooms; audiences without a target
+// are skipped.
+const publish = (io, event, payload, { lotId, userId } = {}) => {
+  const spec = SERVER_EVENTS[event];
+  if (!spec) throw new Error(`Unknown socket event: ${event}`);
+  if (!io) return;
+
+  const lot = toId(lotId);
+  const users = [].concat(userId || []).map(toId).filter(Boolean);
+  const rooms = spec.audience
+    .flatMap(audience => {
+      if (audience === 'user') return users.map(ROOMS.user);
+      return lot ? [ROOMS[audience](lot)] : [];
+    })
+    .filter((room, i, all) => all.indexOf(room) === i);
+  if (!rooms.length) return;
+
+  io.to(rooms).emit(event, {
+    ...payload,
+    v: SOCKET_CONTRACT_VERSION,
+    timestamp: payload.timestamp || new Date()
+  });
+};
+
+// Handshake middleware: the client sends its JWT as `auth.token` (or a Bearer header)
+const authenticateSocket = async (socket, next) => {
+  const header = socket.handshake.headers?.authorization;
+  const token = socket.handshake.auth?.token
+    || (header && header.startsWith('Bearer') ? header.split(' ')[1] : null);
+  if (!token) return next(new Error('Not authorized, no token provided'));
+
+  let decoded;
+  try {
+    decoded = jwt.verify(token, process.env.JWT_SECRET);
+  } catch (error) {
+    return next(new Error('Not authorized, token invalid'));
+  }
+
+  try {
+    const user = await User.findById(decoded.id).select('-password');
+    if (!user) return next(new Error('Not authorized, user not found'));
+    if (user.isSuspended()) return next(new Error('Your account has been suspended'));
+    socket.data.user = { id: String(user._id), role: user.role };
+    next();
+  } catch (error) {
+    logger.error('Socket authentication error:', error);
+    next(new Error('Server error in authentication'));
+  }
+};
+
+// Whether a user may receive a lot's owner-only events
+const canWatchAsOwner = async (user, lotId) => {
+  if (user.role === 'admin') return true;
+  const lot = await ParkingLot.findById(lotId).select('owner').lean();
+  return Boolean(lot && String(lot.owner) === user.id);
+};
+
+const handleConnection = (socket) => {
+  const { user } = socket.data;
+  socket.join(ROOMS.user(user.id));
+  socket.emit('session', { userId: user.id, role: user.role, v: SOCKET_CONTRACT_VERSION, timestamp: new Date() });
+  logger.info(`User ${user.id} connected: ${socket.id}`);
+
+  socket.on(CLIENT_EVENTS.joinLot, async (lotId, ack) => {
+    const reply = typeof ack === 'function' ? ack : () => {};
+    if (!mongoose.Types.ObjectId.isValid(String(lotId))) {
+      return reply({ ok: false, message: 'Invalid parking lot id' });
+    }
+    socket.join(ROOMS.lot(lotId));
+    let owner = false;
+    try {
+      owner = await canWatchAsOwner(user, lotId);
+    } catch (error) {
+      logger.error(`Owner check failed for lot ${lotId}:`, error);
+    }
+    if (owner) socket.join(ROOMS.lotOwner(lotId));
+    logger.info(`Socket ${socket.id} joined lot-${lotId}${owner ? ' as owner' : ''}`);
+    reply({ ok: true, owner });
+  });
+
+  socket.on(CLIENT_EVENTS.leaveLot, (lotId, ack) => {
+    socket.leave(ROOMS.lot(lotId));
+    socket.leave(ROOMS.lotOwner(lotId));
+    logger.info(`Socket ${socket.id} left lot-${lotId}`);
+    if (typeof ack === 'function') ack({ ok: true });
+  });
+
+  socket.on('disconnect', () => {
+    logger.info(`User disconnected: ${socket.id}`);
+  });
+};
+
+const attachRealtime = (io) => {
+  io.use(authenticateSocket);
+  io.on('connection', handleConnection);
+};
+
+module.exports = {
+  publish,
+  authenticateSocket,
+  handleConnection,
+  attachRealtime
+};
@@ -0,0 +1,76 @@
+const { localTime } = require('./pricingService');
+
+// Expands a recurrence rule into concrete booking windows. The first window is the booking
+// the user picked; repeats keep its local wall-clock start and duration in the lot's timezone.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_TIMEZONE = process.env.PRICING_TIMEZONE || 'Asia/Kolkata';
+// Upper bound on occurrences per series, and on how far ahead a series may run
+const MAX_OCCURRENCES = parseInt(process.env.RECURRENCE_MAX_OCCURRENCES || '60', 10);
+const MAX_SPAN_DAYS = parseInt(process.env.RECURRENCE_MAX_DAYS || '92', 10);
+
+const FREQUENCIES = ['daily', 'weekdays', 'weekly', 'custom'];
+const WEEKDAYS = [1, 2, 3, 4, 5];
+
+// Days of week (0 = Sunday) a rule repeats on, given the weekday of the first occurrence
+const daysFor = (rule, firstWeekday) => {
+  switch (rule.frequency) {
+    case 'daily': return [0, 1, 2, 3, 4, 5, 6];
+    case 'weekdays': return WEEKDAYS;
+    case 'weekly': return [firstWeekday];
+    case 'custom': return [...new Set((rule.days || []).map(Number))].filter(d => d >= 0 && d <= 6);
+    default: return [];
+  }
+};
+
+// Validate a rule against the first window. Returns an error message or null.
+const validateRule = (rule, startTime) => {
+  if (!rule || !FREQUENCIES.includes(rule.frequency)) return `Recurrence frequency must be one of ${FREQUENCIES.join(', ')}`;
+  if (rule.frequency === 'custom' && !daysFor(rule).length) return 'Custom recurrence needs at least one day of the week';
+  const until = new Date(rule.until);
+  if (!rule.until || Number.isNaN(until.getTime())) return 'Recurrence end date is required';
+  if (until < new Date(startTime)) return 'Recurrence end date must be after the first booking';
+  if (until - new Date(startTime) > MAX_SPAN_DAYS * DAY_MS) return `Recurring bookings can run at most ${MAX_SPAN_DAYS} days ahead`;
+  return null;
+};
+
+// Minutes to shift a candidate so it keeps the first start's local time across DST changes
+const dstShiftMinutes = (first, candidate, timeZone) => {
+  let diff = localTime(first, timeZone).minutes - localTime(candidate, timeZone).minutes;
+  if (diff > 720) diff -= 1440;
+  if (diff < -720) diff += 1440;
+  return diff;
+};
+
+// Expand [startTime, endTime) under `rule` up to and including the local date of rule.until.
+// The first window is always included when its day matches the rule. Returns
+// [{ index, startTime, endTime }], capped at MAX_OCCURRENCES.
+const expandRecurrence = ({ startTime, endTime }, rule, { timezone = DEFAULT_TIMEZONE } = {}) => {
+  const first = new Date(startTime);
+  const durationMs = new Date(endTime) - first;
+  const firstLocal = localTime(first, timezone);
+  const days = new Set(daysFor(rule, firstLocal.weekday));
+  const lastDate = localTime(new Date(rule.until), timezone).date;
+
+  const occurrences = [];
+  for (let offset = 0; occurrences.length < MAX_OCCURRENCES; offset++) {
+    let candidate = new Date(first.getTime() + offset * DAY_MS);
+    candidate = new Date(candidate.getTime() + dstShiftMinutes(first, candidate, timezone) * 60 * 1000);
+    const local = localTime(candidate, timezone);
+    if (local.date > lastDate) break;
+    if (!days.has(local.weekday)) continue;
+    occurrences.push({
+      index: occurrences.length,
+      startTime: candidate,
+      endTime: new Date(candidate.getTime() + durationMs)
+    });
+  }
+  return occurrences;
+};
+
+module.exports = {
+  FREQUENCIES,
+  MAX_OCCURRENCES,
+  validateRule,
+  expandRecurrence
+};
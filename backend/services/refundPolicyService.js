@@ -0,0 +1,142 @@
+// Cancellation/refund policies. Lots pick a preset or a custom tier table; the
+// calculator below is the single place refund amounts are decided.
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Tiers are evaluated highest threshold first: cancelling at least `hoursBeforeStart`
+// before the booking starts refunds `refundPercent` of what was paid.
+const PRESET_POLICIES = {
+  flexible: {
+    cutoffHours: 0,
+    tiers: [{ hoursBeforeStart: 0, refundPercent: 100 }]
+  },
+  // Original platform rules: full refund 24h+ ahead, half refund 1-24h ahead
+  moderate: {
+    cutoffHours: 1,
+    tiers: [{ hoursBeforeStart: 24, refundPercent: 100 }, { hoursBeforeStart: 1, refundPercent: 50 }]
+  },
+  strict: {
+    cutoffHours: 1,
+    tiers: [{ hoursBeforeStart: 168, refundPercent: 100 }, { hoursBeforeStart: 72, refundPercent: 50 }]
+  },
+  'non-refundable': {
+    cutoffHours: 1,
+    tiers: []
+  }
+};
+
+const DEFAULT_PRESET = 'moderate';
+
+const money = (value) => Math.round((Number(value) || 0) * 100) / 100;
+
+const plain = (value) => (value && typeof value.toObject === 'function' ? value.toObject() : value);
+
+// Effective policy for a lot: preset defaults overlaid with the lot's own settings.
+// Lots without a policy (or unpopulated lot ids) get the default preset.
+const resolvePolicy = (lot) => {
+  const stored = plain(lot?.cancellationPolicy) || {};
+  const preset = PRESET_POLICIES[stored.preset] ? stored.preset : (stored.preset === 'custom' ? 'custom' : DEFAULT_PRESET);
+  const base = PRESET_POLICIES[preset] || PRESET_POLICIES[DEFAULT_PRESET];
+  const tiers = preset === 'custom' && Array.isArray(stored.tiers) ? stored.tiers : base.tiers;
+  return {
+    preset,
+    cutoffHours: typeof stored.cutoffHours === 'number' ? stored.cutoffHours : base.cutoffHours,
+    tiers: [...tiers]
+      .map(t => ({ hoursBeforeStart: Number(t.hoursBeforeStart) || 0, refundPercent: Math.min(100, Math.max(0, Number(t.refundPercent) || 0)) }))
+      .sort((a, b) => b.hoursBeforeStart - a.hoursBeforeStart),
+    cancellationFee: {
+      type: stored.cancellationFee?.type || 'none',
+      amount: Number(stored.cancellationFee?.amount) || 0
+    },
+    earlyBird: {
+      enabled: Boolean(stored.earlyBird?.enabled),
+      minHoursAhead: Number(stored.earlyBird?.minHoursAhead) || 0
+    }
+  };
+};
+
+// Human-readable summary for booking pages
+const describePolicy = (policy) => {
+  if (!policy.tiers.length) return 'Non-refundable';
+  return policy.tiers
+    .map(t => (t.hoursBeforeStart > 0
+      ? `${t.refundPercent}% refund if cancelled ${t.hoursBeforeStart}h+ before start`
+      : `${t.refundPercent}% refund if cancelled before start`))
+    .join('; ');
+};
+
+// Booked far enough ahead to count as the lot's non-refundable early-bird rate
+const isEarlyBird = (booking, policy) => {
+  if (!policy.earlyBird.enabled || !booking.createdAt) return false;
+  const leadMs = new Date(booking.bookingDetails.startTime) - new Date(booking.createdAt);
+  return leadMs >= policy.earlyBird.minHoursAhead * HOUR_MS;
+};
+
+// Quote what cancelling `booking` at `now` would refund under the lot's policy.
+// `lot` defaults to the booking's populated parkingLot. Refunds come out of what was captured
+// (payment.amountPaid, kept by applyLedgerTotals), not charges still waiting to be collected.
+const quoteRefund = (booking, { lot, now = new Date() } = {}) => {
+  const policy = resolvePolicy(lot || booking.parkingLot);
+  const hoursUntilStart = (new Date(booking.bookingDetails.startTime) - now) / HOUR_MS;
+  const captured = typeof booking.payment?.amountPaid === 'number' ? booking.payment.amountPaid : (booking.pricing?.totalAmount || 0);
+  const paid = money(captured - (booking.payment?.refundAmount || 0));
+
+  const quote = {
+    cancellable: true,
+    reason: null,
+    policy: { ...policy, summary: describePolicy(policy) },
+    hoursUntilStart: Math.round(hoursUntilStart * 100) / 100,
+    paidAmount: booking.payment?.status === 'completed' ? paid : 0,
+    refundPercent: 0,
+    grossRefund: 0,
+    cancellationFee: 0,
+    refundAmount: 0
+  };
+
+  if (!['pending', 'confirmed'].includes(booking.status)) {
+    return { ...quote, cancellable: false, reason: `Bookings that are ${booking.status} cannot be cancelled` };
+  }
+  if (hoursUntilStart <= policy.cutoffHours) {
+    return {
+      ...quote,
+      cancellable: false,
+      reason: policy.cutoffHours > 0
+        ? `Cancellations close ${policy.cutoffHours} hour(s) before start`
+        : 'Booking has already started'
+    };
+  }
+  if (quote.paidAmount <= 0) {
+    return { ...quote, reason: 'Nothing has been charged for this booking' };
+  }
+  if (isEarlyBird(booking, policy)) {
+    return { ...quote, reason: 'Early-bird bookings are non-refundable' };
+  }
+
+  const tier = policy.tiers.find(t => hoursUntilStart >= t.hoursBeforeStart);
+  if (!tier) {
+    return { ...quote, reason: 'Outside the refund window for this lot' };
+  }
+
+  const grossRefund = money(quote.paidAmount * tier.refundPercent / 100);
+  let fee = 0;
+  if (grossRefund > 0 && policy.cancellationFee.type === 'flat') fee = policy.cancellationFee.amount;
+  if (grossRefund > 0 && policy.cancellationFee.type === 'percent') fee = quote.paidAmount * policy.cancellationFee.amount / 100;
+  fee = money(Math.min(grossRefund, fee));
+
+  return {
+    ...quote,
+    tier,
+    refundPercent: tier.refundPercent,
+    grossRefund,
+    cancellationFee: fee,
+    refundAmount: money(grossRefund - fee)
+  };
+};
+
+module.exports = {
+  PRESET_POLICIES,
+  DEFAULT_PRESET,
+  resolvePolicy,
+  describePolicy,
+  quoteRefund
+};
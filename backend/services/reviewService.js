@@ -0,0 +1,108 @@
+const mongoose = require('mongoose');
+const Review = require('../models/Review');
+const ParkingLot = require('../models/ParkingLot');
+const Service = require('../models/Service');
+
+// Reports from this many different users hide a review until an admin looks at it
+const REPORT_HIDE_THRESHOLD = parseInt(process.env.REVIEW_REPORT_HIDE_THRESHOLD || '3', 10);
+
+const toId = (value) => (value && value._id ? value._id : value);
+// Aggregation pipelines don't cast, so ids must be real ObjectIds
+const toObjectId = (value) => new mongoose.Types.ObjectId(String(toId(value)));
+const round1 = (value) => Math.round(value * 10) / 10;
+
+// { average, count, distribution: { 1..5 } } over published reviews matching `match`
+const summariseRatings = (rows) => {
+  const distribution = { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 };
+  let total = 0;
+  let count = 0;
+  rows.forEach(({ _id: score, n }) => {
+    distribution[score] = n;
+    total += score * n;
+    count += n;
+  });
+  return { average: count ? round1(total / count) : 0, count, distribution };
+};
+
+const lotRatingSummary = async (lotId) => summariseRatings(await Review.aggregate([
+  { $match: { parkingLot: toObjectId(lotId), status: 'published' } },
+  { $group: { _id: '$rating', n: { $sum: 1 } } }
+]));
+
+const serviceRatingSummary = async (serviceId) => summariseRatings(await Review.aggregate([
+  { $match: { 'serviceRatings.service': toObjectId(serviceId), status: 'published' } },
+  { $unwind: '$serviceRatings' },
+  { $match: { 'serviceRatings.service': toObjectId(serviceId) } },
+  { $group: { _id: '$serviceRatings.score', n: { $sum: 1 } } }
+]));
+
+// Recompute stored averages from published reviews. Called after any review is created,
+// hidden or restored so the denormalised ratings never drift.
+const refreshRatings = async (review) => {
+  const lot = await lotRatingSummary(review.parkingLot);
+  await ParkingLot.updateOne(
+    { _id: toId(review.parkingLot) },
+    { $set: { 'rating.average': lot.average, 'rating.count': lot.count } }
+  );
+  for (const { service } of review.serviceRatings || []) {
+    const summary = await serviceRatingSummary(service);
+    await Service.updateOne(
+      { _id: toId(service) },
+      { $set: { 'provider.rating.average': summary.average, 'provider.rating.count': summary.count } }
+    );
+  }
+  return lot;
+};
+
+// Record a report from `userId`. Returns { duplicate } or { hidden } once the threshold is hit.
+const reportReview = async (review, { userId, reason }) => {
+  if (review.reports.some(r => r.user?.toString() === String(userId))) {
+    return { duplicate: true };
+  }
+  review.reports.push({ user: userId, reason });
+  const hide = review.status === 'published' && !review.moderatedAt && review.reports.length >= REPORT_HIDE_THRESHOLD;
+  if (hide) review.status = 'hidden';
+  await review.save();
+  if (hide) await refreshRatings(review);
+  return { duplicate: false, hidden: hide };
+};
+
+const SORTS = {
+  recent: { createdAt: -1 },
+  highest: { rating: -1, createdAt: -1 },
+  lowest: { rating: 1, createdAt: -1 }
+};
+
+// One page of published reviews; reporter identities stay private
+const listReviews = async (match, { page = 1, limit = 10, sort = 'recent' } = {}) => {
+  const filter = { ...match, status: 'published' };
+  const [reviews, total] = await Promise.all([
+    Review.find(filter)
+      .select('-reports')
+      .populate('user', 'name avatar')
+      .populate('serviceRatings.service', 'name')
+      .sort(SORTS[sort] || SORTS.recent)
+      .skip((page - 1) * limit)
+      .limit(limit),
+    Review.countDocuments(filter)
+  ]);
+  return {
+    reviews,
+    pagination: {
+      current: page,
+      total: Math.ceil(total / limit),
+      totalReviews: total
+    }
+  };
+};
+
+module.exports = {
+  REPORT_HIDE_THRESHOLD,
+  SORTS,
+  summariseRatings,
+  lotRatingSummary,
+  serviceRatingSummary,
+  refreshRatings,
+  reportReview,
+  listReviews
+};
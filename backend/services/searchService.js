@@ -0,0 +1,233 @@
+const ParkingLot = require('../models/ParkingLot');
+const { checkAvailabilityForLots } = require('./availabilityService');
+const { isOpenAt, isOpenBetween, describeHours } = require('./hoursService');
+
+// Lot search for GET /api/parking/search. Mongo narrows the candidates with the indexed
+// filters (text, geo, vehicle type, amenities, price, rating); opening hours (hoursService)
+// and availability for a time window are checked here on at most MAX_CANDIDATES lots, and
+// facets, sorting and cursor pagination run over what is left.
+
+const MAX_CANDIDATES = 500;
+const DEFAULT_RADIUS_KM = 10;
+const SEARCH_SORTS = ['relevance', 'distance', 'price', 'rating'];
+const PRICE_BANDS = [
+  { key: '0-20', min: 0, max: 20 },
+  { key: '20-50', min: 20, max: 50 },
+  { key: '50-100', min: 50, max: 100 },
+  { key: '100+', min: 100, max: Infinity }
+];
+const RATING_FLOORS = [4, 3, 2];
+
+// Fields a search result is built from (slots only matter for window availability)
+const CANDIDATE_FIELDS = {
+  name: 1,
+  location: 1,
+  capacity: 1,
+  vehicleTypes: 1,
+  'pricing.hourly': 1,
+  'pricing.nightHourly': 1,
+  'pricing.currency': 1,
+  amenities: 1,
+  operatingHours: 1,
+  hoursExceptions: 1,
+  images: { $slice: ['$images', 1] },
+  rating: 1,
+  isVerified: 1,
+  timezone: 1,
+  slots: 1,
+  distance: 1,
+  score: 1
+};
+
+// Mongo filter for the indexed criteria
+const buildCandidateFilter = ({ vehicleType, amenities = [], minPrice, maxPrice, minRating }, { hideUnverified = false } = {}) => {
+  const filter = { status: 'active' };
+  if (hideUnverified) filter.isVerified = true;
+  if (vehicleType) filter.vehicleTypes = vehicleType;
+  if (amenities.length) filter.amenities = { $all: amenities };
+  if (minPrice !== undefined || maxPrice !== undefined) {
+    filter['pricing.hourly'] = {};
+    if (minPrice !== undefined) filter['pricing.hourly'].$gte = minPrice;
+    if (maxPrice !== undefined) filter['pricing.hourly'].$lte = maxPrice;
+  }
+  if (minRating) filter['rating.average'] = { $gte: minRating };
+  return filter;
+};
+
+// $geoNear has to be the first stage and cannot follow a $text match, so a search with both
+// runs the text query first and hands its matches (with their scores) to $geoNear.
+const findCandidates = async (criteria, options = {}) => {
+  const filter = buildCandidateFilter(criteria, options);
+  const geo = criteria.lat !== undefined && criteria.lng !== undefined;
+  const project = { $project: CANDIDATE_FIELDS };
+  const limit = { $limit: MAX_CANDIDATES };
+
+  if (!geo) {
+    if (criteria.q) {
+      return ParkingLot.aggregate([
+        { $match: { $text: { $search: criteria.q }, ...filter } },
+        { $addFields: { score: { $meta: 'textScore' } } },
+        { $sort: { score: -1 } },
+        limit,
+        project
+      ]);
+    }
+    return ParkingLot.aggregate([{ $match: filter }, { $sort: { 'rating.average': -1 } }, limit, project]);
+  }
+
+  let scores = null;
+  if (criteria.q) {
+    const hits = await ParkingLot.find({ $text: { $search: criteria.q }, ...filter }, { score: { $meta: 'textScore' } })
+      .sort({ score: { $meta: 'textScore' } })
+      .limit(MAX_CANDIDATES)
+      .lean();
+    scores = new Map(hits.map(hit => [String(hit._id), hit.score]));
+    if (!scores.size) return [];
+    filter._id = { $in: hits.map(hit => hit._id) };
+  }
+  const lots = await ParkingLot.aggregate([
+    {
+      $geoNear: {
+        near: { type: 'Point', coordinates: [criteria.lng, criteria.lat] },
+        distanceField: 'distance',
+        maxDistance: (criteria.radiusKm || DEFAULT_RADIUS_KM) * 1000,
+        spherical: true,
+        query: filter
+      }
+    },
+    limit,
+    project
+  ]);
+  if (scores) lots.forEach(lot => { lot.score = scores.get(String(lot._id)); });
+  return lots;
+};
+
+// Ascending sort key for each sort; ties fall back to the lot id
+const sortKey = (sort) => ({
+  relevance: (lot) => -(lot.score || 0),
+  distance: (lot) => lot.distance ?? Infinity,
+  price: (lot) => lot.pricing?.hourly ?? Infinity,
+  rating: (lot) => -(lot.rating?.average || 0)
+}[sort]);
+
+const compareBy = (key) => (a, b) => (key(a) - key(b)) || String(a._id).localeCompare(String(b._id));
+
+// Opaque cursor: the last result's sort key and id
+const encodeCursor = (key, lot) => Buffer.from(JSON.stringify([key(lot), String(lot._id)])).toString('base64url');
+const decodeCursor = (cursor) => {
+  try {
+    const [value, id] = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    return (typeof value === 'number' || value === null) && typeof id === 'string' ? { value: value ?? Infinity, id } : null;
+  } catch (err) {
+    return null;
+  }
+};
+
+const countFacets = (lots) => {
+  const facets = { amenities: {}, vehicleTypes: {}, price: {}, rating: {}, openNow: { open: 0, closed: 0 } };
+  PRICE_BANDS.forEach(band => { facets.price[band.key] = 0; });
+  RATING_FLOORS.forEach(floor => { facets.rating[`${floor}+`] = 0; });
+  lots.forEach(lot => {
+    (lot.amenities || []).forEach(a => { facets.amenities[a] = (facets.amenities[a] || 0) + 1; });
+    (lot.vehicleTypes || []).forEach(v => { facets.vehicleTypes[v] = (facets.vehicleTypes[v] || 0) + 1; });
+    const hourly = lot.pricing?.hourly ?? 0;
+    const band = PRICE_BANDS.find(b => hourly >= b.min && hourly < b.max);
+    if (band) facets.price[band.key] += 1;
+    RATING_FLOORS.forEach(floor => { if ((lot.rating?.average || 0) >= floor) facets.rating[`${floor}+`] += 1; });
+    facets.openNow[lot.openNow ? 'open' : 'closed'] += 1;
+  });
+  return facets;
+};
+
+// Shape of one result (matches the /nearby lots the map already understands)
+const toSearchResult = (lot, now) => ({
+  id: lot._id,
+  name: lot.name,
+  address: [lot.location?.address?.street, lot.location?.address?.city].filter(Boolean).join(', '),
+  city: lot.location?.address?.city || '',
+  lat: lot.location?.coordinates?.[1],
+  lng: lot.location?.coordinates?.[0],
+  availableSlots: lot.capacity?.available ?? 0,
+  totalSlots: lot.capacity?.total ?? 0,
+  pricePerHour: { day: lot.pricing?.hourly ?? 0, night: lot.pricing?.nightHourly ?? lot.pricing?.hourly ?? 0 },
+  currency: lot.pricing?.currency || 'INR',
+  rating: lot.rating?.average ?? 0,
+  ratingCount: lot.rating?.count ?? 0,
+  features: lot.amenities || [],
+  vehicleTypes: lot.vehicleTypes || [],
+  image: lot.images?.[0]?.url || null,
+  verified: Boolean(lot.isVerified),
+  distanceMeters: lot.distance,
+  relevance: lot.score,
+  openNow: lot.openNow,
+  hours: describeHours(lot, now),
+  window: lot.window
+});
+
+// Run a search. `criteria` is already validated (see the route); `sort` defaults to relevance
+// for text searches, distance near a point and rating otherwise.
+const searchLots = async (criteria, { hideUnverified = false, now = new Date() } = {}) => {
+  const geo = criteria.lat !== undefined && criteria.lng !== undefined;
+  const sort = criteria.sort || (criteria.q ? 'relevance' : geo ? 'distance' : 'rating');
+  const limit = criteria.limit || 20;
+
+  const candidates = await findCandidates(criteria, { hideUnverified });
+  const capped = candidates.length >= MAX_CANDIDATES;
+  let lots = candidates.map(lot => ({ ...lot, openNow: isOpenAt(lot, now) }));
+  if (criteria.openNow) lots = lots.filter(lot => lot.openNow);
+
+  if (criteria.startTime && criteria.endTime) {
+    // Lots closed for any part of the window can't take the booking whatever their spots
+    lots = lots.filter(lot => isOpenBetween(lot, criteria.startTime, criteria.endTime));
+    const windows = await checkAvailabilityForLots(lots, {
+      vehicleType: criteria.vehicleType,
+      startTime: criteria.startTime,
+      endTime: criteria.endTime,
+      now
+    });
+    lots = lots
+      .map(lot => {
+        const result = windows.get(String(lot._id));
+        return { ...lot, window: { available: result.available, freeSpots: result.freeSpots } };
+      })
+      .filter(lot => lot.window.available);
+  } else if (criteria.availableOnly) {
+    lots = lots.filter(lot => (lot.capacity?.available || 0) > 0);
+  }
+
+  const key = sortKey(sort);
+  lots.sort(compareBy(key));
+  const facets = countFacets(lots);
+
+  let start = 0;
+  if (criteria.cursor) {
+    const after = decodeCursor(criteria.cursor);
+    if (!after) return { error: 'Invalid cursor' };
+    start = lots.findIndex(lot => key(lot) > after.value || (key(lot) === after.value && String(lot._id) > after.id));
+    if (start === -1) start = lots.length;
+  }
+  const page = lots.slice(start, start + limit);
+  const hasMore = start + limit < lots.length;
+
+  return {
+    lots: page.map(lot => toSearchResult(lot, now)),
+    facets,
+    sort,
+    pagination: {
+      limit,
+      total: lots.length,
+      capped,
+      hasMore,
+      nextCursor: hasMore ? encodeCursor(key, page[page.length - 1]) : null
+    }
+  };
+};
+
+module.exports = {
+  MAX_CANDIDATES,
+  SEARCH_SORTS,
+  buildCandidateFilter,
+  countFacets,
+  decodeCursor,
+  searchLots
+};
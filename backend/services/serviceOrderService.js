@@ -0,0 +1,214 @@
+const ServiceOrder = require('../models/ServiceOrder');
+const { taxed, postServiceOrderCharge, applyLedgerTotals } = require('./ledgerService');
+const { publish } = require('./realtimeService');
+
+const MINUTE = 60 * 1000;
+const QUARTER_HOUR = 15 * MINUTE;
+// Used when a service does not say how long it takes
+const DEFAULT_DURATION_MINUTES = 30;
+
+// Allowed moves between statuses. Customers may only cancel, and only before work starts.
+const TRANSITIONS = {
+  requested: ['accepted', 'cancelled'],
+  accepted: ['in-progress', 'cancelled'],
+  'in-progress': ['done', 'cancelled'],
+  done: [],
+  cancelled: []
+};
+const ORDER_STATUSES = Object.keys(TRANSITIONS);
+const ACTIVE_STATUSES = ['requested', 'accepted', 'in-progress'];
+const CUSTOMER_CANCELLABLE = ['requested', 'accepted'];
+// Bookings that can still take add-ons
+const ORDERABLE_BOOKING_STATUSES = ['pending', 'confirmed', 'active', 'extended'];
+
+const toId = (value) => (value ? String(value._id || value) : null);
+
+const durationOf = (service) => {
+  const estimated = Number(service?.details?.duration?.estimated);
+  return estimated > 0 ? estimated : DEFAULT_DURATION_MINUTES;
+};
+
+// `isOpen` check for findServiceWindow against the service's hours in the lot's timezone
+const openHoursOf = (service, booking) => (start, end) => service.isOpenBetween(start, end, booking.parkingLot?.timezone);
+
+// Earliest stretch of `minutes` inside the booking window that does not overlap the
+// vehicle's other active orders and, given `isOpen(start, end)`, falls in the service's
+// hours. With `preferredStart` only that exact start is tried. Returns { start, end } or { error }.
+const findServiceWindow = (booking, minutes, taken = [], { preferredStart, now = new Date(), isOpen = () => true } = {}) => {
+  const windowStart = new Date(booking.bookingDetails.startTime).getTime();
+  const windowEnd = new Date(booking.bookingDetails.endTime).getTime();
+  const earliest = Math.max(windowStart, Math.ceil(now.getTime() / MINUTE) * MINUTE);
+  const length = minutes * MINUTE;
+  const busy = taken
+    .filter(o => o.scheduledStart && o.scheduledEnd)
+    .map(o => ({ start: new Date(o.scheduledStart).getTime(), end: new Date(o.scheduledEnd).getTime() }))
+    .sort((a, b) => a.start - b.start);
+  const clashes = (from) => busy.some(b => from < b.end && b.start < from + length);
+  const open = (from) => isOpen(new Date(from), new Date(from + length));
+  const window = (from) => ({ start: new Date(from), end: new Date(from + length) });
+
+  if (preferredStart) {
+    const from = new Date(preferredStart).getTime();
+    if (from < earliest || from + length > windowEnd) {
+      return { error: `The service takes ${minutes} minutes and must fit inside the booking` };
+    }
+    if (clashes(from)) return { error: 'Another service is already scheduled on this vehicle at that time' };
+    if (!open(from)) return { error: 'The service is not offered at that time' };
+    return window(from);
+  }
+
+  // Candidate starts: right away, after each scheduled service, and every quarter hour
+  const candidates = [earliest, ...busy.map(b => b.end).filter(end => end > earliest)];
+  for (let t = Math.ceil(earliest / QUARTER_HOUR) * QUARTER_HOUR; t + length <= windowEnd; t += QUARTER_HOUR) candidates.push(t);
+  const free = candidates.sort((a, b) => a - b).filter(from => from + length <= windowEnd && !clashes(from));
+  if (!free.length) {
+    return { error: `Not enough time left in the booking for this service (needs ${minutes} minutes)` };
+  }
+  const from = free.find(open);
+  if (from === undefined) return { error: 'The service is not offered at any free time during this booking' };
+  return window(from);
+};
+
+// Why `actor` ('customer' or 'staff') may not move an order to `to`, or null when allowed
+const transitionError = (order, to, actor) => {
+  if (!(TRANSITIONS[order.status] || []).includes(to)) return `Cannot move a ${order.status} order to ${to}`;
+  if (actor === 'customer' && !(to === 'cancelled' && CUSTOMER_CANCELLABLE.includes(order.status))) {
+    return order.status === 'in-progress'
+      ? 'The service has already started; ask the lot staff to cancel it'
+      : 'Only lot staff can update this order';
+  }
+  return null;
+};
+
+const applyStatus = (order, to, { by, note, now = new Date() } = {}) => {
+  order.status = to;
+  if (to === 'in-progress') order.startedAt = now;
+  if (to === 'done') order.completedAt = now;
+  if (to === 'cancelled') {
+    order.cancelledAt = now;
+    if (note) order.cancellationReason = note;
+  }
+  order.history.push({ status: to, at: now, by, note });
+  return order;
+};
+
+// New order for a service on an existing booking. Returns { order } or { status, message }.
+const createServiceOrder = async ({ booking, service, quantity = 1, preferredStart, notes, user, now = new Date() }) => {
+  if (!ORDERABLE_BOOKING_STATUSES.includes(booking.status)) {
+    return { status: 400, message: `Services cannot be added to a ${booking.status} booking` };
+  }
+  if (new Date(booking.bookingDetails.endTime) <= now) {
+    return { status: 400, message: 'This booking has already ended' };
+  }
+  const lotId = toId(booking.parkingLot);
+  if (!service.isAvailableAt(lotId)) {
+    return { status: 400, message: `${service.name} is not offered at this parking lot` };
+  }
+  const vehicleTypes = service.details?.vehicleTypes || [];
+  if (vehicleTypes.length && !vehicleTypes.includes(booking.vehicle?.type)) {
+    return { status: 400, message: `${service.name} is not available for ${booking.vehicle?.type}s` };
+  }
+
+  const minutes = durationOf(service) * quantity;
+  const taken = await ServiceOrder.find({ booking: booking._id, status: { $in: ACTIVE_STATUSES } })
+    .select('scheduledStart scheduledEnd');
+  const slot = findServiceWindow(booking, minutes, taken, { preferredStart, now, isOpen: openHoursOf(service, booking) });
+  if (slot.error) return { status: 409, message: slot.error };
+
+  const unitPrice = service.getPriceFor(lotId);
+  const order = await ServiceOrder.create({
+    booking: booking._id,
+    user: toId(booking.user),
+    parkingLot: lotId,
+    service: service._id,
+    serviceName: service.name,
+    quantity,
+    unitPrice,
+    amount: taxed(unitPrice * quantity).amount,
+    scheduledStart: slot.start,
+    scheduledEnd: slot.end,
+    provider: service.provider?.name ? { name: service.provider.name, phone: service.provider.contact?.phone } : undefined,
+    billing: { mode: 'on-completion' },
+    notes,
+    history: [{ status: 'requested', at: now, by: user }]
+  });
+  return { order };
+};
+
+// Orders for services chosen while booking: already paid with the booking, scheduled one
+// after another from the start of the stay where they fit
+const createBookedServiceOrders = async (booking, services, { user, now = new Date() } = {}) => {
+  const orders = [];
+  for (const item of booking.services || []) {
+    const service = services.find(s => toId(s) === toId(item.serviceId));
+    const minutes = durationOf(service) * (item.quantity || 1);
+    const slot = findServiceWindow(booking, minutes, orders, {
+      now: new Date(booking.bookingDetails.startTime),
+      isOpen: service ? openHoursOf(service, booking) : undefined
+    });
+    orders.push(await ServiceOrder.create({
+      booking: booking._id,
+      user: toId(booking.user),
+      parkingLot: toId(booking.parkingLot),
+      service: item.serviceId,
+      serviceName: item.name,
+      quantity: item.quantity || 1,
+      unitPrice: item.price,
+      amount: taxed((item.price || 0) * (item.quantity || 1)).amount,
+      scheduledStart: slot.start || null,
+      scheduledEnd: slot.end || null,
+      provider: service?.provider?.name ? { name: service.provider.name, phone: service.provider.contact?.phone } : undefined,
+      billing: { mode: 'booking' },
+      history: [{ status: 'requested', at: now, by: user }]
+    }));
+  }
+  return orders;
+};
+
+// Charge a completed pay-on-completion order to its booking and list it among the
+// booking's services (caller has loaded the booking)
+const billCompletedOrder = async (order, booking, { owner, createdBy } = {}) => {
+  if (order.billing.mode !== 'on-completion' || order.billing.transaction) return null;
+  const entry = await postServiceOrderCharge(booking, {
+    orderId: order._id,
+    base: (order.unitPrice || 0) * order.quantity,
+    service: order.service,
+    description: `Service: ${order.serviceName}`,
+    owner,
+    createdBy
+  });
+  booking.services.push({ serviceId: order.service, name: order.serviceName, price: order.unitPrice, quantity: order.quantity });
+  await applyLedgerTotals(booking);
+  await booking.save();
+  order.billing.transaction = entry._id;
+  return entry;
+};
+
+// Progress update to the customer, the lot's owner and the assigned provider
+const emitServiceOrderUpdate = (io, order) => {
+  publish(io, 'service-order-updated', {
+    orderId: order._id,
+    bookingId: toId(order.booking),
+    lotId: toId(order.parkingLot),
+    serviceName: order.serviceName,
+    status: order.status,
+    scheduledStart: order.scheduledStart,
+    scheduledEnd: order.scheduledEnd,
+    provider: order.provider?.name || null
+  }, { lotId: order.parkingLot, userId: [order.user, order.provider?.user].filter(Boolean) });
+};
+
+module.exports = {
+  ORDER_STATUSES,
+  ACTIVE_STATUSES,
+  DEFAULT_DURATION_MINUTES,
+  durationOf,
+  openHoursOf,
+  findServiceWindow,
+  transitionError,
+  applyStatus,
+  createServiceOrder,
+  createBookedServiceOrders,
+  billCompletedOrder,
+  emitServiceOrderUpdate
+};
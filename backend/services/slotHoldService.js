@@ -0,0 +1,232 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const ParkingLot = require('../models/ParkingLot');
+const logger = require('../config/logger');
+const { checkAvailability } = require('./availabilityService');
+const { publish } = require('./realtimeService');
+
+// How long a slot stays held while the user is on the payment page
+const HOLD_TTL_MS = parseInt(process.env.SLOT_HOLD_TTL_MINUTES || '10', 10) * 60 * 1000;
+// Grace period a claimed hold gets while the booking document is being written
+const CLAIM_GRACE_MS = 60 * 1000;
+// How often, and for how long, a booking waits for another booking's lot lock
+const LOT_LOCK_WAIT_MS = 50;
+const LOT_LOCK_ATTEMPTS = 40;
+const SWEEP_INTERVAL_MS = parseInt(process.env.SLOT_HOLD_SWEEP_SECONDS || '30', 10) * 1000;
+
+// Slot element that nobody else holds right now (and no pass owns)
+const unheldSlot = (slotCode, userId, now) => ({
+  code: slotCode,
+  status: { $ne: 'maintenance' },
+  passId: null,
+  $or: [
+    { 'hold.expiresAt': null },
+    { 'hold.expiresAt': { $lte: now } },
+    ...(userId ? [{ 'hold.user': userId }] : [])
+  ]
+});
+
+// Slot status viewers should show for each step of a hold
+const HOLD_STATUS = { held: 'reserved', booked: 'reserved', released: 'available', expired: 'available' };
+
+// Broadcast a hold change to everyone watching the lot
+const broadcastHold = (io, lotId, { slotCode, holdId, state, expiresAt }) => {
+  publish(io, 'slot-updated', {
+    lotId,
+    slotCode,
+    status: HOLD_STATUS[state],
+    reason: state, // held | released | expired | booked
+    holdId,
+    expiresAt: expiresAt || null
+  }, { lotId });
+};
+
+// Broadcast a slot's physical state change (a car parked in it or left) to the lot room
+const broadcastSlotStatus = (io, lotId, { slotCode, status }) => {
+  if (!slotCode) return;
+  publish(io, 'slot-updated', {
+    lotId,
+    slotCode,
+    status, // occupied | available
+    reason: status === 'occupied' ? 'check-in' : 'check-out'
+  }, { lotId });
+};
+
+// Atomically hold a slot, then confirm no booking overlaps the window.
+// Returns { ok, hold } or { ok: false, reason, availability }.
+const acquireHold = async ({ lotId, slotCode, userId, startTime, endTime, vehicleType, ttlMs = HOLD_TTL_MS }) => {
+  const now = new Date();
+  const hold = {
+    id: crypto.randomUUID(),
+    user: userId,
+    startTime: startTime ? new Date(startTime) : now,
+    endTime: endTime ? new Date(endTime) : new Date(now.getTime() + ttlMs),
+    expiresAt: new Date(now.getTime() + ttlMs)
+  };
+
+  const lot = await ParkingLot.findOneAndUpdate(
+    { _id: lotId, slots: { $elemMatch: unheldSlot(slotCode, userId, now) } },
+    { $set: { 'slots.$.hold': hold } },
+    { new: true }
+  ).select('capacity slots vehicleTypes');
+
+  if (!lot) {
+    const exists = await ParkingLot.exists({ _id: lotId, 'slots.code': slotCode });
+    return { ok: false, reason: exists ? 'Slot is currently held by another user' : 'Slot not found' };
+  }
+
+  // The hold only serialises clicks on the slot; bookings for the window still have to be checked
+  const availability = await checkAvailability(lot, {
+    vehicleType: vehicleType || lot.slots.find(s => s.code === slotCode)?.type,
+    startTime: hold.startTime,
+    endTime: hold.endTime,
+    spotNumber: slotCode,
+    holdId: hold.id
+  });
+  if (!availability.available) {
+    await releaseHold({ lotId, holdId: hold.id });
+    return { ok: false, reason: availability.reason, availability };
+  }
+
+  return { ok: true, hold: { ...hold, slotCode } };
+};
+
+// Verify a live hold belongs to the user and pin it for the booking write.
+// Returns the held slot code or null when the hold is gone or expired.
+const claimHold = async ({ lotId, holdId, userId }) => {
+  const now = new Date();
+  const lot = await ParkingLot.findOneAndUpdate(
+    { _id: lotId, slots: { $elemMatch: { 'hold.id': holdId, 'hold.user': userId, 'hold.expiresAt': { $gt: now } } } },
+    { $set: { 'slots.$.hold.expiresAt': new Date(now.getTime() + CLAIM_GRACE_MS) } },
+    { new: true, projection: { 'slots.$': 1 } }
+  );
+  return lot?.slots?.[0]?.code || null;
+};
+
+// Drop a hold (optionally only if it belongs to userId). Returns the freed slot code or null.
+const releaseHold = async ({ lotId, holdId, userId }) => {
+  const match = { 'hold.id': holdId };
+  if (userId) match['hold.user'] = userId;
+  const lot = await ParkingLot.findOneAndUpdate(
+    { _id: lotId, slots: { $elemMatch: match } },
+    { $unset: { 'slots.$.hold': '' } },
+    { projection: { 'slots.$': 1 } }
+  );
+  return lot?.slots?.[0]?.code || null;
+};
+
+// Take the lot's booking lock, waiting briefly while another booking holds it. A lock left
+// behind by a crashed request lapses after the claim grace period. Returns the lock id or null.
+const acquireLotLock = async (lotId) => {
+  const id = crypto.randomUUID();
+  for (let attempt = 0; attempt < LOT_LOCK_ATTEMPTS; attempt++) {
+    const now = new Date();
+    const lot = await ParkingLot.findOneAndUpdate(
+      { _id: lotId, $or: [{ 'bookingLock.expiresAt': null }, { 'bookingLock.expiresAt': { $lte: now } }] },
+      { $set: { bookingLock: { id, expiresAt: new Date(now.getTime() + CLAIM_GRACE_MS) } } },
+      { projection: { _id: 1 } }
+    );
+    if (lot) return id;
+    await new Promise(resolve => setTimeout(resolve, LOT_LOCK_WAIT_MS));
+  }
+  return null;
+};
+
+const releaseLotLock = (lotId, lockId) => ParkingLot.updateOne(
+  { _id: lotId, 'bookingLock.id': lockId },
+  { $unset: { bookingLock: '' } }
+);
+
+// Lock a slot for a booking that is about to be written. Uses the caller's hold when given,
+// otherwise holds the requested slot or the first free one. Lots without a slot layout take
+// the lot's booking lock instead, so two bookings can't both pass the window check for the
+// last space. Release with releaseBookingLock once the booking is written.
+const lockSlotForBooking = async ({ lot, userId, vehicleType, startTime, endTime, spotNumber, holdId }) => {
+  if (holdId && (lot.slots || []).length) {
+    const slotCode = await claimHold({ lotId: lot._id, holdId, userId });
+    if (!slotCode || (spotNumber && slotCode !== spotNumber)) {
+      return { ok: false, reason: 'Slot hold expired or not found' };
+    }
+    const availability = await checkAvailability(lot._id, { vehicleType, startTime, endTime, spotNumber: slotCode, holdId });
+    if (!availability.available) return { ok: false, reason: availability.reason, availability };
+    return { ok: true, slotCode, holdId, availability };
+  }
+
+  if (!(lot.slots || []).length) {
+    const lotLockId = await acquireLotLock(lot._id);
+    if (!lotLockId) return { ok: false, reason: 'The lot is busy taking other bookings, please try again' };
+    // Bookings are read only now that no one else can write one for this lot
+    // A waitlist offer's own hold id keeps its promised space from counting against it
+    const availability = await checkAvailability(lot, { vehicleType, startTime, endTime, spotNumber, holdId });
+    if (!availability.available) {
+      await releaseLotLock(lot._id, lotLockId);
+      return { ok: false, reason: availability.reason, availability };
+    }
+    return { ok: true, slotCode: spotNumber || null, holdId: null, lotLockId, availability };
+  }
+
+  const availability = await checkAvailability(lot, { vehicleType, startTime, endTime, spotNumber });
+  if (!availability.available) return { ok: false, reason: availability.reason, availability };
+
+  const candidates = spotNumber ? [spotNumber] : availability.freeSlotCodes.slice(0, 5);
+  let lastReason = availability.reason || 'No parking spots available for the selected time';
+  for (const code of candidates) {
+    const res = await acquireHold({ lotId: lot._id, slotCode: code, userId, startTime, endTime, vehicleType, ttlMs: CLAIM_GRACE_MS });
+    if (res.ok) return { ok: true, slotCode: code, holdId: res.hold.id, availability };
+    lastReason = res.reason;
+  }
+  return { ok: false, reason: lastReason, availability };
+};
+
+// Drop whatever lockSlotForBooking took: the booking (if written) now blocks its window
+const releaseBookingLock = async (lotId, lock) => {
+  if (lock.holdId) await releaseHold({ lotId, holdId: lock.holdId });
+  if (lock.lotLockId) await releaseLotLock(lotId, lock.lotLockId);
+};
+
+// Clear expired holds and tell the lot rooms about them
+const sweepExpiredHolds = async (io) => {
+  const now = new Date();
+  const lots = await ParkingLot.find({ 'slots.hold.expiresAt': { $lte: now } }).select('slots.code slots.hold');
+  let cleared = 0;
+  for (const lot of lots) {
+    const expired = lot.slots.filter(s => s.hold?.expiresAt && s.hold.expiresAt <= now);
+    if (!expired.length) continue;
+    await ParkingLot.updateOne(
+      { _id: lot._id },
+      { $unset: { 'slots.$[h].hold': '' } },
+      { arrayFilters: [{ 'h.hold.expiresAt': { $lte: now } }] }
+    );
+    expired.forEach(s => broadcastHold(io, lot._id, { slotCode: s.code, holdId: s.hold.id, state: 'expired' }));
+    cleared += expired.length;
+  }
+  return cleared;
+};
+
+// Background sweeper; skips runs while Mongo is unavailable (degraded mode)
+const startHoldSweeper = (io, intervalMs = SWEEP_INTERVAL_MS) => {
+  const timer = setInterval(async () => {
+    if (mongoose.connection.readyState !== 1) return;
+    try {
+      const cleared = await sweepExpiredHolds(io);
+      if (cleared) logger.info(`Released ${cleared} expired slot hold(s)`);
+    } catch (err) {
+      logger.error(`Slot hold sweep failed: ${err.message}`);
+    }
+  }, intervalMs);
+  timer.unref();
+  return timer;
+};
+
+module.exports = {
+  HOLD_TTL_MS,
+  acquireHold,
+  claimHold,
+  releaseHold,
+  lockSlotForBooking,
+  releaseBookingLock,
+  sweepExpiredHolds,
+  startHoldSweeper,
+  broadcastHold,
+  broadcastSlotStatus
+};
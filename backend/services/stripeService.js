@@ -110,6 +110,49 @@ const getPaymentMethods = async (customerId) => {
   }
 };
 
+// Get one payment method (to check which customer it was saved to)
+const getPaymentMethod = async (paymentMethodId) => {
+  try {
+    return await stripe.paymentMethods.retrieve(paymentMethodId);
+  } catch (error) {
+    console.error('Stripe get payment method error:', error);
+    throw error;
+  }
+};
+
+// Detach a saved payment method from its customer
+const detachPaymentMethod = async (paymentMethodId) => {
+  try {
+    return await stripe.paymentMethods.detach(paymentMethodId);
+  } catch (error) {
+    console.error('Stripe detach payment method error:', error);
+    throw error;
+  }
+};
+
+// Charge a saved card while the customer is away. Throws when the card is declined or the
+// bank asks for authentication, which can't happen off-session.
+const chargeSavedPaymentMethod = async ({ customerId, paymentMethodId }, { amount, currency = 'inr', metadata = {} }) => {
+  try {
+    const paymentIntent = await stripe.paymentIntents.create({
+      amount: Math.round(amount * 100), // Convert to paisa/cents
+      currency,
+      customer: customerId,
+      payment_method: paymentMethodId,
+      off_session: true,
+      confirm: true,
+      metadata
+    });
+    if (paymentIntent.status !== 'succeeded') {
+      throw new Error(`Payment ${paymentIntent.status.replace(/_/g, ' ')}`);
+    }
+    return paymentIntent;
+  } catch (error) {
+    console.error('Stripe off-session charge error:', error);
+    throw error;
+  }
+};
+
 module.exports = {
   createPaymentIntent,
   confirmPayment,
@@ -118,5 +161,8 @@ module.exports = {
   verifyWebhookSignature,
   createSetupIntent,
   getPaymentMethods,
+  getPaymentMethod,
+  detachPaymentMethod,
+  chargeSavedPaymentMethod,
   stripe
 };
\ No newline at end of file
@@ -0,0 +1,121 @@
+const { stripe } = require('./stripeService');
+const { razorpay } = require('./razorpayService');
+
+// Recurring billing for passes through Stripe Billing or Razorpay Subscriptions.
+// Each call returns plain data; the pass routes decide what to persist.
+
+// Razorpay needs a finite cycle count; ten years of renewals is effectively open-ended
+const RAZORPAY_TOTAL_CYCLES = { weekly: 520, monthly: 120 };
+
+const stripeEnabled = () => Boolean(process.env.STRIPE_SECRET_KEY);
+const razorpayEnabled = () => Boolean(process.env.RAZORPAY_KEY_ID && process.env.RAZORPAY_KEY_SECRET);
+
+const gatewayEnabled = (gateway) => (gateway === 'stripe' ? stripeEnabled() : gateway === 'razorpay' ? razorpayEnabled() : false);
+
+const toMinor = (amount) => Math.round(amount * 100);
+
+const planName = (pass, lot) => `${lot.name || 'Parking'} ${pass.plan} pass (${pass.spotType})`;
+
+// Start a subscription for a pending pass. Returns the ids to store plus whatever the
+// client needs to complete the first payment.
+const createSubscription = async (gateway, { pass, lot, user }) => {
+  const notes = { passId: String(pass._id), lotId: String(lot._id), userId: String(user._id) };
+
+  if (gateway === 'stripe') {
+    const customer = await stripe.customers.create({ email: user.email, name: user.name, metadata: notes });
+    // Subscription items take inline prices but not inline products
+    const product = await stripe.products.create({ name: planName(pass, lot), metadata: notes });
+    const subscription = await stripe.subscriptions.create({
+      customer: customer.id,
+      items: [{
+        price_data: {
+          currency: (pass.price.currency || 'INR').toLowerCase(),
+          unit_amount: toMinor(pass.price.total),
+          recurring: { interval: pass.plan === 'weekly' ? 'week' : 'month' },
+          product: product.id
+        }
+      }],
+      payment_behavior: 'default_incomplete',
+      payment_settings: { save_default_payment_method: 'on_subscription' },
+      expand: ['latest_invoice.payment_intent'],
+      metadata: notes
+    });
+    return {
+      subscriptionId: subscription.id,
+      customerId: customer.id,
+      clientSecret: subscription.latest_invoice?.payment_intent?.client_secret || null
+    };
+  }
+
+  if (gateway === 'razorpay') {
+    const plan = await razorpay.plans.create({
+      period: pass.plan,
+      interval: 1,
+      item: { name: planName(pass, lot), amount: toMinor(pass.price.total), currency: pass.price.currency || 'INR' },
+      notes
+    });
+    const subscription = await razorpay.subscriptions.create({
+      plan_id: plan.id,
+      total_count: RAZORPAY_TOTAL_CYCLES[pass.plan],
+      customer_notify: 1,
+      notes
+    });
+    return {
+      subscriptionId: subscription.id,
+      planId: plan.id,
+      shortUrl: subscription.short_url || null
+    };
+  }
+
+  throw new Error(`Unsupported billing gateway: ${gateway}`);
+};
+
+const pauseSubscription = async (gateway, subscriptionId) => {
+  if (gateway === 'stripe') {
+    return stripe.subscriptions.update(subscriptionId, { pause_collection: { behavior: 'void' } });
+  }
+  if (gateway === 'razorpay') {
+    return razorpay.subscriptions.pause(subscriptionId, { pause_at: 'now' });
+  }
+  return null;
+};
+
+const resumeSubscription = async (gateway, subscriptionId) => {
+  if (gateway === 'stripe') {
+    return stripe.subscriptions.update(subscriptionId, { pause_collection: '' });
+  }
+  if (gateway === 'razorpay') {
+    return razorpay.subscriptions.resume(subscriptionId, { resume_at: 'now' });
+  }
+  return null;
+};
+
+// Cancel now, or let the current period run out
+const cancelSubscription = async (gateway, subscriptionId, { atPeriodEnd = true } = {}) => {
+  if (gateway === 'stripe') {
+    return atPeriodEnd
+      ? stripe.subscriptions.update(subscriptionId, { cancel_at_period_end: true })
+      : stripe.subscriptions.cancel(subscriptionId);
+  }
+  if (gateway === 'razorpay') {
+    return razorpay.subscriptions.cancel(subscriptionId, atPeriodEnd);
+  }
+  return null;
+};
+
+// Undo a scheduled cancellation (Stripe only; Razorpay cancellations are final)
+const reinstateSubscription = async (gateway, subscriptionId) => {
+  if (gateway === 'stripe') {
+    return stripe.subscriptions.update(subscriptionId, { cancel_at_period_end: false });
+  }
+  return null;
+};
+
+module.exports = {
+  gatewayEnabled,
+  createSubscription,
+  pauseSubscription,
+  resumeSubscription,
+  cancelSubscription,
+  reinstateSubscription
+};
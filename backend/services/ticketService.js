@@ -0,0 +1,103 @@
+const jwt = require('jsonwebtoken');
+
+let QRCode = null;
+try {
+  QRCode = require('qrcode');
+} catch (e) {
+  // Optional dependency; renderTicketQr reports it as unavailable
+  QRCode = null;
+}
+
+// Tickets are signed with their own secret when provided so gate tokens can be rotated
+// independently of login sessions
+const ticketSecret = () => process.env.TICKET_SIGNING_SECRET || process.env.JWT_SECRET;
+const TICKET_AUDIENCE = 'parkplaza-gate';
+// Tokens stay verifiable for a while after the booking ends so overstaying cars can still exit
+const TICKET_EXIT_GRACE_SECONDS = parseInt(process.env.TICKET_EXIT_GRACE_HOURS || '24', 10) * 60 * 60;
+
+const idOf = (value) => (value && value._id ? value._id : value);
+const toEpoch = (date) => Math.floor(new Date(date).getTime() / 1000);
+const normalisePlate = (plate) => String(plate || '').replace(/\s+/g, '').toUpperCase();
+
+const signGateToken = (claims, holder, validFrom, validTo) => {
+  const validUntil = toEpoch(validTo);
+  const payload = {
+    ...claims,
+    lot: String(idOf(holder.parkingLot)),
+    plate: normalisePlate(holder.vehicle?.licensePlate),
+    vf: toEpoch(validFrom),
+    vu: validUntil,
+    exp: validUntil + TICKET_EXIT_GRACE_SECONDS
+  };
+  return jwt.sign(payload, ticketSecret(), { audience: TICKET_AUDIENCE });
+};
+
+// Sign the gate token embedded in a booking's QR code: booking, lot, plate and validity window
+const signTicket = (booking) => signGateToken(
+  { bid: String(booking._id) },
+  booking,
+  booking.bookingDetails.startTime,
+  booking.bookingDetails.endTime
+);
+
+// Pass tickets carry the pass id and its current billing period; renewals issue a new token
+const signPassTicket = (pass) => signGateToken(
+  { pid: String(pass._id) },
+  pass,
+  pass.currentPeriod.start,
+  pass.currentPeriod.end
+);
+
+// Verify a scanned gate token. Never throws: returns the decoded ticket or { valid: false, reason }
+const verifyTicket = (token) => {
+  if (!token || typeof token !== 'string') {
+    return { valid: false, reason: 'Ticket token is required' };
+  }
+  try {
+    const decoded = jwt.verify(token.trim(), ticketSecret(), { audience: TICKET_AUDIENCE });
+    return {
+      valid: true,
+      bookingId: decoded.bid,
+      passId: decoded.pid,
+      lotId: decoded.lot,
+      plate: decoded.plate,
+      validFrom: new Date(decoded.vf * 1000),
+      validUntil: new Date(decoded.vu * 1000)
+    };
+  } catch (error) {
+    if (error.name === 'TokenExpiredError') {
+      return { valid: false, reason: 'Ticket has expired' };
+    }
+    return { valid: false, reason: 'Invalid or tampered ticket' };
+  }
+};
+
+// Cross-check a verified ticket against the booking (or pass) it names. Returns a reason string or null.
+const ticketMismatch = (ticket, holder) => {
+  const kind = ticket.passId ? 'pass' : 'booking';
+  if (String(holder._id) !== (ticket.passId || ticket.bookingId)) return `Ticket does not belong to this ${kind}`;
+  if (String(idOf(holder.parkingLot)) !== ticket.lotId) return 'Ticket is for a different parking lot';
+  if (normalisePlate(holder.vehicle?.licensePlate) !== ticket.plate) return `Ticket vehicle does not match ${kind}`;
+  return null;
+};
+
+const renderQr = (token, width) => {
+  if (!QRCode) {
+    throw new Error('QR code generation dependency not installed on server');
+  }
+  return QRCode.toBuffer(token, { type: 'png', width, margin: 1, errorCorrectionLevel: 'M' });
+};
+
+// Render the signed ticket as a QR PNG buffer (server-side; no third-party chart services)
+const renderTicketQr = async (booking, { width = 300 } = {}) => renderQr(signTicket(booking), width);
+
+const renderPassQr = async (pass, { width = 300 } = {}) => renderQr(signPassTicket(pass), width);
+
+module.exports = {
+  signTicket,
+  signPassTicket,
+  verifyTicket,
+  ticketMismatch,
+  renderTicketQr,
+  renderPassQr
+};
@@ -0,0 +1,306 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const WaitlistEntry = require('../models/WaitlistEntry');
+const ParkingLot = require('../models/ParkingLot');
+const User = require('../models/User');
+const logger = require('../config/logger');
+const { checkAvailability } = require('./availabilityService');
+const { closureReason } = require('./hoursService');
+const { acquireHold, releaseHold, broadcastHold } = require('./slotHoldService');
+const { queueWaitlistNotification } = require('./notificationService');
+const { publish } = require('./realtimeService');
+
+// Waitlists for full lots. Users join the line for a lot and a time window; whenever a
+// booking gives its space back (cancellation, refund, check-out) the lot's line is walked in
+// join order and the first entry the lot can now take is offered the space for
+// WAITLIST_OFFER_MINUTES, or booked on the spot when its user opted into auto-booking with a
+// saved card. An offer nobody takes up expires and the space moves down the line.
+
+// How long an offered space is kept for the user
+const OFFER_MS = parseInt(process.env.WAITLIST_OFFER_MINUTES || '15', 10) * 60 * 1000;
+const SWEEP_INTERVAL_MS = parseInt(process.env.WAITLIST_SWEEP_SECONDS || '30', 10) * 1000;
+const ACTIVE_STATUSES = ['waiting', 'offered'];
+// Lot statuses a waitlist is kept for ('full' is set by owners by hand)
+const LOT_STATUSES = ['active', 'full'];
+// Open entries one user may have at a time
+const MAX_ACTIVE_ENTRIES = 5;
+// Entries looked at each time a lot's line moves
+const BATCH_SIZE = 50;
+
+const toId = (value) => String(value?._id || value);
+
+const overlaps = (a, b) => new Date(a.startTime) < new Date(b.endTime) && new Date(a.endTime) > new Date(b.startTime);
+
+const hasSavedCard = (user) => Boolean(user?.savedPaymentMethod?.customerId && user.savedPaymentMethod.paymentMethodId);
+
+// Booking routes plug in how an entry is booked on its user's behalf:
+// (entry, lot, { io, user }) => { booking } | { error }
+let autoBooker = null;
+const registerAutoBooker = (book) => {
+  autoBooker = book;
+};
+
+const emitEntry = (io, entry) => {
+  publish(io, 'waitlist-update', {
+    entryId: entry._id,
+    lotId: toId(entry.parkingLot),
+    status: entry.status,
+    expiresAt: entry.status === 'offered' ? entry.offer.expiresAt : null,
+    bookingId: entry.booking || null
+  }, { userId: entry.user });
+};
+
+// 1-based place in the lot's line, for waiting entries
+const positionOf = async (entry) => 1 + await WaitlistEntry.countDocuments({
+  parkingLot: toId(entry.parkingLot),
+  status: 'waiting',
+  createdAt: { $lt: entry.createdAt }
+});
+
+// Put a user in line for a lot. Only a window the lot is open for but has no space in can be
+// joined. Returns { entry } or { status, message }.
+const joinWaitlist = async (lot, user, { vehicle, startTime, endTime, autoBook = false }) => {
+  if (!LOT_STATUSES.includes(lot.status)) {
+    return { status: 400, message: 'This parking lot is not taking bookings' };
+  }
+  if (!lot.vehicleTypes.includes(vehicle.type)) {
+    return { status: 400, message: `Vehicle type ${vehicle.type} not supported at this location` };
+  }
+  const closed = closureReason(lot, startTime, endTime);
+  if (closed) return { status: 400, message: closed };
+  if (autoBook && !hasSavedCard(user)) {
+    return { status: 400, message: 'Save a card before turning on automatic booking' };
+  }
+
+  const open = await WaitlistEntry.find({ user: user._id, status: { $in: ACTIVE_STATUSES } }).select('parkingLot startTime endTime');
+  if (open.some(e => toId(e.parkingLot) === toId(lot) && overlaps(e, { startTime, endTime }))) {
+    return { status: 409, message: 'You are already on the waitlist for this time' };
+  }
+  if (open.length >= MAX_ACTIVE_ENTRIES) {
+    return { status: 400, message: `You can be on at most ${MAX_ACTIVE_ENTRIES} waitlists at once` };
+  }
+
+  const availability = await checkAvailability(lot, { vehicleType: vehicle.type, startTime, endTime });
+  if (availability.available) {
+    return { status: 409, message: 'Spaces are free for this time; book one directly' };
+  }
+
+  const entry = await WaitlistEntry.create({
+    user: user._id,
+    parkingLot: lot._id,
+    vehicle,
+    startTime,
+    endTime,
+    autoBook
+  });
+  return { entry };
+};
+
+// Drop an offer's slot hold (if it has one) and tell the lot room the slot is free again
+const releaseOfferHold = async (io, entry) => {
+  if (!entry.offer?.holdId || !entry.offer.slotCode) return;
+  const slotCode = await releaseHold({ lotId: toId(entry.parkingLot), holdId: entry.offer.holdId });
+  if (slotCode) broadcastHold(io, toId(entry.parkingLot), { slotCode, holdId: entry.offer.holdId, state: 'released' });
+};
+
+// Close an open entry (leaving the line, or it ran out of time). Only moves entries still in
+// `from`, so a racing accept or expiry wins cleanly. Returns the closed entry or null.
+const closeEntry = async (io, entry, status, { now = new Date() } = {}) => {
+  const from = entry.status;
+  const closed = await WaitlistEntry.findOneAndUpdate(
+    { _id: entry._id, status: from },
+    { $set: { status, closedAt: now } },
+    { new: true }
+  );
+  if (!closed) return null;
+  if (from === 'offered') await releaseOfferHold(io, entry);
+  emitEntry(io, closed);
+  return closed;
+};
+
+// Expire offers nobody took up and entries whose window has started. Returns the ids of the
+// lots where an offered space went back to the line.
+const expireEntries = async ({ io, now = new Date(), lotId } = {}) => {
+  const stale = await WaitlistEntry.find({
+    ...(lotId ? { parkingLot: toId(lotId) } : {}),
+    $or: [
+      { status: 'offered', 'offer.expiresAt': { $lte: now } },
+      { status: { $in: ACTIVE_STATUSES }, startTime: { $lte: now } }
+    ]
+  }).limit(BATCH_SIZE * 4);
+
+  const lots = new Set();
+  for (const entry of stale) {
+    const wasOffered = entry.status === 'offered';
+    const closed = await closeEntry(io, entry, 'expired', { now });
+    if (closed && wasOffered) lots.add(toId(entry.parkingLot));
+  }
+  return [...lots];
+};
+
+// Offer a space to one waiting entry: hold a slot for it on lots with a layout, then claim the
+// entry. On lots without a layout the open offer itself counts against availability, under a
+// hold id only the entry's own booking presents. Returns the offered entry, or null when the
+// slot or the entry was taken meanwhile.
+const makeOffer = async (io, lot, entry, availability, now) => {
+  let hold = null;
+  if ((lot.slots || []).length) {
+    for (const slotCode of availability.freeSlotCodes.slice(0, 5)) {
+      const res = await acquireHold({
+        lotId: lot._id,
+        slotCode,
+        userId: entry.user,
+        startTime: entry.startTime,
+        endTime: entry.endTime,
+        vehicleType: entry.vehicle.type,
+        ttlMs: OFFER_MS
+      });
+      if (res.ok) {
+        hold = res.hold;
+        break;
+      }
+    }
+    if (!hold) return null;
+  }
+
+  const offered = await WaitlistEntry.findOneAndUpdate(
+    { _id: entry._id, status: 'waiting' },
+    {
+      $set: {
+        status: 'offered',
+        offer: {
+          offeredAt: now,
+          expiresAt: new Date(now.getTime() + OFFER_MS),
+          holdId: hold ? hold.id : crypto.randomUUID(),
+          slotCode: hold?.slotCode
+        }
+      }
+    },
+    { new: true }
+  );
+  if (!offered) {
+    if (hold) await releaseHold({ lotId: lot._id, holdId: hold.id });
+    return null;
+  }
+  if (hold) {
+    // Our copy of the lot has to see the hold, or the next entry would be offered the same slot
+    const slot = lot.slots.find(s => s.code === hold.slotCode);
+    if (slot) slot.hold = hold;
+    broadcastHold(io, lot._id, { slotCode: hold.slotCode, holdId: hold.id, state: 'held', expiresAt: hold.expiresAt });
+  }
+  return offered;
+};
+
+// Auto-book an offered entry when its user asked for that. Returns true when booked; a failed
+// attempt is recorded and the entry keeps its offer.
+const tryAutoBook = async (io, lot, entry, now) => {
+  if (!entry.autoBook || !autoBooker) return false;
+  const user = await User.findById(entry.user).select('name email savedPaymentMethod');
+  if (!hasSavedCard(user)) {
+    entry.autoBookError = 'No saved card';
+    await entry.save();
+    return false;
+  }
+
+  let result;
+  try {
+    result = await autoBooker(entry, lot, { io, user });
+  } catch (err) {
+    result = { error: err.message };
+  }
+  if (!result.booking) {
+    logger.warn(`Auto-booking waitlist entry ${entry._id} failed: ${result.error}`);
+    entry.autoBookError = result.error;
+    await entry.save();
+    return false;
+  }
+
+  entry.status = 'booked';
+  entry.booking = result.booking._id;
+  entry.closedAt = now;
+  entry.autoBookError = undefined;
+  await entry.save();
+  return true;
+};
+
+// Hand freed space in a lot to its line. Each waiting entry the lot can now take, in join
+// order, is auto-booked or offered the space. Outstanding offers count against the lot (see
+// makeOffer) so one space is never offered twice, nor booked from under an offer.
+// Returns { offered, booked } entry ids.
+const processWaitlist = async (lotId, { io, now = new Date() } = {}) => {
+  const moved = { offered: [], booked: [] };
+  await expireEntries({ io, now, lotId });
+
+  const waiting = await WaitlistEntry.find({ parkingLot: toId(lotId), status: 'waiting' })
+    .sort({ createdAt: 1 })
+    .limit(BATCH_SIZE);
+  if (!waiting.length) return moved;
+  const lot = await ParkingLot.findById(toId(lotId));
+  if (!lot || !LOT_STATUSES.includes(lot.status)) return moved;
+
+  for (const entry of waiting) {
+    if (closureReason(lot, entry.startTime, entry.endTime)) continue;
+    const availability = await checkAvailability(lot, {
+      vehicleType: entry.vehicle.type,
+      startTime: entry.startTime,
+      endTime: entry.endTime
+    });
+    if (!availability.available) continue;
+
+    const offered = await makeOffer(io, lot, entry, availability, now);
+    if (!offered) continue;
+
+    if (await tryAutoBook(io, lot, offered, now)) {
+      await queueWaitlistNotification(offered, 'waitlist-booked', now);
+      moved.booked.push(offered._id);
+    } else {
+      await queueWaitlistNotification(offered, 'waitlist-offer', now);
+      moved.offered.push(offered._id);
+    }
+    emitEntry(io, offered);
+  }
+  return moved;
+};
+
+// Called wherever a booking gives its space back. Never fails the caller's request.
+const offerFreedSpace = async (io, lotId) => {
+  try {
+    return await processWaitlist(lotId, { io });
+  } catch (err) {
+    logger.error(`Waitlist for lot ${toId(lotId)} could not be processed: ${err.message}`);
+    return null;
+  }
+};
+
+// Background sweep: expire unclaimed offers and pass their space down the line.
+// Skips runs while Mongo is unavailable (degraded mode).
+const startWaitlistSweeper = (io, intervalMs = SWEEP_INTERVAL_MS) => {
+  const timer = setInterval(async () => {
+    if (mongoose.connection.readyState !== 1) return;
+    try {
+      const lots = await expireEntries({ io });
+      for (const lotId of lots) await offerFreedSpace(io, lotId);
+      if (lots.length) logger.info(`Moved the waitlist on at ${lots.length} lot(s)`);
+    } catch (err) {
+      logger.error(`Waitlist sweep failed: ${err.message}`);
+    }
+  }, intervalMs);
+  timer.unref();
+  return timer;
+};
+
+module.exports = {
+  OFFER_MS,
+  MAX_ACTIVE_ENTRIES,
+  ACTIVE_STATUSES,
+  hasSavedCard,
+  registerAutoBooker,
+  emitEntry,
+  positionOf,
+  joinWaitlist,
+  closeEntry,
+  expireEntries,
+  processWaitlist,
+  offerFreedSpace,
+  startWaitlistSweeper
+};
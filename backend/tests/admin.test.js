@@ -0,0 +1,43 @@
+const request = require('supertest');
+const { signIn } = require('./helpers/auth');
+const { app } = require('../server');
+const User = require('../models/User');
+
+const LOT_ID = '64b000000000000000000002';
+
+describe('Admin console', () => {
+  afterEach(() => jest.restoreAllMocks());
+
+  it('treats a suspension as active until it expires', () => {
+    const now = new Date('2026-06-10T00:00:00Z');
+    expect(new User({ suspension: { active: false } }).isSuspended(now)).toBe(false);
+    expect(new User({ suspension: { active: true } }).isSuspended(now)).toBe(true);
+    expect(new User({ suspension: { active: true, until: new Date('2026-06-11T00:00:00Z') } }).isSuspended(now)).toBe(true);
+    expect(new User({ suspension: { active: true, until: new Date('2026-06-09T00:00:00Z') } }).isSuspended(now)).toBe(false);
+  });
+
+  it('limits admin routes to admins', async () => {
+    const anonymous = await request(app).get('/api/admin/users');
+    expect(anonymous.status).toBe(401);
+
+    const owner = await request(app).get('/api/admin/users').set('Authorization', signIn({ role: 'landowner' }).auth);
+    expect(owner.status).toBe(403);
+  });
+
+  it('locks suspended accounts out of protected routes', async () => {
+    const token = signIn({ role: 'admin', suspension: { active: true, reason: 'Chargebacks' } }).auth;
+    const res = await request(app).get('/api/admin/stats').set('Authorization', token);
+    expect(res.status).toBe(403);
+    expect(res.body.message).toMatch(/suspended/);
+  });
+
+  it('requires a reason to reject a verification', async () => {
+    const token = signIn({ role: 'admin' }).auth;
+    const res = await request(app)
+      .post(`/api/admin/lots/${LOT_ID}/verification`)
+      .set('Authorization', token)
+      .send({ decision: 'reject' });
+    expect(res.status).toBe(400);
+    expect(res.body.errors[0].msg).toBe('A reason is required when rejecting');
+  });
+});
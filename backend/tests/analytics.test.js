@@ -0,0 +1,82 @@
+const request = require('supertest');
+const { app } = require('../server');
+const Booking = require('../models/Booking');
+const {
+  resolveRange,
+  weekdayOccurrences,
+  occupancyHeatmap,
+  cancellationStats,
+  lotComparison
+} = require('../services/analyticsService');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const lot = (id, total, available, extra = {}) => ({
+  _id: `64b00000000000000000000${id}`,
+  name: `Lot ${id}`,
+  status: 'active',
+  capacity: { total, available },
+  ...extra
+});
+
+describe('Owner analytics', () => {
+  afterEach(() => jest.restoreAllMocks());
+
+  it('defaults to the last 30 days and rejects bad ranges', () => {
+    const now = new Date('2026-06-30T00:00:00Z');
+    const range = resolveRange({}, now);
+    expect(range.to).toEqual(now);
+    expect(range.to - range.from).toBe(30 * DAY_MS);
+    expect(resolveRange({ from: '2026-06-10', to: '2026-06-01' }).error).toMatch(/before/);
+    expect(resolveRange({ from: '2020-01-01', to: '2026-01-01' }).error).toMatch(/exceed/);
+  });
+
+  it('counts weekday occurrences in the reporting timezone', () => {
+    // Mon 1 June 2026 to Mon 15 June 2026 (exclusive) in IST
+    const counts = weekdayOccurrences({
+      from: new Date('2026-05-31T18:30:00Z'),
+      to: new Date('2026-06-14T18:30:00Z')
+    }, 'Asia/Kolkata');
+    expect(counts).toEqual([2, 2, 2, 2, 2, 2, 2]);
+  });
+
+  it('turns vehicle-hours into a share of capacity per weekday and hour', async () => {
+    jest.spyOn(Booking, 'aggregate').mockResolvedValue([
+      { _id: { weekday: 1, hour: 9 }, vehicleHours: 10 },
+      { _id: { weekday: 1, hour: 10 }, vehicleHours: 4 }
+    ]);
+    const range = { from: new Date('2026-05-31T18:30:00Z'), to: new Date('2026-06-14T18:30:00Z') };
+    const heatmap = await occupancyHeatmap([lot(1, 5, 5), lot(2, 5, 5)], range, { timezone: 'Asia/Kolkata' });
+    expect(heatmap.capacity).toBe(10);
+    expect(heatmap.vehicleHours[1][9]).toBe(10);
+    // Two Mondays x 10 spaces = 20 available space-hours per Monday hour
+    expect(heatmap.rate[1][9]).toBe(50);
+    expect(heatmap.rate[1][10]).toBe(20);
+    expect(heatmap.peak).toEqual({ weekday: 1, hour: 9, rate: 50 });
+  });
+
+  it('leaves unpaid pending bookings out of the cancellation rate', async () => {
+    jest.spyOn(Booking, 'aggregate').mockResolvedValue([
+      { _id: 'completed', n: 6, refunded: 0 },
+      { _id: 'cancelled', n: 3, refunded: 150 },
+      { _id: 'no-show', n: 1, refunded: 0 },
+      { _id: 'pending', n: 5, refunded: 0 }
+    ]);
+    const stats = await cancellationStats([lot(1, 5, 5)], resolveRange({}));
+    expect(stats).toMatchObject({ total: 10, cancelled: 3, cancellationRate: 30, noShowRate: 10, refunded: 150 });
+  });
+
+  it('lists every lot in the comparison, including ones without bookings', async () => {
+    jest.spyOn(Booking, 'aggregate').mockResolvedValue([
+      { _id: '64b000000000000000000002', bookings: 4, cancelled: 1, revenue: 1200.456, stayMinutes: 95.4 }
+    ]);
+    const rows = await lotComparison([lot(1, 10, 4), lot(2, 20, 20)], resolveRange({}));
+    expect(rows.map(r => r.name)).toEqual(['Lot 2', 'Lot 1']);
+    expect(rows[0]).toMatchObject({ bookings: 4, revenue: 1200.46, cancellationRate: 25, averageStayMinutes: 95 });
+    expect(rows[1]).toMatchObject({ bookings: 0, revenue: 0, occupied: 6 });
+  });
+
+  it('requires a signed-in owner', async () => {
+    const res = await request(app).get('/api/analytics/owner/summary');
+    expect(res.status).toBe(401);
+  });
+});
@@ -1,17 +1,21 @@
 const request = require('supertest');
 const { app } = require('../server');
+const ParkingLot = require('../models/ParkingLot');
 
 describe('API Smoke Tests', () => {
+  afterEach(() => jest.restoreAllMocks());
+
   it('GET /api/health returns OK', async () => {
     const res = await request(app).get('/api/health');
     expect(res.status).toBe(200);
     expect(res.body.status).toBe('OK');
   });
 
-  it('GET /api/parking/all returns success field', async () => {
+  it('GET /api/parking/all lists lots like search', async () => {
+    jest.spyOn(ParkingLot, 'aggregate').mockResolvedValue([]);
     const res = await request(app).get('/api/parking/all');
-    // Can be 200 or 500 if DB unavailable; we want to ensure route exists
-    expect([200,400,500]).toContain(res.status);
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({ success: true, data: { lots: [], pagination: { total: 0, hasMore: false } } });
   });
 
   it('GET /api/services/options returns success or 500', async () => {
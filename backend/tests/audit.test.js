@@ -0,0 +1,77 @@
+const request = require('supertest');
+const { signIn } = require('./helpers/auth');
+const { app } = require('../server');
+const ParkingLot = require('../models/ParkingLot');
+const AuditEvent = require('../models/AuditEvent');
+const { diff, buildAuditFilter, toCsvRow } = require('../services/auditService');
+
+const LOT_ID = '64b000000000000000000002';
+
+const signInAsAdmin = () => {
+  const { user: admin, auth: token } = signIn({ name: 'Admin', email: 'admin@example.com', role: 'admin' });
+  return { admin, token };
+};
+
+describe('Audit log', () => {
+  afterEach(() => jest.restoreAllMocks());
+
+  it('diffs only the submitted fields, down to nested leaves', () => {
+    const before = { name: 'Central', pricing: { hourly: 40, daily: 300 }, status: 'active' };
+    const after = { name: 'Central', pricing: { hourly: 60, daily: 300 }, status: 'inactive' };
+    expect(diff(before, after, ['name', 'pricing'])).toEqual([
+      { field: 'pricing.hourly', from: 40, to: 60 }
+    ]);
+    expect(diff(before, after).map(c => c.field)).toEqual(['pricing.hourly', 'status']);
+  });
+
+  it('builds query filters for actions and inclusive end dates', () => {
+    const prefix = buildAuditFilter({ action: 'lot' }).action.$in[0];
+    expect(prefix.test('lot.update')).toBe(true);
+    expect(prefix.test('booking.refund')).toBe(false);
+
+    const exact = buildAuditFilter({ action: 'booking.refund,user.role' }).action.$in;
+    expect(exact.some(re => re.test('booking.refund'))).toBe(true);
+    expect(exact.some(re => re.test('booking.status'))).toBe(false);
+
+    const range = buildAuditFilter({ from: '2026-06-01', to: '2026-06-30' }).createdAt;
+    expect(range.$gte).toEqual(new Date('2026-06-01T00:00:00Z'));
+    expect(range.$lt).toEqual(new Date('2026-07-01T00:00:00Z'));
+  });
+
+  it('writes CSV rows that are safe to open in a spreadsheet', () => {
+    const row = toCsvRow({
+      createdAt: new Date('2026-06-01T10:00:00Z'),
+      action: 'lot.update',
+      actor: { email: 'owner@example.com' },
+      actorRole: 'landowner',
+      target: { type: 'ParkingLot', id: LOT_ID, label: '=HYPERLINK("x")' },
+      changes: [{ field: 'name', from: 'A, B', to: 'C' }],
+      ip: '::1',
+      requestId: 'abc123'
+    });
+    expect(row).toBe(`2026-06-01T10:00:00.000Z,lot.update,owner@example.com,landowner,ParkingLot,${LOT_ID},"'=HYPERLINK(""x"")","name: ""A, B"" -> ""C""",::1,abc123`);
+  });
+
+  it('records the actor, change and request ID when an admin changes a lot status', async () => {
+    const { admin, token } = signInAsAdmin();
+    const lot = { _id: LOT_ID, name: 'Central', status: 'active' };
+    jest.spyOn(ParkingLot, 'findByIdAndUpdate').mockReturnValue({ select: () => Promise.resolve(lot) });
+    const create = jest.spyOn(AuditEvent, 'create').mockResolvedValue({});
+
+    const res = await request(app)
+      .patch(`/api/admin/lots/${LOT_ID}/status`)
+      .set('Authorization', token)
+      .send({ status: 'maintenance' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.lot.status).toBe('maintenance');
+    expect(create).toHaveBeenCalledWith(expect.objectContaining({
+      actor: admin._id,
+      actorRole: 'admin',
+      action: 'lot.status',
+      target: { type: 'ParkingLot', id: LOT_ID, label: 'Central' },
+      changes: [{ field: 'status', from: 'active', to: 'maintenance' }],
+      requestId: res.headers['x-request-id']
+    }));
+  });
+});
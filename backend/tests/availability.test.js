@@ -0,0 +1,59 @@
+const { evaluateAvailability, peakConcurrency } = require('../services/availabilityService');
+
+const at = (h) => new Date(Date.UTC(2030, 0, 7, h));
+const booking = (start, end, extra = {}) => ({
+  vehicle: { type: extra.type || 'car' },
+  bookingDetails: { startTime: at(start), endTime: at(end), spotNumber: extra.spot }
+});
+
+describe('Availability evaluation', () => {
+  it('counts peak concurrency rather than every overlapping booking', () => {
+    const bookings = [booking(9, 10), booking(11, 12), booking(9, 12)];
+    expect(peakConcurrency(bookings, at(9), at(12))).toBe(2);
+  });
+
+  it('treats back-to-back bookings as sharing a spot', () => {
+    expect(peakConcurrency([booking(9, 10), booking(10, 11)], at(9), at(11))).toBe(1);
+  });
+
+  it('falls back to capacity.total when the lot has no slot layout', () => {
+    const lot = { capacity: { total: 2 }, slots: [] };
+    const full = evaluateAvailability(lot, [booking(9, 12), booking(10, 11)], { startTime: at(10), endTime: at(11) });
+    expect(full.available).toBe(false);
+    const later = evaluateAvailability(lot, [booking(9, 12), booking(10, 11)], { startTime: at(12), endTime: at(13) });
+    expect(later.available).toBe(true);
+  });
+
+  it('only counts slots and bookings of the requested vehicle type', () => {
+    const lot = {
+      capacity: { total: 2 },
+      slots: [
+        { code: 'C1', type: 'car', status: 'available' },
+        { code: 'B1', type: 'bike', status: 'available' }
+      ]
+    };
+    const res = evaluateAvailability(lot, [booking(9, 12, { type: 'bike', spot: 'B1' })], {
+      vehicleType: 'car', startTime: at(9), endTime: at(10)
+    });
+    expect(res).toMatchObject({ available: true, totalSpots: 1, freeSlotCodes: ['C1'] });
+  });
+
+  it('rejects a requested slot that is booked for the window', () => {
+    const lot = { capacity: { total: 2 }, slots: [{ code: 'C1', type: 'car', status: 'available' }, { code: 'C2', type: 'car', status: 'available' }] };
+    const res = evaluateAvailability(lot, [booking(9, 12, { spot: 'C1' })], {
+      vehicleType: 'car', startTime: at(10), endTime: at(11), spotNumber: 'C1'
+    });
+    expect(res.available).toBe(false);
+    expect(res.slotAvailable).toBe(false);
+  });
+
+  it("counts other users' live holds but not the caller's own", () => {
+    const now = at(8);
+    const hold = { id: 'h1', startTime: at(9), endTime: at(11), expiresAt: new Date(now.getTime() + 60000) };
+    const lot = { capacity: { total: 1 }, slots: [{ code: 'C1', type: 'car', status: 'available', hold }] };
+    const window = { vehicleType: 'car', startTime: at(10), endTime: at(12), spotNumber: 'C1', now };
+    expect(evaluateAvailability(lot, [], window).available).toBe(false);
+    expect(evaluateAvailability(lot, [], { ...window, holdId: 'h1' }).available).toBe(true);
+    expect(evaluateAvailability(lot, [], { ...window, now: at(9) }).available).toBe(true);
+  });
+});
@@ -0,0 +1,34 @@
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+const jwt = require('jsonwebtoken');
+const User = require('../../models/User');
+
+// Sign-in scaffolding shared by the route tests: an in-memory user, `protect`'s user lookup
+// answered with it and a Bearer token for it. Call from a test (or a helper a test calls) so
+// the suite's afterEach(jest.restoreAllMocks) undoes the lookup.
+
+// A valid user; `fields` override the defaults (e.g. { role: 'landowner' })
+const makeUser = (fields = {}) => new User({
+  name: 'Asha',
+  email: 'asha@example.com',
+  phone: '9999999999',
+  password: 'secret123',
+  ...fields
+});
+
+// Login JWT for a user, and the Authorization header value carrying it
+const tokenFor = (user) => jwt.sign({ id: user._id }, process.env.JWT_SECRET);
+const bearer = (user) => `Bearer ${tokenFor(user)}`;
+
+// Answer User.findById(...).select(...) with these users by id, falling back to the first
+const mockUserLookup = (...users) => jest.spyOn(User, 'findById').mockImplementation((id) => ({
+  select: () => Promise.resolve(users.find(u => String(u._id) === String(id)) || users[0])
+}));
+
+// Sign in a user (or one made from `fields`). Returns { user, auth }.
+const signIn = (userOrFields = {}) => {
+  const user = userOrFields instanceof User ? userOrFields : makeUser(userOrFields);
+  mockUserLookup(user);
+  return { user, auth: bearer(user) };
+};
+
+module.exports = { makeUser, tokenFor, bearer, mockUserLookup, signIn };
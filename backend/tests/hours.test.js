@@ -0,0 +1,138 @@
+const request = require('supertest');
+const { signIn: signInAs } = require('./helpers/auth');
+const { app } = require('../server');
+const Booking = require('../models/Booking');
+const ParkingLot = require('../models/ParkingLot');
+const AuditEvent = require('../models/AuditEvent');
+const { isOpenAt, isOpenBetween, closureReason, describeHours, zonedInstant } = require('../services/hoursService');
+
+const nextYear = new Date().getUTCFullYear() + 1;
+// 1 July next year, `time` in India
+const ist = (time, day = '01') => new Date(`${nextYear}-07-${day}T${time}:00+05:30`);
+
+const weekly = (schedule) => ['monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday']
+  .reduce((hours, day) => ({ ...hours, [day]: schedule }), {});
+
+const makeLot = (extra = {}) => new ParkingLot({
+  name: 'Night Market Parking',
+  owner: '64b000000000000000000001',
+  location: { type: 'Point', coordinates: [77.2, 28.6], address: { city: 'Delhi', state: 'DL' } },
+  capacity: { total: 20, available: 20 },
+  vehicleTypes: ['car'],
+  pricing: { hourly: 40 },
+  operatingHours: weekly({ open: '18:00', close: '02:00' }),
+  ...extra
+});
+
+const signIn = (role = 'user') => {
+  const { user, auth } = signInAs({ role });
+  jest.spyOn(AuditEvent, 'create').mockResolvedValue({});
+  return { user, auth };
+};
+
+describe('Opening hours', () => {
+  afterEach(() => jest.restoreAllMocks());
+
+  it('handles windows past midnight, holidays and special days', () => {
+    const lot = makeLot({
+      hoursExceptions: [
+        { date: `${nextYear}-07-02`, closed: true, note: 'Festival' },
+        { date: `${nextYear}-07-03`, open: '10:00', close: '14:00' }
+      ]
+    });
+    expect(isOpenAt(lot, ist('23:30'))).toBe(true);
+    // 01:30 on the 2nd still belongs to the 1st's evening, even though the 2nd is closed
+    expect(isOpenAt(lot, ist('01:30', '02'))).toBe(true);
+    expect(isOpenAt(lot, ist('02:00', '02'))).toBe(false);
+    expect(isOpenAt(lot, ist('19:00', '02'))).toBe(false);
+    expect(isOpenAt(lot, ist('12:00', '03'))).toBe(true);
+    expect(isOpenAt(lot, ist('19:00', '03'))).toBe(false);
+
+    expect(isOpenBetween(lot, ist('19:00'), ist('01:00', '02'))).toBe(true);
+    expect(closureReason(lot, ist('19:00'), ist('03:00', '02'))).toBe(`The parking lot is closed at 02:00 on ${nextYear}-07-02 (Festival)`);
+    expect(describeHours(lot, ist('12:00', '02'))).toMatchObject({
+      openNow: false,
+      today: { closed: true, note: 'Festival' },
+      opensAt: ist('10:00', '03')
+    });
+  });
+
+  it('reads hours in the lot’s own timezone', () => {
+    const lot = makeLot({ timezone: 'America/New_York', operatingHours: weekly({ open: '08:00', close: '20:00' }) });
+    expect(isOpenAt(lot, new Date(`${nextYear}-07-01T13:00:00Z`))).toBe(true); // 09:00 in New York
+    // 08:30 in India is still 23:00 the night before in New York
+    expect(isOpenAt(lot, new Date(`${nextYear}-07-01T03:00:00Z`))).toBe(false);
+    expect(isOpenAt(makeLot({ operatingHours: lot.operatingHours }), new Date(`${nextYear}-07-01T03:00:00Z`))).toBe(true);
+    // Spring forward: 02:30 does not exist and moves to 03:30 EDT
+    expect(zonedInstant('2026-03-08', 150, 'America/New_York').toISOString()).toBe('2026-03-08T07:30:00.000Z');
+    // Lots without weekly hours never close
+    expect(isOpenBetween(makeLot({ operatingHours: {} }), ist('00:00'), ist('23:59', '05'))).toBe(true);
+  });
+
+  it('refuses bookings and extensions while the lot is closed', async () => {
+    const { user, auth } = signIn();
+    const lot = makeLot();
+    jest.spyOn(ParkingLot, 'findById').mockResolvedValue(lot);
+
+    const res = await request(app).post('/api/booking/new').set('Authorization', auth).send({
+      parkingLot: String(lot._id),
+      vehicle: { type: 'car', licensePlate: 'KA01AB1234' },
+      bookingDetails: { startTime: ist('16:00').toISOString(), endTime: ist('20:00').toISOString() },
+      payment: { method: 'cash' }
+    });
+    expect(res.status).toBe(400);
+    expect(res.body.message).toBe(`The parking lot is closed at 16:00 on ${nextYear}-07-01`);
+
+    const booking = new Booking({
+      user: user._id,
+      parkingLot: lot._id,
+      vehicle: { type: 'car', licensePlate: 'KA01AB1234' },
+      bookingDetails: { startTime: ist('22:00'), endTime: ist('01:00', '02'), duration: { hours: 3 } },
+      pricing: { basePrice: 120, taxes: 21.6, totalAmount: 141.6 },
+      status: 'confirmed'
+    });
+    booking.parkingLot = lot;
+    jest.spyOn(Booking, 'findById').mockReturnValue({ populate: () => Promise.resolve(booking) });
+    const extend = await request(app).put(`/api/booking/${booking._id}/extend`).set('Authorization', auth).send({ additionalHours: 2 });
+    expect(extend.status).toBe(400);
+    expect(extend.body.message).toMatch(/closed at 02:00/);
+    expect(booking.bookingDetails.endTime).toEqual(ist('01:00', '02'));
+  });
+
+  it('lets the owner add a holiday and reports bookings it affects', async () => {
+    const { user, auth } = signIn('landowner');
+    const lot = makeLot({ owner: user._id });
+    jest.spyOn(ParkingLot, 'findById').mockResolvedValue(lot);
+    jest.spyOn(ParkingLot.prototype, 'save').mockImplementation(async function save() { return this; });
+    jest.spyOn(Booking, 'find').mockReturnValue({
+      select: async () => [{ _id: '64b000000000000000000009', status: 'confirmed', bookingDetails: { startTime: ist('19:00', '04'), endTime: ist('21:00', '04') } }]
+    });
+
+    const date = `${nextYear}-07-04`;
+    const add = await request(app).put(`/api/parking/${lot._id}/hours/exceptions/${date}`).set('Authorization', auth)
+      .send({ closed: true, note: 'Independence Day' });
+    expect(add.status).toBe(201);
+    expect(add.body.data.exceptions).toMatchObject([{ date, closed: true, note: 'Independence Day' }]);
+    expect(add.body.data.affectedBookings).toHaveLength(1);
+    expect(isOpenAt(lot, ist('19:00', '04'))).toBe(false);
+
+    const special = await request(app).put(`/api/parking/${lot._id}/hours/exceptions/${date}`).set('Authorization', auth)
+      .send({ open: '17:00', close: '23:00' });
+    expect(special.status).toBe(200);
+    expect(special.body.data.affectedBookings).toHaveLength(0);
+    expect(lot.hoursExceptions).toHaveLength(1);
+
+    const sameTimes = await request(app).put(`/api/parking/${lot._id}/hours/exceptions/${date}`).set('Authorization', auth)
+      .send({ open: '17:00', close: '17:00' });
+    expect(sameTimes.status).toBe(400);
+    const past = await request(app).put(`/api/parking/${lot._id}/hours/exceptions/2020-01-01`).set('Authorization', auth).send({ closed: true });
+    expect(past.status).toBe(400);
+
+    const zone = await request(app).put(`/api/parking/${lot._id}/hours`).set('Authorization', auth).send({ timezone: 'Mars/Olympus' });
+    expect(zone.status).toBe(400);
+
+    const remove = await request(app).delete(`/api/parking/${lot._id}/hours/exceptions/${date}`).set('Authorization', auth);
+    expect(remove.status).toBe(200);
+    expect(lot.hoursExceptions).toHaveLength(0);
+  });
+});
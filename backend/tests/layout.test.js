@@ -0,0 +1,119 @@
+const request = require('supertest');
+const { signIn } = require('./helpers/auth');
+const { app } = require('../server');
+const ParkingLot = require('../models/ParkingLot');
+const Booking = require('../models/Booking');
+const Pass = require('../models/Pass');
+const AuditEvent = require('../models/AuditEvent');
+const { findOverlaps, validateLayout, slotsFromPlan, planForCapacity, applyLayoutChanges } = require('../services/layoutService');
+const { broadcastSlotStatus } = require('../services/slotHoldService');
+
+const LOT_ID = '64b000000000000000000002';
+
+const slot = (code, x, z, extra = {}) => ({ code, type: 'car', level: 1, status: 'available', position: { x, y: 0, z }, ...extra });
+
+const signInWithLot = () => {
+  const { user: owner, auth } = signIn({ name: 'Owner', email: 'owner@example.com', role: 'landowner' });
+  const lot = new ParkingLot({
+    _id: LOT_ID,
+    name: 'Central',
+    owner: owner._id,
+    slots: [slot('A1', 1, 2), slot('A2', 3, 2), slot('A3', 5, 2)]
+  });
+  lot.updatedAt = new Date('2026-06-01T00:00:00Z');
+  jest.spyOn(ParkingLot, 'findById').mockResolvedValue(lot);
+  return auth;
+};
+
+describe('Slot layouts', () => {
+  afterEach(() => jest.restoreAllMocks());
+
+  it('flags slots that share floor space on a level, but not ones that only touch', () => {
+    expect(findOverlaps([slot('A1', 1, 2), slot('A2', 3, 2)])).toEqual([]);
+    expect(findOverlaps([slot('A1', 1, 2), slot('A2', 2.5, 2)])).toEqual([['A1', 'A2']]);
+    expect(findOverlaps([slot('A1', 1, 2), slot('B1', 1, 2, { level: 2 })])).toEqual([]);
+    // Turned sideways a car is 4 wide, so it reaches into its neighbour
+    expect(findOverlaps([slot('A1', 1, 2, { rotation: 90 }), slot('A2', 3, 2)])).toEqual([['A1', 'A2']]);
+
+    const ramp = { kind: 'ramp', level: 1, toLevel: 2, label: 'Ramp up', position: { x: 3, z: 2 }, size: { width: 2, depth: 2 } };
+    expect(validateLayout([slot('A1', 1, 2), slot('A2', 3, 2)], { fixtures: [ramp] })).toEqual(['A2 overlaps Ramp up']);
+    expect(validateLayout([slot('A1', 1, 2), slot('A1', 9, 2)])).toEqual(['Duplicate slot code A1']);
+  });
+
+  it('sizes a starting layout to capacity with mixed rows across levels', () => {
+    const plan = planForCapacity(230, ['car', 'bike']);
+    const slots = slotsFromPlan(plan);
+
+    expect(slots).toHaveLength(230);
+    expect(slots.filter(s => s.type === 'bike')).toHaveLength(23);
+    expect(plan).toHaveLength(2);
+    expect(new Set(slots.map(s => s.code)).size).toBe(230);
+    expect(validateLayout(slots)).toEqual([]);
+    expect(slots.find(s => s.level === 2).position.y).toBe(5);
+  });
+
+  it('applies bulk deletes, retypes, moves and creates in one pass', () => {
+    const current = [slot('A1', 1, 2, { hold: { id: 'h1' } }), slot('A2', 3, 2), slot('A3', 5, 2)];
+    const { slots, errors, summary } = applyLayoutChanges(current, {
+      delete: ['A3'],
+      retype: [{ code: 'A2', type: 'bike' }],
+      move: [{ code: 'A1', level: 2, position: { x: 10, z: 2 } }],
+      create: [{ code: 'B1', type: 'van', level: 1, position: { x: 20, z: 3 } }]
+    });
+
+    expect(errors).toEqual([]);
+    expect(summary).toEqual({ deleted: ['A3'], retyped: ['A2'], moved: ['A1'], created: ['B1'] });
+    expect(slots.find(s => s.code === 'A1')).toMatchObject({ level: 2, position: { x: 10, y: 5, z: 2 }, hold: { id: 'h1' } });
+    expect(slots.find(s => s.code === 'B1')).toMatchObject({ type: 'van', status: 'available' });
+    expect(applyLayoutChanges(current, { move: [{ code: 'Z9', position: { x: 0, z: 0 } }] }).errors)
+      .toEqual(['move: slot Z9 does not exist']);
+  });
+
+  it('saves a valid layout and refuses overlaps or retyping booked slots', async () => {
+    const token = signInWithLot();
+    jest.spyOn(Pass, 'distinct').mockResolvedValue([]);
+    jest.spyOn(Booking, 'distinct').mockResolvedValue(['A2']);
+    const save = jest.spyOn(ParkingLot, 'updateOne').mockResolvedValue({ matchedCount: 1 });
+    const audit = jest.spyOn(AuditEvent, 'create').mockResolvedValue({});
+
+    const overlap = await request(app)
+      .patch(`/api/parking/${LOT_ID}/layout`)
+      .set('Authorization', token)
+      .send({ move: [{ code: 'A1', position: { x: 2, z: 2 } }] });
+    expect(overlap.status).toBe(400);
+    expect(overlap.body.message).toBe('A1 overlaps A2');
+
+    const booked = await request(app)
+      .patch(`/api/parking/${LOT_ID}/layout`)
+      .set('Authorization', token)
+      .send({ retype: [{ code: 'A2', type: 'bike' }] });
+    expect(booked.status).toBe(409);
+    expect(booked.body.blockedSlots).toEqual(['A2']);
+
+    Booking.distinct.mockResolvedValue([]);
+    const saved = await request(app)
+      .patch(`/api/parking/${LOT_ID}/layout`)
+      .set('Authorization', token)
+      .send({ move: [{ code: 'A3', level: 2, position: { x: 1, z: 2 } }], create: [{ code: 'A4', type: 'bike', level: 1, position: { x: 6.5, z: 1 } }] });
+    expect(saved.status).toBe(200);
+    const [filter, update] = save.mock.calls[0];
+    expect(filter).toEqual({ _id: expect.anything(), updatedAt: new Date('2026-06-01T00:00:00Z') });
+    expect(update.$set.slots.map(s => s.code)).toEqual(['A1', 'A2', 'A3', 'A4']);
+    expect(audit).toHaveBeenCalledWith(expect.objectContaining({
+      action: 'lot.layout',
+      metadata: expect.objectContaining({ created: ['A4'], moved: 1, total: 4 })
+    }));
+  });
+
+  it('tells viewers in the lot room when a slot fills or frees up', () => {
+    const emit = jest.fn();
+    const io = { to: jest.fn(() => ({ emit })) };
+
+    broadcastSlotStatus(io, LOT_ID, { slotCode: 'A1', status: 'occupied' });
+    broadcastSlotStatus(io, LOT_ID, { slotCode: null, status: 'occupied' });
+
+    expect(io.to).toHaveBeenCalledTimes(1);
+    expect(io.to).toHaveBeenCalledWith([`lot-${LOT_ID}`]);
+    expect(emit).toHaveBeenCalledWith('slot-updated', expect.objectContaining({ lotId: LOT_ID, slotCode: 'A1', status: 'occupied', reason: 'check-in' }));
+  });
+});
@@ -0,0 +1,54 @@
+const Transaction = require('../models/Transaction');
+const { summarise, taxed } = require('../services/ledgerService');
+
+const entry = (type, fields = {}) => ({ type, status: 'posted', base: 0, taxes: 0, discount: 0, amount: 0, ...fields });
+
+describe('Payment ledger', () => {
+  it('taxes a line at 18% rounded to paise', () => {
+    expect(taxed(33.33)).toEqual({ base: 33.33, taxes: 6, amount: 39.33 });
+  });
+
+  it('derives booking totals from charges, add-ons, extensions and refunds', () => {
+    const totals = summarise([
+      entry('charge', { base: 100, taxes: 18, amount: 118 }),
+      entry('service', { base: 50, taxes: 9, amount: 59 }),
+      entry('extension', { base: 40, taxes: 7.2, amount: 47.2 }),
+      entry('overtime', { base: 40, taxes: 7.2, amount: 47.2 }),
+      entry('refund', { amount: 59 })
+    ]);
+    expect(totals).toEqual({
+      basePrice: 180,
+      serviceFees: 50,
+      taxes: 41.4,
+      discounts: 0,
+      totalAmount: 271.4,
+      paid: 0,
+      due: 271.4,
+      refunded: 59,
+      net: 212.4
+    });
+  });
+
+  it('keeps charges posted after payment due until they are collected', () => {
+    const totals = summarise([
+      entry('charge', { base: 100, taxes: 18, amount: 118 }),
+      entry('payment', { amount: 118 }),
+      entry('extension', { base: 50, taxes: 9, amount: 59 })
+    ]);
+    expect(totals).toMatchObject({ totalAmount: 177, paid: 118, due: 59, refunded: 0 });
+  });
+
+  it('ignores failed refund attempts', () => {
+    const totals = summarise([
+      entry('charge', { base: 100, taxes: 18, amount: 118 }),
+      entry('refund', { amount: 118, status: 'failed' })
+    ]);
+    expect(totals.refunded).toBe(0);
+    expect(totals.net).toBe(118);
+  });
+
+  it('refuses to update or delete posted entries', async () => {
+    await expect(Transaction.updateOne({}, { amount: 1 })).rejects.toThrow('Ledger transactions are immutable');
+    await expect(Transaction.deleteMany({})).rejects.toThrow('Ledger transactions are immutable');
+  });
+});
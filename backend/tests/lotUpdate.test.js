@@ -0,0 +1,88 @@
+const request = require('supertest');
+const { signIn } = require('./helpers/auth');
+const { app } = require('../server');
+const ParkingLot = require('../models/ParkingLot');
+const Booking = require('../models/Booking');
+const Pass = require('../models/Pass');
+const { buildLotUpdate, planSlotUpdate } = require('../services/lotUpdateService');
+
+const LOT_ID = '64b000000000000000000002';
+
+const signInAsOwner = () => {
+  const { user: owner, auth } = signIn({ name: 'Owner', email: 'owner@example.com', role: 'landowner' });
+  jest.spyOn(ParkingLot, 'findById').mockResolvedValue({ _id: LOT_ID, owner: owner._id, capacity: { total: 50, available: 50 }, slots: [] });
+  return auth;
+};
+
+describe('Lot updates', () => {
+  afterEach(() => jest.restoreAllMocks());
+
+  it('limits each role to its editable fields', () => {
+    const attempt = { name: 'Central', isVerified: true, rating: { average: 5 }, capacity: { total: 80, available: 80 } };
+    expect(buildLotUpdate(attempt, 'landowner').forbidden).toEqual(['isVerified', 'rating.average', 'capacity.available']);
+    expect(buildLotUpdate({ owner: LOT_ID }, 'landowner').forbidden).toEqual(['owner']);
+    expect(buildLotUpdate({ owner: LOT_ID }, 'admin').update).toEqual({ owner: LOT_ID });
+    expect(buildLotUpdate({ name: 'Central' }, 'user').forbidden).toEqual(['name']);
+  });
+
+  it('merges nested fields on PATCH and replaces whole fields on PUT', () => {
+    const body = { pricing: { hourly: 60 }, capacity: { total: 80 }, operatingHours: { monday: { is24Hours: true } } };
+    expect(buildLotUpdate(body, 'landowner', 'merge').update).toEqual({
+      'pricing.hourly': 60,
+      'capacity.total': 80,
+      'operatingHours.monday.is24Hours': true
+    });
+    expect(buildLotUpdate(body, 'landowner', 'replace').update).toEqual({
+      pricing: { hourly: 60 },
+      'capacity.total': 80,
+      operatingHours: { monday: { is24Hours: true } }
+    });
+  });
+
+  it('keeps live slot state and refuses to drop or retype slots that are still booked', async () => {
+    const lot = {
+      _id: LOT_ID,
+      slots: [
+        { code: 'A1', type: 'car', status: 'occupied', hold: { id: 'h1' } },
+        { code: 'A2', type: 'car', status: 'available' },
+        { code: 'A3', type: 'car', status: 'available' }
+      ]
+    };
+    // The car parked in A1 and an upcoming booking for A3
+    const booked = jest.spyOn(Booking, 'distinct').mockImplementation(async (field, filter) => (
+      ['A1', 'A3'].filter(code => filter['bookingDetails.spotNumber'].$in.includes(code))
+    ));
+    jest.spyOn(Pass, 'distinct').mockResolvedValue([]);
+
+    const plan = await planSlotUpdate(lot, [{ code: 'A1', type: 'bike', status: 'available' }, { code: 'B1', type: 'car' }]);
+    expect(plan.removed).toEqual(['A2', 'A3']);
+    expect(plan.retyped).toEqual(['A1']);
+    expect(booked.mock.calls[0][1]['bookingDetails.spotNumber'].$in).toEqual(['A2', 'A3', 'A1']);
+    expect(plan.blocked).toEqual(['A1', 'A3']);
+    expect(plan.added).toEqual(['B1']);
+    expect(plan.slots[1]).toMatchObject({ code: 'B1', status: 'available' });
+
+    // Moving A1 without changing its type keeps its live state
+    const kept = await planSlotUpdate(lot, lot.slots.map(s => ({ code: s.code, type: s.type, status: 'available' })));
+    expect(kept.blocked).toEqual([]);
+    expect(kept.slots[0]).toMatchObject({ code: 'A1', type: 'car', status: 'occupied', hold: { id: 'h1' } });
+  });
+
+  it('rejects protected fields and malformed hours through the API', async () => {
+    const token = signInAsOwner();
+
+    const forbidden = await request(app)
+      .patch(`/api/parking/${LOT_ID}`)
+      .set('Authorization', token)
+      .send({ isVerified: true, totalRevenue: 1e6 });
+    expect(forbidden.status).toBe(400);
+    expect(forbidden.body.fields).toEqual(['isVerified', 'totalRevenue']);
+
+    const hours = await request(app)
+      .put(`/api/parking/${LOT_ID}`)
+      .set('Authorization', token)
+      .send({ operatingHours: { monday: { open: '9am', close: '18:00' } } });
+    expect(hours.status).toBe(400);
+    expect(hours.body.errors[0].msg).toBe('monday: open and close must be HH:MM');
+  });
+});
@@ -0,0 +1,156 @@
+const Booking = require('../models/Booking');
+const User = require('../models/User');
+const NotificationJob = require('../models/NotificationJob');
+const WaitlistEntry = require('../models/WaitlistEntry');
+const {
+  channelsFor,
+  registerChannel,
+  scheduleBookingNotifications,
+  runJob
+} = require('../services/notificationService');
+
+const HOUR = 60 * 60 * 1000;
+const NOW = new Date('2026-07-01T08:00:00Z');
+const LOT_ID = '64b000000000000000000002';
+
+const makeUser = (notifications) => new User({
+  name: 'Ann',
+  email: 'ann@example.com',
+  phone: '9999999999',
+  password: 'secret123',
+  preferences: { notifications }
+});
+
+// What Booking.findById(...).populate('user').populate('parkingLot') resolves to
+const makeBooking = ({ user = makeUser({ email: true, sms: true, push: false }), status = 'active', start = -1, end = 1 } = {}) => ({
+  _id: new Booking()._id,
+  user,
+  parkingLot: {
+    _id: LOT_ID,
+    name: 'Central',
+    capacity: { total: 1, available: 1 },
+    slots: [],
+    pricing: { hourly: 50 }
+  },
+  vehicle: { type: 'car', licensePlate: 'KA01AB1234' },
+  bookingDetails: {
+    startTime: new Date(Date.now() + start * HOUR),
+    endTime: new Date(Date.now() + end * HOUR),
+    spotNumber: 'A1'
+  },
+  status
+});
+
+const loadBooking = (booking) => jest.spyOn(Booking, 'findById').mockReturnValue({
+  populate: () => ({ populate: () => Promise.resolve(booking) })
+});
+
+const jobFor = (booking, type, extra = {}) => new NotificationJob({
+  type,
+  booking: booking._id,
+  key: `${booking._id}:${type}`,
+  targetTime: booking.bookingDetails.endTime,
+  runAt: NOW,
+  status: 'processing',
+  attempts: 1,
+  ...extra
+});
+
+describe('Booking notifications', () => {
+  afterEach(() => jest.restoreAllMocks());
+
+  it('routes to the channels a user opted into', () => {
+    expect(channelsFor(makeUser({ email: true, sms: false, push: true }))).toEqual(['in-app', 'email', 'push']);
+    expect(channelsFor(makeUser({ email: false, sms: true, push: false }))).toEqual(['in-app', 'sms']);
+    expect(channelsFor({ preferences: {} })).toEqual(['in-app']);
+  });
+
+  it('queues a reminder before start and checkout messages before end, once per booking time', async () => {
+    const upsert = jest.spyOn(NotificationJob, 'updateOne').mockResolvedValue({});
+    const cancel = jest.spyOn(NotificationJob, 'updateMany').mockResolvedValue({});
+    const booking = makeBooking({ status: 'confirmed' });
+    booking.bookingDetails.startTime = new Date(NOW.getTime() + 3 * HOUR);
+    booking.bookingDetails.endTime = new Date(NOW.getTime() + 5 * HOUR);
+
+    const jobs = await scheduleBookingNotifications(booking, NOW);
+    expect(jobs.map(j => [j.type, j.runAt.toISOString()])).toEqual([
+      ['reminder', '2026-07-01T10:00:00.000Z'],
+      ['checkout-reminder', '2026-07-01T12:45:00.000Z'],
+      ['extension-offer', '2026-07-01T12:30:00.000Z']
+    ]);
+    expect(upsert).toHaveBeenCalledWith(
+      { key: `${booking._id}:reminder:${booking.bookingDetails.startTime.getTime()}` },
+      { $setOnInsert: expect.objectContaining({ type: 'reminder', booking: booking._id, user: booking.user._id }) },
+      { upsert: true }
+    );
+    // Jobs queued for earlier booking times are withdrawn
+    expect(cancel.mock.calls[0][0].key.$nin).toHaveLength(3);
+
+    // Starting in 30 minutes: too late for the hour-ahead reminder
+    booking.bookingDetails.startTime = new Date(NOW.getTime() + 0.5 * HOUR);
+    expect((await scheduleBookingNotifications(booking, NOW)).map(j => j.type)).toEqual(['checkout-reminder', 'extension-offer']);
+  });
+
+  it('delivers over each channel and records every attempt on the booking', async () => {
+    const booking = makeBooking();
+    loadBooking(booking);
+    const record = jest.spyOn(Booking, 'updateOne').mockResolvedValue({});
+    const finish = jest.spyOn(NotificationJob, 'updateOne').mockResolvedValue({});
+    const emit = jest.fn();
+    const io = { to: jest.fn(() => ({ emit })) };
+
+    await runJob(jobFor(booking, 'checkout-reminder'), { io, now: NOW });
+
+    expect(io.to).toHaveBeenCalledWith([`user-${booking.user._id}`]);
+    expect(emit).toHaveBeenCalledWith('notification', expect.objectContaining({ type: 'checkout-reminder', title: 'Your parking ends soon: Central' }));
+    const records = record.mock.calls[0][1].$push.notifications.$each;
+    expect(records.map(r => [r.channel, r.status])).toEqual([['in-app', 'sent'], ['email', 'skipped'], ['sms', 'skipped']]);
+    expect(records[2].error).toBe('No SMS provider configured');
+    expect(finish).toHaveBeenCalledWith(expect.anything(), { $set: expect.objectContaining({ status: 'sent' }) });
+  });
+
+  it('retries only the channels that failed', async () => {
+    const booking = makeBooking({ user: makeUser({ email: false, sms: false, push: true }) });
+    loadBooking(booking);
+    jest.spyOn(Booking, 'updateOne').mockResolvedValue({});
+    const update = jest.spyOn(NotificationJob, 'updateOne').mockResolvedValue({});
+    const push = jest.fn().mockRejectedValueOnce(new Error('gateway timeout')).mockResolvedValueOnce();
+    registerChannel('push', push);
+
+    try {
+      const job = jobFor(booking, 'checkout-reminder');
+      await runJob(job, { now: NOW });
+      const requeued = update.mock.calls[0][1].$set;
+      expect(requeued).toMatchObject({ status: 'queued', lastError: 'push: gateway timeout', runAt: new Date(NOW.getTime() + 60 * 1000) });
+
+      job.deliveries = requeued.deliveries;
+      job.attempts = 2;
+      await runJob(job, { now: NOW });
+      expect(push).toHaveBeenCalledTimes(2);
+      expect(update.mock.calls[1][1].$set).toMatchObject({ status: 'sent' });
+      expect(update.mock.calls[1][1].$set.deliveries.map(d => d.channel)).toEqual(['in-app', 'push']);
+    } finally {
+      registerChannel('push', async () => ({ skipped: 'No push provider configured' }));
+    }
+  });
+
+  it('skips extension offers when the lot is full and messages for cancelled bookings', async () => {
+    const booking = makeBooking();
+    loadBooking(booking);
+    // Another car holds the lot's only space after this booking ends
+    jest.spyOn(Booking, 'find').mockReturnValue({
+      select: () => Promise.resolve([{ vehicle: { type: 'car' }, status: 'confirmed', bookingDetails: { startTime: booking.bookingDetails.endTime, endTime: new Date(Date.now() + 3 * HOUR) } }])
+    });
+    jest.spyOn(WaitlistEntry, 'find').mockReturnValue({ select: () => Promise.resolve([]) });
+    const record = jest.spyOn(Booking, 'updateOne').mockResolvedValue({});
+    const finish = jest.spyOn(NotificationJob, 'updateOne').mockResolvedValue({});
+
+    await runJob(jobFor(booking, 'extension-offer'), { now: NOW });
+    expect(finish.mock.calls[0][1].$set).toMatchObject({ status: 'skipped', lastError: expect.stringContaining('No capacity to extend') });
+
+    booking.status = 'cancelled';
+    await runJob(jobFor(booking, 'checkout-reminder'), { now: NOW });
+    expect(finish.mock.calls[1][1].$set).toMatchObject({ status: 'skipped', lastError: 'Booking is cancelled' });
+    expect(record).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,90 @@
+const request = require('supertest');
+const { signIn } = require('./helpers/auth');
+const { app } = require('../server');
+const Booking = require('../models/Booking');
+const ParkingLot = require('../models/ParkingLot');
+const { buildOwnerFilter, localDayBounds, toOwnerRow } = require('../services/ownerBookingService');
+
+describe('Owner booking management', () => {
+  afterEach(() => jest.restoreAllMocks());
+
+  it('scopes the list to managed lots and applies filters', () => {
+    const scope = { all: false, ids: ['64b000000000000000000002'] };
+    const filter = buildOwnerFilter(scope, {
+      status: 'confirmed,active',
+      from: '2026-06-01T00:00:00Z',
+      to: '2026-06-02T00:00:00Z',
+      plate: 'ka01 ab'
+    });
+    expect(filter.parkingLot.$in.map(String)).toEqual(['64b000000000000000000002']);
+    expect(filter.status).toEqual({ $in: ['confirmed', 'active'] });
+    // Overlap: ends after `from` and starts before `to`
+    expect(filter['bookingDetails.endTime'].$gt).toEqual(new Date('2026-06-01T00:00:00Z'));
+    expect(filter['bookingDetails.startTime'].$lt).toEqual(new Date('2026-06-02T00:00:00Z'));
+
+    const plate = new RegExp(filter['vehicle.licensePlate'].$regex);
+    expect(plate.test('KA 01 AB 1234')).toBe(true);
+    expect(plate.test('KA-01-AB-1234')).toBe(true);
+    expect(plate.test('KA02AB1234')).toBe(false);
+
+    expect(buildOwnerFilter({ all: true, ids: [] }, { status: 'no-show' })).toEqual({ status: 'no-show' });
+  });
+
+  it('finds the local calendar day for the day sheet', () => {
+    const ist = localDayBounds(new Date('2026-06-10T20:00:00Z'), 'Asia/Kolkata');
+    expect(ist.date).toBe('2026-06-11');
+    expect(ist.start.toISOString()).toBe('2026-06-10T18:30:00.000Z');
+    expect(ist.end.toISOString()).toBe('2026-06-11T18:30:00.000Z');
+
+    // 23-hour day when clocks go forward in New York
+    const dst = localDayBounds(new Date('2026-03-08T15:00:00Z'), 'America/New_York');
+    expect(dst.start.toISOString()).toBe('2026-03-08T05:00:00.000Z');
+    expect(dst.end.toISOString()).toBe('2026-03-09T04:00:00.000Z');
+  });
+
+  it('shapes rows for the attendant table', () => {
+    const row = toOwnerRow({
+      _id: '64b000000000000000000009',
+      parkingLot: { _id: '64b000000000000000000002', name: 'Central' },
+      user: { name: 'Asha', email: 'asha@example.com', phone: '999' },
+      vehicle: { type: 'car', licensePlate: 'KA01AB1234' },
+      bookingDetails: { startTime: new Date(), endTime: new Date(), spotNumber: 'A1' },
+      status: 'confirmed',
+      pricing: { totalAmount: 118 },
+      entryLog: {}
+    });
+    expect(row).toMatchObject({ lotName: 'Central', slotNumber: 'A1', customer: { name: 'Asha' }, entryTime: null, totalAmount: 118 });
+  });
+
+  it('keeps owner routes behind authentication', async () => {
+    const list = await request(app).get('/api/booking/owner');
+    expect(list.status).toBe(401);
+    const bulk = await request(app).post('/api/booking/owner/bulk').send({ action: 'no-show', bookingIds: [] });
+    expect(bulk.status).toBe(401);
+  });
+
+  it('answers status changes from no-show and extended bookings with 400s', async () => {
+    const { user: owner, auth } = signIn({ name: 'Ravi', email: 'ravi@example.com', phone: '8888888888', role: 'landowner' });
+    const lot = new ParkingLot({ name: 'Central', owner: owner._id, capacity: { total: 10, available: 10 } });
+    const booking = new Booking({
+      user: '64b000000000000000000003',
+      parkingLot: lot._id,
+      vehicle: { type: 'car', licensePlate: 'KA01AB1234' },
+      bookingDetails: { startTime: new Date(), endTime: new Date(Date.now() + 60 * 60 * 1000), duration: { hours: 1 } },
+      pricing: { basePrice: 100, taxes: 18, totalAmount: 118 },
+      status: 'no-show'
+    });
+    booking.parkingLot = lot;
+    jest.spyOn(Booking, 'findById').mockReturnValue({ populate: () => Promise.resolve(booking) });
+    jest.spyOn(Booking.prototype, 'save').mockImplementation(async function save() { return this; });
+
+    const noShow = await request(app).put(`/api/booking/${booking._id}/status`).set('Authorization', auth).send({ status: 'completed' });
+    expect(noShow.status).toBe(400);
+    expect(noShow.body.message).toBe('Cannot change status from no-show to completed');
+
+    booking.status = 'extended';
+    const extended = await request(app).put(`/api/booking/${booking._id}/status`).set('Authorization', auth).send({ status: 'confirmed' });
+    expect(extended.status).toBe(400);
+    expect(extended.body.message).toBe('Cannot change status from extended to confirmed');
+  });
+});
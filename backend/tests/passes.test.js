@@ -0,0 +1,97 @@
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+const Pass = require('../models/Pass');
+const { quotePass, periodEnd, nextPeriod } = require('../services/passService');
+const { signPassTicket, verifyTicket, ticketMismatch } = require('../services/ticketService');
+const { normaliseStripeEvent, normaliseRazorpayEvent } = require('../services/paymentWebhookService');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+describe('Parking passes', () => {
+  it('prices monthly passes from the lot and pro-rates weekly ones', () => {
+    const lot = { pricing: { monthly: 2600 } };
+    expect(quotePass(lot, 'monthly')).toEqual({ plan: 'monthly', amount: 2600, taxes: 468, total: 3068, currency: 'INR' });
+    expect(quotePass(lot, 'weekly')).toMatchObject({ amount: 600, taxes: 108, total: 708 });
+    expect(quotePass({ pricing: { monthly: 2600, weekly: 500 } }, 'weekly').amount).toBe(500);
+    expect(quotePass({ pricing: { hourly: 40 } }, 'monthly')).toBeNull();
+    expect(quotePass(lot, 'yearly')).toBeNull();
+  });
+
+  it('keeps the billing day across months and clamps to short months', () => {
+    expect(periodEnd(new Date('2026-01-31T10:00:00Z'), 'monthly').toISOString()).toBe('2026-02-28T10:00:00.000Z');
+    expect(periodEnd(new Date('2026-03-15T00:00:00Z'), 'monthly').toISOString()).toBe('2026-04-15T00:00:00.000Z');
+    expect(periodEnd(new Date('2026-12-20T00:00:00Z'), 'weekly').toISOString()).toBe('2026-12-27T00:00:00.000Z');
+  });
+
+  it('renews back-to-back while the period runs and from now once it has lapsed', () => {
+    const now = new Date('2026-05-10T00:00:00Z');
+    const running = { plan: 'weekly', currentPeriod: { start: new Date(now - 2 * DAY_MS), end: new Date(now.getTime() + 5 * DAY_MS) } };
+    expect(nextPeriod(running, now).start).toEqual(running.currentPeriod.end);
+    const lapsed = { plan: 'weekly', currentPeriod: { start: new Date(now - 9 * DAY_MS), end: new Date(now - 2 * DAY_MS) } };
+    expect(nextPeriod(lapsed, now).start).toEqual(now);
+  });
+
+  it('grants gate access only inside an active period', () => {
+    const now = new Date();
+    const pass = new Pass({
+      user: '64b000000000000000000003',
+      parkingLot: '64b000000000000000000002',
+      plan: 'monthly',
+      vehicle: { type: 'car', licensePlate: 'KA01AB1234' },
+      price: { amount: 100, total: 118 },
+      status: 'active',
+      currentPeriod: { start: new Date(now - DAY_MS), end: new Date(now.getTime() + DAY_MS) }
+    });
+    expect(pass.isValidAt(now)).toBe(true);
+    expect(pass.isValidAt(new Date(now.getTime() + 2 * DAY_MS))).toBe(false);
+    pass.status = 'paused';
+    expect(pass.isValidAt(now)).toBe(false);
+  });
+
+  it('signs pass tickets that the gate tells apart from bookings', () => {
+    const pass = {
+      _id: '64b000000000000000000009',
+      parkingLot: { _id: '64b000000000000000000002' },
+      vehicle: { licensePlate: 'ka 01 ab 1234' },
+      currentPeriod: { start: new Date(), end: new Date(Date.now() + 30 * DAY_MS) }
+    };
+    const ticket = verifyTicket(signPassTicket(pass));
+    expect(ticket).toMatchObject({ valid: true, passId: pass._id, bookingId: undefined, plate: 'KA01AB1234' });
+    expect(ticketMismatch(ticket, pass)).toBeNull();
+    expect(ticketMismatch(ticket, { ...pass, vehicle: { licensePlate: 'KA01ZZ9999' } })).toBe('Ticket vehicle does not match pass');
+  });
+
+  it('routes gateway subscription events to passes with the billed period', () => {
+    const stripe = normaliseStripeEvent({
+      id: 'evt_inv_1',
+      type: 'invoice.paid',
+      data: {
+        object: {
+          object: 'invoice',
+          id: 'in_1',
+          subscription: 'sub_1',
+          subscription_details: { metadata: { passId: 'p1' } },
+          lines: { data: [{ period: { start: 1780000000, end: 1782592000 } }] }
+        }
+      }
+    });
+    expect(stripe.paymentStatus).toBeNull();
+    expect(stripe.subscription).toEqual({
+      action: 'renewed',
+      subscriptionId: 'sub_1',
+      passId: 'p1',
+      paymentId: 'in_1',
+      period: { start: new Date(1780000000 * 1000), end: new Date(1782592000 * 1000) }
+    });
+
+    const razorpay = normaliseRazorpayEvent({
+      event: 'subscription.halted',
+      payload: { subscription: { entity: { id: 'sub_rzp_1', notes: { passId: 'p2' } } } }
+    });
+    expect(razorpay.eventId).toBe('subscription.halted:sub_rzp_1');
+    expect(razorpay.subscription).toMatchObject({ action: 'past_due', subscriptionId: 'sub_rzp_1', passId: 'p2' });
+
+    const payment = normaliseStripeEvent({ id: 'evt_pi', type: 'payment_intent.succeeded', data: { object: { id: 'pi_1' } } });
+    expect(payment.subscription).toBeNull();
+  });
+});
@@ -0,0 +1,315 @@
+process.env.STRIPE_WEBHOOK_SECRET = 'whsec_test_secret';
+process.env.RAZORPAY_WEBHOOK_SECRET = 'rzp_webhook_test_secret';
+
+const crypto = require('crypto');
+const request = require('supertest');
+const { stripe, verifyWebhookSignature: verifyStripe } = require('../services/stripeService');
+const { verifyWebhookSignature: verifyRazorpay } = require('../services/razorpayService');
+const { canTransition, normaliseStripeEvent, normaliseRazorpayEvent, applyPaymentEvent } = require('../services/paymentWebhookService');
+const { app } = require('../server');
+const Booking = require('../models/Booking');
+const ParkingLot = require('../models/ParkingLot');
+const Pass = require('../models/Pass');
+const Transaction = require('../models/Transaction');
+const WaitlistEntry = require('../models/WaitlistEntry');
+const WebhookEvent = require('../models/WebhookEvent');
+
+const signStripe = (payload) => stripe.webhooks.generateTestHeaderString({
+  payload,
+  secret: process.env.STRIPE_WEBHOOK_SECRET
+});
+const signRazorpay = (payload) => crypto
+  .createHmac('sha256', process.env.RAZORPAY_WEBHOOK_SECRET)
+  .update(payload)
+  .digest('hex');
+
+// A booking the gateway events resolve to, its in-memory ledger and the capacity sync and
+// waitlist it releases into
+const gatewayBooking = ({ status = 'pending', payment = {}, endInHours = 4 } = {}) => {
+  const lot = new ParkingLot({ name: 'Central', owner: '64b000000000000000000001', capacity: { total: 10, available: 9 } });
+  const booking = new Booking({
+    user: '64b000000000000000000003',
+    parkingLot: lot._id,
+    vehicle: { type: 'car', licensePlate: 'KA01AB1234' },
+    bookingDetails: { startTime: new Date(Date.now() + (endInHours - 2) * 60 * 60 * 1000), endTime: new Date(Date.now() + endInHours * 60 * 60 * 1000), duration: { hours: 2 } },
+    pricing: { basePrice: 200, taxes: 36, totalAmount: 236 },
+    payment: { method: 'stripe', status: 'pending', paymentId: 'pi_1', ...payment },
+    status
+  });
+  jest.spyOn(Booking, 'findById').mockReturnValue({ populate: () => Promise.resolve(booking) });
+  jest.spyOn(Booking, 'findOne').mockReturnValue({ populate: () => Promise.resolve(booking) });
+  const save = jest.spyOn(Booking.prototype, 'save').mockImplementation(async function save() { return this; });
+  const ledger = [];
+  jest.spyOn(Transaction, 'countDocuments').mockImplementation(async () => ledger.length);
+  jest.spyOn(Transaction, 'create').mockImplementation(async (doc) => {
+    if (doc.idempotencyKey && ledger.some(t => t.idempotencyKey === doc.idempotencyKey)) {
+      throw Object.assign(new Error('duplicate key'), { code: 11000 });
+    }
+    ledger.push(new Transaction(doc));
+    return ledger[ledger.length - 1];
+  });
+  jest.spyOn(Transaction, 'findOne').mockImplementation(async ({ idempotencyKey }) => ledger.find(t => t.idempotencyKey === idempotencyKey));
+  jest.spyOn(Transaction, 'find').mockReturnValue({ sort: () => Promise.resolve(ledger) });
+  jest.spyOn(ParkingLot, 'findById').mockReturnValue({ select: () => Promise.resolve(lot) });
+  const capacity = jest.spyOn(ParkingLot, 'updateOne').mockResolvedValue({});
+  jest.spyOn(Booking, 'countDocuments').mockResolvedValue(0);
+  jest.spyOn(Pass, 'countDocuments').mockResolvedValue(0);
+  const noEntries = Object.assign(Promise.resolve([]), { sort() { return this; }, limit() { return this; } });
+  const waitlist = jest.spyOn(WaitlistEntry, 'find').mockReturnValue(noEntries);
+  return { booking, ledger, save, capacity, waitlist };
+};
+
+// In-memory idempotency store: first claim of an event id wins, later ones see its record
+const webhookStore = () => {
+  const records = new Map();
+  const key = ({ provider, eventId }) => `${provider}:${eventId}`;
+  jest.spyOn(WebhookEvent, 'findOneAndUpdate').mockImplementation(async (filter, update) => {
+    const existing = records.get(key(filter));
+    if (!existing) records.set(key(filter), { _id: key(filter), ...update.$setOnInsert });
+    return existing || null;
+  });
+  jest.spyOn(WebhookEvent, 'updateOne').mockImplementation(async (filter, update) => {
+    Object.assign(records.get(key(filter)), update.$set);
+    return {};
+  });
+  return records;
+};
+
+const stripeEvent = (id, type, object) => normaliseStripeEvent({ id, type, data: { object } });
+
+describe('Payment webhooks', () => {
+  afterEach(() => jest.restoreAllMocks());
+
+  it('verifies a locally signed Stripe event and maps it to a completed payment', () => {
+    const payload = JSON.stringify({
+      id: 'evt_1',
+      type: 'payment_intent.succeeded',
+      data: { object: { object: 'payment_intent', id: 'pi_1', amount: 12345, metadata: { bookingId: '64b000000000000000000001' } } }
+    });
+    const event = normaliseStripeEvent(verifyStripe(payload, signStripe(payload)));
+    expect(event).toMatchObject({
+      provider: 'stripe',
+      eventId: 'evt_1',
+      paymentStatus: 'completed',
+      lookup: { bookingId: '64b000000000000000000001', paymentId: 'pi_1' },
+      amount: 123.45
+    });
+  });
+
+  it('maps Stripe refunds back to the payment intent', () => {
+    const event = normaliseStripeEvent({
+      id: 'evt_2',
+      type: 'charge.refunded',
+      data: { object: { object: 'charge', id: 'ch_1', payment_intent: 'pi_1', amount: 10000, amount_refunded: 5000 } }
+    });
+    expect(event).toMatchObject({ paymentStatus: 'refunded', lookup: { paymentId: 'pi_1' }, refundAmount: 50 });
+  });
+
+  it('verifies Razorpay signatures over the raw body and derives a stable event id', () => {
+    const raw = JSON.stringify({
+      event: 'payment.failed',
+      payload: { payment: { entity: { id: 'pay_1', order_id: 'order_1', amount: 5000, error_description: 'Card declined' } } }
+    });
+    expect(verifyRazorpay(raw, signRazorpay(raw))).toBe(true);
+    expect(verifyRazorpay(raw.replace('5000', '1'), signRazorpay(raw))).toBe(false);
+
+    const event = normaliseRazorpayEvent(JSON.parse(raw));
+    expect(event).toMatchObject({
+      eventId: 'payment.failed:pay_1',
+      paymentStatus: 'failed',
+      lookup: { paymentId: 'pay_1', orderId: 'order_1' },
+      failureReason: 'Card declined'
+    });
+    expect(normaliseRazorpayEvent(JSON.parse(raw), 'evt_rzp_1').eventId).toBe('evt_rzp_1');
+  });
+
+  it('confirms a booking only when the payment covers its total', async () => {
+    const booking = new Booking({
+      user: '64b000000000000000000003',
+      parkingLot: '64b000000000000000000002',
+      vehicle: { type: 'car', licensePlate: 'KA01AB1234' },
+      bookingDetails: { startTime: new Date(), endTime: new Date(Date.now() + 2 * 60 * 60 * 1000), duration: { hours: 2 } },
+      pricing: { basePrice: 200, taxes: 36, totalAmount: 236 },
+      payment: { method: 'stripe', status: 'pending', paymentId: 'pi_1' },
+      status: 'pending'
+    });
+    jest.spyOn(Booking, 'findById').mockReturnValue({ populate: () => Promise.resolve(booking) });
+    const save = jest.spyOn(Booking.prototype, 'save').mockImplementation(async function save() { return this; });
+    const ledger = [];
+    jest.spyOn(Transaction, 'countDocuments').mockImplementation(async () => ledger.length);
+    jest.spyOn(Transaction, 'create').mockImplementation(async (doc) => {
+      ledger.push(new Transaction(doc));
+      return ledger[ledger.length - 1];
+    });
+    jest.spyOn(Transaction, 'find').mockReturnValue({ sort: () => Promise.resolve(ledger) });
+    const succeeded = (amount, currency = 'inr') => normaliseStripeEvent({
+      id: `evt_${amount}_${currency}`,
+      type: 'payment_intent.succeeded',
+      data: { object: { object: 'payment_intent', id: 'pi_1', amount, currency, metadata: { bookingId: String(booking._id) } } }
+    });
+
+    const underpaid = await applyPaymentEvent(null, succeeded(100));
+    expect(underpaid).toMatchObject({ outcome: 'ignored', reason: 'Paid 1.00 INR, booking total is 236.00 INR' });
+    const wrongCurrency = await applyPaymentEvent(null, succeeded(23600, 'usd'));
+    expect(wrongCurrency.reason).toBe('Paid in USD, booking is priced in INR');
+    expect(booking.status).toBe('pending');
+    expect(booking.payment.status).toBe('pending');
+    expect(save).not.toHaveBeenCalled();
+
+    const paid = await applyPaymentEvent(null, succeeded(23600));
+    expect(paid.outcome).toBe('updated');
+    expect(booking.status).toBe('confirmed');
+    expect(booking.payment).toMatchObject({ status: 'completed', amountPaid: 236, amountDue: 0 });
+    expect(ledger.map(t => [t.type, t.amount])).toEqual([['charge', 236], ['payment', 236]]);
+  });
+
+  it('gives the space back when a payment fails', async () => {
+    const failing = gatewayBooking();
+    const failed = await applyPaymentEvent(null, stripeEvent('evt_f', 'payment_intent.payment_failed', {
+      object: 'payment_intent', id: 'pi_1', amount: 23600, currency: 'inr', last_payment_error: { message: 'Card declined' }
+    }));
+    expect(failed.outcome).toBe('updated');
+    expect(failing.booking).toMatchObject({ status: 'cancelled', payment: { status: 'failed' } });
+    expect(failing.booking.cancellation.reason).toMatch(/^Payment failed/);
+    expect(failing.capacity).toHaveBeenCalled();
+    expect(failing.waitlist).toHaveBeenCalled();
+  });
+
+  it('gives the space back when a payment is refunded in full', async () => {
+    const refunding = gatewayBooking({ status: 'confirmed', payment: { status: 'completed' } });
+    const refunded = await applyPaymentEvent(null, stripeEvent('evt_r', 'charge.refunded', {
+      object: 'charge', id: 'ch_1', payment_intent: 'pi_1', amount: 23600, amount_refunded: 23600, currency: 'inr',
+      refunds: { data: [{ id: 're_1', amount: 23600 }] }
+    }));
+    expect(refunded.outcome).toBe('updated');
+    expect(refunding.booking).toMatchObject({ status: 'cancelled', payment: { status: 'refunded', amountPaid: 236, refundAmount: 236 } });
+    expect(refunding.ledger.map(t => t.type)).toEqual(['charge', 'payment', 'refund']);
+    expect(refunding.capacity).toHaveBeenCalled();
+  });
+
+  it('refunds a retried payment that lands after its booking was released', async () => {
+    const { booking, ledger } = gatewayBooking({ endInHours: -1 });
+    booking.status = 'cancelled';
+    booking.payment.status = 'failed';
+    booking.cancellation = { reason: 'Payment failed: Card declined', cancelledAt: new Date() };
+    const refund = jest.spyOn(stripe.refunds, 'create').mockResolvedValue({ id: 're_late' });
+
+    const late = await applyPaymentEvent(null, stripeEvent('evt_late', 'payment_intent.succeeded', {
+      object: 'payment_intent', id: 'pi_1', amount: 23600, currency: 'inr'
+    }));
+    expect(late.outcome).toBe('updated');
+    expect(refund).toHaveBeenCalledWith({ payment_intent: 'pi_1', amount: 23600 });
+    expect(booking).toMatchObject({ status: 'cancelled', payment: { status: 'refunded', refundAmount: 236 } });
+    expect(ledger.map(t => [t.type, t.gatewayRef])).toEqual([['charge', undefined], ['payment', 'pi_1'], ['refund', 're_late']]);
+  });
+
+  it('applies a series payment to every occurrence and checks it against the series total', async () => {
+    const series = '64b0000000000000000000aa';
+    const { booking: first, ledger } = gatewayBooking();
+    const second = new Booking({ ...first.toObject(), _id: undefined, seriesIndex: 1 });
+    first.series = series;
+    second.series = series;
+    second.bookingDetails.startTime = new Date(first.bookingDetails.startTime.getTime() + 24 * 60 * 60 * 1000);
+    second.bookingDetails.endTime = new Date(first.bookingDetails.endTime.getTime() + 24 * 60 * 60 * 1000);
+    const occurrences = jest.spyOn(Booking, 'find').mockReturnValue({ populate: () => ({ sort: () => Promise.resolve([first, second]) }) });
+    // Each occurrence keeps its own ledger
+    const entriesOf = (filter) => ledger.filter(t => String(t.booking) === String(filter.booking));
+    jest.spyOn(Transaction, 'countDocuments').mockImplementation(async (filter) => entriesOf(filter).length);
+    jest.spyOn(Transaction, 'find').mockImplementation((filter) => ({ sort: () => Promise.resolve(entriesOf(filter)) }));
+    const paid = (amount) => stripeEvent(`evt_series_${amount}`, 'payment_intent.succeeded', {
+      object: 'payment_intent', id: 'pi_1', amount, currency: 'inr', metadata: { seriesId: series }
+    });
+
+    const underpaid = await applyPaymentEvent(null, paid(23600));
+    expect(underpaid).toMatchObject({ outcome: 'ignored', reason: 'Paid 236.00 INR, series total is 472.00 INR' });
+    expect(occurrences).toHaveBeenCalledWith({ series });
+
+    const covered = await applyPaymentEvent(null, paid(47200));
+    expect(covered.outcome).toBe('updated');
+    for (const occurrence of [first, second]) {
+      expect(occurrence).toMatchObject({ status: 'confirmed', payment: { status: 'completed', amountPaid: 236 } });
+    }
+    expect(ledger.filter(t => t.type === 'payment')).toHaveLength(2);
+
+    // A partial refund covering one occurrence releases that one only
+    const refunded = await applyPaymentEvent(null, stripeEvent('evt_series_refund', 'charge.refunded', {
+      object: 'charge', id: 'ch_1', payment_intent: 'pi_1', amount: 47200, amount_refunded: 23600, currency: 'inr'
+    }));
+    expect(refunded.outcome).toBe('updated');
+    expect(first).toMatchObject({ status: 'cancelled', payment: { status: 'refunded', refundAmount: 236 } });
+    expect(second).toMatchObject({ status: 'confirmed', payment: { status: 'completed', amountPaid: 236 } });
+    expect(ledger.filter(t => t.type === 'refund').map(t => [String(t.booking), t.amount])).toEqual([[String(first._id), 236]]);
+  });
+
+  it('only allows forward payment transitions', () => {
+    expect(canTransition('pending', 'completed')).toBe(true);
+    expect(canTransition('failed', 'completed')).toBe(true);
+    expect(canTransition('completed', 'refunded')).toBe(true);
+    expect(canTransition('completed', 'failed')).toBe(false);
+    expect(canTransition('refunded', 'completed')).toBe(false);
+  });
+
+  it('rejects webhook requests with a bad signature', async () => {
+    const payload = JSON.stringify({ id: 'evt_3', type: 'payment_intent.succeeded', data: { object: {} } });
+    const stripeRes = await request(app)
+      .post('/api/payments/webhooks/stripe')
+      .set('Content-Type', 'application/json')
+      .set('Stripe-Signature', 't=1,v1=deadbeef')
+      .send(payload);
+    expect(stripeRes.status).toBe(400);
+
+    const razorpayRes = await request(app)
+      .post('/api/payments/webhooks/razorpay')
+      .set('Content-Type', 'application/json')
+      .set('X-Razorpay-Signature', signRazorpay(payload).replace(/^./, '0'))
+      .send(payload);
+    expect(razorpayRes.status).toBe(400);
+  });
+
+  it('confirms a booking from a signed Stripe event once, however often it is delivered', async () => {
+    const { booking, ledger, save } = gatewayBooking();
+    const records = webhookStore();
+    const payload = JSON.stringify({
+      id: 'evt_paid',
+      type: 'payment_intent.succeeded',
+      data: { object: { object: 'payment_intent', id: 'pi_1', amount: 23600, currency: 'inr', metadata: { bookingId: String(booking._id) } } }
+    });
+    const deliver = () => request(app)
+      .post('/api/payments/webhooks/stripe')
+      .set('Content-Type', 'application/json')
+      .set('Stripe-Signature', signStripe(payload))
+      .send(payload);
+
+    const first = await deliver();
+    expect(first.status).toBe(200);
+    expect(first.body).toMatchObject({ duplicate: false, outcome: 'updated', bookingId: String(booking._id) });
+    expect(booking).toMatchObject({ status: 'confirmed', payment: { status: 'completed', amountPaid: 236 } });
+    expect(records.get('stripe:evt_paid').status).toBe('processed');
+
+    const replay = await deliver();
+    expect(replay.status).toBe(200);
+    expect(replay.body).toMatchObject({ duplicate: true, outcome: 'processed' });
+    expect(save).toHaveBeenCalledTimes(1);
+    expect(ledger.map(t => t.type)).toEqual(['charge', 'payment']);
+  });
+
+  it('confirms a booking from a signed Razorpay capture', async () => {
+    const { booking, ledger } = gatewayBooking({ payment: { method: 'razorpay', paymentId: undefined, orderId: 'order_1' } });
+    webhookStore();
+    const payload = JSON.stringify({
+      event: 'payment.captured',
+      payload: { payment: { entity: { id: 'pay_1', order_id: 'order_1', amount: 23600, currency: 'INR', notes: { bookingId: String(booking._id) } } } }
+    });
+
+    const res = await request(app)
+      .post('/api/payments/webhooks/razorpay')
+      .set('Content-Type', 'application/json')
+      .set('X-Razorpay-Signature', signRazorpay(payload))
+      .set('X-Razorpay-Event-Id', 'evt_rzp_paid')
+      .send(payload);
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({ duplicate: false, outcome: 'updated' });
+    expect(booking).toMatchObject({ status: 'confirmed', payment: { status: 'completed', paymentId: 'pay_1' } });
+    expect(ledger.map(t => [t.type, t.gateway, t.amount])).toEqual([['charge', 'razorpay', 236], ['payment', 'razorpay', 236]]);
+  });
+});
@@ -0,0 +1,104 @@
+const request = require('supertest');
+const { signIn } = require('./helpers/auth');
+const { app } = require('../server');
+const ParkingLot = require('../models/ParkingLot');
+const Booking = require('../models/Booking');
+const Service = require('../models/Service');
+const WaitlistEntry = require('../models/WaitlistEntry');
+const { MAX_STAY_DAYS, quoteBooking, priceParking, priceExtension, stayError } = require('../services/pricingService');
+
+// 2030-01-07 is a Monday
+const at = (day, h) => new Date(Date.UTC(2030, 0, day, h));
+const lot = (pricing = {}, extra = {}) => ({ timezone: 'UTC', pricing: { hourly: 50, ...pricing }, ...extra });
+const now = at(1, 0);
+
+describe('Pricing engine', () => {
+  afterEach(() => jest.restoreAllMocks());
+
+  it('bills started hours at the day rate plus GST', () => {
+    const quote = quoteBooking(lot(), { startTime: at(7, 9), endTime: new Date(at(7, 11).getTime() + 30 * 60 * 1000), now });
+    expect(quote).toMatchObject({ basePrice: 150, taxes: 27, totalAmount: 177, duration: { hours: 3, minutes: 30 } });
+    expect(quote.lineItems[0]).toMatchObject({ type: 'parking', label: 'Day rate', quantity: 3, unitPrice: 50 });
+  });
+
+  it('switches to the night rate inside the night window', () => {
+    const res = priceParking(lot({ nightHourly: 20 }), at(7, 21), at(7, 24), { now });
+    expect(res.basePrice).toBe(50 + 20 + 20);
+    expect(res.lineItems.map(l => l.label)).toEqual(['Day rate', 'Night rate']);
+  });
+
+  it('applies weekend and holiday multipliers', () => {
+    const rules = { weekendMultiplier: 1.5, holidayMultiplier: 2, holidays: ['2030-01-08'] };
+    expect(priceParking(lot(rules), at(12, 10), at(12, 12), { now }).basePrice).toBe(150); // Saturday
+    expect(priceParking(lot(rules), at(8, 10), at(8, 11), { now }).basePrice).toBe(100); // holiday Tuesday
+  });
+
+  it('caps each 24 hours at the daily rate when that is cheaper', () => {
+    const res = priceParking(lot({ daily: 300 }), at(7, 8), at(7, 18), { now });
+    expect(res.basePrice).toBe(300);
+    expect(res.lineItems.find(l => l.type === 'cap')).toMatchObject({ label: 'Daily cap (₹300/day)', amount: -200 });
+    expect(priceParking(lot({ daily: 12.5, hourly: 5, currency: 'USD' }), at(7, 8), at(7, 12), { now }).lineItems.find(l => l.type === 'cap').label)
+      .toBe('Daily cap ($12.5/day)');
+    expect(priceParking(lot({ daily: 300 }), at(7, 8), at(7, 12), { now }).basePrice).toBe(200);
+  });
+
+  it('adds an occupancy surge only for bookings starting soon', () => {
+    const busy = lot({ surgeBands: [{ minOccupancy: 70, multiplier: 1.2 }, { minOccupancy: 90, multiplier: 1.5 }] }, { liveStatus: { occupancyRate: 92 } });
+    const soon = priceParking(busy, at(7, 9), at(7, 11), { now: at(7, 8) });
+    expect(soon.basePrice).toBe(150);
+    expect(soon.appliedRules.surge).toMatchObject({ multiplier: 1.5 });
+    expect(priceParking(busy, at(7, 9), at(7, 11), { now }).basePrice).toBe(100);
+  });
+
+  it('prices extensions against the whole stay so the daily cap still applies', () => {
+    const res = priceExtension(lot({ daily: 300 }), { startTime: at(7, 8), oldEndTime: at(7, 13), newEndTime: at(7, 18), now });
+    expect(res).toMatchObject({ basePrice: 50, hours: 5 });
+  });
+
+  it('refuses to price stays longer than the booking limit', async () => {
+    const limit = new Date(at(7, 8).getTime() + MAX_STAY_DAYS * 24 * 60 * 60 * 1000);
+    expect(stayError(at(7, 8), limit)).toBeNull();
+    expect(stayError(at(7, 8), new Date(limit.getTime() + 60 * 60 * 1000))).toBe(`A booking can last at most ${MAX_STAY_DAYS} days`);
+
+    const { user, auth } = signIn();
+    jest.spyOn(ParkingLot, 'findById').mockResolvedValue(new ParkingLot({ name: 'Central', owner: user._id, pricing: { hourly: 50 } }));
+    const res = await request(app).post('/api/booking/calculate-price')
+      .set('Authorization', auth)
+      .send({ parkingLot: '64b000000000000000000002', startTime: '2030-01-07T08:00:00Z', endTime: '2130-01-07T08:00:00Z' });
+    expect(res.status).toBe(400);
+    expect(res.body.message).toBe(`A booking can last at most ${MAX_STAY_DAYS} days`);
+  });
+
+  it('quotes add-on services at the price and hours the booking will be charged', async () => {
+    const { user, auth } = signIn();
+    const central = new ParkingLot({ name: 'Central', owner: user._id, timezone: 'UTC', pricing: { hourly: 50 }, capacity: { total: 10 } });
+    jest.spyOn(ParkingLot, 'findById').mockResolvedValue(central);
+    jest.spyOn(Booking, 'find').mockReturnValue({ select: () => Promise.resolve([]) });
+    jest.spyOn(WaitlistEntry, 'find').mockReturnValue({ select: () => Promise.resolve([]) });
+    const service = (name, { hours = { start: '09:00', end: '17:00' }, lotPrice, offered = true } = {}) => new Service({
+      name,
+      category: 'car-wash',
+      pricing: { basePrice: 300 },
+      details: { duration: { estimated: 30 } },
+      availability: { isActive: true, operatingHours: hours },
+      availableAt: offered ? [{ parkingLot: central._id, isActive: true, customPricing: lotPrice }] : []
+    });
+    const wash = service('Exterior Wash', { lotPrice: 250 });
+    const valet = service('Valet', { offered: false });
+    const polish = service('Night Polish', { hours: { start: '20:00', end: '23:00' } });
+    const catalogue = [wash, valet, polish];
+    jest.spyOn(Service, 'findById').mockImplementation(async (id) => catalogue.find(s => String(s._id) === String(id)) || null);
+    const quote = (services) => request(app).post('/api/booking/calculate-price')
+      .set('Authorization', auth)
+      .send({ parkingLot: String(central._id), startTime: '2030-01-07T08:00:00Z', endTime: '2030-01-07T12:00:00Z', services });
+
+    const res = await quote([wash._id, valet._id]);
+    expect(res.status).toBe(200);
+    expect(res.body.data.services).toEqual([{ serviceId: String(wash._id), name: 'Exterior Wash', price: 250, quantity: 1 }]);
+    expect(res.body.data.pricing).toMatchObject({ basePrice: 200, serviceFees: 250 });
+
+    const closed = await quote([polish._id]);
+    expect(closed.status).toBe(400);
+    expect(closed.body.message).toMatch(/^Night Polish is not available during this booking/);
+  });
+});
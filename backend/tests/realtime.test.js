@@ -0,0 +1,101 @@
+const fs = require('fs');
+const path = require('path');
+const { makeUser, tokenFor, mockUserLookup } = require('./helpers/auth');
+const ParkingLot = require('../models/ParkingLot');
+const { SOCKET_CONTRACT_VERSION, SERVER_EVENTS, CLIENT_EVENTS } = require('../config/socketEvents');
+const { publish, authenticateSocket, handleConnection } = require('../services/realtimeService');
+
+const LOT_ID = '64b000000000000000000002';
+
+const fakeIo = () => {
+  const emit = jest.fn();
+  return { emit, to: jest.fn(() => ({ emit })) };
+};
+
+// Just enough of a socket.io server socket to drive the handlers
+const fakeSocket = (token, user) => {
+  const handlers = {};
+  return {
+    id: 'sock-1',
+    handshake: { auth: token ? { token } : {}, headers: {} },
+    data: user ? { user } : {},
+    rooms: new Set(),
+    join(room) { this.rooms.add(room); },
+    leave(room) { this.rooms.delete(room); },
+    emit: jest.fn(),
+    on(event, fn) { handlers[event] = fn; },
+    trigger: (event, ...args) => handlers[event](...args)
+  };
+};
+
+describe('Realtime socket contract', () => {
+  afterEach(() => jest.restoreAllMocks());
+
+  it('routes events only to the rooms their audience allows', () => {
+    const io = fakeIo();
+    publish(io, 'status-update', { bookingId: 'b1', status: 'confirmed' }, { lotId: LOT_ID, userId: { _id: 'u1' } });
+    expect(io.to).toHaveBeenLastCalledWith(['user-u1', `lot-owner-${LOT_ID}`]);
+    expect(io.emit).toHaveBeenLastCalledWith('status-update', expect.objectContaining({ bookingId: 'b1', v: SOCKET_CONTRACT_VERSION, timestamp: expect.any(Date) }));
+
+    publish(io, 'booking-created', { lotId: LOT_ID }, { lotId: LOT_ID, userId: 'u1' });
+    expect(io.to).toHaveBeenLastCalledWith([`lot-owner-${LOT_ID}`]);
+
+    io.to.mockClear();
+    publish(io, 'status-update', { bookingId: 'b1' }, {});
+    publish(null, 'slot-updated', {}, { lotId: LOT_ID });
+    expect(io.to).not.toHaveBeenCalled();
+    expect(() => publish(io, 'slot-hold', {}, { lotId: LOT_ID })).toThrow('Unknown socket event: slot-hold');
+  });
+
+  it('keeps the web client mirror in step with the contract', () => {
+    const mirror = fs.readFileSync(path.join(__dirname, '../../frontend/src/services/socketEvents.js'), 'utf8');
+    expect(mirror).toContain(`SOCKET_CONTRACT_VERSION = ${SOCKET_CONTRACT_VERSION};`);
+    const named = [...mirror.matchAll(/^ {2}\w+: '([\w-]+)',$/gm)].map(m => m[1]);
+    expect(named.sort()).toEqual([...Object.keys(SERVER_EVENTS), ...Object.values(CLIENT_EVENTS)].sort());
+  });
+
+  it('authenticates the handshake with the login JWT', async () => {
+    const user = makeUser({ name: 'Ann', email: 'ann@example.com' });
+    const find = mockUserLookup(user);
+    const token = tokenFor(user);
+
+    const next = jest.fn();
+    await authenticateSocket(fakeSocket(null), next);
+    expect(next).toHaveBeenLastCalledWith(new Error('Not authorized, no token provided'));
+    await authenticateSocket(fakeSocket('garbage'), next);
+    expect(next).toHaveBeenLastCalledWith(new Error('Not authorized, token invalid'));
+
+    const socket = fakeSocket(token);
+    await authenticateSocket(socket, next);
+    expect(next).toHaveBeenLastCalledWith();
+    expect(socket.data.user).toEqual({ id: String(user._id), role: 'user' });
+
+    user.suspension = { active: true };
+    find.mockReturnValue({ select: () => Promise.resolve(user) });
+    await authenticateSocket(fakeSocket(token), next);
+    expect(next).toHaveBeenLastCalledWith(new Error('Your account has been suspended'));
+  });
+
+  it('puts users in their own room and only owners in the owner room', async () => {
+    jest.spyOn(ParkingLot, 'findById').mockReturnValue({ select: () => ({ lean: () => Promise.resolve({ owner: 'owner-1' }) }) });
+
+    const guest = fakeSocket(null, { id: 'u1', role: 'user' });
+    handleConnection(guest);
+    expect(guest.rooms).toEqual(new Set(['user-u1']));
+    expect(guest.emit).toHaveBeenCalledWith('session', expect.objectContaining({ userId: 'u1', v: SOCKET_CONTRACT_VERSION }));
+    const ack = jest.fn();
+    await guest.trigger('join-lot', LOT_ID, ack);
+    expect(ack).toHaveBeenCalledWith({ ok: true, owner: false });
+    expect(guest.rooms.has(`lot-owner-${LOT_ID}`)).toBe(false);
+    await guest.trigger('join-lot', 'not-an-id', ack);
+    expect(ack).toHaveBeenLastCalledWith({ ok: false, message: 'Invalid parking lot id' });
+
+    const owner = fakeSocket(null, { id: 'owner-1', role: 'landowner' });
+    handleConnection(owner);
+    await owner.trigger('join-lot', LOT_ID, ack);
+    expect(ack).toHaveBeenLastCalledWith({ ok: true, owner: true });
+    expect(owner.rooms).toEqual(new Set(['user-owner-1', `lot-${LOT_ID}`, `lot-owner-${LOT_ID}`]));
+    owner.trigger('leave-lot', LOT_ID);
+    expect(owner.rooms).toEqual(new Set(['user-owner-1']));
+  });
+});
@@ -0,0 +1,46 @@
+const { expandRecurrence, validateRule } = require('../services/recurrenceService');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+describe('Recurring bookings', () => {
+  // Monday 2 Nov 2026, 09:00-18:00 IST
+  const first = { startTime: new Date('2026-11-02T03:30:00Z'), endTime: new Date('2026-11-02T12:30:00Z') };
+
+  it('expands weekdays 9 to 6 into one booking per working day', () => {
+    const occurrences = expandRecurrence(first, { frequency: 'weekdays', until: '2026-11-13T18:29:59Z' }, { timezone: 'Asia/Kolkata' });
+    expect(occurrences).toHaveLength(10);
+    expect(occurrences[0]).toEqual({ index: 0, ...first });
+    expect(occurrences[5].startTime.toISOString()).toBe('2026-11-09T03:30:00.000Z');
+    occurrences.forEach(o => expect(o.endTime - o.startTime).toBe(9 * HOUR_MS));
+  });
+
+  it('supports daily, weekly and custom days', () => {
+    const until = '2026-11-15T18:29:59Z';
+    expect(expandRecurrence(first, { frequency: 'daily', until }, { timezone: 'Asia/Kolkata' })).toHaveLength(14);
+    expect(expandRecurrence(first, { frequency: 'weekly', until }, { timezone: 'Asia/Kolkata' })
+      .map(o => o.startTime.toISOString())).toEqual(['2026-11-02T03:30:00.000Z', '2026-11-09T03:30:00.000Z']);
+    const custom = expandRecurrence(first, { frequency: 'custom', days: [2, 4], until }, { timezone: 'Asia/Kolkata' });
+    expect(custom.map(o => o.startTime.toISOString().slice(0, 10))).toEqual(['2026-11-03', '2026-11-05', '2026-11-10', '2026-11-12']);
+  });
+
+  it('keeps the local start time across a DST change', () => {
+    const friday = { startTime: new Date('2026-10-30T13:00:00Z'), endTime: new Date('2026-10-30T22:00:00Z') };
+    const occurrences = expandRecurrence(friday, { frequency: 'daily', until: '2026-11-03T23:00:00Z' }, { timezone: 'America/New_York' });
+    expect(occurrences.map(o => o.startTime.toISOString())).toEqual([
+      '2026-10-30T13:00:00.000Z',
+      '2026-10-31T13:00:00.000Z',
+      '2026-11-01T14:00:00.000Z',
+      '2026-11-02T14:00:00.000Z',
+      '2026-11-03T14:00:00.000Z'
+    ]);
+  });
+
+  it('rejects incomplete or runaway rules', () => {
+    expect(validateRule({ frequency: 'hourly', until: '2026-11-10' }, first.startTime)).toMatch(/frequency/);
+    expect(validateRule({ frequency: 'custom', days: [], until: '2026-11-10' }, first.startTime)).toMatch(/at least one day/);
+    expect(validateRule({ frequency: 'daily' }, first.startTime)).toBe('Recurrence end date is required');
+    expect(validateRule({ frequency: 'daily', until: '2026-10-01' }, first.startTime)).toMatch(/after the first booking/);
+    expect(validateRule({ frequency: 'daily', until: '2027-06-01' }, first.startTime)).toMatch(/at most/);
+    expect(validateRule({ frequency: 'weekdays', until: '2026-11-13' }, first.startTime)).toBeNull();
+  });
+});
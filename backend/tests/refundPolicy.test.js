@@ -0,0 +1,191 @@
+const request = require('supertest');
+const { makeUser, signIn: signInAs } = require('./helpers/auth');
+const { app } = require('../server');
+const Booking = require('../models/Booking');
+const ParkingLot = require('../models/ParkingLot');
+const Pass = require('../models/Pass');
+const Transaction = require('../models/Transaction');
+const WaitlistEntry = require('../models/WaitlistEntry');
+const AuditEvent = require('../models/AuditEvent');
+const { quoteRefund, resolvePolicy } = require('../services/refundPolicyService');
+
+const now = new Date(Date.UTC(2030, 0, 10, 12));
+const hoursFromNow = (h) => new Date(now.getTime() + h * 60 * 60 * 1000);
+const booking = (startInHours, extra = {}) => ({
+  status: 'confirmed',
+  createdAt: hoursFromNow(-1),
+  bookingDetails: { startTime: hoursFromNow(startInHours) },
+  pricing: { totalAmount: 200 },
+  payment: { status: 'completed' },
+  ...extra
+});
+const lot = (cancellationPolicy) => ({ cancellationPolicy });
+
+describe('Cancellation policies', () => {
+  it('keeps the original rules as the default (moderate) policy', () => {
+    expect(quoteRefund(booking(48), { now }).refundAmount).toBe(200);
+    expect(quoteRefund(booking(5), { now }).refundAmount).toBe(100);
+    expect(quoteRefund(booking(0.5), { now })).toMatchObject({ cancellable: false, refundAmount: 0 });
+  });
+
+  it('applies custom tiers and a percentage cancellation fee', () => {
+    const policy = lot({
+      preset: 'custom',
+      cutoffHours: 2,
+      tiers: [{ hoursBeforeStart: 12, refundPercent: 75 }, { hoursBeforeStart: 72, refundPercent: 100 }],
+      cancellationFee: { type: 'percent', amount: 10 }
+    });
+    expect(quoteRefund(booking(100), { lot: policy, now })).toMatchObject({ refundPercent: 100, cancellationFee: 20, refundAmount: 180 });
+    expect(quoteRefund(booking(24), { lot: policy, now })).toMatchObject({ refundPercent: 75, grossRefund: 150, refundAmount: 130 });
+    expect(quoteRefund(booking(6), { lot: policy, now })).toMatchObject({ cancellable: true, refundAmount: 0 });
+    expect(quoteRefund(booking(1), { lot: policy, now }).cancellable).toBe(false);
+  });
+
+  it('never lets a flat fee exceed the refund', () => {
+    const policy = lot({ preset: 'flexible', cancellationFee: { type: 'flat', amount: 500 } });
+    expect(quoteRefund(booking(3), { lot: policy, now })).toMatchObject({ grossRefund: 200, cancellationFee: 200, refundAmount: 0 });
+  });
+
+  it('makes early-bird bookings non-refundable', () => {
+    const policy = lot({ preset: 'flexible', earlyBird: { enabled: true, minHoursAhead: 24 * 7 } });
+    const early = booking(24, { createdAt: hoursFromNow(-24 * 10) });
+    expect(quoteRefund(early, { lot: policy, now })).toMatchObject({ cancellable: true, refundAmount: 0, reason: 'Early-bird bookings are non-refundable' });
+    expect(quoteRefund(booking(24), { lot: policy, now }).refundAmount).toBe(200);
+  });
+
+  it('refunds only what was actually paid and not yet refunded', () => {
+    expect(quoteRefund(booking(48, { payment: { status: 'pending' } }), { now }).refundAmount).toBe(0);
+    expect(resolvePolicy(null).preset).toBe('moderate');
+  });
+});
+
+describe('Customer cancellation', () => {
+  const HOUR = 60 * 60 * 1000;
+
+  const signIn = (role = 'user') => {
+    const { user, auth } = signInAs({ role });
+    const audit = jest.spyOn(AuditEvent, 'create').mockImplementation(async (doc) => doc);
+    return { user, audit, auth };
+  };
+
+  // A paid booking for `user` with its opening charge in an in-memory ledger; the lot, capacity
+  // sync and waitlist are stubbed around it
+  const paidBooking = (user, { startInHours = 48, status = 'confirmed' } = {}) => {
+    const lot = new ParkingLot({ name: 'Central', owner: '64b000000000000000000001', capacity: { total: 10, available: 10 } });
+    const booking = new Booking({
+      user: user._id,
+      parkingLot: lot._id,
+      vehicle: { type: 'car', licensePlate: 'KA01AB1234' },
+      bookingDetails: { startTime: new Date(Date.now() + startInHours * HOUR), endTime: new Date(Date.now() + (startInHours + 2) * HOUR), duration: { hours: 2 } },
+      pricing: { basePrice: 200, taxes: 36, totalAmount: 236 },
+      payment: { method: 'card', status: 'completed' },
+      status
+    });
+    booking.parkingLot = lot;
+    const ledger = [new Transaction({ booking: booking._id, type: 'charge', status: 'posted', base: 200, taxes: 36, amount: 236 })];
+    jest.spyOn(Booking, 'findById').mockReturnValue({ populate: () => Promise.resolve(booking) });
+    jest.spyOn(Booking.prototype, 'save').mockImplementation(async function save() { return this; });
+    jest.spyOn(Transaction, 'countDocuments').mockImplementation(async () => ledger.length);
+    jest.spyOn(Transaction, 'create').mockImplementation(async (doc) => {
+      ledger.push(new Transaction(doc));
+      return ledger[ledger.length - 1];
+    });
+    jest.spyOn(Transaction, 'find').mockReturnValue({ sort: () => Promise.resolve(ledger) });
+    jest.spyOn(ParkingLot, 'findById').mockReturnValue({ select: () => Promise.resolve(lot) });
+    jest.spyOn(ParkingLot, 'updateOne').mockResolvedValue({});
+    jest.spyOn(Booking, 'countDocuments').mockResolvedValue(0);
+    jest.spyOn(Pass, 'countDocuments').mockResolvedValue(0);
+    const noEntries = Object.assign(Promise.resolve([]), { sort() { return this; }, limit() { return this; } });
+    jest.spyOn(WaitlistEntry, 'find').mockReturnValue(noEntries);
+    return { booking, ledger };
+  };
+
+  afterEach(() => jest.restoreAllMocks());
+
+  it('refunds through the ledger and records the status change', async () => {
+    const { user, audit, auth } = signIn();
+    const { booking, ledger } = paidBooking(user);
+
+    const res = await request(app).delete(`/api/booking/${booking._id}`).set('Authorization', auth).send({ reason: 'Plans changed' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.data).toMatchObject({ refundAmount: 236, refundFailed: false });
+    expect(ledger.map(t => [t.type, t.status, t.amount])).toEqual([['charge', 'posted', 236], ['payment', 'posted', 236], ['refund', 'posted', 236]]);
+    expect(booking).toMatchObject({ status: 'cancelled', payment: { status: 'refunded', refundAmount: 236 } });
+    expect(audit.mock.calls.map(([event]) => event.action)).toEqual(['booking.refund', 'booking.status']);
+    expect(audit.mock.calls[1][0].changes).toEqual([{ field: 'status', from: 'confirmed', to: 'cancelled' }]);
+  });
+
+  it('keeps payment cancellation inside the policy window and off started bookings', async () => {
+    const { user, auth } = signIn();
+    const cancelPayment = (booking) => request(app).post(`/api/booking/${booking._id}/payment/cancel`).set('Authorization', auth).send({});
+
+    const late = paidBooking(user, { startInHours: 0.5 });
+    const lateRes = await cancelPayment(late.booking);
+    expect(lateRes.status).toBe(400);
+    expect(lateRes.body.message).toBe('Cancellations close 1 hour(s) before start');
+    expect(late.booking).toMatchObject({ status: 'confirmed', payment: { status: 'completed' } });
+    expect(late.ledger.map(t => t.type)).not.toContain('refund');
+
+    const active = paidBooking(user, { startInHours: -1, status: 'active' });
+    const activeRes = await cancelPayment(active.booking);
+    expect(activeRes.status).toBe(400);
+    expect(activeRes.body.message).toBe('Bookings that are active cannot be cancelled');
+    expect(active.booking.status).toBe('active');
+    expect(active.ledger.map(t => t.type)).not.toContain('refund');
+  });
+
+  it('lets the lot owner cancel and refund in full until the car arrives', async () => {
+    const { user: owner, auth } = signIn('landowner');
+    const customer = makeUser({ name: 'Ben', email: 'ben@example.com', phone: '8888888888' });
+    const { booking, ledger } = paidBooking(customer, { startInHours: 0.5 });
+    booking.parkingLot.owner = owner._id;
+
+    const res = await request(app).post(`/api/booking/${booking._id}/payment/cancel`).set('Authorization', auth).send({});
+    expect(res.status).toBe(200);
+    expect(res.body.data).toMatchObject({ status: 'cancelled', refundAmount: 236, refundFailed: false });
+    expect(ledger.map(t => t.type)).toEqual(['charge', 'payment', 'refund']);
+    expect(booking.payment.status).toBe('refunded');
+  });
+
+  it('applies the same rules to cancellations through the status route', async () => {
+    const { user, auth } = signIn();
+    const cancel = (booking) => request(app).put(`/api/booking/${booking._id}/status`).set('Authorization', auth).send({ status: 'cancelled' });
+
+    const late = paidBooking(user, { startInHours: 0.5 });
+    const lateRes = await cancel(late.booking);
+    expect(lateRes.status).toBe(400);
+    expect(lateRes.body.message).toBe('Cancellations close 1 hour(s) before start');
+    expect(late.booking.status).toBe('confirmed');
+    expect(late.ledger.map(t => t.type)).not.toContain('refund');
+
+    const early = paidBooking(user);
+    const earlyRes = await cancel(early.booking);
+    expect(earlyRes.status).toBe(200);
+    expect(earlyRes.body.data).toMatchObject({ refundAmount: 236, refundFailed: false });
+    expect(early.ledger.map(t => [t.type, t.amount])).toEqual([['charge', 236], ['payment', 236], ['refund', 236]]);
+
+    const { user: owner, auth: ownerAuth } = signIn('landowner');
+    const lotSide = paidBooking(user, { startInHours: 0.5 });
+    lotSide.booking.parkingLot.owner = owner._id;
+    const ownerRes = await request(app).put(`/api/booking/${lotSide.booking._id}/status`).set('Authorization', ownerAuth).send({ status: 'cancelled' });
+    expect(ownerRes.status).toBe(200);
+    expect(ownerRes.body.data).toMatchObject({ status: 'cancelled', refundAmount: 236 });
+    expect(lotSide.ledger.map(t => t.type)).toEqual(['charge', 'payment', 'refund']);
+  });
+
+  it('refunds only what was captured, not extensions still to be collected', async () => {
+    const { user, auth } = signIn();
+    const { booking, ledger } = paidBooking(user);
+    ledger.push(new Transaction({ booking: booking._id, type: 'extension', status: 'posted', base: 100, taxes: 18, amount: 118 }));
+
+    const quote = await request(app).get(`/api/booking/${booking._id}/refund-quote`).set('Authorization', auth);
+    expect(quote.body.data.quote).toMatchObject({ paidAmount: 236, refundAmount: 236 });
+
+    const res = await request(app).delete(`/api/booking/${booking._id}`).set('Authorization', auth).send({});
+    expect(res.status).toBe(200);
+    expect(res.body.data.refundAmount).toBe(236);
+    expect(ledger.filter(t => t.type === 'refund').map(t => t.amount)).toEqual([236]);
+    expect(booking.payment).toMatchObject({ amountPaid: 236, amountDue: 118, refundAmount: 236 });
+  });
+});
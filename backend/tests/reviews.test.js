@@ -0,0 +1,55 @@
+const request = require('supertest');
+const { app } = require('../server');
+const Review = require('../models/Review');
+const { summariseRatings, reportReview, REPORT_HIDE_THRESHOLD } = require('../services/reviewService');
+
+const reviewWithReports = (count, extra = {}) => {
+  const review = new Review({
+    booking: '64b000000000000000000001',
+    user: '64b000000000000000000003',
+    parkingLot: '64b000000000000000000002',
+    rating: 2,
+    ...extra
+  });
+  for (let i = 0; i < count; i++) {
+    review.reports.push({ user: `64b0000000000000000001${String(i).padStart(2, '0')}`, reason: 'spam' });
+  }
+  review.save = jest.fn().mockResolvedValue(review);
+  return review;
+};
+
+describe('Reviews', () => {
+  it('summarises rating buckets into an average and distribution', () => {
+    expect(summariseRatings([{ _id: 5, n: 3 }, { _id: 4, n: 1 }, { _id: 2, n: 1 }])).toEqual({
+      average: 4.2,
+      count: 5,
+      distribution: { 1: 0, 2: 1, 3: 0, 4: 1, 5: 3 }
+    });
+    expect(summariseRatings([])).toEqual({ average: 0, count: 0, distribution: { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 } });
+  });
+
+  it('rejects duplicate reports and keeps a review visible below the threshold', async () => {
+    const review = reviewWithReports(REPORT_HIDE_THRESHOLD - 2);
+    const reporter = '64b000000000000000000099';
+    expect(await reportReview(review, { userId: reporter, reason: 'abusive' })).toEqual({ duplicate: false, hidden: false });
+    expect(review.status).toBe('published');
+    expect(await reportReview(review, { userId: reporter, reason: 'again' })).toEqual({ duplicate: true });
+    expect(review.save).toHaveBeenCalledTimes(1);
+  });
+
+  it('does not auto-hide a review an admin has already restored', async () => {
+    const review = reviewWithReports(REPORT_HIDE_THRESHOLD - 1, { moderatedAt: new Date() });
+    const result = await reportReview(review, { userId: '64b000000000000000000099', reason: 'still spam' });
+    expect(result.hidden).toBe(false);
+    expect(review.status).toBe('published');
+  });
+
+  it('validates listing parameters before touching the database', async () => {
+    const badId = await request(app).get('/api/reviews/lot/not-an-id');
+    expect(badId.status).toBe(400);
+    const badSort = await request(app).get('/api/reviews/service/64b000000000000000000002?sort=random');
+    expect(badSort.status).toBe(400);
+    const anonymous = await request(app).post('/api/reviews').send({ bookingId: '64b000000000000000000001', rating: 5 });
+    expect(anonymous.status).toBe(401);
+  });
+});
@@ -0,0 +1,140 @@
+const request = require('supertest');
+const { app } = require('../server');
+const ParkingLot = require('../models/ParkingLot');
+const Booking = require('../models/Booking');
+const { buildCandidateFilter, countFacets } = require('../services/searchService');
+const { isOpenAt } = require('../services/hoursService');
+
+const id = (n) => `64b0000000000000000000${String(n).padStart(2, '0')}`;
+
+const lot = (n, extra = {}) => ({
+  _id: id(n),
+  name: `Lot ${n}`,
+  location: { type: 'Point', coordinates: [77.2, 28.6], address: { street: `${n} Main Road`, city: 'Delhi' } },
+  capacity: { total: 10, available: 5 },
+  vehicleTypes: ['car'],
+  pricing: { hourly: 20 + n },
+  amenities: ['cctv'],
+  rating: { average: 3, count: 4 },
+  isVerified: true,
+  ...extra
+});
+
+// Wednesday 1 July 2026, 12:00 in India
+const NOON_IST = new Date('2026-07-01T06:30:00Z');
+
+describe('Lot search', () => {
+  afterEach(() => jest.restoreAllMocks());
+
+  it('turns filters into one indexed Mongo query', () => {
+    expect(buildCandidateFilter(
+      { vehicleType: 'bike', amenities: ['cctv', 'covered'], minPrice: 10, maxPrice: 50, minRating: 4 },
+      { hideUnverified: true }
+    )).toEqual({
+      status: 'active',
+      isVerified: true,
+      vehicleTypes: 'bike',
+      amenities: { $all: ['cctv', 'covered'] },
+      'pricing.hourly': { $gte: 10, $lte: 50 },
+      'rating.average': { $gte: 4 }
+    });
+    expect(buildCandidateFilter({ maxPrice: 0 })).toEqual({ status: 'active', 'pricing.hourly': { $lte: 0 } });
+  });
+
+  it('checks open-now in lot local time and treats lots without hours as open', () => {
+    const office = lot(1, { operatingHours: { wednesday: { open: '09:00', close: '18:00' } } });
+    expect(isOpenAt(office, NOON_IST)).toBe(true);
+    expect(isOpenAt(office, new Date('2026-07-01T14:30:00Z'))).toBe(false); // 20:00
+    expect(isOpenAt(office, new Date('2026-07-02T06:30:00Z'))).toBe(false); // Thursday: no hours
+    expect(isOpenAt(lot(2), NOON_IST)).toBe(true);
+
+    const facets = countFacets([
+      { ...office, openNow: true },
+      { ...lot(40, { amenities: ['cctv', 'ev-charging'], vehicleTypes: ['car', 'bike'], rating: { average: 4.5 } }), openNow: false }
+    ]);
+    expect(facets.amenities).toEqual({ cctv: 2, 'ev-charging': 1 });
+    expect(facets.vehicleTypes).toEqual({ car: 2, bike: 1 });
+    expect(facets.price).toEqual({ '0-20': 0, '20-50': 1, '50-100': 1, '100+': 0 });
+    expect(facets.rating).toEqual({ '4+': 1, '3+': 2, '2+': 2 });
+    expect(facets.openNow).toEqual({ open: 1, closed: 1 });
+  });
+
+  it('pages through results with a cursor in the requested order', async () => {
+    const lots = [lot(3), lot(1), lot(5), lot(2), lot(4)];
+    const aggregate = jest.spyOn(ParkingLot, 'aggregate').mockImplementation(async () => lots.map(l => ({ ...l })));
+
+    const first = await request(app).get('/api/parking/search').query({ sort: 'price', limit: 2 });
+    expect(first.status).toBe(200);
+    expect(first.body.data.lots.map(l => l.name)).toEqual(['Lot 1', 'Lot 2']);
+    expect(first.body.data.pagination).toMatchObject({ total: 5, hasMore: true });
+    expect(aggregate.mock.calls[0][0][0]).toEqual({ $match: { status: 'active' } });
+
+    const second = await request(app).get('/api/parking/search').query({ sort: 'price', limit: 2, cursor: first.body.data.pagination.nextCursor });
+    expect(second.body.data.lots.map(l => l.name)).toEqual(['Lot 3', 'Lot 4']);
+    const third = await request(app).get('/api/parking/search').query({ sort: 'price', limit: 2, cursor: second.body.data.pagination.nextCursor });
+    expect(third.body.data.lots.map(l => l.name)).toEqual(['Lot 5']);
+    expect(third.body.data.pagination).toMatchObject({ hasMore: false, nextCursor: null });
+
+    const bad = await request(app).get('/api/parking/search').query({ cursor: 'not-a-cursor' });
+    expect(bad.status).toBe(400);
+  });
+
+  it('combines text and location by handing text matches to $geoNear', async () => {
+    jest.spyOn(ParkingLot, 'find').mockReturnValue({
+      sort: () => ({ limit: () => ({ lean: async () => [{ _id: id(1), score: 2.5 }, { _id: id(2), score: 1 }] }) })
+    });
+    const aggregate = jest.spyOn(ParkingLot, 'aggregate').mockResolvedValue([
+      lot(2, { distance: 300 }),
+      lot(1, { distance: 900 })
+    ]);
+
+    const res = await request(app).get('/api/parking/search').query({ q: 'mall', lat: 28.6, lng: 77.2, radius: 3 });
+    expect(res.status).toBe(200);
+    const { $geoNear } = aggregate.mock.calls[0][0][0];
+    expect($geoNear).toMatchObject({ near: { coordinates: [77.2, 28.6] }, maxDistance: 3000 });
+    expect($geoNear.query._id.$in.map(String)).toEqual([id(1), id(2)]);
+    // Text searches rank by relevance unless told otherwise
+    expect(res.body.data.sort).toBe('relevance');
+    expect(res.body.data.lots.map(l => l.name)).toEqual(['Lot 1', 'Lot 2']);
+    expect(res.body.data.lots[0]).toMatchObject({ distanceMeters: 900, relevance: 2.5 });
+
+    const unpaired = await request(app).get('/api/parking/search').query({ lat: 28.6 });
+    expect(unpaired.status).toBe(400);
+    const farFrom = await request(app).get('/api/parking/search').query({ sort: 'distance' });
+    expect(farFrom.status).toBe(400);
+  });
+
+  it('keeps only lots with room for the whole time window', async () => {
+    const full = lot(1, { capacity: { total: 1, available: 1 } });
+    jest.spyOn(ParkingLot, 'aggregate').mockResolvedValue([full, lot(2)]);
+    jest.spyOn(Booking, 'find').mockReturnValue({
+      select: async () => [{
+        parkingLot: id(1),
+        vehicle: { type: 'car' },
+        status: 'confirmed',
+        bookingDetails: { startTime: new Date('2027-01-01T10:00:00Z'), endTime: new Date('2027-01-01T12:00:00Z') }
+      }]
+    });
+
+    const res = await request(app).get('/api/parking/search').query({
+      vehicleType: 'car',
+      startTime: '2027-01-01T11:00:00Z',
+      endTime: '2027-01-01T13:00:00Z'
+    });
+    expect(res.status).toBe(200);
+    expect(res.body.data.lots.map(l => l.name)).toEqual(['Lot 2']);
+    expect(res.body.data.lots[0].window).toMatchObject({ available: true });
+  });
+
+  it('quotes day and night rates for nearby lots, as search does', async () => {
+    const aggregate = jest.spyOn(ParkingLot, 'aggregate').mockResolvedValue([
+      { ...lot(1, { pricing: { hourly: 40, nightHourly: 25 } }), distance: 120 },
+      { ...lot(2, { pricing: { hourly: 30 } }), distance: 300 }
+    ]);
+
+    const res = await request(app).get('/api/parking/nearby?lat=28.6&lng=77.2');
+    expect(res.status).toBe(200);
+    expect(res.body.data.map(l => l.pricePerHour)).toEqual([{ day: 40, night: 25 }, { day: 30, night: 30 }]);
+    expect(aggregate.mock.calls[0][0].find(stage => stage.$project).$project).toMatchObject({ 'pricing.hourly': 1, 'pricing.nightHourly': 1 });
+  });
+});
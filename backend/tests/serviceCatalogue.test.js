@@ -0,0 +1,143 @@
+const request = require('supertest');
+const { signIn } = require('./helpers/auth');
+const { app } = require('../server');
+const ParkingLot = require('../models/ParkingLot');
+const Service = require('../models/Service');
+const AuditEvent = require('../models/AuditEvent');
+const { findServiceWindow, openHoursOf } = require('../services/serviceOrderService');
+
+const LOT_ID = '64b000000000000000000002';
+const IST = 'Asia/Kolkata';
+
+const makeWash = (availability = {}, extra = {}) => new Service({
+  name: 'Exterior Wash',
+  category: 'car-wash',
+  pricing: { basePrice: 300 },
+  details: { duration: { estimated: 45 } },
+  availability: { isActive: true, operatingHours: { start: '09:00', end: '17:00' }, ...availability },
+  availableAt: [{ parkingLot: LOT_ID, isActive: true }],
+  ...extra
+});
+
+const signInOwner = () => {
+  const { user: owner, auth } = signIn({ name: 'Owner', email: 'owner@example.com', role: 'landowner' });
+  jest.spyOn(AuditEvent, 'create').mockResolvedValue({});
+  return { owner, auth };
+};
+
+describe('Service catalogue', () => {
+  afterEach(() => jest.restoreAllMocks());
+
+  it('only offers a service on its days and within its hours, in lot local time', () => {
+    const wash = makeWash({ daysAvailable: ['monday', 'tuesday', 'wednesday', 'thursday', 'friday'] });
+    // Wednesday 1 July 2026: 10:00 and 23:30 in India
+    expect(wash.isAvailableAt(LOT_ID, { at: new Date('2026-07-01T04:30:00Z'), timezone: IST })).toBe(true);
+    expect(wash.isAvailableAt(LOT_ID, { at: new Date('2026-07-01T18:00:00Z'), timezone: IST })).toBe(false);
+    // Same time of day on a Saturday
+    expect(wash.isOpenAt(new Date('2026-07-04T04:30:00Z'), IST)).toBe(false);
+    // 16:30-17:15 runs past closing
+    expect(wash.isOpenBetween(new Date('2026-07-01T11:00:00Z'), new Date('2026-07-01T11:45:00Z'), IST)).toBe(false);
+    // Without a time only the lot is checked
+    expect(wash.isAvailableAt(LOT_ID)).toBe(true);
+
+    // A Friday-night window belongs to Friday even after midnight
+    const late = makeWash({ operatingHours: { start: '22:00', end: '02:00' }, daysAvailable: ['friday'] });
+    expect(late.isOpenAt(new Date('2026-07-03T19:30:00Z'), IST)).toBe(true); // Sat 01:00
+    expect(late.isOpenAt(new Date('2026-07-02T19:30:00Z'), IST)).toBe(false); // Fri 01:00, Thursday's night
+    expect(makeWash({ operatingHours: { is24Hours: true } }).isOpenAt(new Date('2026-07-01T18:00:00Z'), IST)).toBe(true);
+  });
+
+  it('schedules add-ons only while the service is open', () => {
+    const wash = makeWash();
+    // 16:00-20:00 in India
+    const booking = { bookingDetails: { startTime: new Date('2026-07-01T10:30:00Z'), endTime: new Date('2026-07-01T14:30:00Z') } };
+    const isOpen = openHoursOf(wash, booking);
+
+    expect(findServiceWindow(booking, 45, [], { now: new Date('2026-07-01T10:00:00Z'), isOpen }))
+      .toEqual({ start: new Date('2026-07-01T10:30:00Z'), end: new Date('2026-07-01T11:15:00Z') });
+    expect(findServiceWindow(booking, 45, [], { now: new Date('2026-07-01T11:00:00Z'), isOpen }).error)
+      .toBe('The service is not offered at any free time during this booking');
+    expect(findServiceWindow(booking, 45, [], { now: new Date('2026-07-01T10:00:00Z'), isOpen, preferredStart: new Date('2026-07-01T12:00:00Z') }).error)
+      .toBe('The service is not offered at that time');
+  });
+
+  it('lets landowners create services they own with whitelisted fields', async () => {
+    const { owner, auth } = signInOwner();
+    const save = jest.spyOn(Service.prototype, 'save').mockImplementation(async function save() { return this; });
+
+    const res = await request(app)
+      .post('/api/services')
+      .set('Authorization', auth)
+      .send({
+        name: 'Night Valet',
+        category: 'valet',
+        pricing: { basePrice: 150 },
+        availability: { operatingHours: { start: '20:00', end: '02:00' }, daysAvailable: ['friday', 'saturday'] }
+      });
+    expect(res.status).toBe(201);
+    expect(res.body.data.service).toMatchObject({ name: 'Night Valet', owner: String(owner._id), availability: { daysAvailable: ['friday', 'saturday'] } });
+    expect(save).toHaveBeenCalledTimes(1);
+
+    const stats = await request(app)
+      .post('/api/services')
+      .set('Authorization', auth)
+      .send({ name: 'Wash', category: 'car-wash', pricing: { basePrice: 100 }, stats: { totalBookings: 999 } });
+    expect(stats.status).toBe(400);
+    expect(stats.body.fields).toEqual(['stats.totalBookings']);
+
+    const sameTimes = await request(app)
+      .post('/api/services')
+      .set('Authorization', auth)
+      .send({ name: 'Wash', category: 'car-wash', pricing: { basePrice: 100 }, availability: { operatingHours: { start: '09:00', end: '09:00' } } });
+    expect(sameTimes.status).toBe(400);
+  });
+
+  it('keeps edits to the service owner and checks merged hours', async () => {
+    const { owner, auth } = signInOwner();
+    const mine = makeWash({}, { owner: owner._id });
+    const platform = makeWash();
+    jest.spyOn(Service, 'findById').mockImplementation(async (id) => (String(id) === String(mine._id) ? mine : platform));
+    jest.spyOn(Service.prototype, 'save').mockImplementation(async function save() { return this; });
+
+    const closed = await request(app).patch(`/api/services/${mine._id}`).set('Authorization', auth)
+      .send({ availability: { operatingHours: { end: '09:00' } } });
+    expect(closed.status).toBe(400);
+    expect(closed.body.message).toBe('Start and end cannot be the same; use is24Hours');
+
+    const hours = await request(app).put(`/api/services/${mine._id}/hours`).set('Authorization', auth)
+      .send({ operatingHours: { start: '07:00', end: '21:00' }, daysAvailable: ['saturday', 'sunday'] });
+    expect(hours.status).toBe(200);
+    expect(mine.availability.operatingHours.start).toBe('07:00');
+    expect(mine.availability.daysAvailable).toEqual(['saturday', 'sunday']);
+
+    const other = await request(app).patch(`/api/services/${platform._id}`).set('Authorization', auth).send({ name: 'Mine now' });
+    expect(other.status).toBe(403);
+  });
+
+  it('attaches a service to the owner’s lot with a lot price and detaches it', async () => {
+    const { owner, auth } = signInOwner();
+    const lot = new ParkingLot({ _id: '64b000000000000000000003', name: 'Riverside', owner: owner._id });
+    const wash = makeWash();
+    jest.spyOn(ParkingLot, 'findById').mockImplementation((id) => ({
+      select: () => Promise.resolve(String(id) === String(lot._id) ? lot : new ParkingLot({ _id: id, name: 'Elsewhere', owner: '64b000000000000000000001' }))
+    }));
+    jest.spyOn(Service, 'findById').mockResolvedValue(wash);
+    jest.spyOn(Service.prototype, 'save').mockImplementation(async function save() { return this; });
+
+    const attach = await request(app).put(`/api/services/${wash._id}/lots/${lot._id}`).set('Authorization', auth).send({ customPricing: 250 });
+    expect(attach.status).toBe(201);
+    expect(attach.body.data).toMatchObject({ price: 250, isActive: true });
+
+    const pause = await request(app).put(`/api/services/${wash._id}/lots/${lot._id}`).set('Authorization', auth).send({ customPricing: null, isActive: false });
+    expect(pause.status).toBe(200);
+    expect(pause.body.data).toMatchObject({ price: 300, customPricing: null, isActive: false });
+    expect(wash.isAvailableAt(lot._id)).toBe(false);
+
+    const notMine = await request(app).put(`/api/services/${wash._id}/lots/${LOT_ID}`).set('Authorization', auth).send({ isActive: false });
+    expect(notMine.status).toBe(403);
+
+    const detach = await request(app).delete(`/api/services/${wash._id}/lots/${lot._id}`).set('Authorization', auth);
+    expect(detach.status).toBe(200);
+    expect(wash.availableAt.map(a => String(a.parkingLot))).toEqual([LOT_ID]);
+  });
+});
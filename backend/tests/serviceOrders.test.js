@@ -0,0 +1,153 @@
+const request = require('supertest');
+const { makeUser, signIn: signInAs } = require('./helpers/auth');
+const { app } = require('../server');
+const Booking = require('../models/Booking');
+const ParkingLot = require('../models/ParkingLot');
+const Service = require('../models/Service');
+const ServiceOrder = require('../models/ServiceOrder');
+const Transaction = require('../models/Transaction');
+const { findServiceWindow, transitionError } = require('../services/serviceOrderService');
+
+const HOUR = 60 * 60 * 1000;
+const LOT_ID = '64b000000000000000000002';
+const at = (time) => new Date(`2026-07-01T${time}:00Z`);
+
+const signIn = (role = 'user') => signInAs({ role });
+
+const makeBooking = (user, extra = {}) => new Booking({
+  user: user._id,
+  parkingLot: LOT_ID,
+  vehicle: { type: 'car', licensePlate: 'KA01AB1234' },
+  bookingDetails: { startTime: new Date(Date.now() - HOUR), endTime: new Date(Date.now() + 3 * HOUR), spotNumber: 'A1' },
+  pricing: { basePrice: 200, taxes: 36, totalAmount: 236 },
+  status: 'active',
+  ...extra
+});
+
+const makeWash = () => new Service({
+  name: 'Exterior Wash',
+  category: 'car-wash',
+  pricing: { basePrice: 300 },
+  details: { duration: { estimated: 45 }, vehicleTypes: ['car'] },
+  availableAt: [{ parkingLot: LOT_ID, customPricing: 250, isActive: true }]
+});
+
+describe('Service orders', () => {
+  afterEach(() => jest.restoreAllMocks());
+
+  it('schedules inside the booking window around the vehicle’s other services', () => {
+    const booking = { bookingDetails: { startTime: at('10:00'), endTime: at('12:00') } };
+    const taken = [{ scheduledStart: at('10:00'), scheduledEnd: at('10:30') }];
+    const now = at('09:00');
+
+    expect(findServiceWindow(booking, 45, taken, { now })).toEqual({ start: at('10:30'), end: at('11:15') });
+    // Mid-booking, the earliest start is the next whole minute
+    expect(findServiceWindow(booking, 30, [], { now: new Date(at('11:00').getTime() + 20000) }).start).toEqual(at('11:01'));
+    expect(findServiceWindow(booking, 45, taken, { now, preferredStart: at('10:15') }).error)
+      .toBe('Another service is already scheduled on this vehicle at that time');
+    expect(findServiceWindow(booking, 45, taken, { now, preferredStart: at('11:30') }).error)
+      .toBe('The service takes 45 minutes and must fit inside the booking');
+    expect(findServiceWindow(booking, 100, taken, { now }).error).toMatch(/Not enough time left/);
+  });
+
+  it('lets staff move orders forward and customers cancel only before work starts', () => {
+    expect(transitionError({ status: 'requested' }, 'accepted', 'staff')).toBeNull();
+    expect(transitionError({ status: 'requested' }, 'done', 'staff')).toBe('Cannot move a requested order to done');
+    expect(transitionError({ status: 'accepted' }, 'cancelled', 'customer')).toBeNull();
+    expect(transitionError({ status: 'accepted' }, 'in-progress', 'customer')).toBe('Only lot staff can update this order');
+    expect(transitionError({ status: 'in-progress' }, 'cancelled', 'customer')).toMatch(/already started/);
+    expect(transitionError({ status: 'done' }, 'cancelled', 'staff')).toBe('Cannot move a done order to cancelled');
+  });
+
+  it('adds a service to an existing booking at the lot’s price', async () => {
+    const { user, auth } = signIn();
+    const booking = makeBooking(user);
+    const wash = makeWash();
+    jest.spyOn(Booking, 'findById').mockResolvedValue(booking);
+    jest.spyOn(Service, 'findById').mockResolvedValue(wash);
+    jest.spyOn(ServiceOrder, 'find').mockReturnValue({ select: () => Promise.resolve([]) });
+    const create = jest.spyOn(ServiceOrder, 'create').mockImplementation(async (doc) => new ServiceOrder(doc));
+
+    const res = await request(app)
+      .post('/api/service-orders')
+      .set('Authorization', auth)
+      .send({ bookingId: String(booking._id), serviceId: String(wash._id), notes: 'Skip the roof box' });
+
+    expect(res.status).toBe(201);
+    expect(create.mock.calls[0][0]).toMatchObject({ serviceName: 'Exterior Wash', unitPrice: 250, amount: 295, billing: { mode: 'on-completion' } });
+    const { order } = res.body.data;
+    expect(new Date(order.scheduledEnd) - new Date(order.scheduledStart)).toBe(45 * 60 * 1000);
+    expect(new Date(order.scheduledEnd) <= booking.bookingDetails.endTime).toBe(true);
+
+    // Bikes are not washed here
+    booking.vehicle.type = 'bike';
+    const bike = await request(app)
+      .post('/api/service-orders')
+      .set('Authorization', auth)
+      .send({ bookingId: String(booking._id), serviceId: String(wash._id) });
+    expect(bike.status).toBe(400);
+    expect(bike.body.message).toBe('Exterior Wash is not available for bikes');
+  });
+
+  it('charges pay-on-completion orders to the booking ledger when marked done', async () => {
+    const { user: owner, auth } = signIn('landowner');
+    const booking = makeBooking(makeUser({ name: 'Ben', email: 'ben@example.com', phone: '8888888888' }));
+    const order = new ServiceOrder({
+      booking: booking._id,
+      user: booking.user,
+      parkingLot: LOT_ID,
+      service: '64b000000000000000000005',
+      serviceName: 'Exterior Wash',
+      unitPrice: 250,
+      amount: 295,
+      status: 'in-progress'
+    });
+    // What populate('parkingLot', 'name owner') leaves on the order
+    order.parkingLot = new ParkingLot({ _id: LOT_ID, name: 'Central', owner: owner._id });
+    jest.spyOn(ServiceOrder, 'findById').mockReturnValue({ populate: () => Promise.resolve(order) });
+    jest.spyOn(ServiceOrder.prototype, 'save').mockImplementation(async function save() { return this; });
+    jest.spyOn(Booking, 'findById').mockResolvedValue(booking);
+    const saveBooking = jest.spyOn(Booking.prototype, 'save').mockImplementation(async function save() { return this; });
+    jest.spyOn(Transaction, 'countDocuments').mockResolvedValue(1);
+    const posted = jest.spyOn(Transaction, 'create').mockImplementation(async (doc) => new Transaction(doc));
+    jest.spyOn(Transaction, 'find').mockReturnValue({
+      sort: () => Promise.resolve([
+        { type: 'charge', status: 'posted', base: 200, taxes: 36, amount: 236 },
+        { type: 'service', status: 'posted', base: 250, taxes: 45, amount: 295 }
+      ])
+    });
+
+    const res = await request(app)
+      .patch(`/api/service-orders/${order._id}/status`)
+      .set('Authorization', auth)
+      .send({ status: 'done' });
+
+    expect(res.status).toBe(200);
+    expect(posted.mock.calls[0][0]).toMatchObject({ type: 'service', amount: 295, idempotencyKey: `service-order:${order._id}` });
+    expect(res.body.data.order).toMatchObject({ status: 'done', billing: { transaction: expect.any(String) } });
+    expect(booking.services.map(s => s.name)).toEqual(['Exterior Wash']);
+    expect(booking.pricing.totalAmount).toBe(531);
+    expect(saveBooking).toHaveBeenCalled();
+  });
+
+  it('keeps the customer from progressing their own order', async () => {
+    const { user, auth } = signIn();
+    const order = new ServiceOrder({
+      booking: '64b000000000000000000009',
+      user: user._id,
+      parkingLot: LOT_ID,
+      service: '64b000000000000000000005',
+      serviceName: 'Exterior Wash',
+      status: 'accepted'
+    });
+    order.parkingLot = new ParkingLot({ _id: LOT_ID, name: 'Central', owner: '64b000000000000000000001' });
+    jest.spyOn(ServiceOrder, 'findById').mockReturnValue({ populate: () => Promise.resolve(order) });
+    jest.spyOn(ServiceOrder.prototype, 'save').mockImplementation(async function save() { return this; });
+
+    const start = await request(app).patch(`/api/service-orders/${order._id}/status`).set('Authorization', auth).send({ status: 'in-progress' });
+    expect(start.status).toBe(400);
+    const cancel = await request(app).patch(`/api/service-orders/${order._id}/status`).set('Authorization', auth).send({ status: 'cancelled', note: 'Leaving early' });
+    expect(cancel.status).toBe(200);
+    expect(cancel.body.data.order).toMatchObject({ status: 'cancelled', cancellationReason: 'Leaving early' });
+  });
+});
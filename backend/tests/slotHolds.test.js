@@ -0,0 +1,259 @@
+const request = require('supertest');
+const { makeUser, bearer, mockUserLookup } = require('./helpers/auth');
+const { app, io } = require('../server');
+const ParkingLot = require('../models/ParkingLot');
+const Booking = require('../models/Booking');
+const Pass = require('../models/Pass');
+const WaitlistEntry = require('../models/WaitlistEntry');
+const {
+  acquireHold,
+  claimHold,
+  releaseHold,
+  lockSlotForBooking,
+  releaseBookingLock,
+  sweepExpiredHolds
+} = require('../services/slotHoldService');
+
+const LOT_ID = '64b000000000000000000002';
+const inHours = (h) => new Date(Date.now() + h * 60 * 60 * 1000);
+
+const slot = (code, extra = {}) => ({ code, type: 'car', status: 'available', passId: null, ...extra });
+
+// Values at a dotted path, looking through arrays the way Mongo does
+const valuesAt = (obj, [key, ...rest]) => {
+  if (Array.isArray(obj)) return obj.flatMap(item => valuesAt(item, [key, ...rest]));
+  const value = obj == null ? undefined : obj[key];
+  if (!rest.length) return [value];
+  return value == null ? [undefined] : valuesAt(value, rest);
+};
+
+const same = (a, b) => a != null && b != null && String(a) === String(b);
+
+// Just the query operators the hold service uses
+const matches = (obj, filter) => Object.entries(filter).every(([path, want]) => {
+  if (path === '$or') return want.some(branch => matches(obj, branch));
+  const values = valuesAt(obj, path.split('.'));
+  if (want === null) return values.some(v => v == null);
+  if (want && typeof want === 'object' && !(want instanceof Date) && Object.keys(want).some(k => k.startsWith('$'))) {
+    return Object.entries(want).every(([op, arg]) => {
+      if (op === '$ne') return !values.some(v => (arg === null ? v == null : same(v, arg)));
+      if (op === '$lte') return values.some(v => v != null && v <= arg);
+      if (op === '$gt') return values.some(v => v != null && v > arg);
+      if (op === '$elemMatch') return values.some(v => Array.isArray(v) && v.some(item => matches(item, arg)));
+      throw new Error(`Unsupported operator ${op}`);
+    });
+  }
+  return values.some(v => same(v, want));
+});
+
+const setPath = (obj, path, value) => {
+  const keys = path.split('.');
+  const last = keys.pop();
+  const target = keys.reduce((o, k) => o[k], obj);
+  if (value === undefined) delete target[last];
+  else target[last] = value;
+};
+
+// In-memory ParkingLot collection backing the atomic updates the hold service issues
+const lotStore = (lots) => {
+  const find = (filter) => lots.find(lot => matches(lot, filter));
+  const apply = (target, update) => {
+    Object.entries(update.$set || {}).forEach(([path, value]) => setPath(target, path, value));
+    Object.keys(update.$unset || {}).forEach(path => setPath(target, path, undefined));
+  };
+  const asQuery = (result) => Object.assign(Promise.resolve(result), { select() { return this; } });
+
+  jest.spyOn(ParkingLot, 'findOneAndUpdate').mockImplementation((filter, update, options = {}) => {
+    const lot = find(filter);
+    if (!lot) return asQuery(null);
+    const elemMatch = filter.slots?.$elemMatch;
+    const index = elemMatch ? lot.slots.findIndex(s => matches(s, elemMatch)) : -1;
+    const before = index >= 0 ? { ...lot.slots[index] } : null;
+    apply(lot, {
+      $set: Object.fromEntries(Object.entries(update.$set || {}).map(([p, v]) => [p.replace('$', index), v])),
+      $unset: Object.fromEntries(Object.keys(update.$unset || {}).map(p => [p.replace('$', index), '']))
+    });
+    if (!options.projection?.['slots.$']) return asQuery(lot);
+    return asQuery({ _id: lot._id, slots: [options.new ? lot.slots[index] : before] });
+  });
+  jest.spyOn(ParkingLot, 'updateOne').mockImplementation(async (filter, update, options = {}) => {
+    const lot = find(filter);
+    if (!lot) return { matchedCount: 0 };
+    if (options.arrayFilters) {
+      const [arrayFilter] = options.arrayFilters;
+      const slotFilter = Object.fromEntries(Object.entries(arrayFilter).map(([p, v]) => [p.replace(/^h\./, ''), v]));
+      lot.slots.forEach((s, i) => {
+        if (!matches(s, slotFilter)) return;
+        Object.keys(update.$unset || {}).forEach(p => setPath(lot, p.replace('$[h]', i), undefined));
+      });
+    } else {
+      apply(lot, update);
+    }
+    return { matchedCount: 1 };
+  });
+  jest.spyOn(ParkingLot, 'exists').mockImplementation(async (filter) => (find(filter) ? { _id: find(filter)._id } : null));
+  // Reads return copies, as Mongo does, so later updates don't reach into them
+  const copy = (lot) => ({ ...lot, slots: lot.slots.map(s => ({ ...s })) });
+  jest.spyOn(ParkingLot, 'find').mockImplementation((filter) => ({
+    select: () => Promise.resolve(lots.filter(lot => matches(lot, filter)).map(copy))
+  }));
+  return lots;
+};
+
+// Bookings the availability check sees, so a test can "write" one mid-flight
+const storedBookings = (bookings = []) => {
+  jest.spyOn(Booking, 'find').mockImplementation(() => ({ select: () => Promise.resolve(bookings) }));
+  jest.spyOn(Pass, 'find').mockReturnValue({ select: () => Promise.resolve([]) });
+  jest.spyOn(WaitlistEntry, 'find').mockReturnValue({ select: () => Promise.resolve([]) });
+  return bookings;
+};
+
+const fakeIo = () => {
+  const emit = jest.fn();
+  return { emit, to: jest.fn(() => ({ emit })) };
+};
+
+const driver = (name) => makeUser({ name, email: `${name.toLowerCase()}@example.com` });
+
+describe('Slot holds', () => {
+  afterEach(() => jest.restoreAllMocks());
+
+  it('holds a slot for one user at a time', async () => {
+    const [lot] = lotStore([{ _id: LOT_ID, capacity: { total: 2 }, slots: [slot('A1'), slot('A2')] }]);
+    storedBookings();
+    const [ann, bob] = [driver('Ann'), driver('Bob')];
+    const window = { lotId: LOT_ID, slotCode: 'A1', startTime: inHours(1), endTime: inHours(3), vehicleType: 'car' };
+
+    const held = await acquireHold({ ...window, userId: ann._id });
+    expect(held).toMatchObject({ ok: true, hold: { slotCode: 'A1', user: ann._id } });
+    expect(lot.slots[0].hold.id).toBe(held.hold.id);
+
+    expect(await acquireHold({ ...window, userId: bob._id })).toEqual({ ok: false, reason: 'Slot is currently held by another user' });
+    expect(lot.slots[0].hold.id).toBe(held.hold.id);
+    expect(await acquireHold({ ...window, slotCode: 'Z9', userId: bob._id })).toEqual({ ok: false, reason: 'Slot not found' });
+    // The holder may pick the slot again, e.g. after changing the window
+    expect((await acquireHold({ ...window, userId: ann._id })).ok).toBe(true);
+  });
+
+  it('gives the slot back when a booking already covers the window', async () => {
+    const [lot] = lotStore([{ _id: LOT_ID, capacity: { total: 1 }, slots: [slot('A1')] }]);
+    storedBookings([{ vehicle: { type: 'car' }, bookingDetails: { startTime: inHours(2), endTime: inHours(4), spotNumber: 'A1' } }]);
+
+    const res = await acquireHold({ lotId: LOT_ID, slotCode: 'A1', userId: driver('Ann')._id, startTime: inHours(1), endTime: inHours(3), vehicleType: 'car' });
+    expect(res).toMatchObject({ ok: false, reason: 'Requested slot is already booked for this time' });
+    expect(lot.slots[0].hold).toBeUndefined();
+  });
+
+  it("claims only the caller's live hold, for the claim grace period", async () => {
+    const [lot] = lotStore([{ _id: LOT_ID, capacity: { total: 1 }, slots: [slot('A1')] }]);
+    storedBookings();
+    const [ann, bob] = [driver('Ann'), driver('Bob')];
+    const { hold } = await acquireHold({ lotId: LOT_ID, slotCode: 'A1', userId: ann._id, startTime: inHours(1), endTime: inHours(3) });
+    expect(hold.expiresAt.getTime()).toBeGreaterThan(Date.now() + 5 * 60 * 1000);
+
+    expect(await claimHold({ lotId: LOT_ID, holdId: hold.id, userId: bob._id })).toBeNull();
+    const before = Date.now();
+    expect(await claimHold({ lotId: LOT_ID, holdId: hold.id, userId: ann._id })).toBe('A1');
+    // Pinned to a minute from the claim, not the rest of the payment window
+    const pinned = lot.slots[0].hold.expiresAt.getTime();
+    expect(pinned).toBeGreaterThanOrEqual(before + 60 * 1000);
+    expect(pinned).toBeLessThanOrEqual(Date.now() + 60 * 1000);
+
+    lot.slots[0].hold.expiresAt = new Date(Date.now() - 1000);
+    expect(await claimHold({ lotId: LOT_ID, holdId: hold.id, userId: ann._id })).toBeNull();
+  });
+
+  it('releases a hold only for its owner', async () => {
+    const [lot] = lotStore([{ _id: LOT_ID, capacity: { total: 1 }, slots: [slot('A1')] }]);
+    storedBookings();
+    const [ann, bob] = [driver('Ann'), driver('Bob')];
+    const { hold } = await acquireHold({ lotId: LOT_ID, slotCode: 'A1', userId: ann._id });
+
+    expect(await releaseHold({ lotId: LOT_ID, holdId: hold.id, userId: bob._id })).toBeNull();
+    expect(lot.slots[0].hold.id).toBe(hold.id);
+    expect(await releaseHold({ lotId: LOT_ID, holdId: hold.id, userId: ann._id })).toBe('A1');
+    expect(lot.slots[0].hold).toBeUndefined();
+    expect((await acquireHold({ lotId: LOT_ID, slotCode: 'A1', userId: bob._id })).ok).toBe(true);
+  });
+
+  it('sweeps expired holds and tells the lot room', async () => {
+    const live = { id: 'h-live', user: driver('Ann')._id, expiresAt: inHours(0.1) };
+    const stale = { id: 'h-stale', user: driver('Bob')._id, expiresAt: new Date(Date.now() - 1000) };
+    const [lot] = lotStore([{ _id: LOT_ID, capacity: { total: 2 }, slots: [slot('A1', { hold: live }), slot('A2', { hold: stale })] }]);
+    const sockets = fakeIo();
+    const { emit } = sockets;
+
+    expect(await sweepExpiredHolds(sockets)).toBe(1);
+    expect(lot.slots[0].hold).toBe(live);
+    expect(lot.slots[1].hold).toBeUndefined();
+    expect(sockets.to).toHaveBeenCalledWith([`lot-${LOT_ID}`]);
+    expect(emit).toHaveBeenCalledWith('slot-updated', expect.objectContaining({
+      lotId: LOT_ID, slotCode: 'A2', status: 'available', reason: 'expired', holdId: 'h-stale'
+    }));
+    expect(await sweepExpiredHolds(sockets)).toBe(0);
+  });
+
+  it('lets only one booking at a time take the last space of a lot without a layout', async () => {
+    const [lot] = lotStore([{ _id: LOT_ID, capacity: { total: 1 }, slots: [] }]);
+    const written = storedBookings();
+    const window = { lot, vehicleType: 'car', startTime: inHours(1), endTime: inHours(3) };
+
+    const first = await lockSlotForBooking({ ...window, userId: driver('Ann')._id });
+    expect(first).toMatchObject({ ok: true, lotLockId: lot.bookingLock.id });
+    // The second booking waits on the lock, then sees the first one's booking
+    const second = lockSlotForBooking({ ...window, userId: driver('Bob')._id });
+    written.push({ vehicle: { type: 'car' }, bookingDetails: { startTime: window.startTime, endTime: window.endTime } });
+    await releaseBookingLock(LOT_ID, first);
+    expect(await second).toMatchObject({ ok: false, reason: 'No parking spots available for the selected time' });
+    expect(lot.bookingLock).toBeUndefined();
+
+    // A lock left behind by a crashed request lapses
+    lot.bookingLock = { id: 'crashed', expiresAt: new Date(Date.now() - 1000) };
+    written.length = 0;
+    expect((await lockSlotForBooking({ ...window, userId: driver('Bob')._id })).ok).toBe(true);
+  });
+});
+
+describe('Slot hold routes', () => {
+  afterEach(() => jest.restoreAllMocks());
+
+  const signIn = (...users) => {
+    mockUserLookup(...users);
+    return users.map(bearer);
+  };
+
+  it('reserves a slot, refuses it to others and releases it for the holder', async () => {
+    const [lot] = lotStore([{ _id: LOT_ID, capacity: { total: 2 }, slots: [slot('A1'), slot('A2')] }]);
+    storedBookings();
+    const [annAuth, bobAuth] = signIn(driver('Ann'), driver('Bob'));
+    const emit = jest.fn();
+    jest.spyOn(io, 'to').mockReturnValue({ emit });
+    const window = { startTime: inHours(1).toISOString(), endTime: inHours(3).toISOString(), vehicleType: 'car' };
+
+    const held = await request(app).post(`/api/parking/${LOT_ID}/slots/reserve`).set('Authorization', annAuth).send({ slotCode: 'A1', ...window });
+    expect(held.status).toBe(200);
+    expect(held.body.data).toMatchObject({ slotCode: 'A1', status: 'reserved', holdId: lot.slots[0].hold.id });
+    expect(emit).toHaveBeenCalledWith('slot-updated', expect.objectContaining({ slotCode: 'A1', status: 'reserved', reason: 'held', holdId: held.body.data.holdId }));
+
+    const taken = await request(app).post(`/api/parking/${LOT_ID}/slots/reserve`).set('Authorization', bobAuth).send({ slotCode: 'A1', ...window });
+    expect(taken.status).toBe(409);
+    expect(taken.body.message).toBe('Slot is currently held by another user');
+    const missing = await request(app).post(`/api/parking/${LOT_ID}/slots/reserve`).set('Authorization', bobAuth).send({ slotCode: 'Z9', ...window });
+    expect(missing.status).toBe(404);
+    const backwards = await request(app).post(`/api/parking/${LOT_ID}/slots/reserve`).set('Authorization', bobAuth)
+      .send({ slotCode: 'A2', startTime: window.endTime, endTime: window.startTime });
+    expect(backwards.status).toBe(400);
+
+    const holdUrl = `/api/parking/${LOT_ID}/slots/holds/${held.body.data.holdId}`;
+    const notTheirs = await request(app).delete(holdUrl).set('Authorization', bobAuth);
+    expect(notTheirs.status).toBe(404);
+    expect(lot.slots[0].hold).toBeDefined();
+
+    emit.mockClear();
+    const released = await request(app).delete(holdUrl).set('Authorization', annAuth);
+    expect(released.status).toBe(200);
+    expect(released.body.data).toEqual({ slotCode: 'A1', status: 'available' });
+    expect(lot.slots[0].hold).toBeUndefined();
+    expect(emit).toHaveBeenCalledWith('slot-updated', expect.objectContaining({ slotCode: 'A1', status: 'available', reason: 'released' }));
+  });
+});
@@ -0,0 +1,179 @@
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+const { makeUser, bearer, mockUserLookup, signIn } = require('./helpers/auth');
+const { app } = require('../server');
+const Booking = require('../models/Booking');
+const ParkingLot = require('../models/ParkingLot');
+const Pass = require('../models/Pass');
+const Transaction = require('../models/Transaction');
+const WaitlistEntry = require('../models/WaitlistEntry');
+const AuditEvent = require('../models/AuditEvent');
+const { signTicket, verifyTicket, ticketMismatch } = require('../services/ticketService');
+
+const booking = {
+  _id: '64b000000000000000000001',
+  parkingLot: { _id: '64b000000000000000000002' },
+  vehicle: { licensePlate: 'mh 12 ab 1234' },
+  bookingDetails: {
+    startTime: new Date(Date.now() + 60 * 60 * 1000),
+    endTime: new Date(Date.now() + 3 * 60 * 60 * 1000)
+  }
+};
+
+describe('Signed gate tickets', () => {
+  it('round-trips booking, lot, plate and window', () => {
+    const ticket = verifyTicket(signTicket(booking));
+    expect(ticket).toMatchObject({
+      valid: true,
+      bookingId: booking._id,
+      lotId: booking.parkingLot._id,
+      plate: 'MH12AB1234'
+    });
+    expect(ticket.validUntil.getTime()).toBe(Math.floor(booking.bookingDetails.endTime.getTime() / 1000) * 1000);
+    expect(ticketMismatch(ticket, booking)).toBeNull();
+  });
+
+  it('rejects tampered payloads and tokens signed with another key', () => {
+    const [header, , signature] = signTicket(booking).split('.');
+    const forged = Buffer.from(JSON.stringify({ bid: 'other', lot: booking.parkingLot._id })).toString('base64url');
+    expect(verifyTicket(`${header}.${forged}.${signature}`)).toEqual({ valid: false, reason: 'Invalid or tampered ticket' });
+
+    const foreign = jwt.sign({ bid: booking._id }, 'not-the-secret', { audience: 'parkplaza-gate' });
+    expect(verifyTicket(foreign).valid).toBe(false);
+    expect(verifyTicket('').valid).toBe(false);
+  });
+
+  it('flags a ticket presented for a different vehicle', () => {
+    const ticket = verifyTicket(signTicket(booking));
+    const swapped = { ...booking, vehicle: { licensePlate: 'KA01XY9999' } };
+    expect(ticketMismatch(ticket, swapped)).toBe('Ticket vehicle does not match booking');
+  });
+});
+
+describe('Gate scans', () => {
+  const MINUTE = 60 * 1000;
+
+  // A lot owner at the gate, with the booking their scans load and its in-memory ledger
+  const atGate = ({ startOffset, endOffset, status = 'confirmed', entryLog } = {}) => {
+    const { user: owner, auth } = signIn({ name: 'Ravi', email: 'ravi@example.com', phone: '8888888888', role: 'landowner' });
+    jest.spyOn(AuditEvent, 'create').mockImplementation(async (doc) => doc);
+    const lot = new ParkingLot({ name: 'Central', owner: owner._id, capacity: { total: 10, available: 10 }, pricing: { hourly: 50 } });
+    const booking = new Booking({
+      user: '64b000000000000000000003',
+      parkingLot: lot._id,
+      vehicle: { type: 'car', licensePlate: 'KA01AB1234' },
+      bookingDetails: { startTime: new Date(Date.now() + startOffset), endTime: new Date(Date.now() + endOffset), duration: { hours: 2 } },
+      pricing: { basePrice: 100, taxes: 18, totalAmount: 118 },
+      payment: { method: 'card', status: 'completed' },
+      status,
+      entryLog
+    });
+    booking.parkingLot = lot;
+    const ledger = [new Transaction({ booking: booking._id, type: 'charge', status: 'posted', base: 100, taxes: 18, amount: 118 })];
+    jest.spyOn(Booking, 'findById').mockReturnValue({ populate: () => Promise.resolve(booking) });
+    jest.spyOn(Booking.prototype, 'save').mockImplementation(async function save() { return this; });
+    jest.spyOn(Transaction, 'countDocuments').mockImplementation(async () => ledger.length);
+    jest.spyOn(Transaction, 'create').mockImplementation(async (doc) => {
+      ledger.push(new Transaction(doc));
+      return ledger[ledger.length - 1];
+    });
+    jest.spyOn(Transaction, 'find').mockReturnValue({ sort: () => Promise.resolve(ledger) });
+    jest.spyOn(ParkingLot, 'findById').mockReturnValue({ select: () => Promise.resolve(lot) });
+    jest.spyOn(ParkingLot, 'updateOne').mockResolvedValue({});
+    jest.spyOn(Booking, 'countDocuments').mockResolvedValue(0);
+    jest.spyOn(Pass, 'countDocuments').mockResolvedValue(0);
+    const noEntries = Object.assign(Promise.resolve([]), { sort() { return this; }, limit() { return this; } });
+    jest.spyOn(WaitlistEntry, 'find').mockReturnValue(noEntries);
+    return { owner, booking, ledger, auth };
+  };
+
+  const scan = (direction, auth, token) => request(app).post(`/api/booking/scan/${direction}`).set('Authorization', auth).send({ token });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  it('checks a valid ticket in once and turns replays away', async () => {
+    const { booking, auth } = atGate({ startOffset: -5 * MINUTE, endOffset: 115 * MINUTE });
+    const token = signTicket(booking);
+
+    const entry = await scan('entry', auth, token);
+    expect(entry.status).toBe(200);
+    expect(entry.body.data).toMatchObject({ status: 'active', vehicle: { licensePlate: 'KA01AB1234' } });
+    expect(booking.entryLog.time).toBeInstanceOf(Date);
+
+    const replay = await scan('entry', auth, token);
+    expect(replay.status).toBe(409);
+    expect(replay.body.message).toBe('Ticket already used for entry');
+  });
+
+  it('rejects expired and forged tickets', async () => {
+    const { booking, auth } = atGate({ startOffset: -50 * 60 * MINUTE, endOffset: -48 * 60 * MINUTE });
+
+    const expired = await scan('entry', auth, signTicket(booking));
+    expect(expired.status).toBe(400);
+    expect(expired.body.message).toBe('Ticket has expired');
+
+    const forged = jwt.sign({ bid: String(booking._id) }, 'not-the-secret', { audience: 'parkplaza-gate' });
+    const tampered = await scan('exit', auth, forged);
+    expect(tampered.status).toBe(400);
+    expect(tampered.body.message).toBe('Invalid or tampered ticket');
+  });
+
+  it('charges nothing for an exit inside the grace period', async () => {
+    const { booking, ledger, auth } = atGate({
+      startOffset: -130 * MINUTE,
+      endOffset: -10 * MINUTE,
+      status: 'active',
+      entryLog: { time: new Date(Date.now() - 125 * MINUTE), gate: 'main' }
+    });
+
+    const exit = await scan('exit', auth, signTicket(booking));
+    expect(exit.status).toBe(200);
+    expect(exit.body.message).toBe('Vehicle checked out');
+    expect(exit.body.data).toMatchObject({ status: 'completed', overtime: { hours: 0, charges: 0 }, totalAmount: 118 });
+    expect(ledger.map(t => t.type)).toEqual(['charge']);
+  });
+
+  it('posts an overtime charge for an exit after the grace period', async () => {
+    const { booking, ledger, auth } = atGate({
+      startOffset: -210 * MINUTE,
+      endOffset: -90 * MINUTE,
+      status: 'active',
+      entryLog: { time: new Date(Date.now() - 205 * MINUTE), gate: 'main' }
+    });
+
+    const exit = await scan('exit', auth, signTicket(booking));
+    expect(exit.status).toBe(200);
+    expect(exit.body.message).toBe('Vehicle checked out with overtime charges');
+    // Two started hours past the end at 50/hour, plus GST
+    expect(exit.body.data.overtime).toEqual({ hours: 2, charges: 118 });
+    expect(exit.body.data.totalAmount).toBe(236);
+    expect(ledger.map(t => t.type)).toEqual(['charge', 'overtime', 'payment']);
+    expect(ledger[1]).toMatchObject({ status: 'posted', base: 100, taxes: 18, amount: 118 });
+    // Overtime is owed on top of what was paid up front
+    expect(booking.payment).toMatchObject({ amountPaid: 118, amountDue: 118 });
+  });
+
+  it('leaves check-in and check-out on the status route to the lot', async () => {
+    const { owner, booking, ledger, auth } = atGate({
+      startOffset: -210 * MINUTE,
+      endOffset: -90 * MINUTE,
+      status: 'active',
+      entryLog: { time: new Date(Date.now() - 205 * MINUTE), gate: 'main' }
+    });
+    const customer = makeUser();
+    booking.user = customer._id;
+    mockUserLookup(owner, customer);
+    const complete = (as) => request(app).put(`/api/booking/${booking._id}/status`).set('Authorization', as).send({ status: 'completed' });
+
+    const selfComplete = await complete(bearer(customer));
+    expect(selfComplete.status).toBe(403);
+    expect(booking.status).toBe('active');
+    expect(ledger).toHaveLength(1);
+
+    const checkedOut = await complete(auth);
+    expect(checkedOut.status).toBe(200);
+    expect(checkedOut.body.data.overtime).toEqual({ hours: 2, charges: 118 });
+    expect(booking.exitLog.time).toBeInstanceOf(Date);
+    expect(ledger.map(t => t.type)).toEqual(['charge', 'overtime', 'payment']);
+  });
+});
@@ -0,0 +1,315 @@
+const request = require('supertest');
+const { makeUser, mockUserLookup, signIn: signInAs } = require('./helpers/auth');
+const { app } = require('../server');
+const User = require('../models/User');
+const Booking = require('../models/Booking');
+const ParkingLot = require('../models/ParkingLot');
+const Pass = require('../models/Pass');
+const Transaction = require('../models/Transaction');
+const NotificationJob = require('../models/NotificationJob');
+const WaitlistEntry = require('../models/WaitlistEntry');
+const AuditEvent = require('../models/AuditEvent');
+const { stripe } = require('../services/stripeService');
+const { processWaitlist } = require('../services/waitlistService');
+const { checkAvailability } = require('../services/availabilityService');
+const { runJob } = require('../services/notificationService');
+
+const HOUR = 60 * 60 * 1000;
+const hoursFromNow = (hours) => new Date(Math.floor(Date.now() / HOUR) * HOUR + hours * HOUR);
+
+const signIn = (user) => {
+  jest.spyOn(AuditEvent, 'create').mockResolvedValue({});
+  return signInAs(user);
+};
+
+const makeLot = (extra = {}) => new ParkingLot({
+  name: 'Central',
+  owner: '64b000000000000000000001',
+  location: { type: 'Point', coordinates: [77.2, 28.6], address: { city: 'Delhi', state: 'DL' } },
+  capacity: { total: 1, available: 0 },
+  vehicleTypes: ['car'],
+  pricing: { hourly: 50 },
+  operatingHours: {},
+  ...extra
+});
+
+const makeEntry = (user, lot, { start = 2, end = 4, ...extra } = {}) => new WaitlistEntry({
+  user: user._id,
+  parkingLot: lot._id,
+  vehicle: { type: 'car', licensePlate: 'KA01AB1234' },
+  startTime: hoursFromNow(start),
+  endTime: hoursFromNow(end),
+  ...extra
+});
+
+// Confirmed car bookings at the lot, answered the way Mongo would for the overlap query
+const lotBookings = (windows) => jest.spyOn(Booking, 'find').mockImplementation((query) => ({
+  select: () => Promise.resolve(windows
+    .filter(([start, end]) => hoursFromNow(start) < query['bookingDetails.startTime'].$lt && hoursFromNow(end) > query['bookingDetails.endTime'].$gt)
+    .map(([start, end]) => ({ vehicle: { type: 'car' }, status: 'confirmed', bookingDetails: { startTime: hoursFromNow(start), endTime: hoursFromNow(end) } })))
+}));
+
+// A query resolving to `result` whatever sort/limit/select it is given
+const query = (result) => Object.assign(Promise.resolve(result), {
+  sort() { return this; },
+  limit() { return this; },
+  select() { return this; }
+});
+
+// Atomic status moves on the given entries
+const entryUpdates = (entries) => jest.spyOn(WaitlistEntry, 'findOneAndUpdate').mockImplementation(async (filter, update) => {
+  const entry = entries.find(e => String(e._id) === String(filter._id));
+  if (!entry || entry.status !== filter.status) return null;
+  const expiresAfter = filter['offer.expiresAt']?.$gt;
+  if (expiresAfter && !(entry.offer.expiresAt > expiresAfter)) return null;
+  entry.set(update.$set);
+  Object.keys(update.$unset || {}).forEach(path => entry.set(path, undefined));
+  return entry;
+});
+
+const fakeIo = () => {
+  const emit = jest.fn();
+  return { emit, io: { to: jest.fn(() => ({ emit })) } };
+};
+
+describe('Waitlist', () => {
+  afterEach(() => jest.restoreAllMocks());
+
+  it('puts users in line only for windows the lot has no space in', async () => {
+    const { user, auth } = signIn();
+    const lot = makeLot();
+    jest.spyOn(ParkingLot, 'findById').mockResolvedValue(lot);
+    lotBookings([[1, 5]]);
+    const open = [];
+    jest.spyOn(WaitlistEntry, 'find').mockReturnValue({ select: () => Promise.resolve(open) });
+    const create = jest.spyOn(WaitlistEntry, 'create').mockImplementation(async (doc) => new WaitlistEntry(doc));
+    jest.spyOn(WaitlistEntry, 'countDocuments').mockResolvedValue(2);
+
+    const join = (extra = {}) => request(app).post('/api/booking/waitlist').set('Authorization', auth).send({
+      parkingLot: String(lot._id),
+      vehicle: { type: 'car', licensePlate: 'ka01ab1234' },
+      startTime: hoursFromNow(2).toISOString(),
+      endTime: hoursFromNow(4).toISOString(),
+      ...extra
+    });
+
+    const res = await join();
+    expect(res.status).toBe(201);
+    expect(res.body.message).toBe('You are number 3 on the waitlist');
+    expect(create.mock.calls[0][0]).toMatchObject({ user: user._id, vehicle: { licensePlate: 'KA01AB1234' }, autoBook: false });
+
+    const auto = await join({ autoBook: true });
+    expect(auto.status).toBe(400);
+    expect(auto.body.message).toBe('Save a card before turning on automatic booking');
+
+    open.push(makeEntry(user, lot));
+    const again = await join({ startTime: hoursFromNow(3).toISOString(), endTime: hoursFromNow(5).toISOString() });
+    expect(again.status).toBe(409);
+    expect(again.body.message).toBe('You are already on the waitlist for this time');
+
+    open.length = 0;
+    const free = await join({ startTime: hoursFromNow(6).toISOString(), endTime: hoursFromNow(8).toISOString() });
+    expect(free.status).toBe(409);
+    expect(free.body.message).toBe('Spaces are free for this time; book one directly');
+
+    lot.status = 'maintenance';
+    const closed = await join();
+    expect(closed.status).toBe(400);
+    expect(create).toHaveBeenCalledTimes(1);
+  });
+
+  it('offers a freed space to the first entry the lot can take, once', async () => {
+    const lot = makeLot({ capacity: { total: 2, available: 0 }, status: 'full' });
+    const [first, second, third] = [makeUser(), makeUser(), makeUser()];
+    // The first in line wants a window that is still full; the next two share a window with one free space
+    const waiting = [
+      makeEntry(first, lot, { start: 2, end: 4 }),
+      makeEntry(second, lot, { start: 6, end: 8 }),
+      makeEntry(third, lot, { start: 6, end: 8 })
+    ];
+    lotBookings([[1, 5], [2, 4], [5, 9]]);
+    jest.spyOn(ParkingLot, 'findById').mockResolvedValue(lot);
+    // Expiry finds nothing; the line and the open offers are read from the entries as they move
+    jest.spyOn(WaitlistEntry, 'find').mockImplementation((filter) => query(
+      filter.$or ? [] : waiting.filter(e => e.status === filter.status)
+    ));
+    entryUpdates(waiting);
+    const queued = jest.spyOn(NotificationJob, 'updateOne').mockResolvedValue({});
+    const { io, emit } = fakeIo();
+
+    const now = new Date();
+    const moved = await processWaitlist(lot._id, { io, now });
+
+    expect(moved).toEqual({ offered: [waiting[1]._id], booked: [] });
+    expect(waiting.map(e => e.status)).toEqual(['waiting', 'offered', 'waiting']);
+    expect(waiting[1].offer.expiresAt).toEqual(new Date(now.getTime() + 15 * 60 * 1000));
+    expect(queued).toHaveBeenCalledTimes(1);
+    expect(queued.mock.calls[0][0].key).toBe(`${waiting[1]._id}:waitlist-offer:${waiting[1].offer.expiresAt.getTime()}`);
+    expect(queued.mock.calls[0][1].$setOnInsert).toMatchObject({ type: 'waitlist-offer', waitlistEntry: waiting[1]._id });
+    expect(io.to).toHaveBeenCalledWith([`user-${second._id}`]);
+    expect(emit).toHaveBeenCalledWith('waitlist-update', expect.objectContaining({ entryId: waiting[1]._id, status: 'offered' }));
+  });
+
+  it('keeps an offered space at a lot without a layout for the entry it was offered to', async () => {
+    const lot = makeLot();
+    const entry = makeEntry(makeUser(), lot, {
+      status: 'offered',
+      offer: { offeredAt: new Date(), expiresAt: new Date(Date.now() + 10 * 60 * 1000), holdId: 'offer-1' }
+    });
+    lotBookings([]);
+    jest.spyOn(Pass, 'find').mockReturnValue(query([]));
+    const offers = jest.spyOn(WaitlistEntry, 'find').mockReturnValue(query([entry]));
+    const window = { vehicleType: 'car', startTime: hoursFromNow(3), endTime: hoursFromNow(5) };
+
+    const someoneElse = await checkAvailability(lot, window);
+    expect(someoneElse).toMatchObject({ available: false, freeSpots: 0 });
+    expect(offers.mock.calls[0][0]).toMatchObject({ parkingLot: lot._id, status: 'offered', 'offer.expiresAt': { $gt: expect.any(Date) } });
+    expect((await checkAvailability(lot, { ...window, holdId: 'offer-1' })).available).toBe(true);
+  });
+
+  it('books and charges a saved card for auto-booking entries, and falls back to an offer when declined', async () => {
+    const lot = makeLot();
+    const user = makeUser({ savedPaymentMethod: { customerId: 'cus_1', paymentMethodId: 'pm_1', brand: 'visa', last4: '4242' } });
+    const entry = makeEntry(user, lot, { autoBook: true });
+    mockUserLookup(user);
+    jest.spyOn(ParkingLot, 'findById').mockReturnValue(Object.assign(Promise.resolve(lot), { select: () => Promise.resolve(lot) }));
+    lotBookings([]);
+    // Its own open offer is visible to the availability check while the entry is auto-booked
+    jest.spyOn(WaitlistEntry, 'find').mockImplementation((filter) => query(
+      filter.status === 'waiting' ? [entry] : [entry].filter(e => e.status === filter.status)
+    ));
+    entryUpdates([entry]);
+    jest.spyOn(WaitlistEntry.prototype, 'save').mockImplementation(async function save() { return this; });
+    const charge = jest.spyOn(stripe.paymentIntents, 'create').mockResolvedValue({ id: 'pi_1', status: 'succeeded' });
+    const created = jest.spyOn(Booking, 'create').mockImplementation(async (doc) => new Booking(doc));
+    jest.spyOn(Booking.prototype, 'save').mockImplementation(async function save() { return this; });
+    const ledger = [];
+    jest.spyOn(Transaction, 'create').mockImplementation(async (doc) => {
+      ledger.push(new Transaction(doc));
+      return ledger[ledger.length - 1];
+    });
+    jest.spyOn(Transaction, 'countDocuments').mockImplementation(async () => ledger.length);
+    jest.spyOn(Transaction, 'find').mockReturnValue({ sort: () => Promise.resolve(ledger) });
+    const queued = jest.spyOn(NotificationJob, 'updateOne').mockResolvedValue({});
+    jest.spyOn(NotificationJob, 'updateMany').mockResolvedValue({});
+    jest.spyOn(Booking, 'countDocuments').mockResolvedValue(0);
+    jest.spyOn(Pass, 'countDocuments').mockResolvedValue(0);
+    jest.spyOn(ParkingLot, 'updateOne').mockResolvedValue({});
+    // The lot has no slot layout, so the booking takes the lot's booking lock
+    jest.spyOn(ParkingLot, 'findOneAndUpdate').mockResolvedValue({ _id: lot._id });
+    jest.spyOn(User, 'findByIdAndUpdate').mockResolvedValue({});
+    const { io } = fakeIo();
+
+    const moved = await processWaitlist(lot._id, { io });
+    expect(moved.booked).toEqual([entry._id]);
+    expect(charge.mock.calls[0][0]).toMatchObject({ customer: 'cus_1', payment_method: 'pm_1', off_session: true, confirm: true, currency: 'inr' });
+    const booking = created.mock.calls[0][0];
+    expect(booking).toMatchObject({ user: String(user._id), status: 'confirmed', payment: { method: 'stripe', status: 'completed', transactionId: 'pi_1' } });
+    expect(charge.mock.calls[0][0].amount).toBe(Math.round(booking.pricing.totalAmount * 100));
+    expect(entry).toMatchObject({ status: 'booked', booking: expect.anything() });
+    expect(queued.mock.calls.map(([, update]) => update.$setOnInsert?.type)).toContain('waitlist-booked');
+
+    // A declined card leaves the user a normal offer
+    entry.set({ status: 'waiting', booking: undefined, closedAt: undefined });
+    charge.mockRejectedValue(new Error('Your card was declined.'));
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    queued.mockClear();
+    const declined = await processWaitlist(lot._id, { io });
+    expect(declined).toEqual({ offered: [entry._id], booked: [] });
+    expect(entry.status).toBe('offered');
+    expect(entry.autoBookError).toBe('Automatic payment failed: Your card was declined.');
+    expect(queued.mock.calls[0][1].$setOnInsert.type).toBe('waitlist-offer');
+  });
+
+  it('lets users accept live offers and leave the line, passing a held slot back', async () => {
+    const { user, auth } = signIn();
+    const lot = makeLot({ slots: [{ code: 'A1', type: 'car' }] });
+    const entry = makeEntry(user, lot, {
+      status: 'offered',
+      offer: { offeredAt: new Date(Date.now() - 20 * 60 * 1000), expiresAt: new Date(Date.now() - 5 * 60 * 1000), holdId: 'hold-1', slotCode: 'A1' }
+    });
+    const load = jest.spyOn(WaitlistEntry, 'findById').mockResolvedValue(entry);
+    jest.spyOn(ParkingLot, 'findById').mockResolvedValue(lot);
+    entryUpdates([entry]);
+
+    const expired = await request(app).post(`/api/booking/waitlist/${entry._id}/accept`).set('Authorization', auth)
+      .send({ payment: { method: 'card' } });
+    expect(expired.status).toBe(400);
+    expect(expired.body.message).toBe('The offer has expired');
+
+    load.mockResolvedValueOnce(makeEntry(makeUser(), lot));
+    const someoneElses = await request(app).delete(`/api/booking/waitlist/${entry._id}`).set('Authorization', auth);
+    expect(someoneElses.status).toBe(403);
+
+    entry.offer.expiresAt = new Date(Date.now() + 10 * 60 * 1000);
+    entryUpdates([entry]);
+    const release = jest.spyOn(ParkingLot, 'findOneAndUpdate').mockResolvedValue({ slots: [{ code: 'A1' }] });
+    jest.spyOn(WaitlistEntry, 'find').mockReturnValue(query([]));
+    const leave = await request(app).delete(`/api/booking/waitlist/${entry._id}`).set('Authorization', auth);
+    expect(leave.status).toBe(200);
+    expect(leave.body.data.entry.status).toBe('cancelled');
+    expect(release).toHaveBeenCalledWith(
+      { _id: String(lot._id), slots: { $elemMatch: { 'hold.id': 'hold-1' } } },
+      { $unset: { 'slots.$.hold': '' } },
+      expect.anything()
+    );
+
+    const twice = await request(app).delete(`/api/booking/waitlist/${entry._id}`).set('Authorization', auth);
+    expect(twice.status).toBe(400);
+    expect(twice.body.message).toBe('Waitlist entry is already cancelled');
+  });
+
+  it('claims an offer before booking it and hands it back when the booking falls through', async () => {
+    const { user, auth } = signIn();
+    const lot = makeLot({ slots: [{ code: 'A1', type: 'car' }] });
+    const offer = { offeredAt: new Date(), expiresAt: new Date(Date.now() + 10 * 60 * 1000), holdId: 'hold-1', slotCode: 'A1' };
+    const entry = makeEntry(user, lot, { status: 'offered', offer });
+    const load = jest.spyOn(WaitlistEntry, 'findById').mockResolvedValue(entry);
+    jest.spyOn(ParkingLot, 'findById').mockResolvedValue(lot);
+    entryUpdates([entry]);
+    // The slot hold is gone by the time the booking claims it
+    jest.spyOn(ParkingLot, 'findOneAndUpdate').mockResolvedValue(null);
+
+    const lost = await request(app).post(`/api/booking/waitlist/${entry._id}/accept`).set('Authorization', auth)
+      .send({ payment: { method: 'card' } });
+    expect(lost.status).toBe(409);
+    expect(lost.body.message).toBe('Slot hold expired or not found');
+    expect(entry.status).toBe('offered');
+    expect(entry.closedAt).toBeUndefined();
+
+    // A stale read still shows the offer, but the sweeper expired it in the meantime
+    load.mockResolvedValueOnce(makeEntry(user, lot, { _id: entry._id, status: 'offered', offer }));
+    entry.status = 'expired';
+    const raced = await request(app).post(`/api/booking/waitlist/${entry._id}/accept`).set('Authorization', auth)
+      .send({ payment: { method: 'card' } });
+    expect(raced.status).toBe(400);
+    expect(raced.body.message).toBe('There is no open offer on this waitlist entry');
+    expect(entry.status).toBe('expired');
+  });
+
+  it('announces offers while they stand and drops messages for entries that moved on', async () => {
+    const user = makeUser({ preferences: { notifications: { email: false, sms: false, push: false } } });
+    const lot = makeLot();
+    const expiresAt = hoursFromNow(1);
+    const entry = makeEntry(user, lot, { status: 'offered', offer: { offeredAt: new Date(), expiresAt, slotCode: 'B2' } });
+    entry.user = user;
+    entry.parkingLot = lot;
+    jest.spyOn(WaitlistEntry, 'findById').mockReturnValue({ populate: () => ({ populate: () => Promise.resolve(entry) }) });
+    const finish = jest.spyOn(NotificationJob, 'updateOne').mockResolvedValue({});
+    const { io, emit } = fakeIo();
+    const job = new NotificationJob({ type: 'waitlist-offer', waitlistEntry: entry._id, key: 'k', targetTime: expiresAt, runAt: new Date(), status: 'processing', attempts: 1 });
+
+    await runJob(job, { io });
+    expect(emit).toHaveBeenCalledWith('notification', expect.objectContaining({
+      waitlistEntryId: entry._id,
+      bookingId: null,
+      title: 'A space opened up at Central',
+      message: expect.stringMatching(/^Slot B2 is free at Central/)
+    }));
+    expect(finish.mock.calls[0][1].$set).toMatchObject({ status: 'sent' });
+
+    entry.status = 'booked';
+    await runJob(job, { io });
+    expect(finish.mock.calls[1][1].$set).toMatchObject({ status: 'skipped', lastError: 'Waitlist entry is booked' });
+  });
+});
@@ -0,0 +1,134 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import adminService from '../../services/adminService';
+
+const ACTION_GROUPS = [
+  { value: '', label: 'All actions' },
+  { value: 'lot', label: 'Lots (edits, layouts, availability, status, verification, imports)' },
+  { value: 'booking.status', label: 'Booking status changes' },
+  { value: 'booking.refund', label: 'Refunds' },
+  { value: 'user', label: 'Users (roles, suspensions)' }
+];
+
+const formatValue = (value) => (value === null || value === undefined ? '—' : typeof value === 'object' ? JSON.stringify(value) : String(value));
+
+// Who changed what: privileged and financial actions, newest first, with CSV export
+const AdminAudit = () => {
+  const [filters, setFilters] = useState({ action: '', targetType: '', targetId: '', from: '', to: '' });
+  const [page, setPage] = useState(1);
+  const [data, setData] = useState({ events: [], pagination: { current: 1, total: 0 } });
+  const [loading, setLoading] = useState(false);
+  const [exporting, setExporting] = useState(false);
+  const [err, setErr] = useState('');
+
+  const params = useCallback(() => {
+    const out = {};
+    Object.entries(filters).forEach(([key, value]) => { if (value) out[key] = value; });
+    return out;
+  }, [filters]);
+
+  const load = useCallback(async () => {
+    setLoading(true); setErr('');
+    try {
+      setData(await adminService.audit({ ...params(), page }));
+    } catch (e) {
+      setErr(e?.response?.data?.message || 'Failed to load the audit log');
+    } finally {
+      setLoading(false);
+    }
+  }, [params, page]);
+
+  useEffect(() => { load(); }, [load]);
+
+  const onFilter = (e) => {
+    setPage(1);
+    setFilters((f) => ({ ...f, [e.target.name]: e.target.value }));
+  };
+
+  const onExport = async () => {
+    setExporting(true);
+    try {
+      const blob = await adminService.exportAudit(params());
+      const url = window.URL.createObjectURL(blob);
+      const a = document.createElement('a');
+      a.href = url;
+      a.download = `audit-${new Date().toISOString().slice(0, 10)}.csv`;
+      document.body.appendChild(a);
+      a.click();
+      a.remove();
+      window.URL.revokeObjectURL(url);
+    } catch (e) {
+      alert('Export failed');
+    } finally {
+      setExporting(false);
+    }
+  };
+
+  return (
+    <div>
+      <div className="flex flex-wrap gap-3 mb-4">
+        <select name="action" value={filters.action} onChange={onFilter} className="border rounded px-3 py-2">
+          {ACTION_GROUPS.map((g) => <option key={g.value} value={g.value}>{g.label}</option>)}
+        </select>
+        <select name="targetType" value={filters.targetType} onChange={onFilter} className="border rounded px-3 py-2">
+          <option value="">Any target</option>
+          <option value="ParkingLot">Parking lot</option>
+          <option value="Booking">Booking</option>
+          <option value="User">User</option>
+        </select>
+        <input name="targetId" value={filters.targetId} onChange={onFilter} placeholder="Target ID" className="border rounded px-3 py-2" />
+        <label className="flex items-center gap-2 text-sm">From
+          <input name="from" type="date" value={filters.from} onChange={onFilter} className="border rounded px-2 py-1" />
+        </label>
+        <label className="flex items-center gap-2 text-sm">To
+          <input name="to" type="date" value={filters.to} onChange={onFilter} className="border rounded px-2 py-1" />
+        </label>
+        <button onClick={onExport} disabled={exporting} className="ml-auto bg-gray-800 text-white px-4 py-2 rounded disabled:opacity-60">
+          {exporting ? 'Exporting…' : 'Export CSV'}
+        </button>
+      </div>
+      {err && <div className="mb-4 text-red-600">{err}</div>}
+
+      {!loading && data.events.length === 0 && (
+        <p className="py-6 text-center text-gray-500">No audit events match these filters</p>
+      )}
+      <div className="space-y-2">
+        {data.events.map((event) => (
+          <div key={event._id} className="border rounded p-3 text-sm">
+            <div className="flex flex-wrap justify-between gap-2">
+              <div>
+                <span className="font-mono font-medium">{event.action}</span>
+                <span className="text-gray-500"> · {event.target?.type} {event.target?.label || event.target?.id || ''}</span>
+              </div>
+              <div className="text-gray-500">
+                {event.actor?.name || 'system'} ({event.actorRole || '—'}) · {new Date(event.createdAt).toLocaleString()}
+              </div>
+            </div>
+            {event.changes?.length > 0 && (
+              <ul className="mt-2 font-mono text-xs space-y-1">
+                {event.changes.map((c) => (
+                  <li key={c.field}>
+                    {c.field}: <span className="text-red-700">{formatValue(c.from)}</span> → <span className="text-green-700">{formatValue(c.to)}</span>
+                  </li>
+                ))}
+              </ul>
+            )}
+            {event.metadata && (
+              <div className="mt-1 text-xs text-gray-500 break-all">{JSON.stringify(event.metadata)}</div>
+            )}
+            <div className="mt-1 text-xs text-gray-400">{event.ip} · request {event.requestId}</div>
+          </div>
+        ))}
+      </div>
+
+      {data.pagination.total > 1 && (
+        <div className="flex items-center justify-center gap-4 mt-4">
+          <button disabled={page <= 1} onClick={() => setPage((p) => p - 1)} className="px-3 py-1 border rounded disabled:opacity-50">Previous</button>
+          <span className="text-sm text-gray-600">Page {data.pagination.current} of {data.pagination.total}</span>
+          <button disabled={page >= data.pagination.total} onClick={() => setPage((p) => p + 1)} className="px-3 py-1 border rounded disabled:opacity-50">Next</button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default AdminAudit;
@@ -0,0 +1,116 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import adminService from '../../services/adminService';
+import bookingService from '../../services/bookingService';
+
+const BOOKING_STATUSES = ['pending', 'confirmed', 'active', 'extended', 'completed', 'cancelled', 'no-show'];
+
+const formatTime = (value) => (value ? new Date(value).toLocaleString([], { dateStyle: 'short', timeStyle: 'short' }) : '—');
+
+// Bookings across every lot; admins can cancel with a full refund from here
+const AdminBookings = () => {
+  const [filters, setFilters] = useState({ status: '', plate: '', from: '', to: '' });
+  const [page, setPage] = useState(1);
+  const [data, setData] = useState({ bookings: [], pagination: { current: 1, total: 0 } });
+  const [loading, setLoading] = useState(false);
+  const [err, setErr] = useState('');
+
+  const load = useCallback(async () => {
+    setLoading(true); setErr('');
+    try {
+      const params = { page };
+      Object.entries(filters).forEach(([key, value]) => { if (value) params[key] = value; });
+      setData(await adminService.bookings(params));
+    } catch (e) {
+      setErr(e?.response?.data?.message || 'Failed to load bookings');
+    } finally {
+      setLoading(false);
+    }
+  }, [filters, page]);
+
+  useEffect(() => { load(); }, [load]);
+
+  const onFilter = (e) => {
+    setPage(1);
+    setFilters((f) => ({ ...f, [e.target.name]: e.target.value }));
+  };
+
+  const onCancel = async (booking) => {
+    const reason = window.prompt('Reason for cancelling (shown to the customer)');
+    if (reason === null) return;
+    try {
+      const result = await bookingService.ownerBulk('cancel', [booking.id], { reason: reason || undefined });
+      if (result.failed?.length) alert(result.failed[0].message);
+      load();
+    } catch (e) {
+      alert(e?.response?.data?.data?.failed?.[0]?.message || e?.response?.data?.message || 'Cancel failed');
+    }
+  };
+
+  return (
+    <div>
+      <div className="flex flex-wrap gap-3 mb-4">
+        <select name="status" value={filters.status} onChange={onFilter} className="border rounded px-3 py-2">
+          <option value="">Any status</option>
+          {BOOKING_STATUSES.map((s) => <option key={s} value={s}>{s}</option>)}
+        </select>
+        <input name="plate" value={filters.plate} onChange={onFilter} placeholder="Plate" className="border rounded px-3 py-2" />
+        <label className="flex items-center gap-2 text-sm">From
+          <input name="from" type="date" value={filters.from} onChange={onFilter} className="border rounded px-2 py-1" />
+        </label>
+        <label className="flex items-center gap-2 text-sm">To
+          <input name="to" type="date" value={filters.to} onChange={onFilter} className="border rounded px-2 py-1" />
+        </label>
+      </div>
+      {err && <div className="mb-4 text-red-600">{err}</div>}
+
+      <div className="overflow-x-auto">
+        <table className="min-w-full text-sm">
+          <thead>
+            <tr className="text-left text-gray-500 border-b">
+              <th className="py-2 pr-4">Customer</th>
+              <th className="py-2 pr-4">Lot</th>
+              <th className="py-2 pr-4">Vehicle</th>
+              <th className="py-2 pr-4">Window</th>
+              <th className="py-2 pr-4">Amount</th>
+              <th className="py-2 pr-4">Status</th>
+              <th className="py-2" />
+            </tr>
+          </thead>
+          <tbody>
+            {!loading && data.bookings.length === 0 && (
+              <tr><td colSpan={7} className="py-6 text-center text-gray-500">No bookings found</td></tr>
+            )}
+            {data.bookings.map((b) => (
+              <tr key={b.id} className="border-b">
+                <td className="py-2 pr-4">
+                  <div>{b.customer?.name || '—'}</div>
+                  <div className="text-gray-500">{b.customer?.email}</div>
+                </td>
+                <td className="py-2 pr-4">{b.lotName}</td>
+                <td className="py-2 pr-4">{b.vehicle?.licensePlate}</td>
+                <td className="py-2 pr-4">{formatTime(b.startTime)} – {formatTime(b.endTime)}</td>
+                <td className="py-2 pr-4">₹{b.totalAmount} <span className="text-gray-500">({b.paymentStatus})</span></td>
+                <td className="py-2 pr-4">{b.status}</td>
+                <td className="py-2 text-right">
+                  {['pending', 'confirmed'].includes(b.status) && (
+                    <button onClick={() => onCancel(b)} className="text-red-600 hover:underline">Cancel &amp; refund</button>
+                  )}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+
+      {data.pagination.total > 1 && (
+        <div className="flex items-center justify-center gap-4 mt-4">
+          <button disabled={page <= 1} onClick={() => setPage((p) => p - 1)} className="px-3 py-1 border rounded disabled:opacity-50">Previous</button>
+          <span className="text-sm text-gray-600">Page {data.pagination.current} of {data.pagination.total}</span>
+          <button disabled={page >= data.pagination.total} onClick={() => setPage((p) => p + 1)} className="px-3 py-1 border rounded disabled:opacity-50">Next</button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default AdminBookings;
@@ -0,0 +1,158 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import adminService from '../../services/adminService';
+
+const LOT_STATUSES = ['active', 'inactive', 'maintenance', 'full'];
+const VERIFICATION_STATES = ['pending', 'approved', 'rejected', 'unsubmitted'];
+
+const verificationBadge = {
+  pending: 'bg-yellow-100 text-yellow-800',
+  approved: 'bg-green-100 text-green-800',
+  rejected: 'bg-red-100 text-red-800',
+  unsubmitted: 'bg-gray-100 text-gray-700'
+};
+
+// Lot search, operating status and the document verification queue
+const AdminLots = () => {
+  // Open on the verification queue; it is what needs attention
+  const [filters, setFilters] = useState({ search: '', status: '', verification: 'pending' });
+  const [page, setPage] = useState(1);
+  const [data, setData] = useState({ lots: [], pagination: { current: 1, total: 0 } });
+  const [expanded, setExpanded] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [err, setErr] = useState('');
+
+  const load = useCallback(async () => {
+    setLoading(true); setErr('');
+    try {
+      const params = { page };
+      Object.entries(filters).forEach(([key, value]) => { if (value) params[key] = value; });
+      setData(await adminService.lots(params));
+    } catch (e) {
+      setErr(e?.response?.data?.message || 'Failed to load lots');
+    } finally {
+      setLoading(false);
+    }
+  }, [filters, page]);
+
+  useEffect(() => { load(); }, [load]);
+
+  const onFilter = (e) => {
+    setPage(1);
+    setFilters((f) => ({ ...f, [e.target.name]: e.target.value }));
+  };
+
+  const run = async (fn) => {
+    try {
+      await fn();
+      load();
+    } catch (e) {
+      alert(e?.response?.data?.message || 'Action failed');
+    }
+  };
+
+  const onApprove = (lot) => {
+    if (!window.confirm(`Verify ${lot.name}?`)) return;
+    run(() => adminService.decideVerification(lot._id, 'approve'));
+  };
+
+  const onReject = (lot) => {
+    const reason = window.prompt(`Why is ${lot.name} being rejected? The owner will see this.`);
+    if (!reason) return;
+    run(() => adminService.decideVerification(lot._id, 'reject', reason));
+  };
+
+  return (
+    <div>
+      <div className="flex flex-wrap gap-3 mb-4">
+        <input name="search" value={filters.search} onChange={onFilter} placeholder="Lot name or city" className="border rounded px-3 py-2 flex-1 min-w-[200px]" />
+        <select name="verification" value={filters.verification} onChange={onFilter} className="border rounded px-3 py-2">
+          <option value="">Any verification</option>
+          {VERIFICATION_STATES.map((v) => <option key={v} value={v}>{v}</option>)}
+        </select>
+        <select name="status" value={filters.status} onChange={onFilter} className="border rounded px-3 py-2">
+          <option value="">Any status</option>
+          {LOT_STATUSES.map((s) => <option key={s} value={s}>{s}</option>)}
+        </select>
+      </div>
+      {err && <div className="mb-4 text-red-600">{err}</div>}
+
+      {!loading && data.lots.length === 0 && (
+        <p className="py-6 text-center text-gray-500">No lots match these filters</p>
+      )}
+      <div className="space-y-3">
+        {data.lots.map((lot) => {
+          const state = lot.verification?.status || 'unsubmitted';
+          return (
+            <div key={lot._id} className="border rounded p-4">
+              <div className="flex flex-wrap items-center justify-between gap-3">
+                <div>
+                  <div className="font-medium">{lot.name}</div>
+                  <div className="text-sm text-gray-500">
+                    {[lot.location?.address?.city, lot.location?.address?.state].filter(Boolean).join(', ')}
+                    {' · '}{lot.capacity?.total} spaces · Owner: {lot.owner?.name || '—'} ({lot.owner?.email})
+                  </div>
+                </div>
+                <div className="flex items-center gap-3">
+                  <span className={`text-xs px-2 py-1 rounded ${verificationBadge[state]}`}>{state}</span>
+                  <select
+                    value={lot.status}
+                    onChange={(e) => run(() => adminService.setLotStatus(lot._id, e.target.value))}
+                    className="border rounded px-2 py-1 text-sm"
+                  >
+                    {LOT_STATUSES.map((s) => <option key={s} value={s}>{s}</option>)}
+                  </select>
+                  <button onClick={() => setExpanded(expanded === lot._id ? null : lot._id)} className="text-sm text-blue-600 hover:underline">
+                    Documents ({lot.verificationDocuments?.length || 0})
+                  </button>
+                </div>
+              </div>
+
+              {state === 'rejected' && lot.verification?.rejectionReason && (
+                <p className="mt-2 text-sm text-red-600">Rejected: {lot.verification.rejectionReason}</p>
+              )}
+
+              {expanded === lot._id && (
+                <div className="mt-3 border-t pt-3">
+                  {lot.verificationDocuments?.length ? (
+                    <ul className="text-sm space-y-1">
+                      {lot.verificationDocuments.map((doc) => (
+                        <li key={doc._id}>
+                          <a href={doc.url} target="_blank" rel="noreferrer" className="text-blue-600 hover:underline">
+                            {doc.name || doc.url}
+                          </a>
+                          <span className="text-gray-500"> · {doc.type} · {new Date(doc.uploadedAt).toLocaleDateString()}</span>
+                        </li>
+                      ))}
+                    </ul>
+                  ) : (
+                    <p className="text-sm text-gray-500">No documents uploaded</p>
+                  )}
+                </div>
+              )}
+
+              {state === 'pending' && (
+                <div className="mt-3 flex gap-3">
+                  <span className="text-xs text-gray-500 self-center">
+                    Submitted {lot.verification?.submittedAt ? new Date(lot.verification.submittedAt).toLocaleString() : ''}
+                  </span>
+                  <button onClick={() => onApprove(lot)} className="bg-green-600 text-white px-3 py-1 rounded text-sm">Approve</button>
+                  <button onClick={() => onReject(lot)} className="bg-red-600 text-white px-3 py-1 rounded text-sm">Reject</button>
+                </div>
+              )}
+            </div>
+          );
+        })}
+      </div>
+
+      {data.pagination.total > 1 && (
+        <div className="flex items-center justify-center gap-4 mt-4">
+          <button disabled={page <= 1} onClick={() => setPage((p) => p - 1)} className="px-3 py-1 border rounded disabled:opacity-50">Previous</button>
+          <span className="text-sm text-gray-600">Page {data.pagination.current} of {data.pagination.total}</span>
+          <button disabled={page >= data.pagination.total} onClick={() => setPage((p) => p + 1)} className="px-3 py-1 border rounded disabled:opacity-50">Next</button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default AdminLots;
@@ -0,0 +1,76 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import reviewService from '../../services/reviewService';
+
+// Reviews hidden by reports or waiting for a moderation decision
+const AdminReviews = () => {
+  const [page, setPage] = useState(1);
+  const [data, setData] = useState({ reviews: [], pagination: { current: 1, total: 0 } });
+  const [loading, setLoading] = useState(false);
+  const [err, setErr] = useState('');
+
+  const load = useCallback(async () => {
+    setLoading(true); setErr('');
+    try {
+      setData(await reviewService.moderationQueue({ page }));
+    } catch (e) {
+      setErr(e?.response?.data?.message || 'Failed to load the moderation queue');
+    } finally {
+      setLoading(false);
+    }
+  }, [page]);
+
+  useEffect(() => { load(); }, [load]);
+
+  const onModerate = async (review, status) => {
+    try {
+      await reviewService.moderate(review._id, status);
+      load();
+    } catch (e) {
+      alert(e?.response?.data?.message || 'Moderation failed');
+    }
+  };
+
+  return (
+    <div>
+      {err && <div className="mb-4 text-red-600">{err}</div>}
+      {!loading && data.reviews.length === 0 && (
+        <p className="py-6 text-center text-gray-500">Nothing to moderate</p>
+      )}
+      <div className="space-y-3">
+        {data.reviews.map((review) => (
+          <div key={review._id} className="border rounded p-4">
+            <div className="flex flex-wrap items-center justify-between gap-3">
+              <div className="text-sm">
+                <span className="font-medium">{review.user?.name}</span>
+                <span className="text-gray-500"> on {review.parkingLot?.name} · {review.rating}★ · </span>
+                <span className={review.status === 'hidden' ? 'text-red-600' : 'text-green-700'}>{review.status}</span>
+              </div>
+              <div className="flex gap-3">
+                <button onClick={() => onModerate(review, 'published')} className="bg-green-600 text-white px-3 py-1 rounded text-sm">Publish</button>
+                <button onClick={() => onModerate(review, 'hidden')} className="bg-red-600 text-white px-3 py-1 rounded text-sm">Hide</button>
+              </div>
+            </div>
+            {review.comment && <p className="mt-2 text-gray-700">{review.comment}</p>}
+            {review.reports?.length > 0 && (
+              <ul className="mt-2 text-sm text-gray-500 list-disc pl-5">
+                {review.reports.map((report) => (
+                  <li key={report._id}>{report.reason}</li>
+                ))}
+              </ul>
+            )}
+          </div>
+        ))}
+      </div>
+
+      {data.pagination.total > 1 && (
+        <div className="flex items-center justify-center gap-4 mt-4">
+          <button disabled={page <= 1} onClick={() => setPage((p) => p - 1)} className="px-3 py-1 border rounded disabled:opacity-50">Previous</button>
+          <span className="text-sm text-gray-600">Page {data.pagination.current} of {data.pagination.total}</span>
+          <button disabled={page >= data.pagination.total} onClick={() => setPage((p) => p + 1)} className="px-3 py-1 border rounded disabled:opacity-50">Next</button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default AdminReviews;
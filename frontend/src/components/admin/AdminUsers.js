@@ -0,0 +1,137 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import adminService from '../../services/adminService';
+
+const ROLES = ['user', 'landowner', 'admin'];
+
+// User search with role changes and suspensions
+const AdminUsers = () => {
+  const [filters, setFilters] = useState({ search: '', role: '', suspended: '' });
+  const [page, setPage] = useState(1);
+  const [data, setData] = useState({ users: [], pagination: { current: 1, total: 0 } });
+  const [loading, setLoading] = useState(false);
+  const [err, setErr] = useState('');
+
+  const load = useCallback(async () => {
+    setLoading(true); setErr('');
+    try {
+      const params = { page };
+      Object.entries(filters).forEach(([key, value]) => { if (value !== '') params[key] = value; });
+      setData(await adminService.users(params));
+    } catch (e) {
+      setErr(e?.response?.data?.message || 'Failed to load users');
+    } finally {
+      setLoading(false);
+    }
+  }, [filters, page]);
+
+  useEffect(() => { load(); }, [load]);
+
+  const onFilter = (e) => {
+    setPage(1);
+    setFilters((f) => ({ ...f, [e.target.name]: e.target.value }));
+  };
+
+  const run = async (fn) => {
+    try {
+      await fn();
+      load();
+    } catch (e) {
+      alert(e?.response?.data?.message || 'Action failed');
+    }
+  };
+
+  const onRoleChange = (user, role) => {
+    if (role === user.role) return;
+    if (!window.confirm(`Change ${user.name}'s role to ${role}?`)) return;
+    run(() => adminService.changeRole(user._id, role));
+  };
+
+  const onSuspend = (user) => {
+    const reason = window.prompt(`Why is ${user.name} being suspended?`);
+    if (!reason) return;
+    const days = window.prompt('Suspend for how many days? Leave empty for indefinitely.');
+    const until = days && Number(days) > 0 ? new Date(Date.now() + Number(days) * 24 * 60 * 60 * 1000).toISOString() : undefined;
+    run(() => adminService.suspend(user._id, reason, until));
+  };
+
+  const isSuspended = (user) => user.suspension?.active && (!user.suspension.until || new Date(user.suspension.until) > new Date());
+
+  return (
+    <div>
+      <div className="flex flex-wrap gap-3 mb-4">
+        <input name="search" value={filters.search} onChange={onFilter} placeholder="Name, email or phone" className="border rounded px-3 py-2 flex-1 min-w-[200px]" />
+        <select name="role" value={filters.role} onChange={onFilter} className="border rounded px-3 py-2">
+          <option value="">All roles</option>
+          {ROLES.map((role) => <option key={role} value={role}>{role}</option>)}
+        </select>
+        <select name="suspended" value={filters.suspended} onChange={onFilter} className="border rounded px-3 py-2">
+          <option value="">Any state</option>
+          <option value="true">Suspended</option>
+          <option value="false">Not suspended</option>
+        </select>
+      </div>
+      {err && <div className="mb-4 text-red-600">{err}</div>}
+
+      <div className="overflow-x-auto">
+        <table className="min-w-full text-sm">
+          <thead>
+            <tr className="text-left text-gray-500 border-b">
+              <th className="py-2 pr-4">User</th>
+              <th className="py-2 pr-4">Phone</th>
+              <th className="py-2 pr-4">Role</th>
+              <th className="py-2 pr-4">Joined</th>
+              <th className="py-2 pr-4">Status</th>
+              <th className="py-2" />
+            </tr>
+          </thead>
+          <tbody>
+            {!loading && data.users.length === 0 && (
+              <tr><td colSpan={6} className="py-6 text-center text-gray-500">No users found</td></tr>
+            )}
+            {data.users.map((user) => (
+              <tr key={user._id} className="border-b">
+                <td className="py-2 pr-4">
+                  <div className="font-medium">{user.name}</div>
+                  <div className="text-gray-500">{user.email}</div>
+                </td>
+                <td className="py-2 pr-4">{user.phone}</td>
+                <td className="py-2 pr-4">
+                  <select value={user.role} onChange={(e) => onRoleChange(user, e.target.value)} className="border rounded px-2 py-1">
+                    {ROLES.map((role) => <option key={role} value={role}>{role}</option>)}
+                  </select>
+                </td>
+                <td className="py-2 pr-4">{new Date(user.createdAt).toLocaleDateString()}</td>
+                <td className="py-2 pr-4">
+                  {isSuspended(user) ? (
+                    <span className="text-red-600" title={user.suspension.reason}>
+                      Suspended{user.suspension.until ? ` until ${new Date(user.suspension.until).toLocaleDateString()}` : ''}
+                    </span>
+                  ) : (
+                    <span className="text-green-700">Active</span>
+                  )}
+                </td>
+                <td className="py-2 text-right">
+                  {isSuspended(user) ? (
+                    <button onClick={() => run(() => adminService.unsuspend(user._id))} className="text-blue-600 hover:underline">Lift suspension</button>
+                  ) : (
+                    <button onClick={() => onSuspend(user)} className="text-red-600 hover:underline">Suspend</button>
+                  )}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+
+      {data.pagination.total > 1 && (
+        <div className="flex items-center justify-center gap-4 mt-4">
+          <button disabled={page <= 1} onClick={() => setPage((p) => p - 1)} className="px-3 py-1 border rounded disabled:opacity-50">Previous</button>
+          <span className="text-sm text-gray-600">Page {data.pagination.current} of {data.pagination.total}</span>
+          <button disabled={page >= data.pagination.total} onClick={() => setPage((p) => p + 1)} className="px-3 py-1 border rounded disabled:opacity-50">Next</button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default AdminUsers;
@@ -0,0 +1,301 @@
+import React, { useEffect, useState } from 'react';
+import PropTypes from 'prop-types';
+import {
+  Alert,
+  Box,
+  Button,
+  Checkbox,
+  Chip,
+  Divider,
+  FormControlLabel,
+  IconButton,
+  LinearProgress,
+  MenuItem,
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableRow,
+  TextField,
+  Typography
+} from '@mui/material';
+import { Delete as DeleteIcon } from '@mui/icons-material';
+import parkingService from '../../services/parkingService';
+
+const WEEKDAYS = ['monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday'];
+const EXCEPTION_KINDS = [
+  { value: 'closed', label: 'Closed' },
+  { value: 'hours', label: 'Special hours' },
+  { value: '24h', label: 'Open 24 hours' }
+];
+const COMMON_TIMEZONES = ['Asia/Kolkata', 'Asia/Dubai', 'Asia/Singapore', 'Europe/London', 'Europe/Berlin', 'America/New_York', 'America/Los_Angeles', 'UTC'];
+
+const capitalize = (day) => day.charAt(0).toUpperCase() + day.slice(1);
+
+// Editor rows: every weekday, closed unless the lot has hours for it
+const toWeek = (operatingHours = {}) => WEEKDAYS.reduce((week, day) => {
+  const d = operatingHours?.[day] || {};
+  week[day] = {
+    closed: !d.is24Hours && !(d.open && d.close),
+    is24Hours: Boolean(d.is24Hours),
+    open: d.open || '09:00',
+    close: d.close || '21:00'
+  };
+  return week;
+}, {});
+
+const fromWeek = (week) => WEEKDAYS.reduce((hours, day) => {
+  const d = week[day];
+  if (d.closed) return hours;
+  hours[day] = d.is24Hours ? { is24Hours: true } : { open: d.open, close: d.close, is24Hours: false };
+  return hours;
+}, {});
+
+const describeException = (e) => {
+  if (e.closed) return 'Closed';
+  if (e.is24Hours) return 'Open 24 hours';
+  return `${e.open}–${e.close}${e.close <= e.open ? ' (next day)' : ''}`;
+};
+
+const summaryText = (summary) => {
+  if (!summary) return '';
+  const change = summary.closesAt || summary.opensAt;
+  const when = change ? new Date(change).toLocaleString([], { weekday: 'short', hour: '2-digit', minute: '2-digit' }) : null;
+  if (summary.openNow) return when ? `Open now · closes ${when}` : 'Open now';
+  return when ? `Closed now · opens ${when}` : 'Closed now';
+};
+
+// Opening hours for one lot: the weekly schedule and timezone, plus dated exceptions for
+// holidays and special days. Windows whose close is before their open run past midnight.
+const HoursEditor = ({ lotId, onSaved }) => {
+  const [hours, setHours] = useState(null);
+  const [week, setWeek] = useState(toWeek());
+  const [timezone, setTimezone] = useState('');
+  const [draft, setDraft] = useState({ date: '', kind: 'closed', open: '09:00', close: '17:00', note: '' });
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
+  const [affected, setAffected] = useState([]);
+
+  const apply = (data) => {
+    setHours(data);
+    setWeek(toWeek(data.operatingHours));
+    setTimezone(data.timezone);
+  };
+
+  useEffect(() => {
+    (async () => {
+      setLoading(true);
+      try {
+        const { data } = await parkingService.getHours(lotId);
+        apply(data);
+        setError('');
+      } catch (e) {
+        setError(e?.response?.data?.message || 'Failed to load opening hours');
+      } finally {
+        setLoading(false);
+      }
+    })();
+  }, [lotId]);
+
+  const failed = (e, fallback) => setError(e?.response?.data?.errors?.[0]?.msg || e?.response?.data?.message || fallback);
+
+  const setDay = (day, changes) => setWeek({ ...week, [day]: { ...week[day], ...changes } });
+
+  const saveWeek = async () => {
+    setSaving(true);
+    try {
+      const { data } = await parkingService.updateHours(lotId, { operatingHours: fromWeek(week), timezone });
+      apply(data);
+      setError('');
+      onSaved?.('Opening hours saved');
+    } catch (e) {
+      failed(e, 'Failed to save opening hours');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const saveException = async () => {
+    const body = draft.kind === 'closed'
+      ? { closed: true }
+      : draft.kind === '24h' ? { is24Hours: true } : { open: draft.open, close: draft.close };
+    if (draft.note.trim()) body.note = draft.note.trim();
+    setSaving(true);
+    try {
+      const { data, message } = await parkingService.setHoursException(lotId, draft.date, body);
+      apply(data);
+      setAffected(data.affectedBookings || []);
+      setDraft({ ...draft, date: '', note: '' });
+      setError('');
+      onSaved?.(message);
+    } catch (e) {
+      failed(e, 'Failed to save the exception');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const removeException = async (date) => {
+    setSaving(true);
+    try {
+      const { data } = await parkingService.removeHoursException(lotId, date);
+      apply(data);
+      setAffected([]);
+      setError('');
+    } catch (e) {
+      failed(e, 'Failed to remove the exception');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  if (loading) return <LinearProgress />;
+
+  const timezones = COMMON_TIMEZONES.includes(timezone) ? COMMON_TIMEZONES : [timezone, ...COMMON_TIMEZONES].filter(Boolean);
+
+  return (
+    <Box>
+      {error && <Alert severity="error" sx={{ mb: 2 }} onClose={() => setError('')}>{error}</Alert>}
+      {hours?.summary && (
+        <Chip
+          label={summaryText(hours.summary)}
+          color={hours.summary.openNow ? 'success' : 'default'}
+          size="small"
+          sx={{ mb: 2 }}
+        />
+      )}
+
+      <Typography variant="subtitle1" gutterBottom>Weekly hours</Typography>
+      <TextField
+        select
+        size="small"
+        label="Timezone"
+        value={timezone}
+        onChange={(e) => setTimezone(e.target.value)}
+        sx={{ minWidth: 220, mb: 1 }}
+      >
+        {timezones.map((tz) => <MenuItem key={tz} value={tz}>{tz}</MenuItem>)}
+      </TextField>
+      <Table size="small">
+        <TableBody>
+          {WEEKDAYS.map((day) => {
+            const d = week[day];
+            return (
+              <TableRow key={day}>
+                <TableCell sx={{ width: 120 }}>{capitalize(day)}</TableCell>
+                <TableCell>
+                  <FormControlLabel
+                    control={<Checkbox size="small" checked={!d.closed} onChange={(e) => setDay(day, { closed: !e.target.checked })} />}
+                    label="Open"
+                  />
+                  <FormControlLabel
+                    control={<Checkbox size="small" checked={d.is24Hours} disabled={d.closed} onChange={(e) => setDay(day, { is24Hours: e.target.checked })} />}
+                    label="24 hours"
+                  />
+                </TableCell>
+                <TableCell>
+                  {!d.closed && !d.is24Hours && (
+                    <Box sx={{ display: 'flex', gap: 1, alignItems: 'center' }}>
+                      <TextField type="time" size="small" value={d.open} onChange={(e) => setDay(day, { open: e.target.value })} />
+                      <Typography variant="body2">to</Typography>
+                      <TextField type="time" size="small" value={d.close} onChange={(e) => setDay(day, { close: e.target.value })} />
+                      {d.close < d.open && <Typography variant="caption" color="textSecondary">next day</Typography>}
+                    </Box>
+                  )}
+                </TableCell>
+              </TableRow>
+            );
+          })}
+        </TableBody>
+      </Table>
+      <Box sx={{ textAlign: 'right', mt: 1 }}>
+        <Button variant="contained" onClick={saveWeek} disabled={saving}>Save weekly hours</Button>
+      </Box>
+
+      <Divider sx={{ my: 3 }} />
+
+      <Typography variant="subtitle1" gutterBottom>Holidays and special days</Typography>
+      <Box sx={{ display: 'flex', gap: 1, flexWrap: 'wrap', alignItems: 'center', mb: 2 }}>
+        <TextField
+          type="date"
+          size="small"
+          label="Date"
+          InputLabelProps={{ shrink: true }}
+          value={draft.date}
+          onChange={(e) => setDraft({ ...draft, date: e.target.value })}
+        />
+        <TextField
+          select
+          size="small"
+          label="Hours"
+          value={draft.kind}
+          onChange={(e) => setDraft({ ...draft, kind: e.target.value })}
+          sx={{ minWidth: 160 }}
+        >
+          {EXCEPTION_KINDS.map((k) => <MenuItem key={k.value} value={k.value}>{k.label}</MenuItem>)}
+        </TextField>
+        {draft.kind === 'hours' && (
+          <>
+            <TextField type="time" size="small" value={draft.open} onChange={(e) => setDraft({ ...draft, open: e.target.value })} />
+            <TextField type="time" size="small" value={draft.close} onChange={(e) => setDraft({ ...draft, close: e.target.value })} />
+          </>
+        )}
+        <TextField
+          size="small"
+          label="Note"
+          placeholder="e.g. Diwali"
+          inputProps={{ maxLength: 100 }}
+          value={draft.note}
+          onChange={(e) => setDraft({ ...draft, note: e.target.value })}
+        />
+        <Button variant="outlined" onClick={saveException} disabled={saving || !draft.date}>Save date</Button>
+      </Box>
+
+      {affected.length > 0 && (
+        <Alert severity="warning" sx={{ mb: 2 }}>
+          {affected.length} existing booking(s) fall outside these hours. They stay booked; contact or cancel them from the Bookings tab.
+        </Alert>
+      )}
+
+      <Table size="small">
+        <TableHead>
+          <TableRow>
+            <TableCell>Date</TableCell>
+            <TableCell>Hours</TableCell>
+            <TableCell>Note</TableCell>
+            <TableCell align="right" />
+          </TableRow>
+        </TableHead>
+        <TableBody>
+          {(hours?.exceptions || []).length === 0 && (
+            <TableRow>
+              <TableCell colSpan={4} align="center">
+                <Typography color="textSecondary">No exceptions; the weekly hours apply every day</Typography>
+              </TableCell>
+            </TableRow>
+          )}
+          {(hours?.exceptions || []).map((e) => (
+            <TableRow key={e.date}>
+              <TableCell>{e.date}</TableCell>
+              <TableCell>{describeException(e)}</TableCell>
+              <TableCell>{e.note || '—'}</TableCell>
+              <TableCell align="right">
+                <IconButton size="small" color="error" disabled={saving} onClick={() => removeException(e.date)}>
+                  <DeleteIcon fontSize="small" />
+                </IconButton>
+              </TableCell>
+            </TableRow>
+          ))}
+        </TableBody>
+      </Table>
+    </Box>
+  );
+};
+
+HoursEditor.propTypes = {
+  lotId: PropTypes.string.isRequired,
+  onSaved: PropTypes.func
+};
+
+export default HoursEditor;
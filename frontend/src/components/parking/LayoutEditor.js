@@ -0,0 +1,446 @@
+import React, { useCallback, useEffect, useMemo, useRef, useState } from 'react';
+import PropTypes from 'prop-types';
+import {
+  Box,
+  Button,
+  Tabs,
+  Tab,
+  TextField,
+  MenuItem,
+  Typography,
+  Alert,
+  Chip,
+  LinearProgress
+} from '@mui/material';
+import parkingService from '../../services/parkingService';
+
+// Pixels per layout unit on the canvas; positions snap to half a unit
+const SCALE = 14;
+const snap = (value) => Math.max(0, Math.round(value * 2) / 2);
+
+const VEHICLE_TYPES = ['car', 'bike', 'van', 'truck', 'bicycle'];
+const TYPE_COLORS = { car: '#1976d2', bike: '#2e7d32', van: '#6a1b9a', truck: '#ef6c00', bicycle: '#00838f' };
+const TYPE_PREFIX = { car: 'C', bike: 'B', van: 'V', truck: 'T', bicycle: 'Y' };
+const FIXTURE_SIZES = {
+  ramp: { width: 4, depth: 8 },
+  entrance: { width: 4, depth: 2 },
+  exit: { width: 4, depth: 2 },
+  lane: { width: 6, depth: 6 },
+  pillar: { width: 1, depth: 1 },
+  elevator: { width: 3, depth: 3 },
+  stairs: { width: 3, depth: 4 }
+};
+
+const slotKey = (code) => `s:${code}`;
+const fixtureKey = (uid) => `f:${uid}`;
+let fixtureSeq = 0;
+const withUid = (fixture) => ({ ...fixture, uid: fixture._id || `new-${fixtureSeq++}` });
+
+// Footprint as laid out on the floor: slots turn with their rotation, fixtures carry their own size
+const sizeOf = (item, footprints) => {
+  if (item.size) return item.size;
+  const base = footprints[item.type] || footprints.car;
+  return [90, 270].includes(item.rotation) ? { width: base.depth, depth: base.width } : base;
+};
+
+const boxOf = (item, footprints) => {
+  const { width, depth } = sizeOf(item, footprints);
+  return { minX: item.position.x - width / 2, maxX: item.position.x + width / 2, minZ: item.position.z - depth / 2, maxZ: item.position.z + depth / 2, width, depth };
+};
+
+const boxesOverlap = (a, b) => a.minX < b.maxX - 1e-6 && b.minX < a.maxX - 1e-6 && a.minZ < b.maxZ - 1e-6 && b.minZ < a.maxZ - 1e-6;
+
+const isPlaced = (item) => Number.isFinite(item.position?.x) && Number.isFinite(item.position?.z);
+
+// The same checks the server runs on save, so clashes show up while dragging
+const findClashes = (slots, fixtures, footprints) => {
+  const clashing = new Set();
+  const boxes = slots.filter(isPlaced).map((s) => ({ key: slotKey(s.code), box: boxOf(s, footprints) }));
+  for (let i = 0; i < boxes.length; i++) {
+    for (let j = i + 1; j < boxes.length; j++) {
+      if (boxesOverlap(boxes[i].box, boxes[j].box)) { clashing.add(boxes[i].key); clashing.add(boxes[j].key); }
+    }
+  }
+  fixtures.filter(isPlaced).forEach((f) => {
+    const box = boxOf(f, footprints);
+    boxes.forEach((b) => { if (boxesOverlap(b.box, box)) { clashing.add(b.key); clashing.add(fixtureKey(f.uid)); } });
+  });
+  return clashing;
+};
+
+const nextCode = (level, type, taken) => {
+  let n = 1;
+  while (taken.has(`L${level}-${TYPE_PREFIX[type]}${String(n).padStart(2, '0')}`)) n += 1;
+  return `L${level}-${TYPE_PREFIX[type]}${String(n).padStart(2, '0')}`;
+};
+
+// Turn the working copy into the bulk change the layout API expects
+const buildChanges = (original, slots, levels, fixtures) => {
+  const before = new Map(original.map((s) => [s.code, s]));
+  const after = new Map(slots.map((s) => [s.code, s]));
+  const changes = {
+    delete: original.filter((s) => !after.has(s.code)).map((s) => s.code),
+    create: [],
+    retype: [],
+    move: [],
+    levels: levels.map(({ number, name }) => ({ number, ...(name ? { name } : {}) })),
+    fixtures: fixtures.map(({ kind, level, toLevel, label, position, size, rotation }) => ({
+      kind, level, ...(toLevel ? { toLevel } : {}), ...(label ? { label } : {}), position: { x: position.x, z: position.z }, size, rotation: rotation || 0
+    }))
+  };
+  slots.forEach((slot) => {
+    const prev = before.get(slot.code);
+    const position = { x: slot.position?.x, z: slot.position?.z };
+    if (!prev) {
+      changes.create.push({ code: slot.code, type: slot.type, level: slot.level, position, rotation: slot.rotation || 0 });
+      return;
+    }
+    if (prev.type !== slot.type) changes.retype.push({ code: slot.code, type: slot.type });
+    if (prev.level !== slot.level || prev.position?.x !== position.x || prev.position?.z !== position.z || (prev.rotation || 0) !== (slot.rotation || 0)) {
+      changes.move.push({ code: slot.code, level: slot.level, ...(isPlaced(slot) ? { position } : {}), rotation: slot.rotation || 0 });
+    }
+  });
+  return changes;
+};
+
+// Floor-plan editor for one lot: drag slots and fixtures around each level, add rows, retype,
+// rotate and delete, then save everything in one bulk change
+const LayoutEditor = ({ lotId, onSaved }) => {
+  const [layout, setLayout] = useState(null);
+  const [slots, setSlots] = useState([]);
+  const [fixtures, setFixtures] = useState([]);
+  const [levels, setLevels] = useState([{ number: 1 }]);
+  const [level, setLevel] = useState(1);
+  const [selected, setSelected] = useState(new Set());
+  const [tool, setTool] = useState('select');
+  const [row, setRow] = useState({ type: 'car', count: 10 });
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
+  const [notice, setNotice] = useState('');
+  const svgRef = useRef(null);
+  const dragRef = useRef(null);
+
+  const reset = useCallback((data) => {
+    setLayout(data);
+    setSlots(data.slots.map((s) => ({ ...s, level: s.level || 1 })));
+    setFixtures(data.fixtures.map(withUid));
+    setLevels(data.levels.length ? data.levels : [{ number: 1 }]);
+    setSelected(new Set());
+  }, []);
+
+  useEffect(() => {
+    (async () => {
+      setLoading(true);
+      try {
+        const { data } = await parkingService.getLayout(lotId);
+        reset(data);
+        setLevel(data.levels[0]?.number || 1);
+        setError('');
+      } catch (e) {
+        setError(e?.response?.data?.message || 'Failed to load the layout');
+      } finally {
+        setLoading(false);
+      }
+    })();
+  }, [lotId, reset]);
+
+  const footprints = layout?.footprints || { car: { width: 2, depth: 4 } };
+  const levelSlots = useMemo(() => slots.filter((s) => s.level === level), [slots, level]);
+  const levelFixtures = useMemo(() => fixtures.filter((f) => (f.level || 1) === level), [fixtures, level]);
+  const clashes = useMemo(() => findClashes(levelSlots, levelFixtures, footprints), [levelSlots, levelFixtures, footprints]);
+  const unplaced = levelSlots.filter((s) => !isPlaced(s));
+
+  // Canvas grows to fit whatever is on the level, with room to drag past the edge
+  const extent = useMemo(() => {
+    let maxX = 40;
+    let maxZ = 30;
+    [...levelSlots, ...levelFixtures].filter(isPlaced).forEach((item) => {
+      const box = boxOf(item, footprints);
+      maxX = Math.max(maxX, box.maxX + 10);
+      maxZ = Math.max(maxZ, box.maxZ + 10);
+    });
+    return { width: maxX * SCALE, height: maxZ * SCALE };
+  }, [levelSlots, levelFixtures, footprints]);
+
+  const toUnits = (event) => {
+    const rect = svgRef.current.getBoundingClientRect();
+    return { x: (event.clientX - rect.left) / SCALE, z: (event.clientY - rect.top) / SCALE };
+  };
+
+  const addSlot = (type, position) => {
+    const code = nextCode(level, type, new Set(slots.map((s) => s.code)));
+    setSlots((prev) => [...prev, { code, type, level, status: 'available', rotation: 0, position }]);
+    setSelected(new Set([slotKey(code)]));
+  };
+
+  const addFixture = (kind, position) => {
+    const fixture = withUid({ kind, level, position, size: { ...FIXTURE_SIZES[kind] }, rotation: 0, ...(kind === 'ramp' ? { toLevel: level < (layout?.maxLevels || 10) ? level + 1 : level - 1 } : {}) });
+    setFixtures((prev) => [...prev, fixture]);
+    setSelected(new Set([fixtureKey(fixture.uid)]));
+  };
+
+  // A row of `count` slots across the front of whatever is already on the level
+  const addRow = () => {
+    const { width, depth } = footprints[row.type] || footprints.car;
+    const front = [...levelSlots, ...levelFixtures].filter(isPlaced).reduce((z, item) => Math.max(z, boxOf(item, footprints).maxZ), 0);
+    const taken = new Set(slots.map((s) => s.code));
+    const added = [];
+    for (let i = 0; i < row.count; i++) {
+      const code = nextCode(level, row.type, taken);
+      taken.add(code);
+      added.push({ code, type: row.type, level, status: 'available', rotation: 0, position: { x: (i + 0.5) * width, z: front + depth / 2 } });
+    }
+    setSlots((prev) => [...prev, ...added]);
+    setSelected(new Set(added.map((s) => slotKey(s.code))));
+  };
+
+  // Slots saved without a position get laid out in a row so they can be dragged into place
+  const placeUnplaced = () => {
+    const front = levelSlots.filter(isPlaced).reduce((z, s) => Math.max(z, boxOf(s, footprints).maxZ), 0);
+    let x = 0;
+    const placed = new Map(unplaced.map((s) => {
+      const { width, depth } = sizeOf(s, footprints);
+      const position = { x: x + width / 2, z: front + depth / 2 };
+      x += width;
+      return [s.code, position];
+    }));
+    setSlots((prev) => prev.map((s) => (placed.has(s.code) ? { ...s, position: placed.get(s.code) } : s)));
+  };
+
+  const onCanvasPointerDown = (event) => {
+    const point = { x: snap(toUnits(event).x), z: snap(toUnits(event).z) };
+    if (VEHICLE_TYPES.includes(tool)) addSlot(tool, point);
+    else if (FIXTURE_SIZES[tool]) addFixture(tool, point);
+    else setSelected(new Set());
+  };
+
+  const onItemPointerDown = (event, key) => {
+    event.stopPropagation();
+    let keys = selected;
+    if (event.shiftKey) {
+      keys = new Set(selected);
+      if (keys.has(key)) keys.delete(key); else keys.add(key);
+    } else if (!selected.has(key)) {
+      keys = new Set([key]);
+    }
+    setSelected(keys);
+    const origin = new Map();
+    slots.forEach((s) => { if (keys.has(slotKey(s.code)) && isPlaced(s)) origin.set(slotKey(s.code), s.position); });
+    fixtures.forEach((f) => { if (keys.has(fixtureKey(f.uid))) origin.set(fixtureKey(f.uid), f.position); });
+    dragRef.current = { start: toUnits(event), origin };
+    svgRef.current.setPointerCapture?.(event.pointerId);
+  };
+
+  const onPointerMove = (event) => {
+    const drag = dragRef.current;
+    if (!drag) return;
+    const point = toUnits(event);
+    const dx = point.x - drag.start.x;
+    const dz = point.z - drag.start.z;
+    const moveTo = (key, item) => {
+      const from = drag.origin.get(key);
+      return from ? { ...item, position: { ...item.position, x: snap(from.x + dx), z: snap(from.z + dz) } } : item;
+    };
+    setSlots((prev) => prev.map((s) => moveTo(slotKey(s.code), s)));
+    setFixtures((prev) => prev.map((f) => moveTo(fixtureKey(f.uid), f)));
+  };
+
+  const onPointerUp = () => { dragRef.current = null; };
+
+  const updateSelected = (slotChange, fixtureChange) => {
+    setSlots((prev) => prev.map((s) => (selected.has(slotKey(s.code)) && slotChange ? slotChange(s) : s)));
+    setFixtures((prev) => prev.map((f) => (selected.has(fixtureKey(f.uid)) && fixtureChange ? fixtureChange(f) : f)));
+  };
+
+  const rotateSelected = () => updateSelected(
+    (s) => ({ ...s, rotation: ((s.rotation || 0) + 90) % 360 }),
+    (f) => ({ ...f, size: { width: f.size.depth, depth: f.size.width } })
+  );
+
+  const deleteSelected = () => {
+    setSlots((prev) => prev.filter((s) => !selected.has(slotKey(s.code))));
+    setFixtures((prev) => prev.filter((f) => !selected.has(fixtureKey(f.uid))));
+    setSelected(new Set());
+  };
+
+  const moveSelectedToLevel = (target) => {
+    updateSelected((s) => ({ ...s, level: target }), (f) => ({ ...f, level: target }));
+    setSelected(new Set());
+  };
+
+  const addLevel = () => {
+    const number = Math.max(...levels.map((l) => l.number)) + 1;
+    setLevels((prev) => [...prev, { number }]);
+    setLevel(number);
+  };
+
+  const renameLevel = (name) => setLevels((prev) => prev.map((l) => (l.number === level ? { ...l, name } : l)));
+
+  const handleSave = async () => {
+    setSaving(true); setError(''); setNotice('');
+    try {
+      const { data } = await parkingService.updateLayout(lotId, buildChanges(layout.slots, slots, levels, fixtures));
+      reset(data);
+      setNotice('Layout saved');
+      onSaved?.(data);
+    } catch (e) {
+      const body = e?.response?.data;
+      // Field errors come back as { msg }, layout problems as plain strings
+      const detail = body?.errors?.map((err) => err.msg || err).join('; ');
+      setError(detail || body?.message || 'Failed to save the layout');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  if (loading) return <LinearProgress />;
+  if (!layout) return <Alert severity="error">{error}</Alert>;
+
+  const selectedSlots = slots.filter((s) => selected.has(slotKey(s.code)));
+  const selectedFixtures = fixtures.filter((f) => selected.has(fixtureKey(f.uid)));
+  const currentLevel = levels.find((l) => l.number === level) || { number: level };
+  const maxLevels = layout.maxLevels || 10;
+
+  return (
+    <Box>
+      <Box sx={{ display: 'flex', alignItems: 'center', gap: 2, flexWrap: 'wrap', mb: 1 }}>
+        <Tabs value={level} onChange={(e, v) => { setLevel(v); setSelected(new Set()); }} variant="scrollable">
+          {levels.map((l) => (
+            <Tab key={l.number} value={l.number} label={l.name ? `L${l.number} · ${l.name}` : `Level ${l.number}`} />
+          ))}
+        </Tabs>
+        <Button size="small" onClick={addLevel} disabled={levels.length >= maxLevels}>Add level</Button>
+        <TextField size="small" label="Level name" value={currentLevel.name || ''} onChange={(e) => renameLevel(e.target.value)} inputProps={{ maxLength: 40 }} />
+      </Box>
+
+      <Box sx={{ display: 'flex', alignItems: 'center', gap: 1, flexWrap: 'wrap', mb: 1 }}>
+        <TextField select size="small" label="Click to" value={tool} onChange={(e) => setTool(e.target.value)} sx={{ minWidth: 170 }}>
+          <MenuItem value="select">Select and drag</MenuItem>
+          {VEHICLE_TYPES.map((t) => <MenuItem key={t} value={t}>Add {t} slot</MenuItem>)}
+          {layout.fixtureKinds.map((k) => <MenuItem key={k} value={k}>Add {k}</MenuItem>)}
+        </TextField>
+        <TextField select size="small" label="Row type" value={row.type} onChange={(e) => setRow({ ...row, type: e.target.value })} sx={{ minWidth: 110 }}>
+          {VEHICLE_TYPES.map((t) => <MenuItem key={t} value={t}>{t}</MenuItem>)}
+        </TextField>
+        <TextField size="small" type="number" label="Slots" value={row.count} onChange={(e) => setRow({ ...row, count: Math.max(1, Math.min(50, Number(e.target.value) || 1)) })} sx={{ width: 80 }} />
+        <Button size="small" variant="outlined" onClick={addRow}>Add row</Button>
+        {unplaced.length > 0 && (
+          <Button size="small" onClick={placeUnplaced}>Place {unplaced.length} unplaced slot(s)</Button>
+        )}
+      </Box>
+
+      <Box sx={{ display: 'flex', alignItems: 'center', gap: 1, flexWrap: 'wrap', mb: 1, minHeight: 40 }}>
+        {selected.size > 0 ? (
+          <>
+            <Typography variant="body2">{selected.size} selected</Typography>
+            {selectedSlots.length > 0 && (
+              <TextField select size="small" label="Type" value="" onChange={(e) => updateSelected((s) => ({ ...s, type: e.target.value }))} sx={{ minWidth: 100 }}>
+                {VEHICLE_TYPES.map((t) => <MenuItem key={t} value={t}>{t}</MenuItem>)}
+              </TextField>
+            )}
+            <TextField select size="small" label="Move to level" value="" onChange={(e) => moveSelectedToLevel(Number(e.target.value))} sx={{ minWidth: 130 }}>
+              {levels.filter((l) => l.number !== level).map((l) => <MenuItem key={l.number} value={l.number}>Level {l.number}</MenuItem>)}
+            </TextField>
+            {selectedFixtures.length === 1 && selectedFixtures[0].kind === 'ramp' && (
+              <TextField select size="small" label="Ramp to" value={selectedFixtures[0].toLevel || ''} onChange={(e) => updateSelected(null, (f) => ({ ...f, toLevel: Number(e.target.value) }))} sx={{ minWidth: 100 }}>
+                {Array.from({ length: maxLevels }, (_, i) => i + 1).filter((n) => n !== level).map((n) => <MenuItem key={n} value={n}>Level {n}</MenuItem>)}
+              </TextField>
+            )}
+            <Button size="small" onClick={rotateSelected}>Rotate</Button>
+            <Button size="small" color="error" onClick={deleteSelected}>Delete</Button>
+          </>
+        ) : (
+          <Typography variant="body2" color="text.secondary">
+            Click a slot to select it, shift-click to add to the selection, and drag to move.
+          </Typography>
+        )}
+      </Box>
+
+      <Box sx={{ display: 'flex', gap: 1, mb: 1, flexWrap: 'wrap' }}>
+        {VEHICLE_TYPES.map((t) => (
+          <Chip key={t} size="small" label={`${t} · ${levelSlots.filter((s) => s.type === t).length}`} sx={{ bgcolor: TYPE_COLORS[t], color: '#fff' }} />
+        ))}
+        {clashes.size > 0 && <Chip size="small" color="error" label={`${clashes.size} overlapping`} />}
+      </Box>
+
+      <Box sx={{ overflow: 'auto', maxHeight: '60vh', border: 1, borderColor: 'divider', borderRadius: 1, bgcolor: '#fafafa' }}>
+        <svg
+          ref={svgRef}
+          width={extent.width}
+          height={extent.height}
+          onPointerDown={onCanvasPointerDown}
+          onPointerMove={onPointerMove}
+          onPointerUp={onPointerUp}
+          onPointerLeave={onPointerUp}
+          style={{ display: 'block', touchAction: 'none', cursor: tool === 'select' ? 'default' : 'crosshair' }}
+        >
+          <defs>
+            <pattern id="layout-grid" width={SCALE * 2} height={SCALE * 2} patternUnits="userSpaceOnUse">
+              <path d={`M ${SCALE * 2} 0 L 0 0 0 ${SCALE * 2}`} fill="none" stroke="#e0e0e0" strokeWidth="1" />
+            </pattern>
+          </defs>
+          <rect width="100%" height="100%" fill="url(#layout-grid)" />
+
+          {levelFixtures.filter(isPlaced).map((f) => {
+            const box = boxOf(f, footprints);
+            const key = fixtureKey(f.uid);
+            return (
+              <g key={key} onPointerDown={(e) => onItemPointerDown(e, key)} style={{ cursor: 'move' }}>
+                <rect
+                  x={box.minX * SCALE} y={box.minZ * SCALE} width={box.width * SCALE} height={box.depth * SCALE}
+                  fill="#eceff1" stroke={selected.has(key) ? '#000' : clashes.has(key) ? '#d32f2f' : '#90a4ae'}
+                  strokeWidth={selected.has(key) ? 2 : 1} strokeDasharray="4 2"
+                />
+                <text x={f.position.x * SCALE} y={f.position.z * SCALE} fontSize="10" textAnchor="middle" dominantBaseline="middle" fill="#455a64" pointerEvents="none">
+                  {f.label || f.kind}{f.toLevel ? ` → L${f.toLevel}` : ''}
+                </text>
+              </g>
+            );
+          })}
+
+          {levelSlots.filter(isPlaced).map((s) => {
+            const box = boxOf(s, footprints);
+            const key = slotKey(s.code);
+            return (
+              <g key={key} onPointerDown={(e) => onItemPointerDown(e, key)} style={{ cursor: 'move' }}>
+                <title>{`${s.code} · ${s.type}${s.status !== 'available' ? ` · ${s.status}` : ''}`}</title>
+                <rect
+                  x={box.minX * SCALE + 1} y={box.minZ * SCALE + 1} width={box.width * SCALE - 2} height={box.depth * SCALE - 2} rx="2"
+                  fill={TYPE_COLORS[s.type] || TYPE_COLORS.car} fillOpacity={s.status === 'maintenance' ? 0.25 : 0.7}
+                  stroke={selected.has(key) ? '#000' : clashes.has(key) ? '#d32f2f' : 'none'} strokeWidth="2"
+                />
+                {box.width * SCALE >= 20 && (
+                  <text x={s.position.x * SCALE} y={s.position.z * SCALE} fontSize="9" textAnchor="middle" dominantBaseline="middle" fill="#fff" pointerEvents="none">
+                    {s.code.split('-').slice(-1)}
+                  </text>
+                )}
+              </g>
+            );
+          })}
+        </svg>
+      </Box>
+
+      {error && <Alert severity="error" sx={{ mt: 1 }}>{error}</Alert>}
+      {notice && <Alert severity="success" sx={{ mt: 1 }} onClose={() => setNotice('')}>{notice}</Alert>}
+      <Box sx={{ display: 'flex', justifyContent: 'flex-end', alignItems: 'center', gap: 1, mt: 1 }}>
+        <Typography variant="body2" color="text.secondary">{slots.length} slots on {levels.length} level(s)</Typography>
+        <Button onClick={() => reset(layout)} disabled={saving}>Discard changes</Button>
+        <Button variant="contained" onClick={handleSave} disabled={saving || clashes.size > 0}>
+          {saving ? 'Saving…' : 'Save layout'}
+        </Button>
+      </Box>
+    </Box>
+  );
+};
+
+LayoutEditor.propTypes = {
+  lotId: PropTypes.string.isRequired,
+  onSaved: PropTypes.func
+};
+
+LayoutEditor.defaultProps = {
+  onSaved: null
+};
+
+export default LayoutEditor;
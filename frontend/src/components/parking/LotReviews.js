@@ -0,0 +1,198 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { useSelector } from 'react-redux';
+import LoadingSpinner from '../ui/LoadingSpinner';
+import reviewService from '../../services/reviewService';
+
+const Stars = ({ value, size = 'w-4 h-4' }) => (
+  <div className="flex text-yellow-400">
+    {[...Array(5)].map((_, i) => (
+      <svg key={i} className={`${size} ${i < Math.round(value) ? 'fill-current' : 'text-gray-300 fill-current'}`} viewBox="0 0 20 20">
+        <path d="M10 15l-5.878 3.09 1.123-6.545L.489 6.91l6.572-.955L10 0l2.939 5.955 6.572.955-4.756 4.635 1.123 6.545z" />
+      </svg>
+    ))}
+  </div>
+);
+
+// Paginated reviews for a lot with rating summary, owner replies and abuse reporting
+const LotReviews = ({ lotId }) => {
+  const { isAuthenticated, user } = useSelector((state) => state.auth);
+  const [data, setData] = useState(null);
+  const [page, setPage] = useState(1);
+  const [sort, setSort] = useState('recent');
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [replyDrafts, setReplyDrafts] = useState({});
+
+  const canReply = user && ['landowner', 'admin'].includes(user.role);
+
+  const load = useCallback(async () => {
+    if (!lotId) return;
+    setLoading(true);
+    setError('');
+    try {
+      setData(await reviewService.forLot(lotId, { page, limit: 10, sort }));
+    } catch (err) {
+      console.error('Load reviews error:', err);
+      setError('Could not load reviews right now.');
+    } finally {
+      setLoading(false);
+    }
+  }, [lotId, page, sort]);
+
+  useEffect(() => { load(); }, [load]);
+
+  const handleReport = async (review) => {
+    const reason = window.prompt('What is wrong with this review?');
+    if (!reason) return;
+    try {
+      await reviewService.report(review._id, reason);
+      alert('Thanks, the review has been reported.');
+    } catch (err) {
+      alert(err?.response?.data?.message || 'Could not report this review.');
+    }
+  };
+
+  const handleReply = async (review) => {
+    const text = (replyDrafts[review._id] || '').trim();
+    if (!text) return;
+    try {
+      await reviewService.reply(review._id, text);
+      setReplyDrafts(prev => ({ ...prev, [review._id]: '' }));
+      load();
+    } catch (err) {
+      alert(err?.response?.data?.message || 'Could not post the reply.');
+    }
+  };
+
+  if (loading && !data) {
+    return (
+      <div className="text-center py-8">
+        <LoadingSpinner message="Loading reviews..." />
+      </div>
+    );
+  }
+  if (error) {
+    return <p className="text-center py-8 text-red-600">{error}</p>;
+  }
+
+  const { reviews = [], pagination = {}, summary = { average: 0, count: 0, distribution: {} } } = data || {};
+
+  return (
+    <div>
+      <div className="flex flex-col md:flex-row md:items-center md:justify-between mb-6 gap-4">
+        <div className="flex items-center gap-4">
+          <span className="text-4xl font-bold text-gray-900">{summary.count ? summary.average.toFixed(1) : '—'}</span>
+          <div>
+            <Stars value={summary.average} size="w-5 h-5" />
+            <p className="text-sm text-gray-500">{summary.count} review{summary.count === 1 ? '' : 's'}</p>
+          </div>
+        </div>
+        <div className="flex-1 max-w-sm">
+          {[5, 4, 3, 2, 1].map((score) => {
+            const n = summary.distribution?.[score] || 0;
+            const pct = summary.count ? Math.round((n / summary.count) * 100) : 0;
+            return (
+              <div key={score} className="flex items-center text-sm text-gray-600">
+                <span className="w-6">{score}★</span>
+                <div className="flex-1 h-2 bg-gray-200 rounded mx-2">
+                  <div className="h-2 bg-yellow-400 rounded" style={{ width: `${pct}%` }} />
+                </div>
+                <span className="w-8 text-right">{n}</span>
+              </div>
+            );
+          })}
+        </div>
+        <select
+          value={sort}
+          onChange={(e) => { setSort(e.target.value); setPage(1); }}
+          className="px-3 py-2 border border-gray-300 rounded-lg text-sm"
+        >
+          <option value="recent">Most recent</option>
+          <option value="highest">Highest rated</option>
+          <option value="lowest">Lowest rated</option>
+        </select>
+      </div>
+
+      {reviews.length === 0 ? (
+        <div className="text-center py-8">
+          <h4 className="text-sm font-medium text-gray-900">No reviews yet</h4>
+          <p className="mt-1 text-sm text-gray-500">Reviews appear here after customers complete a booking.</p>
+        </div>
+      ) : (
+        <div className="space-y-4">
+          {reviews.map((review) => (
+            <div key={review._id} className="bg-white rounded-lg border border-gray-200 p-5">
+              <div className="flex items-center justify-between mb-2">
+                <div className="flex items-center gap-3">
+                  <span className="font-medium text-gray-900">{review.user?.name || 'Customer'}</span>
+                  <Stars value={review.rating} />
+                </div>
+                <span className="text-xs text-gray-500">{new Date(review.createdAt).toLocaleDateString()}</span>
+              </div>
+              {review.comment && <p className="text-gray-700">{review.comment}</p>}
+              {review.serviceRatings?.length > 0 && (
+                <div className="mt-2 flex flex-wrap gap-2">
+                  {review.serviceRatings.map((sr) => (
+                    <span key={sr._id || sr.service?._id} className="text-xs bg-gray-100 text-gray-700 px-2 py-1 rounded">
+                      {sr.service?.name || 'Service'}: {sr.score}★
+                    </span>
+                  ))}
+                </div>
+              )}
+              {review.reply?.text && (
+                <div className="mt-3 ml-4 pl-3 border-l-2 border-blue-200">
+                  <p className="text-xs font-medium text-blue-700">Response from the owner</p>
+                  <p className="text-sm text-gray-700">{review.reply.text}</p>
+                </div>
+              )}
+              <div className="mt-3 flex items-center gap-4">
+                {isAuthenticated && review.user?._id !== (user?._id || user?.id) && (
+                  <button onClick={() => handleReport(review)} className="text-xs text-gray-500 hover:text-red-600">
+                    Report
+                  </button>
+                )}
+              </div>
+              {canReply && (
+                <div className="mt-3 flex gap-2">
+                  <input
+                    type="text"
+                    value={replyDrafts[review._id] || ''}
+                    onChange={(e) => setReplyDrafts(prev => ({ ...prev, [review._id]: e.target.value }))}
+                    placeholder={review.reply?.text ? 'Update your reply' : 'Reply as the owner'}
+                    maxLength={1000}
+                    className="flex-1 px-3 py-1 border border-gray-300 rounded text-sm"
+                  />
+                  <button onClick={() => handleReply(review)} className="text-sm text-blue-600 hover:text-blue-500 font-medium">
+                    Reply
+                  </button>
+                </div>
+              )}
+            </div>
+          ))}
+        </div>
+      )}
+
+      {pagination.total > 1 && (
+        <div className="mt-6 flex items-center justify-center gap-4">
+          <button
+            onClick={() => setPage(p => Math.max(1, p - 1))}
+            disabled={page <= 1}
+            className="px-3 py-1 border rounded disabled:opacity-50"
+          >
+            Previous
+          </button>
+          <span className="text-sm text-gray-600">Page {pagination.current} of {pagination.total}</span>
+          <button
+            onClick={() => setPage(p => Math.min(pagination.total, p + 1))}
+            disabled={page >= pagination.total}
+            className="px-3 py-1 border rounded disabled:opacity-50"
+          >
+            Next
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default LotReviews;
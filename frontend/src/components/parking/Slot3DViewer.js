@@ -1,98 +1,508 @@
-import React, { useEffect, useState } from 'react';
+import React, { useCallback, useEffect, useMemo, useRef, useState } from 'react';
 import PropTypes from 'prop-types';
 import parkingService from '../../services/parkingService';
 import { isDemoLotId } from '../../services/demoLots';
+import { getSocket } from '../../store/slices/socketSlice';
 import LoadingSpinner from '../ui/LoadingSpinner';
 
 /*
-  Lightweight 3D-esque viewer using CSS transforms (no heavy Three.js yet):
-  Renders levels stacked with perspective. Can be upgraded to Three.js later.
+  Isometric slot viewer drawn on a 2D canvas (no WebGL dependency). Each level's floor plan
+  comes from the slot positions saved in the layout editor; slots are coloured by live status
+  and update from the lot's socket room. Slots without a position are listed under the plan.
 */
+
+// Used when the server does not send footprints (demo lots)
+const DEFAULT_FOOTPRINTS = {
+  car: { width: 2, depth: 4 },
+  van: { width: 2.5, depth: 5 },
+  truck: { width: 3, depth: 8 },
+  bike: { width: 1, depth: 2 },
+  bicycle: { width: 1, depth: 2 }
+};
+const TYPE_LABELS = { car: 'Car', bike: 'Bike', van: 'Van', truck: 'Truck', bicycle: 'Cycle' };
+const STATUS_COLORS = { available: '#22c55e', reserved: '#f59e0b', occupied: '#ef4444', maintenance: '#9ca3af' };
+const STATUS_LABELS = { available: 'Available', reserved: 'Reserved', occupied: 'Occupied', maintenance: 'Maintenance' };
+const FIXTURE_COLORS = { entrance: '#16a34a', exit: '#dc2626', ramp: '#94a3b8', lane: '#e5e7eb', pillar: '#6b7280', elevator: '#6366f1', stairs: '#a855f7' };
+const FIXTURE_HEIGHTS = { pillar: 3, elevator: 2.5, stairs: 1 };
+
+const COS = Math.cos(Math.PI / 6);
+const SIN = Math.sin(Math.PI / 6);
+// Heights in layout units: painted bay, parked vehicle
+const SLAB = 0.15;
+const VEHICLE = 1.3;
+// How long a slot glows after its status changes live
+const FLASH_MS = 1600;
+
+const isPlaced = (item) => Number.isFinite(item.position?.x) && Number.isFinite(item.position?.z);
+
+const sizeOf = (item, footprints) => {
+  if (item.size) return item.size;
+  const base = footprints[item.type] || footprints.car;
+  return [90, 270].includes(item.rotation) ? { width: base.depth, depth: base.width } : base;
+};
+
+const shade = (hex, amount) => {
+  const n = parseInt(hex.slice(1), 16);
+  const channel = (shift) => Math.max(0, Math.min(255, Math.round(((n >> shift) & 255) * amount)));
+  return `rgb(${channel(16)}, ${channel(8)}, ${channel(0)})`;
+};
+
+const demoLayout = () => {
+  // A small demo floor: two car rows facing each other across an aisle, a bike row and the gates
+  const slots = Array.from({ length: 24 }).map((_, idx) => {
+    let status = 'available';
+    if (idx % 7 === 0) status = 'occupied';
+    else if (idx % 5 === 0) status = 'reserved';
+    const row = Math.floor(idx / 8);
+    const col = idx % 8;
+    const bike = row === 2;
+    return {
+      code: `L1-R${String(row + 1).padStart(2, '0')}-C${String(col + 1).padStart(2, '0')}`,
+      type: bike ? 'bike' : 'car',
+      level: 1,
+      status,
+      position: bike ? { x: col + 0.5, y: 0, z: 15 } : { x: col * 2 + 1, y: 0, z: row === 0 ? 2 : 12 }
+    };
+  });
+  return {
+    slots,
+    levels: [{ number: 1 }],
+    fixtures: [
+      { kind: 'entrance', level: 1, position: { x: 18, z: 5 }, size: { width: 2, depth: 3 } },
+      { kind: 'exit', level: 1, position: { x: 18, z: 9 }, size: { width: 2, depth: 3 } }
+    ]
+  };
+};
+
+// Floor-plan geometry for one level, turned to one of four viewing angles and projected
+// isometrically into a canvas of the given size
+const buildScene = (slots, fixtures, footprints, view, width, height) => {
+  const items = [
+    ...fixtures.map(f => ({ kind: 'fixture', item: f, size: sizeOf(f, footprints) })),
+    ...slots.map(s => ({ kind: 'slot', item: s, size: sizeOf(s, footprints) }))
+  ].map(entry => ({
+    ...entry,
+    minX: entry.item.position.x - entry.size.width / 2,
+    maxX: entry.item.position.x + entry.size.width / 2,
+    minZ: entry.item.position.z - entry.size.depth / 2,
+    maxZ: entry.item.position.z + entry.size.depth / 2
+  }));
+  if (!items.length) return null;
+
+  const margin = 1.5;
+  const floor = {
+    minX: Math.min(...items.map(i => i.minX)) - margin,
+    maxX: Math.max(...items.map(i => i.maxX)) + margin,
+    minZ: Math.min(...items.map(i => i.minZ)) - margin,
+    maxZ: Math.max(...items.map(i => i.maxZ)) + margin
+  };
+  const cx = (floor.minX + floor.maxX) / 2;
+  const cz = (floor.minZ + floor.maxZ) / 2;
+
+  // Quarter turns about the floor's centre
+  const turn = ({ x, z }) => {
+    const dx = x - cx;
+    const dz = z - cz;
+    switch (view) {
+      case 1: return { x: -dz, z: dx };
+      case 2: return { x: -dx, z: -dz };
+      case 3: return { x: dz, z: -dx };
+      default: return { x: dx, z: dz };
+    }
+  };
+  const unturn = ({ x, z }) => {
+    switch (view) {
+      case 1: return { x: cx + z, z: cz - x };
+      case 2: return { x: cx - x, z: cz - z };
+      case 3: return { x: cx - z, z: cz + x };
+      default: return { x: cx + x, z: cz + z };
+    }
+  };
+  const turnBox = (box) => {
+    const a = turn({ x: box.minX, z: box.minZ });
+    const b = turn({ x: box.maxX, z: box.maxZ });
+    return { minX: Math.min(a.x, b.x), maxX: Math.max(a.x, b.x), minZ: Math.min(a.z, b.z), maxZ: Math.max(a.z, b.z) };
+  };
+
+  const turnedFloor = turnBox(floor);
+  const tallest = Math.max(VEHICLE, ...fixtures.map(f => FIXTURE_HEIGHTS[f.kind] || 0));
+  // Screen extents of the turned floor: x - z across, x + z down
+  const spanAcross = (turnedFloor.maxX - turnedFloor.minZ) - (turnedFloor.minX - turnedFloor.maxZ);
+  const spanDown = (turnedFloor.maxX + turnedFloor.maxZ) - (turnedFloor.minX + turnedFloor.minZ);
+  const pad = 16;
+  const scale = Math.min((width - pad * 2) / (spanAcross * COS), (height - pad * 2) / (spanDown * SIN + tallest));
+  const originX = width / 2 - ((turnedFloor.maxX - turnedFloor.minZ) + (turnedFloor.minX - turnedFloor.maxZ)) / 2 * COS * scale;
+  const originY = (height - (spanDown * SIN + tallest) * scale) / 2 + tallest * scale - (turnedFloor.minX + turnedFloor.minZ) * SIN * scale;
+
+  const project = (x, y, z) => ({ x: originX + (x - z) * COS * scale, y: originY + (x + z) * SIN * scale - y * scale });
+  // Screen point back onto the horizontal plane at height y, in unturned layout units
+  const unproject = (sx, sy, y = 0) => {
+    const a = (sx - originX) / (COS * scale); // x - z
+    const b = (sy - originY + y * scale) / (SIN * scale); // x + z
+    return unturn({ x: (a + b) / 2, z: (b - a) / 2 });
+  };
+
+  const boxes = items
+    .map(entry => ({ ...entry, turned: turnBox(entry) }))
+    // Painter's order: back (small x + z) to front
+    .sort((p, q) => (p.turned.minX + p.turned.minZ + p.turned.maxX + p.turned.maxZ) - (q.turned.minX + q.turned.minZ + q.turned.maxX + q.turned.maxZ)
+      || (p.kind === 'fixture' ? -1 : 1));
+
+  return { floor: turnedFloor, boxes, scale, project, unproject };
+};
+
+const drawPrism = (ctx, project, box, y0, h, color, { outline, alpha = 1 } = {}) => {
+  const { minX, maxX, minZ, maxZ } = box;
+  const poly = (points, fill) => {
+    ctx.beginPath();
+    points.forEach(([x, y, z], i) => {
+      const p = project(x, y, z);
+      if (i === 0) ctx.moveTo(p.x, p.y); else ctx.lineTo(p.x, p.y);
+    });
+    ctx.closePath();
+    ctx.fillStyle = fill;
+    ctx.fill();
+  };
+  const top = y0 + h;
+  ctx.globalAlpha = alpha;
+  // Only the faces towards the viewer (+x and +z) are visible
+  poly([[maxX, y0, minZ], [maxX, y0, maxZ], [maxX, top, maxZ], [maxX, top, minZ]], shade(color, 0.72));
+  poly([[minX, y0, maxZ], [maxX, y0, maxZ], [maxX, top, maxZ], [minX, top, maxZ]], shade(color, 0.86));
+  poly([[minX, top, minZ], [maxX, top, minZ], [maxX, top, maxZ], [minX, top, maxZ]], color);
+  if (outline) {
+    ctx.strokeStyle = outline.color;
+    ctx.lineWidth = outline.width;
+    ctx.stroke();
+  }
+  ctx.globalAlpha = 1;
+};
+
 const Slot3DViewer = ({ lotId, onSelect }) => {
   const [slots, setSlots] = useState([]);
+  const [plan, setPlan] = useState({ levels: [], fixtures: [], footprints: DEFAULT_FOOTPRINTS });
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
   const [selected, setSelected] = useState(null);
+  const [notice, setNotice] = useState('');
+  const [level, setLevel] = useState(null);
+  const [view, setView] = useState(0);
+  const [hover, setHover] = useState(null);
+  const [width, setWidth] = useState(640);
+  const containerRef = useRef(null);
+  const canvasRef = useRef(null);
+  const sceneRef = useRef(null);
+  const flashesRef = useRef(new Map());
+  const frameRef = useRef(null);
+  const drawRef = useRef(() => {});
+
+  const load = useCallback(async () => {
+    try {
+      if (isDemoLotId(lotId)) {
+        const demo = demoLayout();
+        setSlots(demo.slots);
+        setPlan({ levels: demo.levels, fixtures: demo.fixtures, footprints: DEFAULT_FOOTPRINTS });
+      } else {
+        const data = await parkingService.getSlots(lotId, true);
+        const payload = data.data || {};
+        setSlots(payload.slots || []);
+        setPlan({
+          levels: payload.levels || [],
+          fixtures: payload.fixtures || [],
+          footprints: payload.footprints || DEFAULT_FOOTPRINTS
+        });
+      }
+      setError(null);
+    } catch (e) {
+      console.warn('Slot load failed', e);
+      setError('Failed to load slots');
+    }
+  }, [lotId]);
 
   useEffect(() => {
     (async () => {
       setLoading(true);
-      try {
-        if (isDemoLotId(lotId)) {
-          // Synthesize a small grid of demo slots
-          const demoSlots = Array.from({ length: 24 }).map((_, idx) => {
-            let status = 'available';
-            if (idx % 7 === 0) status = 'occupied';
-            else if (idx % 5 === 0) status = 'reserved';
-            return {
-              code: `L1-R${String(Math.floor(idx / 6) + 1).padStart(2, '0')}-C${String((idx % 6) + 1).padStart(2, '0')}`,
-              type: 'car',
-              level: 1,
-              status,
-              position: { x: (idx % 6) * 2, y: 0, z: Math.floor(idx / 6) * 4 }
-            };
-          });
-          setSlots(demoSlots);
-        } else {
-          const data = await parkingService.getSlots(lotId);
-          setSlots(data.data?.slots || data.data || []);
-        }
-        setError(null);
-      } catch (e) {
-        console.warn('Slot load failed', e);
-        setError('Failed to load slots');
-      }
+      await load();
       setLoading(false);
     })();
-  }, [lotId]);
+  }, [load]);
+
+  // Glow for a moment wherever a slot changes while the user is watching
+  const flash = useCallback((slotCode) => {
+    flashesRef.current.set(slotCode, Date.now());
+    if (frameRef.current) return;
+    const tick = () => {
+      const now = Date.now();
+      flashesRef.current.forEach((at, code) => { if (now - at > FLASH_MS) flashesRef.current.delete(code); });
+      drawRef.current();
+      frameRef.current = flashesRef.current.size ? window.requestAnimationFrame(tick) : null;
+    };
+    frameRef.current = window.requestAnimationFrame(tick);
+  }, []);
+
+  useEffect(() => () => { if (frameRef.current) window.cancelAnimationFrame(frameRef.current); }, []);
+
+  const selectedRef = useRef(null);
+  selectedRef.current = selected;
+
+  const setSlotStatus = useCallback((slotCode, status, patch = {}) => {
+    setSlots(prev => prev.map(s => (s.code === slotCode ? { ...s, ...patch, status } : s)));
+    flash(slotCode);
+    // Someone else got the slot this user was about to book
+    if (status !== 'available' && selectedRef.current === slotCode) {
+      setSelected(null);
+      setNotice(`Slot ${slotCode} was just taken — please pick another`);
+      onSelect?.(null);
+    }
+  }, [flash, onSelect]);
+
+  // Live hold, occupancy and layout updates for this lot (socket slice re-broadcasts them as window events)
+  useEffect(() => {
+    if (!lotId || isDemoLotId(lotId)) return undefined;
+    const socket = getSocket();
+    // Rooms do not survive a reconnect, so join again each time the socket comes back
+    const join = () => parkingService.joinLot(socket, lotId);
+    join();
+    socket?.on('connect', join);
+    const forThisLot = (event) => String(event.detail?.lotId) === String(lotId);
+    const onSlot = (event) => {
+      const { slotCode, status, reason, expiresAt } = event.detail || {};
+      if (!forThisLot(event) || !slotCode || !STATUS_COLORS[status]) return;
+      setSlotStatus(slotCode, status, { holdExpiresAt: reason === 'held' ? expiresAt : null });
+    };
+    const onLayout = (event) => { if (forThisLot(event)) load(); };
+    window.addEventListener('parking-slot-updated', onSlot);
+    window.addEventListener('parking-layout-updated', onLayout);
+    return () => {
+      window.removeEventListener('parking-slot-updated', onSlot);
+      window.removeEventListener('parking-layout-updated', onLayout);
+      socket?.off('connect', join);
+      parkingService.leaveLot(socket, lotId);
+    };
+  }, [lotId, load, setSlotStatus]);
+
+  const levels = useMemo(() => {
+    const named = new Map(plan.levels.map(l => [l.number, l]));
+    slots.forEach(s => { if (!named.has(s.level || 1)) named.set(s.level || 1, { number: s.level || 1 }); });
+    return [...named.values()].sort((a, b) => a.number - b.number);
+  }, [plan.levels, slots]);
+  const currentLevel = level ?? levels[0]?.number ?? 1;
+  const levelSlots = useMemo(() => slots.filter(s => (s.level || 1) === currentLevel), [slots, currentLevel]);
+  const placed = useMemo(() => levelSlots.filter(isPlaced), [levelSlots]);
+  const unplaced = levelSlots.filter(s => !isPlaced(s));
+  const levelFixtures = useMemo(
+    () => plan.fixtures.filter(f => (f.level || 1) === currentLevel && isPlaced(f)),
+    [plan.fixtures, currentLevel]
+  );
+  const height = Math.round(Math.min(560, Math.max(300, width * 0.62)));
+  const hasPlan = placed.length > 0;
+
+  // Fit the canvas to its container (remounted when switching to a level without a plan and back)
+  useEffect(() => {
+    const measure = () => { if (containerRef.current) setWidth(containerRef.current.clientWidth || 640); };
+    measure();
+    if (typeof ResizeObserver === 'undefined') {
+      window.addEventListener('resize', measure);
+      return () => window.removeEventListener('resize', measure);
+    }
+    const observer = new ResizeObserver(measure);
+    if (containerRef.current) observer.observe(containerRef.current);
+    return () => observer.disconnect();
+  }, [loading, hasPlan]);
+
+
+  const draw = useCallback(() => {
+    const canvas = canvasRef.current;
+    if (!canvas) return;
+    const ctx = canvas.getContext('2d');
+    const dpr = window.devicePixelRatio || 1;
+    canvas.width = width * dpr;
+    canvas.height = height * dpr;
+    ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+    ctx.clearRect(0, 0, width, height);
+
+    const scene = buildScene(placed, levelFixtures, plan.footprints, view, width, height);
+    sceneRef.current = scene;
+    if (!scene) return;
+    const { project, floor, boxes, scale } = scene;
+
+    drawPrism(ctx, project, floor, -0.4, 0.4, '#e5e7eb');
+    const now = Date.now();
+
+    boxes.forEach(({ kind, item, turned }) => {
+      if (kind === 'fixture') {
+        const color = FIXTURE_COLORS[item.kind] || '#cbd5e1';
+        drawPrism(ctx, project, turned, 0, FIXTURE_HEIGHTS[item.kind] || SLAB, color, { alpha: item.kind === 'lane' ? 0.6 : 0.9 });
+        const text = item.label || (item.kind === 'entrance' ? 'IN' : item.kind === 'exit' ? 'OUT' : item.kind);
+        const at = project((turned.minX + turned.maxX) / 2, (FIXTURE_HEIGHTS[item.kind] || SLAB) + 0.1, (turned.minZ + turned.maxZ) / 2);
+        ctx.fillStyle = ['entrance', 'exit'].includes(item.kind) ? '#fff' : '#334155';
+        ctx.font = 'bold 10px sans-serif';
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        ctx.fillText(item.toLevel ? `${text} → L${item.toLevel}` : text, at.x, at.y);
+        return;
+      }
+
+      const status = STATUS_COLORS[item.status] ? item.status : 'available';
+      const isSelected = selected === item.code;
+      const isHovered = hover?.slot?.code === item.code;
+      const outline = isSelected ? { color: '#2563eb', width: 3 } : isHovered ? { color: '#111827', width: 1.5 } : { color: 'rgba(255,255,255,0.9)', width: 1 };
+      drawPrism(ctx, project, turned, 0, SLAB, STATUS_COLORS[status], { outline });
+
+      // Taken bays get a vehicle block so filling up reads at a glance
+      if (status === 'occupied' || status === 'reserved') {
+        const insetX = (turned.maxX - turned.minX) * 0.12;
+        const insetZ = (turned.maxZ - turned.minZ) * 0.12;
+        const body = { minX: turned.minX + insetX, maxX: turned.maxX - insetX, minZ: turned.minZ + insetZ, maxZ: turned.maxZ - insetZ };
+        drawPrism(ctx, project, body, SLAB, VEHICLE, status === 'occupied' ? '#64748b' : '#fbbf24', { alpha: status === 'reserved' ? 0.55 : 1 });
+      }
+
+      const flashedAt = flashesRef.current.get(item.code);
+      if (flashedAt) {
+        const t = (now - flashedAt) / FLASH_MS;
+        const centre = project((turned.minX + turned.maxX) / 2, SLAB, (turned.minZ + turned.maxZ) / 2);
+        ctx.beginPath();
+        ctx.arc(centre.x, centre.y, (0.6 + t * 2) * scale, 0, Math.PI * 2);
+        ctx.strokeStyle = `rgba(37, 99, 235, ${Math.max(0, 1 - t)})`;
+        ctx.lineWidth = 2;
+        ctx.stroke();
+      }
+
+      if ((turned.maxX - turned.minX) * scale >= 22 && status === 'available') {
+        const at = project((turned.minX + turned.maxX) / 2, SLAB, (turned.minZ + turned.maxZ) / 2);
+        ctx.fillStyle = '#064e3b';
+        ctx.font = '9px sans-serif';
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        ctx.fillText(item.code.split('-').slice(-1)[0], at.x, at.y);
+      }
+    });
+  }, [placed, levelFixtures, plan.footprints, view, width, height, selected, hover]);
 
-  const grouped = slots.reduce((acc, s) => {
-    acc[s.level] = acc[s.level] || [];
-    acc[s.level].push(s);
-    return acc;
-  }, {});
+  drawRef.current = draw;
+  useEffect(() => { draw(); }, [draw]);
+
+  // Slot under a screen point: try the painted bay first, then the top of a parked vehicle
+  const slotAt = (event) => {
+    const scene = sceneRef.current;
+    if (!scene) return null;
+    const rect = canvasRef.current.getBoundingClientRect();
+    const sx = event.clientX - rect.left;
+    const sy = event.clientY - rect.top;
+    const inside = (point, entry) => point.x >= entry.minX && point.x <= entry.maxX && point.z >= entry.minZ && point.z <= entry.maxZ;
+    const slotsFrontFirst = [...scene.boxes].reverse().filter(b => b.kind === 'slot');
+    const onFloor = scene.unproject(sx, sy, SLAB);
+    const onRoof = scene.unproject(sx, sy, SLAB + VEHICLE);
+    const hit = slotsFrontFirst.find(b => ['occupied', 'reserved'].includes(b.item.status) && inside(onRoof, b))
+      || slotsFrontFirst.find(b => inside(onFloor, b));
+    return hit ? { slot: hit.item, x: sx, y: sy } : null;
+  };
 
   const handleSelect = (slot) => {
+    if (!slot || slot.status !== 'available') return;
     setSelected(slot.code);
-  onSelect?.(slot);
+    setNotice('');
+    onSelect?.(slot);
   };
 
   if (loading) return <div className="py-6"><LoadingSpinner message="Loading slots..." /></div>;
   if (error) return <div className="text-red-600 text-sm">{error}</div>;
   if (!slots.length) return <div className="text-gray-500 text-sm">No slots available</div>;
 
+  const counts = levelSlots.reduce((acc, s) => ({ ...acc, [s.status]: (acc[s.status] || 0) + 1 }), {});
+  const freeOnLevel = (number) => slots.filter(s => (s.level || 1) === number && s.status === 'available').length;
+
   return (
-    <div className="relative" style={{ perspective: '1200px' }}>
-      {Object.keys(grouped).sort((a,b)=>a-b).map(level => {
-        return (
-          <div key={level} className="mb-8">
-            <h4 className="text-sm font-semibold text-gray-700 mb-2">Level {level}</h4>
-            <div className="overflow-auto border rounded-lg p-4 bg-white shadow-sm">
-              <div className="relative" style={{ transformStyle:'preserve-3d' }}>
-                <div className="grid gap-2" style={{ gridTemplateColumns: 'repeat(auto-fill, minmax(60px,1fr))' }}>
-                  {grouped[level].map(slot => {
-                    const isSelected = selected === slot.code;
-                    const disabled = slot.status !== 'available';
-                    const statusBadge = slot.status === 'available' ? 'bg-green-100 text-green-700' : 'bg-gray-200 text-gray-500';
-                    return (
-                      <button
-                        key={slot.code}
-                        disabled={disabled}
-                        onClick={() => handleSelect(slot)}
-                        className={`h-14 flex flex-col items-center justify-center text-xs border rounded-md transition-all ${disabled ? 'bg-gray-100 text-gray-400 cursor-not-allowed' : 'bg-gray-50 hover:bg-blue-50'} ${isSelected ? 'ring-2 ring-blue-500 bg-blue-100' : ''}`}
-                        title={slot.code}
-                      >
-                        <span className="font-medium">{slot.code.split('-').slice(-1)}</span>
-                        <span className={`mt-1 px-1 rounded text-[10px] ${statusBadge}`}>{slot.status}</span>
-                      </button>
-                    );
-                  })}
-                </div>
-              </div>
+    <div>
+      <div className="flex flex-wrap items-center gap-2 mb-3">
+        {levels.map(l => (
+          <button
+            key={l.number}
+            type="button"
+            onClick={() => { setLevel(l.number); setHover(null); }}
+            className={`px-3 py-1 text-sm rounded-full border ${l.number === currentLevel ? 'bg-blue-600 text-white border-blue-600' : 'bg-white text-gray-700 hover:bg-gray-50'}`}
+          >
+            {l.name || `Level ${l.number}`} · {freeOnLevel(l.number)} free
+          </button>
+        ))}
+        <div className="ml-auto flex gap-1">
+          <button type="button" onClick={() => setView(v => (v + 3) % 4)} className="px-2 py-1 text-sm border rounded hover:bg-gray-50" title="Rotate left">⟲</button>
+          <button type="button" onClick={() => setView(v => (v + 1) % 4)} className="px-2 py-1 text-sm border rounded hover:bg-gray-50" title="Rotate right">⟳</button>
+        </div>
+      </div>
+
+      <div className="flex flex-wrap gap-3 mb-2 text-xs text-gray-600">
+        {Object.keys(STATUS_COLORS).map(status => (
+          <span key={status} className="flex items-center gap-1">
+            <span className="inline-block w-3 h-3 rounded-sm" style={{ background: STATUS_COLORS[status] }} />
+            {STATUS_LABELS[status]} ({counts[status] || 0})
+          </span>
+        ))}
+      </div>
+
+      {notice && <div className="mb-2 text-sm text-amber-800 bg-amber-50 border border-amber-200 rounded p-2">{notice}</div>}
+
+      {placed.length > 0 && (
+        <div ref={containerRef} className="relative border rounded-lg bg-white shadow-sm overflow-hidden">
+          <canvas
+            ref={canvasRef}
+            style={{ width: '100%', height, display: 'block', cursor: hover?.slot?.status === 'available' ? 'pointer' : 'default' }}
+            onMouseMove={(e) => setHover(slotAt(e))}
+            onMouseLeave={() => setHover(null)}
+            onClick={(e) => handleSelect(slotAt(e)?.slot)}
+            role="img"
+            aria-label={`Isometric plan of level ${currentLevel}`}
+          />
+          {hover && (
+            <div
+              className="absolute pointer-events-none bg-gray-900 text-white text-xs rounded px-2 py-1 shadow"
+              style={{ left: Math.min(hover.x + 12, width - 150), top: Math.max(hover.y - 44, 4) }}
+            >
+              <div className="font-semibold">{hover.slot.code}</div>
+              <div>{TYPE_LABELS[hover.slot.type] || hover.slot.type} · {STATUS_LABELS[hover.slot.status] || hover.slot.status}</div>
+              {hover.slot.holdExpiresAt && (
+                <div className="text-gray-300">Held until {new Date(hover.slot.holdExpiresAt).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}</div>
+              )}
             </div>
-          </div>
-        );
-      })}
+          )}
+        </div>
+      )}
+
+      {/* Keyboard-friendly alternative to clicking on the plan */}
+      <div className="mt-2 flex items-center gap-2 text-sm">
+        <label htmlFor="slot-picker" className="text-gray-600">Or pick a free slot:</label>
+        <select
+          id="slot-picker"
+          value={selected || ''}
+          onChange={(e) => handleSelect(levelSlots.find(s => s.code === e.target.value))}
+          className="border rounded px-2 py-1"
+        >
+          <option value="">—</option>
+          {levelSlots.filter(s => s.status === 'available').map(s => (
+            <option key={s.code} value={s.code}>{s.code} ({TYPE_LABELS[s.type] || s.type})</option>
+          ))}
+        </select>
+      </div>
+
+      {unplaced.length > 0 && (
+        <div className="grid gap-2 mt-4" style={{ gridTemplateColumns: 'repeat(auto-fill, minmax(60px,1fr))' }}>
+          {unplaced.map(slot => {
+            const disabled = slot.status !== 'available';
+            const statusBadge = slot.status === 'available' ? 'bg-green-100 text-green-700' : 'bg-gray-200 text-gray-500';
+            return (
+              <button
+                key={slot.code}
+                disabled={disabled}
+                onClick={() => handleSelect(slot)}
+                className={`h-14 flex flex-col items-center justify-center text-xs border rounded-md transition-all ${disabled ? 'bg-gray-100 text-gray-400 cursor-not-allowed' : 'bg-gray-50 hover:bg-blue-50'} ${selected === slot.code ? 'ring-2 ring-blue-500 bg-blue-100' : ''}`}
+                title={slot.code}
+              >
+                <span className="font-medium">{slot.code.split('-').slice(-1)}</span>
+                <span className={`mt-1 px-1 rounded text-[10px] ${statusBadge}`}>{slot.status}</span>
+              </button>
+            );
+          })}
+        </div>
+      )}
     </div>
   );
 };
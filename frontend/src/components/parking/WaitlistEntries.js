@@ -0,0 +1,124 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import PropTypes from 'prop-types';
+import waitlistService from '../../services/waitlistService';
+
+const ENTRY_BADGE = {
+  waiting: 'bg-yellow-100 text-yellow-800',
+  offered: 'bg-green-100 text-green-800',
+  booked: 'bg-blue-100 text-blue-800',
+  expired: 'bg-gray-100 text-gray-600',
+  cancelled: 'bg-gray-100 text-gray-600'
+};
+
+const formatDateTime = (value) => new Date(value).toLocaleString([], { month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' });
+const formatTime = (value) => new Date(value).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+
+// The user's open waitlist entries: place in line, offers to take up before they expire, and
+// leaving the line. Refreshes on waitlist-update socket events.
+const WaitlistEntries = ({ onBooked }) => {
+  const [entries, setEntries] = useState([]);
+  const [busyId, setBusyId] = useState(null);
+
+  const load = useCallback(async () => {
+    try {
+      setEntries(await waitlistService.mine({ active: true }));
+    } catch (err) {
+      console.error('Waitlist fetch error:', err);
+    }
+  }, []);
+
+  useEffect(() => { load(); }, [load]);
+
+  useEffect(() => {
+    window.addEventListener('waitlist-update', load);
+    return () => window.removeEventListener('waitlist-update', load);
+  }, [load]);
+
+  const accept = async (entry) => {
+    setBusyId(entry._id);
+    try {
+      await waitlistService.accept(entry._id, { method: 'card', simulate: true });
+      await load();
+      if (onBooked) onBooked();
+    } catch (err) {
+      alert(err?.response?.data?.message || 'Could not book the offered space');
+      await load();
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const leave = async (entry) => {
+    const prompt = entry.status === 'offered'
+      ? 'Decline this space? It will be offered to the next person in line.'
+      : 'Leave this waitlist?';
+    if (!window.confirm(prompt)) return;
+    setBusyId(entry._id);
+    try {
+      await waitlistService.leave(entry._id);
+      await load();
+    } catch (err) {
+      alert(err?.response?.data?.message || 'Could not leave the waitlist');
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  if (entries.length === 0) return null;
+
+  return (
+    <div className="mb-8 bg-white rounded-lg shadow-md p-6">
+      <h2 className="text-lg font-semibold text-gray-900 mb-4">Waitlist</h2>
+      <ul className="divide-y divide-gray-200">
+        {entries.map((entry) => (
+          <li key={entry._id} className="py-3 flex flex-col md:flex-row md:items-center md:justify-between gap-2">
+            <div>
+              <p className="font-medium text-gray-900">{entry.parkingLot?.name || 'Parking lot'}</p>
+              <p className="text-sm text-gray-500">
+                {formatDateTime(entry.startTime)} – {formatDateTime(entry.endTime)} · {entry.vehicle?.licensePlate}
+              </p>
+              {entry.status === 'waiting' && (
+                <p className="text-sm text-gray-600">
+                  Number {entry.position} in line{entry.autoBook ? ' · books automatically with your saved card' : ''}
+                </p>
+              )}
+              {entry.status === 'offered' && (
+                <p className="text-sm text-green-700">
+                  {entry.offer?.slotCode ? `Slot ${entry.offer.slotCode}` : 'A space'} is yours until {formatTime(entry.offer.expiresAt)}
+                </p>
+              )}
+              {entry.autoBookError && <p className="text-sm text-red-600">{entry.autoBookError}</p>}
+            </div>
+            <div className="flex items-center space-x-3">
+              <span className={`inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium ${ENTRY_BADGE[entry.status] || ENTRY_BADGE.expired}`}>
+                {entry.status}
+              </span>
+              {entry.status === 'offered' && (
+                <button
+                  onClick={() => accept(entry)}
+                  disabled={busyId === entry._id}
+                  className="px-3 py-1 text-sm font-medium rounded-md bg-indigo-600 text-white hover:bg-indigo-700 disabled:opacity-50"
+                >
+                  {busyId === entry._id ? 'Booking…' : 'Book it'}
+                </button>
+              )}
+              <button
+                onClick={() => leave(entry)}
+                disabled={busyId === entry._id}
+                className="text-sm text-red-600 hover:text-red-500 disabled:opacity-50"
+              >
+                {entry.status === 'offered' ? 'Decline' : 'Leave'}
+              </button>
+            </div>
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+};
+
+WaitlistEntries.propTypes = {
+  onBooked: PropTypes.func
+};
+
+export default WaitlistEntries;
@@ -0,0 +1,125 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { loadStripe } from '@stripe/stripe-js';
+import waitlistService from '../../services/waitlistService';
+
+const stripePromise = process.env.REACT_APP_STRIPE_PUBLISHABLE_KEY
+  ? loadStripe(process.env.REACT_APP_STRIPE_PUBLISHABLE_KEY)
+  : null;
+
+// The card saved with Stripe for waitlist auto-booking. Card details go straight to Stripe
+// (SetupIntent + card element); the backend only keeps the payment method reference.
+const SavedCard = () => {
+  const [card, setCard] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [adding, setAdding] = useState(false);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState(null);
+  const mountRef = useRef(null);
+  const stripeRef = useRef(null);
+  const elementRef = useRef(null);
+
+  useEffect(() => {
+    waitlistService.getSavedCard()
+      .then(setCard)
+      .catch((err) => console.error('Saved card fetch error:', err))
+      .finally(() => setLoading(false));
+  }, []);
+
+  // Mount Stripe's card field while the form is open
+  useEffect(() => {
+    if (!adding || !stripePromise) return undefined;
+    let element;
+    let cancelled = false;
+    stripePromise.then((stripe) => {
+      if (cancelled || !stripe || !mountRef.current) return;
+      stripeRef.current = stripe;
+      element = stripe.elements().create('card', { hidePostalCode: true });
+      element.mount(mountRef.current);
+      elementRef.current = element;
+    });
+    return () => {
+      cancelled = true;
+      if (element) element.destroy();
+      elementRef.current = null;
+    };
+  }, [adding]);
+
+  const saveCard = async () => {
+    if (!stripeRef.current || !elementRef.current) return;
+    setBusy(true);
+    setError(null);
+    try {
+      const clientSecret = await waitlistService.setupCard();
+      const result = await stripeRef.current.confirmCardSetup(clientSecret, {
+        payment_method: { card: elementRef.current }
+      });
+      if (result.error) {
+        setError(result.error.message);
+        return;
+      }
+      setCard(await waitlistService.saveCard(result.setupIntent.payment_method));
+      setAdding(false);
+    } catch (err) {
+      setError(err?.response?.data?.message || 'Could not save the card');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const removeCard = async () => {
+    if (!window.confirm('Remove this card? Automatic booking is turned off on your waitlists.')) return;
+    setBusy(true);
+    setError(null);
+    try {
+      await waitlistService.removeCard();
+      setCard(null);
+    } catch (err) {
+      setError(err?.response?.data?.message || 'Could not remove the card');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  if (loading) return <p className="text-sm text-gray-500">Loading saved card…</p>;
+
+  return (
+    <div>
+      <h2 className="text-lg font-semibold text-gray-900 mb-1">Saved card</h2>
+      <p className="text-sm text-gray-500 mb-4">Used to book and pay automatically when a space you're waiting for frees up.</p>
+      {card ? (
+        <div className="flex items-center justify-between">
+          <span className="text-gray-900">
+            {card.brand ? card.brand.toUpperCase() : 'Card'} ending {card.last4}
+            {card.expMonth && <span className="text-gray-500"> · expires {String(card.expMonth).padStart(2, '0')}/{card.expYear}</span>}
+          </span>
+          <button onClick={removeCard} disabled={busy} className="text-sm text-red-600 hover:text-red-500 disabled:opacity-50">
+            Remove
+          </button>
+        </div>
+      ) : !stripePromise ? (
+        <p className="text-sm text-gray-500">Card payments are not configured.</p>
+      ) : adding ? (
+        <div>
+          <div ref={mountRef} className="p-3 border border-gray-300 rounded-md bg-white" />
+          <div className="mt-3 flex space-x-3">
+            <button
+              onClick={saveCard}
+              disabled={busy}
+              className="px-3 py-1 text-sm font-medium rounded-md bg-indigo-600 text-white hover:bg-indigo-700 disabled:opacity-50"
+            >
+              {busy ? 'Saving…' : 'Save card'}
+            </button>
+            <button onClick={() => setAdding(false)} className="text-sm text-gray-500 hover:text-gray-700">Cancel</button>
+          </div>
+        </div>
+      ) : (
+        <button onClick={() => setAdding(true)} className="text-sm text-indigo-600 hover:text-indigo-500 font-medium">
+          + Add a card
+        </button>
+      )}
+      {error && <p className="mt-2 text-sm text-red-600">{error}</p>}
+    </div>
+  );
+};
+
+export default SavedCard;
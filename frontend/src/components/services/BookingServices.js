@@ -0,0 +1,172 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import PropTypes from 'prop-types';
+import { useServices } from '../../hooks/useAPI';
+import serviceOrderService from '../../services/serviceOrderService';
+
+const ORDER_BADGE = {
+  requested: 'bg-yellow-100 text-yellow-800',
+  accepted: 'bg-blue-100 text-blue-800',
+  'in-progress': 'bg-indigo-100 text-indigo-800',
+  done: 'bg-green-100 text-green-800',
+  cancelled: 'bg-gray-100 text-gray-600'
+};
+
+const formatTime = (value) => new Date(value).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+
+// Services offered at the lot; mounted only while the picker is open so cards don't each fetch
+const ServicePicker = ({ lotId, busy, onPick, onClose }) => {
+  const { services, loading } = useServices(lotId);
+  const [serviceId, setServiceId] = useState('');
+  const [notes, setNotes] = useState('');
+
+  return (
+    <div className="mt-3 p-3 rounded-md border border-gray-200 bg-gray-50">
+      {loading ? (
+        <p className="text-sm text-gray-500">Loading services…</p>
+      ) : services.length === 0 ? (
+        <p className="text-sm text-gray-500">No services are offered at this parking lot.</p>
+      ) : (
+        <div className="flex flex-col md:flex-row gap-2">
+          <select
+            value={serviceId}
+            onChange={(e) => setServiceId(e.target.value)}
+            className="flex-1 border border-gray-300 rounded-md px-2 py-1 text-sm"
+          >
+            <option value="">Choose a service…</option>
+            {services.map((s) => (
+              <option key={s.id} value={s.id}>
+                {s.name} · ₹{s.price}{s.duration ? ` · ${s.duration} min` : ''}
+              </option>
+            ))}
+          </select>
+          <input
+            value={notes}
+            onChange={(e) => setNotes(e.target.value)}
+            maxLength={500}
+            placeholder="Notes for the provider (optional)"
+            className="flex-1 border border-gray-300 rounded-md px-2 py-1 text-sm"
+          />
+          <button
+            onClick={() => onPick(serviceId, notes)}
+            disabled={!serviceId || busy}
+            className="px-3 py-1 text-sm font-medium rounded-md bg-blue-600 text-white disabled:opacity-50"
+          >
+            {busy ? 'Adding…' : 'Add'}
+          </button>
+        </div>
+      )}
+      <button onClick={onClose} className="mt-2 text-xs text-gray-500 hover:text-gray-700">Close</button>
+    </div>
+  );
+};
+
+ServicePicker.propTypes = {
+  lotId: PropTypes.string.isRequired,
+  busy: PropTypes.bool,
+  onPick: PropTypes.func.isRequired,
+  onClose: PropTypes.func.isRequired
+};
+
+// Add-on services on one booking: their progress, cancelling before work starts and
+// ordering more while the booking is still running
+const BookingServices = ({ booking }) => {
+  const [orders, setOrders] = useState([]);
+  const [picking, setPicking] = useState(false);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState(null);
+  const canOrder = ['pending', 'confirmed', 'active', 'extended'].includes(booking.status);
+
+  const load = useCallback(async () => {
+    try {
+      setOrders(await serviceOrderService.forBooking(booking.id));
+    } catch (err) {
+      console.error('Service orders fetch error:', err);
+    }
+  }, [booking.id]);
+
+  useEffect(() => { load(); }, [load]);
+
+  useEffect(() => {
+    const onUpdate = (event) => {
+      if (event.detail?.bookingId === booking.id) load();
+    };
+    window.addEventListener('service-order-updated', onUpdate);
+    return () => window.removeEventListener('service-order-updated', onUpdate);
+  }, [booking.id, load]);
+
+  const addService = async (serviceId, notes) => {
+    setBusy(true);
+    setError(null);
+    try {
+      await serviceOrderService.create({ bookingId: booking.id, serviceId, notes: notes || undefined });
+      setPicking(false);
+      await load();
+    } catch (err) {
+      setError(err?.response?.data?.errors?.[0]?.msg || err?.response?.data?.message || 'Could not add the service');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const cancelOrder = async (order) => {
+    if (!window.confirm(`Cancel ${order.serviceName}?`)) return;
+    try {
+      await serviceOrderService.updateStatus(order._id, 'cancelled');
+      await load();
+    } catch (err) {
+      alert(err?.response?.data?.message || 'Could not cancel the service');
+    }
+  };
+
+  if (orders.length === 0 && !canOrder) return null;
+
+  return (
+    <div className="mb-4">
+      <div className="flex items-center justify-between mb-2">
+        <p className="text-sm text-gray-500">Service progress</p>
+        {canOrder && !picking && (
+          <button onClick={() => setPicking(true)} className="text-sm text-blue-600 hover:text-blue-500 font-medium">
+            + Add service
+          </button>
+        )}
+      </div>
+      {orders.length > 0 && (
+        <ul className="space-y-1">
+          {orders.map((order) => (
+            <li key={order._id} className="flex items-center justify-between text-sm">
+              <span className="text-gray-900">
+                {order.serviceName}{order.quantity > 1 ? ` ×${order.quantity}` : ''}
+                {order.scheduledStart && (
+                  <span className="text-gray-500"> · {formatTime(order.scheduledStart)}–{formatTime(order.scheduledEnd)}</span>
+                )}
+                {order.provider?.name && <span className="text-gray-500"> · {order.provider.name}</span>}
+              </span>
+              <span className="flex items-center space-x-2">
+                <span className={`inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium ${ORDER_BADGE[order.status] || ORDER_BADGE.cancelled}`}>
+                  {order.status}
+                </span>
+                {['requested', 'accepted'].includes(order.status) && (
+                  <button onClick={() => cancelOrder(order)} className="text-xs text-red-600 hover:text-red-500">Cancel</button>
+                )}
+              </span>
+            </li>
+          ))}
+        </ul>
+      )}
+      {picking && (
+        <ServicePicker lotId={String(booking.lotId)} busy={busy} onPick={addService} onClose={() => setPicking(false)} />
+      )}
+      {error && <p className="mt-2 text-sm text-red-600">{error}</p>}
+    </div>
+  );
+};
+
+BookingServices.propTypes = {
+  booking: PropTypes.shape({
+    id: PropTypes.string.isRequired,
+    lotId: PropTypes.oneOfType([PropTypes.string, PropTypes.object]),
+    status: PropTypes.string.isRequired
+  }).isRequired
+};
+
+export default BookingServices;
@@ -0,0 +1,258 @@
+import React, { useCallback, useEffect, useRef, useState } from 'react';
+import PropTypes from 'prop-types';
+import {
+  Box,
+  Button,
+  Chip,
+  Dialog,
+  DialogActions,
+  DialogContent,
+  DialogTitle,
+  LinearProgress,
+  MenuItem,
+  Paper,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  TextField,
+  Typography
+} from '@mui/material';
+import serviceOrderService from '../../services/serviceOrderService';
+
+const STATUS_FILTERS = [
+  { value: 'active', label: 'Open' },
+  { value: 'requested', label: 'Requested' },
+  { value: 'accepted', label: 'Accepted' },
+  { value: 'in-progress', label: 'In progress' },
+  { value: 'done', label: 'Done' },
+  { value: 'cancelled', label: 'Cancelled' }
+];
+
+// The next step staff can take from each status
+const NEXT_STEP = {
+  requested: { status: 'accepted', label: 'Accept' },
+  accepted: { status: 'in-progress', label: 'Start' },
+  'in-progress': { status: 'done', label: 'Mark done' }
+};
+
+const statusColor = (status) => ({
+  requested: 'warning',
+  accepted: 'info',
+  'in-progress': 'primary',
+  done: 'success',
+  cancelled: 'default'
+}[status] || 'default');
+
+const formatWindow = (order) => {
+  if (!order.scheduledStart) return 'Unscheduled';
+  const start = new Date(order.scheduledStart);
+  const end = new Date(order.scheduledEnd);
+  return `${start.toLocaleDateString()} ${start.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}–${end.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}`;
+};
+
+// Work queue of add-on services for lot staff and providers; refreshes on socket updates
+const ServiceQueue = ({ lots = [], onMessage }) => {
+  const [filters, setFilters] = useState({ lotId: '', status: 'active' });
+  const [queue, setQueue] = useState({ orders: [], counts: {} });
+  const [loading, setLoading] = useState(false);
+  const [busyId, setBusyId] = useState(null);
+  const [assigning, setAssigning] = useState(null);
+  const [provider, setProvider] = useState({ name: '', phone: '' });
+
+  // Kept in a ref so a parent passing a fresh callback each render does not refetch the queue
+  const onMessageRef = useRef(onMessage);
+  onMessageRef.current = onMessage;
+  const notify = useCallback((message, severity = 'success') => onMessageRef.current?.(message, severity), []);
+
+  const load = useCallback(async () => {
+    setLoading(true);
+    try {
+      const params = { status: filters.status };
+      if (filters.lotId) params.lotId = filters.lotId;
+      setQueue(await serviceOrderService.queue(params));
+    } catch (err) {
+      notify(err?.response?.data?.message || 'Failed to load the service queue', 'error');
+    } finally {
+      setLoading(false);
+    }
+  }, [filters, notify]);
+
+  useEffect(() => { load(); }, [load]);
+
+  useEffect(() => {
+    window.addEventListener('service-order-updated', load);
+    return () => window.removeEventListener('service-order-updated', load);
+  }, [load]);
+
+  const changeStatus = async (order, status) => {
+    let note;
+    if (status === 'cancelled') {
+      note = window.prompt(`Reason for cancelling ${order.serviceName}?`);
+      if (note === null) return;
+    }
+    setBusyId(order._id);
+    try {
+      await serviceOrderService.updateStatus(order._id, status, note || undefined);
+      notify(`${order.serviceName}: ${status}`);
+      await load();
+    } catch (err) {
+      notify(err?.response?.data?.message || 'Update failed', 'error');
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const openAssign = (order) => {
+    setAssigning(order);
+    setProvider({ name: order.provider?.name || '', phone: order.provider?.phone || '' });
+  };
+
+  const saveAssign = async () => {
+    try {
+      await serviceOrderService.assign(assigning._id, provider);
+      notify('Provider assigned');
+      setAssigning(null);
+      await load();
+    } catch (err) {
+      notify(err?.response?.data?.errors?.[0]?.msg || err?.response?.data?.message || 'Assignment failed', 'error');
+    }
+  };
+
+  return (
+    <Box>
+      <Box sx={{ display: 'flex', gap: 2, mb: 2, flexWrap: 'wrap', alignItems: 'center' }}>
+        <TextField
+          select
+          size="small"
+          label="Parking lot"
+          value={filters.lotId}
+          onChange={(e) => setFilters({ ...filters, lotId: e.target.value })}
+          sx={{ minWidth: 200 }}
+        >
+          <MenuItem value="">All lots</MenuItem>
+          {lots.map((lot) => <MenuItem key={lot.id} value={lot.id}>{lot.name}</MenuItem>)}
+        </TextField>
+        <TextField
+          select
+          size="small"
+          label="Status"
+          value={filters.status}
+          onChange={(e) => setFilters({ ...filters, status: e.target.value })}
+          sx={{ minWidth: 160 }}
+        >
+          {STATUS_FILTERS.map((s) => <MenuItem key={s.value} value={s.value}>{s.label}</MenuItem>)}
+        </TextField>
+        {Object.entries(queue.counts || {}).map(([status, count]) => (
+          <Chip key={status} label={`${status}: ${count}`} color={statusColor(status)} variant="outlined" size="small" />
+        ))}
+      </Box>
+
+      {loading && <LinearProgress sx={{ mb: 1 }} />}
+
+      <TableContainer component={Paper}>
+        <Table>
+          <TableHead>
+            <TableRow>
+              <TableCell>Service</TableCell>
+              <TableCell>Vehicle</TableCell>
+              <TableCell>Customer</TableCell>
+              <TableCell>Scheduled</TableCell>
+              <TableCell>Provider</TableCell>
+              <TableCell align="center">Status</TableCell>
+              <TableCell align="right">Actions</TableCell>
+            </TableRow>
+          </TableHead>
+          <TableBody>
+            {queue.orders.length === 0 && (
+              <TableRow>
+                <TableCell colSpan={7} align="center">
+                  <Typography color="textSecondary">No service orders</Typography>
+                </TableCell>
+              </TableRow>
+            )}
+            {queue.orders.map((order) => {
+              const next = NEXT_STEP[order.status];
+              const open = Boolean(next);
+              return (
+                <TableRow key={order._id}>
+                  <TableCell>
+                    {order.serviceName}{order.quantity > 1 ? ` ×${order.quantity}` : ''}
+                    <Typography variant="body2" color="textSecondary">
+                      {order.parkingLot?.name} · ₹{order.amount}{order.billing?.mode === 'booking' ? ' (prepaid)' : ''}
+                    </Typography>
+                    {order.notes && <Typography variant="body2" color="textSecondary">“{order.notes}”</Typography>}
+                  </TableCell>
+                  <TableCell>
+                    {order.booking?.vehicle?.licensePlate || '—'}
+                    <Typography variant="body2" color="textSecondary">Spot {order.booking?.bookingDetails?.spotNumber || '—'}</Typography>
+                  </TableCell>
+                  <TableCell>
+                    {order.user?.name || '—'}
+                    <Typography variant="body2" color="textSecondary">{order.user?.phone}</Typography>
+                  </TableCell>
+                  <TableCell>{formatWindow(order)}</TableCell>
+                  <TableCell>
+                    {order.provider?.name || 'Unassigned'}
+                    {order.provider?.phone && <Typography variant="body2" color="textSecondary">{order.provider.phone}</Typography>}
+                  </TableCell>
+                  <TableCell align="center">
+                    <Chip label={order.status} color={statusColor(order.status)} size="small" />
+                  </TableCell>
+                  <TableCell align="right" sx={{ whiteSpace: 'nowrap' }}>
+                    {next && (
+                      <Button size="small" variant="contained" disabled={busyId === order._id} onClick={() => changeStatus(order, next.status)}>
+                        {next.label}
+                      </Button>
+                    )}
+                    {open && (
+                      <Button size="small" sx={{ ml: 1 }} onClick={() => openAssign(order)}>Assign</Button>
+                    )}
+                    {open && (
+                      <Button size="small" color="error" sx={{ ml: 1 }} disabled={busyId === order._id} onClick={() => changeStatus(order, 'cancelled')}>
+                        Cancel
+                      </Button>
+                    )}
+                  </TableCell>
+                </TableRow>
+              );
+            })}
+          </TableBody>
+        </Table>
+      </TableContainer>
+
+      <Dialog open={Boolean(assigning)} onClose={() => setAssigning(null)} maxWidth="xs" fullWidth>
+        <DialogTitle>Assign provider · {assigning?.serviceName}</DialogTitle>
+        <DialogContent>
+          <TextField
+            fullWidth
+            margin="dense"
+            label="Name"
+            value={provider.name}
+            onChange={(e) => setProvider({ ...provider, name: e.target.value })}
+          />
+          <TextField
+            fullWidth
+            margin="dense"
+            label="Phone"
+            value={provider.phone}
+            onChange={(e) => setProvider({ ...provider, phone: e.target.value })}
+          />
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setAssigning(null)}>Close</Button>
+          <Button variant="contained" onClick={saveAssign} disabled={!provider.name.trim()}>Assign</Button>
+        </DialogActions>
+      </Dialog>
+    </Box>
+  );
+};
+
+ServiceQueue.propTypes = {
+  lots: PropTypes.arrayOf(PropTypes.shape({ id: PropTypes.string, name: PropTypes.string })),
+  onMessage: PropTypes.func
+};
+
+export default ServiceQueue;
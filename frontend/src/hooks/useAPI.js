@@ -28,10 +28,21 @@ import { mockAPI } from '../services/mockData';
 // Environment variable to toggle between real API and mock data
 const USE_MOCK_DATA = process.env.REACT_APP_USE_MOCK_DATA === 'true' || !process.env.REACT_APP_API_URL;
 
-export const useParkingLots = (userLocation) => {
+// Day/night hourly rates from a backend lot (night falls back to the day rate)
+const lotHourlyRates = (lot) => ({
+  day: lot.pricing?.hourly ?? 0,
+  night: lot.pricing?.nightHourly ?? lot.pricing?.hourly ?? 0
+});
+
+// Search params for the lots around `userLocation`: { q, amenities, minPrice, maxPrice,
+// minRating, availableOnly, ... } as accepted by GET /api/parking/search
+export const useParkingLots = (userLocation, search = null) => {
   const [parkingLots, setParkingLots] = useState([]);
+  const [facets, setFacets] = useState(null);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
+  // Callers usually pass a fresh object each render; refetch only when its contents change
+  const searchKey = JSON.stringify(search || {});
 
   // Normalize backend lot to map-friendly shape
   const normalizeLot = (lot) => {
@@ -46,9 +57,11 @@ export const useParkingLots = (userLocation) => {
         lng: lot.lng,
         availableSlots: lot.availableSlots ?? lot.capacity?.available ?? 0,
         totalSlots: lot.totalSlots ?? lot.capacity?.total ?? 0,
-        pricePerHour: lot.pricePerHour || { day: lot.pricing?.hourly ?? 0 },
+        pricePerHour: lot.pricePerHour || lotHourlyRates(lot),
         rating: lot.rating ?? lot.rating?.average ?? 0,
-        distanceMeters: lot.distanceMeters || lot.distance
+        distanceMeters: lot.distanceMeters || lot.distance,
+        features: lot.features || lot.amenities || [],
+        openNow: lot.openNow
       };
     }
     // Transform from full ParkingLot document
@@ -60,7 +73,7 @@ export const useParkingLots = (userLocation) => {
       lng: lot.location?.coordinates?.[0],
       availableSlots: lot.capacity?.available ?? 0,
       totalSlots: lot.capacity?.total ?? 0,
-      pricePerHour: { day: lot.pricing?.hourly ?? 0 },
+      pricePerHour: lotHourlyRates(lot),
       rating: lot.rating?.average ?? 0,
       distanceMeters: lot.distance
     };
@@ -74,16 +87,23 @@ export const useParkingLots = (userLocation) => {
       if (USE_MOCK_DATA) {
         response = await mockAPI.getNearbyParkingLots(lat, lng);
       } else {
-        // First try the backend API, fallback to mock if it fails
+        // First try the search API, then /nearby, then mock data
         try {
-          response = await parkingAPI.getNearby(lat, lng);
-        } catch (backendError) {
-          console.warn('Backend API failed, falling back to mock data:', backendError);
-          response = await mockAPI.getNearbyParkingLots(lat, lng);
+          response = await parkingAPI.search({ ...JSON.parse(searchKey), lat, lng, limit: 50 });
+          setFacets(response.data?.data?.facets || null);
+        } catch (searchError) {
+          console.warn('Lot search failed, falling back to nearby lots:', searchError);
+          setFacets(null);
+          try {
+            response = await parkingAPI.getNearby(lat, lng);
+          } catch (backendError) {
+            console.warn('Backend API failed, falling back to mock data:', backendError);
+            response = await mockAPI.getNearbyParkingLots(lat, lng);
+          }
         }
       }
       
-      const raw = response.data?.data || response.data || [];
+      const raw = response.data?.data?.lots || response.data?.data || response.data || [];
       const normalized = Array.isArray(raw) ? raw.map(normalizeLot).filter(Boolean) : [];
       setParkingLots(normalized);
       setError(null);
@@ -99,7 +119,7 @@ export const useParkingLots = (userLocation) => {
     if (userLocation?.lat && userLocation?.lng) {
       fetchNearbyLots(userLocation.lat, userLocation.lng);
     }
-  }, [userLocation]);
+  }, [userLocation, searchKey]);
 
   // Real-time availability updates (via window event dispatched by socket slice)
   useEffect(() => {
@@ -124,7 +144,7 @@ export const useParkingLots = (userLocation) => {
     return Promise.resolve();
   };
 
-  return { parkingLots, loading, error, refetch };
+  return { parkingLots, facets, loading, error, refetch };
 };
 
 export const useParkingLotDetails = (lotId) => {
@@ -143,7 +163,14 @@ export const useParkingLotDetails = (lotId) => {
     const days = ['sunday','monday','tuesday','wednesday','thursday','friday','saturday'];
     const today = days[new Date().getDay()];
     const todayHours = lot.operatingHours?.[today];
-    if (todayHours) {
+    // The backend's summary is in the lot's timezone and includes holidays and special days
+    const hoursToday = data.hours?.today;
+    if (hoursToday) {
+      const note = hoursToday.note ? ` (${hoursToday.note})` : '';
+      if (hoursToday.closed) operatingSummary = `Closed today${note}`;
+      else if (hoursToday.is24Hours) operatingSummary = `Open 24 hours${note}`;
+      else operatingSummary = `Open today ${hoursToday.open} – ${hoursToday.close}${note}`;
+    } else if (todayHours) {
       if (todayHours.is24Hours) operatingSummary = 'Open 24 hours';
       else if (todayHours.open && todayHours.close) operatingSummary = `Open today ${todayHours.open} – ${todayHours.close}`;
     }
@@ -164,9 +191,9 @@ export const useParkingLotDetails = (lotId) => {
   capacity: lot.capacity || { total: lot.totalSlots || 0, available: lot.capacity?.available ?? lot.availableSlots ?? 0 },
   vehicleTypes: lot.vehicleTypes || (lot.slotTypes || []),
   slots: Array.isArray(lot.slots) ? lot.slots : [],
-      pricePerHour: {
-        day: lot.pricing?.hourly ?? lot.pricePerHour?.day ?? 0,
-        night: lot.pricing?.hourly ?? lot.pricePerHour?.night ?? lot.pricing?.hourly ?? 0
+      pricePerHour: lot.pricing ? lotHourlyRates(lot) : {
+        day: lot.pricePerHour?.day ?? 0,
+        night: lot.pricePerHour?.night ?? lot.pricePerHour?.day ?? 0
       },
       rating: lot.rating?.average ?? lot.rating ?? 0,
       operatingHours: operatingSummary,
@@ -271,7 +298,7 @@ export const useBookingPrice = () => {
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState(null);
 
-  const calculatePrice = async (lotId, startTime, endTime, services = []) => {
+  const calculatePrice = async (lotId, startTime, endTime, services = [], { vehicleType, spotNumber } = {}) => {
     try {
       setLoading(true);
       // Demo lots: compute locally using DEMO_LOTS pricing
@@ -299,8 +326,8 @@ export const useBookingPrice = () => {
         setError(null);
         return data;
       }
-      // Backend expects keys: parkingLot, startTime, endTime, services
-      const response = await bookingAPI.calculatePrice({ parkingLot: lotId, startTime, endTime, services });
+      // Backend expects keys: parkingLot, startTime, endTime, services (vehicleType/spotNumber enable the availability check)
+      const response = await bookingAPI.calculatePrice({ parkingLot: lotId, startTime, endTime, services, vehicleType, spotNumber });
       const data = response.data?.data || response.data;
       setPriceData(data);
       setError(null);
@@ -1,10 +1,78 @@
 import React, { useEffect, useState } from 'react';
 import { useSelector } from 'react-redux';
 import parkingService from '../services/parkingService';
+import adminService from '../services/adminService';
 import { useGeolocation } from '../hooks/useGeolocation';
+import AdminUsers from '../components/admin/AdminUsers';
+import AdminLots from '../components/admin/AdminLots';
+import AdminBookings from '../components/admin/AdminBookings';
+import AdminReviews from '../components/admin/AdminReviews';
+import AdminAudit from '../components/admin/AdminAudit';
+
+const TABS = [
+  { key: 'overview', label: 'Overview' },
+  { key: 'users', label: 'Users' },
+  { key: 'lots', label: 'Lots & Verification' },
+  { key: 'bookings', label: 'Bookings' },
+  { key: 'reviews', label: 'Reviews' },
+  { key: 'audit', label: 'Audit log' },
+  { key: 'import', label: 'Import' }
+];
+
+const sum = (counts = {}) => Object.values(counts).reduce((a, b) => a + b, 0);
+
+const StatCard = ({ label, value, hint }) => (
+  <div className="bg-white shadow rounded p-4">
+    <div className="text-sm text-gray-500">{label}</div>
+    <div className="text-2xl font-semibold">{value}</div>
+    {hint && <div className="text-xs text-gray-500 mt-1">{hint}</div>}
+  </div>
+);
+
+const Overview = ({ onOpen }) => {
+  const [stats, setStats] = useState(null);
+  const [err, setErr] = useState('');
+
+  useEffect(() => {
+    adminService.stats()
+      .then(setStats)
+      .catch((e) => setErr(e?.response?.data?.message || 'Failed to load stats'));
+  }, []);
+
+  if (err) return <div className="text-red-600">{err}</div>;
+  if (!stats) return <p className="text-gray-500">Loading…</p>;
+
+  const pendingLots = stats.lots.byVerification.pending || 0;
+  return (
+    <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+      <StatCard
+        label="Users"
+        value={sum(stats.users.byRole)}
+        hint={`${stats.users.byRole.landowner || 0} landowners · ${stats.users.suspended} suspended`}
+      />
+      <StatCard
+        label="Parking lots"
+        value={sum(stats.lots.byStatus)}
+        hint={`${stats.lots.byStatus.active || 0} active · ${stats.lots.byVerification.approved || 0} verified`}
+      />
+      <StatCard
+        label="Bookings"
+        value={sum(stats.bookings.byStatus)}
+        hint={`${stats.bookings.byStatus.active || 0} on site · ${stats.bookings.byStatus.confirmed || 0} upcoming`}
+      />
+      <button onClick={() => onOpen('lots')} className="text-left">
+        <StatCard label="Awaiting verification" value={pendingLots} hint={pendingLots ? 'Review the queue →' : 'Queue is clear'} />
+      </button>
+      <button onClick={() => onOpen('reviews')} className="text-left">
+        <StatCard label="Hidden reviews" value={stats.reviews.hidden} hint="Open moderation →" />
+      </button>
+    </div>
+  );
+};
 
 const AdminDashboard = () => {
   const { user } = useSelector((s) => s.auth);
+  const [tab, setTab] = useState('overview');
   const { location, error: geoError } = useGeolocation();
   const [form, setForm] = useState({ lat: '', lng: '', radiusMeters: 2000, limit: 10, ownerEmail: '' });
   const [loading, setLoading] = useState(false);
@@ -88,7 +156,31 @@ const AdminDashboard = () => {
     <div className="container mx-auto px-4 py-8">
       <h1 className="text-3xl font-bold mb-6">Admin Dashboard</h1>
 
-      <div className="bg-white shadow rounded p-6 mb-8">
+      <div className="flex flex-wrap gap-2 border-b mb-6">
+        {TABS.map((t) => (
+          <button
+            key={t.key}
+            onClick={() => setTab(t.key)}
+            className={`px-4 py-2 -mb-px border-b-2 ${tab === t.key ? 'border-blue-600 text-blue-600 font-medium' : 'border-transparent text-gray-600'}`}
+          >
+            {t.label}
+          </button>
+        ))}
+      </div>
+
+      {tab === 'overview' && <Overview onOpen={setTab} />}
+      {tab !== 'overview' && tab !== 'import' && (
+        <div className="bg-white shadow rounded p-6">
+          {tab === 'users' && <AdminUsers />}
+          {tab === 'lots' && <AdminLots />}
+          {tab === 'bookings' && <AdminBookings />}
+          {tab === 'reviews' && <AdminReviews />}
+          {tab === 'audit' && <AdminAudit />}
+        </div>
+      )}
+
+      {tab === 'import' && (
+      <div className="bg-white shadow rounded p-6">
   <h2 className="text-xl font-semibold mb-4">Import Nearby Parking</h2>
   <p className="text-sm text-gray-500 mb-4">Use Google Places (paid/billed) or OpenStreetMap (free) to import nearby parking lots into your database.</p>
         <form className="grid grid-cols-1 md:grid-cols-2 gap-4" onSubmit={onImport}>
@@ -137,10 +229,7 @@ const AdminDashboard = () => {
           </div>
         )}
       </div>
-
-      <div className="bg-white shadow rounded p-6">
-        <p className="text-gray-600">More admin tools will appear here.</p>
-      </div>
+      )}
     </div>
   );
 };
@@ -30,6 +30,10 @@ const BookingPage = () => {
   const [endDateTime, setEndDateTime] = useState('');
   const [selectedServices, setSelectedServices] = useState([]);
   const [selectedSlot, setSelectedSlot] = useState(null);
+  // Recurrence: '' = one-off booking
+  const [repeatFrequency, setRepeatFrequency] = useState('');
+  const [repeatDays, setRepeatDays] = useState([1, 2, 3, 4, 5]);
+  const [repeatUntil, setRepeatUntil] = useState('');
 
   // Fetch data
   const { parkingLot, loading: lotLoading, error: lotError } = useParkingLotDetails(lotId);
@@ -47,13 +51,18 @@ const BookingPage = () => {
           lotId,
           new Date(startDateTime).toISOString(),
           new Date(endDateTime).toISOString(),
-          selectedServices
+          selectedServices,
+          { vehicleType: slotType, spotNumber: selectedSlot?.code }
         );
       } catch (err) {
         console.warn('Price calculation failed', err);
       }
     })();
-  }, [lotId, startDateTime, endDateTime, selectedServices]);
+  }, [lotId, startDateTime, endDateTime, selectedServices, slotType, selectedSlot]);
+
+  // Availability for the chosen window (only returned by the backend estimate)
+  const windowAvailability = priceData?.availability;
+  const windowUnavailable = windowAvailability && windowAvailability.available === false;
 
   // Initialize default start and end times
   useEffect(() => {
@@ -88,12 +97,29 @@ const BookingPage = () => {
 
   const duration = calculateDuration();
 
+  const WEEKDAY_LABELS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+  const toggleRepeatDay = (day) => {
+    setRepeatDays(prev => (prev.includes(day) ? prev.filter(d => d !== day) : [...prev, day].sort()));
+  };
+  const recurrence = repeatFrequency && repeatUntil
+    ? {
+      frequency: repeatFrequency,
+      days: repeatFrequency === 'custom' ? repeatDays : undefined,
+      // Inclusive end date: run through the end of that day
+      until: new Date(`${repeatUntil}T23:59:59`).toISOString()
+    }
+    : null;
+
   // Handle booking submission
   const handleBooking = () => {
     if (!startDateTime || !endDateTime || !lotId) {
       alert('Please fill in all required fields');
       return;
     }
+    if (repeatFrequency && !repeatUntil) {
+      alert('Please choose when the repeat should end');
+      return;
+    }
 
     const bookingData = {
       parkingLotId: lotId,
@@ -102,7 +128,8 @@ const BookingPage = () => {
       endDateTime: new Date(endDateTime).toISOString(),
       services: selectedServices,
   totalAmount: (priceData?.total || priceData?.pricing?.totalAmount || 0),
-      slotCode: selectedSlot?.code || null
+      slotCode: selectedSlot?.code || null,
+      recurrence
     };
 
     // Navigate to payment page with booking data
@@ -266,6 +293,55 @@ const BookingPage = () => {
                   </p>
                 </div>
               )}
+              <div className="mt-4 grid grid-cols-1 sm:grid-cols-2 gap-4">
+                <div>
+                  <label htmlFor="repeatFrequency" className="block text-sm font-medium text-gray-700 mb-2">Repeat</label>
+                  <select
+                    id="repeatFrequency"
+                    value={repeatFrequency}
+                    onChange={(e) => setRepeatFrequency(e.target.value)}
+                    className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                  >
+                    <option value="">Does not repeat</option>
+                    <option value="daily">Every day</option>
+                    <option value="weekdays">Weekdays (Mon–Fri)</option>
+                    <option value="weekly">Every week</option>
+                    <option value="custom">Custom days</option>
+                  </select>
+                </div>
+                {repeatFrequency && (
+                  <div>
+                    <label htmlFor="repeatUntil" className="block text-sm font-medium text-gray-700 mb-2">Repeat until</label>
+                    <input
+                      id="repeatUntil"
+                      type="date"
+                      value={repeatUntil}
+                      onChange={(e) => setRepeatUntil(e.target.value)}
+                      min={startDateTime.slice(0, 10)}
+                      className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                    />
+                  </div>
+                )}
+              </div>
+              {repeatFrequency === 'custom' && (
+                <div className="mt-3 flex flex-wrap gap-2">
+                  {WEEKDAY_LABELS.map((label, day) => (
+                    <button
+                      key={label}
+                      type="button"
+                      onClick={() => toggleRepeatDay(day)}
+                      className={`px-3 py-1 rounded-full border text-sm ${repeatDays.includes(day) ? 'bg-blue-600 text-white border-blue-600' : 'border-gray-300 text-gray-700'}`}
+                    >
+                      {label}
+                    </button>
+                  ))}
+                </div>
+              )}
+              {recurrence && (
+                <p className="mt-3 text-xs text-gray-500">
+                  Each occurrence is booked and priced separately; the total below is for the first one.
+                </p>
+              )}
             </div>
 
             {/* Services Selection */}
@@ -376,6 +452,28 @@ const BookingPage = () => {
           if (!priceData) {
                     return <div className="text-gray-500 text-center py-2">Select dates to see pricing</div>;
                   }
+                  // Itemised breakdown from the pricing engine (day/night, weekend, daily cap, surge, services, GST)
+                  const lineItems = priceData?.pricing?.lineItems;
+                  if (Array.isArray(lineItems) && lineItems.length > 0) {
+                    return (
+                      <>
+                        {lineItems.map((item, idx) => (
+                          <div key={`${item.type}-${idx}`} className="flex justify-between">
+                            <span className={item.type === 'cap' ? 'text-green-700' : item.type === 'surge' ? 'text-orange-700' : 'text-gray-600'}>
+                              {item.label}{item.type === 'parking' ? ` × ${item.quantity}h @ ₹${item.unitPrice}` : ''}:
+                            </span>
+                            <span className="font-medium">{item.amount < 0 ? '-' : ''}₹{Math.abs(item.amount).toFixed(2)}</span>
+                          </div>
+                        ))}
+                        <div className="border-t border-gray-200 pt-2 mt-2">
+                          <div className="flex justify-between">
+                            <span className="text-lg font-semibold text-gray-900">Total:</span>
+                            <span className="text-lg font-semibold text-gray-900">₹{Number(priceData.pricing.totalAmount || 0).toFixed(2)}</span>
+                          </div>
+                        </div>
+                      </>
+                    );
+                  }
                   return (
                     <>
                       <div className="flex justify-between">
@@ -405,10 +503,18 @@ const BookingPage = () => {
                 })()}
               </div>
 
+              {windowAvailability && (
+                <div className={`mb-4 text-sm rounded p-2 border ${windowUnavailable ? 'text-red-700 bg-red-50 border-red-200' : 'text-green-700 bg-green-50 border-green-200'}`}>
+                  {windowUnavailable
+                    ? (windowAvailability.reason || 'No spots available for the selected time')
+                    : `${windowAvailability.freeSpots} of ${windowAvailability.totalSpots} spots free for this time`}
+                </div>
+              )}
+
               {/* Book Button */}
               <button
                 onClick={handleBooking}
-                disabled={!startDateTime || !endDateTime || !priceData || priceLoading}
+                disabled={!startDateTime || !endDateTime || !priceData || priceLoading || windowUnavailable}
                 className="w-full bg-green-600 text-white py-3 px-4 rounded-lg font-medium hover:bg-green-700 disabled:bg-gray-300 disabled:cursor-not-allowed transition-colors"
               >
                 {priceLoading ? 'Calculating...' : 'Proceed to Payment'}
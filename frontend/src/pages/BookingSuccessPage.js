@@ -1,5 +1,6 @@
-import React, { useEffect } from 'react';
+import React, { useEffect, useState } from 'react';
 import { useLocation, useNavigate } from 'react-router-dom';
+import bookingService from '../services/bookingService';
 
 const BookingSuccessPage = () => {
   const location = useLocation();
@@ -12,6 +13,21 @@ const BookingSuccessPage = () => {
     }
   }, [bookingId, bookingData, navigate]);
 
+  const [qrUrl, setQrUrl] = useState(null);
+  useEffect(() => {
+    if (!bookingId || String(bookingId).startsWith('demo')) return undefined;
+    let objectUrl = null;
+    bookingService.getTicketQr(bookingId, 256)
+      .then((blob) => {
+        objectUrl = window.URL.createObjectURL(blob);
+        setQrUrl(objectUrl);
+      })
+      .catch((err) => console.error('Ticket QR load failed', err));
+    return () => {
+      if (objectUrl) window.URL.revokeObjectURL(objectUrl);
+    };
+  }, [bookingId]);
+
   if (!bookingId || !bookingData) {
     return null;
   }
@@ -174,15 +190,19 @@ const BookingSuccessPage = () => {
               </div>
             )}
 
-            {/* QR Code Placeholder */}
+            {/* Entry QR Code (signed by the server) */}
             <div className="mb-6 text-center">
               <h3 className="text-lg font-semibold text-gray-900 mb-3">Entry QR Code</h3>
               <div className="inline-block bg-white border-2 border-dashed border-gray-300 rounded-lg p-8">
-                <div className="w-32 h-32 bg-gray-100 rounded-lg flex items-center justify-center mx-auto mb-3">
-                  <svg className="w-16 h-16 text-gray-400" fill="none" viewBox="0 0 24 24" stroke="currentColor">
-                    <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 4v1m6 11h2m-6 0h-2v4m0-11v3m0 0h.01M12 12h4.01M12 12h-.01M12 12v4h1m1 0h.01" />
-                  </svg>
-                </div>
+                {qrUrl ? (
+                  <img src={qrUrl} alt="Entry QR code" className="w-40 h-40 mx-auto mb-3" />
+                ) : (
+                  <div className="w-32 h-32 bg-gray-100 rounded-lg flex items-center justify-center mx-auto mb-3">
+                    <svg className="w-16 h-16 text-gray-400" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+                      <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 4v1m6 11h2m-6 0h-2v4m0-11v3m0 0h.01M12 12h4.01M12 12h-.01M12 12v4h1m1 0h.01" />
+                    </svg>
+                  </div>
+                )}
                 <p className="text-sm text-gray-500">Show this QR code at the parking entrance</p>
               </div>
             </div>
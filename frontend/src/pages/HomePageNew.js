@@ -40,8 +40,17 @@ const HomePage = () => {
   // Get user location
   const { location: userLocation, loading: locationLoading, error: locationError } = useGeolocation();
   
-  // Get parking lots
-  const { parkingLots, loading: lotsLoading, error: lotsError, refetch } = useParkingLots(userLocation);
+  // Get parking lots; the submitted query and the filters are applied by the search API
+  const submittedQuery = searchParams.get('search') || '';
+  const lotSearch = React.useMemo(() => ({
+    ...(submittedQuery ? { q: submittedQuery } : {}),
+    minPrice: filters.priceRange[0],
+    maxPrice: filters.priceRange[1],
+    ...(filters.rating ? { minRating: filters.rating } : {}),
+    ...(filters.features.length ? { amenities: filters.features.join(',') } : {}),
+    availableOnly: filters.availabilityOnly
+  }), [submittedQuery, filters]);
+  const { parkingLots, loading: lotsLoading, error: lotsError, refetch } = useParkingLots(userLocation, lotSearch);
 
   // Sample/demo lots to always show alongside nearby results
   const sampleLots = React.useMemo(() => {
@@ -90,8 +99,10 @@ const HomePage = () => {
     return [...parkingLots, ...extras];
   }, [parkingLots, sampleLots]);
 
-  // Filter parking lots based on search and filters
+  // Filter the demo samples the same way (API lots come back already filtered)
   const filteredLots = lotsWithSamples.filter(lot => {
+    if (!String(lot.id).startsWith('demo-')) return true;
+
     // Search query filter
     if (searchQuery && !lot.name.toLowerCase().includes(searchQuery.toLowerCase()) && 
         !lot.address.toLowerCase().includes(searchQuery.toLowerCase())) {
@@ -1,4 +1,4 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useCallback } from 'react';
 import { useSelector, useDispatch } from 'react-redux';
 import {
   Container,
@@ -29,7 +29,9 @@ import {
   LinearProgress,
   Fab,
   Alert,
-  Snackbar
+  Snackbar,
+  Checkbox,
+  Pagination
 } from '@mui/material';
 import {
   Dashboard as DashboardIcon,
@@ -44,66 +46,108 @@ import {
   TrendingUp,
   AttachMoney,
   DirectionsCar,
-  People
+  People,
+  CardMembership as PassIcon,
+  ViewQuilt as LayoutIcon,
+  RoomService as ServiceIcon,
+  Schedule as HoursIcon
 } from '@mui/icons-material';
+import passService from '../services/passService';
+import analyticsService from '../services/analyticsService';
+import bookingService from '../services/bookingService';
+import parkingService from '../services/parkingService';
+import LayoutEditor from '../components/parking/LayoutEditor';
+import HoursEditor from '../components/parking/HoursEditor';
+import ServiceQueue from '../components/services/ServiceQueue';
 
-// Mock API calls - Replace with actual API calls
-const mockAPI = {
-  getLandlordStats: async () => ({
-    totalRevenue: 25000,
-    totalBookings: 150,
-    activeLots: 5,
-    occupancyRate: 78
-  }),
-  getParkingLots: async () => ([
-    {
-      id: '1',
-      name: 'Downtown Plaza Parking',
-      address: 'Main Street, Downtown',
-      capacity: 100,
-      occupied: 78,
-      revenue: 5000,
-      status: 'active'
-    },
-    {
-      id: '2',
-      name: 'Mall Parking Complex',
-      address: 'Shopping Mall, East Side',
-      capacity: 200,
-      occupied: 156,
-      revenue: 8000,
-      status: 'active'
-    },
-    {
-      id: '3',
-      name: 'Airport Parking Zone',
-      address: 'Airport Terminal 2',
-      capacity: 300,
-      occupied: 89,
-      revenue: 12000,
-      status: 'maintenance'
-    }
-  ]),
-  getRecentBookings: async () => ([
-    {
-      id: 'B001',
-      customerName: 'John Doe',
-      lotName: 'Downtown Plaza',
-      checkIn: '2024-08-07 09:00',
-      checkOut: '2024-08-07 17:00',
-      amount: 120,
-      status: 'active'
-    },
-    {
-      id: 'B002',
-      customerName: 'Jane Smith',
-      lotName: 'Mall Parking',
-      checkIn: '2024-08-06 14:00',
-      checkOut: '2024-08-06 18:00',
-      amount: 80,
-      status: 'completed'
-    }
-  ])
+const WEEKDAY_LABELS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+const BOOKING_STATUSES = ['pending', 'confirmed', 'active', 'extended', 'completed', 'cancelled', 'no-show'];
+
+const formatTime = (value) => (value ? new Date(value).toLocaleString([], { dateStyle: 'short', timeStyle: 'short' }) : '—');
+
+const bookingStatusColor = (status) => ({
+  completed: 'success',
+  active: 'primary',
+  extended: 'primary',
+  confirmed: 'info',
+  cancelled: 'default',
+  'no-show': 'error'
+}[status] || 'warning');
+
+const verificationColor = {
+  approved: 'success',
+  pending: 'warning',
+  rejected: 'error',
+  unsubmitted: 'default'
+};
+
+const formatStay = (minutes) => {
+  if (!minutes) return '—';
+  const h = Math.floor(minutes / 60);
+  const m = Math.round(minutes % 60);
+  return h ? `${h}h ${m}m` : `${m}m`;
+};
+
+const TabPanel = ({ children, value, index }) => (
+  <div hidden={value !== index} style={{ paddingTop: 24 }}>
+    {value === index && children}
+  </div>
+);
+
+// Revenue per period as horizontal bars scaled to the best period
+const RevenueBars = ({ data }) => {
+  if (!data?.series?.length) {
+    return <Typography color="textSecondary">No paid bookings in this period</Typography>;
+  }
+  const max = Math.max(...data.series.map(r => r.revenue), 1);
+  return (
+    <Box>
+      {data.series.map((row) => (
+        <Box key={row.period} display="flex" alignItems="center" mb={0.5}>
+          <Typography variant="body2" sx={{ width: 96 }}>{row.period}</Typography>
+          <Box flex={1} mx={1} bgcolor="grey.100" borderRadius={1}>
+            <Box height={12} borderRadius={1} bgcolor="success.main" width={`${(row.revenue / max) * 100}%`} />
+          </Box>
+          <Typography variant="body2" sx={{ width: 96 }} align="right">₹{row.revenue.toLocaleString()}</Typography>
+        </Box>
+      ))}
+      <Typography variant="subtitle2" align="right" mt={1}>Total ₹{data.total.toLocaleString()}</Typography>
+    </Box>
+  );
+};
+
+// Weekday x hour grid shaded by the share of capacity in use
+const OccupancyHeatmap = ({ data }) => {
+  if (!data?.rate) return <Typography color="textSecondary">No occupancy data yet</Typography>;
+  return (
+    <Box sx={{ overflowX: 'auto' }}>
+      <Box display="flex" ml="40px">
+        {[...Array(24)].map((_, hour) => (
+          <Typography key={hour} variant="caption" sx={{ width: 24, textAlign: 'center' }}>
+            {hour % 3 === 0 ? hour : ''}
+          </Typography>
+        ))}
+      </Box>
+      {data.rate.map((hours, weekday) => (
+        <Box key={weekday} display="flex" alignItems="center">
+          <Typography variant="caption" sx={{ width: 40 }}>{WEEKDAY_LABELS[weekday]}</Typography>
+          {hours.map((value, hour) => (
+            <Box
+              key={hour}
+              title={`${WEEKDAY_LABELS[weekday]} ${hour}:00 — ${value}% occupied`}
+              sx={{ width: 22, height: 18, m: '1px', borderRadius: 0.5, bgcolor: 'primary.main', opacity: 0.08 + (value / 100) * 0.92 }}
+            />
+          ))}
+        </Box>
+      ))}
+      {data.peak && (
+        <Typography variant="body2" color="textSecondary" mt={1}>
+          Busiest: {WEEKDAY_LABELS[data.peak.weekday]} at {data.peak.hour}:00 ({data.peak.rate}% of capacity)
+        </Typography>
+      )}
+    </Box>
+  );
 };
 
 const LandlordDashboard = () => {
@@ -112,26 +156,66 @@ const LandlordDashboard = () => {
   const [currentTab, setCurrentTab] = useState(0);
   const [stats, setStats] = useState(null);
   const [parkingLots, setParkingLots] = useState([]);
-  const [recentBookings, setRecentBookings] = useState([]);
+  const [ownerBookings, setOwnerBookings] = useState({ bookings: [], pagination: { current: 1, total: 0 } });
+  const [bookingFilters, setBookingFilters] = useState({ status: '', plate: '', lotId: '' });
+  const [bookingPage, setBookingPage] = useState(1);
+  const [selectedBookings, setSelectedBookings] = useState([]);
+  const [daySheet, setDaySheet] = useState(null);
+  const [bulkBusy, setBulkBusy] = useState(false);
+  const [passHolders, setPassHolders] = useState([]);
+  const [analytics, setAnalytics] = useState(null);
+  const [revenueInterval, setRevenueInterval] = useState('day');
+  const [revenue, setRevenue] = useState(null);
   const [loading, setLoading] = useState(true);
   const [openDialog, setOpenDialog] = useState(false);
   const [selectedLot, setSelectedLot] = useState(null);
+  const [lotForm, setLotForm] = useState({ name: '', capacity: '', hourly: '' });
+  const [layoutLot, setLayoutLot] = useState(null);
+  const [hoursLot, setHoursLot] = useState(null);
   const [snackbar, setSnackbar] = useState({ open: false, message: '', severity: 'info' });
 
-  // Load dashboard data
+  const updateLot = (lotId, changes) => {
+    setParkingLots((lots) => lots.map((lot) => (lot.id === lotId ? { ...lot, ...changes } : lot)));
+  };
+
+  const handleUploadDocuments = async (lot, files) => {
+    if (!files?.length) return;
+    try {
+      const { data } = await parkingService.uploadVerificationDocuments(lot.id, Array.from(files));
+      updateLot(lot.id, { documentCount: data.documents.length, verification: data.verification?.status || lot.verification });
+      setSnackbar({ open: true, message: `${files.length} document(s) uploaded`, severity: 'success' });
+    } catch (error) {
+      setSnackbar({ open: true, message: error?.response?.data?.message || 'Upload failed', severity: 'error' });
+    }
+  };
+
+  const handleSubmitVerification = async (lot) => {
+    try {
+      const { data } = await parkingService.submitVerification(lot.id);
+      updateLot(lot.id, { verification: data.verification.status, rejectionReason: null });
+      setSnackbar({ open: true, message: `${lot.name} submitted for verification`, severity: 'success' });
+    } catch (error) {
+      setSnackbar({ open: true, message: error?.response?.data?.message || 'Submission failed', severity: 'error' });
+    }
+  };
+
+  // Load dashboard data (last 30 days unless the API is told otherwise)
   useEffect(() => {
     const loadDashboardData = async () => {
       try {
         setLoading(true);
-        const [statsData, lotsData, bookingsData] = await Promise.all([
-          mockAPI.getLandlordStats(),
-          mockAPI.getParkingLots(),
-          mockAPI.getRecentBookings()
+        const [summaryData, lotsData, occupancy, stays, cancellations, services] = await Promise.all([
+          analyticsService.summary(),
+          analyticsService.lots(),
+          analyticsService.occupancy(),
+          analyticsService.stays(),
+          analyticsService.cancellations(),
+          analyticsService.services({ limit: 5 })
         ]);
-        
-        setStats(statsData);
-        setParkingLots(lotsData);
-        setRecentBookings(bookingsData);
+
+        setStats(summaryData.summary);
+        setParkingLots(lotsData.lots.map(lot => ({ ...lot, id: lot.lotId })));
+        setAnalytics({ occupancy, stays, cancellations, services: services.services });
       } catch (error) {
         console.error('Error loading dashboard data:', error);
         setSnackbar({
@@ -147,20 +231,123 @@ const LandlordDashboard = () => {
     loadDashboardData();
   }, []);
 
+  useEffect(() => {
+    analyticsService.revenue({ interval: revenueInterval })
+      .then(setRevenue)
+      .catch((error) => console.error('Error loading revenue:', error));
+  }, [revenueInterval]);
+
+  const loadOwnerBookings = useCallback(async () => {
+    try {
+      const params = { page: bookingPage, limit: 20 };
+      Object.entries(bookingFilters).forEach(([key, value]) => { if (value) params[key] = value; });
+      setOwnerBookings(await bookingService.ownerBookings(params));
+      setDaySheet(await bookingService.ownerToday(bookingFilters.lotId ? { lotId: bookingFilters.lotId } : {}));
+    } catch (error) {
+      console.error('Error loading bookings:', error);
+    }
+  }, [bookingFilters, bookingPage]);
+
+  useEffect(() => {
+    loadOwnerBookings();
+    setSelectedBookings([]);
+  }, [loadOwnerBookings]);
+
+  const updateBookingFilter = (key, value) => {
+    setBookingPage(1);
+    setBookingFilters(prev => ({ ...prev, [key]: value }));
+  };
+
+  const toggleBooking = (id) => {
+    setSelectedBookings(prev => (prev.includes(id) ? prev.filter(x => x !== id) : [...prev, id]));
+  };
+
+  // Attendant actions on one or many bookings; partial failures are reported, not fatal
+  const runBulkAction = async (action, ids = selectedBookings) => {
+    if (!ids.length) return;
+    const options = {};
+    if (action === 'cancel') {
+      if (!window.confirm(`Cancel ${ids.length} booking(s) and refund the customers in full?`)) return;
+      options.reason = window.prompt('Reason shown to customers (optional)') || undefined;
+    }
+    try {
+      setBulkBusy(true);
+      const result = await bookingService.ownerBulk(action, ids, options);
+      const failed = result.failed || [];
+      setSnackbar({
+        open: true,
+        message: `${result.succeeded.length} updated${failed.length ? `, ${failed.length} failed: ${failed[0].message}` : ''}`,
+        severity: failed.length ? 'warning' : 'success'
+      });
+    } catch (error) {
+      const failed = error?.response?.data?.data?.failed;
+      setSnackbar({
+        open: true,
+        message: failed?.length ? failed[0].message : (error?.response?.data?.message || 'Bulk action failed'),
+        severity: 'error'
+      });
+    } finally {
+      setBulkBusy(false);
+      setSelectedBookings([]);
+      loadOwnerBookings();
+    }
+  };
+
+  // Pass holders come from the passes API and are listed apart from one-off bookings
+  useEffect(() => {
+    passService.ownerPasses()
+      .then(setPassHolders)
+      .catch((error) => console.error('Error loading pass holders:', error));
+  }, []);
+
+  const passStatusColor = (status) => ({
+    active: 'success',
+    paused: 'warning',
+    past_due: 'error',
+    pending: 'info'
+  }[status] || 'default');
+
   const handleTabChange = (event, newValue) => {
     setCurrentTab(newValue);
   };
 
   const handleAddLot = () => {
     setSelectedLot(null);
+    setLotForm({ name: '', capacity: '', hourly: '' });
     setOpenDialog(true);
   };
 
   const handleEditLot = (lot) => {
     setSelectedLot(lot);
+    setLotForm({ name: lot.name, capacity: lot.capacity, hourly: '' });
     setOpenDialog(true);
   };
 
+  // Send only what changed; the API merges it into the lot
+  const handleSaveLot = async () => {
+    const changes = {};
+    if (lotForm.name && lotForm.name !== selectedLot.name) changes.name = lotForm.name;
+    if (lotForm.capacity && Number(lotForm.capacity) !== selectedLot.capacity) changes.capacity = { total: Number(lotForm.capacity) };
+    if (lotForm.hourly !== '') changes.pricing = { hourly: Number(lotForm.hourly) };
+    if (!Object.keys(changes).length) {
+      setOpenDialog(false);
+      return;
+    }
+    try {
+      const { data } = await parkingService.patchParkingLot(selectedLot.id, changes);
+      updateLot(selectedLot.id, {
+        name: data.lot.name,
+        capacity: data.lot.capacity.total,
+        occupied: data.lot.capacity.total - data.lot.capacity.available
+      });
+      setOpenDialog(false);
+      setSnackbar({ open: true, message: 'Parking lot updated', severity: 'success' });
+    } catch (error) {
+      const res = error?.response?.data;
+      setSnackbar({ open: true, message: res?.errors?.[0]?.msg || res?.message || 'Update failed', severity: 'error' });
+    }
+  };
+
   const handleDeleteLot = async (lotId) => {
     if (window.confirm('Are you sure you want to delete this parking lot?')) {
       try {
@@ -201,12 +388,6 @@ const LandlordDashboard = () => {
     </Card>
   );
 
-  const TabPanel = ({ children, value, index }) => (
-    <div hidden={value !== index} style={{ paddingTop: 24 }}>
-      {value === index && children}
-    </div>
-  );
-
   if (loading) {
     return (
       <Container maxWidth="lg" sx={{ py: 4 }}>
@@ -274,7 +455,9 @@ const LandlordDashboard = () => {
           <Tab icon={<DashboardIcon />} label="Overview" />
           <Tab icon={<ParkingIcon />} label="Parking Lots" />
           <Tab icon={<BookingIcon />} label="Bookings" />
+          <Tab icon={<PassIcon />} label="Pass Holders" />
           <Tab icon={<AnalyticsIcon />} label="Analytics" />
+          <Tab icon={<ServiceIcon />} label="Services" />
         </Tabs>
       </Paper>
 
@@ -290,11 +473,8 @@ const LandlordDashboard = () => {
                 <Typography variant="body2" color="textSecondary">
                   Your parking lots performance overview for the last 30 days.
                 </Typography>
-                {/* Add charts/graphs here */}
-                <Box mt={3} p={3} bgcolor="grey.50" borderRadius={2}>
-                  <Typography align="center" color="textSecondary">
-                    📊 Analytics charts will be displayed here
-                  </Typography>
+                <Box mt={3}>
+                  <RevenueBars data={revenue} />
                 </Box>
               </CardContent>
             </Card>
@@ -317,6 +497,7 @@ const LandlordDashboard = () => {
                   <Button
                     variant="outlined"
                     startIcon={<AnalyticsIcon />}
+                    onClick={() => setCurrentTab(4)}
                     fullWidth
                   >
                     View Full Analytics
@@ -357,6 +538,7 @@ const LandlordDashboard = () => {
                 <TableCell align="center">Occupied</TableCell>
                 <TableCell align="center">Revenue</TableCell>
                 <TableCell align="center">Status</TableCell>
+                <TableCell align="center">Verification</TableCell>
                 <TableCell align="center">Actions</TableCell>
               </TableRow>
             </TableHead>
@@ -375,10 +557,41 @@ const LandlordDashboard = () => {
                       variant="outlined"
                     />
                   </TableCell>
+                  <TableCell align="center">
+                    <Chip
+                      label={lot.verification}
+                      color={verificationColor[lot.verification] || 'default'}
+                      size="small"
+                      title={lot.rejectionReason || ''}
+                    />
+                    {['unsubmitted', 'rejected'].includes(lot.verification) && (
+                      <Box display="flex" gap={1} justifyContent="center" mt={1}>
+                        <Button component="label" size="small">
+                          Upload ({lot.documentCount})
+                          <input
+                            hidden
+                            type="file"
+                            multiple
+                            accept="image/*,application/pdf"
+                            onChange={(e) => { handleUploadDocuments(lot, e.target.files); e.target.value = ''; }}
+                          />
+                        </Button>
+                        <Button size="small" disabled={!lot.documentCount} onClick={() => handleSubmitVerification(lot)}>
+                          Submit
+                        </Button>
+                      </Box>
+                    )}
+                  </TableCell>
                   <TableCell align="center">
                     <IconButton onClick={() => handleEditLot(lot)} size="small">
                       <EditIcon />
                     </IconButton>
+                    <IconButton onClick={() => setLayoutLot(lot)} size="small" title="Edit slot layout">
+                      <LayoutIcon />
+                    </IconButton>
+                    <IconButton onClick={() => setHoursLot(lot)} size="small" title="Opening hours and holidays">
+                      <HoursIcon />
+                    </IconButton>
                     <IconButton size="small">
                       <ViewIcon />
                     </IconButton>
@@ -398,15 +611,112 @@ const LandlordDashboard = () => {
       </TabPanel>
 
       <TabPanel value={currentTab} index={2}>
-        <Typography variant="h5" gutterBottom>Recent Bookings</Typography>
-        
+        {daySheet && (
+          <Card sx={{ mb: 3 }}>
+            <CardContent>
+              <Box display="flex" justifyContent="space-between" alignItems="center" mb={2}>
+                <Typography variant="h6">Today ({daySheet.date})</Typography>
+                <Box display="flex" gap={1}>
+                  <Chip label={`${daySheet.counts.expected} expected`} color="info" variant="outlined" />
+                  <Chip label={`${daySheet.counts.onSite} on site`} color="primary" variant="outlined" />
+                  {daySheet.counts.overdue > 0 && (
+                    <Chip label={`${daySheet.counts.overdue} overdue`} color="error" variant="outlined" />
+                  )}
+                </Box>
+              </Box>
+              <Grid container spacing={2}>
+                <Grid item xs={12} md={6}>
+                  <Typography variant="subtitle1" gutterBottom>Arrivals</Typography>
+                  {daySheet.arrivals.length === 0 && <Typography color="textSecondary">No arrivals today</Typography>}
+                  {daySheet.arrivals.map((b) => (
+                    <Box key={b.id} display="flex" justifyContent="space-between" alignItems="center" py={0.5}>
+                      <Typography variant="body2">
+                        {formatTime(b.startTime)} · {b.vehicle?.licensePlate} · {b.customer?.name || '—'}
+                      </Typography>
+                      {b.status === 'confirmed' ? (
+                        <Box>
+                          <Button size="small" disabled={bulkBusy} onClick={() => runBulkAction('check-in', [b.id])}>Check in</Button>
+                          <Button size="small" color="error" disabled={bulkBusy} onClick={() => runBulkAction('no-show', [b.id])}>No-show</Button>
+                        </Box>
+                      ) : (
+                        <Chip size="small" label={b.status} color={bookingStatusColor(b.status)} variant="outlined" />
+                      )}
+                    </Box>
+                  ))}
+                </Grid>
+                <Grid item xs={12} md={6}>
+                  <Typography variant="subtitle1" gutterBottom>Departures</Typography>
+                  {daySheet.departures.length === 0 && <Typography color="textSecondary">No departures today</Typography>}
+                  {daySheet.departures.map((b) => (
+                    <Box key={b.id} display="flex" justifyContent="space-between" alignItems="center" py={0.5}>
+                      <Typography variant="body2">
+                        {formatTime(b.endTime)} · {b.vehicle?.licensePlate} · {b.slotNumber || 'Any slot'}
+                      </Typography>
+                      {['active', 'extended'].includes(b.status) && b.entryTime ? (
+                        <Button size="small" disabled={bulkBusy} onClick={() => runBulkAction('complete', [b.id])}>Check out</Button>
+                      ) : (
+                        <Chip size="small" label={b.status} color={bookingStatusColor(b.status)} variant="outlined" />
+                      )}
+                    </Box>
+                  ))}
+                </Grid>
+              </Grid>
+            </CardContent>
+          </Card>
+        )}
+
+        <Box display="flex" justifyContent="space-between" alignItems="center" flexWrap="wrap" gap={2} mb={2}>
+          <Typography variant="h5">Bookings</Typography>
+          <Box display="flex" gap={2} flexWrap="wrap">
+            <TextField
+              select
+              size="small"
+              label="Lot"
+              value={bookingFilters.lotId}
+              onChange={(e) => updateBookingFilter('lotId', e.target.value)}
+              sx={{ minWidth: 160 }}
+            >
+              <MenuItem value="">All lots</MenuItem>
+              {parkingLots.map((lot) => <MenuItem key={lot.id} value={lot.id}>{lot.name}</MenuItem>)}
+            </TextField>
+            <TextField
+              select
+              size="small"
+              label="Status"
+              value={bookingFilters.status}
+              onChange={(e) => updateBookingFilter('status', e.target.value)}
+              sx={{ minWidth: 140 }}
+            >
+              <MenuItem value="">Any status</MenuItem>
+              {BOOKING_STATUSES.map((status) => <MenuItem key={status} value={status}>{status}</MenuItem>)}
+            </TextField>
+            <TextField
+              size="small"
+              label="Plate"
+              value={bookingFilters.plate}
+              onChange={(e) => updateBookingFilter('plate', e.target.value)}
+            />
+          </Box>
+        </Box>
+
+        {selectedBookings.length > 0 && (
+          <Box display="flex" alignItems="center" gap={1} mb={2}>
+            <Typography variant="body2">{selectedBookings.length} selected</Typography>
+            <Button size="small" variant="outlined" disabled={bulkBusy} onClick={() => runBulkAction('check-in')}>Check in</Button>
+            <Button size="small" variant="outlined" disabled={bulkBusy} onClick={() => runBulkAction('complete')}>Complete</Button>
+            <Button size="small" variant="outlined" disabled={bulkBusy} onClick={() => runBulkAction('no-show')}>Mark no-show</Button>
+            <Button size="small" variant="outlined" color="error" disabled={bulkBusy} onClick={() => runBulkAction('cancel')}>Cancel &amp; refund</Button>
+          </Box>
+        )}
+
         <TableContainer component={Paper}>
           <Table>
             <TableHead>
               <TableRow>
-                <TableCell>Booking ID</TableCell>
+                <TableCell padding="checkbox" />
                 <TableCell>Customer</TableCell>
                 <TableCell>Parking Lot</TableCell>
+                <TableCell>Vehicle</TableCell>
                 <TableCell>Check In</TableCell>
                 <TableCell>Check Out</TableCell>
                 <TableCell align="center">Amount</TableCell>
@@ -414,18 +724,37 @@ const LandlordDashboard = () => {
               </TableRow>
             </TableHead>
             <TableBody>
-              {recentBookings.map((booking) => (
-                <TableRow key={booking.id}>
-                  <TableCell>{booking.id}</TableCell>
-                  <TableCell>{booking.customerName}</TableCell>
+              {ownerBookings.bookings.length === 0 && (
+                <TableRow>
+                  <TableCell colSpan={8} align="center">
+                    <Typography color="textSecondary">No bookings match these filters</Typography>
+                  </TableCell>
+                </TableRow>
+              )}
+              {ownerBookings.bookings.map((booking) => (
+                <TableRow key={booking.id} selected={selectedBookings.includes(booking.id)}>
+                  <TableCell padding="checkbox">
+                    <Checkbox
+                      checked={selectedBookings.includes(booking.id)}
+                      onChange={() => toggleBooking(booking.id)}
+                    />
+                  </TableCell>
+                  <TableCell>
+                    {booking.customer?.name || '—'}
+                    <Typography variant="body2" color="textSecondary">{booking.customer?.phone || booking.customer?.email}</Typography>
+                  </TableCell>
                   <TableCell>{booking.lotName}</TableCell>
-                  <TableCell>{booking.checkIn}</TableCell>
-                  <TableCell>{booking.checkOut}</TableCell>
-                  <TableCell align="center">₹{booking.amount}</TableCell>
+                  <TableCell>
+                    {booking.vehicle?.licensePlate}
+                    <Typography variant="body2" color="textSecondary">{booking.slotNumber || 'Any slot'}</Typography>
+                  </TableCell>
+                  <TableCell>{formatTime(booking.entryTime || booking.startTime)}</TableCell>
+                  <TableCell>{formatTime(booking.exitTime || booking.endTime)}</TableCell>
+                  <TableCell align="center">₹{booking.totalAmount}</TableCell>
                   <TableCell align="center">
                     <Chip
                       label={booking.status}
-                      color={booking.status === 'completed' ? 'success' : 'info'}
+                      color={bookingStatusColor(booking.status)}
                       variant="outlined"
                     />
                   </TableCell>
@@ -434,31 +763,204 @@ const LandlordDashboard = () => {
             </TableBody>
           </Table>
         </TableContainer>
+        {ownerBookings.pagination.total > 1 && (
+          <Box display="flex" justifyContent="center" mt={2}>
+            <Pagination
+              count={ownerBookings.pagination.total}
+              page={bookingPage}
+              onChange={(e, page) => setBookingPage(page)}
+            />
+          </Box>
+        )}
       </TabPanel>
 
       <TabPanel value={currentTab} index={3}>
+        <Typography variant="h5" gutterBottom>Pass Holders</Typography>
+
+        <TableContainer component={Paper}>
+          <Table>
+            <TableHead>
+              <TableRow>
+                <TableCell>Holder</TableCell>
+                <TableCell>Parking Lot</TableCell>
+                <TableCell>Plan</TableCell>
+                <TableCell>Spot</TableCell>
+                <TableCell>Vehicle</TableCell>
+                <TableCell>Valid Until</TableCell>
+                <TableCell align="center">Price</TableCell>
+                <TableCell align="center">Status</TableCell>
+              </TableRow>
+            </TableHead>
+            <TableBody>
+              {passHolders.length === 0 && (
+                <TableRow>
+                  <TableCell colSpan={8} align="center">
+                    <Typography color="textSecondary">No pass holders yet</Typography>
+                  </TableCell>
+                </TableRow>
+              )}
+              {passHolders.map((pass) => (
+                <TableRow key={pass._id}>
+                  <TableCell>
+                    {pass.user?.name || '—'}
+                    <Typography variant="body2" color="textSecondary">{pass.user?.email}</Typography>
+                  </TableCell>
+                  <TableCell>{pass.parkingLot?.name}</TableCell>
+                  <TableCell sx={{ textTransform: 'capitalize' }}>{pass.plan}</TableCell>
+                  <TableCell>{pass.spotType === 'reserved' ? pass.spotNumber : 'Floating'}</TableCell>
+                  <TableCell>{pass.vehicle?.licensePlate}</TableCell>
+                  <TableCell>
+                    {pass.currentPeriod?.end ? new Date(pass.currentPeriod.end).toLocaleDateString() : '—'}
+                    {pass.cancelAtPeriodEnd && (
+                      <Typography variant="body2" color="textSecondary">Ends after this period</Typography>
+                    )}
+                  </TableCell>
+                  <TableCell align="center">₹{pass.price?.total}/{pass.plan === 'weekly' ? 'wk' : 'mo'}</TableCell>
+                  <TableCell align="center">
+                    <Chip
+                      label={pass.presence?.inside ? `${pass.status} · inside` : pass.status}
+                      color={passStatusColor(pass.status)}
+                      variant="outlined"
+                    />
+                  </TableCell>
+                </TableRow>
+              ))}
+            </TableBody>
+          </Table>
+        </TableContainer>
+      </TabPanel>
+
+      <TabPanel value={currentTab} index={4}>
         <Typography variant="h5" gutterBottom>Analytics & Reports</Typography>
+        <Typography variant="body2" color="textSecondary" gutterBottom>
+          Last 30 days across your lots.
+        </Typography>
         <Grid container spacing={3}>
           <Grid item xs={12}>
             <Card>
               <CardContent>
-                <Typography variant="h6" gutterBottom>
-                  Revenue Analytics
-                </Typography>
-                <Box mt={3} p={4} bgcolor="grey.50" borderRadius={2} textAlign="center">
-                  <Typography color="textSecondary">
-                    📈 Detailed analytics charts and reports will be displayed here
-                  </Typography>
-                  <Typography variant="body2" color="textSecondary" mt={1}>
-                    Including revenue trends, occupancy rates, peak hours, and more
-                  </Typography>
+                <Box display="flex" justifyContent="space-between" alignItems="center" mb={2}>
+                  <Typography variant="h6">Revenue</Typography>
+                  <TextField
+                    select
+                    size="small"
+                    value={revenueInterval}
+                    onChange={(e) => setRevenueInterval(e.target.value)}
+                  >
+                    <MenuItem value="day">Daily</MenuItem>
+                    <MenuItem value="week">Weekly</MenuItem>
+                    <MenuItem value="month">Monthly</MenuItem>
+                  </TextField>
                 </Box>
+                <RevenueBars data={revenue} />
+              </CardContent>
+            </Card>
+          </Grid>
+
+          <Grid item xs={12} sm={4}>
+            <StatCard
+              title="Average Stay"
+              value={formatStay(analytics?.stays?.averageMinutes)}
+              icon={<DirectionsCar />}
+              color="info"
+            />
+          </Grid>
+          <Grid item xs={12} sm={4}>
+            <StatCard
+              title="Cancellation Rate"
+              value={`${analytics?.cancellations?.cancellationRate ?? 0}%`}
+              icon={<People />}
+              color="error"
+            />
+          </Grid>
+          <Grid item xs={12} sm={4}>
+            <StatCard
+              title="No-show Rate"
+              value={`${analytics?.cancellations?.noShowRate ?? 0}%`}
+              icon={<People />}
+              color="warning"
+            />
+          </Grid>
+
+          <Grid item xs={12}>
+            <Card>
+              <CardContent>
+                <Typography variant="h6" gutterBottom>Occupancy by Hour</Typography>
+                <OccupancyHeatmap data={analytics?.occupancy} />
+              </CardContent>
+            </Card>
+          </Grid>
+
+          <Grid item xs={12} md={5}>
+            <Card sx={{ height: '100%' }}>
+              <CardContent>
+                <Typography variant="h6" gutterBottom>Top Services</Typography>
+                {!analytics?.services?.length ? (
+                  <Typography color="textSecondary">No services sold in this period</Typography>
+                ) : (
+                  <Table size="small">
+                    <TableHead>
+                      <TableRow>
+                        <TableCell>Service</TableCell>
+                        <TableCell align="center">Sold</TableCell>
+                        <TableCell align="right">Revenue</TableCell>
+                      </TableRow>
+                    </TableHead>
+                    <TableBody>
+                      {analytics.services.map((service) => (
+                        <TableRow key={service.serviceId || service.name}>
+                          <TableCell>{service.name}</TableCell>
+                          <TableCell align="center">{service.quantity}</TableCell>
+                          <TableCell align="right">₹{service.revenue.toLocaleString()}</TableCell>
+                        </TableRow>
+                      ))}
+                    </TableBody>
+                  </Table>
+                )}
+              </CardContent>
+            </Card>
+          </Grid>
+
+          <Grid item xs={12} md={7}>
+            <Card sx={{ height: '100%' }}>
+              <CardContent>
+                <Typography variant="h6" gutterBottom>Lot Comparison</Typography>
+                <Table size="small">
+                  <TableHead>
+                    <TableRow>
+                      <TableCell>Lot</TableCell>
+                      <TableCell align="center">Bookings</TableCell>
+                      <TableCell align="center">Avg Stay</TableCell>
+                      <TableCell align="center">Cancelled</TableCell>
+                      <TableCell align="right">Revenue</TableCell>
+                    </TableRow>
+                  </TableHead>
+                  <TableBody>
+                    {parkingLots.map((lot) => (
+                      <TableRow key={lot.id}>
+                        <TableCell>{lot.name}</TableCell>
+                        <TableCell align="center">{lot.bookings}</TableCell>
+                        <TableCell align="center">{formatStay(lot.averageStayMinutes)}</TableCell>
+                        <TableCell align="center">{lot.cancellationRate}%</TableCell>
+                        <TableCell align="right">₹{lot.revenue.toLocaleString()}</TableCell>
+                      </TableRow>
+                    ))}
+                  </TableBody>
+                </Table>
               </CardContent>
             </Card>
           </Grid>
         </Grid>
       </TabPanel>
 
+      <TabPanel value={currentTab} index={5}>
+        <Typography variant="h5" gutterBottom>Service Queue</Typography>
+        <ServiceQueue
+          lots={parkingLots}
+          onMessage={(message, severity) => setSnackbar({ open: true, message, severity })}
+        />
+      </TabPanel>
+
       {/* Floating Action Button */}
       <Fab
         color="primary"
@@ -481,7 +983,8 @@ const LandlordDashboard = () => {
                 <TextField
                   fullWidth
                   label="Parking Lot Name"
-                  defaultValue={selectedLot?.name}
+                  value={lotForm.name}
+                  onChange={(e) => setLotForm({ ...lotForm, name: e.target.value })}
                   required
                 />
               </Grid>
@@ -490,6 +993,7 @@ const LandlordDashboard = () => {
                   fullWidth
                   label="Address"
                   defaultValue={selectedLot?.address}
+                  InputProps={{ readOnly: Boolean(selectedLot) }}
                   multiline
                   rows={3}
                   required
@@ -500,7 +1004,8 @@ const LandlordDashboard = () => {
                   fullWidth
                   label="Total Capacity"
                   type="number"
-                  defaultValue={selectedLot?.capacity}
+                  value={lotForm.capacity}
+                  onChange={(e) => setLotForm({ ...lotForm, capacity: e.target.value })}
                   required
                 />
               </Grid>
@@ -509,7 +1014,10 @@ const LandlordDashboard = () => {
                   fullWidth
                   label="Hourly Rate (₹)"
                   type="number"
-                  required
+                  value={lotForm.hourly}
+                  onChange={(e) => setLotForm({ ...lotForm, hourly: e.target.value })}
+                  helperText={selectedLot ? 'Leave empty to keep the current rate' : undefined}
+                  required={!selectedLot}
                 />
               </Grid>
             </Grid>
@@ -517,12 +1025,44 @@ const LandlordDashboard = () => {
         </DialogContent>
         <DialogActions>
           <Button onClick={() => setOpenDialog(false)}>Cancel</Button>
-          <Button variant="contained">
+          <Button variant="contained" onClick={selectedLot ? handleSaveLot : undefined}>
             {selectedLot ? 'Update' : 'Add'} Parking Lot
           </Button>
         </DialogActions>
       </Dialog>
 
+      {/* Slot layout editor */}
+      <Dialog open={Boolean(layoutLot)} onClose={() => setLayoutLot(null)} maxWidth="lg" fullWidth>
+        <DialogTitle>Slot layout · {layoutLot?.name}</DialogTitle>
+        <DialogContent>
+          {layoutLot && (
+            <LayoutEditor
+              lotId={layoutLot.id}
+              onSaved={() => setSnackbar({ open: true, message: 'Layout saved', severity: 'success' })}
+            />
+          )}
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setLayoutLot(null)}>Close</Button>
+        </DialogActions>
+      </Dialog>
+
+      {/* Opening hours, holidays and special days */}
+      <Dialog open={Boolean(hoursLot)} onClose={() => setHoursLot(null)} maxWidth="md" fullWidth>
+        <DialogTitle>Opening hours · {hoursLot?.name}</DialogTitle>
+        <DialogContent>
+          {hoursLot && (
+            <HoursEditor
+              lotId={hoursLot.id}
+              onSaved={(message) => setSnackbar({ open: true, message, severity: 'success' })}
+            />
+          )}
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setHoursLot(null)}>Close</Button>
+        </DialogActions>
+      </Dialog>
+
       {/* Snackbar for notifications */}
       <Snackbar
         open={snackbar.open}
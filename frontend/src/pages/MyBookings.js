@@ -4,6 +4,9 @@ import { Link, useNavigate, useLocation } from 'react-router-dom';
 import { useBookings } from '../hooks/useAPI';
 import LoadingSpinner from '../components/ui/LoadingSpinner';
 import bookingService from '../services/bookingService';
+import reviewService from '../services/reviewService';
+import BookingServices from '../components/services/BookingServices';
+import WaitlistEntries from '../components/parking/WaitlistEntries';
 
 const MyBookings = () => {
   const { isAuthenticated } = useSelector((state) => state.auth);
@@ -30,16 +33,50 @@ const MyBookings = () => {
     
   }, [isAuthenticated, navigate]);
 
+  // Refresh when the server pushes a change to one of this user's bookings
+  useEffect(() => {
+    const events = ['booking-status-update', 'booking-payment-update', 'booking-payment-refunded', 'waitlist-update'];
+    events.forEach(name => window.addEventListener(name, refetch));
+    return () => events.forEach(name => window.removeEventListener(name, refetch));
+  }, [refetch]);
+
   const handleExtendBooking = () => alert('Extension API not implemented yet');
 
   const [cancellingId, setCancellingId] = useState(null);
 
+  // Confirmation text showing the exact refund under the lot's cancellation policy
+  const refundConfirmMessage = (quote) => {
+    if (!quote) return 'Are you sure you want to cancel this booking and refund the payment if eligible?';
+    const lines = [`Cancellation policy: ${quote.policy?.summary || quote.policy?.preset}`];
+    if (quote.refundAmount > 0) {
+      lines.push(`Refund: ₹${quote.refundAmount.toFixed(2)} (${quote.refundPercent}% of ₹${quote.paidAmount.toFixed(2)})`);
+      if (quote.cancellationFee > 0) lines.push(`Cancellation fee: ₹${quote.cancellationFee.toFixed(2)}`);
+    } else {
+      lines.push(`No refund${quote.reason ? `: ${quote.reason}` : ''}`);
+    }
+    lines.push('', 'Cancel this booking?');
+    return lines.join('\n');
+  };
+
   const handleCancelBooking = async (booking) => {
-    const ok = window.confirm('Are you sure you want to cancel this booking and refund the payment if eligible?');
+    const isDemo = booking.id === 'demo123' || booking.id === 'demo-payment';
+    let quote = null;
+    if (!isDemo) {
+      try {
+        quote = await bookingService.getRefundQuote(booking.id);
+      } catch (err) {
+        console.error('Refund quote error:', err);
+      }
+      if (quote && !quote.cancellable) {
+        alert(quote.reason || 'This booking can no longer be cancelled.');
+        return;
+      }
+    }
+    const ok = window.confirm(refundConfirmMessage(quote));
     if (!ok) return;
 
     // If this is a demo booking stored locally, remove it directly
-    if (booking.id === 'demo123' || booking.id === 'demo-payment') {
+    if (isDemo) {
       try {
         if (booking.id === 'demo-payment') {
           localStorage.removeItem('demoPaymentBooking');
@@ -68,6 +105,38 @@ const MyBookings = () => {
     }
   };
 
+  // Cancel every upcoming occurrence of a recurring booking
+  const handleCancelSeries = async (booking) => {
+    if (!window.confirm('Cancel all upcoming bookings in this series? Each refund follows the lot\'s cancellation policy.')) return;
+    try {
+      setCancellingId(booking.seriesId);
+      const result = await bookingService.cancelSeries(booking.seriesId, 'Series cancelled by user via UI');
+      const skipped = result?.notCancelled?.length || 0;
+      alert(`Cancelled ${result?.cancelled?.length || 0} booking(s)${skipped ? `; ${skipped} could no longer be cancelled` : ''}.`);
+    } catch (err) {
+      console.error('Cancel series error:', err);
+      alert(err?.response?.data?.message || 'Failed to cancel the series. Please try again.');
+    } finally {
+      setCancellingId(null);
+      refetch?.();
+    }
+  };
+
+  const handleWriteReview = async (booking) => {
+    const score = parseInt(window.prompt('Rate this parking lot from 1 to 5'), 10);
+    if (!(score >= 1 && score <= 5)) return;
+    const comment = window.prompt('Anything to add? (optional)') || undefined;
+    try {
+      await reviewService.create({ bookingId: booking.id, rating: score, comment });
+      alert('Thanks for your review!');
+    } catch (err) {
+      console.error('Review error:', err);
+      alert(err?.response?.data?.message || 'Failed to submit your review. Please try again.');
+    } finally {
+      refetch?.();
+    }
+  };
+
   const handleDownloadTicket = async (booking) => {
     try {
       const res = await bookingService.getTicket(booking.id);
@@ -86,8 +155,17 @@ const MyBookings = () => {
         return;
       }
 
-      // Fallback: generate a simple HTML ticket with embedded QR (using Google Charts API)
-      const ticketHtml = `<!doctype html><html><head><meta charset="utf-8"><title>Ticket ${booking.id}</title></head><body style="font-family:Arial,Helvetica,sans-serif;padding:24px;"><h2>ParkPlaza Ticket</h2><p><strong>Booking ID:</strong> ${booking.id}</p><p><strong>Parking Lot:</strong> ${booking.lotName}</p><p><strong>Slot:</strong> ${booking.slotType} - ${booking.slotNumber}</p><p><strong>Start:</strong> ${new Date(booking.startTime).toLocaleString()}</p><p><strong>End:</strong> ${new Date(booking.endTime).toLocaleString()}</p><p><strong>Total:</strong> ₹${booking.totalAmount}</p><div style="margin-top:18px;"><img src="https://chart.googleapis.com/chart?cht=qr&chs=200x200&chl=${encodeURIComponent(JSON.stringify({bookingId:booking.id,lot:booking.lotName,start:booking.startTime,end:booking.endTime}))}&chld=L|1" alt="QR"/></div><p style="margin-top:12px;font-size:12px;color:#666;">Present this ticket at entry. QR contains booking details.</p></body></html>`;
+      // Fallback: generate a simple HTML ticket with the server-signed QR embedded inline
+      let qrDataUrl = null;
+      try {
+        qrDataUrl = await bookingService.getTicketQrDataUrl(booking.id, 200);
+      } catch (qrErr) {
+        console.error('Ticket QR fetch error:', qrErr);
+      }
+      const qrHtml = qrDataUrl
+        ? `<img src="${qrDataUrl}" width="200" height="200" alt="Ticket QR"/>`
+        : '<p style="color:#b91c1c;">QR code unavailable. Show your booking ID at the entrance.</p>';
+      const ticketHtml = `<!doctype html><html><head><meta charset="utf-8"><title>Ticket ${booking.id}</title></head><body style="font-family:Arial,Helvetica,sans-serif;padding:24px;"><h2>ParkPlaza Ticket</h2><p><strong>Booking ID:</strong> ${booking.id}</p><p><strong>Parking Lot:</strong> ${booking.lotName}</p><p><strong>Slot:</strong> ${booking.slotType} - ${booking.slotNumber}</p><p><strong>Start:</strong> ${new Date(booking.startTime).toLocaleString()}</p><p><strong>End:</strong> ${new Date(booking.endTime).toLocaleString()}</p><p><strong>Total:</strong> ₹${booking.totalAmount}</p><div style="margin-top:18px;">${qrHtml}</div><p style="margin-top:12px;font-size:12px;color:#666;">Present this ticket at entry and exit. The QR code is signed and only valid for this booking and vehicle.</p></body></html>`;
 
       const blob = new Blob([ticketHtml], { type: 'text/html' });
       const url = window.URL.createObjectURL(blob);
@@ -187,11 +265,18 @@ const MyBookings = () => {
             Booking created successfully. You can download your ticket below.
           </div>
         )}
+        {location.state?.waitlistEntryId && (
+          <div className="mb-4 bg-yellow-50 border border-yellow-200 text-yellow-800 px-4 py-3 rounded">
+            You're on the waitlist. We'll notify you if a space frees up.
+          </div>
+        )}
         <div className="mb-8">
           <h1 className="text-3xl font-bold text-gray-900">My Bookings</h1>
           <p className="text-gray-600 mt-2">Manage your parking bookings and view history</p>
         </div>
 
+        <WaitlistEntries onBooked={refetch} />
+
         {/* Filter Tabs */}
         <div className="mb-6 border-b border-gray-200">
           <nav className="-mb-px flex space-x-8">
@@ -309,6 +394,10 @@ const MyBookings = () => {
                         </div>
                       </div>
 
+                      {!['demo123', 'demo-payment'].includes(booking.id) && (
+                        <BookingServices booking={booking} />
+                      )}
+
                       {booking.services && booking.services.length > 0 && (
                         <div className="mb-4">
                           <p className="text-sm text-gray-500 mb-2">Services</p>
@@ -335,6 +424,15 @@ const MyBookings = () => {
                           {cancellingId === booking.id ? 'Cancelling…' : 'Cancel Booking'}
                         </button>
                       )}
+
+                      {booking.seriesId && ['pending', 'confirmed'].includes(booking.status) && (
+                        <button
+                          onClick={() => handleCancelSeries(booking)}
+                          className="text-sm text-red-600 hover:text-red-500 font-medium"
+                        >
+                          {cancellingId === booking.seriesId ? 'Cancelling…' : 'Cancel Series'}
+                        </button>
+                      )}
                       
                       {booking.status === 'active' && (
                         <button
@@ -344,6 +442,14 @@ const MyBookings = () => {
                           Extend (2 hours)
                         </button>
                       )}
+                      {booking.status === 'completed' && !booking.rating && (
+                        <button
+                          onClick={() => handleWriteReview(booking)}
+                          className="text-sm text-yellow-600 hover:text-yellow-500 font-medium"
+                        >
+                          Write a Review
+                        </button>
+                      )}
                       <button
                         onClick={() => handleDownloadTicket(booking)}
                         className="text-sm text-green-700 hover:text-green-600 font-medium"
@@ -3,6 +3,7 @@ import { useParams, useNavigate } from 'react-router-dom';
 import { useSelector } from 'react-redux';
 import GoogleMapsComponent from '../components/maps/GoogleMapsComponent';
 import LoadingSpinner from '../components/ui/LoadingSpinner';
+import LotReviews from '../components/parking/LotReviews';
 import { useParkingLotDetails, useServices } from '../hooks/useAPI';
 
 const ParkingLotDetails = () => {
@@ -198,6 +199,7 @@ const ParkingLotDetails = () => {
               { id: 'overview', label: 'Overview' },
               { id: 'slots', label: 'Slot Details' },
               { id: 'services', label: 'Services' },
+              { id: 'reviews', label: 'Reviews' },
               { id: 'location', label: 'Location' }
             ].map((tab) => (
               <button
@@ -346,6 +348,14 @@ const ParkingLotDetails = () => {
             </div>
           )}
 
+          {/* Reviews Tab */}
+          {activeTab === 'reviews' && (
+            <div>
+              <h3 className="text-xl font-semibold text-gray-900 mb-6">Reviews</h3>
+              <LotReviews lotId={lotId} />
+            </div>
+          )}
+
           {/* Location Tab */}
           {activeTab === 'location' && (
             <div>
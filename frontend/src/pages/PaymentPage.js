@@ -1,7 +1,10 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
 import { useLocation, useNavigate } from 'react-router-dom';
 import LoadingSpinner from '../components/ui/LoadingSpinner';
 import bookingService from '../services/bookingService';
+import waitlistService from '../services/waitlistService';
+import parkingService from '../services/parkingService';
+import { isDemoLotId } from '../services/demoLots';
 import { useParkingLotDetails } from '../hooks/useAPI';
 
 const PaymentPage = () => {
@@ -34,6 +37,9 @@ const PaymentPage = () => {
   const [licensePlate, setLicensePlate] = useState('');
   const [confirmError, setConfirmError] = useState('');
   const [finalBookingData, setFinalBookingData] = useState(null);
+  const [slotHold, setSlotHold] = useState(null);
+  const [holdError, setHoldError] = useState('');
+  const bookingCompletedRef = useRef(false);
   const [formData, setFormData] = useState({
     cardNumber: '',
     expiryDate: '',
@@ -43,6 +49,34 @@ const PaymentPage = () => {
     walletProvider: 'paytm'
   });
 
+  // Hold the chosen slot while the user pays; release it if they leave without booking
+  useEffect(() => {
+    const holdLotId = bookingData?.parkingLotId || lotId;
+    const slotCode = bookingData?.slotCode;
+    if (!holdLotId || !slotCode || isDemoLotId(holdLotId)) return undefined;
+    let active = true;
+    let heldId = null;
+    (async () => {
+      try {
+        const res = await parkingService.reserveSlot(holdLotId, slotCode, {
+          startTime: bookingData.startDateTime,
+          endTime: bookingData.endDateTime,
+          vehicleType: slotTypeToString(bookingData.slotType)
+        });
+        heldId = res?.data?.holdId || null;
+        if (active) setSlotHold(res?.data || null);
+      } catch (err) {
+        if (active) setHoldError(err?.response?.data?.message || 'This slot is no longer available. Please pick another one.');
+      }
+    })();
+    return () => {
+      active = false;
+      if (heldId && !bookingCompletedRef.current) {
+        parkingService.releaseSlotHold(holdLotId, heldId).catch(() => {});
+      }
+    };
+  }, [bookingData?.slotCode, bookingData?.parkingLotId]);
+
   if (!bookingData) {
     return (
       <div className="min-h-screen bg-gray-50">
@@ -176,13 +210,16 @@ const PaymentPage = () => {
         bookingDetails: {
           startTime: s.toISOString(),
           endTime: e.toISOString(),
-          spotNumber: bookingData.slotCode || undefined
+          spotNumber: bookingData.slotCode || undefined,
+          holdId: slotHold?.holdId || undefined
         },
         services: finalBookingData.services || [],
         payment: {
           method: (finalBookingData.paymentMethod === 'credit-card') ? 'card' : finalBookingData.paymentMethod,
           simulate: true
-        }
+        },
+        // Book what's free and report the occurrences that clash
+        recurrence: bookingData.recurrence ? { ...bookingData.recurrence, skipConflicts: true } : undefined
       };
 
       // Store demo booking in localStorage for MyBookings demo
@@ -209,11 +246,37 @@ const PaymentPage = () => {
       let bookingCreated = false;
       try {
         const created = await bookingService.create(payload);
-        const createdId = created?.booking?._id || created?._id || created?.id;
+        bookingCompletedRef.current = true;
+        if (created?.conflicts?.length) {
+          alert(`${created.conflicts.length} of the repeat dates were unavailable and were not booked.`);
+        }
+        const createdId = created?.booking?._id || created?.bookings?.[0]?._id || created?._id || created?.id;
         // Redirect to My Bookings page; UI there will fetch and show the new booking
         navigate('/my-bookings', { state: { highlightBookingId: createdId } });
         bookingCreated = true;
       } catch (err) {
+        // Lot is full for this window: offer a place on its waitlist instead
+        const conflict = err.original?.response;
+        if (conflict?.status === 409 && conflict.data?.data?.canJoinWaitlist && !payload.recurrence &&
+          window.confirm(`${conflict.data.message}. Join the waitlist? We'll offer you a space if one frees up.`)) {
+          try {
+            const card = await waitlistService.getSavedCard().catch(() => null);
+            const autoBook = Boolean(card) &&
+              window.confirm(`Book and pay automatically with your card ending ${card.last4} as soon as a space frees up?`);
+            const joined = await waitlistService.join({
+              parkingLot: payload.parkingLot,
+              vehicle: payload.vehicle,
+              startTime: payload.bookingDetails.startTime,
+              endTime: payload.bookingDetails.endTime,
+              autoBook
+            });
+            alert(`You are number ${joined.position} on the waitlist.`);
+            navigate('/my-bookings', { state: { waitlistEntryId: joined.entry._id } });
+          } catch (joinErr) {
+            setConfirmError(joinErr.response?.data?.message || 'Could not join the waitlist');
+          }
+          return;
+        }
         // If backend fails, show demo booking anyway
         console.error('Booking confirmation failed:', err);
         navigate('/my-bookings', { state: { highlightBookingId: 'demo-payment' } });
@@ -251,6 +314,14 @@ const PaymentPage = () => {
           </button>
           <h1 className="text-3xl font-bold text-gray-900 mb-2">Complete Payment</h1>
           <p className="text-lg text-gray-600">Secure your parking spot</p>
+          {slotHold?.expiresAt && (
+            <p className="mt-2 text-sm text-blue-700 bg-blue-50 border border-blue-200 rounded p-2">
+              Slot {slotHold.slotCode} is held for you until {new Date(slotHold.expiresAt).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}.
+            </p>
+          )}
+          {holdError && (
+            <p className="mt-2 text-sm text-red-700 bg-red-50 border border-red-200 rounded p-2">{holdError}</p>
+          )}
         </div>
 
         {/* Confirmation step after payment */}
@@ -1,4 +1,5 @@
 import React from 'react';
+import SavedCard from '../components/payments/SavedCard';
 
 const ProfilePage = () => {
   return (
@@ -7,6 +8,9 @@ const ProfilePage = () => {
       <div className="card">
         <p className="text-gray-600">User profile will be implemented here</p>
       </div>
+      <div className="card mt-6">
+        <SavedCard />
+      </div>
     </div>
   );
 };
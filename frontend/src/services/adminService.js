@@ -0,0 +1,52 @@
+import { adminAPI } from './api';
+
+// Admin console. List calls resolve to { <items>, pagination }.
+const adminService = {
+  stats: async () => {
+    const res = await adminAPI.stats();
+    return res.data.data;
+  },
+  users: async (params = {}) => {
+    const res = await adminAPI.users(params);
+    return res.data.data;
+  },
+  changeRole: async (id, role) => {
+    const res = await adminAPI.changeRole(id, role);
+    return res.data.data;
+  },
+  suspend: async (id, reason, until) => {
+    const res = await adminAPI.suspend(id, reason, until);
+    return res.data.data;
+  },
+  unsuspend: async (id) => {
+    const res = await adminAPI.unsuspend(id);
+    return res.data.data;
+  },
+  lots: async (params = {}) => {
+    const res = await adminAPI.lots(params);
+    return res.data.data;
+  },
+  setLotStatus: async (id, status) => {
+    const res = await adminAPI.setLotStatus(id, status);
+    return res.data.data;
+  },
+  decideVerification: async (id, decision, reason) => {
+    const res = await adminAPI.decideVerification(id, decision, reason);
+    return res.data.data;
+  },
+  bookings: async (params = {}) => {
+    const res = await adminAPI.bookings(params);
+    return res.data.data;
+  },
+  audit: async (params = {}) => {
+    const res = await adminAPI.audit(params);
+    return res.data.data;
+  },
+  // Resolves to a CSV Blob
+  exportAudit: async (params = {}) => {
+    const res = await adminAPI.exportAudit(params);
+    return res.data;
+  }
+};
+
+export default adminService;
@@ -0,0 +1,35 @@
+import { analyticsAPI } from './api';
+
+// Owner analytics. Every report resolves to its data object, which includes the `range` it covers.
+const analyticsService = {
+  summary: async (params = {}) => {
+    const res = await analyticsAPI.summary(params);
+    return res.data.data;
+  },
+  revenue: async (params = {}) => {
+    const res = await analyticsAPI.revenue(params);
+    return res.data.data;
+  },
+  occupancy: async (params = {}) => {
+    const res = await analyticsAPI.occupancy(params);
+    return res.data.data;
+  },
+  stays: async (params = {}) => {
+    const res = await analyticsAPI.stays(params);
+    return res.data.data;
+  },
+  cancellations: async (params = {}) => {
+    const res = await analyticsAPI.cancellations(params);
+    return res.data.data;
+  },
+  services: async (params = {}) => {
+    const res = await analyticsAPI.services(params);
+    return res.data.data;
+  },
+  lots: async (params = {}) => {
+    const res = await analyticsAPI.lots(params);
+    return res.data.data;
+  }
+};
+
+export default analyticsService;
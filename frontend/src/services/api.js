@@ -40,6 +40,8 @@ API.interceptors.response.use(
 export const parkingAPI = {
   // Get parking lots with filters (/api/parking/all)
   getAll: (params) => API.get('/parking/all', { params }),
+  // Search with text, filters, facets and cursor paging (/api/parking/search)
+  search: (params) => API.get('/parking/search', { params }),
   // Get nearby lots (lightweight) (/api/parking/nearby)
   getNearby: (lat, lng, radius = 5) => API.get('/parking/nearby', { params: { lat, lng, radius } }),
   // Get single lot
@@ -48,6 +50,8 @@ export const parkingAPI = {
   create: (data) => API.post('/parking/create', data),
   // Update lot
   update: (id, data) => API.put(`/parking/${id}`, data),
+  // Partial update: nested fields merge instead of being replaced
+  patch: (id, data) => API.patch(`/parking/${id}`, data),
   // My lots
   myLots: (params) => API.get('/parking/owner/my-lots', { params }),
   // Update availability
@@ -61,9 +65,29 @@ export const parkingAPI = {
   },
   // Delete image
   deleteImage: (lotId, imageId) => API.delete(`/parking/delete-image/${lotId}/${imageId}`),
+  // Lot verification: upload documents (images/PDF), remove one, then submit for admin review
+  uploadVerificationDocuments: (lotId, files, types = []) => {
+    const formData = new FormData();
+    files.forEach(f => formData.append('documents', f));
+    types.forEach(t => formData.append('types', t));
+    return API.post(`/parking/${lotId}/verification/documents`, formData, { headers: { 'Content-Type': 'multipart/form-data' } });
+  },
+  deleteVerificationDocument: (lotId, docId) => API.delete(`/parking/${lotId}/verification/documents/${docId}`),
+  submitVerification: (lotId) => API.post(`/parking/${lotId}/verification/submit`),
   // Slots
-  getSlots: (lotId, all=false) => API.get(`/parking/${lotId}/slots`, { params: { all } }),
-  reserveSlot: (lotId, slotCode) => API.post(`/parking/${lotId}/slots/reserve`, { slotCode }),
+  // all=true includes reserved/occupied/maintenance slots (the server treats any value as true)
+  getSlots: (lotId, all=false) => API.get(`/parking/${lotId}/slots`, { params: all ? { all: true } : {} }),
+  // Hold a slot for the payment step; window = { startTime, endTime, vehicleType }
+  reserveSlot: (lotId, slotCode, window = {}) => API.post(`/parking/${lotId}/slots/reserve`, { slotCode, ...window }),
+  releaseSlotHold: (lotId, holdId) => API.delete(`/parking/${lotId}/slots/holds/${holdId}`),
+  // Layout editor: full floor plan, and bulk { create, move, retype, delete, levels, fixtures } changes
+  getLayout: (lotId) => API.get(`/parking/${lotId}/layout`),
+  updateLayout: (lotId, changes) => API.patch(`/parking/${lotId}/layout`, changes),
+  // Opening hours editor: weekly schedule + timezone, and per-date exceptions (closures, special hours)
+  getHours: (lotId) => API.get(`/parking/${lotId}/hours`),
+  updateHours: (lotId, data) => API.put(`/parking/${lotId}/hours`, data),
+  setHoursException: (lotId, date, data) => API.put(`/parking/${lotId}/hours/exceptions/${date}`, data),
+  removeHoursException: (lotId, date) => API.delete(`/parking/${lotId}/hours/exceptions/${date}`),
   // Admin/Landowner: import places into DB
   importPlaces: ({ lat, lng, radiusMeters = 2000, limit = 10, ownerEmail }) =>
     API.post('/parking/import/places', null, { params: { lat, lng, radiusMeters, limit, ownerEmail } }),
@@ -86,6 +110,17 @@ export const servicesAPI = {
   getPopular: (params) => API.get('/services/featured/popular', { params }),
   search: (params) => API.get('/services/search/query', { params }),
   getPricingForLot: (serviceId, lotId) => API.get(`/services/${serviceId}/pricing/${lotId}`),
+  // Landowner/admin catalogue management
+  manage: (params) => API.get('/services/manage', { params }),
+  create: (data) => API.post('/services', data),
+  update: (id, data) => API.patch(`/services/${id}`, data),
+  remove: (id) => API.delete(`/services/${id}`),
+  setHours: (id, operatingHours, daysAvailable) => API.put(`/services/${id}/hours`, { operatingHours, daysAvailable }),
+  // Attach to a lot or change the lot's price/active flag; customPricing null reverts to the base price
+  setAtLot: (id, lotId, { customPricing, isActive } = {}) => API.put(`/services/${id}/lots/${lotId}`, { customPricing, isActive }),
+  detachFromLot: (id, lotId) => API.delete(`/services/${id}/lots/${lotId}`),
+  uploadImages: (id, formData) => API.post(`/services/${id}/images`, formData, { headers: { 'Content-Type': 'multipart/form-data' } }),
+  removeImage: (id, imageId) => API.delete(`/services/${id}/images/${imageId}`),
 };
 
 export const bookingAPI = {
@@ -95,10 +130,26 @@ export const bookingAPI = {
   getDetails: (id) => API.get(`/booking/${id}`),
   updateStatus: (id, status, reason) => API.put(`/booking/${id}/status`, { status, reason }),
   cancel: (id, reason) => API.delete(`/booking/${id}`, { data: { reason } }),
+  // Recurring series: occurrences, and cancelling every upcoming one at once
+  getSeries: (seriesId) => API.get(`/booking/series/${seriesId}`),
+  cancelSeries: (seriesId, reason) => API.delete(`/booking/series/${seriesId}`, { data: { reason } }),
   extend: (id, additionalHours) => API.put(`/booking/${id}/extend`, { additionalHours }),
   cancelPayment: (id, reason) => API.post(`/booking/${id}/payment/cancel`, { reason }),
+  // Refund the lot's cancellation policy would give if cancelled now
+  getRefundQuote: (id) => API.get(`/booking/${id}/refund-quote`),
+  // Ledger entries (charges, extensions, overtime, add-ons, refunds) and derived totals
+  getTransactions: (id) => API.get(`/booking/${id}/transactions`),
+  // Gate staff: scan a ticket QR token at entry/exit
+  scanEntry: (token, gate) => API.post('/booking/scan/entry', { token, gate }),
+  scanExit: (token, gate) => API.post('/booking/scan/exit', { token, gate }),
+  // Landowner/admin: bookings at managed lots, today's arrivals/departures, bulk attendant actions
+  ownerBookings: (params) => API.get('/booking/owner', { params }),
+  ownerToday: (params) => API.get('/booking/owner/today', { params }),
+  ownerBulk: (action, bookingIds, options = {}) => API.post('/booking/owner/bulk', { action, bookingIds, ...options }),
   // Ticket download (returns PDF data as arraybuffer)
   getTicket: (id) => API.get(`/booking/${id}/ticket`, { responseType: 'arraybuffer' }),
+  // Signed entry/exit QR code as a PNG
+  getTicketQr: (id, size) => API.get(`/booking/${id}/ticket.png`, { params: size ? { size } : undefined, responseType: 'blob' }),
   // alias for backward compatibility
   downloadTicket: (id) => API.get(`/booking/${id}/ticket`, { responseType: 'arraybuffer' }),
   // Payments
@@ -107,6 +158,83 @@ export const bookingAPI = {
   verifyRazorpayPayment: (payload) => API.post('/booking/verify-razorpay-payment', payload),
 };
 
+// Waitlists for full lots (offers expire; see waitlist-update socket events)
+export const waitlistAPI = {
+  join: (data) => API.post('/booking/waitlist', data),
+  mine: (params) => API.get('/booking/waitlist/my', { params }),
+  accept: (id, payment) => API.post(`/booking/waitlist/${id}/accept`, { payment }),
+  leave: (id) => API.delete(`/booking/waitlist/${id}`),
+};
+
+// Card saved with Stripe for waitlist auto-booking
+export const paymentMethodAPI = {
+  get: () => API.get('/payments/methods'),
+  setup: () => API.post('/payments/methods/setup'),
+  save: (paymentMethodId) => API.put('/payments/methods', { paymentMethodId }),
+  remove: () => API.delete('/payments/methods'),
+};
+
+export const passAPI = {
+  quote: (lotId, plan) => API.get('/passes/quote', { params: { lotId, plan } }),
+  create: (data) => API.post('/passes', data),
+  myPasses: () => API.get('/passes/my'),
+  // Landowner/admin: pass holders at their lots
+  ownerPasses: (params) => API.get('/passes/owner', { params }),
+  getDetails: (id) => API.get(`/passes/${id}`),
+  getTicketQr: (id, size) => API.get(`/passes/${id}/ticket.png`, { params: size ? { size } : undefined, responseType: 'blob' }),
+  renew: (id) => API.post(`/passes/${id}/renew`),
+  pause: (id) => API.post(`/passes/${id}/pause`),
+  resume: (id) => API.post(`/passes/${id}/resume`),
+  cancel: (id, { atPeriodEnd = true, reason } = {}) => API.post(`/passes/${id}/cancel`, { atPeriodEnd, reason }),
+};
+
+export const serviceOrderAPI = {
+  // Add a service to an existing booking
+  create: (data) => API.post('/service-orders', data),
+  mine: (params) => API.get('/service-orders/my', { params }),
+  // Lot staff/providers: open orders at managed lots or assigned to the caller
+  queue: (params) => API.get('/service-orders/queue', { params }),
+  assign: (id, data) => API.patch(`/service-orders/${id}/assign`, data),
+  updateStatus: (id, status, note) => API.patch(`/service-orders/${id}/status`, { status, note }),
+};
+
+export const reviewAPI = {
+  create: (data) => API.post('/reviews', data),
+  forLot: (lotId, params) => API.get(`/reviews/lot/${lotId}`, { params }),
+  forService: (serviceId, params) => API.get(`/reviews/service/${serviceId}`, { params }),
+  reply: (id, text) => API.post(`/reviews/${id}/reply`, { text }),
+  report: (id, reason) => API.post(`/reviews/${id}/report`, { reason }),
+  // Admin moderation
+  moderationQueue: (params) => API.get('/reviews/moderation/queue', { params }),
+  moderate: (id, status) => API.patch(`/reviews/${id}/moderation`, { status }),
+};
+
+// Admin console
+export const adminAPI = {
+  stats: () => API.get('/admin/stats'),
+  users: (params) => API.get('/admin/users', { params }),
+  changeRole: (id, role) => API.patch(`/admin/users/${id}/role`, { role }),
+  suspend: (id, reason, until) => API.post(`/admin/users/${id}/suspend`, { reason, until }),
+  unsuspend: (id) => API.post(`/admin/users/${id}/unsuspend`),
+  lots: (params) => API.get('/admin/lots', { params }),
+  setLotStatus: (id, status) => API.patch(`/admin/lots/${id}/status`, { status }),
+  decideVerification: (id, decision, reason) => API.post(`/admin/lots/${id}/verification`, { decision, reason }),
+  bookings: (params) => API.get('/admin/bookings', { params }),
+  audit: (params) => API.get('/admin/audit', { params }),
+  exportAudit: (params) => API.get('/admin/audit/export', { params, responseType: 'blob' }),
+};
+
+// Landowner/admin analytics. Params: from, to, lotId, timezone (+ interval for revenue)
+export const analyticsAPI = {
+  summary: (params) => API.get('/analytics/owner/summary', { params }),
+  revenue: (params) => API.get('/analytics/owner/revenue', { params }),
+  occupancy: (params) => API.get('/analytics/owner/occupancy', { params }),
+  stays: (params) => API.get('/analytics/owner/stays', { params }),
+  cancellations: (params) => API.get('/analytics/owner/cancellations', { params }),
+  services: (params) => API.get('/analytics/owner/services', { params }),
+  lots: (params) => API.get('/analytics/owner/lots', { params }),
+};
+
 export const authAPI = {
   login: (credentials) => API.post('/auth/login', credentials),
   register: (userData) => API.post('/auth/register', userData),
@@ -35,12 +35,46 @@ const bookingService = {
     const res = await bookingAPI.cancel(id, reason);
     return res.data.data?.booking || res.data.data;
   },
+  getSeries: async (seriesId) => {
+    const res = await bookingAPI.getSeries(seriesId);
+    return res.data.data;
+  },
+  cancelSeries: async (seriesId, reason) => {
+    const res = await bookingAPI.cancelSeries(seriesId, reason);
+    return res.data.data;
+  },
+
+  // Resolves to { bookings, pagination }
+  ownerBookings: async (params = {}) => {
+    const res = await bookingAPI.ownerBookings(params);
+    return res.data.data;
+  },
+  // Resolves to { date, arrivals, departures, onSite, counts }
+  ownerToday: async (params = {}) => {
+    const res = await bookingAPI.ownerToday(params);
+    return res.data.data;
+  },
+  // action: check-in | complete | no-show | cancel. Resolves to { succeeded, failed }
+  ownerBulk: async (action, bookingIds, options = {}) => {
+    const res = await bookingAPI.ownerBulk(action, bookingIds, options);
+    return res.data.data;
+  },
 
   // Cancel payment endpoint (server may implement separate route)
   cancelPayment: async (id, reason) => {
     const res = await bookingAPI.cancelPayment(id, reason);
     return res.data.data || res.data;
   },
+  // Cancellation preview: { cancellable, reason, refundAmount, cancellationFee, policy }
+  getRefundQuote: async (id) => {
+    const res = await bookingAPI.getRefundQuote(id);
+    return res.data.data?.quote;
+  },
+  // Receipt data: { totals, transactions }
+  getTransactions: async (id) => {
+    const res = await bookingAPI.getTransactions(id);
+    return res.data.data;
+  },
 
   // Download ticket helper: returns either a Blob (PDF) or a JSON-like object/string when server returns non-PDF
   getTicket: async (id) => {
@@ -73,6 +107,21 @@ const bookingService = {
       }
     }
   },
+  // Signed ticket QR as a Blob (PNG)
+  getTicketQr: async (id, size) => {
+    const res = await bookingAPI.getTicketQr(id, size);
+    return res.data;
+  },
+  // Same QR as a data URL, for embedding in <img> or standalone HTML tickets
+  getTicketQrDataUrl: async (id, size) => {
+    const blob = await bookingService.getTicketQr(id, size);
+    return new Promise((resolve, reject) => {
+      const reader = new FileReader();
+      reader.onload = () => resolve(reader.result);
+      reader.onerror = () => reject(reader.error);
+      reader.readAsDataURL(blob);
+    });
+  },
   extend: async (id, additionalHours) => {
     const res = await bookingAPI.extend(id, additionalHours);
     return res.data.data?.booking || res.data.data;
@@ -1,4 +1,5 @@
 import { parkingAPI } from './api';
+import { CLIENT_EVENTS } from './socketEvents';
 
 const parkingService = {
   // Get all parking lots with filters
@@ -25,6 +26,12 @@ const parkingService = {
   return resp;
   },
 
+  // Partially update parking lot (only the fields sent change)
+  patchParkingLot: async (id, data) => {
+  const { data: resp } = await parkingAPI.patch(id, data);
+  return resp;
+  },
+
   // Get my parking lots (landowner)
   getMyParkingLots: async (pagination = {}) => {
   const { data } = await parkingAPI.myLots(pagination);
@@ -43,6 +50,13 @@ const parkingService = {
   return data;
   },
 
+  // Search lots: { q, lat, lng, radius, amenities, minPrice, maxPrice, minRating, openNow, ... }
+  // data: { lots, facets, pagination }
+  searchLots: async (params = {}) => {
+    const { data } = await parkingAPI.search(params);
+    return data;
+  },
+
   // Get nearby parking lots
   getNearbyLots: async (coordinates, radius = 5) => {
     const { lat, lng } = coordinates;
@@ -53,10 +67,59 @@ const parkingService = {
     const { data } = await parkingAPI.getSlots(lotId, all);
     return data;
   },
-  reserveSlot: async (lotId, slotCode) => {
-    const { data } = await parkingAPI.reserveSlot(lotId, slotCode);
+  reserveSlot: async (lotId, slotCode, window = {}) => {
+    const { data } = await parkingAPI.reserveSlot(lotId, slotCode, window);
+    return data;
+  },
+  releaseSlotHold: async (lotId, holdId) => {
+    const { data } = await parkingAPI.releaseSlotHold(lotId, holdId);
+    return data;
+  },
+  // Layout editor (lot owner or admin)
+  getLayout: async (lotId) => {
+    const { data } = await parkingAPI.getLayout(lotId);
+    return data;
+  },
+  updateLayout: async (lotId, changes) => {
+    const { data } = await parkingAPI.updateLayout(lotId, changes);
+    return data;
+  },
+  // Opening hours (lot owner or admin)
+  getHours: async (lotId) => {
+    const { data } = await parkingAPI.getHours(lotId);
     return data;
   },
+  updateHours: async (lotId, hours) => {
+    const { data } = await parkingAPI.updateHours(lotId, hours);
+    return data;
+  },
+  setHoursException: async (lotId, date, exception) => {
+    const { data } = await parkingAPI.setHoursException(lotId, date, exception);
+    return data;
+  },
+  removeHoursException: async (lotId, date) => {
+    const { data } = await parkingAPI.removeHoursException(lotId, date);
+    return data;
+  },
+  // Lot verification documents and submission
+  uploadVerificationDocuments: async (lotId, files, types = []) => {
+    const { data } = await parkingAPI.uploadVerificationDocuments(lotId, files, types);
+    return data;
+  },
+  deleteVerificationDocument: async (lotId, docId) => {
+    const { data } = await parkingAPI.deleteVerificationDocument(lotId, docId);
+    return data;
+  },
+  submitVerification: async (lotId) => {
+    const { data } = await parkingAPI.submitVerification(lotId);
+    return data;
+  },
+  // Subscribe the socket to a lot's room (availability + slot updates). The ack says
+  // whether the user also gets the lot's owner-only events.
+  joinLot: (socket, lotId, onJoined) => {
+    socket?.emit(CLIENT_EVENTS.joinLot, lotId, (ack) => onJoined?.(ack || { ok: false }));
+  },
+  leaveLot: (socket, lotId) => { socket?.emit(CLIENT_EVENTS.leaveLot, lotId); },
   // Admin/Landowner: import places into DB
   importPlaces: async ({ lat, lng, radiusMeters = 2000, limit = 10, ownerEmail }) => {
     const { data } = await parkingAPI.importPlaces({ lat, lng, radiusMeters, limit, ownerEmail });
@@ -0,0 +1,48 @@
+import { passAPI } from './api';
+
+// Weekly/monthly parking passes. Returns unwrapped response data.
+const passService = {
+  quote: async (lotId, plan) => {
+    const res = await passAPI.quote(lotId, plan);
+    return res.data.data;
+  },
+  // Resolves to { pass, checkout } where checkout carries the gateway's first-payment details
+  create: async (payload) => {
+    const res = await passAPI.create(payload);
+    return res.data.data;
+  },
+  myPasses: async () => {
+    const res = await passAPI.myPasses();
+    return res.data.data || [];
+  },
+  ownerPasses: async (params = {}) => {
+    const res = await passAPI.ownerPasses(params);
+    return res.data.data || [];
+  },
+  getDetails: async (id) => {
+    const res = await passAPI.getDetails(id);
+    return res.data.data;
+  },
+  getTicketQr: async (id, size) => {
+    const res = await passAPI.getTicketQr(id, size);
+    return res.data;
+  },
+  renew: async (id) => {
+    const res = await passAPI.renew(id);
+    return res.data.data;
+  },
+  pause: async (id) => {
+    const res = await passAPI.pause(id);
+    return res.data.data;
+  },
+  resume: async (id) => {
+    const res = await passAPI.resume(id);
+    return res.data.data;
+  },
+  cancel: async (id, options) => {
+    const res = await passAPI.cancel(id, options);
+    return res.data.data;
+  }
+};
+
+export default passService;
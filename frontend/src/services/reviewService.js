@@ -0,0 +1,36 @@
+import { reviewAPI } from './api';
+
+// Lot and service reviews. Listings resolve to { reviews, pagination, summary }.
+const reviewService = {
+  create: async ({ bookingId, rating, comment, serviceRatings }) => {
+    const res = await reviewAPI.create({ bookingId, rating, comment, serviceRatings });
+    return res.data.data;
+  },
+  forLot: async (lotId, params = {}) => {
+    const res = await reviewAPI.forLot(lotId, params);
+    return res.data.data;
+  },
+  forService: async (serviceId, params = {}) => {
+    const res = await reviewAPI.forService(serviceId, params);
+    return res.data.data;
+  },
+  reply: async (id, text) => {
+    const res = await reviewAPI.reply(id, text);
+    return res.data.data;
+  },
+  report: async (id, reason) => {
+    const res = await reviewAPI.report(id, reason);
+    return res.data;
+  },
+  // Admin: hidden or reported reviews awaiting a decision
+  moderationQueue: async (params = {}) => {
+    const res = await reviewAPI.moderationQueue(params);
+    return res.data.data;
+  },
+  moderate: async (id, status) => {
+    const res = await reviewAPI.moderate(id, status);
+    return res.data.data;
+  }
+};
+
+export default reviewService;
@@ -0,0 +1,28 @@
+import { serviceOrderAPI } from './api';
+
+// Add-on services carried out during a booking. Returns unwrapped response data.
+const serviceOrderService = {
+  create: async (payload) => {
+    const res = await serviceOrderAPI.create(payload);
+    return res.data.data.order;
+  },
+  forBooking: async (bookingId) => {
+    const res = await serviceOrderAPI.mine({ bookingId });
+    return res.data.data?.orders || [];
+  },
+  // Resolves to { orders, counts }
+  queue: async (params = {}) => {
+    const res = await serviceOrderAPI.queue(params);
+    return res.data.data || { orders: [], counts: {} };
+  },
+  assign: async (id, provider) => {
+    const res = await serviceOrderAPI.assign(id, provider);
+    return res.data.data.order;
+  },
+  updateStatus: async (id, status, note) => {
+    const res = await serviceOrderAPI.updateStatus(id, status, note);
+    return res.data.data.order;
+  }
+};
+
+export default serviceOrderService;
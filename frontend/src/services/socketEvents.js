@@ -0,0 +1,45 @@
+// Socket event contract — mirrors backend/config/socketEvents.js (a backend test keeps the
+// two in step). Bump SOCKET_CONTRACT_VERSION on both sides whenever an event changes shape.
+
+export const SOCKET_CONTRACT_VERSION = 2;
+
+// Server → client events
+export const SERVER_EVENTS = {
+  session: 'session',
+  availabilityUpdate: 'availability-update',
+  slotUpdated: 'slot-updated',
+  layoutUpdated: 'layout-updated',
+  bookingCreated: 'booking-created',
+  gateEvent: 'gate-event',
+  statusUpdate: 'status-update',
+  paymentUpdate: 'payment-update',
+  paymentRefunded: 'payment-refunded',
+  passUpdate: 'pass-update',
+  notification: 'notification',
+  serviceOrderUpdated: 'service-order-updated',
+  waitlistUpdate: 'waitlist-update',
+};
+
+// Client → server events; both acknowledge with { ok, owner?, message? }
+export const CLIENT_EVENTS = {
+  joinLot: 'join-lot',
+  leaveLot: 'leave-lot',
+};
+
+export const SLOT_UPDATE_REASONS = ['held', 'released', 'expired', 'booked', 'check-in', 'check-out'];
+
+// Window events the socket slice re-broadcasts server events as, so components can listen
+// without holding the socket
+export const WINDOW_EVENTS = {
+  [SERVER_EVENTS.availabilityUpdate]: 'parking-availability-update',
+  [SERVER_EVENTS.slotUpdated]: 'parking-slot-updated',
+  [SERVER_EVENTS.layoutUpdated]: 'parking-layout-updated',
+  [SERVER_EVENTS.bookingCreated]: 'lot-booking-created',
+  [SERVER_EVENTS.gateEvent]: 'lot-gate-event',
+  [SERVER_EVENTS.statusUpdate]: 'booking-status-update',
+  [SERVER_EVENTS.paymentUpdate]: 'booking-payment-update',
+  [SERVER_EVENTS.paymentRefunded]: 'booking-payment-refunded',
+  [SERVER_EVENTS.passUpdate]: 'pass-update',
+  [SERVER_EVENTS.serviceOrderUpdated]: 'service-order-updated',
+  [SERVER_EVENTS.waitlistUpdate]: 'waitlist-update',
+};
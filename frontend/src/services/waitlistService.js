@@ -0,0 +1,42 @@
+import { waitlistAPI, paymentMethodAPI } from './api';
+
+// Lot waitlists and the saved card used to auto-book from them. Returns unwrapped response data.
+const waitlistService = {
+  // Resolves to { entry, position }
+  join: async (payload) => {
+    const res = await waitlistAPI.join(payload);
+    return res.data.data;
+  },
+  mine: async ({ active } = {}) => {
+    const res = await waitlistAPI.mine(active ? { active: true } : undefined);
+    return res.data.data?.entries || [];
+  },
+  // Resolves to { booking, entry }
+  accept: async (id, payment) => {
+    const res = await waitlistAPI.accept(id, payment);
+    return res.data.data;
+  },
+  leave: async (id) => {
+    const res = await waitlistAPI.leave(id);
+    return res.data.data.entry;
+  },
+  getSavedCard: async () => {
+    const res = await paymentMethodAPI.get();
+    return res.data.data?.card || null;
+  },
+  // Resolves to the SetupIntent client secret to confirm the card with Stripe.js
+  setupCard: async () => {
+    const res = await paymentMethodAPI.setup();
+    return res.data.data.clientSecret;
+  },
+  saveCard: async (paymentMethodId) => {
+    const res = await paymentMethodAPI.save(paymentMethodId);
+    return res.data.data.card;
+  },
+  removeCard: async () => {
+    const res = await paymentMethodAPI.remove();
+    return res.data.data;
+  }
+};
+
+export default waitlistService;
@@ -1,5 +1,6 @@
 import { createSlice } from '@reduxjs/toolkit';
 import { io } from 'socket.io-client';
+import { SOCKET_CONTRACT_VERSION, SERVER_EVENTS, WINDOW_EVENTS } from '../../services/socketEvents';
 
 let socket = null;
 let isSocketActive = false;
@@ -28,6 +29,8 @@ const socketSlice = createSlice({
       if (!socket) {
         socket = io(process.env.REACT_APP_SOCKET_URL || 'http://localhost:5000', {
           transports: ['websocket'],
+          // Read on every (re)connect so a refreshed login token is picked up
+          auth: (cb) => cb({ token: localStorage.getItem('token') }),
         });
         isSocketActive = true;
       }
@@ -102,6 +105,18 @@ export const initializeSocket = () => (dispatch, getState) => {
       }
     });
     
+    // The handshake was refused (missing/expired token, suspended account)
+    socket.on('connect_error', (error) => {
+      if (!isSocketActive) return;
+      dispatch(setError(error.message));
+    });
+
+    socket.on(SERVER_EVENTS.session, (session) => {
+      if (session?.v !== SOCKET_CONTRACT_VERSION) {
+        console.warn(`Socket contract v${session?.v} from server, client expects v${SOCKET_CONTRACT_VERSION}`);
+      }
+    });
+
     // Add other socket event listeners here
     socket.on('notification', (notification) => {
       if (!isSocketActive) return;
@@ -112,8 +127,8 @@ export const initializeSocket = () => (dispatch, getState) => {
       }
     });
 
-    // Real-time parking lot availability updates (server should emit 'availability-update')
-    socket.on('availability-update', (payload) => {
+    // Real-time parking lot availability updates
+    socket.on(SERVER_EVENTS.availabilityUpdate, (payload) => {
       if (!isSocketActive) return;
       // payload expected: { lotId, available, occupancyRate, status }
       try {
@@ -133,6 +148,18 @@ export const initializeSocket = () => (dispatch, getState) => {
         console.warn('Failed handling availability-update:', err);
       }
     });
+
+    // Everything else is re-broadcast as a window event (see WINDOW_EVENTS):
+    // slot and layout changes in joined lot rooms, the user's own booking, payment and pass
+    // updates, and owner-only booking/gate events for lots the user owns
+    Object.entries(WINDOW_EVENTS)
+      .filter(([event]) => event !== SERVER_EVENTS.availabilityUpdate)
+      .forEach(([event, windowEvent]) => {
+        socket.on(event, (payload) => {
+          if (!isSocketActive) return;
+          window.dispatchEvent(new CustomEvent(windowEvent, { detail: payload }));
+        });
+      });
   }
 };
 